@@ -26,6 +26,7 @@ const adminRouter = require("./routes/adminRouter");
 const searchRouter = require("./routes/searchRouter");
 const uploadRouter = require("./routes/uploadRouter");
 const homeRouter = require("./routes/homeRouter");
+const webhookRouter = require("./routes/webhookRouter");
 const { notFound, errorHandler } = require("./middleware/errorHandler");
 const { swaggerUi, specs } = require("./swagger");
 const LocationWebSocketServer = require("./websocket/locationWebSocket");
@@ -94,6 +95,7 @@ app.use("/api/admin", adminRouter);
 app.use("/api/search", searchRouter);
 app.use("/api/upload", uploadRouter);
 app.use("/api/home", homeRouter);
+app.use("/api/webhooks", webhookRouter);
 
 app.use(notFound);
 app.use(errorHandler);
@@ -19,12 +19,30 @@ const appConfig = {
     // Fallback behavior
     fallbackToBaseFee: true, // Use baseFee if calculation fails
 
-    // Future: Add zone-based pricing
-    zones: {
-      local: 1200,
-      interstate: 2000,
-      international: 5000,
+    // The values above and below seed the pricing rules admins edit at
+    // runtime (models/deliveryPricingModel, /api/admin/delivery-pricing).
+    // Zone surcharges come from each geofence's rules.deliveryFee.
+
+    // Fee multiplier per DispatchProfile vehicle type
+    vehicleMultipliers: {
+      feet: 0.8,
+      bicycle: 0.9,
+      motorcycle: 1,
+      car: 1.5,
+      bus: 2,
+      van: 2,
+      truck: 2.5,
+    },
+
+    // Package weight pricing
+    weight: {
+      includedKg: 5, // Carried at no extra charge
+      perKg: 50, // NGN per kilogram beyond includedKg
+      maxKg: 50, // Heaviest package accepted for delivery
     },
+
+    // Peak-time surge: [{ name, start: "HH:MM", end, days: ["monday"...], multiplier }]
+    surgeWindows: [],
   },
 
   // Payment Configuration
@@ -60,6 +78,70 @@ const appConfig = {
     },
   },
 
+  // Rider dispatch (services/dispatchMatchingService)
+  dispatch: {
+    // "pool": every rider is notified and the first to take an order gets it.
+    // "auto": riders are ranked and offered the order one at a time.
+    mode: process.env.DISPATCH_MODE === "auto" ? "auto" : "pool",
+    offerTimeoutSeconds: 45, // A rider's time to accept before the next is offered
+    maxDeclines: 3, // Declined or timed-out offers before the order goes to the pool
+    searchRadiusKm: 10, // Riders further than this from the store are not offered
+    locationMaxAgeMinutes: 15, // Older rider positions are ignored
+
+    // Ranking weights; each factor is scored 0–1
+    weights: {
+      distance: 0.4,
+      coverage: 0.15,
+      vehicle: 0.15,
+      rating: 0.2,
+      load: 0.1, // how full the rider's trip already is
+    },
+
+    // Several deliveries in one trip (see services/deliveryBatchService.js)
+    batching: {
+      // Orders a rider may carry at once, by vehicle type
+      maxOrders: {
+        feet: 1,
+        bicycle: 2,
+        motorcycle: 3,
+        car: 4,
+        bus: 6,
+        van: 8,
+        truck: 8,
+      },
+      pickupRadiusKm: 2, // A new pickup must be this close to one already on the trip
+    },
+  },
+
+  // Follow-up on orders that stall (services/deliverySlaService)
+  deliverySla: {
+    // Once the rider confirms a drop, hours before the buyer is reminded to
+    // confirm too, and before the system confirms for them
+    reminderAfterHours: 2,
+    autoConfirmAfterHours: 24,
+    // Auto-confirm only when the rider's last location on the order was this close
+    autoConfirmRadiusMeters: 150,
+    // Hours a paid order may sit in each state before admins are alerted
+    stalledAfterHours: {
+      pending: 24,
+      confirmed: 24,
+      preparing: 12,
+      pickUpReady: 24,
+      inTransit: 36,
+      returnRequested: 48,
+      returnApproved: 72,
+      returnInTransit: 24,
+      returnReceived: 48,
+    },
+    batchSize: 200, // Orders handled per step on each run
+  },
+
+  // Buyer returns (services/orderReturnService)
+  returns: {
+    windowDays: 7, // Days after delivery a buyer may ask to return an order
+    maxPhotos: 5,
+  },
+
   // Commission Configuration
   commission: {
     platformRate: 0.05, // 5% platform commission
@@ -76,6 +158,44 @@ const appConfig = {
     },
   },
 
+  // Bill payments (controllers/billPaymentController)
+  bills: {
+    // Secret the JAMB/WAEC PINs bought for users are encrypted with at rest
+    // (services/educationPinService). Changing it makes stored PINs unreadable.
+    pinEncryptionKey: process.env.BILL_PIN_ENCRYPTION_KEY,
+    maxWaecQuantity: 10, // WAEC PINs one purchase may buy
+
+    // Bill providers (services/billProviders), tried in order per bill type.
+    // A purchase falls over to the next only before the wallet is debited.
+    providers: {
+      routes: {
+        airtime: ["vtpass"],
+        data: ["vtpass"],
+        electricity: ["vtpass"],
+        cable_tv: ["vtpass"],
+        jamb: ["vtpass"],
+        waec: ["vtpass"],
+      },
+      // A provider erroring this many times in a row is skipped for a while
+      failureThreshold: 3,
+      cooldownSeconds: 120,
+    },
+
+    // What users pay per bill type (services/billPricingService): the
+    // provider's price (an airtime or electricity amount's face value) plus
+    // markupPercent of it — negative for a discount — plus a flat fee. Plan
+    // markups set by admins in the catalogue go on top. The difference from
+    // the provider's price is our margin, booked to platform_revenue.
+    pricing: {
+      airtime: { markupPercent: 0, fee: 0 },
+      data: { markupPercent: 0, fee: 0 },
+      electricity: { markupPercent: 0, fee: 0 },
+      cable_tv: { markupPercent: 0, fee: 0 },
+      jamb: { markupPercent: 0, fee: 0 },
+      waec: { markupPercent: 0, fee: 0 },
+    },
+  },
+
   // Maps Configuration (Mapbox)
   maps: {
     mapbox: {
@@ -1,7 +1,9 @@
 const jwt = require("jsonwebtoken");
 
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, { expiresIn: "1d" });
+// `sid` ties the access token to the device session it was issued for, so
+// revoking that session also shuts out its access token.
+const generateToken = (id, sid) => {
+  return jwt.sign({ id, ...(sid && { sid }) }, process.env.JWT_SECRET, { expiresIn: "1d" });
 };
 
 module.exports = { generateToken };
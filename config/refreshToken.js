@@ -1,7 +1,15 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 
-const generateRefreshToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, { expiresIn: "3d" });
+// `jti` makes every rotation a distinct token even within the same second,
+// which refresh-token reuse detection depends on. `typ` tells it apart from an
+// access token, which is signed with the same secret and carries the same sid.
+const generateRefreshToken = (id, sid) => {
+  return jwt.sign(
+    { id, sid, typ: "refresh", jti: crypto.randomUUID() },
+    process.env.JWT_SECRET,
+    { expiresIn: "3d" },
+  );
 };
 
 module.exports = { generateRefreshToken };
@@ -0,0 +1,50 @@
+const asyncHandler = require("express-async-handler");
+const NotificationCampaign = require("../../models/notificationCampaignModel");
+const audit = require("../../services/auditService");
+const { cancelCampaign } = require("../../services/notificationSchedulerService");
+const validateMongodbId = require("../../utils/validateMongodbId");
+
+/**
+ * @function cancelNotificationCampaign
+ * @description Cancel a campaign. A campaign that is already going out stops
+ * for the recipients it has not reached yet.
+ * @access Admin only
+ */
+const cancelNotificationCampaign = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  validateMongodbId(id);
+
+  const campaign = await NotificationCampaign.findById(id);
+  if (!campaign) {
+    res.status(404);
+    throw new Error("Campaign not found");
+  }
+
+  const result = await cancelCampaign(campaign, { by: req.user._id });
+  if (!result) {
+    res.status(409);
+    throw new Error("Campaign is already cancelled");
+  }
+
+  audit.log({
+    action: "admin.notification_campaign.cancelled",
+    actor: audit.actor(req),
+    resource: { type: "notification", id: campaign._id, displayName: campaign.title },
+    changes: {
+      before: { status: campaign.status },
+      after: { status: "cancelled" },
+    },
+    metadata: { cancelledNotifications: result.cancelledNotifications },
+  });
+
+  res.json({
+    success: true,
+    message:
+      campaign.status === "scheduled"
+        ? "Campaign cancelled before sending"
+        : `Campaign cancelled; ${result.cancelledNotifications} undelivered notifications withdrawn`,
+    data: result.campaign,
+  });
+});
+
+module.exports = cancelNotificationCampaign;
@@ -0,0 +1,43 @@
+const asyncHandler = require("express-async-handler");
+const Coupon = require("../../models/couponModel");
+const audit = require("../../services/auditService");
+const { normalizeCouponInput } = require("../../services/couponService");
+
+/**
+ * @function createCoupon
+ * @description Create a platform-funded coupon code.
+ * @access Admin only
+ *
+ * Body: { code, type: "percentage" | "fixed" | "free_delivery", value?,
+ *         maxDiscount?, minOrderValue?, usageLimit?, perUserLimit?,
+ *         stores?, categories?, startsAt?, endsAt?, description? }
+ */
+const createCoupon = asyncHandler(async (req, res) => {
+  const { data, error } = normalizeCouponInput(req.body);
+  if (error) {
+    res.status(400);
+    throw new Error(error);
+  }
+
+  if (await Coupon.exists({ code: data.code })) {
+    res.status(409);
+    throw new Error(`Coupon ${data.code} already exists`);
+  }
+
+  const coupon = await Coupon.create({ ...data, createdBy: req.user._id });
+
+  audit.log({
+    action: "admin.coupon.created",
+    actor: audit.actor(req),
+    resource: { type: "coupon", id: coupon._id, displayName: coupon.code },
+    changes: { after: data },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Coupon ${coupon.code} created`,
+    data: coupon,
+  });
+});
+
+module.exports = createCoupon;
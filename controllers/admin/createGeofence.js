@@ -0,0 +1,50 @@
+const asyncHandler = require("express-async-handler");
+const Geofence = require("../../models/geofenceModel");
+const audit = require("../../services/auditService");
+const { normalizeGeofenceInput, validationMessage } = require("../../services/geofenceService");
+
+/**
+ * @function createGeofence
+ * @description Create a delivery zone, pickup zone, restricted area or
+ * service area.
+ * @access Admin only
+ *
+ * Body: { name, description, type, geometry: { type, coordinates }, radius?,
+ *         rules?, status?, priority?, metadata? }
+ */
+const createGeofence = asyncHandler(async (req, res) => {
+  const { data, error } = normalizeGeofenceInput(req.body);
+  if (error) {
+    res.status(400);
+    throw new Error(error);
+  }
+
+  if (await Geofence.exists({ name: data.name })) {
+    res.status(409);
+    throw new Error(`A geofence named ${data.name} already exists`);
+  }
+
+  const geofence = new Geofence({ ...data, createdBy: req.user._id });
+  try {
+    await geofence.validate();
+  } catch (err) {
+    res.status(400);
+    throw new Error(validationMessage(err));
+  }
+  await geofence.save();
+
+  audit.log({
+    action: "admin.geofence.created",
+    actor: audit.actor(req),
+    resource: { type: "geofence", id: geofence._id, displayName: geofence.name },
+    changes: { after: data },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Geofence ${geofence.name} created`,
+    data: geofence,
+  });
+});
+
+module.exports = createGeofence;
@@ -0,0 +1,42 @@
+const asyncHandler = require("express-async-handler");
+const NotificationCampaign = require("../../models/notificationCampaignModel");
+const audit = require("../../services/auditService");
+const { normalizeCampaignInput } = require("../../services/notificationSchedulerService");
+
+/**
+ * @function createNotificationCampaign
+ * @description Schedule a broadcast notification to every user with one of
+ * the given roles. The notification scheduler sends it at `scheduledFor`.
+ * @access Admin only
+ *
+ * Body: { title, message, roles: ["buyer" | "seller" | "dispatch" | "admin"],
+ *         type?, priority?, channels?: { inApp, push, email },
+ *         scheduledFor? (default now), expiresAt? }
+ */
+const createNotificationCampaign = asyncHandler(async (req, res) => {
+  const { data, error } = normalizeCampaignInput(req.body);
+  if (error) {
+    res.status(400);
+    throw new Error(error);
+  }
+
+  const campaign = await NotificationCampaign.create({
+    ...data,
+    createdBy: req.user._id,
+  });
+
+  audit.log({
+    action: "admin.notification_campaign.scheduled",
+    actor: audit.actor(req),
+    resource: { type: "notification", id: campaign._id, displayName: campaign.title },
+    changes: { after: data },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Campaign scheduled for ${campaign.scheduledFor.toISOString()}`,
+    data: campaign,
+  });
+});
+
+module.exports = createNotificationCampaign;
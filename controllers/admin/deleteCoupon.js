@@ -0,0 +1,46 @@
+const asyncHandler = require("express-async-handler");
+const Coupon = require("../../models/couponModel");
+const audit = require("../../services/auditService");
+const validateMongodbId = require("../../utils/validateMongodbId");
+
+/**
+ * @function deleteCoupon
+ * @description Delete a coupon that was never used. A redeemed coupon is
+ * referenced by orders and ledger entries, so it is deactivated instead.
+ * @access Admin only
+ */
+const deleteCoupon = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  validateMongodbId(id);
+
+  const coupon = await Coupon.findById(id);
+  if (!coupon) {
+    res.status(404);
+    throw new Error("Coupon not found");
+  }
+
+  const deleted = coupon.usedCount === 0;
+  if (deleted) {
+    await coupon.deleteOne();
+  } else {
+    coupon.isActive = false;
+    await coupon.save();
+  }
+
+  audit.log({
+    action: deleted ? "admin.coupon.deleted" : "admin.coupon.deactivated",
+    actor: audit.actor(req),
+    resource: { type: "coupon", id: coupon._id, displayName: coupon.code },
+    metadata: { usedCount: coupon.usedCount },
+  });
+
+  res.json({
+    success: true,
+    message: deleted
+      ? `Coupon ${coupon.code} deleted`
+      : `Coupon ${coupon.code} has been redeemed, so it was deactivated instead`,
+    data: { _id: coupon._id, code: coupon.code, deleted },
+  });
+});
+
+module.exports = deleteCoupon;
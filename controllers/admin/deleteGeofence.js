@@ -0,0 +1,36 @@
+const asyncHandler = require("express-async-handler");
+const Geofence = require("../../models/geofenceModel");
+const audit = require("../../services/auditService");
+const validateMongodbId = require("../../utils/validateMongodbId");
+
+/**
+ * @function deleteGeofence
+ * @description Delete a geofence. Past visits stay on rider tracking
+ * records, which keep the zone's name and type.
+ * @access Admin only
+ */
+const deleteGeofence = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  validateMongodbId(id);
+
+  const geofence = await Geofence.findByIdAndDelete(id);
+  if (!geofence) {
+    res.status(404);
+    throw new Error("Geofence not found");
+  }
+
+  audit.log({
+    action: "admin.geofence.deleted",
+    actor: audit.actor(req),
+    resource: { type: "geofence", id: geofence._id, displayName: geofence.name },
+    changes: { before: { name: geofence.name, type: geofence.type, status: geofence.status } },
+  });
+
+  res.json({
+    success: true,
+    message: `Geofence ${geofence.name} deleted`,
+    data: { _id: geofence._id, name: geofence.name },
+  });
+});
+
+module.exports = deleteGeofence;
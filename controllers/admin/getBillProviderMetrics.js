@@ -0,0 +1,67 @@
+const asyncHandler = require("express-async-handler");
+const BillProviderMetric = require("../../models/billProviderMetricModel");
+const appConfig = require("../../config/appConfig");
+const billProviders = require("../../services/billProviders");
+
+const MAX_HOURS = 720; // 30 days
+
+const rate = (n, d) => (d ? Math.round((n / d) * 1000) / 1000 : null);
+
+/**
+ * @function getBillProviderMetrics
+ * @description How each bill provider has done over the last `hours` hours
+ * (default 24), per bill type and operation, with the routing table and each
+ * provider's error breaker. successRate counts calls the provider answered
+ * and didn't refuse (ok or pending); errorRate, calls it didn't answer.
+ * @access Admin only
+ */
+const getBillProviderMetrics = asyncHandler(async (req, res) => {
+  const hours = Number(req.query.hours ?? 24);
+  if (!Number.isInteger(hours) || hours < 1 || hours > MAX_HOURS) {
+    return res.status(400).json({
+      success: false,
+      message: `hours must be a whole number from 1 to ${MAX_HOURS}`,
+    });
+  }
+
+  const since = new Date(Date.now() - hours * 3600 * 1000);
+  since.setMinutes(0, 0, 0);
+
+  const rows = await BillProviderMetric.aggregate([
+    { $match: { hour: { $gte: since } } },
+    {
+      $group: {
+        _id: {
+          provider: "$provider",
+          serviceType: "$serviceType",
+          operation: "$operation",
+        },
+        calls: { $sum: "$calls" },
+        ok: { $sum: "$ok" },
+        pending: { $sum: "$pending" },
+        failed: { $sum: "$failed" },
+        error: { $sum: "$error" },
+        totalLatencyMs: { $sum: "$totalLatencyMs" },
+      },
+    },
+    { $sort: { "_id.provider": 1, "_id.serviceType": 1, "_id.operation": 1 } },
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      since,
+      routes: appConfig.bills.providers.routes,
+      health: billProviders.getHealth(),
+      metrics: rows.map(({ _id, totalLatencyMs, ...counts }) => ({
+        ..._id,
+        ...counts,
+        successRate: rate(counts.ok + counts.pending, counts.calls),
+        errorRate: rate(counts.error, counts.calls),
+        avgLatencyMs: counts.calls ? Math.round(totalLatencyMs / counts.calls) : null,
+      })),
+    },
+  });
+});
+
+module.exports = getBillProviderMetrics;
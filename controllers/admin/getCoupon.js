@@ -0,0 +1,33 @@
+const asyncHandler = require("express-async-handler");
+const Coupon = require("../../models/couponModel");
+const CouponRedemption = require("../../models/couponRedemptionModel");
+const validateMongodbId = require("../../utils/validateMongodbId");
+
+/**
+ * @function getCoupon
+ * @description A coupon plus its most recent redemptions.
+ * @access Admin only
+ */
+const getCoupon = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  validateMongodbId(id);
+
+  const coupon = await Coupon.findById(id)
+    .populate("stores", "name")
+    .populate("categories", "name")
+    .lean();
+  if (!coupon) {
+    res.status(404);
+    throw new Error("Coupon not found");
+  }
+
+  const redemptions = await CouponRedemption.find({ coupon: id })
+    .populate("user", "fullName email")
+    .sort({ createdAt: -1 })
+    .limit(50)
+    .lean();
+
+  res.json({ success: true, data: { coupon, redemptions } });
+});
+
+module.exports = getCoupon;
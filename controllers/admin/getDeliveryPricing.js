@@ -0,0 +1,17 @@
+const asyncHandler = require("express-async-handler");
+const DeliveryPricing = require("../../models/deliveryPricingModel");
+
+/**
+ * @function getDeliveryPricing
+ * @description The delivery pricing rules in force. Until an admin saves
+ * rules, these are the appConfig defaults (version 1, no updatedBy).
+ * @access Admin only
+ */
+const getDeliveryPricing = asyncHandler(async (req, res) => {
+  const pricing = await DeliveryPricing.getActive();
+  await pricing.populate("updatedBy", "fullName email");
+
+  res.json({ success: true, data: pricing });
+});
+
+module.exports = getDeliveryPricing;
@@ -0,0 +1,25 @@
+const asyncHandler = require("express-async-handler");
+const Geofence = require("../../models/geofenceModel");
+const validateMongodbId = require("../../utils/validateMongodbId");
+
+/**
+ * @function getGeofence
+ * @description A single geofence with who created and last edited it.
+ * @access Admin only
+ */
+const getGeofence = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  validateMongodbId(id);
+
+  const geofence = await Geofence.findById(id)
+    .populate("createdBy", "fullName email")
+    .populate("lastModifiedBy", "fullName email");
+  if (!geofence) {
+    res.status(404);
+    throw new Error("Geofence not found");
+  }
+
+  res.json({ success: true, data: geofence });
+});
+
+module.exports = getGeofence;
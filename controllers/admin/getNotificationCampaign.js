@@ -0,0 +1,29 @@
+const asyncHandler = require("express-async-handler");
+const NotificationCampaign = require("../../models/notificationCampaignModel");
+const { campaignStats } = require("../../services/notificationSchedulerService");
+const validateMongodbId = require("../../utils/validateMongodbId");
+
+/**
+ * @function getNotificationCampaign
+ * @description A campaign plus delivery counts of its notifications by status.
+ * @access Admin only
+ */
+const getNotificationCampaign = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  validateMongodbId(id);
+
+  const campaign = await NotificationCampaign.findById(id)
+    .populate("createdBy", "fullName email")
+    .populate("cancelledBy", "fullName email")
+    .lean();
+  if (!campaign) {
+    res.status(404);
+    throw new Error("Campaign not found");
+  }
+
+  const delivery = await campaignStats(campaign._id);
+
+  res.json({ success: true, data: { campaign, delivery } });
+});
+
+module.exports = getNotificationCampaign;
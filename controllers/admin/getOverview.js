@@ -4,6 +4,8 @@ const Store = require("../../models/storeModel");
 const DispatchProfile = require("../../models/dispatchProfileModel");
 const Order = require("../../models/orderModel");
 const Transaction = require("../../models/transactionModel");
+const BillPayment = require("../../models/billPaymentModel");
+const money = require("../../utils/money");
 
 /**
  * @function getOverview
@@ -22,6 +24,8 @@ const getOverview = asyncHandler(async (req, res) => {
     ordersByStatus,
     ordersToday,
     pendingWithdrawals,
+    billsByStatus,
+    billsToday,
   ] = await Promise.all([
     User.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
     User.aggregate([
@@ -44,6 +48,8 @@ const getOverview = asyncHandler(async (req, res) => {
         },
       },
     ]),
+    BillPayment.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+    BillPayment.getRevenueSummary(startOfDay, new Date()),
   ]);
 
   res.json({
@@ -57,6 +63,16 @@ const getOverview = asyncHandler(async (req, res) => {
         pending: pendingWithdrawals[0]?.count || 0,
         pendingAmount: pendingWithdrawals[0]?.totalAmount || 0,
       },
+      bills: {
+        byStatus: billsByStatus,
+        today: {
+          completed: billsToday.reduce((n, row) => n + row.totalBills, 0),
+          amount: money.sum(billsToday, (row) => row.totalAmount),
+          margin: money.sum(billsToday, (row) => row.margin),
+          commission: money.sum(billsToday, (row) => row.commission),
+          byServiceType: billsToday,
+        },
+      },
     },
   });
 });
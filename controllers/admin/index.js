@@ -27,6 +27,36 @@ const listWallets = require("./listWallets");
 const setWalletStatus = require("./setWalletStatus");
 const updateWalletLimits = require("./updateWalletLimits");
 
+// Coupons
+const createCoupon = require("./createCoupon");
+const listCoupons = require("./listCoupons");
+const getCoupon = require("./getCoupon");
+const updateCoupon = require("./updateCoupon");
+const deleteCoupon = require("./deleteCoupon");
+
+// Notification campaigns
+const createNotificationCampaign = require("./createNotificationCampaign");
+const listNotificationCampaigns = require("./listNotificationCampaigns");
+const getNotificationCampaign = require("./getNotificationCampaign");
+const cancelNotificationCampaign = require("./cancelNotificationCampaign");
+
+// Geofences
+const createGeofence = require("./createGeofence");
+const listGeofences = require("./listGeofences");
+const getGeofence = require("./getGeofence");
+const updateGeofence = require("./updateGeofence");
+const deleteGeofence = require("./deleteGeofence");
+
+// Delivery pricing
+const getDeliveryPricing = require("./getDeliveryPricing");
+const updateDeliveryPricing = require("./updateDeliveryPricing");
+
+// Bill providers
+const getBillProviderMetrics = require("./getBillProviderMetrics");
+const listBillCatalogue = require("./listBillCatalogue");
+const updateBillPlan = require("./updateBillPlan");
+const syncBillCatalogue = require("./syncBillCatalogue");
+
 module.exports = {
   getOverview,
   listUsers,
@@ -46,4 +76,24 @@ module.exports = {
   listWallets,
   setWalletStatus,
   updateWalletLimits,
+  createCoupon,
+  listCoupons,
+  getCoupon,
+  updateCoupon,
+  deleteCoupon,
+  createNotificationCampaign,
+  listNotificationCampaigns,
+  getNotificationCampaign,
+  cancelNotificationCampaign,
+  createGeofence,
+  listGeofences,
+  getGeofence,
+  updateGeofence,
+  deleteGeofence,
+  getDeliveryPricing,
+  updateDeliveryPricing,
+  getBillProviderMetrics,
+  listBillCatalogue,
+  updateBillPlan,
+  syncBillCatalogue,
 };
@@ -0,0 +1,27 @@
+const asyncHandler = require("express-async-handler");
+const BillCatalogue = require("../../models/billCatalogueModel");
+
+/**
+ * @function listBillCatalogue
+ * @description The cached bill catalogue: every product's plans with the
+ * provider's price, the markup and the price users pay, including hidden
+ * plans and those the provider no longer lists.
+ * @access Admin only
+ *
+ * Query params (all optional):
+ *   service_type — data | cable_tv | jamb | waec
+ *   product      — e.g. mtn, dstv
+ */
+const listBillCatalogue = asyncHandler(async (req, res) => {
+  const { service_type, product } = req.query;
+
+  const filter = {};
+  if (service_type) filter.serviceType = service_type;
+  if (product) filter.product = product;
+
+  const catalogues = await BillCatalogue.find(filter).sort({ serviceType: 1, product: 1 });
+
+  res.json({ success: true, data: catalogues });
+});
+
+module.exports = listBillCatalogue;
@@ -0,0 +1,44 @@
+const asyncHandler = require("express-async-handler");
+const Coupon = require("../../models/couponModel");
+
+/**
+ * @function listCoupons
+ * @description Paginated list of coupons, newest first.
+ * @access Admin only
+ *
+ * Query params (all optional):
+ *   active — true | false
+ *   search — partial match on code
+ *   page   — default 1
+ *   limit  — default 20, max 100
+ */
+const listCoupons = asyncHandler(async (req, res) => {
+  const { active, search } = req.query;
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (active === "true" || active === "false") filter.isActive = active === "true";
+  if (search) filter.code = { $regex: search, $options: "i" };
+
+  const [coupons, total] = await Promise.all([
+    Coupon.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+    Coupon.countDocuments(filter),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      coupons,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        hasMore: skip + coupons.length < total,
+      },
+    },
+  });
+});
+
+module.exports = listCoupons;
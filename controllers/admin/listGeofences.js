@@ -0,0 +1,48 @@
+const asyncHandler = require("express-async-handler");
+const Geofence = require("../../models/geofenceModel");
+
+/**
+ * @function listGeofences
+ * @description Paginated list of geofences, highest priority first.
+ * @access Admin only
+ *
+ * Query params (all optional):
+ *   type   — delivery_zone | pickup_zone | restricted_area | service_area
+ *   status — active | inactive | maintenance
+ *   city   — exact match on metadata.city
+ *   search — partial match on name
+ *   page   — default 1
+ *   limit  — default 20, max 100
+ */
+const listGeofences = asyncHandler(async (req, res) => {
+  const { type, status, city, search } = req.query;
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (type) filter.type = type;
+  if (status) filter.status = status;
+  if (city) filter["metadata.city"] = city;
+  if (search) filter.name = { $regex: search, $options: "i" };
+
+  const [geofences, total] = await Promise.all([
+    Geofence.find(filter).sort({ priority: -1, name: 1 }).skip(skip).limit(limit),
+    Geofence.countDocuments(filter),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      geofences,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        hasMore: skip + geofences.length < total,
+      },
+    },
+  });
+});
+
+module.exports = listGeofences;
@@ -0,0 +1,48 @@
+const asyncHandler = require("express-async-handler");
+const NotificationCampaign = require("../../models/notificationCampaignModel");
+
+/**
+ * @function listNotificationCampaigns
+ * @description Paginated list of broadcast campaigns, latest schedule first.
+ * @access Admin only
+ *
+ * Query params (all optional):
+ *   status — scheduled | sending | sent | cancelled
+ *   role   — campaigns targeting this role
+ *   page   — default 1
+ *   limit  — default 20, max 100
+ */
+const listNotificationCampaigns = asyncHandler(async (req, res) => {
+  const { status, role } = req.query;
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (status) filter.status = status;
+  if (role) filter.roles = role;
+
+  const [campaigns, total] = await Promise.all([
+    NotificationCampaign.find(filter)
+      .populate("createdBy", "fullName email")
+      .sort({ scheduledFor: -1 })
+      .skip(skip)
+      .limit(limit),
+    NotificationCampaign.countDocuments(filter),
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      campaigns,
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        hasMore: skip + campaigns.length < total,
+      },
+    },
+  });
+});
+
+module.exports = listNotificationCampaigns;
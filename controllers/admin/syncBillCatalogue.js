@@ -0,0 +1,21 @@
+const asyncHandler = require("express-async-handler");
+const audit = require("../../services/auditService");
+const { syncCatalogue } = require("../../services/billCatalogueService");
+
+/**
+ * @function syncBillCatalogue
+ * @description Re-fetch every bill product's plans and prices from its
+ * providers now, rather than at the next scheduled sync.
+ * @access Admin only
+ */
+const syncBillCatalogue = asyncHandler(async (req, res) => {
+  const result = await syncCatalogue({ actor: audit.actor(req) });
+
+  res.json({
+    success: true,
+    message: `${result.synced} product(s) synced, ${result.changes.length} changed`,
+    data: result,
+  });
+});
+
+module.exports = syncBillCatalogue;
@@ -0,0 +1,63 @@
+const asyncHandler = require("express-async-handler");
+const BillCatalogue = require("../../models/billCatalogueModel");
+const audit = require("../../services/auditService");
+
+/**
+ * @function updateBillPlan
+ * @description Set a bill plan's markup (naira added to the provider's price)
+ * or hide it from users. Applies from the next purchase; the app sees it on
+ * its next catalogue fetch, the catalogue's version having gone up.
+ * @access Admin only
+ *
+ * Body: { markup?, hidden? }
+ */
+const updateBillPlan = asyncHandler(async (req, res) => {
+  const { serviceType, product, variationCode } = req.params;
+  const { markup, hidden } = req.body;
+
+  if (markup === undefined && hidden === undefined) {
+    res.status(400);
+    throw new Error("Provide at least one of: markup, hidden");
+  }
+  if (markup !== undefined && (typeof markup !== "number" || !Number.isFinite(markup) || markup < 0)) {
+    res.status(400);
+    throw new Error("markup must be a non-negative number");
+  }
+  if (hidden !== undefined && typeof hidden !== "boolean") {
+    res.status(400);
+    throw new Error("hidden must be true or false");
+  }
+
+  const catalogue = await BillCatalogue.findOne({ serviceType, product });
+  const plan = catalogue?.plans.find((p) => p.variationCode === variationCode);
+  if (!plan) {
+    res.status(404);
+    throw new Error("Plan not found");
+  }
+
+  const before = { markup: plan.markup, hidden: plan.hidden };
+  if (markup !== undefined) plan.markup = markup;
+  if (hidden !== undefined) plan.hidden = hidden;
+  catalogue.version += 1;
+  await catalogue.save();
+
+  audit.log({
+    action: "admin.bill_plan.updated",
+    actor: audit.actor(req),
+    resource: {
+      type: "system",
+      id: catalogue._id,
+      displayName: `${serviceType}/${product} ${plan.name}`,
+    },
+    changes: { before, after: { markup: plan.markup, hidden: plan.hidden } },
+    metadata: { variationCode, version: catalogue.version },
+  });
+
+  res.json({
+    success: true,
+    message: `${plan.name} updated`,
+    data: plan,
+  });
+});
+
+module.exports = updateBillPlan;
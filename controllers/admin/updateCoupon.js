@@ -0,0 +1,61 @@
+const asyncHandler = require("express-async-handler");
+const Coupon = require("../../models/couponModel");
+const audit = require("../../services/auditService");
+const { normalizeCouponInput } = require("../../services/couponService");
+const validateMongodbId = require("../../utils/validateMongodbId");
+
+/**
+ * @function updateCoupon
+ * @description Edit a coupon. Only the supplied fields change; send
+ * isActive: false to switch a code off without deleting it.
+ * @access Admin only
+ */
+const updateCoupon = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  validateMongodbId(id);
+
+  const coupon = await Coupon.findById(id);
+  if (!coupon) {
+    res.status(404);
+    throw new Error("Coupon not found");
+  }
+
+  const { data, error } = normalizeCouponInput(req.body, coupon);
+  if (error) {
+    res.status(400);
+    throw new Error(error);
+  }
+
+  if (data.code && data.code !== coupon.code) {
+    if (coupon.usedCount > 0) {
+      res.status(400);
+      throw new Error("A coupon that has been redeemed cannot be renamed");
+    }
+    if (await Coupon.exists({ code: data.code })) {
+      res.status(409);
+      throw new Error(`Coupon ${data.code} already exists`);
+    }
+  }
+
+  const before = {};
+  Object.keys(data).forEach((key) => {
+    before[key] = coupon[key];
+  });
+  coupon.set(data);
+  await coupon.save();
+
+  audit.log({
+    action: "admin.coupon.updated",
+    actor: audit.actor(req),
+    resource: { type: "coupon", id: coupon._id, displayName: coupon.code },
+    changes: { before, after: data },
+  });
+
+  res.json({
+    success: true,
+    message: `Coupon ${coupon.code} updated`,
+    data: coupon,
+  });
+});
+
+module.exports = updateCoupon;
@@ -0,0 +1,53 @@
+const asyncHandler = require("express-async-handler");
+const DeliveryPricing = require("../../models/deliveryPricingModel");
+const audit = require("../../services/auditService");
+const deliveryFeeService = require("../../services/deliveryFeeService");
+
+/**
+ * @function updateDeliveryPricing
+ * @description Change the delivery pricing rules. Only the supplied fields
+ * change; surgeWindows, when sent, replace the whole list. Applies to quotes
+ * from the next checkout on — placed orders keep the fee they were quoted.
+ * @access Admin only
+ *
+ * Body: { baseFee?, distanceRates?, vehicleMultipliers?, weight?, surgeWindows? }
+ */
+const updateDeliveryPricing = asyncHandler(async (req, res) => {
+  const pricing = await DeliveryPricing.getActive();
+
+  const { data, error } = deliveryFeeService.normalizePricingInput(req.body, pricing);
+  if (error) {
+    res.status(400);
+    throw new Error(error);
+  }
+
+  const before = {};
+  Object.keys(data).forEach((key) => {
+    before[key] = pricing.get(key);
+  });
+  pricing.set({ ...data, updatedBy: req.user._id });
+  if (!pricing.isNew) pricing.version += 1;
+  try {
+    await pricing.validate();
+  } catch (err) {
+    res.status(400);
+    throw new Error(Object.values(err.errors || {}).map((e) => e.message).join("; ") || err.message);
+  }
+  await pricing.save();
+
+  audit.log({
+    action: "admin.delivery_pricing.updated",
+    actor: audit.actor(req),
+    resource: { type: "system", id: pricing._id, displayName: "Delivery pricing" },
+    changes: { before, after: data },
+    metadata: { version: pricing.version },
+  });
+
+  res.json({
+    success: true,
+    message: `Delivery pricing updated to version ${pricing.version}`,
+    data: pricing,
+  });
+});
+
+module.exports = updateDeliveryPricing;
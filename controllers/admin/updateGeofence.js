@@ -0,0 +1,62 @@
+const asyncHandler = require("express-async-handler");
+const Geofence = require("../../models/geofenceModel");
+const audit = require("../../services/auditService");
+const { normalizeGeofenceInput, validationMessage } = require("../../services/geofenceService");
+const validateMongodbId = require("../../utils/validateMongodbId");
+
+/**
+ * @function updateGeofence
+ * @description Edit a geofence. Only the supplied fields change; `rules`
+ * and `metadata` are merged key by key. Send status: "inactive" to switch a
+ * zone off without deleting it.
+ * @access Admin only
+ */
+const updateGeofence = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  validateMongodbId(id);
+
+  const geofence = await Geofence.findById(id);
+  if (!geofence) {
+    res.status(404);
+    throw new Error("Geofence not found");
+  }
+
+  const { data, error } = normalizeGeofenceInput(req.body, geofence);
+  if (error) {
+    res.status(400);
+    throw new Error(error);
+  }
+
+  if (data.name && data.name !== geofence.name && (await Geofence.exists({ name: data.name }))) {
+    res.status(409);
+    throw new Error(`A geofence named ${data.name} already exists`);
+  }
+
+  const before = {};
+  Object.keys(data).forEach((key) => {
+    before[key] = geofence.toObject()[key];
+  });
+  geofence.set({ ...data, lastModifiedBy: req.user._id });
+  try {
+    await geofence.validate();
+  } catch (err) {
+    res.status(400);
+    throw new Error(validationMessage(err));
+  }
+  await geofence.save();
+
+  audit.log({
+    action: "admin.geofence.updated",
+    actor: audit.actor(req),
+    resource: { type: "geofence", id: geofence._id, displayName: geofence.name },
+    changes: { before, after: data },
+  });
+
+  res.json({
+    success: true,
+    message: `Geofence ${geofence.name} updated`,
+    data: geofence,
+  });
+});
+
+module.exports = updateGeofence;
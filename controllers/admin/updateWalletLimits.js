@@ -5,23 +5,23 @@ const validateMongodbId = require("../../utils/validateMongodbId");
 
 /**
  * @function updateWalletLimits
- * @description Update a wallet's withdrawal/balance limits. Any subset of the
- *   three limit fields may be supplied.
+ * @description Update a wallet's withdrawal/transfer/balance limits. Any
+ *   subset of the four limit fields may be supplied.
  * @access Admin only
  *
- * Body: { dailyWithdrawal?, monthlyWithdrawal?, minimumBalance? }
+ * Body: { dailyWithdrawal?, monthlyWithdrawal?, minimumBalance?, dailyTransfer? }
  */
 const updateWalletLimits = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { dailyWithdrawal, monthlyWithdrawal, minimumBalance } = req.body;
+  const { dailyWithdrawal, monthlyWithdrawal, minimumBalance, dailyTransfer } = req.body;
   validateMongodbId(id);
 
-  const updates = { dailyWithdrawal, monthlyWithdrawal, minimumBalance };
+  const updates = { dailyWithdrawal, monthlyWithdrawal, minimumBalance, dailyTransfer };
   const provided = Object.entries(updates).filter(([, v]) => v !== undefined);
   if (provided.length === 0) {
     res.status(400);
     throw new Error(
-      "Provide at least one of: dailyWithdrawal, monthlyWithdrawal, minimumBalance",
+      "Provide at least one of: dailyWithdrawal, monthlyWithdrawal, minimumBalance, dailyTransfer",
     );
   }
   for (const [key, value] of provided) {
@@ -41,6 +41,7 @@ const updateWalletLimits = asyncHandler(async (req, res) => {
     dailyWithdrawal: w.limits.dailyWithdrawal,
     monthlyWithdrawal: w.limits.monthlyWithdrawal,
     minimumBalance: w.limits.minimumBalance,
+    dailyTransfer: w.limits.dailyTransfer,
   });
 
   const before = snapshot(wallet);
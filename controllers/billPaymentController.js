@@ -1,19 +1,29 @@
 /**
  * @file billPaymentController.js
- * @description VTpass bill payment handlers: airtime, data, electricity, cable TV.
+ * @description Bill payment handlers: airtime, data, electricity, cable TV,
+ *   JAMB and WAEC PINs, bought through services/billProviders.
  *
  * SAFETY MODEL (every handler):
  *   1. Validate inputs
- *   2. Check wallet balance
+ *   2. Verify the account with the bill type's providers, failing over to
+ *      the next if one errors (services/billProviders), or price the plan
+ *      from the cached catalogue (services/billCatalogueService)
  *   3. START MongoDB session
  *      a. Debit wallet
  *      b. Write Transaction ledger (debit side)
  *      c. Create BillPayment record (pending)
- *      d. Call VTpass /pay
+ *      d. Queue the answering provider's /pay (bill_payment_api task)
  *      e. Update BillPayment status
  *         → failed: refund wallet + write reversal ledger entry
  *         → pending/completed: leave — cron handles cleanup
  *   4. Return result
+ *   Every provider down → 503 before anything is debited.
+ *
+ * EDUCATION PINS (JAMB, WAEC):
+ *   Bought like any other bill. The PINs in the provider's response are encrypted
+ *   into BillPayment.pin as the bill is saved (services/educationPinService),
+ *   emailed to the buyer once it completes, and shown in the app once through
+ *   GET /api/bills/education/:requestId/pin.
  *
  * IDEMPOTENCY:
  *   requestId is generated from timestamp + random. BillPayment.requestId has a
@@ -22,110 +32,98 @@
 
 const asyncHandler = require("express-async-handler");
 const mongoose = require("mongoose");
-const Wallet = require("../models/walletModel");
 const Transaction = require("../models/transactionModel");
 const BillPayment = require("../models/billPaymentModel");
-const vtpass = require("../services/vtpassService");
+const SavedBiller = require("../models/savedBillerModel");
+const billProviders = require("../services/billProviders");
+const billCatalogue = require("../services/billCatalogueService");
 const { MakeID } = require("../Helpers/Helpers");
 const audit = require("../services/auditService");
-const taskQueue = require("../services/taskQueue");
+const appConfig = require("../config/appConfig");
+const { emailPins, revealPins } = require("../services/educationPinService");
+const { purchaseBill } = require("../services/billPurchaseService");
+const { userPrice } = require("../services/billPricingService");
 
-const CALLBACK_URL = `${process.env.BACKEND_URL || "https://api.wigomarket.com"}/api/bills/webhook/vtpass`;
+const { PRODUCTS, BillProviderError } = billProviders;
 
-// ── Shared helpers ─────────────────────────────────────────────────────────
+// WAEC products as the API names them → ours
+const WAEC_PRODUCTS = {
+  "result-checker": "waec",
+  registration: "waec-registration",
+};
 
-function generateRequestId() {
-  const now = new Date();
-  const pad = (n) => String(n).padStart(2, "0");
-  return [
-    now.getFullYear(),
-    pad(now.getMonth() + 1),
-    pad(now.getDate()),
-    pad(now.getHours()),
-    pad(now.getMinutes()),
-    pad(now.getSeconds()),
-    MakeID(16),
-  ].join("");
-}
+// ── Shared helpers ─────────────────────────────────────────────────────────
 
 /**
- * Debit wallet + write pending ledger + create BillPayment record — all in session.
- * Returns { wallet, billRecord, txRef } for the caller to use.
+ * asyncHandler that answers a BillProviderError (no provider could answer)
+ * with its status, 503 when every provider is down, rather than a 500.
  */
-async function initiatePurchase(
-  session,
-  { userId, amount, serviceType, serviceProvider, recipient, serviceMetadata },
-) {
-  // Debit wallet ─────────────────────────────────────────────────────────────
-  const wallet = await Wallet.findOne({ user: userId }).session(session);
-  if (!wallet)
-    throw new Error("Wallet not found. Please create a wallet first.");
-  if (wallet.status !== "active")
-    throw new Error(`Wallet is ${wallet.status}. Cannot process payment.`);
-  if (wallet.balance < amount)
-    throw new Error(
-      `Insufficient wallet balance. Available: ₦${wallet.balance}, Required: ₦${amount}`,
-    );
+const providerHandler = (handler) =>
+  asyncHandler(async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (err) {
+      if (!(err instanceof BillProviderError)) throw err;
+      res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+  });
 
-  await wallet.deductFunds(amount, "bill_payment", session);
-
-  // Transaction ledger — debit side (session-bound) ─────────────────────────
-  const txId = `BILL_${Date.now()}_${MakeID(16)}`;
-  const txRef = `BillPayment-${txId}`;
-
-  await Transaction.createTransaction(
-    {
-      transactionId: txId,
-      reference: txRef,
-      type: "wallet_withdrawal",
-      totalAmount: amount,
-      entries: [
-        {
-          account: "wallet_vendor",
-          userId: userId,
-          debit: amount,
-          credit: 0,
-          description: `${serviceType} purchase — ${serviceProvider} for ${recipient}`,
-        },
-        {
-          account: "operating_expenses",
-          userId: null,
-          debit: 0,
-          credit: amount,
-          description: `VTpass ${serviceType} service payment`,
-        },
-      ],
-      relatedEntity: { type: "payment" },
-      status: "pending",
-      metadata: {
-        paymentMethod: "wallet",
-        notes: `Bill payment: ${serviceType} via VTpass`,
-      },
-    },
-    session,
-  );
+/**
+ * Send a product's catalogue with its ETag, or a 304 when the app's copy
+ * (If-None-Match) is still current.
+ */
+function sendCatalogue(req, res, catalogue, data) {
+  res.set({
+    ETag: billCatalogue.etag(catalogue),
+    "Cache-Control": "private, no-cache",
+  });
+  if (req.fresh) return res.status(304).end();
+  res.json({ success: true, data });
+}
 
-  const requestId = generateRequestId();
+/**
+ * The app sends the amount it showed for a plan; if the catalogue's price
+ * has changed since, the user confirms the new one rather than being charged
+ * it unseen. Returns the message to refuse with, or null.
+ */
+function quotedPriceError(quoted, price, name) {
+  if (quoted === undefined || quoted === null || quoted === "") return null;
+  if (Number(quoted) === price) return null;
+  return `The price of ${name} is now ₦${price.toLocaleString()}. Please confirm the new price.`;
+}
 
-  // BillPayment record ───────────────────────────────────────────────────────
-  const [billRecord] = await BillPayment.create(
-    [
-      {
-        user: userId,
-        requestId,
-        transactionRef: txRef,
-        serviceType,
-        serviceProvider,
-        amount,
-        recipient,
-        serviceMetadata,
-        status: "pending",
-      },
-    ],
-    { session },
+/**
+ * Look a JAMB profile ID up with the JAMB providers. Returns the candidate's
+ * name, or null if the profile isn't known.
+ */
+async function verifyJambCandidate(profile_id, variation_code) {
+  const { result } = await billProviders.verify(
+    "jamb",
+    "jamb",
+    profile_id,
+    variation_code,
   );
+  return result.verified && result.customerName ? result.customerName : null;
+}
 
-  return { wallet, billRecord, txRef, txId };
+/**
+ * A purchase body with its recipient filled in from the saved biller it names
+ * as biller_id, if any. Returns { error, status } if there is no such biller.
+ */
+async function withSavedBiller(body, userId, serviceType) {
+  if (!body.biller_id) return body;
+  const biller = mongoose.Types.ObjectId.isValid(body.biller_id)
+    ? await SavedBiller.findOne({ _id: body.biller_id, user: userId, serviceType })
+    : null;
+  if (!biller) return { error: "Saved biller not found", status: 404 };
+
+  return {
+    ...body,
+    provider: biller.provider,
+    ...(serviceType === "electricity"
+      ? { meter_number: biller.billersCode, meter_type: biller.meterType }
+      : { smartcard_number: biller.billersCode }),
+  };
 }
 
 /**
@@ -233,58 +231,77 @@ async function finalisePurchase(
 /**
  * GET /api/bills/plans/data?network=mtn
  */
-const getDataPlans = asyncHandler(async (req, res) => {
+const getDataPlans = providerHandler(async (req, res) => {
   const { network } = req.query;
   if (!network)
     return res
       .status(400)
       .json({ success: false, message: "network is required" });
 
-  const serviceID = vtpass.DATA_NETWORKS[network.toLowerCase()];
-  if (!serviceID) {
+  const product = network.toLowerCase();
+  if (!PRODUCTS.data.includes(product)) {
     return res.status(400).json({
       success: false,
-      message: `Unsupported network. Supported: ${Object.keys(vtpass.DATA_NETWORKS).join(", ")}`,
+      message: `Unsupported network. Supported: ${PRODUCTS.data.join(", ")}`,
     });
   }
 
-  const vtRes = await vtpass.getServiceVariations(serviceID);
-  const variations = vtRes.content?.variations || vtRes.content || [];
+  const catalogue = await billCatalogue.getCatalogue("data", product);
 
-  res.json({
-    success: true,
-    data: {
-      network: network.toLowerCase(),
-      service_id: serviceID,
-      service_name:
-        vtRes.content?.ServiceName || `${network.toUpperCase()} Data`,
-      plans: variations.map((p) => ({
-        variation_code: p.variation_code,
-        name: p.name,
-        amount: parseFloat(p.variation_amount),
-        is_fixed_price: p.fixedPrice === "Yes",
-      })),
-    },
+  sendCatalogue(req, res, catalogue, {
+    network: product,
+    service_id: catalogue.serviceId,
+    service_name: catalogue.serviceName || `${network.toUpperCase()} Data`,
+    plans: billCatalogue.onSale(catalogue).map(billCatalogue.planView),
   });
 });
 
 /**
  * GET /api/bills/plans/:serviceId — generic variations (cable TV, etc.)
+ * serviceId is a product (e.g. "dstv") or its VTpass service ID. Plans come
+ * from the catalogue, in VTpass's shape; other services' (e.g. electricity's
+ * meter types) from the provider.
  */
-const getServiceVariations = asyncHandler(async (req, res) => {
-  const { serviceId } = req.params;
-  const vtRes = await vtpass.getServiceVariations(serviceId);
-  res.json({ success: true, data: vtRes.content });
+const getServiceVariations = providerHandler(async (req, res) => {
+  const found = billProviders.findProduct(req.params.serviceId);
+  if (!found) {
+    return res
+      .status(404)
+      .json({ success: false, message: "Unknown bill service" });
+  }
+
+  if (!billCatalogue.CATALOGUED.includes(found.serviceType)) {
+    const { result } = await billProviders.getCatalogue(
+      found.serviceType,
+      found.product,
+    );
+    return res.json({ success: true, data: result.raw });
+  }
+
+  const catalogue = await billCatalogue.getCatalogue(
+    found.serviceType,
+    found.product,
+  );
+  sendCatalogue(req, res, catalogue, {
+    ServiceName: catalogue.serviceName,
+    serviceID: catalogue.serviceId,
+    variations: billCatalogue.onSale(catalogue).map((plan) => ({
+      variation_code: plan.variationCode,
+      name: plan.name,
+      variation_amount: String(plan.price),
+      fixedPrice: plan.fixedPrice ? "Yes" : "No",
+    })),
+  });
 });
 
 /**
  * GET /api/bills/verify/meter?provider=ikeja-electric&meter_number=...&meter_type=prepaid
  */
-const verifyMeter = asyncHandler(async (req, res) => {
+const verifyMeter = providerHandler(async (req, res) => {
   const { provider, meter_number, meter_type = "prepaid" } = req.query;
   const providerKey = (provider || "").replace(/_/g, "-").toLowerCase();
 
-  if (!vtpass.ELECTRICITY_PROVIDERS[providerKey]) {
+  if (!PRODUCTS.electricity.includes(providerKey)) {
     return res
       .status(400)
       .json({ success: false, message: "Unsupported electricity provider" });
@@ -295,20 +312,21 @@ const verifyMeter = asyncHandler(async (req, res) => {
       .json({ success: false, message: "Invalid meter number (10–13 digits)" });
   }
 
-  const vtRes = await vtpass.verifyMerchant(
-    vtpass.ELECTRICITY_PROVIDERS[providerKey],
+  const { result } = await billProviders.verify(
+    "electricity",
+    providerKey,
     meter_number,
     meter_type,
   );
 
-  if (vtRes.code === "000" || vtRes.response_description === "000") {
+  if (result.verified) {
     return res.json({
       success: true,
       data: {
-        customer_name: vtRes.content?.Customer_Name || "N/A",
-        customer_address: vtRes.content?.Address || "N/A",
-        account_type: vtRes.content?.Account_Type || "N/A",
-        minimum_amount: vtRes.content?.Minimum_Amount || null,
+        customer_name: result.details.Customer_Name || "N/A",
+        customer_address: result.details.Address || "N/A",
+        account_type: result.details.Account_Type || "N/A",
+        minimum_amount: result.details.Minimum_Amount || null,
         meter_number,
         provider: providerKey,
         meter_type,
@@ -324,11 +342,11 @@ const verifyMeter = asyncHandler(async (req, res) => {
 /**
  * GET /api/bills/verify/decoder?provider=dstv&smartcard_number=...
  */
-const verifyDecoder = asyncHandler(async (req, res) => {
+const verifyDecoder = providerHandler(async (req, res) => {
   const { provider, smartcard_number } = req.query;
   const providerKey = (provider || "").toLowerCase();
 
-  if (!vtpass.CABLE_TV_PROVIDERS[providerKey]) {
+  if (!PRODUCTS.cable_tv.includes(providerKey)) {
     return res
       .status(400)
       .json({ success: false, message: "Unsupported cable TV provider" });
@@ -339,19 +357,20 @@ const verifyDecoder = asyncHandler(async (req, res) => {
       .json({ success: false, message: "smartcard_number is required" });
   }
 
-  const vtRes = await vtpass.verifyMerchant(
-    vtpass.CABLE_TV_PROVIDERS[providerKey],
+  const { result } = await billProviders.verify(
+    "cable_tv",
+    providerKey,
     smartcard_number,
     providerKey,
   );
 
-  if (vtRes.code === "000" || vtRes.response_description === "000") {
+  if (result.verified) {
     return res.json({
       success: true,
       data: {
-        customer_name: vtRes.content?.Customer_Name || "N/A",
-        current_bouquet: vtRes.content?.Current_Bouquet || "N/A",
-        renewal_amount: vtRes.content?.Renewal_Amount || null,
+        customer_name: result.details.Customer_Name || "N/A",
+        current_bouquet: result.details.Current_Bouquet || "N/A",
+        renewal_amount: result.details.Renewal_Amount || null,
         smartcard_number,
         provider: providerKey,
       },
@@ -363,21 +382,53 @@ const verifyDecoder = asyncHandler(async (req, res) => {
     .json({ success: false, message: "Decoder verification failed" });
 });
 
+/**
+ * GET /api/bills/verify/jamb?profile_id=...&variation_code=utme
+ */
+const verifyJambProfile = providerHandler(async (req, res) => {
+  const { profile_id, variation_code } = req.query;
+
+  if (!profile_id || !/^\d{10}$/.test(profile_id)) {
+    return res
+      .status(400)
+      .json({ success: false, message: "Invalid JAMB profile ID (10 digits)" });
+  }
+  if (!variation_code) {
+    return res
+      .status(400)
+      .json({ success: false, message: "variation_code is required" });
+  }
+
+  const candidateName = await verifyJambCandidate(profile_id, variation_code);
+  if (!candidateName) {
+    return res
+      .status(400)
+      .json({ success: false, message: "JAMB profile verification failed" });
+  }
+
+  res.json({
+    success: true,
+    data: { candidate_name: candidateName, profile_id, variation_code },
+  });
+});
+
 // ── Purchase handlers ───────────────────────────────────────────────────────
 
 /**
  * POST /api/bills/airtime
  * Body: { network, phone, amount }
+ *   amount: the airtime's face value; the wallet is charged it with the
+ *   configured markup or discount, answered as charged
  */
-const purchaseAirtime = asyncHandler(async (req, res) => {
+const purchaseAirtime = providerHandler(async (req, res) => {
   const { network, phone, amount } = req.body;
   const userId = req.user._id;
 
   // Validate
-  if (!network || !vtpass.NETWORKS[network.toLowerCase()]) {
+  if (!network || !PRODUCTS.airtime.includes(network.toLowerCase())) {
     return res.status(400).json({
       success: false,
-      message: `Invalid network. Supported: ${Object.keys(vtpass.NETWORKS).join(", ")}`,
+      message: `Invalid network. Supported: ${PRODUCTS.airtime.join(", ")}`,
     });
   }
   if (!phone || !/^0[789][01]\d{8}$/.test(phone)) {
@@ -392,65 +443,52 @@ const purchaseAirtime = asyncHandler(async (req, res) => {
       .json({ success: false, message: "Minimum airtime amount is ₦50" });
   }
 
-  const serviceID = vtpass.NETWORKS[network.toLowerCase()];
-  const session = await mongoose.startSession();
+  // Nothing to check first, so route straight to a provider
+  const { provider, serviceId } = billProviders.chooseProvider(
+    "airtime",
+    network.toLowerCase(),
+  );
 
-  try {
-    let finalStatus, billRecord, requestId, txId, wallet;
+  // amount is the airtime's face value; the wallet pays it with our markup or discount
+  const charged = userPrice("airtime", amt);
 
-    // 1. Initial State: Create records and debit wallet (Atomic Transaction)
-    await session.withTransaction(async () => {
-      const init = await initiatePurchase(session, {
-        userId,
-        amount: amt,
-        serviceType: "airtime",
-        serviceProvider: network.toLowerCase(),
-        recipient: phone,
-        serviceMetadata: { network: network.toLowerCase() },
-      });
-
-      billRecord = init.billRecord;
-      requestId = init.billRecord.requestId;
-      txId = init.txId;
-      wallet = init.wallet;
-    });
+  const { requestId } = await purchaseBill({
+    userId,
+    amount: charged,
+    serviceType: "airtime",
+    serviceProvider: network.toLowerCase(),
+    provider,
+    providerAmount: amt,
+    recipient: phone,
+    serviceMetadata: { network: network.toLowerCase() },
+    serviceId,
+    phone,
+  });
 
-    // 2. Offload External Action to Task Queue
-    await taskQueue.enqueue("bill_payment_api", {
-      requestId,
-      serviceID,
-      amount: amt,
+  res.json({
+    success: true,
+    message: "Airtime purchase is processing",
+    data: {
+      request_id: requestId,
+      status: "processing",
+      network,
       phone,
-      userId,
-      txId,
-      serviceType: "airtime",
-    });
-
-    res.json({
-      success: true,
-      message: "Airtime purchase is processing",
-      data: {
-        request_id: requestId,
-        status: "processing",
-        network,
-        phone,
-        amount: amt,
-      },
-    });
-  } finally {
-    await session.endSession();
-  }
+      amount: amt,
+      charged,
+    },
+  });
 });
 
 /**
  * POST /api/bills/data
- * Body: { network, phone, variation_code }
+ * Body: { network, phone, variation_code, amount? }
+ *   amount: the price the app showed; refused with 409 if it has changed
  */
-const purchaseData = asyncHandler(async (req, res) => {
-  const { network, phone, variation_code } = req.body;
+const purchaseData = providerHandler(async (req, res) => {
+  const { network, phone, variation_code, amount } = req.body;
   const userId = req.user._id;
 
-  if (!network || !vtpass.DATA_NETWORKS[network.toLowerCase()]) {
+  if (!network || !PRODUCTS.data.includes(network.toLowerCase())) {
     return res.status(400).json({ success: false, message: "Invalid network" });
   }
   if (!phone || !/^0[789][01]\d{8}$/.test(phone)) {
@@ -464,11 +502,12 @@ const purchaseData = asyncHandler(async (req, res) => {
       .json({ success: false, message: "variation_code is required" });
   }
 
-  const serviceID = vtpass.DATA_NETWORKS[network.toLowerCase()];
-  const variationsRes = await vtpass.getServiceVariations(serviceID);
-  const variations =
-    variationsRes.content?.variations || variationsRes.content || [];
-  const bundle = variations.find((v) => v.variation_code === variation_code);
+  // Price the bundle for the provider it will be bought from
+  const { plan: bundle, provider: planProvider, serviceId } = await billCatalogue.findPlan(
+    "data",
+    network.toLowerCase(),
+    variation_code,
+  );
 
   if (!bundle) {
     return res.status(400).json({
@@ -476,79 +515,73 @@ const purchaseData = asyncHandler(async (req, res) => {
       message: "Invalid variation_code for selected network",
     });
   }
-
-  const amt = parseFloat(bundle.variation_amount);
-  const session = await mongoose.startSession();
-
-  try {
-    let finalStatus, requestId, txId, wallet;
-
-    // 1. Initial State: Create records and debit wallet (Atomic Transaction)
-    await session.withTransaction(async () => {
-      const init = await initiatePurchase(session, {
-        userId,
-        amount: amt,
-        serviceType: "data",
-        serviceProvider: network.toLowerCase(),
-        recipient: phone,
-        serviceMetadata: {
-          network: network.toLowerCase(),
-          variation_code,
-          bundle_name: bundle.name,
-        },
-      });
-
-      requestId = init.billRecord.requestId;
-      txId = init.txId;
-      wallet = init.wallet;
+  const priceError = quotedPriceError(amount, bundle.price, bundle.name);
+  if (priceError) {
+    return res.status(409).json({
+      success: false,
+      message: priceError,
+      data: { amount: bundle.price },
     });
+  }
 
-    // 2. Offload External Action to Task Queue
-    await taskQueue.enqueue("bill_payment_api", {
-      requestId,
-      serviceID,
-      amount: amt,
-      phone,
-      billersCode: phone,
+  const amt = bundle.price;
+
+  const { requestId } = await purchaseBill({
+    userId,
+    amount: amt,
+    serviceType: "data",
+    serviceProvider: network.toLowerCase(),
+    provider: planProvider,
+    providerAmount: bundle.providerPrice,
+    recipient: phone,
+    serviceMetadata: {
+      network: network.toLowerCase(),
       variation_code,
-      userId,
-      txId,
-      serviceType: "data",
-    });
+      bundle_name: bundle.name,
+    },
+    serviceId,
+    phone,
+    billersCode: phone,
+    variationCode: variation_code,
+  });
 
-    res.json({
-      success: true,
-      message: `${bundle.name} data purchase is processing`,
-      data: {
-        request_id: requestId,
-        status: "processing",
-        network,
-        phone,
-        bundle: bundle.name,
-        amount: amt,
-      },
-    });
-  } finally {
-    await session.endSession();
-  }
+  res.json({
+    success: true,
+    message: `${bundle.name} data purchase is processing`,
+    data: {
+      request_id: requestId,
+      status: "processing",
+      network,
+      phone,
+      bundle: bundle.name,
+      amount: amt,
+    },
+  });
 });
 
 /**
  * POST /api/bills/electricity
  * Body: { provider, meter_number, meter_type, amount, phone }
+ *   or: { biller_id, amount, phone } for a saved meter
+ *   amount: the token's value; the wallet is charged it with the configured
+ *   markup or fee, answered as charged
  */
-const payElectricity = asyncHandler(async (req, res) => {
+const payElectricity = providerHandler(async (req, res) => {
+  const userId = req.user._id;
+  const body = await withSavedBiller(req.body, userId, "electricity");
+  if (body.error) {
+    return res.status(body.status).json({ success: false, message: body.error });
+  }
   const {
     provider,
     meter_number,
     meter_type = "prepaid",
     amount,
     phone,
-  } = req.body;
-  const userId = req.user._id;
+  } = body;
   const providerKey = (provider || "").replace(/_/g, "-").toLowerCase();
 
-  if (!vtpass.ELECTRICITY_PROVIDERS[providerKey]) {
+  if (!PRODUCTS.electricity.includes(providerKey)) {
     return res
       .status(400)
       .json({ success: false, message: "Unsupported electricity provider" });
@@ -576,84 +609,71 @@ const payElectricity = asyncHandler(async (req, res) => {
       .json({ success: false, message: "Invalid Nigerian phone number" });
   }
 
-  // Verify meter first (before touching wallet)
-  const verifyRes = await vtpass.verifyMerchant(
-    vtpass.ELECTRICITY_PROVIDERS[providerKey],
-    meter_number,
-    meter_type,
-  );
-  if (verifyRes.code !== "000" && verifyRes.response_description !== "000") {
+  // Verify meter first (before touching wallet), with the provider that pays
+  const {
+    provider: billProvider,
+    serviceId,
+    result: meter,
+  } = await billProviders.verify("electricity", providerKey, meter_number, meter_type);
+  if (!meter.verified) {
     return res
       .status(400)
       .json({ success: false, message: "Meter verification failed" });
   }
 
-  const serviceID = vtpass.ELECTRICITY_PROVIDERS[providerKey];
-  const session = await mongoose.startSession();
-
-  try {
-    let finalStatus, requestId, deliveryToken, units, txId, wallet;
-
-    // 1. Initial State: Create records and debit wallet (Atomic Transaction)
-    await session.withTransaction(async () => {
-      const init = await initiatePurchase(session, {
-        userId,
-        amount: amt,
-        serviceType: "electricity",
-        serviceProvider: providerKey,
-        recipient: meter_number,
-        serviceMetadata: {
-          meter_type,
-          phone,
-          customer_name: verifyRes.content?.Customer_Name || null,
-          customer_address: verifyRes.content?.Address || null,
-        },
-      });
-
-      requestId = init.billRecord.requestId;
-      txId = init.txId;
-      wallet = init.wallet;
-    });
+  // amount is the token's value; the wallet pays it with our markup or fee
+  const charged = userPrice("electricity", amt);
 
-    // 2. Offload External Action to Task Queue
-    await taskQueue.enqueue("bill_payment_api", {
-      requestId,
-      serviceID,
-      amount: amt,
+  const { requestId } = await purchaseBill({
+    userId,
+    amount: charged,
+    serviceType: "electricity",
+    serviceProvider: providerKey,
+    provider: billProvider,
+    providerAmount: amt,
+    recipient: meter_number,
+    serviceMetadata: {
+      meter_type,
       phone,
-      billersCode: meter_number,
-      variation_code: meter_type,
-      userId,
-      txId,
-      serviceType: "electricity",
-    });
+      customer_name: meter.details.Customer_Name || null,
+      customer_address: meter.details.Address || null,
+    },
+    serviceId,
+    phone,
+    billersCode: meter_number,
+    variationCode: meter_type,
+  });
 
-    res.json({
-      success: true,
-      message: "Electricity payment is processing",
-      data: {
-        request_id: requestId,
-        status: "processing",
-        provider: providerKey,
-        meter_number,
-        amount: amt,
-      },
-    });
-  } finally {
-    await session.endSession();
-  }
+  res.json({
+    success: true,
+    message: "Electricity payment is processing",
+    data: {
+      request_id: requestId,
+      status: "processing",
+      provider: providerKey,
+      meter_number,
+      amount: amt,
+      charged,
+    },
+  });
 });
 
 /**
  * POST /api/bills/cable-tv
- * Body: { provider, smartcard_number, variation_code, phone }
+ * Body: { provider, smartcard_number, variation_code, phone, amount? }
+ *   or: { biller_id, variation_code, phone, amount? } for a saved decoder
+ *   amount: the price the app showed; refused with 409 if it has changed
  */
-const payCableTv = asyncHandler(async (req, res) => {
-  const { provider, smartcard_number, variation_code, phone } = req.body;
+const payCableTv = providerHandler(async (req, res) => {
   const userId = req.user._id;
+  const body = await withSavedBiller(req.body, userId, "cable_tv");
+  if (body.error) {
+    return res.status(body.status).json({ success: false, message: body.error });
+  }
+  const { provider, smartcard_number, variation_code, phone, amount } = body;
   const providerKey = (provider || "").toLowerCase();
 
-  if (!vtpass.CABLE_TV_PROVIDERS[providerKey]) {
+  if (!PRODUCTS.cable_tv.includes(providerKey)) {
     return res
       .status(400)
       .json({ success: false, message: "Unsupported cable TV provider" });
@@ -675,70 +695,252 @@ const payCableTv = asyncHandler(async (req, res) => {
       .json({ success: false, message: "Invalid Nigerian phone number" });
   }
 
-  // Get plan price from VTpass
-  const variationsRes = await vtpass.getServiceVariations(
-    vtpass.CABLE_TV_PROVIDERS[providerKey],
+  // Price the plan for the provider it will be bought from
+  const { plan, provider: planProvider, serviceId } = await billCatalogue.findPlan(
+    "cable_tv",
+    providerKey,
+    variation_code,
   );
-  const variations =
-    variationsRes.content?.variations || variationsRes.content || [];
-  const plan = variations.find((v) => v.variation_code === variation_code);
   if (!plan) {
     return res.status(400).json({
       success: false,
       message: "Invalid variation_code for this provider",
     });
   }
+  const priceError = quotedPriceError(amount, plan.price, plan.name);
+  if (priceError) {
+    return res.status(409).json({
+      success: false,
+      message: priceError,
+      data: { amount: plan.price },
+    });
+  }
 
-  const amt = parseFloat(plan.variation_amount);
-  const session = await mongoose.startSession();
+  const amt = plan.price;
 
-  try {
-    let finalStatus, requestId, txId, wallet;
+  const { requestId } = await purchaseBill({
+    userId,
+    amount: amt,
+    serviceType: "cable_tv",
+    serviceProvider: providerKey,
+    provider: planProvider,
+    providerAmount: plan.providerPrice,
+    recipient: smartcard_number,
+    serviceMetadata: { variation_code, plan_name: plan.name, phone },
+    serviceId,
+    phone,
+    billersCode: smartcard_number,
+    variationCode: variation_code,
+  });
 
-    // 1. Initial State: Create records and debit wallet (Atomic Transaction)
-    await session.withTransaction(async () => {
-      const init = await initiatePurchase(session, {
-        userId,
-        amount: amt,
-        serviceType: "cable_tv",
-        serviceProvider: providerKey,
-        recipient: smartcard_number,
-        serviceMetadata: { variation_code, plan_name: plan.name, phone },
-      });
-
-      requestId = init.billRecord.requestId;
-      txId = init.txId;
-      wallet = init.wallet;
+  res.json({
+    success: true,
+    message: `${provider.toUpperCase()} payment is processing`,
+    data: {
+      request_id: requestId,
+      status: "processing",
+      provider: providerKey,
+      smartcard_number,
+      plan: plan.name,
+      amount: amt,
+    },
+  });
+});
+
+/**
+ * POST /api/bills/jamb
+ * Body: { profile_id, variation_code, phone }
+ */
+const purchaseJambPin = providerHandler(async (req, res) => {
+  const { profile_id, variation_code, phone } = req.body;
+  const userId = req.user._id;
+
+  if (!profile_id || !/^\d{10}$/.test(profile_id)) {
+    return res
+      .status(400)
+      .json({ success: false, message: "Invalid JAMB profile ID (10 digits)" });
+  }
+  if (!variation_code) {
+    return res.status(400).json({
+      success: false,
+      message: "variation_code (UTME or Direct Entry) is required",
     });
+  }
+  if (!phone || !/^0[789][01]\d{8}$/.test(phone)) {
+    return res
+      .status(400)
+      .json({ success: false, message: "Invalid Nigerian phone number" });
+  }
 
-    // 2. Offload External Action to Task Queue
-    await taskQueue.enqueue("bill_payment_api", {
-      requestId,
-      serviceID: vtpass.CABLE_TV_PROVIDERS[providerKey],
-      amount: amt,
-      phone,
-      billersCode: smartcard_number,
+  // Verify the candidate first (before touching wallet)
+  const candidateName = await verifyJambCandidate(profile_id, variation_code);
+  if (!candidateName) {
+    return res
+      .status(400)
+      .json({ success: false, message: "JAMB profile verification failed" });
+  }
+
+  const { plan, provider: planProvider, serviceId } = await billCatalogue.findPlan(
+    "jamb",
+    "jamb",
+    variation_code,
+  );
+  if (!plan) {
+    return res
+      .status(400)
+      .json({ success: false, message: "Invalid variation_code for JAMB" });
+  }
+
+  const amt = plan.price;
+
+  const { requestId } = await purchaseBill({
+    userId,
+    amount: amt,
+    serviceType: "jamb",
+    serviceProvider: "jamb",
+    provider: planProvider,
+    providerAmount: plan.providerPrice,
+    recipient: profile_id,
+    serviceMetadata: {
       variation_code,
-      userId,
-      txId,
-      serviceType: "cable_tv",
-    });
+      product_name: plan.name,
+      candidate_name: candidateName,
+      phone,
+    },
+    serviceId,
+    phone,
+    billersCode: profile_id,
+    variationCode: variation_code,
+  });
 
-    res.json({
-      success: true,
-      message: `${provider.toUpperCase()} payment is processing`,
-      data: {
-        request_id: requestId,
-        status: "processing",
-        provider: providerKey,
-        smartcard_number,
-        plan: plan.name,
-        amount: amt,
-      },
+  res.json({
+    success: true,
+    message: "JAMB PIN purchase is processing. The PIN will be emailed to you.",
+    data: {
+      request_id: requestId,
+      status: "processing",
+      profile_id,
+      candidate_name: candidateName,
+      product: plan.name,
+      amount: amt,
+    },
+  });
+});
+
+/**
+ * POST /api/bills/waec
+ * Body: { product: "result-checker" | "registration", variation_code, quantity, phone }
+ */
+const purchaseWaecPin = providerHandler(async (req, res) => {
+  const {
+    product = "result-checker",
+    variation_code,
+    quantity = 1,
+    phone,
+  } = req.body;
+  const userId = req.user._id;
+  const { maxWaecQuantity } = appConfig.bills;
+
+  const waecProduct = WAEC_PRODUCTS[product];
+  if (!waecProduct) {
+    return res.status(400).json({
+      success: false,
+      message: "product must be 'result-checker' or 'registration'",
     });
-  } finally {
-    await session.endSession();
   }
+  if (!variation_code) {
+    return res
+      .status(400)
+      .json({ success: false, message: "variation_code is required" });
+  }
+  const qty = Number(quantity);
+  if (!Number.isInteger(qty) || qty < 1 || qty > maxWaecQuantity) {
+    return res.status(400).json({
+      success: false,
+      message: `quantity must be a whole number from 1 to ${maxWaecQuantity}`,
+    });
+  }
+  if (!phone || !/^0[789][01]\d{8}$/.test(phone)) {
+    return res
+      .status(400)
+      .json({ success: false, message: "Invalid Nigerian phone number" });
+  }
+
+  const { plan, provider: planProvider, serviceId } = await billCatalogue.findPlan(
+    "waec",
+    waecProduct,
+    variation_code,
+  );
+  if (!plan) {
+    return res
+      .status(400)
+      .json({ success: false, message: "Invalid variation_code for WAEC" });
+  }
+
+  const unitPrice = plan.price;
+  const amt = unitPrice * qty;
+
+  const { requestId } = await purchaseBill({
+    userId,
+    amount: amt,
+    serviceType: "waec",
+    serviceProvider: waecProduct,
+    provider: planProvider,
+    providerAmount: plan.providerPrice * qty,
+    recipient: phone,
+    serviceMetadata: {
+      variation_code,
+      product_name: plan.name,
+      quantity: qty,
+      unit_price: unitPrice,
+      phone,
+    },
+    serviceId,
+    phone,
+    variationCode: variation_code,
+    quantity: qty,
+  });
+
+  res.json({
+    success: true,
+    message: `WAEC PIN purchase is processing. The PIN${qty > 1 ? "s" : ""} will be emailed to you.`,
+    data: {
+      request_id: requestId,
+      status: "processing",
+      product: plan.name,
+      quantity: qty,
+      amount: amt,
+    },
+  });
+});
+
+/**
+ * GET /api/bills/education/:requestId/pin
+ * Shows a completed JAMB/WAEC purchase's PINs — once; after that they are
+ * only in the buyer's email.
+ */
+const revealEducationPin = asyncHandler(async (req, res) => {
+  const { requestId } = req.params;
+  const userId = req.user._id;
+
+  const result = await revealPins(requestId, userId);
+  if (result.error) {
+    return res
+      .status(result.status)
+      .json({ success: false, message: result.error });
+  }
+
+  res.set("Cache-Control", "no-store");
+  res.json({
+    success: true,
+    message: "This PIN is shown only once. It has also been emailed to you.",
+    data: {
+      request_id: requestId,
+      service_type: result.bill.serviceType,
+      product: result.bill.serviceMetadata?.product_name,
+      pins: result.pins,
+    },
+  });
 });
 
 // ── History & requery ───────────────────────────────────────────────────────
@@ -776,7 +978,7 @@ const getMyBillPayments = asyncHandler(async (req, res) => {
   });
 });
 
-const requeryBillPayment = asyncHandler(async (req, res) => {
+const requeryBillPayment = providerHandler(async (req, res) => {
   const { requestId } = req.params;
   const { _id: userId } = req.user;
   const ledgerService = require("../services/billPaymentLedgerService");
@@ -793,51 +995,64 @@ const requeryBillPayment = asyncHandler(async (req, res) => {
     return res.json({ success: true, data: billRecord });
   }
 
-  const vtRes = await vtpass.requeryTransaction(requestId);
-  const code = vtRes?.code;
-  const deliveredStatus = vtRes?.content?.transactions?.status;
+  const outcome = await billProviders.requery(
+    billRecord.provider || "vtpass",
+    billRecord.serviceType,
+    requestId,
+  );
 
   const session = await mongoose.startSession();
   try {
     await session.withTransaction(async () => {
-      let newStatus = "pending";
-      if (code === "000" && deliveredStatus === "delivered")
-        newStatus = "completed";
-      else if (code === "016") newStatus = "failed";
-
-      if (newStatus !== "pending") {
-        billRecord.status = newStatus;
-        billRecord.vtpassResponse = vtRes;
-
-        if (newStatus === "completed") {
-          billRecord.completedAt = new Date();
-          billRecord.deliveryToken =
-            vtRes.content?.transactions?.token || vtRes.purchased_code;
-          await billRecord.save({ session });
-          await ledgerService.completeBillTransaction(billRecord, session);
-        } else if (newStatus === "failed") {
-          await ledgerService.refundBillTransaction(billRecord, session);
-        }
+      if (outcome.status === "completed") {
+        billRecord.status = "completed";
+        billRecord.vtpassResponse = outcome.raw;
+        billRecord.completedAt = new Date();
+        if (outcome.token) billRecord.deliveryToken = outcome.token;
+        if (outcome.units) billRecord.units = outcome.units;
+        if (outcome.commission) billRecord.providerCommission = outcome.commission;
+        await billRecord.save({ session });
+        await ledgerService.completeBillTransaction(billRecord, session);
+      } else if (outcome.status === "failed") {
+        billRecord.status = "failed";
+        billRecord.vtpassResponse = outcome.raw;
+        billRecord.failedAt = new Date();
+        await billRecord.save({ session });
+        await ledgerService.refundBillTransaction(billRecord, session);
       }
     });
   } finally {
     await session.endSession();
   }
+  await emailPins(billRecord);
 
   res.json({ success: true, data: billRecord });
 });
 
 /**
- * POST /api/bills/webhook/vtpass
- * VTpass push notification when a transaction status changes.
+ * POST /api/bills/webhook/:provider
+ * A bill provider's push notification that a transaction's status changed.
+ * Only the request ID is taken from it; the worker asks the provider.
  */
-const handleVtpassWebhook = asyncHandler(async (req, res) => {
+const handleProviderWebhook = asyncHandler(async (req, res) => {
   const taskQueue = require("../services/taskQueue");
-  if (!req.body.requestId) return res.status(400).send("No requestId");
+  const { provider } = req.params;
+
+  let parsed;
+  try {
+    parsed = billProviders.parseWebhook(provider, req.body);
+  } catch (err) {
+    if (!(err instanceof BillProviderError)) throw err;
+    return res.status(404).send("Unknown provider");
+  }
+  if (!parsed) return res.status(400).send("No requestId");
+
   res.status(200).send("OK");
-  taskQueue.enqueue("bill_payment_webhook", req.body).catch((err) => {
-    console.error("[Webhook] VTpass enqueue error:", err.message);
-  });
+  taskQueue
+    .enqueue("bill_payment_webhook", { provider, requestId: parsed.requestId })
+    .catch((err) => {
+      console.error(`[Webhook] ${provider} enqueue error:`, err.message);
+    });
 });
 
 module.exports = {
@@ -849,7 +1064,11 @@ module.exports = {
   purchaseData,
   payElectricity,
   payCableTv,
+  verifyJambProfile,
+  purchaseJambPin,
+  purchaseWaecPin,
+  revealEducationPin,
   getMyBillPayments,
   requeryBillPayment,
-  handleVtpassWebhook,
+  handleProviderWebhook,
 };
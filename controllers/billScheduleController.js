@@ -0,0 +1,423 @@
+/**
+ * @file billScheduleController.js
+ * @description Saved billers (meters, decoders and phone numbers a user pays
+ * often) and recurring bill payments to them. The payments themselves are
+ * made by services/recurringBillService.
+ */
+
+const asyncHandler = require("express-async-handler");
+const mongoose = require("mongoose");
+const SavedBiller = require("../models/savedBillerModel");
+const RecurringBill = require("../models/recurringBillModel");
+const audit = require("../services/auditService");
+const billProviders = require("../services/billProviders");
+const billCatalogue = require("../services/billCatalogueService");
+const {
+  MAX_BILLERS,
+  validateBiller,
+  verifyBiller,
+  billerView,
+} = require("../services/savedBillerService");
+const {
+  MAX_SCHEDULES,
+  PLAN_BILLS,
+  validateSchedule,
+  nextRunAfter,
+  scheduleView,
+} = require("../services/recurringBillService");
+
+const isId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+/**
+ * A schedule's amount for plan-priced bills: the plan's price today, as the
+ * app shows it.
+ * @returns {Promise<{ error: string, status: number } | { amount: number }>}
+ */
+async function pricePlan(biller, variationCode) {
+  let plan;
+  try {
+    ({ plan } = await billCatalogue.findPlan(
+      biller.serviceType,
+      biller.provider,
+      variationCode,
+    ));
+  } catch (err) {
+    if (!(err instanceof billProviders.BillProviderError)) throw err;
+    return { error: err.message, status: err.statusCode };
+  }
+  if (!plan) return { error: "Invalid variation_code for this biller", status: 400 };
+  return { amount: plan.price };
+}
+
+// ── Saved billers ───────────────────────────────────────────────────────────
+
+/**
+ * GET /api/bills/billers?service_type=electricity
+ */
+const listSavedBillers = asyncHandler(async (req, res) => {
+  const filter = { user: req.user._id };
+  if (req.query.service_type) filter.serviceType = req.query.service_type;
+
+  const billers = await SavedBiller.find(filter).sort({ nickname: 1 });
+  res.json({ success: true, data: billers.map(billerView) });
+});
+
+/**
+ * POST /api/bills/billers
+ * Body: { nickname, service_type, provider, billers_code, meter_type }
+ */
+const createSavedBiller = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+
+  const biller = validateBiller(req.body);
+  if (biller.error) {
+    return res.status(400).json({ success: false, message: biller.error });
+  }
+
+  if ((await SavedBiller.countDocuments({ user: userId })) >= MAX_BILLERS) {
+    return res.status(400).json({
+      success: false,
+      message: `You can save up to ${MAX_BILLERS} billers. Delete one to add another.`,
+    });
+  }
+
+  const verified = await verifyBiller(biller);
+  if (verified.error) {
+    return res
+      .status(verified.status)
+      .json({ success: false, message: verified.error });
+  }
+
+  let saved;
+  try {
+    saved = await SavedBiller.create({
+      user: userId,
+      ...biller,
+      ...(verified.customerName && {
+        customerName: verified.customerName,
+        lastVerifiedAt: new Date(),
+      }),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "You have already saved this biller",
+      });
+    }
+    throw error;
+  }
+
+  audit.log({
+    action: "bill.biller_saved",
+    actor: audit.actor(req),
+    resource: { type: "saved_biller", id: saved._id },
+    changes: { after: billerView(saved) },
+  });
+
+  res.status(201).json({ success: true, data: billerView(saved) });
+});
+
+/**
+ * PATCH /api/bills/billers/:id
+ * Body: { nickname }
+ */
+const renameSavedBiller = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const nickname =
+    typeof req.body.nickname === "string" ? req.body.nickname.trim() : "";
+
+  if (!nickname || nickname.length > 50) {
+    return res.status(400).json({
+      success: false,
+      message: "nickname is required (at most 50 characters)",
+    });
+  }
+
+  const biller = isId(id)
+    ? await SavedBiller.findOneAndUpdate(
+        { _id: id, user: req.user._id },
+        { $set: { nickname } },
+        { new: true },
+      )
+    : null;
+  if (!biller) {
+    return res.status(404).json({ success: false, message: "Biller not found" });
+  }
+
+  res.json({ success: true, data: billerView(biller) });
+});
+
+/**
+ * DELETE /api/bills/billers/:id
+ */
+const deleteSavedBiller = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user._id;
+
+  if (!isId(id)) {
+    return res.status(404).json({ success: false, message: "Biller not found" });
+  }
+  if (await RecurringBill.exists({ biller: id, user: userId })) {
+    return res.status(409).json({
+      success: false,
+      message: "Delete this biller's recurring payments first",
+    });
+  }
+
+  const biller = await SavedBiller.findOneAndDelete({ _id: id, user: userId });
+  if (!biller) {
+    return res.status(404).json({ success: false, message: "Biller not found" });
+  }
+
+  audit.log({
+    action: "bill.biller_deleted",
+    actor: audit.actor(req),
+    resource: { type: "saved_biller", id: biller._id },
+    changes: { before: billerView(biller) },
+  });
+
+  res.json({ success: true, message: "Biller deleted" });
+});
+
+// ── Recurring bills ─────────────────────────────────────────────────────────
+
+/**
+ * GET /api/bills/recurring
+ */
+const listRecurringBills = asyncHandler(async (req, res) => {
+  const schedules = await RecurringBill.find({ user: req.user._id })
+    .populate("biller")
+    .sort({ createdAt: -1 });
+  res.json({ success: true, data: schedules.map(scheduleView) });
+});
+
+/**
+ * POST /api/bills/recurring
+ * Body: { biller_id, frequency, day_of_week, day_of_month, amount, variation_code, phone }
+ */
+const createRecurringBill = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const { biller_id } = req.body;
+
+  const biller = isId(biller_id)
+    ? await SavedBiller.findOne({ _id: biller_id, user: userId })
+    : null;
+  if (!biller) {
+    return res.status(404).json({ success: false, message: "Biller not found" });
+  }
+
+  const schedule = validateSchedule(req.body, biller);
+  if (schedule.error) {
+    return res.status(400).json({ success: false, message: schedule.error });
+  }
+  if (PLAN_BILLS.includes(biller.serviceType)) {
+    const price = await pricePlan(biller, schedule.variationCode);
+    if (price.error) {
+      return res.status(price.status).json({ success: false, message: price.error });
+    }
+    schedule.amount = price.amount;
+  }
+
+  if ((await RecurringBill.countDocuments({ user: userId })) >= MAX_SCHEDULES) {
+    return res.status(400).json({
+      success: false,
+      message: `You can have up to ${MAX_SCHEDULES} recurring payments`,
+    });
+  }
+
+  const created = await RecurringBill.create({
+    user: userId,
+    biller: biller._id,
+    ...schedule,
+    nextRunAt: nextRunAfter(schedule, new Date()),
+  });
+  created.biller = biller;
+
+  audit.log({
+    action: "bill.recurring_created",
+    actor: audit.actor(req),
+    resource: { type: "recurring_bill", id: created._id },
+    changes: { after: schedule },
+    metadata: { billerId: biller._id },
+  });
+
+  res.status(201).json({ success: true, data: scheduleView(created) });
+});
+
+/**
+ * PATCH /api/bills/recurring/:id
+ * Body: as for creating, less biller_id. Replaces the schedule's timing and amount.
+ */
+const updateRecurringBill = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user._id;
+
+  const existing = isId(id)
+    ? await RecurringBill.findOne({ _id: id, user: userId }).populate("biller")
+    : null;
+  if (!existing || !existing.biller) {
+    return res
+      .status(404)
+      .json({ success: false, message: "Recurring payment not found" });
+  }
+
+  const schedule = validateSchedule(req.body, existing.biller);
+  if (schedule.error) {
+    return res.status(400).json({ success: false, message: schedule.error });
+  }
+  if (PLAN_BILLS.includes(existing.biller.serviceType)) {
+    const price = await pricePlan(existing.biller, schedule.variationCode);
+    if (price.error) {
+      return res.status(price.status).json({ success: false, message: price.error });
+    }
+    schedule.amount = price.amount;
+  }
+
+  const before = scheduleView(existing);
+  const updated = await RecurringBill.findByIdAndUpdate(
+    existing._id,
+    {
+      $set: {
+        ...schedule,
+        nextRunAt: nextRunAfter(schedule, new Date()),
+      },
+      $unset: {
+        ...(schedule.dayOfWeek === undefined && { dayOfWeek: 1 }),
+        ...(schedule.dayOfMonth === undefined && { dayOfMonth: 1 }),
+        ...(schedule.variationCode === undefined && { variationCode: 1 }),
+      },
+    },
+    { new: true },
+  ).populate("biller");
+
+  audit.log({
+    action: "bill.recurring_updated",
+    actor: audit.actor(req),
+    resource: { type: "recurring_bill", id: updated._id },
+    changes: { before, after: scheduleView(updated) },
+  });
+
+  res.json({ success: true, data: scheduleView(updated) });
+});
+
+/**
+ * POST /api/bills/recurring/:id/pause
+ */
+const pauseRecurringBill = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const paused = isId(id)
+    ? await RecurringBill.findOneAndUpdate(
+        { _id: id, user: req.user._id, status: "active" },
+        {
+          $set: {
+            status: "paused",
+            pausedAt: new Date(),
+            pausedReason: "Paused by you",
+          },
+        },
+        { new: true },
+      ).populate("biller")
+    : null;
+  if (!paused) {
+    const exists = isId(id) && (await RecurringBill.exists({ _id: id, user: req.user._id }));
+    return res.status(exists ? 409 : 404).json({
+      success: false,
+      message: exists
+        ? "This recurring payment is already paused"
+        : "Recurring payment not found",
+    });
+  }
+
+  audit.log({
+    action: "bill.recurring_paused",
+    actor: audit.actor(req),
+    resource: { type: "recurring_bill", id: paused._id },
+  });
+
+  res.json({ success: true, data: scheduleView(paused) });
+});
+
+/**
+ * POST /api/bills/recurring/:id/resume
+ * Picks up from the next due date after now; missed runs aren't made up.
+ */
+const resumeRecurringBill = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user._id;
+
+  const schedule = isId(id)
+    ? await RecurringBill.findOne({ _id: id, user: userId })
+    : null;
+  if (!schedule) {
+    return res
+      .status(404)
+      .json({ success: false, message: "Recurring payment not found" });
+  }
+  if (schedule.status === "active") {
+    return res.status(409).json({
+      success: false,
+      message: "This recurring payment is not paused",
+    });
+  }
+
+  const resumed = await RecurringBill.findOneAndUpdate(
+    { _id: schedule._id, status: "paused" },
+    {
+      $set: {
+        status: "active",
+        consecutiveFailures: 0,
+        nextRunAt: nextRunAfter(schedule, new Date()),
+      },
+      $unset: { pausedAt: 1, pausedReason: 1 },
+    },
+    { new: true },
+  ).populate("biller");
+
+  audit.log({
+    action: "bill.recurring_resumed",
+    actor: audit.actor(req),
+    resource: { type: "recurring_bill", id: schedule._id },
+    metadata: { pausedReason: schedule.pausedReason },
+  });
+
+  res.json({ success: true, data: scheduleView(resumed || schedule) });
+});
+
+/**
+ * DELETE /api/bills/recurring/:id
+ */
+const deleteRecurringBill = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const deleted = isId(id)
+    ? await RecurringBill.findOneAndDelete({ _id: id, user: req.user._id })
+    : null;
+  if (!deleted) {
+    return res
+      .status(404)
+      .json({ success: false, message: "Recurring payment not found" });
+  }
+
+  audit.log({
+    action: "bill.recurring_deleted",
+    actor: audit.actor(req),
+    resource: { type: "recurring_bill", id: deleted._id },
+  });
+
+  res.json({ success: true, message: "Recurring payment deleted" });
+});
+
+module.exports = {
+  listSavedBillers,
+  createSavedBiller,
+  renameSavedBiller,
+  deleteSavedBiller,
+  listRecurringBills,
+  createRecurringBill,
+  updateRecurringBill,
+  pauseRecurringBill,
+  resumeRecurringBill,
+  deleteRecurringBill,
+};
@@ -22,16 +22,27 @@ const {
   serializeDeliveryOrder,
   serializeDeliveryOrderList,
 } = require("../utils/orderSerializer");
+const dispatchMatchingService = require("../services/dispatchMatchingService");
+const riderCoverage = require("../services/riderCoverageService");
+const deliveryBatch = require("../services/deliveryBatchService");
+const { handoverPinFor } = require("../services/deliveryProofService");
+const { recordReturnPickup } = require("../services/orderReturnService");
 
 // Filter for the shared "available" pool: unassigned delivery-agent orders that
-// any online rider can take. Not scoped to a single agent.
+// any online rider can take. Not scoped to a single agent. An order being
+// offered to one rider by auto-dispatch stays out of the pool until it is
+// escalated.
 const AVAILABLE_POOL_FILTER = {
   deliveryMethod: "delivery_agent",
   deliveryStatus: "pending_assignment",
   deliveryAgent: { $exists: false },
   orderStatus: { $ne: "cancelled" },
+  "autoDispatch.status": { $ne: "offering" },
 };
 
+// Matches no order: the pool on a rider's day off.
+const NO_ORDERS = { _id: { $in: [] } };
+
 // Base scope for a rider's own orders (any status).
 const mineScope = (agentId) => ({
   deliveryAgent: agentId,
@@ -56,22 +67,41 @@ const TAB_FILTERS = {
 
 // Tabs supported by the unified feed endpoint (GET /orders). "all" unions the
 // available pool with every order belonging to this rider; "available" is the
-// shared pool; the rest are this rider's own orders by tab.
-const buildFeedFilter = (tab, agentId) => {
+// shared pool; the rest are this rider's own orders by tab. `pool` is the pool
+// as this rider is shown it (see riderPoolView), null on their day off.
+const buildFeedFilter = (tab, agentId, pool = AVAILABLE_POOL_FILTER) => {
   switch (tab) {
     case "available":
-      return AVAILABLE_POOL_FILTER;
+      return pool || NO_ORDERS;
     case "ongoing":
     case "completed":
     case "cancelled":
       return { ...mineScope(agentId), ...TAB_FILTERS[tab] };
     case "all":
-      return { $or: [AVAILABLE_POOL_FILTER, mineScope(agentId)] };
+      return pool ? { $or: [pool, mineScope(agentId)] } : mineScope(agentId);
     default:
       return null;
   }
 };
 
+// The available pool as a rider is shown it: none of it on their days off, and
+// only pickups inside their coverage areas, nearest first (see
+// riderCoverageService). Riders without a profile see the whole pool.
+const riderPoolView = async (profile, agentId) => {
+  if (!profile) {
+    return { pool: AVAILABLE_POOL_FILTER, workingToday: true, nearestStores: null };
+  }
+  const positions = await dispatchMatchingService.riderPositions([agentId]);
+  const position = positions.get(String(agentId));
+  const scope = await riderCoverage.poolScope(profile, { position });
+  return {
+    pool: scope.filter && { ...AVAILABLE_POOL_FILTER, ...scope.filter },
+    workingToday: scope.workingToday,
+    nearestStores: scope.nearestStores,
+    position,
+  };
+};
+
 // Returns a specific rejection message if the agent can't act on orders yet, or
 // null if the profile is approved & active. Distinguishes the "no profile",
 // "pending approval", "rejected" and "suspended" cases so the rider app can show
@@ -99,6 +129,46 @@ const populateDeliveryOrder = (query) =>
     .populate("products.store", "name address mobile location")
     .populate("orderedBy", "firstname lastname fullName email mobile");
 
+/**
+ * One page of orders, newest first — or, given `nearestStores` (store ids
+ * nearest first), ordered by how near their primary pickup is, newest first
+ * among orders from the same store.
+ */
+const findOrdersPage = async (filters, { skip, limit, nearestStores }) => {
+  if (!nearestStores) {
+    return populateDeliveryOrder(Order.find(filters))
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+  }
+
+  const page = await Order.aggregate([
+    { $match: filters },
+    {
+      $addFields: {
+        pickupRank: {
+          $let: {
+            vars: {
+              rank: {
+                $indexOfArray: [nearestStores, { $arrayElemAt: ["$products.store", 0] }],
+              },
+            },
+            // Multi-store orders whose first store is out of coverage go last
+            in: { $cond: [{ $lt: ["$$rank", 0] }, nearestStores.length, "$$rank"] },
+          },
+        },
+      },
+    },
+    { $sort: { pickupRank: 1, createdAt: -1 } },
+    { $skip: skip },
+    { $limit: limit },
+    { $project: { _id: 1 } },
+  ]);
+  const ids = page.map(({ _id }) => String(_id));
+  const orders = await populateDeliveryOrder(Order.find({ _id: { $in: ids } }));
+  return orders.sort((a, b) => ids.indexOf(String(a._id)) - ids.indexOf(String(b._id)));
+};
+
 // Escape user input before using it in a RegExp so a search like "a.b" isn't
 // treated as a wildcard.
 const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
@@ -148,7 +218,8 @@ const buildSearchFilter = async (search) => {
   ];
 
   if (mongoose.isValidObjectId(term)) {
-    or.push({ _id: term });
+    // An ObjectId, not the string: aggregate $match does not cast
+    or.push({ _id: new mongoose.Types.ObjectId(term) });
   }
 
   const users = await User.find({
@@ -184,14 +255,17 @@ const combineFilters = (...fragments) => {
 
 /**
  * @function getAvailableOrders
- * @description Get orders available for delivery agent assignment
+ * @description Get orders available for delivery agent assignment: on the
+ *              agent's working days, those picked up inside their coverage
+ *              areas, nearest pickup first
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {string} req.user._id - Authenticated delivery agent's ID
  * @param {number} [req.query.page=1] - Page number
  * @param {number} [req.query.limit=10] - Items per page
  * @param {string} [req.query.status] - Filter by delivery status
- * @returns {Object} - Available orders for delivery
+ * @returns {Object} - Available orders for delivery, with the distance to each
+ *   pickup, and whether today is one of the agent's working days
  */
 const getAvailableOrders = asyncHandler(async (req, res) => {
   const { _id } = req.user;
@@ -212,11 +286,14 @@ const getAvailableOrders = asyncHandler(async (req, res) => {
     return res.status(400).json({ success: false, message: gate });
   }
 
-  // Build filter for available orders. Defaults to the shared unassigned pool;
-  // an explicit ?status= narrows to that delivery status for this agent.
+  // Build filter for available orders. Defaults to the pool as this agent is
+  // shown it; an explicit ?status= narrows to that delivery status for this agent.
+  const view = await riderPoolView(dispatchProfile, _id);
   let filters;
+  let nearestStores = null;
   if (!status || status === "pending_assignment") {
-    filters = AVAILABLE_POOL_FILTER;
+    filters = view.pool || NO_ORDERS;
+    nearestStores = view.nearestStores;
   } else {
     filters = {
       deliveryMethod: "delivery_agent",
@@ -229,17 +306,21 @@ const getAvailableOrders = asyncHandler(async (req, res) => {
   try {
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const orders = await populateDeliveryOrder(Order.find(filters))
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    const orders = await findOrdersPage(filters, {
+      skip,
+      limit: parseInt(limit),
+      nearestStores,
+    });
 
     const total = await Order.countDocuments(filters);
 
     res.json({
       success: true,
       data: {
-        orders: serializeDeliveryOrderList(orders),
+        workingToday: view.workingToday,
+        orders: serializeDeliveryOrderList(orders, {
+          pickupDistances: riderCoverage.pickupDistances(dispatchProfile, view.position, orders),
+        }),
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(total / parseInt(limit)),
@@ -257,7 +338,8 @@ const getAvailableOrders = asyncHandler(async (req, res) => {
 
 /**
  * @function selectOrder
- * @description Delivery agent selects an order for delivery
+ * @description Delivery agent selects an order for delivery. An agent already
+ *              on a trip may add orders that fit it (see deliveryBatchService)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {string} req.user._id - Authenticated delivery agent's ID
@@ -293,8 +375,10 @@ const selectOrder = asyncHandler(async (req, res) => {
       return res.status(400).json({ success: false, message: gate });
     }
 
-    // Check if agent is available
-    if (dispatchProfile.availability.status !== "online") {
+    // A rider on a trip is busy, and may still add deliveries to it
+    const trip = await deliveryBatch.activeTrip(_id);
+    const { status: availability } = dispatchProfile.availability;
+    if (availability !== "online" && !(availability === "busy" && trip.length)) {
       return res.status(400).json({
         success: false,
         message: "You must be online to select orders",
@@ -302,7 +386,10 @@ const selectOrder = asyncHandler(async (req, res) => {
     }
 
     // Find the order
-    const order = await Order.findById(orderId);
+    const order = await Order.findById(orderId).populate(
+      "products.store",
+      "name address location",
+    );
     if (!order) {
       return res.status(404).json({
         success: false,
@@ -318,25 +405,24 @@ const selectOrder = asyncHandler(async (req, res) => {
       });
     }
 
-    if (order.deliveryStatus !== "pending_assignment") {
+    if (
+      order.deliveryStatus !== "pending_assignment" ||
+      order.autoDispatch?.status === "offering"
+    ) {
       return res.status(400).json({
         success: false,
         message: "This order is no longer available for assignment",
       });
     }
 
-    // Check if agent already has an active order
-    const activeOrder = await Order.findOne({
-      deliveryAgent: _id,
-      deliveryStatus: { $in: ["assigned", "picked_up", "in_transit"] },
-    });
-
-    if (activeOrder) {
-      return res.status(400).json({
-        success: false,
-        message:
-          "You already have an active delivery. Complete it before selecting another.",
-      });
+    // A second order must fit the trip the agent is already on
+    const conflict = deliveryBatch.tripConflict(
+      trip,
+      order,
+      dispatchProfile.vehicleInfo?.type,
+    );
+    if (conflict) {
+      return res.status(400).json({ success: false, message: conflict });
     }
 
     // Assign order to delivery agent atomically with a status guard
@@ -345,6 +431,7 @@ const selectOrder = asyncHandler(async (req, res) => {
         _id: orderId,
         deliveryMethod: "delivery_agent",
         deliveryStatus: "pending_assignment",
+        "autoDispatch.status": { $ne: "offering" },
       },
       {
         $set: {
@@ -386,6 +473,7 @@ const selectOrder = asyncHandler(async (req, res) => {
         before: { deliveryStatus: "pending_assignment" },
         after: { deliveryStatus: "assigned", deliveryAgent: _id },
       },
+      metadata: { tripSize: trip.length + 1 },
     });
 
     res.json({
@@ -394,6 +482,7 @@ const selectOrder = asyncHandler(async (req, res) => {
       data: {
         order: serializeDeliveryOrder(populatedOrder),
         estimatedDeliveryTime: populatedOrder.estimatedDeliveryTime,
+        tripSize: trip.length + 1,
       },
     });
   } catch (error) {
@@ -402,6 +491,172 @@ const selectOrder = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * @function getCurrentTrip
+ * @description The deliveries the rider is carrying now, the stops to make in
+ * order (pickups before their drop-offs, nearest first) and a route through
+ * them. Each drop is still confirmed on its own via /orders/confirm-delivery.
+ * @param {string} req.user._id - Authenticated delivery agent's ID
+ * @returns {Object} - { orders, stops, route }; route is null without Mapbox
+ */
+const getCurrentTrip = asyncHandler(async (req, res) => {
+  const { orders, stops, route } = await deliveryBatch.planTrip(req.user._id);
+  const populated = orders.length
+    ? await populateDeliveryOrder(
+        Order.find({ _id: { $in: orders.map((o) => o._id) } }).sort({ createdAt: 1 }),
+      )
+    : [];
+
+  res.json({
+    success: true,
+    data: {
+      orders: serializeDeliveryOrderList(populated),
+      stops,
+      route,
+    },
+  });
+});
+
+// A return the rider collects, with what is coming back
+const serializeReturnPickup = (order) => ({
+  ...serializeDeliveryOrder(order),
+  orderStatus: order.orderStatus,
+  return: {
+    status: order.returnRequest?.status,
+    reason: order.returnRequest?.reason,
+    items: order.returnRequest?.items || [],
+    approvedAt: order.returnRequest?.decision?.at || null,
+    pickedUpAt: order.returnRequest?.pickedUpAt || null,
+  },
+});
+
+/**
+ * @function getReturnPickups
+ * @description Returns the rider is to collect from buyers and take back to
+ * the store: approved returns of orders they delivered, and those already
+ * picked up.
+ * @param {string} req.user._id - Authenticated delivery agent's ID
+ * @returns {Object} - { returns }
+ */
+const getReturnPickups = asyncHandler(async (req, res) => {
+  const orders = await populateDeliveryOrder(
+    Order.find({
+      "returnRequest.rider": req.user._id,
+      orderStatus: { $in: [STATUS.RETURN_APPROVED, STATUS.RETURN_IN_TRANSIT] },
+    }).sort({ "returnRequest.decision.at": 1 }),
+  );
+
+  res.json({ success: true, data: { returns: orders.map(serializeReturnPickup) } });
+});
+
+/**
+ * @function updateReturnPickup
+ * @description The rider collected a return from the buyer ("picked_up") or
+ * handed it in at the store ("delivered"). The seller then inspects it.
+ * @param {string} req.body.orderId - Order ID
+ * @param {string} req.body.status - "picked_up" | "delivered"
+ * @returns {Object} - The updated return pickup
+ */
+const updateReturnPickup = asyncHandler(async (req, res) => {
+  const { orderId, status } = req.body;
+
+  if (!orderId || !["picked_up", "delivered"].includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: "orderId and a status of picked_up or delivered are required",
+    });
+  }
+
+  validateMongodbId(orderId);
+
+  const order = await Order.findOne({ _id: orderId, "returnRequest.rider": req.user._id });
+  if (!order) {
+    return res.status(404).json({
+      success: false,
+      message: "Return not found or not assigned to you",
+    });
+  }
+
+  try {
+    await recordReturnPickup(order, status, req);
+  } catch (err) {
+    if (err instanceof OrderTransitionError) {
+      return res.status(err.statusCode).json({ success: false, message: err.message });
+    }
+    throw err;
+  }
+
+  const updated = await populateDeliveryOrder(Order.findById(orderId));
+  res.json({ success: true, data: serializeReturnPickup(updated) });
+});
+
+/**
+ * @function getCurrentOffer
+ * @description The auto-dispatch offer the rider holds right now, so the app
+ * can show it again after a restart. Offers also arrive over the location
+ * WebSocket ("dispatch_offer") and by push.
+ * @param {string} req.user._id - Authenticated delivery agent's ID
+ * @returns {Object} - { order, expiresAt }, or null data when there is no offer
+ */
+const getCurrentOffer = asyncHandler(async (req, res) => {
+  const order = await dispatchMatchingService.currentOfferFor(req.user._id);
+  res.json({
+    success: true,
+    data: order
+      ? {
+          order: serializeDeliveryOrder(order),
+          expiresAt: order.autoDispatch.currentOffer.expiresAt,
+        }
+      : null,
+  });
+});
+
+// Shared body of acceptOffer / declineOffer
+const answerOffer = async (req, res, accept) => {
+  const { orderId } = req.body;
+  if (!orderId) {
+    return res.status(400).json({
+      success: false,
+      message: "Order ID is required",
+    });
+  }
+  validateMongodbId(orderId);
+
+  const result = await dispatchMatchingService.respondToOffer(req, orderId, accept);
+  if (result.error) {
+    return res.status(result.status).json({ success: false, message: result.error });
+  }
+  if (!accept) {
+    return res.json({ success: true, message: "Offer declined" });
+  }
+
+  const populatedOrder = await populateDeliveryOrder(Order.findById(orderId));
+  res.json({
+    success: true,
+    message: "Offer accepted",
+    data: {
+      order: serializeDeliveryOrder(populatedOrder),
+      estimatedDeliveryTime: populatedOrder.estimatedDeliveryTime,
+    },
+  });
+};
+
+/**
+ * @function acceptOffer
+ * @description Accept the auto-dispatch offer the rider holds; the order is
+ * assigned to them as if they had selected it from the pool.
+ * @param {string} req.body.orderId - Order ID of the offer (required)
+ */
+const acceptOffer = asyncHandler((req, res) => answerOffer(req, res, true));
+
+/**
+ * @function declineOffer
+ * @description Decline the auto-dispatch offer the rider holds; the next
+ * best rider is offered the order.
+ * @param {string} req.body.orderId - Order ID of the offer (required)
+ */
+const declineOffer = asyncHandler((req, res) => answerOffer(req, res, false));
+
 /**
  * @function updateDeliveryStatus
  * @description Update delivery status of an assigned order
@@ -489,14 +744,15 @@ const updateDeliveryStatus = asyncHandler(async (req, res) => {
       Order.findByIdAndUpdate(orderId, updateData, { new: true }),
     );
 
-    // Update agent availability
-    const dispatchProfile = await DispatchProfile.findOne({ user: _id });
-    if (dispatchProfile) {
-      const newAvailability = status === "failed" ? "online" : "busy";
+    // Update agent availability: a failed drop frees the agent only once
+    // nothing else is left on their trip
+    if (status === "failed") {
+      await deliveryBatch.releaseRiderIfIdle(_id);
+    } else {
       await DispatchProfile.findOneAndUpdate(
         { user: _id },
         {
-          "availability.status": newAvailability,
+          "availability.status": "busy",
           lastActiveAt: new Date(),
         },
       );
@@ -518,7 +774,7 @@ const updateDeliveryStatus = asyncHandler(async (req, res) => {
     if (status === "picked_up") {
       sendPickedUpEmail(customer, updatedOrder);
     } else if (status === "in_transit") {
-      sendInTransitEmail(customer, updatedOrder);
+      sendInTransitEmail(customer, updatedOrder, await handoverPinFor(orderId));
     }
 
     res.json({
@@ -672,6 +928,8 @@ const updateAvailability = asyncHandler(async (req, res) => {
  *              including the default "All" tab which combines the available pool
  *              (pending_assignment, open to any rider) with this rider's own
  *              ongoing / completed / cancelled orders in a single paginated call.
+ *              The pool is scoped to the rider's coverage areas and working
+ *              days like GET /orders/available.
  * @param {Object} req - Express request object
  * @param {string} req.user._id - Authenticated delivery agent's ID
  * @param {number} [req.query.page=1] - Page number
@@ -694,7 +952,12 @@ const getOrdersFeed = asyncHandler(async (req, res) => {
     });
   }
 
-  const tabFilter = buildFeedFilter(tab, _id);
+  const dispatchProfile = await DispatchProfile.findOne({ user: _id }).select(
+    "coverageAreas availability",
+  );
+  const view = await riderPoolView(dispatchProfile, _id);
+
+  const tabFilter = buildFeedFilter(tab, _id, view.pool);
   if (!tabFilter) {
     return res.status(400).json({
       success: false,
@@ -713,10 +976,13 @@ const getOrdersFeed = asyncHandler(async (req, res) => {
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const orders = await populateDeliveryOrder(Order.find(filters))
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    // The available tab lists nearest pickups first; the others, which hold
+    // the rider's own orders, stay newest first.
+    const orders = await findOrdersPage(filters, {
+      skip,
+      limit: parseInt(limit),
+      nearestStores: tab === "available" ? view.nearestStores : null,
+    });
 
     const total = await Order.countDocuments(filters);
 
@@ -724,7 +990,10 @@ const getOrdersFeed = asyncHandler(async (req, res) => {
       success: true,
       data: {
         tab,
-        orders: serializeDeliveryOrderList(orders),
+        workingToday: view.workingToday,
+        orders: serializeDeliveryOrderList(orders, {
+          pickupDistances: riderCoverage.pickupDistances(dispatchProfile, view.position, orders),
+        }),
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(total / parseInt(limit)),
@@ -807,12 +1076,16 @@ const getDeliveryCounts = asyncHandler(async (req, res) => {
 
   const periodFilter = buildPeriodFilter(month, year);
   const searchFilter = await buildSearchFilter(search);
-  // Count each tab through the same period/search fragments as the feed. The
-  // "all" bucket is counted via its union filter (not a sum) so an order that
-  // could match two buckets is never double-counted.
+  const dispatchProfile = await DispatchProfile.findOne({ user: _id }).select(
+    "coverageAreas availability",
+  );
+  const { pool } = await riderPoolView(dispatchProfile, _id);
+  // Count each tab through the same pool, period and search fragments as the
+  // feed. The "all" bucket is counted via its union filter (not a sum) so an
+  // order that could match two buckets is never double-counted.
   const countTab = (t) =>
     Order.countDocuments(
-      combineFilters(buildFeedFilter(t, _id), periodFilter, searchFilter),
+      combineFilters(buildFeedFilter(t, _id, pool), periodFilter, searchFilter),
     );
 
   const [all, available, ongoing, completed, cancelled] = await Promise.all([
@@ -832,6 +1105,12 @@ const getDeliveryCounts = asyncHandler(async (req, res) => {
 module.exports = {
   getAvailableOrders,
   selectOrder,
+  getCurrentTrip,
+  getReturnPickups,
+  updateReturnPickup,
+  getCurrentOffer,
+  acceptOffer,
+  declineOffer,
   updateDeliveryStatus,
   getMyDeliveries,
   getOrdersFeed,
@@ -9,6 +9,9 @@ const { Validate } = require("../Helpers/Validate");
 const { ThrowError } = require("../Helpers/Helpers");
 const redisClient = require("../config/redisClient");
 const mapboxService = require("../services/mapboxService");
+const geofenceService = require("../services/geofenceService");
+const firebaseService = require("../services/firebaseNotificationService");
+const audit = require("../services/auditService");
 
 /**
  * @function updateLocation
@@ -112,8 +115,8 @@ const updateLocation = asyncHandler(async (req, res) => {
       await tracking.save();
     }
 
-    // Check geofences
-    await checkGeofences(tracking, latitude, longitude);
+    // Record geofence visits and report zone rules the rider is breaking
+    const geofences = await checkGeofences(tracking, latitude, longitude, req);
 
     // Cache location for real-time updates
     await redisClient.setex(
@@ -128,6 +131,13 @@ const updateLocation = asyncHandler(async (req, res) => {
       }),
     );
 
+    // The rider's latest position, whatever the order, for dispatch matching
+    await redisClient.setex(
+      `location:${_id}:latest`,
+      300,
+      JSON.stringify({ latitude, longitude, timestamp: new Date() }),
+    );
+
     // Publish location update to WebSocket clients
     await publishLocationUpdate(_id, orderId, {
       latitude,
@@ -149,6 +159,7 @@ const updateLocation = asyncHandler(async (req, res) => {
           timestamp: new Date(),
         },
         status: tracking.status,
+        geofences,
       },
     });
   } catch (error) {
@@ -570,64 +581,73 @@ async function getOptimizedRoute(start, waypoints) {
 }
 
 /**
- * Check geofences and trigger notifications
+ * Record geofence visits for the rider's new position and warn them about
+ * zone rules they break (see services/geofenceService). Never fails the
+ * location update.
+ * @returns {Promise<{ inside: Object[], violations: Object[] }>}
  */
-async function checkGeofences(tracking, latitude, longitude) {
+async function checkGeofences(tracking, latitude, longitude, req) {
   try {
-    const geofences = await Geofence.find({
-      status: "active",
-      "center.coordinates": {
-        $near: {
-          $geometry: {
-            type: "Point",
-            coordinates: [longitude, latitude],
-          },
-          $maxDistance: 5000, // 5km radius
-        },
-      },
-    });
+    const profile = await DispatchProfile.findOne({
+      user: tracking.deliveryAgent,
+    }).select("vehicleInfo.type");
+    const vehicleType = profile?.vehicleInfo?.type;
 
-    for (const geofence of geofences) {
-      const isInside = geofence.isPointInside(longitude, latitude);
-      const wasInside = tracking.geofences.find(
-        (gf) => gf.name === geofence.name,
-      );
-
-      if (isInside && !wasInside) {
-        // Entered geofence
-        tracking.geofences.push({
-          name: geofence.name,
-          type: geofence.type,
-          center: geofence.center,
-          radius: geofence.radius,
-          enteredAt: new Date(),
-        });
+    const { inside, violations, newViolations } =
+      await geofenceService.checkRiderPosition(tracking, {
+        longitude,
+        latitude,
+        vehicleType,
+      });
+    await tracking.save();
 
-        tracking.notifications.push({
-          type: "geofence_enter",
-          message: `Entered ${geofence.name}`,
-          timestamp: new Date(),
-        });
-      } else if (!isInside && wasInside) {
-        // Exited geofence
-        const geofenceIndex = tracking.geofences.findIndex(
-          (gf) => gf.name === geofence.name,
+    for (const { geofence, rule, message } of newViolations) {
+      audit.log({
+        action: "dispatch.geofence_violation",
+        actor: audit.actor(req),
+        resource: {
+          type: "dispatch",
+          id: tracking.deliveryAgent,
+          displayName: geofence.name,
+        },
+        metadata: {
+          geofenceId: geofence._id,
+          rule,
+          message,
+          orderId: tracking.order,
+          coordinates: [longitude, latitude],
+        },
+      });
+      firebaseService
+        .sendTemplatedNotification(
+          tracking.deliveryAgent,
+          `geofence_${rule}`,
+          { zone: geofence.name, vehicle: vehicleType },
+          {
+            type: "geofence_violation",
+            geofenceId: geofence._id.toString(),
+            orderId: tracking.order.toString(),
+          },
+          "deliveryUpdates",
+          { urgent: true },
+        )
+        .catch((err) =>
+          console.error("Geofence warning failed:", err.message),
         );
-        if (geofenceIndex !== -1) {
-          tracking.geofences[geofenceIndex].exitedAt = new Date();
-        }
-
-        tracking.notifications.push({
-          type: "geofence_exit",
-          message: `Exited ${geofence.name}`,
-          timestamp: new Date(),
-        });
-      }
     }
 
-    await tracking.save();
+    return {
+      inside: inside.map((g) => ({ _id: g._id, name: g.name, type: g.type })),
+      violations: violations.map(({ geofence, rule, message }) => ({
+        geofence: geofence._id,
+        name: geofence.name,
+        rule,
+        message,
+      })),
+    };
   } catch (error) {
     console.log("Geofence check error:", error.message);
+    return { inside: [], violations: [] };
   }
 }
 
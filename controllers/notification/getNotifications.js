@@ -31,6 +31,7 @@ const getNotifications = asyncHandler(async (req, res) => {
     const filter = {
       recipient: _id,
       status: { $in: ["pending", "sent", "delivered"] },
+      ...Notification.dueFilter(),
     };
 
     if (type) {
@@ -4,39 +4,43 @@ const firebaseService = require("../../services/firebaseNotificationService");
 
 /**
  * Broadcast a notification to all dispatch agents.
- * Saves an in-app record per agent and fires push via Firebase role broadcast.
+ * Saves an in-app record per agent and fires a push to each, rendered from
+ * templates/notifications in that agent's language.
  *
- * @param {string} type     - Notification type (e.g. "dispatch_request")
- * @param {string} message  - Notification body
+ * @param {string} template - Template name (e.g. "delivery_request")
+ * @param {Object} vars     - Template placeholders (orderNumber, etc.)
  * @param {Object} data     - Extra payload (orderId, deliveryAddress, etc.)
  */
-const sendDeliveryAgentNotification = async (type, message, data = {}) => {
+const sendDeliveryAgentNotification = async (template, vars = {}, data = {}) => {
   const agents = await User.find({ role: { $in: ["dispatch"] } }).select("_id");
 
-  await Promise.all(
-    agents.map((agent) =>
-      Notification.createNotification({
-        recipient: agent._id,
-        type: "dispatch_request",
-        title: "New Delivery Request",
-        message,
-        data,
-        role: "dispatch",
-        ...(data.orderId && {
-          relatedEntity: { type: "order", id: data.orderId },
-        }),
-      }).catch((err) =>
-        console.error(`Failed to save dispatch notification for agent ${agent._id}:`, err),
-      ),
-    ),
-  );
-
-  return firebaseService.sendNotificationToRole(
-    "dispatch",
-    "New Delivery Request",
-    message,
-    data,
-    "deliveryUpdates",
+  return Promise.all(
+    agents.map(async (agent) => {
+      try {
+        const { title, body } = await firebaseService.renderForUser(agent._id, template, vars);
+        await Notification.createNotification({
+          recipient: agent._id,
+          type: "dispatch_request",
+          title,
+          message: body,
+          data,
+          role: "dispatch",
+          ...(data.orderId && {
+            relatedEntity: { type: "order", id: data.orderId },
+          }),
+        });
+        return await firebaseService.sendTemplatedNotification(
+          String(agent._id),
+          template,
+          vars,
+          data,
+          "deliveryUpdates",
+        );
+      } catch (err) {
+        console.error(`Failed to notify dispatch agent ${agent._id}:`, err);
+        return { success: false, error: err.message };
+      }
+    }),
   );
 };
 
@@ -3,15 +3,18 @@ const firebaseService = require("../../services/firebaseNotificationService");
 
 /**
  * Send an order notification to a customer.
- * Saves an in-app notification record and fires a push notification.
+ * Saves an in-app notification record and fires a push notification, both
+ * rendered from templates/notifications in the customer's language.
  *
  * @param {string} userId   - Recipient user ID
- * @param {string} title    - Notification title
- * @param {string} body     - Notification body
+ * @param {string} template - Template name (e.g. "order_created_pickup")
+ * @param {Object} vars     - Template placeholders (orderNumber, etc.)
  * @param {Object} data     - Extra payload (orderId, orderNumber, etc.)
  * @param {string} orderId  - Related order ID (for relatedEntity)
  */
-const sendOrderNotification = async (userId, title, body, data = {}, orderId) => {
+const sendOrderNotification = async (userId, template, vars = {}, data = {}, orderId) => {
+  const { title, body } = await firebaseService.renderForUser(userId, template, vars);
+
   await Notification.createNotification({
     recipient: userId,
     type: "order_placed",
@@ -22,7 +25,7 @@ const sendOrderNotification = async (userId, title, body, data = {}, orderId) =>
     ...(orderId && { relatedEntity: { type: "order", id: orderId } }),
   });
 
-  return firebaseService.sendNotificationToUser(userId, title, body, data, "orderUpdates");
+  return firebaseService.sendTemplatedNotification(userId, template, vars, data, "orderUpdates");
 };
 
 module.exports = sendOrderNotification;
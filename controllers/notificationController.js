@@ -7,6 +7,7 @@ const { Validate } = require("../Helpers/Validate");
 const { ThrowError } = require("../Helpers/Helpers");
 const firebaseNotificationService = require("../services/firebaseNotificationService");
 const redisClient = require("../config/redisClient");
+const { parseClock, isValidTimeZone } = require("../utils/notificationSchedule");
 
 
 /**
@@ -271,6 +272,25 @@ const updateNotificationPreferences = asyncHandler(async (req, res) => {
   const { _id } = req.user;
   const updateData = req.body;
 
+  // Enum values are checked by runValidators; times and the timezone are not
+  const { quietHours } = updateData;
+  if (quietHours) {
+    for (const key of ["startTime", "endTime"]) {
+      if (quietHours[key] !== undefined && parseClock(quietHours[key]) === null) {
+        return res.status(400).json({
+          success: false,
+          message: `quietHours.${key} must be a time like "22:00"`,
+        });
+      }
+    }
+    if (quietHours.timezone !== undefined && !isValidTimeZone(quietHours.timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown timezone: ${quietHours.timezone}`,
+      });
+    }
+  }
+
   try {
     const preferences = await NotificationPreferences.findOneAndUpdate(
       { user: _id },
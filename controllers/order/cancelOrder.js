@@ -0,0 +1,127 @@
+const asyncHandler = require("express-async-handler");
+const mongoose = require("mongoose");
+const Order = require("../../models/orderModel");
+const { validateMongodbId } = require("../../utils/validateMongodbId");
+const { PaymentStatus } = require("../../utils/constants");
+const {
+  transitionOrder,
+  OrderTransitionError,
+  ROLE,
+  STATUS,
+} = require("../../services/orderTransitionService");
+const {
+  loadRefundableOrder,
+  refundDestination,
+  refundOrder,
+} = require("../../services/orderRefundService");
+const audit = require("../../services/auditService");
+
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * @function cancelOrder
+ * @description Buyer cancellation, allowed until the seller marks the order
+ *   ready for pickup (utils/orderStatus). The state machine restocks the
+ *   items; a paid order is refunded in full through orderRefundService, in
+ *   the same transaction.
+ * @access Buyer who placed the order
+ * @param {string} req.params.id - Order ID
+ * @param {string} [req.body.reason] - Why, shown to the seller
+ * @param {string} [req.body.refundTo] - "card" or "wallet" (instant store
+ *   credit) for a paid order; defaults to the way it was paid
+ * @returns {Object} - { order, refund }
+ */
+const cancelOrder = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  validateMongodbId(id);
+
+  const reason =
+    typeof req.body.reason === "string" && req.body.reason.trim()
+      ? req.body.reason.trim()
+      : undefined;
+  if (reason && reason.length > MAX_REASON_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `reason must be at most ${MAX_REASON_LENGTH} characters`,
+    });
+  }
+
+  const owned = await Order.findOne({ _id: id, orderedBy: req.user._id }).select(
+    "paymentMethod",
+  );
+  if (!owned) {
+    return res.status(404).json({ success: false, message: "Order not found" });
+  }
+  const { refundTo } = req.body;
+  const destination = refundDestination(owned, refundTo);
+  if (destination.error) {
+    return res.status(400).json({ success: false, message: destination.error });
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      const order = await loadRefundableOrder(id, session);
+      const wasPaid = order.paymentStatus === PaymentStatus.PAID;
+
+      // The transition checks the order may still be cancelled before any
+      // money moves
+      const updated = await transitionOrder({
+        orderId: id,
+        toStatus: STATUS.CANCELLED,
+        role: ROLE.BUYER,
+        req,
+        reason,
+        session,
+        extraSet: { cancellation: { role: ROLE.BUYER, reason, at: new Date() } },
+      });
+
+      const refund = wasPaid
+        ? await refundOrder(
+            order,
+            {
+              reason: reason || "Cancelled by buyer",
+              // The transition has put the items back already
+              restock: false,
+              refundTo,
+              actor: audit.actor(req),
+            },
+            session,
+          )
+        : null;
+
+      result = {
+        order: updated,
+        refund: refund && {
+          amount: refund.amount,
+          refund_id: refund.refundId,
+          refundTo: refund.refund.method,
+          creditNoteNumber: refund.refund.creditNoteNumber,
+        },
+      };
+    });
+
+    res.json({
+      success: true,
+      message: !result.refund
+        ? "Order cancelled."
+        : result.refund.refundTo === "wallet"
+          ? "Order cancelled. The refund is in your wallet."
+          : "Order cancelled. Your refund is on its way.",
+      data: result,
+    });
+  } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: "This order can no longer be cancelled",
+      });
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+});
+
+module.exports = cancelOrder;
@@ -2,6 +2,7 @@ const asyncHandler = require("express-async-handler");
 const mongoose = require("mongoose");
 const uniqid = require("uniqid");
 const Order = require("../../models/orderModel");
+const Checkout = require("../../models/checkoutModel");
 const Cart = require("../../models/cartModel");
 const Product = require("../../models/productModel");
 const Store = require("../../models/storeModel");
@@ -12,6 +13,21 @@ const appConfig = require("../../config/appConfig");
 const deliveryFeeService = require("../../services/deliveryFeeService");
 const mapboxService = require("../../services/mapboxService");
 const audit = require("../../services/auditService");
+const couponService = require("../../services/couponService");
+const storeSaleService = require("../../services/storeSaleService");
+const geofenceService = require("../../services/geofenceService");
+const dispatchMatchingService = require("../../services/dispatchMatchingService");
+const { generateHandoverPin } = require("../../services/deliveryProofService");
+const money = require("../../utils/money");
+const { normalizeVehicleType } = require("../../utils/vehicleType");
+const {
+  resolveVariant,
+  availableStock,
+  linePrices,
+  variantSnapshot,
+  variantLabel,
+  reserveStockOp,
+} = require("../../utils/productVariants");
 const {
   PaymentStatus,
   OrderStatus,
@@ -20,17 +36,129 @@ const {
   PaymentMethod,
 } = require("../../utils/constants");
 
+// "Sneaker (Size 41, Color Black)" for a variant line, plain title otherwise.
+const lineTitle = (title, options) => {
+  const label = variantLabel(options);
+  return label ? `${title} (${label})` : title;
+};
+
+// The store a cart line is fulfilled by. The product is authoritative; the
+// line's own copy is only for carts whose product could not be populated.
+const lineStoreId = (item) => {
+  const store = item.product?.store?._id ?? item.product?.store ?? item.store;
+  if (!store) throw new Error("Store information not found");
+  return String(store);
+};
+
+// Vehicle a delivery is quoted for when the buyer does not ask for another
+const DEFAULT_VEHICLE_TYPE = "motorcycle";
+
+// Total package weight in kg per store. Products without a weight add nothing.
+const weightByStore = (cartLines) => {
+  const weights = new Map();
+  for (const item of cartLines) {
+    const storeId = lineStoreId(item);
+    const lineWeight = (item.product?.weight || 0) * item.count;
+    weights.set(storeId, (weights.get(storeId) || 0) + lineWeight);
+  }
+  for (const [storeId, kg] of weights) weights.set(storeId, Math.round(kg * 1000) / 1000);
+  return weights;
+};
+
+/**
+ * Quote delivery from one store to the buyer. Falls back to the flat base fee
+ * when the Matrix API is unavailable, but never for an out-of-range distance
+ * or an overweight package.
+ *
+ * @param {Object} options - { vehicleType, weightKg } for the pricing rules
+ */
+const quoteDelivery = async (store, userLocation, options) => {
+  try {
+    // Prefer GeoJSON coords for accuracy; fall back to address string
+    const storeLocation =
+      store.location?.coordinates?.length === 2
+        ? {
+            lat: store.location.coordinates[1],
+            lng: store.location.coordinates[0],
+          }
+        : store.address;
+
+    // Calculate fee using the Mapbox Matrix API
+    const feeData = await deliveryFeeService.calculateDeliveryFee(
+      storeLocation,
+      userLocation,
+      options,
+    );
+
+    console.log(
+      `📍 Delivery fee calculated: ${feeData.fee} NGN for ${feeData.distance}km from store ${store._id}`,
+    );
+    return {
+      deliveryFee: feeData.fee,
+      deliveryMetadata: {
+        distance: feeData.distance,
+        estimatedTime: feeData.estimatedTime,
+        calculatedAt: new Date(),
+        storeAddress: store.address,
+        fallback: feeData.fallback || false,
+        vehicleType: options.vehicleType,
+        pricing: feeData.pricing,
+      },
+    };
+  } catch (error) {
+    console.error("Delivery fee calculation error:", error.message);
+
+    // If distance exceeds maximum, reject the order
+    if (error.message.includes("exceeds maximum")) {
+      throw new Error(`${store.name || "A store in your cart"}: ${error.message}`);
+    }
+
+    // Otherwise use fallback
+    console.warn(
+      `⚠️ Using fallback delivery fee: ${appConfig.delivery.baseFee} NGN`,
+    );
+    return {
+      deliveryFee: appConfig.delivery.baseFee,
+      deliveryMetadata: {
+        distance: 0,
+        estimatedTime: 0,
+        calculatedAt: new Date(),
+        storeAddress: store.address,
+        fallback: true,
+        error: error.message,
+        vehicleType: options.vehicleType,
+      },
+    };
+  }
+};
+
+const populateOrder = (query) =>
+  query
+    .populate("products.product", "title listedPrice images brand")
+    .populate("products.store", "name address mobile")
+    .populate("orderedBy", "fullName email mobile");
+
+const nextStepFor = (deliveryMethod) =>
+  deliveryMethod === DeliveryMethod.DELIVERY_AGENT
+    ? "Waiting for delivery agent assignment"
+    : "Ready for pickup";
+
 /**
  * @function createOrder
- * @description Creates a new order for the user with transaction support
+ * @description Checks out the user's cart with transaction support. The cart
+ * is split by store: each store gets its own child order with its own
+ * delivery quote, lifecycle and rider, all grouped under one Checkout that
+ * the buyer pays once (see initializePayment).
  * @param {Object} req - Express request object containing order details
  * @param {Object} res - Express response object
- * @param {string} req.body.paymentMethod - Payment method (cash, card, bank)
+ * @param {string} req.body.paymentMethod - Payment method (cash, card, bank,
+ *   wallet); a wallet checkout is then paid with payWithWallet
  * @param {string} req.body.deliveryMethod - Delivery method (self_delivery, delivery_agent)
  * @param {Object} req.body.deliveryAddress - Delivery address details
  * @param {string} req.body.deliveryNotes - Optional delivery notes
+ * @param {string} [req.body.vehicleType] - Vehicle to quote delivery for (default motorcycle)
  * @param {string} req.user._id - Authenticated user's ID
- * @returns {Object} - Created order details
+ * @returns {Object} - The checkout and its orders; `order` is the first one
  */
 const createOrder = asyncHandler(async (req, res) => {
   const {
@@ -41,6 +169,7 @@ const createOrder = asyncHandler(async (req, res) => {
     deliveryLocation, // optional: { placeId, lat, lng, formattedAddress } from Places
     clientSideId, // optional: unique ID from client for idempotency
   } = req.body;
+  const vehicleType = normalizeVehicleType(req.body.vehicleType ?? DEFAULT_VEHICLE_TYPE);
   const { _id } = req.user;
 
   // Validate input
@@ -67,41 +196,58 @@ const createOrder = asyncHandler(async (req, res) => {
     });
   }
 
+  if (!vehicleType) {
+    return res.status(400).json({
+      success: false,
+      message: "Invalid vehicle type",
+    });
+  }
+
   validateMongodbId(_id);
 
   const session = await mongoose.startSession();
 
   try {
-    // Check for existing order with the same clientSideId (Idempotency)
+    // Check for an existing checkout with the same clientSideId (Idempotency)
     if (clientSideId) {
-      const existingOrder = await Order.findOne({ clientSideId })
-        .populate("products.product", "title listedPrice images brand")
-        .populate("products.store", "name address mobile")
-        .populate("orderedBy", "fullName email mobile");
-
-      if (existingOrder) {
+      const existingCheckout = await Checkout.findOne({ clientSideId });
+      // Orders placed before checkouts existed carry the clientSideId themselves
+      const existingOrders = existingCheckout
+        ? await populateOrder(Order.find({ checkout: existingCheckout._id }))
+        : await populateOrder(Order.find({ clientSideId }));
+
+      if (existingOrders.length) {
+        const first = existingOrders[0];
         return res.json({
           success: true,
           message: "Order already exists (Idempotent response)",
           data: {
-            order: existingOrder,
-            totalAmount: existingOrder.paymentIntent.amount,
-            deliveryFee: existingOrder.deliveryFee,
-            deliveryMethod: existingOrder.deliveryMethod,
-            nextStep:
-              existingOrder.deliveryMethod === DeliveryMethod.DELIVERY_AGENT
-                ? "Waiting for delivery agent assignment"
-                : "Ready for pickup",
+            checkout: existingCheckout,
+            orders: existingOrders,
+            order: first,
+            totalAmount: existingCheckout
+              ? existingCheckout.paymentIntent.amount
+              : first.paymentIntent.amount,
+            deliveryFee: existingCheckout
+              ? existingCheckout.deliveryFee
+              : first.deliveryFee,
+            deliveryMethod: first.deliveryMethod,
+            nextStep: nextStepFor(first.deliveryMethod),
           },
         });
       }
     }
 
-    let populatedOrder;
+    let checkout;
+    let populatedOrders;
     let totalAmount;
     let deliveryFee = 0;
-    let deliveryMetadata = null;
+    // storeId → { deliveryFee, deliveryMetadata }
+    const deliveryQuotes = new Map();
     let resolvedDeliveryLocation;
+    // Coupon applied to the cart, if any; re-validated in the transaction
+    let coupon = null;
+    let discount = 0;
 
     // ── Delivery pricing & geocoding — deliberately OUTSIDE the transaction ──
     // session.withTransaction() re-runs its callback whenever MongoDB reports a
@@ -117,86 +263,86 @@ const createOrder = asyncHandler(async (req, res) => {
         throw new Error("Cart is empty");
       }
 
+      // A code that stopped applying since it was added (expired, used up)
+      // is dropped from the cart so the buyer sees the full price before paying.
+      if (cartForPricing.coupon?.code) {
+        const { code } = cartForPricing.coupon;
+        const { coupon: applied, error } =
+          await couponService.applyCartCoupon(cartForPricing);
+        if (error) {
+          await cartForPricing.save();
+          throw new Error(
+            `Coupon ${code} was removed: ${error}. Please review your cart.`,
+          );
+        }
+        coupon = applied;
+      }
+
       // Holds a resolved Place Details lookup so it is only paid for once,
       // shared between the fee calculation and the GeoJSON build further down.
       let placeDetails = null;
 
       if (deliveryMethod === DeliveryMethod.DELIVERY_AGENT) {
-        try {
-          // Get store with both address string and GeoJSON location
-          const firstProduct = await Product.findById(
-            cartForPricing.products[0].product._id,
-          ).populate("store", "address location");
-
-          if (!firstProduct || !firstProduct.store) {
-            throw new Error("Store information not found");
+        // Resolve user delivery location to coords (prefer pre-resolved placeId / lat+lng)
+        let userLocation = deliveryAddress; // string fallback
+        if (deliveryLocation?.lat && deliveryLocation?.lng) {
+          userLocation = {
+            lat: deliveryLocation.lat,
+            lng: deliveryLocation.lng,
+          };
+        } else if (deliveryLocation?.placeId) {
+          // Cached on `placeDetails` so the GeoJSON build below can reuse it
+          // instead of paying for a second Place Details lookup.
+          placeDetails = await mapboxService.getPlaceDetails(
+            deliveryLocation.placeId,
+          );
+          if (placeDetails) {
+            userLocation = { lat: placeDetails.lat, lng: placeDetails.lng };
           }
+        }
 
-          const store = firstProduct.store;
-
-          // Prefer GeoJSON coords for accuracy; fall back to address string
-          const storeLocation =
-            store.location?.coordinates?.length === 2
-              ? {
-                  lat: store.location.coordinates[1],
-                  lng: store.location.coordinates[0],
-                }
-              : store.address;
-
-          // Resolve user delivery location to coords (prefer pre-resolved placeId / lat+lng)
-          let userLocation = deliveryAddress; // string fallback
-          if (deliveryLocation?.lat && deliveryLocation?.lng) {
-            userLocation = {
-              lat: deliveryLocation.lat,
-              lng: deliveryLocation.lng,
-            };
-          } else if (deliveryLocation?.placeId) {
-            // Cached on `placeDetails` so the GeoJSON build below can reuse it
-            // instead of paying for a second Place Details lookup.
-            placeDetails = await mapboxService.getPlaceDetails(
-              deliveryLocation.placeId,
+        // Once service areas are defined, only addresses inside one are
+        // delivered to. A typed address is geocoded here once and the
+        // coordinates reused for every store's quote.
+        if (await geofenceService.hasServiceAreas()) {
+          if (typeof userLocation === "string") {
+            const geocoded = await mapboxService.geocodeAddress(userLocation);
+            if (geocoded) userLocation = { lat: geocoded.lat, lng: geocoded.lng };
+          }
+          if (userLocation?.lat === undefined) {
+            throw new Error(
+              "We could not locate your delivery address. Please pick it on the map.",
             );
-            if (placeDetails) {
-              userLocation = { lat: placeDetails.lat, lng: placeDetails.lng };
-            }
           }
-
-          // Calculate fee using the Mapbox Matrix API
-          const feeData = await deliveryFeeService.calculateDeliveryFee(
-            storeLocation,
-            userLocation,
+          const { covered } = await geofenceService.deliveryCoverage(
+            Number(userLocation.lng),
+            Number(userLocation.lat),
           );
-
-          deliveryFee = feeData.fee;
-          deliveryMetadata = {
-            distance: feeData.distance,
-            estimatedTime: feeData.estimatedTime,
-            calculatedAt: new Date(),
-            storeAddress: store.address,
-            fallback: feeData.fallback || false,
-          };
-
-          console.log(
-            `📍 Delivery fee calculated: ${deliveryFee} NGN for ${feeData.distance}km`,
-          );
-        } catch (error) {
-          console.error("Delivery fee calculation error:", error.message);
-
-          // If distance exceeds maximum, reject the order
-          if (error.message.includes("exceeds maximum")) {
-            throw error;
+          if (!covered) {
+            throw new Error("Sorry, we do not deliver to this address yet");
           }
+        }
 
-          // Otherwise use fallback
-          deliveryFee = appConfig.delivery.baseFee;
-          deliveryMetadata = {
-            distance: 0,
-            estimatedTime: 0,
-            calculatedAt: new Date(),
-            fallback: true,
-            error: error.message,
-          };
-          console.warn(`⚠️ Using fallback delivery fee: ${deliveryFee} NGN`);
+        // One quote per store: each store is a separate pickup leg.
+        const storeIds = [
+          ...new Set(cartForPricing.products.map(lineStoreId)),
+        ];
+        const stores = await Store.find({ _id: { $in: storeIds } }).select(
+          "name address location",
+        );
+        const weights = weightByStore(cartForPricing.products);
+        for (const storeId of storeIds) {
+          const store = stores.find((s) => s._id.toString() === storeId);
+          if (!store) {
+            throw new Error("Store information not found");
+          }
+          deliveryQuotes.set(
+            storeId,
+            await quoteDelivery(store, userLocation, {
+              vehicleType,
+              weightKg: weights.get(storeId),
+            }),
+          );
         }
       }
 
@@ -235,133 +381,294 @@ const createOrder = asyncHandler(async (req, res) => {
         throw new Error("Cart is empty");
       }
 
-      // Check stock availability
+      // Check stock availability and build the order lines, grouped by store.
+      // Each line is priced from the product (or its chosen variant) as it
+      // stands now, and that unit price is snapshotted so later price edits do
+      // not rewrite what the buyer paid.
+      const linesByStore = new Map();
+      // The same lines in the shape couponService.evaluateCoupon expects
+      const couponLines = [];
+      const sales = await storeSaleService.liveSalesFor(
+        userCart.products.map((item) => item.product).filter(Boolean),
+        { session },
+      );
       for (const item of userCart.products) {
         if (!item.product) {
           throw new Error(`Product not found in cart (maybe deleted)`);
         }
-        if (item.product.quantity < item.count) {
+
+        const { variant, error: variantError } = resolveVariant(
+          item.product,
+          item.variant ? { variantId: item.variant } : {},
+        );
+        if (variantError) {
+          throw new Error(`${item.product.title}: ${variantError}`);
+        }
+
+        const available = availableStock(item.product, variant);
+        if (available < item.count) {
           throw new Error(
-            `Insufficient stock for ${item.product.title}. Available: ${item.product.quantity}, Requested: ${item.count}`,
+            `Insufficient stock for ${lineTitle(item.product.title, variant?.options)}. Available: ${available}, Requested: ${item.count}`,
           );
         }
+
+        const storeId = lineStoreId(item);
+        // Sale price while a store sale with enough units left covers it
+        const prices = storeSaleService.applySale(
+          linePrices(item.product, variant),
+          storeSaleService.saleFor(item.product, sales, { count: item.count }),
+        );
+        if (!linesByStore.has(storeId)) linesByStore.set(storeId, []);
+        linesByStore.get(storeId).push({
+          product: item.product._id,
+          ...variantSnapshot(variant),
+          count: item.count,
+          ...prices,
+          store: storeId,
+        });
+        couponLines.push({
+          store: storeId,
+          category: item.product.category,
+          price: money.multiply(prices.unitPrice, item.count),
+        });
+      }
+
+      // The cart may have gained a store since delivery was quoted.
+      if (deliveryMethod === DeliveryMethod.DELIVERY_AGENT) {
+        for (const storeId of linesByStore.keys()) {
+          if (!deliveryQuotes.has(storeId)) {
+            throw new Error("Your cart changed during checkout. Please try again.");
+          }
+        }
       }
 
-      totalAmount = userCart.cartTotal + deliveryFee;
-
-      // Generate the human-friendly sequential order number (e.g. WM1201).
-      // Uses the session so the counter rolls back if the transaction aborts.
-      const orderNumber = await generateOrderNumber(session);
-
-      // Create order
-      const order = new Order({
-        orderNumber,
-        products: userCart.products,
-        paymentIntent: {
-          id: uniqid(),
-          method: paymentMethod,
-          amount: totalAmount,
-          status: PaymentStatus.UNPAID,
-          created: Date.now(),
-          currency: "NGN",
-        },
-        deliveryMethod: deliveryMethod,
-        deliveryAddress: deliveryAddress,
-        ...(resolvedDeliveryLocation && {
-          deliveryLocation: resolvedDeliveryLocation,
-        }),
-        deliveryNotes: deliveryNotes || "",
-        deliveryFee: deliveryFee,
-        deliveryMetadata: deliveryMetadata,
-        deliveryStatus:
-          deliveryMethod === DeliveryMethod.DELIVERY_AGENT
-            ? DeliveryStatus.PENDING_ASSIGNMENT
-            : DeliveryStatus.ASSIGNED,
+      // Price the coupon against the final lines and the quoted delivery
+      // fees. Each store's order carries its own share of the discount.
+      let couponResult = null;
+      if (coupon) {
+        couponResult = couponService.evaluateCoupon(coupon, {
+          lines: couponLines,
+          deliveryFees: Object.fromEntries(
+            [...deliveryQuotes].map(([storeId, q]) => [storeId, q.deliveryFee]),
+          ),
+          userRedemptions: await couponService.countUserRedemptions(
+            coupon._id,
+            _id,
+            session,
+          ),
+        });
+        if (couponResult.error) {
+          throw new Error(`Coupon ${coupon.code}: ${couponResult.error}`);
+        }
+      }
+      const discountFor = (storeId) => {
+        const share = couponResult?.byStore[storeId] || { items: 0, delivery: 0 };
+        return {
+          coupon: coupon._id,
+          code: coupon.code,
+          items: share.items,
+          delivery: share.delivery,
+          amount: money.add(share.items, share.delivery),
+        };
+      };
+
+      // Build one child order per store, under a single checkout.
+      checkout = new Checkout({
         orderedBy: _id,
-        orderStatus: OrderStatus.PENDING,
-        statusHistory: [
-          { status: OrderStatus.PENDING, at: new Date(), role: "system" },
-        ],
-        paymentStatus: PaymentStatus.UNPAID,
-        paymentMethod: paymentMethod,
-        clientSideId: clientSideId,
+        paymentMethod,
+        clientSideId,
       });
 
-      const newOrder = await order.save({ session });
+      const orders = [];
+      for (const [storeId, lines] of linesByStore) {
+        const quote = deliveryQuotes.get(storeId) || {
+          deliveryFee: 0,
+          deliveryMetadata: null,
+        };
+        const itemsTotal = money.sum(lines, (line) =>
+          money.multiply(line.unitPrice, line.count),
+        );
+        const orderDiscount = coupon ? discountFor(storeId) : null;
+        const amount = money.subtract(
+          money.add(itemsTotal, quote.deliveryFee),
+          orderDiscount?.amount || 0,
+        );
+
+        // Generate the human-friendly sequential order number (e.g. WM1201).
+        // Uses the session so the counter rolls back if the transaction aborts.
+        const orderNumber = await generateOrderNumber(session);
+
+        orders.push(
+          new Order({
+            orderNumber,
+            checkout: checkout._id,
+            products: lines,
+            // Each order keeps its own share of the payment; the buyer is
+            // charged the checkout's paymentIntent, which is their sum.
+            paymentIntent: {
+              id: uniqid(),
+              method: paymentMethod,
+              amount,
+              status: PaymentStatus.UNPAID,
+              created: Date.now(),
+              currency: "NGN",
+            },
+            deliveryMethod: deliveryMethod,
+            deliveryAddress: deliveryAddress,
+            ...(resolvedDeliveryLocation && {
+              deliveryLocation: resolvedDeliveryLocation,
+            }),
+            deliveryNotes: deliveryNotes || "",
+            deliveryFee: quote.deliveryFee,
+            deliveryMetadata: quote.deliveryMetadata,
+            ...(orderDiscount && { discount: orderDiscount }),
+            deliveryStatus:
+              deliveryMethod === DeliveryMethod.DELIVERY_AGENT
+                ? DeliveryStatus.PENDING_ASSIGNMENT
+                : DeliveryStatus.ASSIGNED,
+            ...(deliveryMethod === DeliveryMethod.DELIVERY_AGENT && {
+              deliveryConfirmation: { handoverPin: generateHandoverPin() },
+            }),
+            orderedBy: _id,
+            orderStatus: OrderStatus.PENDING,
+            statusHistory: [
+              { status: OrderStatus.PENDING, at: new Date(), role: "system" },
+            ],
+            paymentStatus: PaymentStatus.UNPAID,
+            paymentMethod: paymentMethod,
+          }),
+        );
+      }
+
+      const orderLines = orders.flatMap((order) => order.products);
+      deliveryFee = money.sum(orders, (order) => order.deliveryFee);
+      totalAmount = money.sum(orders, (order) => order.paymentIntent.amount);
+
+      discount = couponResult?.discount || 0;
+
+      checkout.orders = orders.map((order) => order._id);
+      checkout.itemsTotal = money.sum(couponLines, (line) => line.price);
+      checkout.deliveryFee = deliveryFee;
+      if (coupon) {
+        checkout.discount = {
+          coupon: coupon._id,
+          code: coupon.code,
+          items: couponResult.itemsDiscount,
+          delivery: couponResult.deliveryDiscount,
+          amount: discount,
+        };
+      }
+      checkout.paymentIntent = {
+        id: uniqid(),
+        method: paymentMethod,
+        amount: totalAmount,
+        status: PaymentStatus.UNPAID,
+        created: Date.now(),
+        currency: "NGN",
+      };
+      checkout.paymentStatus = PaymentStatus.UNPAID;
+
+      await checkout.save({ session });
+      await Order.insertMany(orders, { session });
+
+      // Consume one use of the coupon. A free-delivery code on a pickup
+      // order took nothing off, so it is left for a later checkout.
+      if (coupon && money.gt(discount, 0)) {
+        await couponService.redeemCoupon(
+          { coupon, userId: _id, checkoutId: checkout._id, amount: discount },
+          session,
+        );
+      }
 
       // Atomically decrement stock with a quantity guard.
       // Equivalent to: UPDATE products SET quantity = quantity - n, sold = sold + n
       //                WHERE _id = ? AND quantity >= n
-      // If any product no longer has enough stock (race condition), modifiedCount
+      // For a variant line the guard and the decrement apply to the variant
+      // (variants.$.quantity / variants.$.sold) as well as the parent totals.
+      // If any line no longer has enough stock (race condition), modifiedCount
       // will be less than expected and we throw to roll back the whole transaction.
-      const productUpdates = userCart.products.map((item) => ({
-        updateOne: {
-          filter: { _id: item.product._id, quantity: { $gte: item.count } },
-          update: {
-            $inc: {
-              quantity: -item.count,
-              sold: item.count,
-            },
-          },
-        },
-      }));
+      const productUpdates = orderLines.map((line) =>
+        reserveStockOp({
+          productId: line.product,
+          variantId: line.variant,
+          count: line.count,
+        }),
+      );
 
       const stockResult = await Product.bulkWrite(productUpdates, { session });
 
-      if (stockResult.modifiedCount !== userCart.products.length) {
-        // Find which products failed so we can give a useful error
-        const updatedIds = new Set();
+      if (stockResult.modifiedCount !== orderLines.length) {
         // Re-query affected products to find the culprit
         const freshProducts = await Product.find({
-          _id: { $in: userCart.products.map((i) => i.product._id) },
+          _id: { $in: orderLines.map((line) => line.product) },
         })
-          .select("_id title quantity")
+          .select("_id title quantity productType variants")
           .session(session);
 
-        const insufficient = userCart.products.filter((item) => {
+        const insufficient = orderLines.filter((line) => {
           const fresh = freshProducts.find(
-            (p) => p._id.toString() === item.product._id.toString(),
+            (p) => p._id.toString() === line.product.toString(),
           );
+          if (!fresh) return false;
+          const freshVariant = line.variant
+            ? fresh.variants.find((v) => v._id.toString() === line.variant.toString())
+            : null;
+          // A deleted variant has nothing left to sell.
+          if (line.variant && !freshVariant) return true;
           // If still enough stock it was already decremented; otherwise it's the culprit
-          return fresh && fresh.quantity < item.count;
+          return availableStock(fresh, freshVariant) < line.count;
         });
 
-        const names = insufficient.map((i) => i.product.title).join(", ");
+        const names = insufficient
+          .map((line) => {
+            const item = userCart.products.find(
+              (i) => i.product._id.toString() === line.product.toString(),
+            );
+            return lineTitle(item?.product.title, line.options);
+          })
+          .join(", ");
         throw new Error(
           `Insufficient stock for: ${names || "one or more products"}. Please update your cart.`,
         );
       }
 
+      // Consume the sale units these lines were priced under
+      await storeSaleService.reserveSaleUnits(orderLines, session);
+
       // Clear user's cart
       await Cart.findOneAndDelete({ owner: _id }).session(session);
 
       // Populate order details for response
-      populatedOrder = await Order.findById(newOrder._id)
-        .populate("products.product", "title listedPrice images brand")
-        .populate("products.store", "name address mobile")
-        .populate("orderedBy", "fullName email mobile")
-        .session(session);
+      populatedOrders = await populateOrder(
+        Order.find({ checkout: checkout._id }).sort({ _id: 1 }),
+      ).session(session);
     });
 
-    audit.log({
-      action: "order.created",
-      actor: audit.actor(req),
-      resource: {
-        type: "order",
-        id: populatedOrder._id,
-        displayName: `#${populatedOrder.orderNumber}`,
-      },
-      changes: {
-        after: {
-          paymentMethod,
-          deliveryMethod,
-          totalAmount,
-          deliveryFee,
-          paymentStatus: "Unpaid",
-          orderStatus: OrderStatus.PENDING,
+    for (const order of populatedOrders) {
+      audit.log({
+        action: "order.created",
+        actor: audit.actor(req),
+        resource: {
+          type: "order",
+          id: order._id,
+          displayName: `#${order.orderNumber}`,
         },
-      },
-    });
+        changes: {
+          after: {
+            paymentMethod,
+            deliveryMethod,
+            totalAmount: order.paymentIntent.amount,
+            deliveryFee: order.deliveryFee,
+            paymentStatus: "Unpaid",
+            orderStatus: OrderStatus.PENDING,
+          },
+        },
+        metadata: {
+          checkoutId: checkout._id,
+          stores: populatedOrders.length,
+        },
+      });
+    }
 
     // Send notifications (outside transaction — notification failure must not roll back the order)
     try {
@@ -370,36 +677,41 @@ const createOrder = asyncHandler(async (req, res) => {
         sendDeliveryAgentNotification,
       } = require("../notification");
 
-      // Notify customer
-      await sendOrderNotification(
-        _id,
-        "Order Created Successfully",
-        `Your order #${populatedOrder.orderNumber} has been created. ${
+      for (const order of populatedOrders) {
+        // Notify customer
+        await sendOrderNotification(
+          _id,
           deliveryMethod === DeliveryMethod.DELIVERY_AGENT
-            ? "Waiting for delivery agent assignment."
-            : "Ready for pickup."
-        }`,
-        {
-          orderId: populatedOrder._id.toString(),
-          orderNumber: populatedOrder.orderNumber,
-          totalAmount: totalAmount.toString(),
-          deliveryMethod: deliveryMethod,
-        },
-        populatedOrder._id,
-      );
-
-      // Notify dispatch agents
-      if (deliveryMethod === DeliveryMethod.DELIVERY_AGENT) {
-        await sendDeliveryAgentNotification(
-          "new_order_available",
-          `New delivery order available: Order #${populatedOrder.orderNumber}`,
+            ? "order_created_delivery"
+            : "order_created_pickup",
+          { orderNumber: order.orderNumber },
           {
-            orderId: populatedOrder._id.toString(),
-            orderNumber: populatedOrder.orderNumber,
-            deliveryAddress: deliveryAddress,
-            totalAmount: totalAmount.toString(),
+            orderId: order._id.toString(),
+            orderNumber: order.orderNumber,
+            checkoutId: checkout._id.toString(),
+            totalAmount: order.paymentIntent.amount.toString(),
+            deliveryMethod: deliveryMethod,
           },
+          order._id,
         );
+
+        // Notify dispatch agents — every store is its own pickup. In
+        // auto-dispatch mode riders are offered it one at a time instead.
+        if (deliveryMethod !== DeliveryMethod.DELIVERY_AGENT) continue;
+        if (dispatchMatchingService.isAutoDispatch()) {
+          await dispatchMatchingService.startAutoDispatch(order._id);
+        } else {
+          await sendDeliveryAgentNotification(
+            "delivery_request",
+            { orderNumber: order.orderNumber },
+            {
+              orderId: order._id.toString(),
+              orderNumber: order.orderNumber,
+              deliveryAddress: deliveryAddress,
+              totalAmount: order.paymentIntent.amount.toString(),
+            },
+          );
+        }
       }
     } catch (notificationError) {
       console.log("Notification error:", notificationError);
@@ -407,16 +719,20 @@ const createOrder = asyncHandler(async (req, res) => {
 
     res.json({
       success: true,
-      message: "Order created successfully",
+      message:
+        populatedOrders.length > 1
+          ? `Order split into ${populatedOrders.length} orders, one per store`
+          : "Order created successfully",
       data: {
-        order: populatedOrder,
+        checkout: checkout,
+        orders: populatedOrders,
+        // First order, for clients that predate multi-store checkout
+        order: populatedOrders[0],
         totalAmount: totalAmount,
         deliveryFee: deliveryFee,
+        discount: discount,
         deliveryMethod: deliveryMethod,
-        nextStep:
-          deliveryMethod === DeliveryMethod.DELIVERY_AGENT
-            ? "Waiting for delivery agent assignment"
-            : "Ready for pickup",
+        nextStep: nextStepFor(deliveryMethod),
       },
     });
   } catch (error) {
@@ -0,0 +1,44 @@
+const asyncHandler = require("express-async-handler");
+const Order = require("../../models/orderModel");
+const { validateMongodbId } = require("../../utils/validateMongodbId");
+const { handoverPinFor } = require("../../services/deliveryProofService");
+const { DeliveryMethod, DeliveryStatus, OrderStatus } = require("../../utils/constants");
+
+/**
+ * @function getHandoverPin
+ * @description The handover code the buyer reads out to the rider at the
+ * door; the rider enters it to prove delivery (deliveryProofService). Only
+ * the buyer who placed the order can see it, and only while it is on its way.
+ * @param {string} req.params.id - Order ID
+ * @returns {Object} - { pin }
+ */
+const getHandoverPin = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  validateMongodbId(id);
+
+  const order = await Order.findById(id).select(
+    "orderedBy deliveryMethod deliveryStatus orderStatus",
+  );
+  if (!order || String(order.orderedBy) !== String(req.user._id)) {
+    return res.status(404).json({ success: false, message: "Order not found" });
+  }
+  if (order.deliveryMethod !== DeliveryMethod.DELIVERY_AGENT) {
+    return res.status(400).json({
+      success: false,
+      message: "Only orders delivered by a rider have a handover code",
+    });
+  }
+  if (
+    order.deliveryStatus === DeliveryStatus.DELIVERED ||
+    order.orderStatus === OrderStatus.CANCELLED
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: "This order is no longer awaiting delivery",
+    });
+  }
+
+  res.json({ success: true, data: { pin: await handoverPinFor(id) } });
+});
+
+module.exports = getHandoverPin;
@@ -3,6 +3,9 @@ const getOrders = require('./getOrders');
 const getOrderById = require('./getOrderById');
 const updateOrderStatus = require('./updateOrderStatus');
 const confirmDelivery = require('./confirmDelivery');
+const getHandoverPin = require('./getHandoverPin');
+const cancelOrder = require('./cancelOrder');
+const requestReturn = require('./requestReturn');
 
 module.exports = {
   createOrder,
@@ -10,4 +13,7 @@ module.exports = {
   getOrderById,
   updateOrderStatus,
   confirmDelivery,
+  getHandoverPin,
+  cancelOrder,
+  requestReturn,
 };
@@ -0,0 +1,56 @@
+const asyncHandler = require("express-async-handler");
+const Order = require("../../models/orderModel");
+const { validateMongodbId } = require("../../utils/validateMongodbId");
+const { OrderTransitionError } = require("../../services/orderTransitionService");
+const {
+  validateReturnRequest,
+  openReturn,
+} = require("../../services/orderReturnService");
+
+/**
+ * @function requestReturn
+ * @description The buyer asks to return a delivered order, in full or in
+ *   part (orderReturnService). The seller then approves or rejects it.
+ * @access Buyer who placed the order
+ * @param {string} req.params.id - Order ID
+ * @param {string} req.body.reason - orderReturnService.RETURN_REASONS
+ * @param {string} [req.body.details]
+ * @param {string[]} [req.body.photos] - Cloudinary URLs
+ * @param {Array<{ product, variant?, count? }>} [req.body.items] - defaults to the whole order
+ * @param {string} [req.body.refundTo] - "card" or "wallet" (instant store
+ *   credit once the return is accepted); defaults to the way it was paid
+ * @returns {Object} - The return request
+ */
+const requestReturn = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  validateMongodbId(id);
+
+  // Legacy lines without a price snapshot are priced from the product
+  const order = await Order.findById(id).populate("products.product", "listedPrice");
+  if (!order || String(order.orderedBy) !== String(req.user._id)) {
+    return res.status(404).json({ success: false, message: "Order not found" });
+  }
+
+  const request = validateReturnRequest(order, req.body);
+  if (request.error) {
+    return res.status(400).json({ success: false, message: request.error });
+  }
+
+  try {
+    const updated = await openReturn(order, request, req);
+    res.status(201).json({
+      success: true,
+      message: "Return requested. The seller will review it shortly.",
+      data: { orderStatus: updated.orderStatus, returnRequest: updated.returnRequest },
+    });
+  } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    throw error;
+  }
+});
+
+module.exports = requestReturn;
@@ -0,0 +1,68 @@
+const asyncHandler = require("express-async-handler");
+const Order = require("../../models/orderModel");
+const receiptService = require("../../services/receiptService");
+const { validateMongodbId } = require("../../utils/validateMongodbId");
+
+/**
+ * @function generateCreditNote
+ * @description Generate the PDF credit note for one refund of an order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} req.params.orderId - Order ID
+ * @param {string} req.params.refundId - The refund's id on the order
+ * @param {string} req.user._id - Authenticated user's ID; the buyer, or an
+ *   admin in their admin role
+ * @returns {Object} - PDF credit note file
+ */
+const generateCreditNote = asyncHandler(async (req, res) => {
+  const { orderId, refundId } = req.params;
+  const { _id } = req.user;
+
+  validateMongodbId(orderId);
+  validateMongodbId(refundId);
+
+  try {
+    const order = await Order.findById(orderId)
+      .populate("orderedBy", "fullName email mobile")
+      .populate("products.product", "title listedPrice");
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (order.orderedBy._id.toString() !== _id.toString() && req.activeRole !== "admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. This order doesn't belong to you.",
+      });
+    }
+
+    const refund = order.refunds.id(refundId);
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        message: "Refund not found",
+      });
+    }
+
+    const pdfPath = await receiptService.generateCreditNote(order, refund);
+
+    res.download(pdfPath, `credit_note_${refund.creditNoteNumber}.pdf`, (err) => {
+      if (err) {
+        console.error("Error sending PDF:", err);
+        res.status(500).json({
+          success: false,
+          message: "Failed to download credit note",
+        });
+      }
+    });
+  } catch (error) {
+    console.log(error);
+    throw new Error(error.message || "Failed to generate credit note");
+  }
+});
+
+module.exports = generateCreditNote;
@@ -7,6 +7,7 @@ const Product = require("../../models/productModel");
 const User = require("../../models/userModel");
 const Wallet = require("../../models/walletModel");
 const Transaction = require("../../models/transactionModel");
+const BillPayment = require("../../models/billPaymentModel");
 const VATConfig = require("../../models/vatConfigModel");
 const Flutterwave = require("flutterwave-node-v3");
 const receiptService = require("../../services/receiptService");
@@ -14,6 +15,7 @@ const { validateMongodbId } = require("../../utils/validateMongodbId");
 const { Validate } = require("../../Helpers/Validate");
 const { ThrowError, MakeID } = require("../../Helpers/Helpers");
 const appConfig = require("../../config/appConfig");
+const money = require("../../utils/money");
 
 /**
  * @function generateVATReport
@@ -33,8 +35,11 @@ const generateVATReport = asyncHandler(async (req, res) => {
       : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
     const end = endDate ? new Date(endDate) : new Date();
 
-    // Get VAT summary
-    const vatSummary = await Transaction.getVATSummary(start, end);
+    // Get VAT summary, and what bill payments earned (their VAT is in it)
+    const [vatSummary, billSummary] = await Promise.all([
+      Transaction.getVATSummary(start, end),
+      BillPayment.getRevenueSummary(start, end),
+    ]);
 
     if (!vatSummary || vatSummary.length === 0) {
       return res.status(404).json({
@@ -60,6 +65,16 @@ const generateVATReport = asyncHandler(async (req, res) => {
         vatSummary.find((item) => item._id === "vendor")?.totalVATCollected ||
         0,
       breakdown: vatSummary,
+      bills: billSummary.length
+        ? {
+            totalBills: billSummary.reduce((n, item) => n + item.totalBills, 0),
+            totalAmount: money.sum(billSummary, (item) => item.totalAmount),
+            margin: money.sum(billSummary, (item) => item.margin),
+            commission: money.sum(billSummary, (item) => item.commission),
+            vatAmount: money.sum(billSummary, (item) => item.vatAmount),
+            breakdown: billSummary,
+          }
+        : null,
     };
 
     // Generate PDF report
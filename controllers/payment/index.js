@@ -1,19 +1,23 @@
 const initializePayment = require('./initializePayment');
+const payWithWallet = require('./payWithWallet');
 const verifyPayment = require('./verifyPayment');
 const getPaymentStatus = require('./getPaymentStatus');
 const refundPayment = require('./refundPayment');
 const commissionHandler = require('./commissionHandler');
 const generatePaymentReceipt = require('./generatePaymentReceipt');
+const generateCreditNote = require('./generateCreditNote');
 const generateTransactionStatement = require('./generateTransactionStatement');
 const generateVATReport = require('./generateVATReport');
 
 module.exports = {
   initializePayment,
+  payWithWallet,
   verifyPayment,
   getPaymentStatus,
   refundPayment,
   commissionHandler,
   generatePaymentReceipt,
+  generateCreditNote,
   generateTransactionStatement,
   generateVATReport
 };
@@ -2,6 +2,7 @@ const asyncHandler = require("express-async-handler");
 const mongoose = require("mongoose");
 const crypto = require("crypto");
 const Order = require("../../models/orderModel");
+const Checkout = require("../../models/checkoutModel");
 const Store = require("../../models/storeModel");
 const Product = require("../../models/productModel");
 const User = require("../../models/userModel");
@@ -17,28 +18,32 @@ const appConfig = require("../../config/appConfig");
 const { PaymentStatus } = require("../../utils/constants");
 const audit = require("../../services/auditService");
 const { calculateCommissionBreakdown } = require("../../services/commissionService");
+const orderPaymentService = require("../../services/orderPaymentService");
 
 /**
  * @function initializePayment
- * @description Initialize payment with Flutterwave
+ * @description Initialize payment with Flutterwave. A multi-store checkout is
+ * paid in one go: passing the checkoutId, or the id of any order in it,
+ * charges the checkout total against the checkout's payment reference.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {string} req.body.orderId - Order ID to pay for
+ * @param {string} req.body.checkoutId - Checkout ID to pay for (alternative to orderId)
  * @param {string} req.user._id - Authenticated user's ID
  * @returns {Object} - Payment initialization response
  */
 const initializePayment = asyncHandler(async (req, res) => {
-  const { orderId } = req.body;
+  const { orderId, checkoutId } = req.body;
   const { _id } = req.user;
 
-  if (!orderId) {
+  if (!orderId && !checkoutId) {
     return res.status(400).json({
       success: false,
       message: "Order ID is required",
     });
   }
 
-  validateMongodbId(orderId);
+  validateMongodbId(checkoutId || orderId);
 
   try {
     // Check if user has a wallet (create if doesn't exist)
@@ -47,21 +52,21 @@ const initializePayment = asyncHandler(async (req, res) => {
       console.log(`Creating wallet for user ${_id}`);
       userWallet = await Wallet.createWallet(_id, 0);
     }
-    // Get order details
-    const order = await Order.findById(orderId)
-      .populate("orderedBy", "fullName email mobile")
-      .populate("products.product", "title listedPrice")
-      .populate("products.store", "name");
+    // Get what is being paid for: a checkout, or a legacy single order
+    const payable = await orderPaymentService.findPayable({ checkoutId, orderId });
 
-    if (!order) {
+    if (!payable || payable.orders.length === 0) {
       return res.status(404).json({
         success: false,
         message: "Order not found",
       });
     }
 
+    const { checkout, orders } = payable;
+    const owner = checkout ? checkout.orderedBy : orders[0].orderedBy;
+
     // Check if order belongs to user
-    if (order.orderedBy._id.toString() !== _id.toString()) {
+    if (owner.toString() !== _id.toString()) {
       return res.status(403).json({
         success: false,
         message: "Access denied. This order doesn't belong to you.",
@@ -69,19 +74,20 @@ const initializePayment = asyncHandler(async (req, res) => {
     }
 
     // Check if order is already paid
-    if (order.paymentStatus === PaymentStatus.PAID) {
+    if (orderPaymentService.isSettled(payable)) {
       return res.status(400).json({
         success: false,
         message: "Order is already paid",
       });
     }
 
-    const user = order.orderedBy;
-    const totalAmount = order.paymentIntent.amount;
+    const user = await User.findById(owner).select("fullName email mobile");
+    const paymentIntent = orderPaymentService.paymentIntentOf(payable);
+    const totalAmount = paymentIntent.amount;
 
     // Prepare payment data
     const paymentData = {
-      tx_ref: order.paymentIntent.id,
+      tx_ref: paymentIntent.id,
       amount: totalAmount,
       currency: "NGN",
       redirect_url: `${process.env.FRONTEND_URL}/payment/callback`,
@@ -92,11 +98,12 @@ const initializePayment = asyncHandler(async (req, res) => {
       },
       customizations: {
         title: "WigoMarket Payment",
-        description: `Payment for Order #${order.paymentIntent.id}`,
+        description: `Payment for Order #${paymentIntent.id}`,
         logo: process.env.LOGO_URL || "https://via.placeholder.com/150",
       },
       meta: {
-        orderId: orderId,
+        orderId: orders[0]._id,
+        ...(checkout && { checkoutId: checkout._id }),
         userId: _id,
       },
     };
@@ -106,16 +113,25 @@ const initializePayment = asyncHandler(async (req, res) => {
     const response = await flwClient.Payment.initialize(paymentData);
 
     if (response.status === "success") {
-      // Update order with payment reference
-      await Order.findByIdAndUpdate(orderId, {
+      // Update order(s) with payment reference
+      const pending = {
         "paymentIntent.flw_ref": response.data.flw_ref,
         "paymentIntent.status": PaymentStatus.PENDING,
-      });
+      };
+      await Order.updateMany(
+        { _id: { $in: orders.map((o) => o._id) } },
+        pending,
+      );
+      if (checkout) {
+        await Checkout.findByIdAndUpdate(checkout._id, pending);
+      }
 
       audit.log({
         action: "payment.initialized",
         actor: audit.actor(req),
-        resource: { type: "order", id: orderId },
+        resource: checkout
+          ? { type: "checkout", id: checkout._id }
+          : { type: "order", id: orders[0]._id },
         changes: { after: { amount: totalAmount, flw_ref: response.data.flw_ref, paymentStatus: "Pending" } },
       });
 
@@ -125,7 +141,9 @@ const initializePayment = asyncHandler(async (req, res) => {
         data: {
           payment_url: response.data.link,
           flw_ref: response.data.flw_ref,
-          orderId: orderId,
+          orderId: orders[0]._id,
+          checkoutId: checkout?._id,
+          orderIds: orders.map((o) => o._id),
           amount: totalAmount,
         },
       });
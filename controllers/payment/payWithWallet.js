@@ -0,0 +1,147 @@
+const asyncHandler = require("express-async-handler");
+const Wallet = require("../../models/walletModel");
+const VATConfig = require("../../models/vatConfigModel");
+const { validateMongodbId } = require("../../utils/validateMongodbId");
+const { MakeID } = require("../../Helpers/Helpers");
+const audit = require("../../services/auditService");
+const money = require("../../utils/money");
+const orderPaymentService = require("../../services/orderPaymentService");
+
+// Codes settlePayment's wallet debit fails with when the wallet can't pay
+const WALLET_ERRORS = ["WALLET_INACTIVE", "INSUFFICIENT_FUNDS", "DEDUCTION_FAILED"];
+
+/**
+ * @function payWithWallet
+ * @description Pay for an order, or a whole multi-store checkout, from the
+ * buyer's wallet balance (refund store credit included). Settles at once
+ * through orderPaymentService: the wallet is debited and the orders marked
+ * paid in one transaction, with no Flutterwave step.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} req.body.orderId - Order ID to pay for
+ * @param {string} req.body.checkoutId - Checkout ID to pay for (alternative to orderId)
+ * @param {string} req.user._id - Authenticated user's ID
+ * @returns {Object} - The paid orders and the wallet balance left
+ */
+const payWithWallet = asyncHandler(async (req, res) => {
+  const { orderId, checkoutId } = req.body;
+  const { _id } = req.user;
+
+  if (!orderId && !checkoutId) {
+    return res.status(400).json({
+      success: false,
+      message: "Order ID is required",
+    });
+  }
+
+  validateMongodbId(checkoutId || orderId);
+
+  const payable = await orderPaymentService.findPayable({ checkoutId, orderId });
+  if (!payable || payable.orders.length === 0) {
+    return res.status(404).json({
+      success: false,
+      message: "Order not found",
+    });
+  }
+
+  const { checkout, orders } = payable;
+  const owner = checkout ? checkout.orderedBy : orders[0].orderedBy;
+  if (owner.toString() !== _id.toString()) {
+    return res.status(403).json({
+      success: false,
+      message: "Access denied. This order doesn't belong to you.",
+    });
+  }
+
+  if (orderPaymentService.isSettled(payable)) {
+    return res.status(400).json({
+      success: false,
+      message: "Order is already paid",
+    });
+  }
+
+  const amount = orderPaymentService.paymentIntentOf(payable).amount;
+  const wallet = await Wallet.findOne({ user: _id });
+  if (!wallet || wallet.status !== "active") {
+    return res.status(400).json({
+      success: false,
+      message: "You don't have an active wallet to pay from",
+    });
+  }
+  // The wallet's minimum balance can't be spent
+  const spendable = money.subtract(wallet.balance, wallet.limits?.minimumBalance || 0);
+  if (money.lt(spendable, amount)) {
+    return res.status(400).json({
+      success: false,
+      message: `Insufficient wallet balance. Available: ₦${money.max(0, spendable)}, Required: ₦${amount}`,
+    });
+  }
+
+  const vatConfig = await VATConfig.getActiveConfig();
+  if (!vatConfig) {
+    return res
+      .status(500)
+      .json({ success: false, message: "VAT configuration not found" });
+  }
+
+  const paymentId = `WAL_${Date.now()}_${MakeID(16)}`;
+  let paidOrders, settlements;
+  try {
+    ({ orders: paidOrders, settlements } = await orderPaymentService.settlePayment(
+      payable,
+      { externalTxId: paymentId, amount, source: "wallet" },
+      vatConfig,
+    ));
+  } catch (error) {
+    // Spent, frozen or limited elsewhere between the checks and the debit
+    if (WALLET_ERRORS.includes(error.code)) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    throw error;
+  }
+
+  const resource = checkout
+    ? { type: "checkout", id: checkout._id }
+    : { type: "order", id: orders[0]._id };
+  audit.log({
+    action: "payment.wallet_paid",
+    actor: audit.actor(req),
+    resource,
+    changes: {
+      after: {
+        paymentStatus: "Paid",
+        transactionIds: settlements.map((s) => s.transaction.transactionId),
+        amount,
+      },
+    },
+    metadata: { paymentId, walletId: wallet._id },
+  });
+
+  const remaining = await Wallet.findById(wallet._id).select("balance");
+
+  res.json({
+    success: true,
+    message: "Paid from your wallet",
+    data: {
+      order: paidOrders[0],
+      orders: paidOrders,
+      checkout: checkout?._id,
+      payment: {
+        id: paymentId,
+        method: "wallet",
+        amount,
+        paid_at: new Date(),
+      },
+      walletBalance: remaining?.balance,
+      settlements: settlements.map((s) => ({
+        order: s.order._id,
+        ledger: {
+          transactionId: s.transaction.transactionId,
+          reference: s.transaction.reference,
+        },
+      })),
+    },
+  });
+});
+
+module.exports = payWithWallet;
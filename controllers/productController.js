@@ -20,6 +20,11 @@ const {
   SPEC_SCHEMA_KEYS,
 } = require("../utils/productSpecs");
 const { validateVariants, listedPriceFor } = require("../utils/productVariants");
+const {
+  liveSalesFor,
+  withEffectivePrice,
+  priceProducts,
+} = require("../services/storeSaleService");
 /**
  * Resolve and validate a `parent` category id from a request body.
  * @returns {{ error?: string, parent?: (string|null) }}
@@ -402,6 +407,7 @@ const validateImages = (images) => {
  * @param {number}   [req.body.price]        - Selling price — required for single
  * @param {number}   [req.body.quantity]     - Stock quantity — required for single
  * @param {string}   [req.body.sku]          - Stock keeping unit, unique within the store
+ * @param {number}   [req.body.weight]       - Shipping weight per unit in kg, used for delivery pricing
  * @param {Array}    [req.body.optionTypes]  - Required for variable
  * @param {Array}    [req.body.variants]     - Required for variable
  * @param {string}   [req.body.video]        - Optional Cloudinary video URL
@@ -410,7 +416,7 @@ const validateImages = (images) => {
  */
 const createProduct = asyncHandler(async (req, res) => {
   const {
-    title, price, quantity, category, brand, description, sku,
+    title, price, quantity, category, brand, description, sku, weight,
     images, video, specifications, sizes, colors,
     optionTypes, variants,
   } = req.body;
@@ -426,6 +432,7 @@ const createProduct = asyncHandler(async (req, res) => {
   if (!Validate.string(description)) ThrowError("Invalid Description");
   // brand is optional — the add-product form does not collect it.
   if (brand !== undefined && !Validate.string(brand)) ThrowError("Invalid Brand");
+  if (weight !== undefined && (!Validate.float(weight) || weight < 0)) ThrowError("Invalid Weight");
 
   // ── Category & its specification schema ──────────────────────────────────
   const categoryDoc = await Category.findById(category).lean();
@@ -563,6 +570,7 @@ const createProduct = asyncHandler(async (req, res) => {
       quantity:       pricing.quantity,
       category,
       ...(brand !== undefined && { brand }),
+      ...(weight !== undefined && { weight }),
       description,
       images:         validatedImages,
       video:          validatedVideo,
@@ -630,6 +638,7 @@ const createProduct = asyncHandler(async (req, res) => {
  * @param {string} [req.body.category] - Updated category ID
  * @param {string} [req.body.brand] - Updated product brand
  * @param {string} [req.body.description] - Updated product description
+ * @param {number} [req.body.weight] - Updated shipping weight per unit in kg
  * @returns {Object} - Updated product information
  * @throws {Error} - Throws error if validation fails or product not found
  */
@@ -642,11 +651,12 @@ const updateProduct = asyncHandler(async (req, res) => {
   if (req.body.description && !Validate.string(req.body.description)) ThrowError("Invalid Description");
   if (req.body.price    !== undefined && (!Validate.float(req.body.price)    || req.body.price    <= 0)) ThrowError("Invalid Price");
   if (req.body.quantity !== undefined && (!Validate.integer(req.body.quantity) || req.body.quantity < 0)) ThrowError("Invalid Quantity");
+  if (req.body.weight   !== undefined && (!Validate.float(req.body.weight)   || req.body.weight   < 0))  ThrowError("Invalid Weight");
 
   // Whitelist — callers cannot overwrite internal fields (sold, views, store, rating, etc.)
   const ALLOWED = [
     "title", "price", "quantity", "category", "brand", "description",
-    "images", "tags", "isFeatured",
+    "images", "tags", "isFeatured", "weight",
     "specifications", "sizes", "colors",
   ];
   const updateData = {};
@@ -745,7 +755,10 @@ const getAProduct = asyncHandler(async (req, res) => {
   // Increment view count (fire-and-forget, non-blocking)
   Product.findByIdAndUpdate(id, { $inc: { views: 1 } }).catch(() => {});
 
-  res.json({ success: true, data: product });
+  res.json({
+    success: true,
+    data: withEffectivePrice(product, await liveSalesFor([product])),
+  });
 });
 /**
  * @function getAllProducts
@@ -851,10 +864,13 @@ const getProducts = asyncHandler(async (req, res) => {
   const cacheKey = `products:${JSON.stringify(req.query)}`;
 
   try {
-    // Try to get from cache first
+    // Try to get from cache first. Sale prices are resolved per request, not
+    // cached, so a sale starts and ends on time regardless of the cache.
     const cachedData = await redisClient.get(cacheKey);
     if (cachedData) {
-      return res.json(JSON.parse(cachedData));
+      const cached = JSON.parse(cachedData);
+      cached.data.products = await priceProducts(cached.data.products);
+      return res.json(cached);
     }
 
     // Build filter object
@@ -956,6 +972,7 @@ const getProducts = asyncHandler(async (req, res) => {
 
     // Cache for 1 hour
     await redisClient.setex(cacheKey, 3600, JSON.stringify(response));
+    response.data.products = await priceProducts(products);
 
     // Track search analytics
     if (search) {
@@ -23,6 +23,7 @@ const Store = require("../models/storeModel");
 const Category = require("../models/categoryModel");
 const SearchHistory = require("../models/searchHistoryModel");
 const redisClient = require("../config/redisClient");
+const { priceProducts } = require("../services/storeSaleService");
 
 const ANALYTICS_KEY = "search_analytics";
 const ANALYTICS_CAP = 1000; // keep the most recent N entries; older ones are trimmed
@@ -325,12 +326,19 @@ const globalSearch = asyncHandler(async (req, res) => {
   ].join(":");
 
   // ── Cache read ─────────────────────────────────────────────────────────
+  // Sale prices are resolved per request so a cached page never shows a
+  // sale that has ended.
+  let cached = null;
   try {
-    const cached = await redisClient.get(cacheKey);
-    if (cached) return res.json(JSON.parse(cached));
+    cached = await redisClient.get(cacheKey);
   } catch (_) {
     // Redis unavailable — continue to DB
   }
+  if (cached) {
+    const response = JSON.parse(cached);
+    response.data.products = await priceProducts(response.data.products);
+    return res.json(response);
+  }
 
   // ── DB query ───────────────────────────────────────────────────────────
   const t0 = Date.now();
@@ -442,6 +450,7 @@ const globalSearch = asyncHandler(async (req, res) => {
   try {
     await redisClient.setex(cacheKey, 600, JSON.stringify(response));
   } catch (_) {}
+  response.data.products = await priceProducts(products);
 
   // Track search history (async, non-blocking)
   if (req.user?._id) {
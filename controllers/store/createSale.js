@@ -0,0 +1,69 @@
+const asyncHandler = require("express-async-handler");
+const Product = require("../../models/productModel");
+const StoreSale = require("../../models/storeSaleModel");
+const audit = require("../../services/auditService");
+const { normalizeSaleInput } = require("../../services/storeSaleService");
+
+/**
+ * @function createSale
+ * @description Schedule a time-boxed sale on some of the seller's own products
+ *   — a list of products or everything the store sells in one category. The
+ *   discount is funded by the seller (see services/commissionService).
+ * @access Seller (isSeller sets req.store)
+ *
+ * Body: { name, products?: [id] | category?: id, discountPercent,
+ *         startsAt, endsAt, stockCap? }
+ */
+const createSale = asyncHandler(async (req, res) => {
+  if (!req.store) {
+    return res
+      .status(404)
+      .json({ success: false, message: "No store found for this account" });
+  }
+
+  const { data, error } = normalizeSaleInput(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  // A seller can only discount their own products
+  const scope = data.products.length
+    ? { _id: { $in: data.products } }
+    : { category: data.category };
+  const owned = await Product.countDocuments({ ...scope, store: req.store });
+  if (data.products.length ? owned !== data.products.length : owned === 0) {
+    return res.status(400).json({
+      success: false,
+      message: data.products.length
+        ? "Every product in a sale must belong to your store"
+        : "Your store has no products in this category",
+    });
+  }
+
+  const sale = await StoreSale.create({
+    ...data,
+    store: req.store,
+    createdBy: req.user._id,
+  });
+
+  audit.log({
+    action: "store.sale.created",
+    actor: audit.actor(req),
+    resource: { type: "store", id: req.store, displayName: sale.name },
+    metadata: {
+      saleId: sale._id,
+      discountPercent: sale.discountPercent,
+      startsAt: sale.startsAt,
+      endsAt: sale.endsAt,
+      stockCap: sale.stockCap,
+    },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Sale scheduled",
+    data: sale,
+  });
+});
+
+module.exports = createSale;
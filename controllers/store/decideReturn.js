@@ -0,0 +1,73 @@
+const asyncHandler = require("express-async-handler");
+const Order = require("../../models/orderModel");
+const validateMongodbId = require("../../utils/validateMongodbId");
+const { OrderTransitionError } = require("../../services/orderTransitionService");
+const { decideReturn: decide } = require("../../services/orderReturnService");
+
+/**
+ * @function decideReturn
+ * @description The seller approves or rejects a buyer's return request.
+ *   Approving a rider-delivered order sends the same rider to collect it;
+ *   rejecting puts the order back to delivered.
+ * @access Seller (isSeller sets req.store)
+ * @param {string} req.params.id - Order ID
+ * @param {string} req.body.decision - "approve" | "reject"
+ * @param {string} [req.body.note] - Shown to the buyer; required to reject
+ */
+const decideReturn = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { decision } = req.body;
+  const note =
+    typeof req.body.note === "string" && req.body.note.trim()
+      ? req.body.note.trim()
+      : undefined;
+
+  validateMongodbId(id);
+
+  if (!["approve", "reject"].includes(decision)) {
+    return res
+      .status(400)
+      .json({ success: false, message: "decision must be approve or reject" });
+  }
+  if (decision === "reject" && !note) {
+    return res.status(400).json({
+      success: false,
+      message: "Tell the buyer why the return is rejected",
+    });
+  }
+
+  if (!req.store) {
+    return res
+      .status(404)
+      .json({ success: false, message: "No store found for this account" });
+  }
+
+  const order = await Order.findOne({ _id: id, "products.store": req.store });
+  if (!order) {
+    return res.status(403).json({
+      success: false,
+      message: "This order does not belong to your store",
+    });
+  }
+
+  try {
+    const updated = await decide(
+      order,
+      { approve: decision === "approve", note, userId: req.user._id },
+      req,
+    );
+    res.json({
+      success: true,
+      data: { orderStatus: updated.orderStatus, returnRequest: updated.returnRequest },
+    });
+  } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    throw error;
+  }
+});
+
+module.exports = decideReturn;
@@ -0,0 +1,52 @@
+const asyncHandler = require("express-async-handler");
+const StoreSale = require("../../models/storeSaleModel");
+const audit = require("../../services/auditService");
+const validateMongodbId = require("../../utils/validateMongodbId");
+
+/**
+ * @function endSale
+ * @description Cancel a scheduled sale, or end a live one now. A sale that
+ *   never sold anything is deleted outright; one that did is kept (orders
+ *   reference it) and simply stops applying.
+ * @access Seller (isSeller sets req.store)
+ */
+const endSale = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  validateMongodbId(id);
+
+  if (!req.store) {
+    return res
+      .status(404)
+      .json({ success: false, message: "No store found for this account" });
+  }
+
+  const sale = await StoreSale.findOne({ _id: id, store: req.store });
+  if (!sale) {
+    return res
+      .status(404)
+      .json({ success: false, message: "Sale not found" });
+  }
+
+  const deleted = sale.soldCount === 0;
+  if (deleted) {
+    await sale.deleteOne();
+  } else {
+    sale.isActive = false;
+    await sale.save();
+  }
+
+  audit.log({
+    action: deleted ? "store.sale.deleted" : "store.sale.ended",
+    actor: audit.actor(req),
+    resource: { type: "store", id: req.store, displayName: sale.name },
+    metadata: { saleId: sale._id, soldCount: sale.soldCount },
+  });
+
+  res.json({
+    success: true,
+    message: deleted ? "Sale deleted" : "Sale ended",
+    data: { _id: sale._id, deleted },
+  });
+});
+
+module.exports = endSale;
@@ -231,15 +231,34 @@ const getBusinessAnalytics = asyncHandler(async (req, res) => {
           orderStatus: { $first: "$orderStatus" },
           createdAt: { $first: "$createdAt" },
           completedAt: { $first: "$completedAt" },
-          // net = the vendor price the store is paid (see commissionService);
-          // gross = the listed price the customer paid, the difference being
-          // the platform's margin.
-          netKobo: { $sum: lineKobo({ $ifNull: ["$productDoc.price", 0] }) },
+          // net = the vendor price the store is paid, less any store-sale
+          // discount it funded (see commissionService); gross = the price the
+          // customer paid, the difference being the platform's margin. Both
+          // come from the line's snapshot, falling back to the product's
+          // current prices on lines that predate it.
+          netKobo: {
+            $sum: lineKobo({
+              $subtract: [
+                {
+                  $ifNull: [
+                    "$products.vendorPrice",
+                    { $ifNull: ["$productDoc.price", 0] },
+                  ],
+                },
+                { $ifNull: ["$products.sale.discount", 0] },
+              ],
+            }),
+          },
           grossKobo: {
             $sum: lineKobo({
               $ifNull: [
-                "$productDoc.listedPrice",
-                { $ifNull: ["$productDoc.price", 0] },
+                "$products.unitPrice",
+                {
+                  $ifNull: [
+                    "$productDoc.listedPrice",
+                    { $ifNull: ["$productDoc.price", 0] },
+                  ],
+                },
               ],
             }),
           },
@@ -0,0 +1,73 @@
+const asyncHandler = require("express-async-handler");
+const StoreSale = require("../../models/storeSaleModel");
+
+/**
+ * @function getStoreSales
+ * @description The seller's sales, newest first, each tagged with where it
+ *   stands: scheduled, live, sold_out, ended or cancelled.
+ * @access Seller (isSeller sets req.store)
+ *
+ * Query params (all optional):
+ *   status — scheduled | live | ended  (ended includes sold_out and cancelled)
+ *   page   — default 1
+ *   limit  — default 20, max 100
+ */
+const getStoreSales = asyncHandler(async (req, res) => {
+  if (!req.store) {
+    return res
+      .status(404)
+      .json({ success: false, message: "No store found for this account" });
+  }
+
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  const skip = (page - 1) * limit;
+  const now = new Date();
+
+  const filter = { store: req.store };
+  if (req.query.status === "scheduled") {
+    Object.assign(filter, { isActive: true, startsAt: { $gt: now } });
+  } else if (req.query.status === "live") {
+    Object.assign(filter, {
+      isActive: true,
+      startsAt: { $lte: now },
+      endsAt: { $gt: now },
+    });
+  } else if (req.query.status === "ended") {
+    filter.$or = [{ isActive: false }, { endsAt: { $lte: now } }];
+  }
+
+  const [sales, total] = await Promise.all([
+    StoreSale.find(filter)
+      .populate("products", "title images listedPrice")
+      .populate("category", "name")
+      .sort({ startsAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    StoreSale.countDocuments(filter),
+  ]);
+
+  const statusOf = (sale) => {
+    if (!sale.isActive) return "cancelled";
+    if (sale.endsAt <= now) return "ended";
+    if (sale.startsAt > now) return "scheduled";
+    if (sale.stockCap != null && sale.soldCount >= sale.stockCap) return "sold_out";
+    return "live";
+  };
+
+  res.json({
+    success: true,
+    data: {
+      sales: sales.map((sale) => ({ ...sale, status: statusOf(sale) })),
+      pagination: {
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        hasMore: skip + sales.length < total,
+      },
+    },
+  });
+});
+
+module.exports = getStoreSales;
@@ -11,6 +11,12 @@ const getStoreOrders = require('./getStoreOrders');
 const getStoreOrderDetail = require('./getStoreOrderDetail');
 const contactCustomer = require('./contactCustomer');
 const getBusinessAnalytics = require('./getBusinessAnalytics');
+const createSale = require('./createSale');
+const getStoreSales = require('./getStoreSales');
+const updateSale = require('./updateSale');
+const endSale = require('./endSale');
+const decideReturn = require('./decideReturn');
+const inspectReturn = require('./inspectReturn');
 
 module.exports = {
   createStore,
@@ -25,5 +31,11 @@ module.exports = {
   getStoreOrders,
   getStoreOrderDetail,
   contactCustomer,
-  getBusinessAnalytics
+  getBusinessAnalytics,
+  createSale,
+  getStoreSales,
+  updateSale,
+  endSale,
+  decideReturn,
+  inspectReturn
 };
@@ -0,0 +1,77 @@
+const asyncHandler = require("express-async-handler");
+const Order = require("../../models/orderModel");
+const validateMongodbId = require("../../utils/validateMongodbId");
+const { OrderTransitionError } = require("../../services/orderTransitionService");
+const { inspectReturn: inspect } = require("../../services/orderReturnService");
+
+/**
+ * @function inspectReturn
+ * @description The seller inspects a returned order once it is back at the
+ *   store. Accepting it refunds the buyer for the returned items and puts them
+ *   back in stock; refusing it puts the order back to delivered.
+ * @access Seller (isSeller sets req.store)
+ * @param {string} req.params.id - Order ID
+ * @param {boolean} req.body.accepted
+ * @param {string} [req.body.note] - Required to refuse
+ */
+const inspectReturn = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { accepted } = req.body;
+  const note =
+    typeof req.body.note === "string" && req.body.note.trim()
+      ? req.body.note.trim()
+      : undefined;
+
+  validateMongodbId(id);
+
+  if (typeof accepted !== "boolean") {
+    return res
+      .status(400)
+      .json({ success: false, message: "accepted must be true or false" });
+  }
+  if (!accepted && !note) {
+    return res.status(400).json({
+      success: false,
+      message: "Tell the buyer why the return was refused",
+    });
+  }
+
+  if (!req.store) {
+    return res
+      .status(404)
+      .json({ success: false, message: "No store found for this account" });
+  }
+
+  const order = await Order.findOne({ _id: id, "products.store": req.store });
+  if (!order) {
+    return res.status(403).json({
+      success: false,
+      message: "This order does not belong to your store",
+    });
+  }
+
+  try {
+    const { order: updated, refund } = await inspect(
+      order,
+      { accepted, note, userId: req.user._id },
+      req,
+    );
+    res.json({
+      success: true,
+      data: {
+        orderStatus: updated.orderStatus,
+        returnRequest: updated.returnRequest,
+        refund: refund && { amount: refund.amount, refund_id: refund.refundId },
+      },
+    });
+  } catch (error) {
+    if (error instanceof OrderTransitionError) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    throw error;
+  }
+});
+
+module.exports = inspectReturn;
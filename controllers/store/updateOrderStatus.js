@@ -6,6 +6,11 @@ const {
   OrderTransitionError,
   ROLE,
 } = require("../../services/orderTransitionService");
+const {
+  STATUS,
+  RETURN_STATUSES,
+  normalizeStatus,
+} = require("../../utils/orderStatus");
 
 /**
  * @function updateOrderStatus
@@ -13,6 +18,8 @@ const {
  *   state machine: a seller may only advance their own store's orders through
  *   pending → confirmed → preparing → pickUpReady (and pickUpReady → delivered
  *   for pickup/self_delivery orders), or cancel a pre-shipment order.
+ *   Returns have their own endpoints (decideReturn, inspectReturn), which
+ *   also arrange the pickup and refund, so they cannot be moved from here.
  * @access Seller (isSeller sets req.store)
  * @param {string} req.params.id  - Order ID
  * @param {string} req.body.status - Target canonical status
@@ -45,14 +52,27 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
   }
 
   // Ownership: the order must contain at least one product from this seller's store.
-  const owns = await Order.exists({ _id: id, "products.store": req.store });
-  if (!owns) {
+  const owned = await Order.findOne({ _id: id, "products.store": req.store })
+    .select("orderStatus")
+    .lean();
+  if (!owned) {
     return res.status(403).json({
       success: false,
       message: "This order does not belong to your store",
     });
   }
 
+  const returnStates = [...RETURN_STATUSES, STATUS.RETURNED];
+  if (
+    returnStates.includes(normalizeStatus(owned.orderStatus)) ||
+    returnStates.includes(normalizeStatus(status))
+  ) {
+    return res.status(400).json({
+      success: false,
+      message: "Use the order's return endpoints to handle returns",
+    });
+  }
+
   try {
     const order = await transitionOrder({
       orderId: id,
@@ -0,0 +1,73 @@
+const asyncHandler = require("express-async-handler");
+const Product = require("../../models/productModel");
+const StoreSale = require("../../models/storeSaleModel");
+const audit = require("../../services/auditService");
+const validateMongodbId = require("../../utils/validateMongodbId");
+const { normalizeSaleInput } = require("../../services/storeSaleService");
+
+/**
+ * @function updateSale
+ * @description Edit one of the seller's sales. Before it starts anything can
+ *   change; once live only the name, end time and stock cap can, so buyers
+ *   who already paid the sale price are not repriced under it.
+ * @access Seller (isSeller sets req.store)
+ */
+const updateSale = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  validateMongodbId(id);
+
+  if (!req.store) {
+    return res
+      .status(404)
+      .json({ success: false, message: "No store found for this account" });
+  }
+
+  const sale = await StoreSale.findOne({ _id: id, store: req.store });
+  if (!sale) {
+    return res
+      .status(404)
+      .json({ success: false, message: "Sale not found" });
+  }
+  if (!sale.isActive || sale.endsAt <= new Date()) {
+    return res
+      .status(400)
+      .json({ success: false, message: "This sale has already ended" });
+  }
+
+  const { data, error } = normalizeSaleInput(req.body, sale);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  if (data.products?.length) {
+    const owned = await Product.countDocuments({
+      _id: { $in: data.products },
+      store: req.store,
+    });
+    if (owned !== data.products.length) {
+      return res.status(400).json({
+        success: false,
+        message: "Every product in a sale must belong to your store",
+      });
+    }
+  }
+
+  const before = {};
+  Object.keys(data).forEach((key) => {
+    before[key] = sale[key];
+  });
+  sale.set(data);
+  await sale.save();
+
+  audit.log({
+    action: "store.sale.updated",
+    actor: audit.actor(req),
+    resource: { type: "store", id: req.store, displayName: sale.name },
+    changes: { before, after: data },
+    metadata: { saleId: sale._id },
+  });
+
+  res.json({ success: true, message: "Sale updated", data: sale });
+});
+
+module.exports = updateSale;
@@ -14,14 +14,35 @@ const Product = require("../../models/productModel");
 const Store = require("../../models/storeModel");
 const uniqid = require("uniqid");
 const { ThrowError, MakeID } = require("../../Helpers/Helpers");
+const money = require("../../utils/money");
+const { isLine } = require("../../utils/cartLines");
+const { applyCartCoupon } = require("../../services/couponService");
+const {
+  liveSalesFor,
+  saleFor,
+  applySale,
+} = require("../../services/storeSaleService");
+const {
+  resolveVariant,
+  availableStock,
+  linePrices,
+  variantSnapshot,
+} = require("../../utils/productVariants");
 
 /**
  * @function addToCart2
- * @description Adds a product to user's cart
+ * @description Adds a product to user's cart. A variable product must name the
+ *   version being bought (variantId, sku or options); each version is its own
+ *   cart line, stock-checked against that version's quantity.
  * @param {Object} req - Express request object containing product data
  * @param {Object} res - Express response object
  * @param {string} req.user._id - Authenticated user's ID
  * @param {Object} req.body.product - Product details to add to cart
+ * @param {string} req.body.product._id - Product ID
+ * @param {number} req.body.product.count - Units to add
+ * @param {string} [req.body.product.variantId] - Variant ID (variable products)
+ * @param {string} [req.body.product.sku] - Variant SKU (alternative to variantId)
+ * @param {Array} [req.body.product.options] - Option values, e.g. [{ name: "Size", value: "41" }]
  * @returns {Object} - Updated cart information
  * @throws {Error} - Throws error if cart operation fails
  */
@@ -30,7 +51,7 @@ const addToCart2 = asyncHandler(async (req, res) => {
   const { product } = req.body;
 
   // Validate input
-  if (!product._id || !product.count || product.count <= 0) {
+  if (!product?._id || !product.count || product.count <= 0) {
     return res.status(400).json({
       success: false,
       message: "Invalid product data",
@@ -46,13 +67,35 @@ const addToCart2 = asyncHandler(async (req, res) => {
     });
   }
 
-  if (productExists.quantity < product.count) {
+  const { variant, error: variantError } = resolveVariant(productExists, {
+    variantId: product.variantId,
+    sku: product.sku,
+    options: product.options,
+  });
+  if (variantError) {
+    return res.status(400).json({
+      success: false,
+      message: variantError,
+    });
+  }
+
+  const inStock = availableStock(productExists, variant);
+  if (inStock < product.count) {
     return res.status(400).json({
       success: false,
       message: "Insufficient stock available",
     });
   }
 
+  // Regular price, or the sale price while a store sale with enough units
+  // left covers the product
+  const sales = await liveSalesFor([productExists]);
+  const priceFor = (count) =>
+    applySale(
+      linePrices(productExists, variant),
+      saleFor(productExists, sales, { count }),
+    );
+
   // Find or create cart
   let cart = await Cart.findOne({ owner: _id });
 
@@ -64,9 +107,9 @@ const addToCart2 = asyncHandler(async (req, res) => {
     });
   }
 
-  // Check if product already exists in cart
-  const existingProductIndex = cart.products.findIndex(
-    (item) => item.product.toString() === product._id,
+  // Check if this product, in this version, already exists in cart
+  const existingProductIndex = cart.products.findIndex((item) =>
+    isLine(item, productExists._id, variant?._id),
   );
 
   if (existingProductIndex > -1) {
@@ -75,28 +118,37 @@ const addToCart2 = asyncHandler(async (req, res) => {
       cart.products[existingProductIndex].count + product.count;
 
     // Check if new quantity exceeds stock
-    if (newQuantity > productExists.quantity) {
+    if (newQuantity > inStock) {
       return res.status(400).json({
         success: false,
         message: "Cannot add more items than available in stock",
       });
     }
 
+    const { unitPrice, sale } = priceFor(newQuantity);
     cart.products[existingProductIndex].count = newQuantity;
-    cart.products[existingProductIndex].price =
-      newQuantity * productExists.listedPrice;
+    cart.products[existingProductIndex].unitPrice = unitPrice;
+    cart.products[existingProductIndex].sale = sale;
+    cart.products[existingProductIndex].price = money.multiply(
+      unitPrice,
+      newQuantity,
+    );
   } else {
     // Add new product
+    const { unitPrice, sale } = priceFor(product.count);
     cart.products.push({
-      product: product._id,
+      product: productExists._id,
+      ...variantSnapshot(variant),
       count: product.count,
-      price: product.count * productExists.listedPrice,
-      store: product.store._id,
+      unitPrice,
+      ...(sale && { sale }),
+      price: money.multiply(unitPrice, product.count),
+      store: productExists.store,
     });
   }
 
-  // Recalculate total
-  cart.cartTotal = cart.products.reduce((total, item) => total + item.price, 0);
+  // Recalculate totals, re-checking any applied coupon against the new lines
+  await applyCartCoupon(cart);
 
   await cart.save();
 
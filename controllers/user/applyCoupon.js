@@ -0,0 +1,75 @@
+const asyncHandler = require("express-async-handler");
+const validateMongodbId = require("../../utils/validateMongodbId");
+const Cart = require("../../models/cartModel");
+const couponService = require("../../services/couponService");
+
+/**
+ * @function applyCoupon
+ * @description Applies a promo code to the user's cart. Replaces any code
+ * already applied; only one code can be used per checkout.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} req.body.code - Promo code
+ * @param {string} req.user._id - Authenticated user's ID
+ * @returns {Object} - The cart with subtotal, discount and cartTotal
+ */
+const applyCoupon = asyncHandler(async (req, res) => {
+  const { _id } = req.user;
+  const { code } = req.body;
+  validateMongodbId(_id);
+
+  if (!code || typeof code !== "string") {
+    return res.status(400).json({
+      success: false,
+      message: "Coupon code is required",
+    });
+  }
+
+  const cart = await Cart.findOne({ owner: _id });
+  if (!cart || cart.products.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: "Your cart is empty",
+    });
+  }
+
+  const coupon = await couponService.findByCode(code);
+  if (!coupon) {
+    return res.status(404).json({
+      success: false,
+      message: "Invalid coupon code",
+    });
+  }
+
+  const previous = cart.coupon?.code ? { ...cart.coupon.toObject() } : undefined;
+  cart.coupon = { coupon: coupon._id, code: coupon.code };
+  const { error } = await couponService.applyCartCoupon(cart);
+
+  if (error) {
+    // Keep whatever code was applied before the rejected one
+    if (previous) {
+      cart.coupon = previous;
+      await couponService.applyCartCoupon(cart);
+    }
+    return res.status(400).json({
+      success: false,
+      message: error,
+    });
+  }
+
+  await cart.save();
+
+  const populatedCart = await Cart.findById(cart._id)
+    .populate("products.product", "title listedPrice images description brand")
+    .populate("products.store", "name address mobile");
+
+  res.json({
+    success: true,
+    message: coupon.type === "free_delivery"
+      ? `Coupon ${coupon.code} applied — delivery is free at checkout`
+      : `Coupon ${coupon.code} applied`,
+    data: populatedCart,
+  });
+});
+
+module.exports = applyCoupon;
@@ -14,6 +14,18 @@ const Product = require("../../models/productModel");
 const Store = require("../../models/storeModel");
 const uniqid = require("uniqid");
 const { ThrowError, MakeID } = require("../../Helpers/Helpers");
+const money = require("../../utils/money");
+const { applyCartCoupon } = require("../../services/couponService");
+const {
+  liveSalesFor,
+  saleFor,
+  applySale,
+} = require("../../services/storeSaleService");
+const {
+  resolveVariant,
+  availableStock,
+  linePrices,
+} = require("../../utils/productVariants");
 
 /**
  * @function getUserCart
@@ -32,7 +44,7 @@ const getUserCart = asyncHandler(async (req, res) => {
     const cart = await Cart.findOne({ owner: _id })
       .populate(
         "products.product",
-        "title listedPrice images description brand quantity",
+        "title price listedPrice images description brand quantity productType variants store category",
       )
       .populate("products.store", "name address mobile");
 
@@ -47,32 +59,58 @@ const getUserCart = asyncHandler(async (req, res) => {
       });
     }
 
-    // Check if any products are out of stock or have been deleted
+    // Check if any products (or the chosen versions of them) are out of
+    // stock or have been deleted
     const validProducts = [];
-    let totalCost = 0;
+    const sales = await liveSalesFor(
+      cart.products.map((item) => item.product).filter(Boolean),
+    );
 
     for (const item of cart.products) {
-      if (item.product && item.product.quantity > 0) {
-        // Update price if product price has changed
-        const currentPrice = item.product.listedPrice;
-        if (item.price !== currentPrice * item.count) {
-          item.price = currentPrice * item.count;
-        }
-        totalCost += item.price;
-        validProducts.push(item);
-      }
+      if (!item.product) continue;
+
+      // A line whose variant the seller removed — or a single-product line on
+      // a product since turned variable — no longer identifies a version.
+      const { variant, error } = resolveVariant(
+        item.product,
+        item.variant ? { variantId: item.variant } : {},
+      );
+      if (error || availableStock(item.product, variant) <= 0) continue;
+
+      // Update price if the product price changed or a sale started or ended
+      const { unitPrice, sale } = applySale(
+        linePrices(item.product, variant),
+        saleFor(item.product, sales, { count: item.count }),
+      );
+      item.unitPrice = unitPrice;
+      item.sale = sale;
+      item.price = money.multiply(unitPrice, item.count);
+      validProducts.push(item);
     }
 
-    // Update cart if products were removed
-    if (validProducts.length !== cart.products.length) {
-      cart.products = validProducts;
-      cart.cartTotal = totalCost;
+    const previousTotal = cart.cartTotal || 0;
+    const previousCode = cart.coupon?.code;
+    const removed = validProducts.length !== cart.products.length;
+    cart.products = validProducts;
+
+    // Re-price the applied coupon; a code that no longer applies is dropped
+    const { error: couponError } = await applyCartCoupon(cart);
+
+    // Update cart if products were removed, prices moved or the coupon changed
+    if (
+      removed ||
+      couponError ||
+      !money.equals(cart.cartTotal, previousTotal)
+    ) {
       await cart.save();
     }
 
     res.json({
       success: true,
       data: cart,
+      ...(couponError && {
+        message: `Coupon ${previousCode} was removed: ${couponError}`,
+      }),
     });
   } catch (error) {
     console.log(error);
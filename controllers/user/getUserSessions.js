@@ -0,0 +1,30 @@
+const asyncHandler = require("express-async-handler");
+const Session = require("../../models/sessionModel");
+
+/**
+ * @function getUserSessions
+ * @description Lists the devices the user is signed in on, most recently used
+ * first. The session the request was made from is flagged `current`.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} req.user._id - Authenticated user's ID
+ * @returns {Object} - { success, data: [{ _id, deviceId, deviceName, userAgent, ip, lastUsedAt, createdAt, current }] }
+ */
+const getUserSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find(
+    { user: req.user._id, ...Session.activeFilter() },
+    "deviceId deviceName userAgent ip lastUsedAt createdAt",
+  )
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  res.json({
+    success: true,
+    data: sessions.map((session) => ({
+      ...session,
+      current: String(session._id) === String(req.sessionId),
+    })),
+  });
+});
+
+module.exports = getUserSessions;
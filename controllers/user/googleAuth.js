@@ -14,6 +14,7 @@ const Product = require("../../models/productModel");
 const Store = require("../../models/storeModel");
 const uniqid = require("uniqid");
 const { ThrowError, MakeID } = require("../../Helpers/Helpers");
+const { createSession } = require("../../services/sessionService");
 
 /**
  * @function googleAuth
@@ -79,18 +80,8 @@ const googleAuth = asyncHandler(async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = generateToken(user._id);
-
-    // Generate refresh token
-    const refreshToken = await generateRefreshToken(user._id);
-
-    // Update user's refresh token
-    await User.findByIdAndUpdate(
-      user._id,
-      { refreshToken: refreshToken },
-      { new: true },
-    );
+    // Open a session for this device and issue its tokens
+    const { session, accessToken: token, refreshToken } = await createSession(user._id, req);
 
     // Set refresh token cookie
     res.cookie("refreshToken", refreshToken, {
@@ -110,6 +101,8 @@ const googleAuth = asyncHandler(async (req, res) => {
         activeRole: user.activeRole,
         status: user.status,
         token: token,
+        sessionId: session._id,
+        deviceId: session.deviceId,
         isGoogleAuth: true,
       },
     });
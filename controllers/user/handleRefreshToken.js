@@ -14,9 +14,7 @@ const Product = require("../../models/productModel");
 const Store = require("../../models/storeModel");
 const uniqid = require("uniqid");
 const { ThrowError, MakeID } = require("../../Helpers/Helpers");
-
-// Access token lifetime in milliseconds — must stay in sync with jwt.js expiresIn
-const ACCESS_TOKEN_TTL_MS = 24 * 60 * 60 * 1000; // 1 day
+const { rotateSession } = require("../../services/sessionService");
 
 /**
  * @function handleRefreshToken
@@ -24,9 +22,12 @@ const ACCESS_TOKEN_TTL_MS = 24 * 60 * 60 * 1000; // 1 day
  *              Accepts the refresh token from:
  *                1. HTTP-only cookie ("refreshToken") — web clients
  *                2. Request body field "refreshToken"  — mobile clients
+ *              The refresh token is single-use: a new one is returned (and
+ *              set as the cookie) with every access token. Presenting one
+ *              that was already exchanged signs that device out.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
- * @returns {Object} - { token, tokenExpiresAt }
+ * @returns {Object} - { token, refreshToken, tokenExpiresAt }
  */
 const handleRefreshToken = asyncHandler(async (req, res) => {
   // Accept from cookie (web) or request body (mobile)
@@ -39,37 +40,41 @@ const handleRefreshToken = asyncHandler(async (req, res) => {
     });
   }
 
-  const user = await User.findOne({ refreshToken });
-  if (!user) {
+  const result = await rotateSession(refreshToken, req);
+  if (result.error === "reused") {
     return res.status(403).json({
       success: false,
-      message: "Invalid or revoked refresh token",
+      message: "Refresh token was already used; this device has been signed out",
     });
   }
-
-  try {
-    const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
-    if (user._id.toString() !== decoded.id) {
-      return res.status(403).json({
-        success: false,
-        message: "Refresh token mismatch",
-      });
-    }
-
-    const accessToken = generateToken(user._id);
-    const tokenExpiresAt = new Date(Date.now() + ACCESS_TOKEN_TTL_MS).toISOString();
-
-    res.json({
-      success: true,
-      token: accessToken,
-      tokenExpiresAt,
+  if (result.error) {
+    return res.status(403).json({
+      success: false,
+      message: "Refresh token is invalid, expired or revoked",
     });
-  } catch {
+  }
+
+  const user = await User.findById(result.session.user, { isBlocked: 1 });
+  if (!user || user.isBlocked) {
     return res.status(403).json({
       success: false,
-      message: "Refresh token is invalid or expired",
+      message: "Account is not available",
     });
   }
+
+  res.cookie("refreshToken", result.refreshToken, {
+    httpOnly: true,
+    maxAge: 3 * 24 * 60 * 60 * 1000, // 3 days
+    sameSite: "Strict",
+    secure: process.env.NODE_ENV === "production",
+  });
+
+  res.json({
+    success: true,
+    token: result.accessToken,
+    refreshToken: result.refreshToken, // returned in body for mobile clients
+    tokenExpiresAt: result.tokenExpiresAt,
+  });
 });
 
 module.exports = handleRefreshToken;
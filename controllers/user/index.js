@@ -25,6 +25,11 @@ const changeActiveRole = require("./changeActiveRole");
 const googleAuth = require("./googleAuth");
 const getUsersByStatus = require("./getUsersByStatus");
 const verifyResetToken = require("./verifyResetToken");
+const applyCoupon = require("./applyCoupon");
+const removeCoupon = require("./removeCoupon");
+const getUserSessions = require("./getUserSessions");
+const revokeUserSession = require("./revokeUserSession");
+const revokeAllUserSessions = require("./revokeAllUserSessions");
 
 module.exports = {
   createUser,
@@ -54,4 +59,9 @@ module.exports = {
   googleAuth,
   getUsersByStatus,
   verifyResetToken,
+  applyCoupon,
+  removeCoupon,
+  getUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
 };
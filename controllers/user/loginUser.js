@@ -14,6 +14,7 @@ const Product = require("../../models/productModel");
 const Store = require("../../models/storeModel");
 const uniqid = require("uniqid");
 const { ThrowError, MakeID } = require("../../Helpers/Helpers");
+const { createSession } = require("../../services/sessionService");
 
 /**
  * @function loginUser
@@ -22,12 +23,11 @@ const { ThrowError, MakeID } = require("../../Helpers/Helpers");
  * @param {Object} res - Express response object
  * @param {string} req.body.email - User's email address (required)
  * @param {string} req.body.password - User's password (required)
+ * @param {string} [req.body.deviceId] - Stable ID of the signing-in device; also read from the X-Device-Id header
+ * @param {string} [req.body.deviceName] - Human-readable device name shown in the session list
  * @returns {Object} - User data and authentication tokens
  * @throws {Error} - Throws error if credentials are invalid
  */
-// Access token lifetime in milliseconds — must stay in sync with jwt.js expiresIn
-const ACCESS_TOKEN_TTL_MS = 24 * 60 * 60 * 1000; // 1 day
-
 const loginUser = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
   if (!Validate.email(email)) {
@@ -52,11 +52,11 @@ const loginUser = asyncHandler(async (req, res) => {
     return res.status(403).json({ success: false, message: "Account is blocked" });
   }
 
-  const accessToken = generateToken(findUser._id);
-  const refreshToken = await generateRefreshToken(findUser._id);
-  const tokenExpiresAt = new Date(Date.now() + ACCESS_TOKEN_TTL_MS).toISOString();
-
-  await User.findByIdAndUpdate(findUser._id, { refreshToken }, { new: true });
+  // A new session for this device; sessions on other devices are untouched
+  const { session, accessToken, refreshToken, tokenExpiresAt } = await createSession(
+    findUser._id,
+    req,
+  );
 
   // HTTP-only cookie for web clients
   res.cookie("refreshToken", refreshToken, {
@@ -74,6 +74,8 @@ const loginUser = asyncHandler(async (req, res) => {
     token: accessToken,
     refreshToken,      // returned in body for mobile clients
     tokenExpiresAt,
+    sessionId: session._id,
+    deviceId: session.deviceId,
   });
 });
 
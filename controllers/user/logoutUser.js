@@ -14,36 +14,42 @@ const Product = require("../../models/productModel");
 const Store = require("../../models/storeModel");
 const uniqid = require("uniqid");
 const { ThrowError, MakeID } = require("../../Helpers/Helpers");
+const { endSession } = require("../../services/sessionService");
+const audit = require("../../services/auditService");
 
 /**
  * @function logoutUser
- * @description Logs out the user by clearing the refresh token cookie and updating the user's refresh token in the database
+ * @description Signs out the current device: revokes the session its refresh
+ * token belongs to and clears the refresh token cookie. Sessions on the
+ * user's other devices stay signed in.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
+ * @param {string} [req.body.refreshToken] - Refresh token, for mobile clients without the cookie
  * @returns {void}
- * @throws {Error} - Throws error if refresh token is invalid or missing
+ * @throws {Error} - Throws error if the refresh token is missing
  */
 const logoutUser = asyncHandler(async (req, res) => {
-  const cookie = req.cookies;
-  if (!cookie?.refreshToken) throw new Error("No refresh token in cookies");
-  const refreshToken = cookie.refreshToken;
-  const user = await User.findOne({ refreshToken });
-  if (!user) {
-    res.clearCookie("refreshToken", {
-      httpOnly: true,
-      secure: true,
+  const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
+  if (!refreshToken) {
+    res.status(400);
+    throw new Error("No refresh token in cookies or body");
+  }
+
+  const session = await endSession(refreshToken);
+  if (session) {
+    audit.log({
+      action: "user.logout",
+      actor: { ...audit.actor(req), userId: session.user },
+      resource: { type: "user", id: session.user },
+      metadata: { sessionId: session._id, deviceId: session.deviceId },
     });
-    return res.sendStatus(204);
   }
-  await User.findOneAndUpdate({ refreshToken }, {
-    refreshToken: "",
-  });
+
   res.clearCookie("refreshToken", {
     httpOnly: true,
     secure: true,
   });
-  res.sendStatus(204); // forbidden
-
+  res.sendStatus(204);
 });
 
 module.exports = logoutUser;
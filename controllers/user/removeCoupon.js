@@ -0,0 +1,41 @@
+const asyncHandler = require("express-async-handler");
+const validateMongodbId = require("../../utils/validateMongodbId");
+const Cart = require("../../models/cartModel");
+const { applyCartCoupon } = require("../../services/couponService");
+
+/**
+ * @function removeCoupon
+ * @description Removes the promo code applied to the user's cart.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} req.user._id - Authenticated user's ID
+ * @returns {Object} - The cart at full price
+ */
+const removeCoupon = asyncHandler(async (req, res) => {
+  const { _id } = req.user;
+  validateMongodbId(_id);
+
+  const cart = await Cart.findOne({ owner: _id });
+  if (!cart) {
+    return res.status(404).json({
+      success: false,
+      message: "Cart not found",
+    });
+  }
+
+  cart.coupon = undefined;
+  await applyCartCoupon(cart);
+  await cart.save();
+
+  const populatedCart = await Cart.findById(cart._id)
+    .populate("products.product", "title listedPrice images description brand")
+    .populate("products.store", "name address mobile");
+
+  res.json({
+    success: true,
+    message: "Coupon removed",
+    data: populatedCart,
+  });
+});
+
+module.exports = removeCoupon;
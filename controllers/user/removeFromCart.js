@@ -14,6 +14,8 @@ const Product = require("../../models/productModel");
 const Store = require("../../models/storeModel");
 const uniqid = require("uniqid");
 const { ThrowError, MakeID } = require("../../Helpers/Helpers");
+const { findCartLine } = require("../../utils/cartLines");
+const { applyCartCoupon } = require("../../services/couponService");
 
 /**
  * @function removeFromCart
@@ -22,12 +24,14 @@ const { ThrowError, MakeID } = require("../../Helpers/Helpers");
  * @param {Object} res - Express response object
  * @param {string} req.user._id - Authenticated user's ID (required)
  * @param {string} req.body.productId - Product ID to remove
+ * @param {string} [req.body.variantId] - Variant of the line to remove; needed
+ *   only when the product is in the cart in more than one version
  * @returns {Object} - Updated cart information
  * @throws {Error} - Throws error if cart update fails
  */
 const removeFromCart = asyncHandler(async (req, res) => {
   const { _id } = req.user;
-  const { productId } = req.body;
+  const { productId, variantId } = req.body;
 
   // Validate input
   if (!productId) {
@@ -39,6 +43,7 @@ const removeFromCart = asyncHandler(async (req, res) => {
 
   validateMongodbId(_id);
   validateMongodbId(productId);
+  if (variantId) validateMongodbId(variantId);
 
   try {
     const cart = await Cart.findOne({ owner: _id });
@@ -51,10 +56,19 @@ const removeFromCart = asyncHandler(async (req, res) => {
     }
 
     // Check if product exists in cart
-    const productIndex = cart.products.findIndex(
-      (item) => item.product.toString() === productId,
+    const { index: productIndex, error: lineError } = findCartLine(
+      cart.products,
+      productId,
+      variantId,
     );
 
+    if (lineError) {
+      return res.status(400).json({
+        success: false,
+        message: lineError,
+      });
+    }
+
     if (productIndex === -1) {
       return res.status(404).json({
         success: false,
@@ -65,11 +79,8 @@ const removeFromCart = asyncHandler(async (req, res) => {
     // Remove product from array
     cart.products.splice(productIndex, 1);
 
-    // Recalculate total
-    cart.cartTotal = cart.products.reduce(
-      (total, item) => total + item.price,
-      0,
-    );
+    // Recalculate totals, re-checking any applied coupon against the new lines
+    await applyCartCoupon(cart);
 
     await cart.save();
 
@@ -4,6 +4,7 @@ const asyncHandler = require("express-async-handler");
 const crypto = require("crypto");
 const Validate = require("../../Helpers/Validate");
 const audit = require("../../services/auditService");
+const { revokeAllSessions } = require("../../services/sessionService");
 
 const FIFTEEN_MINUTES = 15 * 60 * 1000;
 
@@ -76,6 +77,9 @@ const resetPassword = asyncHandler(async (req, res) => {
   user.password = password;
   await user.save();
 
+  // Whoever knew the old password may still hold a session; sign out everywhere
+  await revokeAllSessions(user._id, { reason: "password_reset" });
+
   audit.log({
     action: "user.password_reset_success",
     actor: { email },
@@ -0,0 +1,43 @@
+const asyncHandler = require("express-async-handler");
+const { revokeAllSessions } = require("../../services/sessionService");
+const audit = require("../../services/auditService");
+
+/**
+ * @function revokeAllUserSessions
+ * @description Signs the user out on every other device. The device making
+ * the request stays signed in unless `includeCurrent` is true.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {boolean} [req.query.includeCurrent] - Also sign out this device
+ * @param {string} req.user._id - Authenticated user's ID
+ * @returns {Object} - { success, message, revoked }
+ */
+const revokeAllUserSessions = asyncHandler(async (req, res) => {
+  const includeCurrent = req.query.includeCurrent === "true";
+
+  const revoked = await revokeAllSessions(req.user._id, {
+    except: includeCurrent ? undefined : req.sessionId,
+  });
+
+  audit.log({
+    action: "user.sessions_revoked_all",
+    actor: audit.actor(req),
+    resource: { type: "user", id: req.user._id },
+    metadata: { revoked, includeCurrent, currentSessionId: req.sessionId },
+  });
+
+  if (includeCurrent) {
+    res.clearCookie("refreshToken", {
+      httpOnly: true,
+      secure: true,
+    });
+  }
+
+  res.json({
+    success: true,
+    message: includeCurrent ? "Signed out on all devices" : "Signed out on all other devices",
+    revoked,
+  });
+});
+
+module.exports = revokeAllUserSessions;
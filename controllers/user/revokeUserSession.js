@@ -0,0 +1,41 @@
+const asyncHandler = require("express-async-handler");
+const validateMongodbId = require("../../utils/validateMongodbId");
+const { revokeSession } = require("../../services/sessionService");
+const audit = require("../../services/auditService");
+
+/**
+ * @function revokeUserSession
+ * @description Signs one of the user's devices out, e.g. a lost phone. Its
+ * refresh token and access token stop working immediately.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} req.params.id - Session ID from GET /api/user/sessions
+ * @param {string} req.user._id - Authenticated user's ID
+ * @returns {Object} - { success, message }
+ */
+const revokeUserSession = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  validateMongodbId(id);
+
+  const session = await revokeSession(req.user._id, id);
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      message: "Session not found or already signed out",
+    });
+  }
+
+  audit.log({
+    action: "user.session_revoked",
+    actor: audit.actor(req),
+    resource: { type: "user", id: req.user._id },
+    metadata: { sessionId: session._id, deviceId: session.deviceId },
+  });
+
+  res.json({
+    success: true,
+    message: "Device signed out",
+  });
+});
+
+module.exports = revokeUserSession;
@@ -14,6 +14,19 @@ const Product = require("../../models/productModel");
 const Store = require("../../models/storeModel");
 const uniqid = require("uniqid");
 const { ThrowError, MakeID } = require("../../Helpers/Helpers");
+const money = require("../../utils/money");
+const { findCartLine } = require("../../utils/cartLines");
+const { applyCartCoupon } = require("../../services/couponService");
+const {
+  liveSalesFor,
+  saleFor,
+  applySale,
+} = require("../../services/storeSaleService");
+const {
+  resolveVariant,
+  availableStock,
+  linePrices,
+} = require("../../utils/productVariants");
 
 /**
  * @function updateCart
@@ -21,16 +34,15 @@ const { ThrowError, MakeID } = require("../../Helpers/Helpers");
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {string} req.user.id - Authenticated user's ID (required)
- * @param {number} req.body.count - Current product count
  * @param {number} req.body.newCount - New product count to set
- * @param {string} req.body._id - Product ID in cart
- * @param {Object} req.body.product - Product details
- * @param {number} req.body.product.listedPrice - Product price
+ * @param {string} req.body.productId - Product ID in cart
+ * @param {string} [req.body.variantId] - Variant of the line to update; needed
+ *   only when the product is in the cart in more than one version
  * @returns {Object} - Updated cart information
  */
 const updateCart = asyncHandler(async (req, res) => {
   const { _id } = req.user;
-  const { productId, newCount } = req.body;
+  const { productId, variantId, newCount } = req.body;
 
   // Validate input
   if (!productId) {
@@ -49,6 +61,7 @@ const updateCart = asyncHandler(async (req, res) => {
 
   validateMongodbId(_id);
   validateMongodbId(productId);
+  if (variantId) validateMongodbId(variantId);
 
   try {
     const cart = await Cart.findOne({ owner: _id });
@@ -61,10 +74,19 @@ const updateCart = asyncHandler(async (req, res) => {
     }
 
     // Find product in cart
-    const productIndex = cart.products.findIndex(
-      (item) => item.product.toString() === productId,
+    const { index: productIndex, error: lineError } = findCartLine(
+      cart.products,
+      productId,
+      variantId,
     );
 
+    if (lineError) {
+      return res.status(400).json({
+        success: false,
+        message: lineError,
+      });
+    }
+
     if (productIndex === -1) {
       return res.status(404).json({
         success: false,
@@ -81,8 +103,22 @@ const updateCart = asyncHandler(async (req, res) => {
       });
     }
 
+    // Stock and price come from the line's variant when it has one
+    const line = cart.products[productIndex];
+    const { variant, error: variantError } = resolveVariant(
+      productDetails,
+      line.variant ? { variantId: line.variant } : {},
+    );
+
+    if (variantError) {
+      return res.status(400).json({
+        success: false,
+        message: variantError,
+      });
+    }
+
     // Check stock availability
-    if (newCount > productDetails.quantity) {
+    if (newCount > availableStock(productDetails, variant)) {
       return res.status(400).json({
         success: false,
         message: "Insufficient stock available",
@@ -94,15 +130,19 @@ const updateCart = asyncHandler(async (req, res) => {
       cart.products.splice(productIndex, 1);
     } else {
       // Update quantity and price
+      const sales = await liveSalesFor([productDetails]);
+      const { unitPrice, sale } = applySale(
+        linePrices(productDetails, variant),
+        saleFor(productDetails, sales, { count: newCount }),
+      );
       cart.products[productIndex].count = newCount;
-      cart.products[productIndex].price = newCount * productDetails.listedPrice;
+      cart.products[productIndex].unitPrice = unitPrice;
+      cart.products[productIndex].sale = sale;
+      cart.products[productIndex].price = money.multiply(unitPrice, newCount);
     }
 
-    // Recalculate total
-    cart.cartTotal = cart.products.reduce(
-      (total, item) => total + item.price,
-      0,
-    );
+    // Recalculate totals, re-checking any applied coupon against the new lines
+    await applyCartCoupon(cart);
 
     await cart.save();
 
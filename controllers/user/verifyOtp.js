@@ -14,9 +14,7 @@ const Product = require("../../models/productModel");
 const Store = require("../../models/storeModel");
 const uniqid = require("uniqid");
 const { ThrowError, MakeID } = require("../../Helpers/Helpers");
-
-// Access token lifetime in milliseconds — must stay in sync with jwt.js expiresIn
-const ACCESS_TOKEN_TTL_MS = 24 * 60 * 60 * 1000; // 1 day
+const { createSession } = require("../../services/sessionService");
 
 /**
  * @function verifyOtp
@@ -25,7 +23,7 @@ const ACCESS_TOKEN_TTL_MS = 24 * 60 * 60 * 1000; // 1 day
  * @param {Object} req - Express request object
  * @param {string} req.body.email - User's email address (required)
  * @param {string} req.body.code  - Verification code sent to email (required)
- * @returns {Object} - Auth payload: _id, activeRole, role, token, refreshToken, tokenExpiresAt
+ * @returns {Object} - Auth payload: _id, activeRole, role, token, refreshToken, tokenExpiresAt, sessionId, deviceId
  */
 const verifyOtp = asyncHandler(async (req, res) => {
   const { email, code } = req.body;
@@ -60,12 +58,12 @@ const verifyOtp = asyncHandler(async (req, res) => {
   await Token.findOneAndDelete({ email });
 
   // Issue tokens
-  const accessToken = generateToken(user._id);
-  const refreshToken = await generateRefreshToken(user._id);
-  const tokenExpiresAt = new Date(Date.now() + ACCESS_TOKEN_TTL_MS).toISOString();
+  const { session, accessToken, refreshToken, tokenExpiresAt } = await createSession(
+    user._id,
+    req,
+  );
 
-  // Persist the refresh token and set it as an HTTP-only cookie (for web clients)
-  await User.findByIdAndUpdate(user._id, { refreshToken });
+  // Set the refresh token as an HTTP-only cookie (for web clients)
   res.cookie("refreshToken", refreshToken, {
     httpOnly: true,
     maxAge: 3 * 24 * 60 * 60 * 1000, // 3 days
@@ -82,6 +80,8 @@ const verifyOtp = asyncHandler(async (req, res) => {
     token: accessToken,
     refreshToken,          // returned in body for mobile clients
     tokenExpiresAt,
+    sessionId: session._id,
+    deviceId: session.deviceId,
   });
 });
 
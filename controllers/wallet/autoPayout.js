@@ -0,0 +1,128 @@
+const asyncHandler = require("express-async-handler");
+const Wallet = require("../../models/walletModel");
+const audit = require("../../services/auditService");
+const { verifyWalletPin } = require("../../services/walletPinService");
+const { validateAutoPayoutSettings } = require("../../services/autoPayoutService");
+
+const settingsOf = (wallet) => ({
+  enabled: wallet.autoPayout?.enabled || false,
+  frequency: wallet.autoPayout?.frequency,
+  dayOfWeek: wallet.autoPayout?.dayOfWeek,
+  threshold: wallet.autoPayout?.threshold,
+});
+
+/**
+ * @function updateAutoPayout
+ * @description Turn scheduled automatic payouts to the default bank account
+ *   on or off. Turning them on, or changing their schedule, takes the
+ *   withdrawal PIN; turning them off does not.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} req.user._id - Authenticated user's ID
+ * @param {boolean} req.body.enabled - Whether payouts should run
+ * @param {string} [req.body.frequency] - "daily" or "weekly" (default weekly)
+ * @param {number} [req.body.dayOfWeek] - Weekly payout day, 0 = Sunday (default Monday)
+ * @param {number} [req.body.threshold] - Pay out once the balance reaches this (default ₦5,000)
+ * @param {string} [req.body.pin] - Withdrawal PIN, required to turn payouts on
+ * @returns {Object} - The wallet's automatic payout settings
+ */
+const updateAutoPayout = asyncHandler(async (req, res) => {
+  const { _id } = req.user;
+  const { enabled, pin } = req.body;
+
+  if (typeof enabled !== "boolean") {
+    return res.status(400).json({
+      success: false,
+      message: "enabled must be true or false",
+    });
+  }
+
+  if (!enabled) {
+    const wallet = await Wallet.findOneAndUpdate(
+      { user: _id },
+      { $set: { "autoPayout.enabled": false } },
+    );
+    if (!wallet) {
+      return res.status(404).json({ success: false, message: "Wallet not found" });
+    }
+
+    audit.log({
+      action: "wallet.auto_payout_updated",
+      actor: audit.actor(req),
+      resource: { type: "wallet", id: wallet._id },
+      changes: { before: settingsOf(wallet), after: { enabled: false } },
+    });
+
+    return res.json({
+      success: true,
+      message: "Automatic payouts turned off",
+      data: { ...settingsOf(wallet), enabled: false },
+    });
+  }
+
+  const settings = validateAutoPayoutSettings(req.body);
+  if (settings.error) {
+    return res.status(400).json({ success: false, message: settings.error });
+  }
+
+  const pinCheck = await verifyWalletPin(_id, pin, {
+    actor: audit.actor(req),
+    action: "wallet.auto_payout_pin_failed",
+    metadata: settings,
+  });
+  if (!pinCheck.wallet) {
+    return res
+      .status(pinCheck.status)
+      .json({ success: false, message: pinCheck.message });
+  }
+
+  const wallet = pinCheck.wallet;
+  if (wallet.status !== "active") {
+    return res.status(400).json({
+      success: false,
+      message: "Wallet is not active",
+    });
+  }
+  if (!wallet.defaultBankAccount?.bankCode) {
+    return res.status(400).json({
+      success: false,
+      message: "Add a bank account before turning on automatic payouts",
+    });
+  }
+
+  const before = settingsOf(wallet);
+  const updated = await Wallet.findByIdAndUpdate(
+    wallet._id,
+    {
+      $set: {
+        "autoPayout.enabled": true,
+        "autoPayout.frequency": settings.frequency,
+        "autoPayout.dayOfWeek": settings.dayOfWeek,
+        "autoPayout.threshold": settings.threshold,
+        "autoPayout.authorisedAt": new Date(),
+      },
+    },
+    { new: true },
+  );
+
+  audit.log({
+    action: "wallet.auto_payout_updated",
+    actor: audit.actor(req),
+    resource: { type: "wallet", id: wallet._id },
+    changes: { before, after: settingsOf(updated) },
+  });
+
+  res.json({
+    success: true,
+    message: "Automatic payouts turned on",
+    data: {
+      ...settingsOf(updated),
+      bankAccount: {
+        bankName: updated.defaultBankAccount.bankName,
+        accountNumber: `****${updated.defaultBankAccount.accountNumber.slice(-4)}`,
+      },
+    },
+  });
+});
+
+module.exports = updateAutoPayout;
@@ -43,6 +43,7 @@ const getWallet = asyncHandler(async (req, res) => {
       data: {
         ...wallet.toObject(),
         hasWithdrawalPin,
+        dailyTransferRemaining: wallet.transferAllowance(),
       }
     });
   } catch (error) {
@@ -1,32 +1,63 @@
 const asyncHandler = require("express-async-handler");
 const Transaction = require("../../models/transactionModel");
+const Wallet = require("../../models/walletModel");
+
+const AUTO_PAYOUT_TAG = "auto_payout";
 
 /**
  * @function getWithdrawalHistory
- * @description Get user's withdrawal history
+ * @description Get user's withdrawal history, manual withdrawals and
+ *   automatic payouts alike, with the automatic payout schedule and how its
+ *   last run went (paid, skipped and why, failed, or disabled)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {string} req.user._id - Authenticated user's ID
+ * @param {string} [req.query.trigger] - "manual" or "auto" to show only those
  * @returns {Object} - Withdrawal history
  */
 const getWithdrawalHistory = asyncHandler(async (req, res) => {
   const { _id } = req.user;
+  const { trigger } = req.query;
   const page = Math.max(1, parseInt(req.query.page) || 1);
   const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
   const skip = (page - 1) * limit;
 
-  const [withdrawals, total] = await Promise.all([
-    Transaction.find({ "entries.userId": _id, type: "wallet_withdrawal" })
+  if (trigger !== undefined && !["manual", "auto"].includes(trigger)) {
+    return res.status(400).json({
+      success: false,
+      message: "trigger must be 'manual' or 'auto'",
+    });
+  }
+
+  const query = { "entries.userId": _id, type: "wallet_withdrawal" };
+  if (trigger === "auto") query["metadata.tags"] = AUTO_PAYOUT_TAG;
+  if (trigger === "manual") query["metadata.tags"] = { $ne: AUTO_PAYOUT_TAG };
+
+  const [withdrawals, total, wallet] = await Promise.all([
+    Transaction.find(query)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit),
-    Transaction.countDocuments({ "entries.userId": _id, type: "wallet_withdrawal" }),
+    Transaction.countDocuments(query),
+    Wallet.findOne({ user: _id }).select("autoPayout"),
   ]);
 
+  const autoPayout = wallet?.autoPayout;
+
   res.json({
     success: true,
     data: {
-      withdrawals,
+      withdrawals: withdrawals.map((w) => ({
+        ...w.toObject(),
+        trigger: w.metadata?.tags?.includes(AUTO_PAYOUT_TAG) ? "auto" : "manual",
+      })),
+      autoPayout: {
+        enabled: autoPayout?.enabled || false,
+        frequency: autoPayout?.frequency,
+        dayOfWeek: autoPayout?.dayOfWeek,
+        threshold: autoPayout?.threshold,
+        lastRun: autoPayout?.lastRun?.at ? autoPayout.lastRun : null,
+      },
       pagination: {
         currentPage: page,
         totalTransactions: total,
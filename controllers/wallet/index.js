@@ -6,6 +6,7 @@ const setDefaultBankAccount = require('./setDefaultBankAccount'); // PUT /bank-a
 const deleteBankAccount = require('./deleteBankAccount');     // DELETE /bank-account/:id
 const requestWithdrawal = require('./requestWithdrawal');
 const getWithdrawalHistory = require('./getWithdrawalHistory');
+const updateAutoPayout = require('./autoPayout');
 const getWalletStats = require('./getWalletStats');
 const getEarningsOverview = require('./getEarningsOverview');
 const {
@@ -15,6 +16,11 @@ const {
   verifyWithdrawalPinReset,
   resetWithdrawalPin,
 } = require('./withdrawalPin');
+const {
+  findTransferRecipient,
+  sendTransfer,
+  getTransferReceipt,
+} = require('./walletTransfer');
 
 module.exports = {
   createWallet,
@@ -25,6 +31,7 @@ module.exports = {
   deleteBankAccount,
   requestWithdrawal,
   getWithdrawalHistory,
+  updateAutoPayout,
   getWalletStats,
   getEarningsOverview,
   createWithdrawalPin,
@@ -32,4 +39,7 @@ module.exports = {
   forgotWithdrawalPin,
   verifyWithdrawalPinReset,
   resetWithdrawalPin,
+  findTransferRecipient,
+  sendTransfer,
+  getTransferReceipt,
 };
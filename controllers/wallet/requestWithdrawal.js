@@ -1,10 +1,12 @@
 const asyncHandler = require("express-async-handler");
-const bcrypt = require("bcrypt");
 const mongoose = require("mongoose");
 const Wallet = require("../../models/walletModel");
-const Transaction = require("../../models/transactionModel");
-const { MakeID } = require("../../Helpers/Helpers");
 const audit = require("../../services/auditService");
+const { verifyWalletPin } = require("../../services/walletPinService");
+const {
+  feeForWithdrawal,
+  createWithdrawal,
+} = require("../../services/withdrawalService");
 const money = require("../../utils/money");
 
 /**
@@ -30,70 +32,18 @@ const requestWithdrawal = asyncHandler(async (req, res) => {
     });
   }
 
-  if (!pin) {
-    return res.status(400).json({
-      success: false,
-      message: "Withdrawal PIN is required",
-    });
-  }
-
-  // --- PIN verification (outside session — avoids session conflict on bcrypt) ---
-  const walletForPin = await Wallet.findOne({ user: _id }).select(
-    "+withdrawalPin.hash",
-  );
-
-  if (!walletForPin) {
-    return res.status(404).json({ success: false, message: "Wallet not found" });
-  }
-
-  if (!walletForPin.withdrawalPin?.hash) {
-    return res.status(400).json({
-      success: false,
-      message: "Withdrawal PIN not set. Please create a PIN first.",
-    });
-  }
-
-  // Lockout check
-  const lockoutExpiry = walletForPin.withdrawalPin.attempts?.lockedUntil;
-  if (lockoutExpiry && lockoutExpiry > new Date()) {
-    const minutesLeft = Math.ceil((lockoutExpiry - new Date()) / (1000 * 60));
-    return res.status(429).json({
-      success: false,
-      message: `Too many failed PIN attempts. Try again in ${minutesLeft} minute(s).`,
-    });
-  }
-
-  const pinValid = await bcrypt.compare(pin, walletForPin.withdrawalPin.hash);
-
-  if (!pinValid) {
-    walletForPin.withdrawalPin.attempts.count =
-      (walletForPin.withdrawalPin.attempts.count || 0) + 1;
-
-    if (walletForPin.withdrawalPin.attempts.count >= 5) {
-      walletForPin.withdrawalPin.attempts.lockedUntil = new Date(
-        Date.now() + 30 * 60 * 1000,
-      );
-      walletForPin.withdrawalPin.attempts.count = 0;
-    }
-    await walletForPin.save();
-
-    audit.error({
-      action: "wallet.withdrawal_pin_failed",
-      actor: audit.actor(req),
-      resource: { type: "wallet", id: walletForPin._id },
-      metadata: { amount },
-    });
-
-    return res.status(401).json({
-      success: false,
-      message: "Incorrect withdrawal PIN",
-    });
+  // --- PIN verification (outside session — a failed attempt must stick) ---
+  const pinCheck = await verifyWalletPin(_id, pin, {
+    actor: audit.actor(req),
+    action: "wallet.withdrawal_pin_failed",
+    metadata: { amount },
+  });
+  if (!pinCheck.wallet) {
+    return res
+      .status(pinCheck.status)
+      .json({ success: false, message: pinCheck.message });
   }
 
-  // Reset failed attempts on success
-  walletForPin.withdrawalPin.attempts = { count: 0, lockedUntil: null };
-  await walletForPin.save();
-
   // --- Transactional deduction ---
   const session = await mongoose.startSession();
   let transactionId, withdrawalFee, totalDeduction, remainingBalance, walletId;
@@ -143,7 +93,7 @@ const requestWithdrawal = asyncHandler(async (req, res) => {
 
       // 1% fee, floored at ₦100 — computed in kobo so the fee and the total
       // deduction are exact whole-kobo values.
-      withdrawalFee = money.max(money.percentage(amount, 1), 100);
+      withdrawalFee = feeForWithdrawal(amount);
       totalDeduction = money.add(amount, withdrawalFee);
 
       if (money.lt(wallet.balance, totalDeduction)) {
@@ -164,56 +114,9 @@ const requestWithdrawal = asyncHandler(async (req, res) => {
       walletId = wallet._id;
 
       // Deduct atomically — session-bound, rolls back if ledger write fails
-      await wallet.deductFunds(totalDeduction, "withdrawal", session);
+      const { transaction } = await createWithdrawal(wallet, amount, {}, session);
+      transactionId = transaction.transactionId;
       remainingBalance = wallet.balance; // deductFunds updates this.balance
-
-      transactionId = `WD_${Date.now()}_${MakeID(16)}`;
-      await Transaction.createTransaction(
-        {
-          transactionId,
-          reference: `Withdrawal-${transactionId}`,
-          type: "wallet_withdrawal",
-          totalAmount: amount,
-          entries: [
-            {
-              account: "accounts_payable",
-              userId: _id,
-              debit: amount,
-              credit: 0,
-              description: `Withdrawal to ${defaultBank.bankName}`,
-            },
-            {
-              account: "wallet_vendor",
-              userId: _id,
-              debit: 0,
-              credit: amount,
-              description: "Wallet withdrawal",
-            },
-            {
-              account: "bank_transfer_fees",
-              userId: _id,
-              debit: withdrawalFee,
-              credit: 0,
-              description: "Withdrawal processing fee",
-            },
-            {
-              account: "wallet_vendor",
-              userId: _id,
-              debit: 0,
-              credit: withdrawalFee,
-              description: "Fee deduction",
-            },
-          ],
-          relatedEntity: { type: "withdrawal", id: wallet._id },
-          status: "pending",
-          metadata: {
-            paymentMethod: "bank_transfer",
-            bankReference: `****${defaultBank.accountNumber.slice(-4)}`,
-            notes: `Withdrawal request for ${amount} NGN`,
-          },
-        },
-        session,
-      );
     });
   } catch (error) {
     throw new Error(error.message);
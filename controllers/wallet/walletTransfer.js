@@ -0,0 +1,224 @@
+const asyncHandler = require("express-async-handler");
+const User = require("../../models/userModel");
+const Transaction = require("../../models/transactionModel");
+const audit = require("../../services/auditService");
+const receiptService = require("../../services/receiptService");
+const firebaseService = require("../../services/firebaseNotificationService");
+const { verifyWalletPin } = require("../../services/walletPinService");
+const {
+  WalletTransferError,
+  describeRecipient,
+  findRecipient,
+  validateTransfer,
+  transfer,
+  transferParties,
+} = require("../../services/walletTransferService");
+
+/**
+ * @function findTransferRecipient
+ * @description Look up who a wallet transfer would go to, so the sender can
+ *   check the name before entering their PIN.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} req.query.identifier - Recipient's phone number or email
+ * @returns {Object} - The recipient, with their contact details masked
+ */
+const findTransferRecipient = asyncHandler(async (req, res) => {
+  const found = await findRecipient(req.query.identifier);
+  if (found.error) {
+    return res.status(found.notFound ? 404 : 400).json({
+      success: false,
+      message: found.error,
+    });
+  }
+  if (String(found.user._id) === String(req.user._id)) {
+    return res.status(400).json({
+      success: false,
+      message: "You can't send money to yourself",
+    });
+  }
+
+  res.json({ success: true, data: describeRecipient(found.user) });
+});
+
+/**
+ * @function sendTransfer
+ * @description Send money from the user's wallet to another user's wallet.
+ *   Requires the withdrawal PIN and counts against the daily transfer limit.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} req.user._id - Authenticated user's ID
+ * @param {string} req.body.recipient - Recipient's phone number or email
+ * @param {number} req.body.amount - Amount in NGN
+ * @param {string} req.body.pin - Withdrawal PIN for authorisation
+ * @param {string} [req.body.note] - Shown to the recipient
+ * @param {string} [req.body.reference] - Client id for the transfer; a retry
+ *   with the same reference is refused instead of sending twice
+ * @returns {Object} - The transfer and the balance left
+ */
+const sendTransfer = asyncHandler(async (req, res) => {
+  const { _id } = req.user;
+  const { recipient: identifier, pin } = req.body;
+
+  const request = validateTransfer(req.body);
+  if (request.error) {
+    return res.status(400).json({ success: false, message: request.error });
+  }
+
+  const found = await findRecipient(identifier);
+  if (found.error) {
+    return res.status(400).json({ success: false, message: found.error });
+  }
+  const recipient = found.user;
+
+  // --- PIN verification (outside session — a failed attempt must stick) ---
+  const pinCheck = await verifyWalletPin(_id, pin, {
+    actor: audit.actor(req),
+    action: "wallet.transfer_pin_failed",
+    metadata: { amount: request.amount, recipient: recipient._id },
+  });
+  if (!pinCheck.wallet) {
+    return res
+      .status(pinCheck.status)
+      .json({ success: false, message: pinCheck.message });
+  }
+
+  const sender = await User.findById(_id).select("fullName firstname lastname");
+
+  let result;
+  try {
+    result = await transfer({ sender, recipient, ...request });
+  } catch (error) {
+    audit.error({
+      action: "wallet.transfer_failed",
+      actor: audit.actor(req),
+      resource: { type: "wallet", id: pinCheck.wallet._id },
+      metadata: {
+        amount: request.amount,
+        recipient: recipient._id,
+        reason: error.message,
+      },
+    });
+    if (error instanceof WalletTransferError) {
+      return res
+        .status(error.statusCode)
+        .json({ success: false, message: error.message });
+    }
+    throw error;
+  }
+
+  const { transaction } = result;
+
+  // Audit and notification OUTSIDE the session — avoids double-fire on retry
+  audit.log({
+    action: "wallet.transfer_sent",
+    actor: audit.actor(req),
+    resource: { type: "wallet", id: result.senderWalletId },
+    changes: { after: { amount: request.amount, balance: result.balance } },
+    metadata: {
+      transactionId: transaction.transactionId,
+      recipient: recipient._id,
+      recipientWallet: result.recipientWalletId,
+      note: request.note,
+    },
+  });
+
+  try {
+    await firebaseService.sendTemplatedNotification(
+      String(recipient._id),
+      "wallet_transfer_received",
+      { sender: sender.fullName || "A WigoMarket user", amount: request.amount },
+      { transactionId: transaction.transactionId, type: "wallet_transfer" },
+      "systemUpdates",
+    );
+  } catch (error) {
+    console.error(`Failed to notify ${recipient._id} of transfer:`, error.message);
+  }
+
+  res.json({
+    success: true,
+    message: "Transfer sent",
+    data: {
+      transactionId: transaction.transactionId,
+      amount: request.amount,
+      note: request.note || null,
+      recipient: describeRecipient(recipient),
+      remainingBalance: result.balance,
+      dailyTransferRemaining: result.allowanceLeft,
+      receiptUrl: `/api/wallet/transfer-receipt/${transaction.transactionId}`,
+    },
+  });
+});
+
+/**
+ * @function getTransferReceipt
+ * @description PDF receipt for a wallet transfer, for its sender or recipient
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} req.params.transactionId - The transfer's transactionId
+ * @returns {Object} - PDF receipt file
+ */
+const getTransferReceipt = asyncHandler(async (req, res) => {
+  const { transactionId } = req.params;
+  const { _id } = req.user;
+
+  const transaction = await Transaction.findOne({
+    transactionId,
+    type: "wallet_transfer",
+    "entries.userId": _id,
+  });
+  if (!transaction) {
+    return res.status(404).json({
+      success: false,
+      message: "Transfer not found",
+    });
+  }
+
+  const parties = transferParties(transaction);
+  const [sender, recipient] = await Promise.all([
+    User.findById(parties.sender).select("fullName firstname lastname email mobile"),
+    User.findById(parties.recipient).select("fullName firstname lastname email mobile"),
+  ]);
+  const party = (user) => ({
+    name: user?.fullName || [user?.firstname, user?.lastname].filter(Boolean).join(" ") || "User",
+    email: user?.email,
+    phone: user?.mobile || "N/A",
+  });
+
+  const pdfPath = await receiptService.generateTransferReceipt({
+    receiptNumber: transaction.transactionId,
+    date: transaction.createdAt.toLocaleDateString("en-NG"),
+    time: transaction.createdAt.toLocaleTimeString("en-NG"),
+    direction: String(parties.sender) === String(_id) ? "Sent" : "Received",
+    sender: party(sender),
+    recipient: party(recipient),
+    transfer: {
+      amount: transaction.totalAmount,
+      note: transaction.metadata?.notes || null,
+      status: transaction.status,
+    },
+    company: {
+      name: "WigoMarket",
+      address: "Lagos, Nigeria",
+      phone: "+234 XXX XXX XXXX",
+      email: "support@wigomarket.com",
+      website: "www.wigomarket.com",
+    },
+  });
+
+  res.download(pdfPath, `transfer_receipt_${transactionId}.pdf`, (err) => {
+    if (err) {
+      console.error("Error sending PDF:", err);
+      res.status(500).json({
+        success: false,
+        message: "Failed to download transfer receipt",
+      });
+    }
+  });
+});
+
+module.exports = {
+  findTransferRecipient,
+  sendTransfer,
+  getTransferReceipt,
+};
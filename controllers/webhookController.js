@@ -1,6 +1,7 @@
 /**
  * @file webhookController.js
- * @description Flutterwave webhook receiver.
+ * @description Flutterwave webhook receivers: charges (order payments) and
+ * transfers (withdrawal payouts).
  *
  * DESIGN:
  *   1. Verify the HMAC-SHA256 signature immediately. Reject on failure.
@@ -9,21 +10,30 @@
  *   3. Hand the payload off to the payment queue (BullMQ when Redis is available,
  *      or a setImmediate fallback when it is not). All DB work happens there.
  *
- * The actual payment processing logic lives in services/webhookPaymentProcessor.js.
+ * The processing logic lives in services/webhookPaymentProcessor.js and
+ * services/transferWebhookProcessor.js. Flutterwave also posts transfer events
+ * to the dashboard webhook URL, so the payment webhook forwards those too.
  */
 
 const asyncHandler = require("express-async-handler");
 const crypto = require("crypto");
 const appConfig = require("../config/appConfig");
 const audit = require("../services/auditService");
-const { enqueueWebhookPayment } = require("../services/paymentQueue");
+const {
+  enqueueWebhookPayment,
+  enqueueTransferWebhook,
+} = require("../services/paymentQueue");
 
-const handleFlutterwaveWebhook = asyncHandler(async (req, res) => {
+/**
+ * Check a webhook's signature, answering 401 (and auditing why) when it is
+ * missing or wrong.
+ * @returns {boolean} whether the request may be processed
+ */
+const verifySignature = (req, res) => {
   const signature =
     req.headers["verif-hash"] || req.headers["x-flw-signature"];
   const payload = req.body;
 
-  // ── Signature verification ─────────────────────────────────────────────────
   const secretHash = appConfig.payment.flutterwave.webhookSecretHash;
   if (!secretHash) {
     audit.error({
@@ -31,9 +41,10 @@ const handleFlutterwaveWebhook = asyncHandler(async (req, res) => {
       actor: { userId: null, role: "system", ip: req.ip },
       metadata: { error: "FLW_WEBHOOK_SECRET_HASH not configured" },
     });
-    return res
+    res
       .status(401)
       .json({ success: false, message: "Webhook configuration error" });
+    return false;
   }
 
   const hash = crypto
@@ -54,17 +65,46 @@ const handleFlutterwaveWebhook = asyncHandler(async (req, res) => {
       actor: { userId: null, role: "system", ip: req.ip },
       metadata: { event: payload.event, signature },
     });
-    return res.status(401).json({ success: false, message: "Invalid signature" });
+    res.status(401).json({ success: false, message: "Invalid signature" });
+    return false;
   }
+  return true;
+};
+
+const isTransferEvent = (payload) =>
+  String(payload.event || "").startsWith("transfer.");
+
+const handleFlutterwaveWebhook = asyncHandler(async (req, res) => {
+  if (!verifySignature(req, res)) return;
+  const payload = req.body;
 
   // ── Acknowledge immediately ────────────────────────────────────────────────
   // Flutterwave requires a quick response; heavy DB work runs in the background.
   res.status(200).json({ success: true, message: "Webhook received" });
 
   // ── Enqueue for async processing ───────────────────────────────────────────
-  enqueueWebhookPayment(payload, req.ip).catch((err) => {
+  const enqueue = isTransferEvent(payload)
+    ? enqueueTransferWebhook
+    : enqueueWebhookPayment;
+  enqueue(payload, req.ip).catch((err) => {
     console.error("[Webhook] Enqueue error:", err.message);
   });
 });
 
-module.exports = { handleFlutterwaveWebhook };
+/**
+ * Transfer webhook: the `callback_url` of withdrawal transfers. Settles the
+ * withdrawal as completed, or failed and refunded.
+ */
+const handleTransferWebhook = asyncHandler(async (req, res) => {
+  if (!verifySignature(req, res)) return;
+  const payload = req.body;
+
+  res.status(200).json({ success: true, message: "Webhook received" });
+
+  if (!isTransferEvent(payload)) return;
+  enqueueTransferWebhook(payload, req.ip).catch((err) => {
+    console.error("[Webhook] Transfer enqueue error:", err.message);
+  });
+});
+
+module.exports = { handleFlutterwaveWebhook, handleTransferWebhook };
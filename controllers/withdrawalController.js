@@ -2,9 +2,13 @@ const asyncHandler = require("express-async-handler");
 const mongoose = require("mongoose");
 const Transaction = require("../models/transactionModel");
 const Wallet = require("../models/walletModel");
-const { getFlutterwaveInstance } = require("../config/flutterwaveClient");
-const { MakeID } = require("../Helpers/Helpers");
 const audit = require("../services/auditService");
+const {
+  withdrawalOwner,
+  initiateWithdrawalTransfer,
+  acceptedTransferFields,
+  refundWithdrawal,
+} = require("../services/withdrawalService");
 
 /**
  * @function processWithdrawal
@@ -41,9 +45,7 @@ const processWithdrawal = asyncHandler(async (req, res) => {
     });
   }
 
-  const walletUserId = transaction.entries.find(
-    (e) => e.account === "wallet_vendor",
-  )?.userId;
+  const walletUserId = withdrawalOwner(transaction);
   const wallet = await Wallet.findOne({ user: walletUserId });
   if (!wallet) {
     return res
@@ -54,7 +56,6 @@ const processWithdrawal = asyncHandler(async (req, res) => {
   // ── Step 2: If approving, call FLW OUTSIDE any MongoDB session ───────────
   let transferResponse;
   if (action === "approve") {
-    const flw = getFlutterwaveInstance();
     const defaultBank = wallet.defaultBankAccount;
     if (!defaultBank) {
       return res.status(400).json({
@@ -62,16 +63,7 @@ const processWithdrawal = asyncHandler(async (req, res) => {
         message: "User wallet has no configured bank account",
       });
     }
-    transferResponse = await flw.Transfer.initiate({
-      account_bank: defaultBank.bankCode,
-      account_number: defaultBank.accountNumber,
-      amount: transaction.totalAmount,
-      narration: `Withdrawal from WigoMarket wallet - ${transactionId}`,
-      currency: "NGN",
-      reference: `WD_${transactionId}`,
-      callback_url: `${process.env.API_URL}/api/webhooks/transfer`,
-      debit_currency: "NGN",
-    });
+    transferResponse = await initiateWithdrawalTransfer(transaction, defaultBank);
     if (transferResponse.status !== "success") {
       audit.error({
         action: "wallet.withdrawal_api_failed",
@@ -87,89 +79,56 @@ const processWithdrawal = asyncHandler(async (req, res) => {
   }
 
   // ── Step 3: All DB writes in one atomic session ───────────────────────────
+  // An approved withdrawal waits in `processing` until the transfer webhook
+  // (services/transferWebhookProcessor.js) reports the bank transfer's outcome.
   const session = await mongoose.startSession();
   let result;
   try {
     await session.withTransaction(async () => {
-      // Re-fetch inside session to lock the document
-      const txn = await Transaction.findOne({
-        transactionId,
-        type: "wallet_withdrawal",
-        status: "pending",
-      }).session(session);
+      // Conditional on `pending`: a concurrent approve/reject finds nothing
+      const txn = await Transaction.findOneAndUpdate(
+        { transactionId, type: "wallet_withdrawal", status: "pending" },
+        {
+          $set: {
+            status: action === "approve" ? "processing" : "cancelled",
+            "audit.approvedBy": adminId,
+            "audit.approvedAt": new Date(),
+            ...(action === "approve"
+              ? {
+                  ...acceptedTransferFields(transferResponse),
+                  "metadata.notes":
+                    "Withdrawal approved; awaiting Flutterwave transfer confirmation",
+                }
+              : {
+                  "metadata.notes": `Withdrawal rejected: ${reason || "No reason provided"}`,
+                }),
+          },
+        },
+        { new: true, session },
+      );
       if (!txn)
         throw new Error("Withdrawal already processed by another request");
 
-      const w = await Wallet.findOne({ user: walletUserId }).session(session);
-      if (!w) throw new Error("User wallet not found");
-
       if (action === "approve") {
-        txn.status = "completed";
-        txn.audit.approvedBy = adminId;
-        txn.audit.approvedAt = new Date();
-        txn.metadata.externalTransactionId = transferResponse.data.reference;
-        txn.metadata.notes =
-          "Withdrawal approved and processed via Flutterwave";
-        await txn.save({ session });
-
         result = {
-          message: "Withdrawal approved and processed successfully",
+          message: "Withdrawal approved; the transfer to the bank is in progress",
           data: {
             transactionId: txn.transactionId,
             amount: txn.totalAmount,
             flwReference: transferResponse.data.reference,
-            status: "completed",
+            status: "processing",
           },
         };
       } else {
         // Reject — refund the deducted amount back to wallet
-        const withdrawalFee =
-          txn.entries.find((e) => e.account === "bank_transfer_fees")?.debit ||
-          0;
-        const refundAmount = txn.totalAmount + withdrawalFee;
-
-        await w.addFunds(refundAmount, "refund", session);
-
-        const reversalTransactionId = `REV_${Date.now()}_${MakeID(16)}`;
-        await Transaction.createTransaction(
+        const { refundAmount, reversalTransactionId } = await refundWithdrawal(
+          txn,
           {
-            transactionId: reversalTransactionId,
-            reference: `Reversal-${transactionId}`,
-            type: "wallet_deposit",
-            totalAmount: refundAmount,
-            entries: [
-              {
-                account: "wallet_vendor",
-                userId: w.user,
-                debit: 0,
-                credit: refundAmount,
-                description: `Refund for rejected withdrawal ${transactionId}`,
-              },
-              {
-                account: "cash_account",
-                userId: w.user,
-                debit: refundAmount,
-                credit: 0,
-                description: "Refund payment",
-              },
-            ],
-            relatedEntity: { type: "withdrawal", id: txn._id },
-            status: "completed",
-            metadata: {
-              paymentMethod: "refund",
-              notes: `Refund for rejected withdrawal: ${reason || "No reason provided"}`,
-              originalTransactionId: transactionId,
-            },
+            note: `Refund for rejected withdrawal: ${reason || "No reason provided"}`,
           },
           session,
         );
 
-        txn.status = "cancelled";
-        txn.audit.approvedBy = adminId;
-        txn.audit.approvedAt = new Date();
-        txn.metadata.notes = `Withdrawal rejected: ${reason || "No reason provided"}`;
-        await txn.save({ session });
-
         result = {
           message: "Withdrawal rejected and refunded successfully",
           data: {
@@ -196,7 +155,7 @@ const processWithdrawal = asyncHandler(async (req, res) => {
       after: {
         action,
         reason: reason || null,
-        status: action === "approve" ? "completed" : "cancelled",
+        status: action === "approve" ? "processing" : "cancelled",
       },
     },
   });
@@ -2,6 +2,7 @@ const User = require("../models/userModel");
 const jwt = require("jsonwebtoken");
 const asyncHandler = require("express-async-handler");
 const Store = require("../models/storeModel");
+const { isRefreshToken, isSessionActive } = require("../services/sessionService");
 
 /**
  * Every failure path here sets an explicit status before throwing. The global
@@ -35,6 +36,20 @@ const authMiddleware = asyncHandler(async (req, res, next) => {
     throw new Error(`Not Authorised token expired please login again`);
   }
 
+  // Refresh tokens are signed with the same secret but only buy new tokens
+  // at /refresh; they are long-lived and must not open the API.
+  if (isRefreshToken(decoded)) {
+    res.status(401);
+    throw new Error("Not Authorised, use an access token");
+  }
+
+  // Tokens tied to a device session stop working as soon as that session is
+  // signed out or revoked, not just when they expire.
+  if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+    res.status(401);
+    throw new Error("Session has been signed out, please login again");
+  }
+
   const user = await User.findById(decoded?.id).select("-password -refreshToken");
 
   if (!user) {
@@ -57,6 +72,7 @@ const authMiddleware = asyncHandler(async (req, res, next) => {
   // Add user info to request
   req.user = user;
   req.userId = user._id;
+  req.sessionId = decoded.sid;
   req.userRoles = user.role;
   req.activeRole = user.activeRole;
   next();
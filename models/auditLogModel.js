@@ -24,7 +24,8 @@ const auditLogSchema = new mongoose.Schema(
       type: {
         type: String,
         enum: [
-          "order", "product", "category", "store",
+          "order", "checkout", "product", "category", "store", "coupon",
+          "notification", "geofence",
           "user", "wallet", "payment", "transaction",
           "dispatch", "rating", "wishlist",
           "system",   // cron jobs, background tasks, infrastructure events
@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+// One plan (data bundle, bouquet, PIN) as its provider sells it, with what we
+// charge for it. Prices are naira.
+const billPlanSchema = new mongoose.Schema(
+  {
+    variationCode: { type: String, required: true },
+    name: { type: String, required: true },
+    fixedPrice: { type: Boolean, default: true },
+
+    // The provider's price, as of the last sync
+    providerPrice: { type: Number, required: true, min: 0 },
+    previousPrice: Number, // before the last price change
+    priceChangedAt: Date,
+
+    // Set by admins: added to the provider's price (after the bill type's
+    // markup or discount, services/billPricingService), and whether users see it
+    markup: { type: Number, default: 0, min: 0 },
+    hidden: { type: Boolean, default: false },
+
+    // False once the provider stops listing it; kept for its history
+    available: { type: Boolean, default: true },
+  },
+  { _id: false, id: false, toJSON: { virtuals: true } },
+);
+
+/** What a user pays for one of the plan. */
+billPlanSchema.virtual("price").get(function () {
+  const { userPrice } = require("../services/billPricingService");
+  return userPrice(this.parent()?.serviceType, this.providerPrice, this.markup);
+});
+
+// The plans of one product (e.g. data/mtn, cable_tv/dstv), kept in sync with
+// its provider by services/billCatalogueService. version goes up on any
+// change users would see — a price, a plan added, removed, hidden or marked
+// up — and is the catalogue's ETag.
+const billCatalogueSchema = new mongoose.Schema(
+  {
+    serviceType: { type: String, required: true }, // e.g. "data"
+    product: { type: String, required: true }, // e.g. "mtn"
+    serviceName: String, // e.g. "MTN Data"
+
+    // Bill provider the plans came from (services/billProviders); their
+    // variation codes are its own, so purchases go to it
+    provider: { type: String, required: true },
+    serviceId: { type: String, required: true },
+
+    plans: [billPlanSchema],
+
+    version: { type: Number, default: 1 },
+    syncedAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+  },
+);
+
+billCatalogueSchema.index({ serviceType: 1, product: 1 }, { unique: true });
+
+module.exports = mongoose.model("BillCatalogue", billCatalogueSchema);
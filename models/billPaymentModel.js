@@ -37,6 +37,13 @@ const billPaymentSchema = new mongoose.Schema(
       required: true, // e.g. "mtn", "ikeja-electric", "dstv"
     },
 
+    // Bill provider the purchase was routed to (services/billProviders). Pay,
+    // requery and webhooks for it all go there.
+    provider: {
+      type: String,
+      default: "vtpass",
+    },
+
     // Amount charged to the wallet
     amount: {
       type: Number,
@@ -44,6 +51,22 @@ const billPaymentSchema = new mongoose.Schema(
       min: 0,
     },
 
+    // What the provider is paid: amount less our markup, or plus our discount
+    // (services/billPricingService). Same as amount when there is neither.
+    providerAmount: {
+      type: Number,
+      min: 0,
+    },
+
+    // Booked when the bill completes (services/billPaymentLedgerService):
+    // what the provider kept back as its commission, our margin (amount −
+    // providerAmount, negative for a discount), VAT on the two, and the
+    // Transaction recording them
+    providerCommission: { type: Number, default: 0, min: 0 },
+    margin: Number,
+    vatAmount: { type: Number, default: 0 },
+    revenueTransactionRef: String,
+
     // Status mirrors VTpass delivery state
     status: {
       type: String,
@@ -64,7 +87,8 @@ const billPaymentSchema = new mongoose.Schema(
       default: {},
     },
 
-    // Full VTpass response (stored for debugging and requery)
+    // The provider's last full response (stored for debugging and requery).
+    // Named for VTpass, the first provider.
     vtpassResponse: {
       type: mongoose.Schema.Types.Mixed,
       default: {},
@@ -73,7 +97,11 @@ const billPaymentSchema = new mongoose.Schema(
     // Extracted delivery artefacts (electricity token, cable pin, etc.)
     deliveryToken: String, // electricity token
     units: String, // electricity units
-    pin: String, // JAMB/WAEC pin
+    // JAMB/WAEC PINs, encrypted (services/educationPinService). Never selected
+    // by default; read only to show them once and email them.
+    pin: { type: String, select: false },
+    pinRevealedAt: Date, // when the buyer was shown the PIN in the app
+    pinEmailedAt: Date, // when the PIN email went out
 
     // Timestamps for lifecycle tracking
     completedAt: Date,
@@ -99,6 +127,25 @@ billPaymentSchema.path("amount").validate(function (v) {
   return v > 0;
 }, "Payment amount must be greater than zero");
 
+// ── Hooks ────────────────────────────────────────────────────────────────────
+
+// JAMB/WAEC PINs arrive in the VTpass response; encrypt them out of it before
+// it is written anywhere.
+billPaymentSchema.pre("save", function (next) {
+  if (this.isModified("vtpassResponse") || this.isModified("deliveryToken")) {
+    require("../services/educationPinService").sealPins(this);
+  }
+  next();
+});
+
+// The encrypted PIN is set on documents that sealed one, select:false or not
+billPaymentSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.pin;
+    return ret;
+  },
+});
+
 // ── Static helpers ───────────────────────────────────────────────────────────
 
 /**
@@ -113,4 +160,31 @@ billPaymentSchema.statics.findPendingForRequery = function (minutesOld = 5) {
   }).limit(100);
 };
 
+/**
+ * What bills completed between two dates brought in, per bill type: how many,
+ * what users paid, and our margin, provider commission and the VAT on them.
+ * Used by the admin overview and the VAT report.
+ */
+billPaymentSchema.statics.getRevenueSummary = function (startDate, endDate) {
+  return this.aggregate([
+    {
+      $match: {
+        status: "completed",
+        completedAt: { $gte: startDate, $lte: endDate },
+      },
+    },
+    {
+      $group: {
+        _id: "$serviceType",
+        totalBills: { $sum: 1 },
+        totalAmount: { $sum: "$amount" },
+        margin: { $sum: { $ifNull: ["$margin", 0] } },
+        commission: { $sum: { $ifNull: ["$providerCommission", 0] } },
+        vatAmount: { $sum: { $ifNull: ["$vatAmount", 0] } },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+};
+
 module.exports = mongoose.model("BillPayment", billPaymentSchema);
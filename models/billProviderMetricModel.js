@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// Calls to one bill provider for one bill type and operation, per hour.
+// Written by services/billProviders; read by the admin provider dashboard.
+const billProviderMetricSchema = new mongoose.Schema(
+  {
+    provider: { type: String, required: true }, // e.g. "vtpass"
+    serviceType: { type: String, required: true }, // e.g. "airtime"
+    operation: {
+      type: String,
+      required: true,
+      enum: ["catalogue", "verify", "pay", "requery"],
+    },
+    hour: { type: Date, required: true }, // start of the hour
+
+    calls: { type: Number, default: 0 },
+    ok: { type: Number, default: 0 }, // answered and did what was asked
+    pending: { type: Number, default: 0 }, // purchase accepted, not yet delivered
+    failed: { type: Number, default: 0 }, // answered no: purchase failed, not verified
+    error: { type: Number, default: 0 }, // didn't answer: network error, 5xx
+    totalLatencyMs: { type: Number, default: 0 },
+  },
+  { versionKey: false },
+);
+
+billProviderMetricSchema.index(
+  { provider: 1, serviceType: 1, operation: 1, hour: 1 },
+  { unique: true },
+);
+// Kept for 90 days
+billProviderMetricSchema.index({ hour: 1 }, { expireAfterSeconds: 90 * 24 * 3600 });
+
+module.exports = mongoose.model("BillProviderMetric", billProviderMetricSchema);
@@ -13,7 +13,35 @@ var cartSchema = new mongoose.Schema(
           type: mongoose.Schema.Types.ObjectId,
           ref: "Product",
         },
+        // The version bought, for a variable product (a `variants` subdocument
+        // id on the product). Absent for single products. sku/options are
+        // copied from the variant so the line stays readable on its own.
+        variant: {
+          type: mongoose.Schema.Types.ObjectId,
+        },
+        sku: String,
+        options: [
+          {
+            name: String,
+            value: String,
+            _id: false,
+          },
+        ],
         count: Number,
+        // Per-unit listed price the line was priced at — the sale price while
+        // a store sale covers the product.
+        unitPrice: Number,
+        // The store sale the line was priced under; discount is per unit.
+        sale: {
+          sale: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "StoreSale",
+          },
+          name: String,
+          percent: Number,
+          discount: Number,
+        },
+        // Line total: unitPrice × count.
         price: Number,
         released: {
           type: String,
@@ -26,6 +54,28 @@ var cartSchema = new mongoose.Schema(
         },
       },
     ],
+    // Sum of the line prices, before any coupon.
+    subtotal: {
+      type: Number,
+      default: 0,
+    },
+    // Coupon applied with POST /api/user/cart/coupon. Re-validated whenever
+    // the cart changes and at checkout (services/couponService).
+    coupon: {
+      coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Coupon",
+      },
+      code: String,
+      // Free-delivery codes are valued at checkout, once fees are quoted.
+      freeDelivery: Boolean,
+    },
+    // Item discount from the coupon.
+    discount: {
+      type: Number,
+      default: 0,
+    },
+    // What the items cost after the coupon: subtotal − discount.
     cartTotal: {
       type: Number,
       default: 0,
@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+
+/**
+ * @file checkoutModel.js
+ * @description One buyer checkout: the single payment that covers a cart.
+ *
+ * A cart may hold products from several stores. Each store gets its own child
+ * Order (own delivery quote, lifecycle, rider and seller view), while the buyer
+ * pays once for all of them. The Checkout carries that one payment: its
+ * `paymentIntent.id` is the Flutterwave tx_ref, and its amount is the exact sum
+ * of the child orders' amounts. When the payment is confirmed every child order
+ * is settled separately against the ledger.
+ */
+const checkoutSchema = new mongoose.Schema(
+  {
+    orderedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Child orders, one per store, in creation order.
+    orders: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Order",
+      },
+    ],
+    // Same shape as Order.paymentIntent; `id` is the payment reference (tx_ref).
+    paymentIntent: {},
+    paymentStatus: {
+      type: String,
+      default: "Unpaid",
+      enum: ["Unpaid", "Pending", "Paid", "Refunded", "Failed"],
+      index: true,
+    },
+    paymentMethod: {
+      type: String,
+      enum: ["cash", "card", "bank", "wallet"],
+    },
+    itemsTotal: { type: Number, default: 0 },
+    deliveryFee: { type: Number, default: 0 },
+    // Coupon applied to the whole checkout; split across the orders by store.
+    // paymentIntent.amount = itemsTotal + deliveryFee − discount.amount
+    discount: {
+      coupon: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon" },
+      code: String,
+      items: { type: Number, default: 0 },
+      delivery: { type: Number, default: 0 },
+      amount: { type: Number, default: 0 },
+    },
+    // ID provided by the client to make checkout idempotent (e.g. double-tap).
+    clientSideId: {
+      type: String,
+      index: true,
+      sparse: true,
+      unique: true,
+    },
+    // Optimistic lock used by the pending-payment cron, as on Order.
+    processingLock: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+checkoutSchema.index({ "paymentIntent.id": 1 });
+
+module.exports = mongoose.model("Checkout", checkoutSchema);
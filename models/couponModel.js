@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+/**
+ * @file couponModel.js
+ * @description Platform promo codes applied to a cart at checkout.
+ *
+ * Types:
+ *   percentage    — `value`% off the items the code covers, capped at maxDiscount
+ *   fixed         — `value` naira off the items the code covers
+ *   free_delivery — waives the delivery fee of every store the code covers,
+ *                   capped at maxDiscount
+ *
+ * Scope: when `stores` and/or `categories` are set, only cart lines from those
+ * stores / in those categories count towards the discount and minOrderValue.
+ *
+ * Coupons are platform-funded: the seller is paid their full price and the
+ * discount is booked as a promotional expense (see orderPaymentService).
+ * The evaluation rules live in services/couponService.js.
+ */
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: { type: String, trim: true },
+    type: {
+      type: String,
+      enum: ["percentage", "fixed", "free_delivery"],
+      required: true,
+    },
+    // Percent for "percentage", naira for "fixed", unused for "free_delivery".
+    value: { type: Number, default: 0, min: 0 },
+    // Upper bound on the discount in naira; null means uncapped.
+    maxDiscount: { type: Number, default: null, min: 0 },
+    minOrderValue: { type: Number, default: 0, min: 0 },
+
+    // Total redemptions allowed across all users; null means unlimited.
+    usageLimit: { type: Number, default: null, min: 1 },
+    // Redemptions allowed per user; null means unlimited.
+    perUserLimit: { type: Number, default: 1, min: 1 },
+    // Incremented atomically at checkout, guarded by usageLimit.
+    usedCount: { type: Number, default: 0 },
+
+    stores: [{ type: mongoose.Schema.Types.ObjectId, ref: "Store" }],
+    categories: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+
+    startsAt: { type: Date, default: null },
+    endsAt: { type: Date, default: null },
+    isActive: { type: Boolean, default: true, index: true },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+module.exports = mongoose.model("Coupon", couponSchema);
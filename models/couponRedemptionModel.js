@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+/**
+ * @file couponRedemptionModel.js
+ * @description One use of a coupon: written in the checkout transaction that
+ * consumed it. Counting these per user enforces Coupon.perUserLimit.
+ */
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: true,
+    },
+    code: { type: String, required: true },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    checkout: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Checkout",
+    },
+    // Total discount granted: items plus delivery.
+    amount: { type: Number, required: true },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+
+module.exports = mongoose.model("CouponRedemption", couponRedemptionSchema);
@@ -0,0 +1,80 @@
+const mongoose = require("mongoose");
+const appConfig = require("../config/appConfig");
+const { DAY_NAMES, parseClock } = require("../utils/notificationSchedule");
+const { VEHICLE_TYPES } = require("../utils/vehicleType");
+
+/**
+ * @file deliveryPricingModel.js
+ * @description The delivery pricing rules admins edit at runtime. There is a
+ * single document (key "default"); until an admin saves one, the defaults
+ * from appConfig.delivery apply. services/deliveryFeeService.js prices quotes
+ * with it; each geofence's rules.deliveryFee adds the zone surcharges.
+ */
+
+const defaults = appConfig.delivery;
+
+const surgeWindowSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    // "HH:MM", Africa/Lagos; a window such as 22:00–02:00 runs across midnight
+    start: { type: String, required: true },
+    end: { type: String, required: true },
+    // Every day when empty
+    days: [{ type: String, enum: DAY_NAMES }],
+    multiplier: { type: Number, required: true, min: 1, max: 5 },
+  },
+  { _id: false },
+);
+
+const deliveryPricingSchema = new mongoose.Schema(
+  {
+    key: { type: String, default: "default", unique: true },
+    baseFee: { type: Number, min: 0, default: defaults.baseFee },
+    distanceRates: {
+      perKm: { type: Number, min: 0, default: defaults.distanceRates.perKm },
+      baseDistance: { type: Number, min: 0, default: defaults.distanceRates.baseDistance },
+      maxDistance: { type: Number, min: 0, default: defaults.distanceRates.maxDistance },
+    },
+    // Vehicle type → fee multiplier; unlisted types pay the plain fee
+    vehicleMultipliers: {
+      type: Map,
+      of: { type: Number, min: 0 },
+      default: () => ({ ...defaults.vehicleMultipliers }),
+    },
+    weight: {
+      includedKg: { type: Number, min: 0, default: defaults.weight.includedKg },
+      perKg: { type: Number, min: 0, default: defaults.weight.perKg },
+      maxKg: { type: Number, min: 0, default: defaults.weight.maxKg },
+    },
+    surgeWindows: {
+      type: [surgeWindowSchema],
+      default: () => defaults.surgeWindows.map((window) => ({ ...window })),
+    },
+    version: { type: Number, default: 1 },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+deliveryPricingSchema.pre("validate", function (next) {
+  for (const window of this.surgeWindows) {
+    if (parseClock(window.start) === null || parseClock(window.end) === null) {
+      this.invalidate("surgeWindows", `Surge window "${window.name}" needs HH:MM start and end times`);
+    }
+  }
+  for (const type of this.vehicleMultipliers.keys()) {
+    if (!VEHICLE_TYPES.includes(type)) {
+      this.invalidate("vehicleMultipliers", `Unknown vehicle type: ${type}`);
+    }
+  }
+  next();
+});
+
+/** The rules in force: the saved document, or an unsaved one holding the defaults. */
+deliveryPricingSchema.statics.getActive = async function () {
+  return (await this.findOne({ key: "default" })) || new this();
+};
+
+module.exports = mongoose.model("DeliveryPricing", deliveryPricingSchema);
@@ -1,6 +1,20 @@
 const mongoose = require("mongoose");
+const { normalizeVehicleType } = require("../utils/vehicleType");
+const {
+  haversineDistance,
+  isPosition,
+  pointInPolygon,
+  polygonBounds,
+  circleBounds,
+} = require("../utils/geo");
+const { parseClock, isInTimeWindow } = require("../utils/notificationSchedule");
 
-// Geofence schema for defining delivery zones and restricted areas
+// Geofence schema for defining delivery zones and restricted areas.
+//
+// geometry is a GeoJSON Polygon ([outerRing, ...holes] of [lng, lat]), or a
+// Circle/Point whose coordinates are the [lng, lat] centre and `radius` the
+// size in metres. `center` and `bounds` are derived on validate; `bounds` is
+// what lookups by position filter on before the exact containment test.
 const geofenceSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -47,14 +61,19 @@ const geofenceSchema = new mongoose.Schema({
     west: Number
   },
   rules: {
+    // Riders on any other vehicle may not work inside the zone; empty = any
     allowedVehicles: [{
       type: String,
-      enum: ["bike", "motorcycle", "car", "van", "truck"]
+      enum: ["bike", "motorcycle", "car", "van", "truck", "bicycle", "feet", "bus"],
+      set: (v) => normalizeVehicleType(v) || v
     }],
     maxSpeed: {
       type: Number, // km/h
       default: 50
     },
+    // Hours riders may work in the zone (Lagos time; may wrap midnight).
+    // For a restricted_area these are instead the hours it is closed; a
+    // restricted_area without them is closed at all times.
     timeRestrictions: {
       start: String, // "09:00"
       end: String,   // "17:00"
@@ -111,36 +130,110 @@ geofenceSchema.index({ "center.coordinates": "2dsphere" });
 geofenceSchema.index({ type: 1, status: 1 });
 geofenceSchema.index({ priority: -1 });
 geofenceSchema.index({ "metadata.city": 1, "metadata.state": 1 });
+geofenceSchema.index({ "bounds.south": 1, "bounds.north": 1, "bounds.west": 1, "bounds.east": 1 });
 
-// Virtual for checking if a point is within the geofence
-geofenceSchema.virtual('isPointInside').get(function() {
-  return function(longitude, latitude) {
-    if (this.geometry.type === 'Circle') {
-      const distance = this.calculateDistance(
-        this.center.coordinates[1], this.center.coordinates[0],
-        latitude, longitude
+// Check the geometry and derive `center` and `bounds` from it
+geofenceSchema.pre("validate", function (next) {
+  const { type, coordinates } = this.geometry || {};
+
+  if (type === "Polygon") {
+    const rings = Array.isArray(coordinates) ? coordinates : [];
+    const valid =
+      rings.length > 0 &&
+      rings.every((ring) => Array.isArray(ring) && ring.length >= 3 && ring.every(isPosition));
+    if (!valid) {
+      this.invalidate(
+        "geometry.coordinates",
+        "Polygon coordinates must be rings of at least 3 [longitude, latitude] positions",
+      );
+      return next();
+    }
+    // GeoJSON rings repeat their first position at the end
+    const closed = rings.map((ring) => {
+      const [first] = ring;
+      const last = ring[ring.length - 1];
+      return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+    });
+    this.geometry.coordinates = closed;
+    this.bounds = polygonBounds(closed);
+    this.center = {
+      type: "Point",
+      coordinates: [
+        (this.bounds.west + this.bounds.east) / 2,
+        (this.bounds.south + this.bounds.north) / 2,
+      ],
+    };
+  } else if (type === "Circle" || type === "Point") {
+    if (!isPosition(coordinates)) {
+      this.invalidate(
+        "geometry.coordinates",
+        `${type} coordinates must be the [longitude, latitude] centre`,
       );
-      return distance <= this.radius;
+      return next();
+    }
+    if (!(this.radius > 0)) {
+      this.invalidate("radius", `A ${type} geofence needs a radius in metres`);
+      return next();
     }
-    // For polygon geofences, you'd implement point-in-polygon logic
-    return true; // Placeholder
-  };
+    this.center = { type: "Point", coordinates: coordinates.slice(0, 2) };
+    this.bounds = circleBounds(coordinates[0], coordinates[1], this.radius);
+  }
+
+  const { start, end } = this.rules?.timeRestrictions || {};
+  if ((start || end) && (parseClock(start) === null || parseClock(end) === null)) {
+    this.invalidate("rules.timeRestrictions", "timeRestrictions need start and end as HH:MM");
+  }
+  next();
 });
 
+/**
+ * Is the [longitude, latitude] position inside the geofence?
+ * @param {number} longitude
+ * @param {number} latitude
+ * @returns {boolean}
+ */
+geofenceSchema.methods.isPointInside = function(longitude, latitude) {
+  if (this.geometry.type === "Polygon") {
+    return pointInPolygon(longitude, latitude, this.geometry.coordinates);
+  }
+  const [lng, lat] = this.center.coordinates;
+  return this.calculateDistance(lat, lng, latitude, longitude) <= this.radius;
+};
+
+/**
+ * Whether `rules.timeRestrictions` cover the given instant: inside the
+ * start–end window on one of the listed days (every day when none are).
+ * With no window set, only the days count.
+ * @param {Date} [date]
+ * @returns {boolean|null} null when the geofence has no time restrictions
+ */
+geofenceSchema.methods.isWithinTimeRestrictions = function(date = new Date()) {
+  const window = this.rules?.timeRestrictions || {};
+  if (!window.start && !window.end && !window.days?.length) return null;
+  return isInTimeWindow(window, date);
+};
+
 // Method to calculate distance between two points
 geofenceSchema.methods.calculateDistance = function(lat1, lon1, lat2, lon2) {
-  const R = 6371e3; // Earth's radius in meters
-  const φ1 = lat1 * Math.PI / 180;
-  const φ2 = lat2 * Math.PI / 180;
-  const Δφ = (lat2 - lat1) * Math.PI / 180;
-  const Δλ = (lon2 - lon1) * Math.PI / 180;
-
-  const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-          Math.cos(φ1) * Math.cos(φ2) *
-          Math.sin(Δλ/2) * Math.sin(Δλ/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return haversineDistance(lat1, lon1, lat2, lon2); // Distance in meters
+};
 
-  return R * c; // Distance in meters
+/**
+ * Active geofences containing a position, highest priority first.
+ * @param {number} longitude
+ * @param {number} latitude
+ * @param {Object} [filter] - extra conditions, e.g. { type: "service_area" }
+ */
+geofenceSchema.statics.findContaining = async function(longitude, latitude, filter = {}) {
+  const candidates = await this.find({
+    status: "active",
+    ...filter,
+    "bounds.south": { $lte: latitude },
+    "bounds.north": { $gte: latitude },
+    "bounds.west": { $lte: longitude },
+    "bounds.east": { $gte: longitude },
+  }).sort({ priority: -1 });
+  return candidates.filter((geofence) => geofence.isPointInside(longitude, latitude));
 };
 
 module.exports = mongoose.model("Geofence", geofenceSchema);
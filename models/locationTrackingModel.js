@@ -109,11 +109,16 @@ const locationTrackingSchema = new mongoose.Schema({
     heading: Number, // degrees
     status: String
   }],
+  // One entry per visit to a geofence; exitedAt is unset while still inside
   geofences: [{
+    geofence: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Geofence"
+    },
     name: String,
     type: {
       type: String,
-      enum: ["pickup", "delivery", "restricted"],
+      enum: ["delivery_zone", "pickup_zone", "restricted_area", "service_area"],
       required: true
     },
     center: {
@@ -126,12 +131,17 @@ const locationTrackingSchema = new mongoose.Schema({
     },
     radius: Number, // in meters
     enteredAt: Date,
-    exitedAt: Date
+    exitedAt: Date,
+    // Rules broken during this visit, each reported once
+    violations: [{
+      type: String,
+      enum: ["restricted_area", "outside_hours", "vehicle_not_allowed"]
+    }]
   }],
   notifications: [{
     type: {
       type: String,
-      enum: ["location_update", "geofence_enter", "geofence_exit", "route_deviation", "delivery_complete"],
+      enum: ["location_update", "geofence_enter", "geofence_exit", "geofence_violation", "route_deviation", "delivery_complete"],
       required: true
     },
     message: String,
@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+
+/**
+ * @file notificationCampaignModel.js
+ * @description A broadcast scheduled by an admin for every user holding one
+ * of `roles`. When `scheduledFor` arrives the notification scheduler fans it
+ * out into one Notification per recipient and delivers those like any other
+ * scheduled notification (see services/notificationSchedulerService).
+ *
+ * Lifecycle: scheduled → sending (fan-out in progress) → sent, or cancelled
+ * by an admin or by reaching `expiresAt` before it went out.
+ */
+const notificationCampaignSchema = new mongoose.Schema(
+  {
+    title: { type: String, required: true, trim: true },
+    message: { type: String, required: true, trim: true },
+    type: {
+      type: String,
+      enum: ["announcement", "promotion", "maintenance", "update_available"],
+      default: "announcement",
+    },
+    priority: {
+      type: String,
+      enum: ["low", "medium", "high", "urgent"],
+      default: "medium",
+    },
+    roles: {
+      type: [String],
+      enum: ["buyer", "seller", "dispatch", "admin"],
+      required: true,
+    },
+    channels: {
+      inApp: { type: Boolean, default: true },
+      push: { type: Boolean, default: true },
+      email: { type: Boolean, default: false },
+    },
+    scheduledFor: { type: Date, required: true },
+    // Undelivered notifications are cancelled at this time.
+    expiresAt: { type: Date },
+    status: {
+      type: String,
+      enum: ["scheduled", "sending", "sent", "cancelled"],
+      default: "scheduled",
+      index: true,
+    },
+    // When the current fan-out started; a stale one is picked up again.
+    launchedAt: { type: Date },
+    recipientCount: { type: Number, default: 0 },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cancelledAt: { type: Date },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+notificationCampaignSchema.index({ status: 1, scheduledFor: 1 });
+
+module.exports = mongoose.model("NotificationCampaign", notificationCampaignSchema);
@@ -103,6 +103,10 @@ var notificationSchema = new mongoose.Schema(
         template: {
           type: String,
         },
+        // Last delivery error; cleared once the email goes out
+        error: {
+          type: String,
+        },
       },
       sms: {
         enabled: {
@@ -130,6 +134,9 @@ var notificationSchema = new mongoose.Schema(
           type: Date,
         },
         deviceTokens: [String],
+        error: {
+          type: String,
+        },
       },
     },
     relatedEntity: {
@@ -151,9 +158,20 @@ var notificationSchema = new mongoose.Schema(
       enum: ["pending", "sent", "delivered", "failed", "cancelled"],
       default: "pending",
     },
+    // Set on notifications the scheduler delivers (see
+    // services/notificationSchedulerService); hidden from the inbox until due.
     scheduledFor: {
       type: Date,
     },
+    // Earliest next delivery attempt: a retry's backoff, or a worker's lease.
+    nextAttemptAt: {
+      type: Date,
+    },
+    // Broadcast campaign this notification was fanned out from
+    campaign: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "NotificationCampaign",
+    },
     expiresAt: {
       type: Date,
     },
@@ -181,6 +199,11 @@ notificationSchema.index({ status: 1, scheduledFor: 1 });
 notificationSchema.index({ "relatedEntity.type": 1, "relatedEntity.id": 1 });
 notificationSchema.index({ createdAt: -1 });
 notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
+// One notification per campaign recipient, so a re-run fan-out is a no-op
+notificationSchema.index(
+  { campaign: 1, recipient: 1 },
+  { unique: true, partialFilterExpression: { campaign: { $exists: true } } }
+);
 
 // Virtual for checking if notification is expired
 notificationSchema.virtual("isExpired").get(function () {
@@ -234,6 +257,13 @@ notificationSchema.statics.createNotification = function (notificationData) {
   return notification.save();
 };
 
+// Filter for notifications whose scheduled time has come (or that were never scheduled)
+notificationSchema.statics.dueFilter = function (now = new Date()) {
+  return {
+    $or: [{ scheduledFor: null }, { scheduledFor: { $lte: now } }],
+  };
+};
+
 // Static method to get unread notifications for a user
 notificationSchema.statics.getUnreadNotifications = function (userId, limit = 50) {
   return this.find({
@@ -241,6 +271,7 @@ notificationSchema.statics.getUnreadNotifications = function (userId, limit = 50
     "channels.inApp.enabled": true,
     "channels.inApp.read": false,
     status: { $in: ["pending", "sent", "delivered"] },
+    ...this.dueFilter(),
   })
     .sort({ createdAt: -1 })
     .limit(limit)
@@ -102,7 +102,8 @@ const notificationPreferencesSchema = new mongoose.Schema({
       default: true
     }
   },
-  // Quiet hours (when notifications should be muted)
+  // Quiet hours: non-urgent push notifications are held until endTime.
+  // endTime is also when daily/weekly digests go out.
   quietHours: {
     enabled: {
       type: Boolean,
@@ -125,7 +126,7 @@ const notificationPreferencesSchema = new mongoose.Schema({
   frequency: {
     push: {
       type: String,
-      enum: ["immediate", "batched", "daily"],
+      enum: ["immediate", "batched", "daily", "weekly"],
       default: "immediate"
     },
     email: {
@@ -154,7 +155,10 @@ notificationPreferencesSchema.index({ user: 1 });
 notificationPreferencesSchema.index({ "pushNotifications.enabled": 1 });
 notificationPreferencesSchema.index({ "emailNotifications.enabled": 1 });
 
-// Method to check if user wants to receive a specific type of notification
+// Method to check if user wants to receive a specific type of notification.
+// Timing (quiet hours, batched/daily/weekly frequency) is not decided here —
+// a wanted notification is held until then, not dropped; see
+// utils/notificationSchedule.
 notificationPreferencesSchema.methods.shouldReceiveNotification = function(type, channel) {
   const preferences = this[`${channel}Notifications`];
   
@@ -162,29 +166,6 @@ notificationPreferencesSchema.methods.shouldReceiveNotification = function(type,
     return false;
   }
   
-  // Check if quiet hours are active
-  if (this.quietHours.enabled && channel === 'push') {
-    const now = new Date();
-    const currentTime = now.toLocaleTimeString('en-US', { 
-      hour12: false, 
-      timeZone: this.quietHours.timezone 
-    });
-    
-    const startTime = this.quietHours.startTime;
-    const endTime = this.quietHours.endTime;
-    
-    // Handle overnight quiet hours (e.g., 22:00 to 08:00)
-    if (startTime > endTime) {
-      if (currentTime >= startTime || currentTime <= endTime) {
-        return false;
-      }
-    } else {
-      if (currentTime >= startTime && currentTime <= endTime) {
-        return false;
-      }
-    }
-  }
-  
   // Check specific notification type preference
   return preferences[type] !== undefined ? preferences[type] : true;
 };
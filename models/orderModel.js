@@ -22,6 +22,37 @@ var orderSchema = new mongoose.Schema(
           required: true,
           min: 1, // Ensure count is at least 1
         },
+        // Variable products only: the variant bought, plus its SKU and option
+        // values copied at order time so receipts and the seller's detail
+        // screen still show the size/colour if the variant is later edited.
+        variant: {
+          type: mongoose.Schema.Types.ObjectId,
+        },
+        sku: String,
+        options: [
+          {
+            name: String,
+            value: String,
+            _id: false,
+          },
+        ],
+        // Prices snapshotted at order time, per unit. unitPrice is what the
+        // customer paid (listed price), vendorPrice what the store receives.
+        // Legacy orders lack both and fall back to the product's current prices.
+        unitPrice: Number,
+        vendorPrice: Number,
+        // Store sale the line was bought under. unitPrice is already the sale
+        // price; discount (per unit) is seller-funded, so commissionService
+        // takes it out of vendorPrice rather than the platform spread.
+        sale: {
+          sale: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "StoreSale",
+          },
+          name: String,
+          percent: Number,
+          discount: Number,
+        },
         store: {
           type: mongoose.Schema.Types.ObjectId,
           ref: "Store",
@@ -42,15 +73,102 @@ var orderSchema = new mongoose.Schema(
         "inTransit",
         "delivered",
         "cancelled",
+        "returnRequested",
+        "returnApproved",
+        "returnInTransit",
+        "returnReceived",
+        "returned",
+      ],
+    },
+    // Who cancelled and why, when a buyer or seller gave a reason
+    cancellation: {
+      role: String, // buyer | seller | admin
+      reason: String,
+      at: Date,
+    },
+    // The buyer's return, one per order (services/orderReturnService). The
+    // order moves through the return states of orderStatus alongside it.
+    returnRequest: {
+      status: {
+        type: String,
+        enum: ["requested", "rejected", "approved", "in_transit", "received", "refunded", "refused"],
+      },
+      reason: String, // orderReturnService.RETURN_REASONS
+      details: String,
+      photos: [String], // Cloudinary URLs from the upload signature flow
+      // Lines being returned and the refund each is due
+      items: [
+        {
+          product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+          variant: mongoose.Schema.Types.ObjectId,
+          count: Number,
+          amount: Number,
+          _id: false,
+        },
       ],
+      amount: Number, // refund due if the return is accepted
+      refundTo: { type: String, enum: ["card", "wallet"] }, // the buyer's choice
+      requestedAt: Date,
+      decision: {
+        note: String,
+        by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        at: Date,
+      },
+      // The rider collecting it; unset when the buyer brings it back
+      rider: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+      pickedUpAt: Date,
+      receivedAt: Date,
+      inspection: {
+        accepted: Boolean,
+        note: String,
+        by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        at: Date,
+      },
+      refund: {
+        amount: Number,
+        method: String, // card | wallet, as in refunds
+        refundId: String, // Flutterwave refund id
+        transactionId: String, // ledger Transaction
+        creditNoteNumber: String, // the entry in refunds
+        at: Date,
+      },
     },
+    // Refunds paid back on this order, newest last (services/orderRefundService).
+    // Each one is also an order_refund Transaction and has a credit note.
+    refunds: [
+      {
+        creditNoteNumber: String, // e.g. "CN-WM1201-1"
+        amount: Number, // paid back to the buyer
+        items: [
+          {
+            product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+            variant: mongoose.Schema.Types.ObjectId,
+            count: Number,
+            amount: Number, // to the buyer, net of the line's coupon share
+            vendorAmount: Number,
+            platformAmount: Number,
+            discountAmount: Number,
+            _id: false,
+          },
+        ],
+        delivery: Number, // delivery fee refunded, net of coupon; unset if it was not
+        vat: { type: Number, default: 0 },
+        reason: String,
+        // Where the money went: back to the card, or instantly to the
+        // buyer's wallet as store credit
+        method: { type: String, enum: ["card", "wallet"], default: "card" },
+        refundId: String, // Flutterwave refund id; the ledger transaction for wallet refunds
+        transactionId: String, // ledger Transaction, absent for unsettled legacy payments
+        at: Date,
+      },
+    ],
     // Append-only audit trail of lifecycle transitions, used to render the order
     // timeline. Written by orderTransitionService on every successful transition.
     statusHistory: [
       {
         status: { type: String },
         at: { type: Date, default: Date.now },
-        role: { type: String }, // seller | rider | admin | system
+        role: { type: String }, // seller | rider | buyer | admin | system
         _id: false,
       },
     ],
@@ -58,6 +176,14 @@ var orderSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
     },
+    // The checkout this order was paid through. A multi-store cart produces
+    // one order per store under a single checkout. Absent on legacy orders,
+    // which carry their own payment.
+    checkout: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Checkout",
+      index: true,
+    },
     dispatch: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -109,6 +235,19 @@ var orderSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // This order's share of a coupon applied at checkout. paymentIntent.amount
+    // is already net of it. Platform-funded: the seller's and rider's earnings
+    // are computed on the undiscounted prices (see commissionService).
+    discount: {
+      coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Coupon",
+      },
+      code: String,
+      items: { type: Number, default: 0 },
+      delivery: { type: Number, default: 0 },
+      amount: { type: Number, default: 0 },
+    },
     estimatedDeliveryTime: {
       type: Date,
     },
@@ -125,17 +264,87 @@ var orderSchema = new mongoose.Schema(
       storeAddress: String,
       fallback: Boolean, // true if dynamic calculation failed
       error: String, // error message if fallback used
+      vehicleType: String, // vehicle the fee was quoted for
+      // How the fee was built — see deliveryFeeService.priceDelivery
+      pricing: {
+        distanceFee: Number,
+        vehicleMultiplier: Number,
+        zones: [
+          {
+            geofence: { type: mongoose.Schema.Types.ObjectId, ref: "Geofence" },
+            name: String,
+            fee: Number,
+            _id: false,
+          },
+        ],
+        zoneFee: Number,
+        weightKg: Number,
+        weightFee: Number,
+        surge: String, // name of the surge window in force, if any
+        surgeMultiplier: Number,
+        pricingVersion: Number,
+      },
       deliveredAt: Date, // when delivery was confirmed
       confirmedByAgent: {
         type: mongoose.Schema.Types.ObjectId,
         ref: "User",
       },
     },
+    // Offer-at-a-time rider matching (services/dispatchMatchingService).
+    // Absent for orders dispatched through the open pool only.
+    autoDispatch: {
+      status: {
+        type: String,
+        enum: ["offering", "assigned", "escalated", "cancelled"],
+      },
+      currentOffer: {
+        rider: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        offeredAt: Date,
+        expiresAt: Date,
+      },
+      offers: [
+        {
+          rider: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+          offeredAt: Date,
+          respondedAt: Date,
+          outcome: { type: String, enum: ["accepted", "declined", "expired"] },
+          score: Number,
+          distanceKm: Number,
+          _id: false,
+        },
+      ],
+      escalatedAt: Date,
+    },
     deliveryConfirmation: {
       agentConfirmed: { type: Boolean, default: false },
       agentConfirmedAt: Date,
       customerConfirmed: { type: Boolean, default: false },
       customerConfirmedAt: Date,
+      // Code the buyer reads out to the rider at handover; only the buyer
+      // is shown it (see deliveryProofService)
+      handoverPin: { type: String, select: false },
+      pinAttempts: { type: Number, default: 0 },
+      // Evidence that confirmed the delivery in place of the buyer's tap
+      proof: {
+        method: { type: String, enum: ["pin", "photo", "gps"] },
+        photoUrl: String,
+        location: {
+          type: { type: String, enum: ["Point"] },
+          coordinates: { type: [Number], default: undefined }, // [longitude, latitude]
+        },
+        accuracy: Number, // metres, as reported by the device
+        distanceFromDropoff: Number, // metres
+        capturedAt: Date,
+      },
+      // Set by services/deliverySlaService
+      reminderSentAt: Date, // the buyer was nudged to confirm
+      autoConfirmedAt: Date, // the system confirmed for the buyer
+    },
+    // The state this order was last reported to admins as stalled in
+    // (services/deliverySlaService); each state is reported once
+    slaEscalation: {
+      status: String,
+      flaggedAt: Date,
     },
     // Optimistic lock used by the pending-payment cron
     // Prevents duplicate wallet credits if two server instances race
@@ -151,7 +360,7 @@ var orderSchema = new mongoose.Schema(
     },
     paymentMethod: {
       type: String,
-      enum: ["cash", "card", "bank"],
+      enum: ["cash", "card", "bank", "wallet"],
     },
     // ID provided by the client (frontend) to prevent duplicate orders
     // from the same action (e.g. double-click)
@@ -167,5 +376,8 @@ var orderSchema = new mongoose.Schema(
   },
 );
 
+// Offer timeouts swept by dispatchMatchingService.expireOffers
+orderSchema.index({ "autoDispatch.status": 1, "autoDispatch.currentOffer.expiresAt": 1 });
+
 //Export the model
 module.exports = mongoose.model("Order", orderSchema);
@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+/**
+ * @file pendingNotificationModel.js
+ * @description A push or email notification held back by the recipient's
+ *   preferences — quiet hours, or a batched/daily/weekly frequency — until
+ *   `deliverAfter`. The notification-digest job on the task queue picks up
+ *   what is due and sends it, several at once as a single digest.
+ *
+ * Either title/body (literal copy) or template/vars is stored; templates are
+ * rendered at delivery time so a language change in between is honoured.
+ */
+const pendingNotificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    channel: {
+      type: String,
+      enum: ["push", "email"],
+      required: true,
+    },
+    // Preference key, e.g. orderUpdates — re-checked at delivery time.
+    type: { type: String, default: "systemUpdates" },
+    title: String,
+    body: String,
+    template: String,
+    vars: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    reason: {
+      type: String,
+      enum: ["quiet_hours", "batched", "daily", "weekly"],
+      required: true,
+    },
+    deliverAfter: { type: Date, required: true },
+    // Set when the digest job picks the item up; sent rows expire a week later.
+    sentAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+pendingNotificationSchema.index({ sentAt: 1, deliverAfter: 1 });
+pendingNotificationSchema.index({ sentAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("PendingNotification", pendingNotificationSchema);
@@ -24,6 +24,12 @@ var productSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Shipping weight in kg, per unit. Optional; delivery pricing charges
+    // for the weight of a store's order beyond the free allowance.
+    weight: {
+      type: Number,
+      min: 0,
+    },
     // "single"   — one version, priced and stocked by the fields below.
     // "variable" — several versions; see optionTypes/variants. For a variable
     //              product `price`/`listedPrice`/`quantity` are DERIVED, never
@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+
+// A bill paid from the wallet on a schedule, to a saved biller: DStv on the
+// 1st, airtime every Monday. Run by services/recurringBillService.
+const recurringBillSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    biller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SavedBiller",
+      required: true,
+      index: true,
+    },
+
+    // What to pay each time. For plans (data, cable TV) this is the plan's
+    // price when the schedule was set up; a run refuses to pay more.
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    variationCode: String, // data bundle or cable TV plan
+
+    // Phone number VTpass sends receipts to (the biller's own for airtime/data)
+    phone: String,
+
+    frequency: {
+      type: String,
+      enum: ["daily", "weekly", "monthly"],
+      required: true,
+    },
+    dayOfWeek: { type: Number, min: 0, max: 6 }, // weekly, 0 = Sunday
+    dayOfMonth: { type: Number, min: 1, max: 28 }, // monthly
+
+    status: {
+      type: String,
+      enum: ["active", "paused"],
+      default: "active",
+      index: true,
+    },
+    // Why it is paused: by the user, or automatically after repeated failures
+    pausedReason: String,
+    pausedAt: Date,
+
+    nextRunAt: {
+      type: Date,
+      required: true,
+    },
+    // Runs in a row that couldn't pay; the schedule pauses itself at the limit
+    consecutiveFailures: {
+      type: Number,
+      default: 0,
+    },
+    // Held while a run is paying this schedule
+    lockedAt: Date,
+
+    lastRun: {
+      at: Date,
+      status: { type: String, enum: ["submitted", "failed"] },
+      reason: String,
+      amount: Number,
+      requestId: String, // the BillPayment this run created
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// The worker's query: active schedules that are due
+recurringBillSchema.index({ status: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model("RecurringBill", recurringBillSchema);
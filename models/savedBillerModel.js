@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+// A bill recipient a user pays again and again: a meter, a decoder, a phone
+// number. Meters and decoders are verified with VTpass when saved, and the
+// name VTpass gave is kept so the user can tell they have the right one.
+const savedBillerSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    nickname: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50,
+    },
+
+    serviceType: {
+      type: String,
+      required: true,
+      enum: ["airtime", "data", "electricity", "cable_tv"],
+    },
+
+    // Network (mtn), disco (ikeja-electric) or cable provider (dstv)
+    provider: {
+      type: String,
+      required: true,
+    },
+
+    // Meter number, smartcard number or phone number
+    billersCode: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    meterType: {
+      type: String,
+      enum: ["prepaid", "postpaid"],
+    },
+
+    // Customer name from VTpass merchant-verify (electricity, cable TV)
+    customerName: String,
+    lastVerifiedAt: Date,
+  },
+  {
+    timestamps: true,
+  },
+);
+
+savedBillerSchema.index(
+  { user: 1, serviceType: 1, provider: 1, billersCode: 1 },
+  { unique: true },
+);
+
+module.exports = mongoose.model("SavedBiller", savedBillerSchema);
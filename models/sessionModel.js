@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+/**
+ * @file sessionModel.js
+ * @description One signed-in device. Login creates a session and every
+ * refresh rotates its token; only a SHA-256 hash of the current refresh
+ * token is stored. Presenting an older token of the same session means it
+ * was copied, so the session is revoked (see services/sessionService.js).
+ *
+ * Revoked sessions are kept for the account's session history until they
+ * expire; the TTL index on `expiresAt` removes them.
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Sent by the app, or generated at login for clients that do not send one
+    deviceId: { type: String, required: true },
+    deviceName: { type: String, trim: true },
+    userAgent: { type: String },
+    ip: { type: String },
+    tokenHash: { type: String, required: true },
+    lastUsedAt: { type: Date, default: Date.now },
+    // Slides forward on every refresh, in step with the refresh token's expiry
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "revoked", "revoked_all", "token_reuse", "replaced", "password_reset"],
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+sessionSchema.index({ user: 1, deviceId: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/** Sessions that can still be refreshed. */
+sessionSchema.statics.activeFilter = function (now = new Date()) {
+  return { revokedAt: null, expiresAt: { $gt: now } };
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
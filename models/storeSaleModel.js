@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+
+/**
+ * @file storeSaleModel.js
+ * @description A seller-run, time-boxed sale on some of their own products.
+ *
+ * A sale targets either a list of the store's products or one category (all
+ * of the store's products in it), and takes `discountPercent` off the listed
+ * price between `startsAt` and `endsAt`. `stockCap` limits how many units
+ * are sold at the sale price across all buyers; once `soldCount` reaches it
+ * the products go back to their regular price.
+ *
+ * Seller-funded: the discount comes out of the vendor price, not the
+ * platform's spread (see services/commissionService). Price resolution lives
+ * in services/storeSaleService.
+ */
+const storeSaleSchema = new mongoose.Schema(
+  {
+    store: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Store",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Scope: exactly one of products / category is set.
+    products: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Product",
+      },
+    ],
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+    },
+    discountPercent: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 90,
+    },
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+    // Units sellable at the sale price across all buyers; null for no cap.
+    stockCap: { type: Number, default: null, min: 1 },
+    soldCount: { type: Number, default: 0, min: 0 },
+    // Cleared when the seller ends the sale early.
+    isActive: { type: Boolean, default: true },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+storeSaleSchema.index({ store: 1, isActive: 1, startsAt: 1, endsAt: 1 });
+
+module.exports = mongoose.model("StoreSale", storeSaleSchema);
@@ -79,6 +79,7 @@ const transactionSchema = new mongoose.Schema(
             "payment_processing_fees",
             "bank_transfer_fees",
             "operating_expenses",
+            "promotional_discounts", // platform-funded coupon discounts
           ],
           required: true,
         },
@@ -159,11 +160,22 @@ const transactionSchema = new mongoose.Schema(
       },
     },
 
+    // Coupon applied to an order payment (platform-funded; see the
+    // promotional_discounts entry)
+    discount: {
+      coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Coupon",
+      },
+      code: String,
+      amount: Number,
+    },
+
     // Related entities
     relatedEntity: {
       type: {
         type: String,
-        enum: ["order", "withdrawal", "payment", "adjustment"],
+        enum: ["order", "withdrawal", "payment", "adjustment", "transfer"],
       },
       id: {
         type: mongoose.Schema.Types.ObjectId,
@@ -173,7 +185,8 @@ const transactionSchema = new mongoose.Schema(
     // Transaction status
     // pending     → created, not yet processed
     // processing  → actively being processed (DB session open); cleanup cron marks
-    //               these 'abandoned' if they're stuck for > 10 minutes
+    //               these 'abandoned' if they're stuck for > 10 minutes. An
+    //               approved withdrawal stays here until its transfer webhook.
     // completed   → successfully finished
     // failed      → processing error; may be retried
     // cancelled   → intentionally cancelled (e.g. rejected withdrawal)
@@ -226,6 +239,20 @@ const transactionSchema = new mongoose.Schema(
       },
       notes: String,
       tags: [String],
+      // Withdrawals: the Flutterwave transfer carrying the money to the bank.
+      // Set when an admin approves; the transfer webhook settles on it.
+      transfer: {
+        reference: {
+          type: String,
+          index: true,
+          sparse: true,
+          unique: true,
+        },
+        id: String,
+        status: String, // Flutterwave's: NEW, SUCCESSFUL, FAILED
+        message: String,
+        completedAt: Date,
+      },
     },
   },
   {
@@ -259,8 +286,15 @@ transactionSchema.pre("save", function (next) {
     );
   }
 
-  // Validate that total amount matches transaction total
-  if (Math.abs(totalDebits - this.totalAmount) > 0.01) {
+  // Validate that total amount matches transaction total. A posting with
+  // several pairs (commission, coupon and VAT on an order payment or refund,
+  // the fee on a withdrawal) debits more than the money that moved; its
+  // total is the amount of the first leg, which the other pairs allocate.
+  const firstLeg = this.entries[0]?.debit || this.entries[0]?.credit || 0;
+  if (
+    Math.abs(totalDebits - this.totalAmount) > 0.01 &&
+    Math.abs(firstLeg - this.totalAmount) > 0.01
+  ) {
     return next(new Error("Transaction total does not match entry totals"));
   }
 
@@ -101,9 +101,6 @@ var userSchema = new mongoose.Schema(
       type: Array,
       default: [],
     },
-    refreshToken: {
-      type: String,
-    },
     nickname: {
       type: String,
     },
@@ -1,7 +1,8 @@
 const mongoose = require("mongoose");
 const money = require("../utils/money");
 
-// Wallet schema for users (sellers, dispatch riders)
+// Wallet schema for users (sellers, dispatch riders, and buyers, who hold
+// store credit from refunds and spend it at checkout)
 const walletSchema = new mongoose.Schema(
   {
     user: {
@@ -40,6 +41,11 @@ const walletSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      // Wallet-to-wallet transfers sent (services/walletTransferService)
+      dailyTransfer: {
+        type: Number,
+        default: 200000, // 200K NGN default daily limit
+      },
     },
     // Withdrawal tracking
     withdrawalStats: {
@@ -64,6 +70,36 @@ const walletSchema = new mongoose.Schema(
         },
       },
     },
+    // Transfer tracking, reset on the first transfer of a new day
+    transferStats: {
+      dailyTransferred: {
+        amount: {
+          type: Number,
+          default: 0,
+        },
+        date: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    },
+    // Scheduled payouts of the balance to the default bank account, run by
+    // services/autoPayoutService.js. The owner opts in with their PIN.
+    autoPayout: {
+      enabled: { type: Boolean, default: false },
+      frequency: { type: String, enum: ["daily", "weekly"], default: "weekly" },
+      dayOfWeek: { type: Number, min: 0, max: 6, default: 1 }, // weekly: 0 = Sunday
+      threshold: { type: Number, default: 5000 }, // pay out once the balance reaches this
+      authorisedAt: Date, // when the owner last confirmed with their PIN
+      lockedAt: Date, // set while a payout run holds the wallet
+      lastRun: {
+        at: Date,
+        status: { type: String, enum: ["paid", "skipped", "failed", "disabled"] },
+        reason: String,
+        amount: Number,
+        transactionId: String,
+      },
+    },
     // Bank accounts for withdrawals (up to 3)
     bankAccounts: {
       type: [
@@ -138,6 +174,7 @@ walletSchema.index({ user: 1, status: 1 });
 walletSchema.index({ balance: -1 });
 walletSchema.index({ "withdrawalStats.dailyWithdrawn.date": 1 });
 walletSchema.index({ "withdrawalStats.monthlyWithdrawn.month": 1 });
+walletSchema.index({ "autoPayout.enabled": 1, "autoPayout.lastRun.at": 1 });
 
 // Virtual: returns the default bank account (or first if none marked default)
 walletSchema.virtual("defaultBankAccount").get(function () {
@@ -208,6 +245,46 @@ walletSchema.virtual("canWithdraw").get(function () {
   );
 });
 
+/**
+ * What the wallet may still withdraw (amount plus fee) under its daily and
+ * monthly limits.
+ * @param {Date} [now]
+ * @returns {number}
+ */
+walletSchema.methods.withdrawalAllowance = function (now = new Date()) {
+  const today = now.toISOString().slice(0, 10);
+  const currentMonth = now.toISOString().slice(0, 7);
+  const { dailyWithdrawn, monthlyWithdrawn } = this.withdrawalStats;
+
+  const withdrawnToday =
+    dailyWithdrawn.date && dailyWithdrawn.date.toISOString().slice(0, 10) === today
+      ? dailyWithdrawn.amount
+      : 0;
+  const withdrawnThisMonth =
+    monthlyWithdrawn.month === currentMonth ? monthlyWithdrawn.amount : 0;
+
+  return money.max(
+    0,
+    money.min(
+      money.subtract(this.limits.dailyWithdrawal, withdrawnToday),
+      money.subtract(this.limits.monthlyWithdrawal, withdrawnThisMonth),
+    ),
+  );
+};
+
+/**
+ * What the wallet may still send to other wallets today.
+ * @param {Date} [now]
+ * @returns {number}
+ */
+walletSchema.methods.transferAllowance = function (now = new Date()) {
+  const today = now.toISOString().slice(0, 10);
+  const sent = this.transferStats?.dailyTransferred;
+  const sentToday =
+    sent?.date && sent.date.toISOString().slice(0, 10) === today ? sent.amount : 0;
+  return money.max(0, money.subtract(this.limits.dailyTransfer, sentToday));
+};
+
 /**
  * Atomically credit funds to the wallet using $inc.
  * Safe for concurrent requests and inside mongoose sessions.
@@ -281,9 +358,10 @@ walletSchema.methods.addFunds = function (
 /**
  * Atomically deduct funds from the wallet with a balance guard.
  * For withdrawals, daily/monthly stats are reset and incremented atomically
- * via an aggregation pipeline update.
+ * via an aggregation pipeline update; transfers do the same with the daily
+ * transfer stat.
  * @param {number} amount
- * @param {"withdrawal"|"refund"|string} [transactionType]
+ * @param {"withdrawal"|"transfer"|"refund"|string} [transactionType]
  * @param {mongoose.ClientSession} [session]
  */
 walletSchema.methods.deductFunds = async function (
@@ -304,6 +382,17 @@ walletSchema.methods.deductFunds = async function (
   const today = now.toISOString().slice(0, 10);
   const currentMonth = now.toISOString().slice(0, 7);
 
+  // Wallets created before transfers existed have no transferStats
+  const transferredDay = {
+    $dateToString: {
+      format: "%Y-%m-%d",
+      date: { $ifNull: ["$transferStats.dailyTransferred.date", now] },
+    },
+  };
+  const transferredToday = {
+    $ifNull: ["$transferStats.dailyTransferred.amount", 0],
+  };
+
   let update;
   if (transactionType === "withdrawal") {
     // Aggregation pipeline handles conditional daily/monthly resets atomically
@@ -354,6 +443,25 @@ walletSchema.methods.deductFunds = async function (
         },
       },
     ];
+  } else if (transactionType === "transfer") {
+    update = [
+      {
+        $set: {
+          balance: { $subtract: ["$balance", amount] },
+          "metadata.lastTransactionAt": now,
+          "transferStats.dailyTransferred": {
+            $cond: {
+              if: { $eq: [transferredDay, today] },
+              then: {
+                amount: { $add: [transferredToday, amount] },
+                date: "$transferStats.dailyTransferred.date",
+              },
+              else: { amount, date: now },
+            },
+          },
+        },
+      },
+    ];
   } else {
     update = {
       $inc: { balance: -amount },
@@ -406,18 +514,26 @@ walletSchema.methods.deductFunds = async function (
     ],
   };
 
+  const transferFilter = {
+    $lte: [
+      {
+        $cond: {
+          if: { $eq: [transferredDay, today] },
+          then: { $add: [transferredToday, amount] },
+          else: amount,
+        },
+      },
+      { $ifNull: ["$limits.dailyTransfer", 200000] },
+    ],
+  };
+  const limitFilter =
+    { withdrawal: withdrawalFilter, transfer: transferFilter }[transactionType] ?? true;
+
   const updated = await this.constructor.findOneAndUpdate(
     {
       _id: this._id,
       status: "active",
-      $and: [
-        { balance: { $gte: amount + minBalance } },
-        {
-          $expr: {
-            $or: [{ $ne: [transactionType, "withdrawal"] }, withdrawalFilter],
-          },
-        },
-      ],
+      $and: [{ balance: { $gte: amount + minBalance } }, { $expr: limitFilter }],
     },
     update,
     { new: true, ...opts },
@@ -433,7 +549,9 @@ walletSchema.methods.deductFunds = async function (
       resource: { type: "wallet", id: this._id },
       metadata: { amount, type: transactionType, error: errorMsg },
     });
-    throw new Error(errorMsg);
+    const err = new Error(errorMsg);
+    err.code = "DEDUCTION_FAILED";
+    throw err;
   }
 
   // Audit inside the same transaction as the balance change — see creditEarning
@@ -455,6 +573,94 @@ walletSchema.methods.deductFunds = async function (
   return updated;
 };
 
+/**
+ * Atomically return a withdrawal that did not go through: the amount is
+ * credited back and taken off totalWithdrawals, and off the daily/monthly
+ * withdrawn stats when those still cover the day/month it was made, so the
+ * failed attempt stops counting against the user's limits.
+ *
+ * Unlike creditEarning this works on a suspended or frozen wallet — the money
+ * never left the platform.
+ *
+ * @param {number} amount - the total deducted by deductFunds (amount + fee)
+ * @param {Date} withdrawnAt - when the withdrawal was requested
+ * @param {mongoose.ClientSession} [session]
+ * @returns {number} new balance
+ */
+walletSchema.methods.refundWithdrawal = async function (
+  amount,
+  withdrawnAt,
+  session,
+) {
+  if (amount <= 0) throw new Error("Refund amount must be positive");
+  const opts = session ? { session } : {};
+  const refundAmount = money.round(amount);
+  const day = new Date(withdrawnAt).toISOString().slice(0, 10);
+  const month = day.slice(0, 7);
+
+  // Never let a stat go negative (e.g. it was reset and partly refilled)
+  const lessRefund = (field) => ({
+    $max: [0, { $subtract: [field, refundAmount] }],
+  });
+
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    [
+      {
+        $set: {
+          balance: { $add: ["$balance", refundAmount] },
+          "metadata.lastTransactionAt": new Date(),
+          "metadata.totalWithdrawals": lessRefund("$metadata.totalWithdrawals"),
+          "withdrawalStats.dailyWithdrawn.amount": {
+            $cond: {
+              if: {
+                $eq: [
+                  {
+                    $dateToString: {
+                      format: "%Y-%m-%d",
+                      date: "$withdrawalStats.dailyWithdrawn.date",
+                    },
+                  },
+                  day,
+                ],
+              },
+              then: lessRefund("$withdrawalStats.dailyWithdrawn.amount"),
+              else: "$withdrawalStats.dailyWithdrawn.amount",
+            },
+          },
+          "withdrawalStats.monthlyWithdrawn.amount": {
+            $cond: {
+              if: { $eq: ["$withdrawalStats.monthlyWithdrawn.month", month] },
+              then: lessRefund("$withdrawalStats.monthlyWithdrawn.amount"),
+              else: "$withdrawalStats.monthlyWithdrawn.amount",
+            },
+          },
+        },
+      },
+    ],
+    { new: true, ...opts },
+  );
+  if (!updated) throw new Error("Wallet not found");
+
+  // Audit inside the same transaction as the balance change — see creditEarning
+  await require("../services/auditService").logWithSession(
+    {
+      action: "wallet.withdrawal_refunded",
+      resource: { type: "wallet", id: this._id },
+      metadata: {
+        amount: refundAmount,
+        withdrawnAt,
+        balance: updated.balance,
+        balanceKobo: money.toKobo(updated.balance),
+      },
+    },
+    session,
+  );
+
+  this.balance = updated.balance;
+  return updated.balance;
+};
+
 // Static method to get wallet by user
 walletSchema.statics.getWalletByUser = function (userId) {
   return this.findOne({ user: userId }).populate("user", "fullName email role");
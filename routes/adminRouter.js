@@ -34,7 +34,10 @@ router.use(authMiddleware, isAdmin);
  * /api/admin/overview:
  *   get:
  *     summary: Aggregated platform counts for the admin dashboard
- *     description: Totals for users, stores, orders, wallets and revenue.
+ *     description: |
+ *       Totals for users, stores, orders, wallets and revenue, and bill
+ *       payments by status with today's completed bills: what users paid,
+ *       our margin and the providers' commission.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -575,8 +578,8 @@ router.put("/wallets/:id/status", admin.setWalletStatus);
  * @swagger
  * /api/admin/wallets/{id}/limits:
  *   put:
- *     summary: Update a wallet's withdrawal limits
- *     description: Amounts are in NGN. Enforced atomically on every withdrawal.
+ *     summary: Update a wallet's withdrawal and transfer limits
+ *     description: Amounts are in NGN. Enforced atomically on every withdrawal and wallet-to-wallet transfer.
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -598,6 +601,9 @@ router.put("/wallets/:id/status", admin.setWalletStatus);
  *                 type: number
  *               minimumBalance:
  *                 type: number
+ *               dailyTransfer:
+ *                 type: number
+ *                 description: Most the wallet may send to other wallets per day
  *     responses:
  *       200:
  *         description: Success
@@ -610,6 +616,746 @@ router.put("/wallets/:id/status", admin.setWalletStatus);
  */
 router.put("/wallets/:id/limits", admin.updateWalletLimits);
 
+// ── Coupons ───────────────────────────────────────────────────────────────────
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CouponInput:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: 3–32 letters, digits, '-' or '_'. Stored uppercase.
+ *           example: WELCOME10
+ *         description:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [percentage, fixed, free_delivery]
+ *         value:
+ *           type: number
+ *           description: Percent (0–100] for percentage, NGN for fixed; ignored for free_delivery.
+ *         maxDiscount:
+ *           type: number
+ *           nullable: true
+ *           description: Cap on the discount in NGN; null for no cap.
+ *         minOrderValue:
+ *           type: number
+ *           description: Minimum subtotal of eligible items, in NGN.
+ *         usageLimit:
+ *           type: integer
+ *           nullable: true
+ *           description: Total redemptions allowed; null for unlimited.
+ *         perUserLimit:
+ *           type: integer
+ *           nullable: true
+ *           default: 1
+ *         stores:
+ *           type: array
+ *           items: { type: string }
+ *           description: Restrict to these stores; empty for all.
+ *         categories:
+ *           type: array
+ *           items: { type: string }
+ *           description: Restrict to these categories; empty for all.
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/admin/coupons:
+ *   post:
+ *     summary: Create a coupon
+ *     description: Coupons are platform-funded; sellers and riders are paid on undiscounted prices.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CouponInput'
+ *               - required: [code, type]
+ *     responses:
+ *       201:
+ *         description: Created
+ *       400:
+ *         description: Invalid coupon
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an admin
+ *       409:
+ *         description: Code already exists
+ *   get:
+ *     summary: List coupons, newest first
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema: { type: boolean }
+ *       - in: query
+ *         name: search
+ *         schema: { type: string }
+ *         description: Partial match on code
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1, minimum: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, minimum: 1, maximum: 100 }
+ *     responses:
+ *       200:
+ *         description: Success
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an admin
+ */
+router.post("/coupons", admin.createCoupon);
+router.get("/coupons", admin.listCoupons);
+/**
+ * @swagger
+ * /api/admin/coupons/{id}:
+ *   get:
+ *     summary: Get a coupon with its latest redemptions
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Success
+ *       404:
+ *         description: Not found
+ *   put:
+ *     summary: Update a coupon
+ *     description: Only the supplied fields change. A redeemed coupon cannot be renamed.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CouponInput'
+ *     responses:
+ *       200:
+ *         description: Success
+ *       400:
+ *         description: Invalid coupon
+ *       404:
+ *         description: Not found
+ *       409:
+ *         description: Code already exists
+ *   delete:
+ *     summary: Delete a coupon
+ *     description: A coupon that has been redeemed is deactivated instead of deleted.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Deleted or deactivated
+ *       404:
+ *         description: Not found
+ */
+router.get("/coupons/:id", admin.getCoupon);
+router.put("/coupons/:id", admin.updateCoupon);
+router.delete("/coupons/:id", admin.deleteCoupon);
+
+// ── Notification campaigns ────────────────────────────────────────────────────
+
+/**
+ * @swagger
+ * /api/admin/notification-campaigns:
+ *   post:
+ *     summary: Schedule a broadcast notification by role
+ *     description: |
+ *       At `scheduledFor` the scheduler creates one notification per user
+ *       holding any of `roles` and delivers it in-app, by push and/or by email.
+ *       Push and email still honour each user's preferences, quiet hours and
+ *       digest frequency unless `priority` is urgent. Anything not delivered
+ *       by `expiresAt` is cancelled.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [title, message, roles]
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 maxLength: 120
+ *               message:
+ *                 type: string
+ *               roles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [buyer, seller, dispatch, admin]
+ *               type:
+ *                 type: string
+ *                 enum: [announcement, promotion, maintenance, update_available]
+ *                 default: announcement
+ *               priority:
+ *                 type: string
+ *                 enum: [low, medium, high, urgent]
+ *                 default: medium
+ *               channels:
+ *                 type: object
+ *                 properties:
+ *                   inApp: { type: boolean, default: true }
+ *                   push: { type: boolean, default: true }
+ *                   email: { type: boolean, default: false }
+ *               scheduledFor:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now.
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Scheduled
+ *       400:
+ *         description: Invalid campaign
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an admin
+ *   get:
+ *     summary: List notification campaigns, latest schedule first
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [scheduled, sending, sent, cancelled]
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [buyer, seller, dispatch, admin]
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1, minimum: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, minimum: 1, maximum: 100 }
+ *     responses:
+ *       200:
+ *         description: Success
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an admin
+ */
+router.post("/notification-campaigns", admin.createNotificationCampaign);
+router.get("/notification-campaigns", admin.listNotificationCampaigns);
+/**
+ * @swagger
+ * /api/admin/notification-campaigns/{id}:
+ *   get:
+ *     summary: Get a campaign with delivery counts by status
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Success
+ *       404:
+ *         description: Not found
+ */
+router.get("/notification-campaigns/:id", admin.getNotificationCampaign);
+/**
+ * @swagger
+ * /api/admin/notification-campaigns/{id}/cancel:
+ *   post:
+ *     summary: Cancel a campaign
+ *     description: Once sending has started, only recipients not yet reached are cancelled.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Cancelled
+ *       404:
+ *         description: Not found
+ *       409:
+ *         description: Already cancelled
+ */
+router.post("/notification-campaigns/:id/cancel", admin.cancelNotificationCampaign);
+
+// ── Geofences ────────────────────────────────────────────────────────────────
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GeofenceInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Lekki Phase 1
+ *         description:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [delivery_zone, pickup_zone, restricted_area, service_area]
+ *           description: >
+ *             When any active service_area exists, delivery orders are only
+ *             accepted for addresses inside one. Riders inside a
+ *             restricted_area are warned and the visit is recorded.
+ *         geometry:
+ *           type: object
+ *           properties:
+ *             type:
+ *               type: string
+ *               enum: [Polygon, Circle, Point]
+ *             coordinates:
+ *               description: >
+ *                 Polygon: GeoJSON rings of [longitude, latitude], outer ring
+ *                 first, then any holes. Circle/Point: the [longitude, latitude]
+ *                 centre, with `radius` in metres.
+ *               example: [[[3.46, 6.44], [3.49, 6.44], [3.49, 6.46], [3.46, 6.46]]]
+ *         radius:
+ *           type: number
+ *           description: Metres; required for Circle and Point geometries.
+ *         rules:
+ *           type: object
+ *           properties:
+ *             allowedVehicles:
+ *               type: array
+ *               items:
+ *                 type: string
+ *                 enum: [motorcycle, car, van, truck, bicycle, feet, bus]
+ *               description: Riders on other vehicles are warned; empty for any vehicle.
+ *             maxSpeed:
+ *               type: number
+ *             deliveryFee:
+ *               type: number
+ *               description: >
+ *                 Surcharge in NGN added to deliveries picked up or dropped off
+ *                 in this zone (see /api/admin/delivery-pricing). Where zones
+ *                 overlap, the highest-priority one with a fee applies.
+ *             requiresApproval:
+ *               type: boolean
+ *             timeRestrictions:
+ *               type: object
+ *               description: >
+ *                 Lagos time. For most zones, the hours riders may work there.
+ *                 For a restricted_area, the hours it is closed (closed at all
+ *                 times when unset). A window may wrap midnight.
+ *               properties:
+ *                 start: { type: string, example: "09:00" }
+ *                 end: { type: string, example: "17:00" }
+ *                 days:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                     enum: [monday, tuesday, wednesday, thursday, friday, saturday, sunday]
+ *         status:
+ *           type: string
+ *           enum: [active, inactive, maintenance]
+ *         priority:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10
+ *         metadata:
+ *           type: object
+ *           properties:
+ *             city: { type: string }
+ *             state: { type: string }
+ *             country: { type: string }
+ *             postalCode: { type: string }
+ */
+
+/**
+ * @swagger
+ * /api/admin/geofences:
+ *   post:
+ *     summary: Create a geofence
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/GeofenceInput'
+ *               - required: [name, description, type, geometry]
+ *     responses:
+ *       201:
+ *         description: Created
+ *       400:
+ *         description: Invalid geofence
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an admin
+ *       409:
+ *         description: Name already in use
+ *   get:
+ *     summary: List geofences, highest priority first
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [delivery_zone, pickup_zone, restricted_area, service_area]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive, maintenance]
+ *       - in: query
+ *         name: city
+ *         schema: { type: string }
+ *       - in: query
+ *         name: search
+ *         schema: { type: string }
+ *         description: Partial match on name
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1, minimum: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, minimum: 1, maximum: 100 }
+ *     responses:
+ *       200:
+ *         description: Success
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not an admin
+ */
+router.post("/geofences", admin.createGeofence);
+router.get("/geofences", admin.listGeofences);
+/**
+ * @swagger
+ * /api/admin/geofences/{id}:
+ *   get:
+ *     summary: Get a geofence
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Success
+ *       404:
+ *         description: Not found
+ *   put:
+ *     summary: Update a geofence
+ *     description: Only the supplied fields change; `rules` and `metadata` are merged key by key.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GeofenceInput'
+ *     responses:
+ *       200:
+ *         description: Success
+ *       400:
+ *         description: Invalid geofence
+ *       404:
+ *         description: Not found
+ *       409:
+ *         description: Name already in use
+ *   delete:
+ *     summary: Delete a geofence
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Deleted
+ *       404:
+ *         description: Not found
+ */
+router.get("/geofences/:id", admin.getGeofence);
+router.put("/geofences/:id", admin.updateGeofence);
+router.delete("/geofences/:id", admin.deleteGeofence);
+
+// ── Delivery pricing ──────────────────────────────────────────────────────────
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DeliveryPricingInput:
+ *       type: object
+ *       description: >
+ *         Delivery fee = (distance fee × vehicle multiplier + zone surcharges
+ *         + weight fee) × surge multiplier. Zone surcharges are each
+ *         geofence's rules.deliveryFee. Every field is optional.
+ *       properties:
+ *         baseFee:
+ *           type: number
+ *           description: NGN, covers the first baseDistance km
+ *           example: 1200
+ *         distanceRates:
+ *           type: object
+ *           properties:
+ *             perKm: { type: number, example: 100 }
+ *             baseDistance: { type: number, example: 5 }
+ *             maxDistance: { type: number, example: 100 }
+ *         vehicleMultipliers:
+ *           type: object
+ *           description: Vehicle type → multiplier, merged into the current ones
+ *           additionalProperties: { type: number }
+ *           example: { motorcycle: 1, car: 1.5, van: 2 }
+ *         weight:
+ *           type: object
+ *           properties:
+ *             includedKg: { type: number, example: 5 }
+ *             perKg: { type: number, example: 50 }
+ *             maxKg: { type: number, example: 50 }
+ *         surgeWindows:
+ *           type: array
+ *           description: >
+ *             Replaces the whole list. Lagos time; a window may wrap midnight.
+ *             Where windows overlap, the highest multiplier applies.
+ *           items:
+ *             type: object
+ *             required: [name, start, end, multiplier]
+ *             properties:
+ *               name: { type: string, example: Evening rush }
+ *               start: { type: string, example: "17:00" }
+ *               end: { type: string, example: "20:00" }
+ *               days:
+ *                 type: array
+ *                 description: Every day when empty
+ *                 items:
+ *                   type: string
+ *                   enum: [monday, tuesday, wednesday, thursday, friday, saturday, sunday]
+ *               multiplier: { type: number, minimum: 1, maximum: 5, example: 1.5 }
+ */
+
+/**
+ * @swagger
+ * /api/admin/delivery-pricing:
+ *   get:
+ *     summary: Get the delivery pricing rules in force
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Success
+ *   put:
+ *     summary: Update the delivery pricing rules
+ *     description: >
+ *       Only the supplied fields change, and the version goes up by one.
+ *       Applies to quotes from the next checkout; placed orders keep their
+ *       fee and its breakdown in deliveryMetadata.pricing.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DeliveryPricingInput'
+ *     responses:
+ *       200:
+ *         description: Success
+ *       400:
+ *         description: Invalid pricing rules
+ */
+router.get("/delivery-pricing", admin.getDeliveryPricing);
+router.put("/delivery-pricing", admin.updateDeliveryPricing);
+
+// ── Bill providers ────────────────────────────────────────────────────────────
+
+/**
+ * @swagger
+ * /api/admin/bill-providers:
+ *   get:
+ *     summary: Bill provider success rates and routing
+ *     description: >
+ *       Calls to each bill provider over the last `hours` hours, per bill type
+ *       and operation (catalogue, verify, pay, requery): ok, pending (purchase
+ *       accepted, not yet delivered), failed (answered no) and error (no
+ *       answer), with success and error rates and average latency. Also
+ *       returns the routing table per bill type (appConfig.bills.providers)
+ *       and which providers are being tried last for repeated errors.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: hours
+ *         schema: { type: integer, default: 24, minimum: 1, maximum: 720 }
+ *     responses:
+ *       200:
+ *         description: Success
+ *       400:
+ *         description: Invalid hours
+ */
+router.get("/bill-providers", admin.getBillProviderMetrics);
+
+/**
+ * @swagger
+ * /api/admin/bill-catalogue:
+ *   get:
+ *     summary: List the cached bill plan catalogue
+ *     description: >
+ *       Each product's plans (data bundles, bouquets, JAMB and WAEC PINs) with
+ *       the provider's price, the markup, the price users pay (price), the
+ *       previous price if it changed, and whether the plan is hidden or no
+ *       longer listed by the provider (available false).
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: service_type
+ *         schema: { type: string, enum: [data, cable_tv, jamb, waec] }
+ *       - in: query
+ *         name: product
+ *         schema: { type: string, example: mtn }
+ *     responses:
+ *       200:
+ *         description: Success
+ */
+router.get("/bill-catalogue", admin.listBillCatalogue);
+
+/**
+ * @swagger
+ * /api/admin/bill-catalogue/sync:
+ *   post:
+ *     summary: Sync the bill catalogue with its providers now
+ *     description: >
+ *       Otherwise synced every 6 hours. Returns the products whose plans were
+ *       added, dropped or repriced, and any no provider answered for.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Success
+ */
+router.post("/bill-catalogue/sync", admin.syncBillCatalogue);
+
+/**
+ * @swagger
+ * /api/admin/bill-catalogue/{serviceType}/{product}/plans/{variationCode}:
+ *   patch:
+ *     summary: Mark up or hide a bill plan
+ *     description: >
+ *       Users pay the provider's price plus the markup; the provider is paid
+ *       its own price. Hidden plans can't be bought. Applies from the next
+ *       purchase.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: serviceType
+ *         required: true
+ *         schema: { type: string, example: data }
+ *       - in: path
+ *         name: product
+ *         required: true
+ *         schema: { type: string, example: mtn }
+ *       - in: path
+ *         name: variationCode
+ *         required: true
+ *         schema: { type: string, example: mtn-10mb-100 }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               markup: { type: number, minimum: 0, example: 50, description: Naira }
+ *               hidden: { type: boolean }
+ *     responses:
+ *       200:
+ *         description: Success
+ *       400:
+ *         description: Invalid markup or hidden
+ *       404:
+ *         description: Plan not found
+ */
+router.patch(
+  "/bill-catalogue/:serviceType/:product/plans/:variationCode",
+  admin.updateBillPlan,
+);
+
 // ── Withdrawals (handlers shared with the wallet flow) ─────────────────────────
 
 router.get("/withdrawals/pending", getPendingWithdrawals);
@@ -25,6 +25,11 @@ const {
   googleAuth,
   resetPassword,
   verifyResetToken,
+  applyCoupon,
+  removeCoupon,
+  getUserSessions,
+  revokeUserSession,
+  revokeAllUserSessions,
 } = require("../controllers/user");
 const { authMiddleware, isAdmin } = require("../middleware/authMiddleware");
 const router = express.Router();
@@ -719,6 +724,18 @@ router.put("/reset-password", resetPassword);
  *                 format: password
  *                 description: The user's password
  *                 example: "password123"
+ *               deviceId:
+ *                 type: string
+ *                 description: >
+ *                   Stable identifier of this device (may instead be sent as the
+ *                   X-Device-Id header). Logging in again from the same device
+ *                   replaces its previous session; other devices stay signed in.
+ *                   One is generated when omitted.
+ *                 example: "b1f0c6de-6a51-4e1f-9d51-3c2f7f0a9e21"
+ *               deviceName:
+ *                 type: string
+ *                 description: Name shown in the session list
+ *                 example: "Ada's Pixel 8"
  *     responses:
  *       200:
  *         description: Login successful — full auth payload returned
@@ -765,6 +782,12 @@ router.put("/reset-password", resetPassword);
  *                     Use this on the client to schedule silent token refresh before
  *                     the token expires (recommended: refresh ~60 seconds before expiry).
  *                   example: "2026-05-28T12:00:00.000Z"
+ *                 sessionId:
+ *                   type: string
+ *                   description: ID of the session opened for this device
+ *                 deviceId:
+ *                   type: string
+ *                   description: The device ID the session is tied to (generated if none was sent)
  *       400:
  *         description: Invalid email or password format
  *       401:
@@ -869,6 +892,10 @@ router.get("/status-users", authMiddleware, isAdmin, getUsersByStatus);
  *       Issues a new access token given a valid refresh token.
  *       Web clients send the token via HTTP-only cookie (automatic).
  *       Mobile clients send it in the request body as `refreshToken`.
+ *       Refresh tokens are single-use: every call returns a new `refreshToken`
+ *       (and resets the cookie) that replaces the one sent. Sending a refresh
+ *       token that was already exchanged signs that device out, since it means
+ *       the token was copied.
  *     tags:
  *       - Auth
  *     requestBody:
@@ -880,7 +907,7 @@ router.get("/status-users", authMiddleware, isAdmin, getUsersByStatus);
  *             properties:
  *               refreshToken:
  *                 type: string
- *                 description: The refresh token received at login or email verification
+ *                 description: The latest refresh token received from login, email verification or this endpoint
  *     responses:
  *       200:
  *         description: New access token issued
@@ -895,6 +922,9 @@ router.get("/status-users", authMiddleware, isAdmin, getUsersByStatus);
  *                 token:
  *                   type: string
  *                   description: New JWT access token (valid for 1 day)
+ *                 refreshToken:
+ *                   type: string
+ *                   description: New refresh token (valid for 3 days); the one sent no longer works
  *                 tokenExpiresAt:
  *                   type: string
  *                   format: date-time
@@ -903,26 +933,146 @@ router.get("/status-users", authMiddleware, isAdmin, getUsersByStatus);
  *       401:
  *         description: No refresh token provided
  *       403:
- *         description: Invalid, expired, or revoked refresh token
+ *         description: Invalid, expired, revoked or already-used refresh token
  */
 router.post("/refresh", handleRefreshToken);
 /**
  * @swagger
  * /api/user/logout:
  *   get:
- *     summary: Logout user by clearing refresh token cookie and updating user's refresh token
- *     description: Logout user by clearing refresh token cookie and updating user's refresh token
+ *     summary: Sign out the current device
+ *     description: >
+ *       Revokes the session the refresh token belongs to and clears the
+ *       refresh token cookie. The user's other devices stay signed in.
+ *       Mobile clients should use POST and send `refreshToken` in the body.
+ *     tags:
+ *       - Auth
+ *     responses:
+ *       204:
+ *         description: Signed out
+ *       400:
+ *         description: No refresh token provided
+ *   post:
+ *     summary: Sign out the current device (mobile)
+ *     tags:
+ *       - Auth
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       204:
+ *         description: Signed out
+ *       400:
+ *         description: No refresh token provided
+ */
+router.get("/logout", logoutUser);
+router.post("/logout", logoutUser);
+/**
+ * @swagger
+ * /api/user/sessions:
+ *   get:
+ *     summary: List the devices the user is signed in on
+ *     description: Most recently used first. The session making the request has `current` set.
  *     tags:
  *       - Auth
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Successful logout
- *       400:
- *         description: Invalid refresh token
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       deviceId:
+ *                         type: string
+ *                       deviceName:
+ *                         type: string
+ *                       userAgent:
+ *                         type: string
+ *                       ip:
+ *                         type: string
+ *                       lastUsedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                       current:
+ *                         type: boolean
+ *   delete:
+ *     summary: Sign out all other devices
+ *     description: >
+ *       Revokes every session except the one making the request, or all of
+ *       them with `includeCurrent=true`. Revoked devices lose both their
+ *       refresh and access tokens immediately.
+ *     tags:
+ *       - Auth
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeCurrent
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 revoked:
+ *                   type: integer
+ *                   description: Number of sessions signed out
  */
-router.get("/logout", logoutUser);
+router.get("/sessions", authMiddleware, getUserSessions);
+router.delete("/sessions", authMiddleware, revokeAllUserSessions);
+/**
+ * @swagger
+ * /api/user/sessions/{id}:
+ *   delete:
+ *     summary: Sign out one device
+ *     description: Revokes the session, e.g. for a lost phone. Its refresh and access tokens stop working immediately.
+ *     tags:
+ *       - Auth
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID from GET /api/user/sessions
+ *     responses:
+ *       200:
+ *         description: Device signed out
+ *       404:
+ *         description: Session not found or already signed out
+ */
+router.delete("/sessions/:id", authMiddleware, revokeUserSession);
 /**
  * @swagger
  * /api/user/get-cart:
@@ -1377,26 +1527,20 @@ router.put("/unblock-user/:id", authMiddleware, isAdmin, unblockUser);
  *           schema:
  *             type: object
  *             required:
- *               - count
+ *               - productId
  *               - newCount
- *               - _id
- *               - product
  *             properties:
- *               count:
- *                 type: number
- *                 description: Current product count
- *               newCount:
- *                 type: number
- *                 description: New product count to set
- *               _id:
+ *               productId:
  *                 type: string
  *                 description: Product ID in cart
- *               product:
- *                 type: object
- *                 properties:
- *                   listedPrice:
- *                     type: number
- *                     description: Product price
+ *               variantId:
+ *                 type: string
+ *                 description: >
+ *                   Variant of the line to update. Only needed when the product
+ *                   is in the cart in more than one version.
+ *               newCount:
+ *                 type: number
+ *                 description: New product count to set (0 removes the line)
  *     responses:
  *       200:
  *         description: Updated cart information
@@ -1452,7 +1596,10 @@ router.put("/update-cart", authMiddleware, updateCart);
  * /api/user/add-cart:
  *   post:
  *     summary: Add product to user's cart
- *     description: Add product to user's cart
+ *     description: >
+ *       Add product to user's cart. A multiple-version (variable) product must
+ *       name the version being bought by `variantId`, `sku` or `options`; each
+ *       version is a separate cart line priced and stock-checked on its own.
  *     tags:
  *       - Cart
  *     security:
@@ -1469,6 +1616,32 @@ router.put("/update-cart", authMiddleware, updateCart);
  *               product:
  *                 type: object
  *                 description: Product details to add to cart
+ *                 required:
+ *                   - _id
+ *                   - count
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                   count:
+ *                     type: number
+ *                   variantId:
+ *                     type: string
+ *                     description: Variant ID (variable products)
+ *                   sku:
+ *                     type: string
+ *                     description: Variant SKU, as an alternative to variantId
+ *                   options:
+ *                     type: array
+ *                     description: Option values, as an alternative to variantId
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         name:
+ *                           type: string
+ *                           example: Size
+ *                         value:
+ *                           type: string
+ *                           example: "41"
  *     responses:
  *       200:
  *         description: Updated cart information
@@ -1579,6 +1752,54 @@ router.post("/add-cart", authMiddleware, addToCart2);
  *         description: Cart removal fails
  */
 router.post("/empty-cart", authMiddleware, emptyCart);
+/**
+ * @swagger
+ * /api/user/cart/coupon:
+ *   post:
+ *     summary: Apply a promo code to the cart
+ *     description: |
+ *       Validates the code against its validity window, usage caps, minimum
+ *       order value and store/category scope, then stores it on the cart.
+ *       The item discount is reflected in `discount` and `cartTotal`
+ *       (`subtotal` − `discount`). Free-delivery codes are valued at checkout
+ *       once delivery fees are quoted. The code is re-checked whenever the
+ *       cart changes and again at checkout.
+ *     tags:
+ *       - Cart
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: LAUNCH10
+ *     responses:
+ *       200:
+ *         description: Coupon applied; returns the cart
+ *       400:
+ *         description: Empty cart, or the code does not apply (message says why)
+ *       404:
+ *         description: Unknown code
+ *   delete:
+ *     summary: Remove the promo code from the cart
+ *     tags:
+ *       - Cart
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Coupon removed; returns the cart
+ *       404:
+ *         description: Cart not found
+ */
+router.post("/cart/coupon", authMiddleware, applyCoupon);
+router.delete("/cart/coupon", authMiddleware, removeCoupon);
 /**
  * @swagger
  * /api/user/verify:
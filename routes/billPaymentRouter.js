@@ -10,10 +10,26 @@ const {
   purchaseData,
   payElectricity,
   payCableTv,
+  verifyJambProfile,
+  purchaseJambPin,
+  purchaseWaecPin,
+  revealEducationPin,
   getMyBillPayments,
   requeryBillPayment,
-  handleVtpassWebhook,
+  handleProviderWebhook,
 } = require("../controllers/billPaymentController");
+const {
+  listSavedBillers,
+  createSavedBiller,
+  renameSavedBiller,
+  deleteSavedBiller,
+  listRecurringBills,
+  createRecurringBill,
+  updateRecurringBill,
+  pauseRecurringBill,
+  resumeRecurringBill,
+  deleteRecurringBill,
+} = require("../controllers/billScheduleController");
 
 // ── Service discovery (no wallet required) ──────────────────────────────────
 
@@ -22,6 +38,9 @@ const {
  * /api/bills/plans/data:
  *   get:
  *     summary: Get data plans for a network
+ *     description: >
+ *       From the cached catalogue, at the price users pay. Send the ETag back
+ *       as If-None-Match to get a 304 while the plans are unchanged.
  *     tags: [Bills]
  *     security: [{ bearerAuth: [] }]
  *     parameters:
@@ -31,9 +50,14 @@ const {
  *         schema:
  *           type: string
  *           enum: [mtn, airtel, glo, glo-sme, etisalat, smile-direct, spectranet]
+ *       - in: header
+ *         name: If-None-Match
+ *         schema: { type: string }
  *     responses:
  *       200:
  *         description: Data plans retrieved
+ *       304:
+ *         description: Unchanged since the ETag sent
  */
 router.get("/plans/data", authMiddleware, getDataPlans);
 
@@ -50,10 +74,21 @@ router.get("/plans/data", authMiddleware, getDataPlans);
  *         required: true
  *         schema:
  *           type: string
- *         description: VTpass service ID (e.g. dstv, gotv, startimes)
+ *         description: Product (e.g. dstv, gotv, startimes, jamb, waec, waec-registration) or its VTpass service ID
+ *       - in: header
+ *         name: If-None-Match
+ *         schema: { type: string }
  *     responses:
  *       200:
- *         description: Service variations retrieved
+ *         description: >
+ *           Service variations retrieved. Plans (cable TV, JAMB, WAEC) come
+ *           from the cached catalogue at the price users pay, with an ETag.
+ *       304:
+ *         description: Unchanged since the ETag sent
+ *       404:
+ *         description: Unknown service
+ *       503:
+ *         description: None of the product's providers answered
  */
 router.get("/plans/:serviceId", authMiddleware, getServiceVariations);
 
@@ -112,6 +147,31 @@ router.get("/verify/meter", authMiddleware, verifyMeter);
  */
 router.get("/verify/decoder", authMiddleware, verifyDecoder);
 
+/**
+ * @swagger
+ * /api/bills/verify/jamb:
+ *   get:
+ *     summary: Verify a JAMB candidate's profile ID before buying a PIN
+ *     tags: [Bills]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: query
+ *         name: profile_id
+ *         required: true
+ *         schema: { type: string, example: "0123456789" }
+ *       - in: query
+ *         name: variation_code
+ *         required: true
+ *         schema: { type: string, example: "utme" }
+ *         description: From GET /api/bills/plans/jamb
+ *     responses:
+ *       200:
+ *         description: Profile verified; returns the candidate's name
+ *       400:
+ *         description: Invalid or unknown profile ID
+ */
+router.get("/verify/jamb", authMiddleware, verifyJambProfile);
+
 // ── Purchase endpoints ──────────────────────────────────────────────────────
 
 /**
@@ -138,6 +198,7 @@ router.get("/verify/decoder", authMiddleware, verifyDecoder);
  *               amount:
  *                 type: number
  *                 minimum: 50
+ *                 description: Face value; the wallet pays it with the configured markup or discount
  *     responses:
  *       200:
  *         description: Initial wallet debit successful; purchase offloaded to background queue
@@ -156,6 +217,7 @@ router.get("/verify/decoder", authMiddleware, verifyDecoder);
  *                     network: { type: string, example: "mtn" }
  *                     phone: { type: string, example: "08012345678" }
  *                     amount: { type: number, example: 100 }
+ *                     charged: { type: number, example: 98, description: What the wallet paid }
  *       400:
  *         description: Validation error or insufficient balance
  */
@@ -184,6 +246,9 @@ router.post("/airtime", authMiddleware, purchaseAirtime);
  *               variation_code:
  *                 type: string
  *                 description: From GET /api/bills/plans/data
+ *               amount:
+ *                 type: number
+ *                 description: The plan price shown; if it has changed since, the purchase is refused with 409
  *     responses:
  *       200:
  *         description: Initial wallet debit successful; data bundle purchase offloaded to background queue
@@ -202,6 +267,8 @@ router.post("/airtime", authMiddleware, purchaseAirtime);
  *                     network: { type: string, example: "mtn" }
  *                     phone: { type: string, example: "08012345678" }
  *                     amount: { type: number, example: 500 }
+ *       409:
+ *         description: The plan's price changed; data.amount is the new one
  */
 router.post("/data", authMiddleware, purchaseData);
 
@@ -218,8 +285,11 @@ router.post("/data", authMiddleware, purchaseData);
  *         application/json:
  *           schema:
  *             type: object
- *             required: [provider, meter_number, amount, phone]
+ *             required: [amount, phone]
  *             properties:
+ *               biller_id:
+ *                 type: string
+ *                 description: A saved electricity biller, in place of provider, meter_number and meter_type
  *               provider:
  *                 type: string
  *                 example: ikeja-electric
@@ -232,6 +302,7 @@ router.post("/data", authMiddleware, purchaseData);
  *               amount:
  *                 type: number
  *                 minimum: 100
+ *                 description: The token's value; the wallet pays it with the configured markup or fee
  *               phone:
  *                 type: string
  *     responses:
@@ -252,6 +323,7 @@ router.post("/data", authMiddleware, purchaseData);
  *                     provider: { type: string, example: "ikeja-electric" }
  *                     meter_number: { type: string, example: "01234567890" }
  *                     amount: { type: number, example: 1000 }
+ *                     charged: { type: number, example: 1050, description: What the wallet paid }
  */
 router.post("/electricity", authMiddleware, payElectricity);
 
@@ -268,8 +340,11 @@ router.post("/electricity", authMiddleware, payElectricity);
  *         application/json:
  *           schema:
  *             type: object
- *             required: [provider, smartcard_number, variation_code, phone]
+ *             required: [variation_code, phone]
  *             properties:
+ *               biller_id:
+ *                 type: string
+ *                 description: A saved cable TV biller, in place of provider and smartcard_number
  *               provider:
  *                 type: string
  *                 enum: [dstv, gotv, startimes, showmax]
@@ -280,6 +355,9 @@ router.post("/electricity", authMiddleware, payElectricity);
  *                 description: From GET /api/bills/plans/:serviceId
  *               phone:
  *                 type: string
+ *               amount:
+ *                 type: number
+ *                 description: The plan price shown; if it has changed since, the purchase is refused with 409
  *     responses:
  *       200:
  *         description: Initial wallet debit successful; subscription offloaded to background queue
@@ -298,9 +376,355 @@ router.post("/electricity", authMiddleware, payElectricity);
  *                     provider: { type: string, example: "dstv" }
  *                     smartcard_number: { type: string, example: "0123456789" }
  *                     amount: { type: number, example: 5000 }
+ *       409:
+ *         description: The plan's price changed; data.amount is the new one
  */
 router.post("/cable-tv", authMiddleware, payCableTv);
 
+/**
+ * @swagger
+ * /api/bills/jamb:
+ *   post:
+ *     summary: Buy a JAMB PIN from wallet
+ *     description: |
+ *       Verifies the profile ID, debits the wallet and buys the PIN in the
+ *       background. Once it is delivered the PIN is emailed to the buyer and
+ *       can be shown once via GET /api/bills/education/{requestId}/pin.
+ *     tags: [Bills]
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [profile_id, variation_code, phone]
+ *             properties:
+ *               profile_id: { type: string, example: "0123456789" }
+ *               variation_code:
+ *                 type: string
+ *                 description: From GET /api/bills/plans/jamb (e.g. utme, de)
+ *               phone: { type: string }
+ *     responses:
+ *       200:
+ *         description: Initial wallet debit successful; purchase offloaded to background queue
+ *       400:
+ *         description: Invalid input or profile verification failed
+ */
+router.post("/jamb", authMiddleware, purchaseJambPin);
+
+/**
+ * @swagger
+ * /api/bills/waec:
+ *   post:
+ *     summary: Buy WAEC result checker or registration PINs from wallet
+ *     description: |
+ *       Debits the wallet for quantity × the variation price and buys the PINs
+ *       in the background. Once delivered they are emailed to the buyer and can
+ *       be shown once via GET /api/bills/education/{requestId}/pin.
+ *     tags: [Bills]
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [variation_code, phone]
+ *             properties:
+ *               product:
+ *                 type: string
+ *                 enum: [result-checker, registration]
+ *                 default: result-checker
+ *               variation_code:
+ *                 type: string
+ *                 description: From GET /api/bills/plans/waec or /api/bills/plans/waec-registration
+ *               quantity: { type: integer, minimum: 1, maximum: 10, default: 1 }
+ *               phone: { type: string }
+ *     responses:
+ *       200:
+ *         description: Initial wallet debit successful; purchase offloaded to background queue
+ *       400:
+ *         description: Invalid input
+ */
+router.post("/waec", authMiddleware, purchaseWaecPin);
+
+/**
+ * @swagger
+ * /api/bills/education/{requestId}/pin:
+ *   get:
+ *     summary: Show a completed JAMB/WAEC purchase's PINs (once)
+ *     tags: [Bills]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: The PINs (and serial numbers for WAEC result checkers)
+ *       404:
+ *         description: No JAMB/WAEC purchase with this request ID
+ *       409:
+ *         description: The purchase hasn't completed
+ *       410:
+ *         description: Already shown; the PINs are in the buyer's email
+ */
+router.get("/education/:requestId/pin", authMiddleware, revealEducationPin);
+
+// ── Saved billers ───────────────────────────────────────────────────────────
+
+/**
+ * @swagger
+ * /api/bills/billers:
+ *   get:
+ *     summary: List my saved billers
+ *     tags: [Bills]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: query
+ *         name: service_type
+ *         schema:
+ *           type: string
+ *           enum: [airtime, data, electricity, cable_tv]
+ *     responses:
+ *       200:
+ *         description: Saved billers, by nickname
+ *   post:
+ *     summary: Save a biller to pay again later
+ *     description: |
+ *       Meters and decoders are verified with VTpass first and the customer
+ *       name it returns is kept. Pass the biller's id as biller_id to
+ *       POST /api/bills/electricity or /api/bills/cable-tv instead of the
+ *       provider and number.
+ *     tags: [Bills]
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [nickname, service_type, provider, billers_code]
+ *             properties:
+ *               nickname: { type: string, example: "Home meter" }
+ *               service_type:
+ *                 type: string
+ *                 enum: [airtime, data, electricity, cable_tv]
+ *               provider: { type: string, example: "ikeja-electric" }
+ *               billers_code:
+ *                 type: string
+ *                 description: Meter number, smartcard number or phone number
+ *               meter_type:
+ *                 type: string
+ *                 enum: [prepaid, postpaid]
+ *                 default: prepaid
+ *     responses:
+ *       201:
+ *         description: Biller saved
+ *       400:
+ *         description: Invalid input, verification failed, or too many billers
+ *       409:
+ *         description: Already saved
+ */
+router.get("/billers", authMiddleware, listSavedBillers);
+router.post("/billers", authMiddleware, createSavedBiller);
+
+/**
+ * @swagger
+ * /api/bills/billers/{id}:
+ *   patch:
+ *     summary: Rename a saved biller
+ *     tags: [Bills]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [nickname]
+ *             properties:
+ *               nickname: { type: string }
+ *     responses:
+ *       200:
+ *         description: Biller renamed
+ *       404:
+ *         description: Biller not found
+ *   delete:
+ *     summary: Delete a saved biller
+ *     tags: [Bills]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Biller deleted
+ *       404:
+ *         description: Biller not found
+ *       409:
+ *         description: The biller still has recurring payments
+ */
+router.patch("/billers/:id", authMiddleware, renameSavedBiller);
+router.delete("/billers/:id", authMiddleware, deleteSavedBiller);
+
+// ── Recurring bills ─────────────────────────────────────────────────────────
+
+/**
+ * @swagger
+ * /api/bills/recurring:
+ *   get:
+ *     summary: List my recurring bill payments
+ *     description: Each with its biller, next run, and how the last run went.
+ *     tags: [Bills]
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: Recurring payments
+ *   post:
+ *     summary: Pay a saved biller from the wallet on a schedule
+ *     description: |
+ *       Runs at 08:00 on the due day. Airtime and electricity buy the amount
+ *       given, charged with the configured markup or discount; data and cable
+ *       TV pay the plan's price, and a run refuses to pay more than the price
+ *       when the schedule was set up. A run that can't pay (e.g. the wallet is
+ *       short) notifies the user; after 3 in a row the schedule pauses itself.
+ *     tags: [Bills]
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [biller_id, frequency]
+ *             properties:
+ *               biller_id: { type: string }
+ *               frequency:
+ *                 type: string
+ *                 enum: [daily, weekly, monthly]
+ *               day_of_week:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 6
+ *                 description: Weekly schedules, 0 = Sunday
+ *               day_of_month:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 28
+ *                 description: Monthly schedules
+ *               amount:
+ *                 type: number
+ *                 description: Airtime (min ₦50) and electricity (min ₦100)
+ *               variation_code:
+ *                 type: string
+ *                 description: Data bundle or cable TV plan
+ *               phone:
+ *                 type: string
+ *                 description: Electricity and cable TV; airtime and data use the biller's number
+ *     responses:
+ *       201:
+ *         description: Recurring payment created
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Biller not found
+ */
+router.get("/recurring", authMiddleware, listRecurringBills);
+router.post("/recurring", authMiddleware, createRecurringBill);
+
+/**
+ * @swagger
+ * /api/bills/recurring/{id}:
+ *   patch:
+ *     summary: Change a recurring payment's schedule or amount
+ *     description: Takes the same fields as creating one, less biller_id.
+ *     tags: [Bills]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Recurring payment updated
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Recurring payment not found
+ *   delete:
+ *     summary: Delete a recurring payment
+ *     tags: [Bills]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Recurring payment deleted
+ *       404:
+ *         description: Recurring payment not found
+ */
+router.patch("/recurring/:id", authMiddleware, updateRecurringBill);
+router.delete("/recurring/:id", authMiddleware, deleteRecurringBill);
+
+/**
+ * @swagger
+ * /api/bills/recurring/{id}/pause:
+ *   post:
+ *     summary: Pause a recurring payment
+ *     tags: [Bills]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Paused
+ *       404:
+ *         description: Recurring payment not found
+ *       409:
+ *         description: Already paused
+ */
+router.post("/recurring/:id/pause", authMiddleware, pauseRecurringBill);
+
+/**
+ * @swagger
+ * /api/bills/recurring/{id}/resume:
+ *   post:
+ *     summary: Resume a paused recurring payment
+ *     description: Runs again from the next due date; missed runs aren't made up.
+ *     tags: [Bills]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Resumed
+ *       404:
+ *         description: Recurring payment not found
+ *       409:
+ *         description: Not paused
+ */
+router.post("/recurring/:id/resume", authMiddleware, resumeRecurringBill);
+
 // ── History & requery ───────────────────────────────────────────────────────
 
 /**
@@ -315,7 +739,7 @@ router.post("/cable-tv", authMiddleware, payCableTv);
  *         name: serviceType
  *         schema:
  *           type: string
- *           enum: [airtime, data, electricity, cable_tv]
+ *           enum: [airtime, data, electricity, cable_tv, jamb, waec]
  *       - in: query
  *         name: page
  *         schema: { type: integer, default: 1 }
@@ -348,15 +772,28 @@ router.get("/requery/:requestId", authMiddleware, requeryBillPayment);
 
 /**
  * @swagger
- * /api/bills/webhook/vtpass:
+ * /api/bills/webhook/{provider}:
  *   post:
- *     summary: VTpass status push notification
+ *     summary: Bill provider status push notification
  *     tags: [Bills]
- *     description: Real-time update from VTpass. No authentication (IP whitelist recommended).
+ *     description: >
+ *       Real-time update from a bill provider (e.g. /webhook/vtpass). No
+ *       authentication (IP whitelist recommended): only the request ID is
+ *       read, and the bill's status is then asked of the provider it was
+ *       bought from.
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema: { type: string, example: vtpass }
  *     responses:
  *       200:
  *         description: Webhook received
+ *       400:
+ *         description: No request ID in the notification
+ *       404:
+ *         description: Unknown provider
  */
-router.post("/webhook/vtpass", handleVtpassWebhook);
+router.post("/webhook/:provider", handleProviderWebhook);
 
 module.exports = router;
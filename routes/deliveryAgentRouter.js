@@ -2,6 +2,12 @@ const express = require("express");
 const {
   getAvailableOrders,
   selectOrder,
+  getCurrentTrip,
+  getReturnPickups,
+  updateReturnPickup,
+  getCurrentOffer,
+  acceptOffer,
+  declineOffer,
   updateDeliveryStatus,
   getMyDeliveries,
   getOrdersFeed,
@@ -29,7 +35,10 @@ const {
 } = require("../controllers/notificationController");
 const { authMiddleware, isDispatch } = require("../middleware/authMiddleware");
 const asyncHandler = require("express-async-handler");
-const { agentConfirmDelivery } = require("../services/dispatchEarningsService");
+const {
+  agentConfirmDelivery,
+  confirmDeliveryWithProof,
+} = require("../services/dispatchEarningsService");
 const router = express.Router();
 
 /**
@@ -51,6 +60,12 @@ const router = express.Router();
  *       | completed  | this rider's delivered                                                   |
  *       | cancelled  | this rider's failed, or seller-cancelled                                |
  *
+ *       The available pool is what this rider is shown: only orders picked up
+ *       inside one of their profile's coverage areas (any store when they have
+ *       none), and nothing on a day outside their working days (`workingToday`
+ *       is then false). The `available` tab lists nearest pickups first; every
+ *       order carries the rider's distance to its pickup in `pickupDistanceKm`.
+ *
  *       Use `GET /orders/counts` for the matching tab badge numbers. Prefer this
  *       endpoint over the separate `/orders/available` + `/orders/my-deliveries` calls.
  *     tags:
@@ -100,6 +115,9 @@ const router = express.Router();
  *                   type: object
  *                   properties:
  *                     tab: { type: string }
+ *                     workingToday:
+ *                       type: boolean
+ *                       description: false on the rider's days off, when the pool is hidden
  *                     orders:
  *                       type: array
  *                       items:
@@ -117,7 +135,11 @@ router.get("/orders", authMiddleware, isDispatch, getOrdersFeed);
  * /api/delivery-agent/delivery-agent/orders/available:
  *   get:
  *     summary: Get orders available for delivery agent assignment
- *     description: Get orders that are pending assignment to delivery agents
+ *     description: |
+ *       Get orders that are pending assignment to delivery agents and picked up
+ *       inside one of this agent's coverage areas (any store when they have
+ *       none), nearest pickup first. Empty on a day outside the agent's working
+ *       days, with `workingToday` false.
  *     tags:
  *       - Delivery Agent
  *     security:
@@ -154,6 +176,8 @@ router.get("/orders", authMiddleware, isDispatch, getOrdersFeed);
  *                 data:
  *                   type: object
  *                   properties:
+ *                     workingToday:
+ *                       type: boolean
  *                     orders:
  *                       type: array
  *                       items:
@@ -183,7 +207,18 @@ router.get("/orders/available", authMiddleware, isDispatch, getAvailableOrders);
  * /api/delivery-agent/delivery-agent/orders/select:
  *   post:
  *     summary: Select an order for delivery
- *     description: Delivery agent selects an available order for delivery
+ *     description: |
+ *       Delivery agent selects an available order for delivery. An agent already
+ *       carrying orders can add more to the same trip while:
+ *
+ *       - the trip is under their vehicle's limit (feet 1, bicycle 2, motorcycle 3,
+ *         car 4, bus 6, van/truck 8)
+ *       - the combined weight fits the vehicle
+ *       - the pickup is a store already on the trip, or within 2 km of one
+ *       - nothing on the trip is in transit yet
+ *
+ *       Otherwise the 400 message says which rule it breaks. See `GET /trip` for
+ *       the stops and route.
  *     tags:
  *       - Delivery Agent
  *     security:
@@ -220,8 +255,11 @@ router.get("/orders/available", authMiddleware, isDispatch, getAvailableOrders);
  *                     estimatedDeliveryTime:
  *                       type: string
  *                       format: date-time
+ *                     tripSize:
+ *                       type: integer
+ *                       description: Orders the agent now carries, this one included
  *       400:
- *         description: Invalid request or order not available
+ *         description: Invalid request, order not available, or it does not fit the agent's trip
  *       403:
  *         description: Access denied - not a delivery agent
  *       404:
@@ -229,6 +267,76 @@ router.get("/orders/available", authMiddleware, isDispatch, getAvailableOrders);
  */
 router.post("/orders/select", authMiddleware, isDispatch, selectOrder);
 
+/**
+ * @swagger
+ * /api/delivery-agent/trip:
+ *   get:
+ *     summary: The rider's current trip
+ *     description: |
+ *       The deliveries the rider is carrying and the stops to make, in order:
+ *       one pickup per store for orders not yet picked up, each drop-off after
+ *       its pickup, always the nearest next stop from the rider's live position.
+ *       `route` is the Mapbox driving route through the stops (null when Mapbox
+ *       is not configured). Each drop is confirmed on its own through
+ *       `POST /orders/confirm-delivery`; the rider goes back online after the last.
+ *     tags: [Delivery Agent]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The trip; empty when the rider carries nothing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     orders:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/DeliveryOrder'
+ *                     stops:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           sequence: { type: integer, example: 1 }
+ *                           type: { type: string, enum: [pickup, dropoff] }
+ *                           orders:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 orderId: { type: string }
+ *                                 orderNumber: { type: string }
+ *                           store:
+ *                             type: object
+ *                             nullable: true
+ *                             properties:
+ *                               id: { type: string }
+ *                               name: { type: string }
+ *                           address: { type: string, nullable: true }
+ *                           location:
+ *                             type: object
+ *                             nullable: true
+ *                             properties:
+ *                               lat: { type: number }
+ *                               lng: { type: number }
+ *                     route:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         distance: { type: number, description: metres }
+ *                         duration: { type: number, description: seconds }
+ *                         polyline: { type: string }
+ *                         steps: { type: array, items: { type: object } }
+ */
+router.get("/trip", authMiddleware, isDispatch, getCurrentTrip);
+
 /**
  * @swagger
  * /api/delivery-agent/orders/take:
@@ -269,6 +377,106 @@ router.post("/orders/select", authMiddleware, isDispatch, selectOrder);
  */
 router.post("/orders/take", authMiddleware, isDispatch, selectOrder);
 
+/**
+ * @swagger
+ * /api/delivery-agent/orders/offer:
+ *   get:
+ *     summary: The auto-dispatch offer this rider holds
+ *     description: |
+ *       In auto-dispatch mode a new order is offered to one rider at a time,
+ *       ranked by distance to the store, coverage areas, vehicle, rating and
+ *       current load. The offer arrives as a `dispatch_offer` message on the
+ *       location WebSocket and as a push; this returns it again, e.g. after the
+ *       app restarts. An offer not answered before `expiresAt` passes to the
+ *       next rider, and after several declines the order joins the open pool.
+ *     tags: [Delivery Agent]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The offer, or `data` null when there is none
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     order:
+ *                       type: object
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ */
+router.get("/orders/offer", authMiddleware, isDispatch, getCurrentOffer);
+
+/**
+ * @swagger
+ * /api/delivery-agent/orders/offer/accept:
+ *   post:
+ *     summary: Accept the auto-dispatch offer this rider holds
+ *     description: |
+ *       Assigns the order to the rider, like `POST /orders/select`. The same
+ *       answer can be sent over the location WebSocket as
+ *       `{ "type": "accept_offer", "orderId": "..." }`.
+ *     tags: [Delivery Agent]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Offer accepted; data holds the order and estimatedDeliveryTime
+ *       400:
+ *         description: Profile not approved, or already carrying a delivery
+ *       409:
+ *         description: The offer expired or was withdrawn
+ */
+router.post("/orders/offer/accept", authMiddleware, isDispatch, acceptOffer);
+
+/**
+ * @swagger
+ * /api/delivery-agent/orders/offer/decline:
+ *   post:
+ *     summary: Decline the auto-dispatch offer this rider holds
+ *     description: |
+ *       The next best rider is offered the order. Over the location WebSocket:
+ *       `{ "type": "decline_offer", "orderId": "..." }`.
+ *     tags: [Delivery Agent]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Offer declined
+ *       409:
+ *         description: The offer expired or was withdrawn
+ */
+router.post("/orders/offer/decline", authMiddleware, isDispatch, declineOffer);
+
 /**
  * @swagger
  * /api/delivery-agent/delivery-agent/orders/status:
@@ -322,6 +530,95 @@ router.post("/orders/take", authMiddleware, isDispatch, selectOrder);
  */
 router.put("/orders/status", authMiddleware, isDispatch, updateDeliveryStatus);
 
+/**
+ * @swagger
+ * /api/delivery-agent/returns:
+ *   get:
+ *     summary: Returns the rider is to collect
+ *     description: |
+ *       When a seller approves a return on an order this rider delivered, the
+ *       rider collects it from the buyer and takes it back to the store. Lists
+ *       approved returns not yet picked up and those on their way back, oldest
+ *       approval first. `customer` is where to collect, `pickup` the store to
+ *       take it to.
+ *     tags:
+ *       - Delivery Agent
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The rider's return pickups
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     returns:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/DeliveryOrder'
+ *                           - type: object
+ *                             properties:
+ *                               return:
+ *                                 type: object
+ *                                 properties:
+ *                                   status: { type: string, enum: [approved, in_transit] }
+ *                                   reason: { type: string }
+ *                                   items:
+ *                                     type: array
+ *                                     items:
+ *                                       type: object
+ *                                       properties:
+ *                                         product: { type: string }
+ *                                         variant: { type: string, nullable: true }
+ *                                         count: { type: integer }
+ *                                   approvedAt: { type: string, format: date-time, nullable: true }
+ *                                   pickedUpAt: { type: string, format: date-time, nullable: true }
+ */
+router.get("/returns", authMiddleware, isDispatch, getReturnPickups);
+
+/**
+ * @swagger
+ * /api/delivery-agent/returns/status:
+ *   put:
+ *     summary: Record a return pickup or drop-off
+ *     description: |
+ *       `picked_up` once the rider has the items from the buyer, `delivered`
+ *       once they are handed in at the store. The seller then inspects the
+ *       return and refunds the buyer.
+ *     tags:
+ *       - Delivery Agent
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [orderId, status]
+ *             properties:
+ *               orderId: { type: string }
+ *               status:
+ *                 type: string
+ *                 enum: [picked_up, delivered]
+ *     responses:
+ *       200:
+ *         description: The updated return pickup, in the shape of GET /returns
+ *       400:
+ *         description: Missing orderId or invalid status
+ *       404:
+ *         description: Return not found or not assigned to this rider
+ *       422:
+ *         description: The return is not at that stage
+ */
+router.put("/returns/status", authMiddleware, isDispatch, updateReturnPickup);
+
 /**
  * @swagger
  * /api/delivery-agent/delivery-agent/orders/my-deliveries:
@@ -566,6 +863,16 @@ router.put("/availability", authMiddleware, isDispatch, updateAvailability);
  *       Dispatch agent calls this when they hand the parcel to the customer.
  *       Atomically marks the order as Delivered and credits the delivery fee
  *       to the agent's wallet. Email notifications are dispatched via background queue. Idempotent — safe to call more than once.
+ *
+ *       Without proof, the delivery completes once the customer also confirms
+ *       (`POST /api/order/confirm-delivery`). With any one of these it completes
+ *       at once, standing in for the customer's confirmation:
+ *
+ *       - `pin` — the handover code the buyer reads out (5 wrong codes lock it)
+ *       - `photoUrl` — a proof photo uploaded via `POST /api/upload/signature`
+ *       - `location` — a GPS stamp within 150 m of the drop-off
+ *
+ *       Proof that does not hold is refused with a 400 saying why.
  *     tags: [Delivery Agent]
  *     security:
  *       - bearerAuth: []
@@ -581,6 +888,19 @@ router.put("/availability", authMiddleware, isDispatch, updateAvailability);
  *               orderId:
  *                 type: string
  *                 description: ID of the order being delivered
+ *               pin:
+ *                 type: string
+ *                 example: "0427"
+ *                 description: Handover code the buyer reads out
+ *               photoUrl:
+ *                 type: string
+ *                 description: Cloudinary URL of the proof-of-delivery photo
+ *               location:
+ *                 type: object
+ *                 properties:
+ *                   latitude: { type: number, example: 6.4478 }
+ *                   longitude: { type: number, example: 3.4723 }
+ *                   accuracy: { type: number, description: metres }
  *     responses:
  *       200:
  *         description: Delivery confirmed and earnings credited
@@ -603,7 +923,7 @@ router.put("/availability", authMiddleware, isDispatch, updateAvailability);
  *                     walletBalance:
  *                       type: number
  *       400:
- *         description: Order not paid, already delivered, or agent mismatch
+ *         description: Order not paid, already delivered, agent mismatch, or proof refused
  *       403:
  *         description: Not a dispatch agent
  */
@@ -612,7 +932,7 @@ router.post(
   authMiddleware,
   isDispatch,
   asyncHandler(async (req, res) => {
-    const { orderId } = req.body;
+    const { orderId, pin, photoUrl, location } = req.body;
     const { _id: agentUserId } = req.user;
 
     if (!orderId) {
@@ -621,10 +941,23 @@ router.post(
         .json({ success: false, message: "orderId is required" });
     }
 
-    const result = await agentConfirmDelivery(orderId, agentUserId, {
+    const actorContext = {
       ip: req.headers?.["x-forwarded-for"]?.split(",")[0] || req.ip,
       userAgent: req.headers?.["user-agent"],
-    });
+    };
+    const withProof = [pin, photoUrl, location].some((v) => v !== undefined);
+    const result = withProof
+      ? await confirmDeliveryWithProof(
+          orderId,
+          agentUserId,
+          { pin, photoUrl, location },
+          actorContext,
+        )
+      : await agentConfirmDelivery(orderId, agentUserId, actorContext);
+
+    if (result.reason === "proof_rejected") {
+      return res.status(400).json({ success: false, message: result.message });
+    }
 
     res.json({
       success: true,
@@ -1412,6 +1745,7 @@ router.get(
  *             store: { type: string, example: "Wigo Store" }
  *             address: { type: string, example: "12 Yaba Road, Lagos" }
  *             mobile: { type: string }
+ *             distanceKm: { type: number, nullable: true, example: 2.4 }
  *         pickups:
  *           type: array
  *           description: All distinct pickup stores (multi-store orders); usually one entry.
@@ -1422,6 +1756,15 @@ router.get(
  *               store: { type: string }
  *               address: { type: string }
  *               mobile: { type: string }
+ *               distanceKm: { type: number, nullable: true }
+ *         pickupDistanceKm:
+ *           type: number
+ *           nullable: true
+ *           example: 2.4
+ *           description: >
+ *             The rider's distance to the primary pickup in km — from their live
+ *             position, else from the centre of their nearest coverage area around
+ *             the store. null when neither is known.
  *         dropoff:
  *           type: string
  *           description: Customer delivery address.
@@ -1457,7 +1800,7 @@ router.get(
  *           enum: [pending_assignment, assigned, picked_up, in_transit, delivered, failed]
  *         orderStatus:
  *           type: string
- *           enum: [pending, confirmed, preparing, pickUpReady, inTransit, delivered, cancelled]
+ *           enum: [pending, confirmed, preparing, pickUpReady, inTransit, delivered, cancelled, returnRequested, returnApproved, returnInTransit, returnReceived, returned]
  *         estimatedDeliveryTime: { type: string, format: date-time, nullable: true }
  *         deliveryNotes: { type: string, nullable: true }
  *     DispatchProfile:
@@ -261,7 +261,7 @@ router.get("/unread-count", authMiddleware, getUnreadCount);
  *                       properties:
  *                         push:
  *                           type: string
- *                           enum: [immediate, batched, daily]
+ *                           enum: [immediate, batched, daily, weekly]
  *                         email:
  *                           type: string
  *                           enum: [immediate, batched, daily, weekly]
@@ -342,6 +342,10 @@ router.get("/preferences", authMiddleware, getNotificationPreferences);
  *                     type: boolean
  *               quietHours:
  *                 type: object
+ *                 description: |
+ *                   Non-urgent push notifications that arrive between startTime
+ *                   and endTime (in `timezone`) are held and sent at endTime.
+ *                   Security alerts always go out at once.
  *                 properties:
  *                   enabled:
  *                     type: boolean
@@ -353,23 +357,30 @@ router.get("/preferences", authMiddleware, getNotificationPreferences);
  *                     pattern: "^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$"
  *                   timezone:
  *                     type: string
+ *                     description: IANA timezone
+ *                     example: Africa/Lagos
  *               frequency:
  *                 type: object
+ *                 description: |
+ *                   `batched` groups notifications into one per hour; `daily` and
+ *                   `weekly` (Mondays) send a digest at quietHours.endTime
+ *                   (08:00 by default) in the user's timezone.
  *                 properties:
  *                   push:
  *                     type: string
- *                     enum: [immediate, batched, daily]
+ *                     enum: [immediate, batched, daily, weekly]
  *                   email:
  *                     type: string
  *                     enum: [immediate, batched, daily, weekly]
  *               language:
  *                 type: string
  *                 enum: [en, fr, es, pt, ar, sw]
+ *                 description: Language notification titles and bodies are written in
  *     responses:
  *       200:
  *         description: Notification preferences updated successfully
  *       400:
- *         description: Invalid request data
+ *         description: Invalid request data, e.g. a malformed time or unknown timezone
  *       401:
  *         description: Unauthorized
  */
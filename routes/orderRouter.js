@@ -5,6 +5,9 @@ const {
   getOrderById,
   updateOrderStatus,
   confirmDelivery,
+  getHandoverPin,
+  cancelOrder,
+  requestReturn,
 } = require("../controllers/order");
 const { authMiddleware, isAdmin } = require("../middleware/authMiddleware");
 const router = express.Router();
@@ -21,6 +24,11 @@ const router = express.Router();
  * /api/order/create:
  *   post:
  *     summary: Create a new order
+ *     description: |
+ *       Checks out the cart. Items from different stores become separate
+ *       orders, one per store, each with its own delivery fee, status and
+ *       rider. All of them belong to one checkout, which the buyer pays once
+ *       via /api/payment/payment/initialize.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -37,15 +45,62 @@ const router = express.Router();
  *             properties:
  *               paymentMethod:
  *                 type: string
+ *                 enum: [cash, card, bank, wallet]
+ *                 description: |
+ *                   `wallet` pays from the buyer's wallet balance through
+ *                   POST /api/payment/wallet once the order is created.
  *               deliveryMethod:
  *                 type: string
  *               deliveryAddress:
  *                 type: object
  *               deliveryNotes:
  *                 type: string
+ *               vehicleType:
+ *                 type: string
+ *                 default: motorcycle
+ *                 description: |
+ *                   Vehicle the delivery fee is quoted for (feet, bicycle,
+ *                   motorcycle, car, bus, van, truck). The quote breakdown is
+ *                   stored on each order's deliveryMetadata.pricing.
+ *               clientSideId:
+ *                 type: string
+ *                 description: Idempotency key; repeating it returns the same checkout
  *     responses:
  *       200:
  *         description: Order created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     checkout:
+ *                       type: object
+ *                       description: The single payment covering every order
+ *                     orders:
+ *                       type: array
+ *                       description: One order per store
+ *                       items:
+ *                         type: object
+ *                     order:
+ *                       type: object
+ *                       description: The first order (kept for older clients)
+ *                     totalAmount:
+ *                       type: number
+ *                       description: Amount to pay for the whole checkout
+ *                     deliveryFee:
+ *                       type: number
+ *                       description: Sum of the per-store delivery fees
+ *                     deliveryMethod:
+ *                       type: string
+ *                     nextStep:
+ *                       type: string
  *       400:
  *         description: Bad request
  */
@@ -88,6 +143,183 @@ router.get("/my-orders", authMiddleware, getOrders);
  */
 router.get("/:id", authMiddleware, getOrderById);
 
+/**
+ * @swagger
+ * /api/order/{id}/handover-pin:
+ *   get:
+ *     summary: The buyer's handover code for a delivery
+ *     description: |
+ *       A short code the buyer reads out to the rider at the door. The rider
+ *       enters it on `POST /api/delivery-agent/orders/confirm-delivery`, which
+ *       completes the delivery without the buyer confirming in the app. Only
+ *       the buyer who placed the order sees it; it is also in the "on the way"
+ *       email.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: The handover code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     pin:
+ *                       type: string
+ *                       example: "0427"
+ *       400:
+ *         description: Not a rider delivery, or already delivered or cancelled
+ *       404:
+ *         description: Order not found
+ */
+router.get("/:id/handover-pin", authMiddleware, getHandoverPin);
+
+/**
+ * @swagger
+ * /api/order/{id}/cancel:
+ *   post:
+ *     summary: Buyer cancels their order
+ *     description: |
+ *       Allowed while the order is `pending`, `confirmed` or `preparing`; once
+ *       the seller marks it `pickUpReady` it can no longer be cancelled. The
+ *       items go back in stock and a paid order is refunded in full, to the
+ *       card or account it was paid with, or at once to the buyer's wallet
+ *       with `refundTo: wallet`.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Order ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: "Ordered the wrong size"
+ *               refundTo:
+ *                 type: string
+ *                 enum: [card, wallet]
+ *                 description: Defaults to the way the order was paid; a wallet payment is refunded to the wallet
+ *     responses:
+ *       200:
+ *         description: Order cancelled
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Order cancelled. Your refund is on its way."
+ *               data:
+ *                 order: { orderStatus: cancelled }
+ *                 refund: { amount: 15400, refund_id: 1187342, refundTo: card, creditNoteNumber: "CN-WM1201-1" }
+ *       400:
+ *         description: Reason too long, or a card refund of an order paid from the wallet
+ *       404:
+ *         description: Order not found
+ *       422:
+ *         description: The order can no longer be cancelled
+ *       500:
+ *         description: Flutterwave refused the refund; the order was not cancelled
+ */
+router.post("/:id/cancel", authMiddleware, cancelOrder);
+
+/**
+ * @swagger
+ * /api/order/{id}/return:
+ *   post:
+ *     summary: Buyer asks to return a delivered order
+ *     description: |
+ *       Opens a return within 7 days of delivery (appConfig.returns.windowDays).
+ *       Return the whole order, or list the items and how many of each. The
+ *       refund is what was paid for those items, net of any coupon; the
+ *       delivery fee is not refunded. One return per order.
+ *
+ *       The seller approves or rejects it. Once approved, the rider who
+ *       delivered it collects it (rider deliveries) or the buyer brings it
+ *       back; the seller inspects it and, if accepted, the refund is issued
+ *       and the items go back in stock.
+ *
+ *       Photos must be Cloudinary URLs from `POST /api/upload/signature`, and
+ *       are required for `damaged`, `wrong_item` and `not_as_described`.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: Order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [damaged, wrong_item, not_as_described, missing_parts, no_longer_needed, other]
+ *               details:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 description: Required when reason is "other"
+ *               photos:
+ *                 type: array
+ *                 maxItems: 5
+ *                 items: { type: string }
+ *               items:
+ *                 type: array
+ *                 description: Defaults to every item in full
+ *                 items:
+ *                   type: object
+ *                   required: [product]
+ *                   properties:
+ *                     product: { type: string }
+ *                     variant: { type: string }
+ *                     count: { type: integer, minimum: 1 }
+ *               refundTo:
+ *                 type: string
+ *                 enum: [card, wallet]
+ *                 description: Where the refund goes once the return is accepted; defaults to the way the order was paid
+ *           example:
+ *             reason: damaged
+ *             details: "The screen arrived cracked"
+ *             photos: ["https://res.cloudinary.com/demo/image/upload/v1/returns/crack.jpg"]
+ *             items: [{ product: "665f1a2b3c4d5e6f70819300", count: 1 }]
+ *     responses:
+ *       201:
+ *         description: Return requested
+ *       400:
+ *         description: Not returnable (not delivered, not paid, past the window, already requested) or invalid request
+ *       404:
+ *         description: Order not found
+ */
+router.post("/:id/return", authMiddleware, requestReturn);
+
 /**
  * @swagger
  * /api/order/{id}/status:
@@ -101,7 +333,10 @@ router.get("/:id", authMiddleware, getOrderById);
  *       audit Transaction record.
  *
  *       Canonical states: `pending`, `confirmed`, `preparing`, `pickUpReady`,
- *       `inTransit`, `delivered`, `cancelled`.
+ *       `inTransit`, `delivered`, `cancelled`, and the return states
+ *       `returnRequested`, `returnApproved`, `returnInTransit`,
+ *       `returnReceived`, `returned`. Moving an order through the return states
+ *       here records the status only; no refund is issued.
  *
  *       This endpoint enforces role-based order status transitions. Sellers may
  *       only update orders through the allowed flow
@@ -128,7 +363,7 @@ router.get("/:id", authMiddleware, getOrderById);
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [pending, confirmed, preparing, pickUpReady, inTransit, delivered, cancelled]
+ *                 enum: [pending, confirmed, preparing, pickUpReady, inTransit, delivered, cancelled, returnRequested, returnApproved, returnInTransit, returnReceived, returned]
  *               reason:
  *                 type: string
  *     responses:
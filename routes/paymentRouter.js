@@ -1,11 +1,13 @@
 const express = require("express");
 const {
   initializePayment,
+  payWithWallet,
   verifyPayment,
   getPaymentStatus,
   refundPayment,
   commissionHandler,
   generatePaymentReceipt,
+  generateCreditNote,
   generateTransactionStatement,
   generateVATReport,
 } = require("../controllers/payment");
@@ -62,7 +64,10 @@ router.post("/webhook", handleFlutterwaveWebhook);
  * /api/payment/payment/initialize:
  *   post:
  *     summary: Initialize payment with Flutterwave
- *     description: Initialize payment for an order using Flutterwave
+ *     description: |
+ *       Initialize payment for an order using Flutterwave. A multi-store
+ *       checkout is paid once for all of its orders: pass the checkoutId, or
+ *       the orderId of any order in it, and the checkout total is charged.
  *     tags:
  *       - Payment
  *     security:
@@ -73,12 +78,13 @@ router.post("/webhook", handleFlutterwaveWebhook);
  *         application/json:
  *           schema:
  *             type: object
- *             required:
- *               - orderId
  *             properties:
  *               orderId:
  *                 type: string
- *                 description: ID of the order to pay for
+ *                 description: ID of the order to pay for (required unless checkoutId is given)
+ *               checkoutId:
+ *                 type: string
+ *                 description: ID of the checkout to pay for
  *     responses:
  *       200:
  *         description: Payment initialized successfully
@@ -100,6 +106,13 @@ router.post("/webhook", handleFlutterwaveWebhook);
  *                       type: string
  *                     orderId:
  *                       type: string
+ *                     checkoutId:
+ *                       type: string
+ *                     orderIds:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: Every order this payment covers
  *                     amount:
  *                       type: number
  *       400:
@@ -109,6 +122,74 @@ router.post("/webhook", handleFlutterwaveWebhook);
  */
 router.post("/initialize", authMiddleware, paymentInitLimiter, initializePayment);
 
+/**
+ * @swagger
+ * /api/payment/payment/wallet:
+ *   post:
+ *     summary: Pay from the wallet
+ *     description: |
+ *       Pay for an order, or a whole multi-store checkout, from the buyer's
+ *       wallet balance, including store credit from refunds. The wallet is
+ *       debited and the orders marked paid at once; there is no Flutterwave
+ *       step. Refunds of an order paid this way go back to the wallet.
+ *     tags:
+ *       - Payment
+ *       - Wallet
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *                 description: ID of the order to pay for (required unless checkoutId is given)
+ *               checkoutId:
+ *                 type: string
+ *                 description: ID of the checkout to pay for
+ *     responses:
+ *       200:
+ *         description: Paid from the wallet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     orders:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     checkout:
+ *                       type: string
+ *                     payment:
+ *                       type: object
+ *                       properties:
+ *                         id: { type: string }
+ *                         method: { type: string, example: wallet }
+ *                         amount: { type: number }
+ *                         paid_at: { type: string, format: date-time }
+ *                     walletBalance:
+ *                       type: number
+ *                       description: What is left in the wallet
+ *       400:
+ *         description: Already paid, no active wallet, or not enough in it
+ *       403:
+ *         description: Access denied - order doesn't belong to user
+ *       404:
+ *         description: Order not found
+ */
+router.post("/wallet", authMiddleware, paymentInitLimiter, payWithWallet);
+
 /**
  * @swagger
  * /api/payment/payment/verify:
@@ -125,14 +206,16 @@ router.post("/initialize", authMiddleware, paymentInitLimiter, initializePayment
  *             type: object
  *             required:
  *               - transaction_id
- *               - orderId
  *             properties:
  *               transaction_id:
  *                 type: string
  *                 description: Flutterwave transaction ID
  *               orderId:
  *                 type: string
- *                 description: Order ID
+ *                 description: Order ID (required unless checkoutId is given)
+ *               checkoutId:
+ *                 type: string
+ *                 description: Checkout ID; settles every order in the checkout
  *     responses:
  *       200:
  *         description: Payment verified successfully
@@ -150,6 +233,17 @@ router.post("/initialize", authMiddleware, paymentInitLimiter, initializePayment
  *                   properties:
  *                     order:
  *                       type: object
+ *                     orders:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     checkout:
+ *                       type: string
+ *                     settlements:
+ *                       type: array
+ *                       description: Commission, VAT and ledger entry per order
+ *                       items:
+ *                         type: object
  *                     payment:
  *                       type: object
  *                       properties:
@@ -217,7 +311,19 @@ router.get("/status/:orderId", authMiddleware, getPaymentStatus);
  * /api/payment/payment/refund:
  *   post:
  *     summary: Process refund
- *     description: Process refund for an order (Admin only)
+ *     description: |
+ *       Refund an order, in full or line by line (Admin only).
+ *
+ *       Each refunded unit gives the buyer back what they paid for it, less
+ *       its share of any coupon. The vendor's share, the platform's spread,
+ *       the coupon and the VAT are reversed in the ledger for exactly those
+ *       units, the vendor's (and, for the delivery fee, the rider's) wallet is
+ *       debited, and the units go back in stock. Several partial refunds may
+ *       follow one another; a unit is never refunded twice.
+ *
+ *       Omit `items` to refund everything not yet refunded, delivery fee
+ *       included; the order is then cancelled. Every refund gets a credit note,
+ *       downloadable from `creditNote.url`.
  *     tags:
  *       - Payment
  *     security:
@@ -234,12 +340,40 @@ router.get("/status/:orderId", authMiddleware, getPaymentStatus);
  *               orderId:
  *                 type: string
  *                 description: Order ID to refund
- *               amount:
- *                 type: number
- *                 description: Refund amount (optional, defaults to full amount)
+ *               items:
+ *                 type: array
+ *                 description: Lines to refund. Defaults to everything not yet refunded.
+ *                 items:
+ *                   type: object
+ *                   required: [product]
+ *                   properties:
+ *                     product: { type: string }
+ *                     variant: { type: string, description: For variable products }
+ *                     count:
+ *                       type: integer
+ *                       minimum: 1
+ *                       description: Units to refund; defaults to all the line's unrefunded units
+ *               deliveryFee:
+ *                 type: boolean
+ *                 description: Refund the delivery fee too. Defaults to true only when items is omitted.
+ *               refundTo:
+ *                 type: string
+ *                 enum: [card, wallet]
+ *                 description: |
+ *                   `wallet` credits the buyer's wallet at once as store credit
+ *                   instead of a card refund that takes days. Defaults to the
+ *                   way the buyer paid; an order paid from the wallet can only
+ *                   be refunded there.
  *               reason:
  *                 type: string
  *                 description: Refund reason
+ *           examples:
+ *             oneUnit:
+ *               summary: One unit of one line
+ *               value: { orderId: "665f1a2b3c4d5e6f70819200", items: [{ product: "665f1a2b3c4d5e6f70819300", count: 1 }], reason: "Damaged in transit" }
+ *             everything:
+ *               summary: The whole order
+ *               value: { orderId: "665f1a2b3c4d5e6f70819200", reason: "Store closed" }
  *     responses:
  *       200:
  *         description: Refund processed successfully
@@ -261,8 +395,37 @@ router.get("/status/:orderId", authMiddleware, getPaymentStatus);
  *                       type: number
  *                     status:
  *                       type: string
+ *                     refundTo:
+ *                       type: string
+ *                       enum: [card, wallet]
+ *                     fullyRefunded:
+ *                       type: boolean
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           product: { type: string }
+ *                           variant: { type: string, nullable: true }
+ *                           count: { type: integer }
+ *                           amount: { type: number, description: To the buyer }
+ *                           vendorAmount: { type: number }
+ *                           platformAmount: { type: number }
+ *                           discountAmount: { type: number, description: The line's coupon share }
+ *                     delivery:
+ *                       type: number
+ *                       nullable: true
+ *                       description: Delivery fee refunded, net of coupon; null if not refunded
+ *                     vat:
+ *                       type: number
+ *                       description: VAT reversed, included in amount
+ *                     creditNote:
+ *                       type: object
+ *                       properties:
+ *                         number: { type: string, example: "CN-WM1201-1" }
+ *                         url: { type: string }
  *       400:
- *         description: Invalid request or order not paid
+ *         description: Invalid items (not on the order, already refunded, count out of range), amount sent, or order not paid
  *       403:
  *         description: Access denied - admin only
  */
@@ -386,6 +549,53 @@ router.get("/commissions", authMiddleware, commissionHandler);
  */
 router.get("/receipt/:orderId", authMiddleware, generatePaymentReceipt);
 
+/**
+ * @swagger
+ * /api/payment/payment/credit-note/{orderId}/{refundId}:
+ *   get:
+ *     summary: Download the credit note for a refund
+ *     description: |
+ *       PDF credit note for one refund of an order: the units refunded, their
+ *       coupon share, the delivery fee if refunded, and the VAT included. The
+ *       `refundId` is the id in the refund response's `creditNote.url`.
+ *       Available to the buyer, and to admins in their admin role.
+ *     tags:
+ *       - Payment
+ *       - Receipts
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: refundId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: PDF credit note
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Access denied - order doesn't belong to user
+ *       404:
+ *         description: Order or refund not found
+ *       500:
+ *         description: Failed to generate or download the credit note
+ */
+router.get(
+  "/credit-note/:orderId/:refundId",
+  authMiddleware,
+  generateCreditNote,
+);
+
 /**
  * @swagger
  * /api/payment/payment/statement:
@@ -455,7 +665,10 @@ router.get("/statement", authMiddleware, generateTransactionStatement);
  * /api/payment/payment/vat-report:
  *   get:
  *     summary: Generate VAT report PDF (Admin only)
- *     description: Generate and download PDF VAT report for admin users
+ *     description: |
+ *       Generate and download PDF VAT report for admin users. Includes bill
+ *       payments completed in the period: what users paid, our margin, the
+ *       providers' commission and the VAT on them.
  *     tags:
  *       - Payment
  *       - Receipts
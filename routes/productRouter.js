@@ -248,6 +248,10 @@ router.put("/update-category", authMiddleware, isAdmin, updateProductCategory)
  *                 type: string
  *                 description: Stock keeping unit. Optional, but unique within your store.
  *                 example: "SPK-001"
+ *               weight:
+ *                 type: number
+ *                 description: Shipping weight per unit in kg. Optional; heavier orders pay more for delivery.
+ *                 example: 1.5
  *               price:
  *                 type: integer
  *                 description: >
@@ -668,6 +672,9 @@ router.get("/spec-schemas", getSpecSchemas);
 *               description:
 *                 type: string
 *                 description: Updated product description
+*               weight:
+*                 type: number
+*                 description: Updated shipping weight per unit in kg
 *     responses:
 *       200:
 *         description: Updated product information
@@ -1069,6 +1076,11 @@ router.get("/categories", getProductCategories); // Get all product categories
  *                   properties:
  *                     products:
  *                       type: array
+ *                       description: |
+ *                         Each product carries `effectivePrice` (the sale price
+ *                         while a store sale covers it, else `listedPrice`) and
+ *                         `sale` (null when none). Price filters and sorting
+ *                         use `listedPrice`.
  *                       items:
  *                         type: object
  *                     pagination:
@@ -1450,6 +1462,17 @@ router.post("/:id/reviews", authMiddleware, createProductReview);
  *                     description: { type: string }
  *                     price: { type: number, description: "Seller's base price in NGN" }
  *                     listedPrice: { type: number, description: "Price shown to buyers (price + 2% commission)" }
+ *                     effectivePrice: { type: number, description: "What the buyer pays now — listedPrice, or the sale price while a store sale covers the product. Variants carry their own effectivePrice." }
+ *                     sale:
+ *                       type: object
+ *                       nullable: true
+ *                       description: The store sale currently applied, if any
+ *                       properties:
+ *                         _id: { type: string }
+ *                         name: { type: string, example: "Weekend flash sale" }
+ *                         discountPercent: { type: number, example: 20 }
+ *                         endsAt: { type: string, format: date-time }
+ *                         remaining: { type: integer, nullable: true, description: "Units left at the sale price; null when uncapped" }
  *                     brand: { type: string }
  *                     quantity: { type: integer }
  *                     sold: { type: integer }
@@ -92,6 +92,16 @@ const {
  *                           title: { type: string }
  *                           slug: { type: string }
  *                           listedPrice: { type: number }
+ *                           effectivePrice: { type: number, description: "What the buyer pays now — the sale price while a store sale covers the product" }
+ *                           sale:
+ *                             type: object
+ *                             nullable: true
+ *                             properties:
+ *                               _id: { type: string }
+ *                               name: { type: string }
+ *                               discountPercent: { type: number }
+ *                               endsAt: { type: string, format: date-time }
+ *                               remaining: { type: integer, nullable: true }
  *                           brand: { type: string }
  *                           images: { type: array, items: { type: string } }
  *                           rating:
@@ -10,8 +10,14 @@ const {
   getStoreOrders,
   getStoreOrderDetail,
   updateOrderStatus,
+  decideReturn,
+  inspectReturn,
   contactCustomer,
   getBusinessAnalytics,
+  createSale,
+  getStoreSales,
+  updateSale,
+  endSale,
 } = require("../controllers/store");
 const { updateStoreLocation } = require("../controllers/storeController");
 const { authMiddleware, isSeller } = require("../middleware/authMiddleware");
@@ -211,7 +217,7 @@ router.get("/my-store", authMiddleware, isSeller, getMyStore);
  *       |--------|---------|
  *       | `pendingOrders` | Count of orders **placed** in the window still awaiting confirmation |
  *       | `pendingOrdersValue` | Naira value of those pending orders |
- *       | `totalSales` | Store's share of orders **delivered** in the window, at vendor price (what the store is paid) |
+ *       | `totalSales` | Store's share of orders **delivered** in the window, at vendor price (what the store is paid, net of its own sale discounts) |
  *       | `grossSales` | The same orders at listed price (what customers paid); the difference is the platform margin |
  *       | `completedOrders` | Count of orders delivered in the window |
  *       | `activeProducts` | In-stock products (`quantity > 0`) as of the end of the window |
@@ -497,7 +503,7 @@ router.get("/orders", authMiddleware, isSeller, getStoreOrders);
  *         status:
  *           type: string
  *           description: Canonical lifecycle token
- *           enum: [pending, confirmed, preparing, pickUpReady, inTransit, delivered, cancelled]
+ *           enum: [pending, confirmed, preparing, pickUpReady, inTransit, delivered, cancelled, returnRequested, returnApproved, returnInTransit, returnReceived, returned]
  *         statusLabel:
  *           type: string
  *           description: Display form of `status`, e.g. "Pick up Ready"
@@ -507,7 +513,8 @@ router.get("/orders", authMiddleware, isSeller, getStoreOrders);
  *             Exactly the transitions this seller may perform on this order right
  *             now. Render one button per entry and send its `status` to
  *             PUT /api/store/orders/{id}/status. Empty once the order is
- *             delivered/cancelled or has been handed to a rider.
+ *             delivered/cancelled, has been handed to a rider, or while a
+ *             return is open (returns use their own endpoints).
  *           items:
  *             type: object
  *             properties:
@@ -586,14 +593,16 @@ router.get("/orders", authMiddleware, isSeller, getStoreOrders);
  *               type: string
  *               description: >
  *                 Derived, not stored — "Unpaid" until the customer has paid,
- *                 then "Awaiting" until delivery, then "Released".
- *               enum: [Unpaid, Awaiting, Released]
+ *                 then "Awaiting" until delivery, then "Released";
+ *                 "Reversed" once a return has been accepted.
+ *               enum: [Unpaid, Awaiting, Released, Reversed]
  *         timeline:
  *           type: array
  *           description: >
  *             Ordered lifecycle steps for the progress tracker. The `inTransit`
  *             step is omitted on pickup orders. A cancelled order keeps its
- *             completed steps and gains a trailing "Cancelled" step.
+ *             completed steps and gains a trailing "Cancelled" step; a
+ *             returned one gains a step per return state it has reached.
  *           items:
  *             type: object
  *             properties:
@@ -605,6 +614,45 @@ router.get("/orders", authMiddleware, isSeller, getStoreOrders);
  *           type: string
  *           nullable: true
  *           description: Delivery notes left by the customer
+ *         return:
+ *           $ref: '#/components/schemas/OrderReturn'
+ *
+ *     OrderReturn:
+ *       type: object
+ *       nullable: true
+ *       description: The buyer's return, or null when none was requested
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [requested, rejected, approved, in_transit, received, refunded, refused]
+ *         reason:
+ *           type: string
+ *           enum: [damaged, wrong_item, not_as_described, missing_parts, no_longer_needed, other]
+ *         details: { type: string, nullable: true }
+ *         photos:
+ *           type: array
+ *           items: { type: string }
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               product: { type: string }
+ *               variant: { type: string, nullable: true }
+ *               count: { type: integer }
+ *               amount: { type: number, description: Refund due for this line }
+ *         amount: { type: number, description: Refund due if the return is accepted }
+ *         refundTo: { type: string, enum: [card, wallet] }
+ *         requestedAt: { type: string, format: date-time }
+ *         decisionNote: { type: string, nullable: true }
+ *         inspectionNote: { type: string, nullable: true }
+ *         refund:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             amount: { type: number }
+ *             method: { type: string, enum: [card, wallet] }
+ *             at: { type: string, format: date-time }
  */
 router.get("/orders/:id", authMiddleware, isSeller, getStoreOrderDetail);
 
@@ -634,6 +682,10 @@ router.get("/orders/:id", authMiddleware, isSeller, getStoreOrderDetail);
  *       Rider-stage transitions (`pickUpReady` → `inTransit` → `delivered`) are
  *       handled by the delivery-agent endpoints, and `delivered` for
  *       delivery_agent orders is gated by the agent+customer dual-confirm flow.
+ *
+ *       Returns cannot be moved from here (400): use
+ *       `PUT /api/store/orders/{id}/return` and
+ *       `PUT /api/store/orders/{id}/return/inspection`.
  *     tags: [Stores]
  *     security:
  *       - bearerAuth: []
@@ -675,7 +727,7 @@ router.get("/orders/:id", authMiddleware, isSeller, getStoreOrderDetail);
  *           shape. Re-fetch `GET /api/store/orders/{id}` to refresh the screen —
  *           in particular to get the new `allowedActions` for the next button.
  *       400:
- *         description: Missing/invalid status value
+ *         description: Missing/invalid status value, or the order is in a return
  *       403:
  *         description: Order does not belong to this seller's store
  *       422:
@@ -683,6 +735,117 @@ router.get("/orders/:id", authMiddleware, isSeller, getStoreOrderDetail);
  */
 router.put("/orders/:id/status", authMiddleware, isSeller, updateOrderStatus);
 
+/**
+ * @swagger
+ * /api/store/orders/{id}/return:
+ *   put:
+ *     summary: Approve or reject a buyer's return request
+ *     description: |
+ *       Moves a `returnRequested` order to `returnApproved`, or back to
+ *       `delivered` when rejected. Approving a delivery_agent order sends the
+ *       rider who delivered it to collect the return (see
+ *       `GET /api/delivery-agent/returns`); for other orders the buyer brings
+ *       it back to the store.
+ *     tags: [Stores]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [decision]
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [approve, reject]
+ *               note:
+ *                 type: string
+ *                 description: Shown to the buyer. Required to reject.
+ *           examples:
+ *             approve:
+ *               value: { decision: "approve" }
+ *             reject:
+ *               value: { decision: "reject", note: "Worn items cannot be returned" }
+ *     responses:
+ *       200:
+ *         description: The order's new status and return
+ *       400:
+ *         description: Invalid decision, or a rejection without a note
+ *       403:
+ *         description: Order does not belong to this seller's store
+ *       422:
+ *         description: No return is waiting for a decision
+ */
+router.put("/orders/:id/return", authMiddleware, isSeller, decideReturn);
+
+/**
+ * @swagger
+ * /api/store/orders/{id}/return/inspection:
+ *   put:
+ *     summary: Accept or refuse a returned order after inspecting it
+ *     description: |
+ *       Records the inspection of an approved return. A return the rider has
+ *       not yet marked as dropped off, or one the buyer brought in, is received
+ *       first.
+ *
+ *       Accepting moves the order to `returned`, refunds the buyer the amount
+ *       worked out when the return was requested (what they paid for the
+ *       returned items, net of any coupon; never the delivery fee) and puts the
+ *       items back in stock. Refusing moves it back to `delivered`.
+ *     tags: [Stores]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [accepted]
+ *             properties:
+ *               accepted: { type: boolean }
+ *               note:
+ *                 type: string
+ *                 description: Shown to the buyer. Required to refuse.
+ *     responses:
+ *       200:
+ *         description: The order's new status and return, plus the refund when accepted
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 orderStatus: returned
+ *                 returnRequest: { status: refunded, amount: 9500 }
+ *                 refund: { amount: 9500, refund_id: 1187342 }
+ *       400:
+ *         description: Missing accepted flag, or a refusal without a note
+ *       403:
+ *         description: Order does not belong to this seller's store
+ *       422:
+ *         description: The return has not been approved
+ *       500:
+ *         description: Flutterwave refused the refund; nothing was changed
+ */
+router.put(
+  "/orders/:id/return/inspection",
+  authMiddleware,
+  isSeller,
+  inspectReturn,
+);
+
 /**
  * @swagger
  * /api/store/orders/{id}/contact:
@@ -778,6 +941,149 @@ router.put("/orders/:id/status", authMiddleware, isSeller, updateOrderStatus);
  */
 router.post("/orders/:id/contact", authMiddleware, isSeller, contactCustomer);
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StoreSaleInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Weekend flash sale
+ *         products:
+ *           type: array
+ *           items: { type: string }
+ *           description: Products on sale. Give this or `category`, not both.
+ *         category:
+ *           type: string
+ *           description: Put every product your store sells in this category on sale.
+ *         discountPercent:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 90
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *         stockCap:
+ *           type: integer
+ *           nullable: true
+ *           description: Units sellable at the sale price across all buyers; null for no cap.
+ */
+
+/**
+ * @swagger
+ * /api/store/sales:
+ *   post:
+ *     summary: Schedule a sale on the seller's own products
+ *     description: |
+ *       Between `startsAt` and `endsAt`, product listings, product detail,
+ *       search and the cart show `effectivePrice` — the listed price less
+ *       `discountPercent` — and checkout charges it. Once `stockCap` units
+ *       have sold the products go back to their regular price.
+ *
+ *       The discount is **seller-funded**: it comes out of what the store is
+ *       paid for each unit, not out of the platform's margin.
+ *     tags:
+ *       - Stores
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/StoreSaleInput'
+ *               - required: [name, discountPercent, startsAt, endsAt]
+ *     responses:
+ *       201:
+ *         description: Sale scheduled
+ *       400:
+ *         description: Invalid sale, or a product that is not the seller's
+ *       404:
+ *         description: No store found for this account
+ *   get:
+ *     summary: List the seller's sales
+ *     tags:
+ *       - Stores
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [scheduled, live, ended] }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1, minimum: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, minimum: 1, maximum: 100 }
+ *     responses:
+ *       200:
+ *         description: |
+ *           Sales newest first. Each has a `status` of scheduled, live,
+ *           sold_out, ended or cancelled.
+ *       404:
+ *         description: No store found for this account
+ */
+router.post("/sales", authMiddleware, isSeller, createSale);
+router.get("/sales", authMiddleware, isSeller, getStoreSales);
+
+/**
+ * @swagger
+ * /api/store/sales/{id}:
+ *   put:
+ *     summary: Edit a sale
+ *     description: |
+ *       Only the supplied fields change. Once a sale has started only `name`,
+ *       `endsAt` and `stockCap` can be changed.
+ *     tags:
+ *       - Stores
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StoreSaleInput'
+ *     responses:
+ *       200:
+ *         description: Sale updated
+ *       400:
+ *         description: Invalid change, or the sale has ended
+ *       404:
+ *         description: Sale not found
+ *   delete:
+ *     summary: Cancel or end a sale now
+ *     description: A sale that never sold a unit is deleted; otherwise it is ended and kept for the orders that reference it.
+ *     tags:
+ *       - Stores
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Sale deleted or ended
+ *       404:
+ *         description: Sale not found
+ */
+router.put("/sales/:id", authMiddleware, isSeller, updateSale);
+router.delete("/sales/:id", authMiddleware, isSeller, endSale);
+
 /**
  * @swagger
  * /api/store/update-location:
@@ -9,6 +9,7 @@ const {
   deleteBankAccount,
   requestWithdrawal,
   getWithdrawalHistory,
+  updateAutoPayout,
   getWalletStats,
   getEarningsOverview,
   createWithdrawalPin,
@@ -16,6 +17,9 @@ const {
   forgotWithdrawalPin,
   verifyWithdrawalPinReset,
   resetWithdrawalPin,
+  findTransferRecipient,
+  sendTransfer,
+  getTransferReceipt,
 } = require("../controllers/wallet");
 const {
   getTransactionHistory,
@@ -28,6 +32,24 @@ const Transaction = require("../models/transactionModel");
 const User = require("../models/userModel");
 const Wallet = require("../models/walletModel");
 const { authMiddleware, isAdmin } = require("../middleware/authMiddleware");
+const rateLimit = require("express-rate-limit");
+
+/**
+ * Rate limiter for transfer recipient lookups.
+ * Keyed by authenticated user ID so the lookup can't be used to walk the
+ * user base by phone number. 20 lookups per 15-minute window per user.
+ */
+const recipientLookupLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  keyGenerator: (req) => req.user?._id?.toString() || req.ip,
+  message: {
+    success: false,
+    message: "Too many recipient lookups. Please try again after 15 minutes.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
 
 /**
  * @swagger
@@ -804,7 +826,8 @@ router.put("/wallet/pin/reset", authMiddleware, resetWithdrawalPin);
  *     summary: Request withdrawal from wallet to default bank account
  *     description: >
  *       Initiates a withdrawal to the default bank account. Requires a valid
- *       withdrawal PIN. A 1% fee (min ₦100) is applied.
+ *       withdrawal PIN. A 1% fee (min ₦100) is applied. Buyers withdraw store
+ *       credit from refunds the same way.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -858,16 +881,201 @@ router.put("/wallet/pin/reset", authMiddleware, resetWithdrawalPin);
  */
 router.post("/wallet/withdraw", authMiddleware, requestWithdrawal);
 
+/**
+ * @swagger
+ * /api/wallet/transfer/recipient:
+ *   get:
+ *     tags: [Wallet]
+ *     summary: Look up the recipient of a wallet transfer
+ *     description: >
+ *       Finds a platform user by phone number or email so the sender can check
+ *       who they are paying before confirming. Contact details come back
+ *       masked. Limited to 20 lookups per 15 minutes per user.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: identifier
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Recipient's phone number or email
+ *         example: "08031234567"
+ *     responses:
+ *       200:
+ *         description: Recipient found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     _id:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     mobile:
+ *                       type: string
+ *                       example: "2348*******67"
+ *                     email:
+ *                       type: string
+ *                       example: "ad***@example.com"
+ *                     image:
+ *                       type: string
+ *       400:
+ *         description: Invalid identifier, the sender themself, or a blocked user
+ *       404:
+ *         description: No user has that phone number or email
+ *       429:
+ *         description: Too many lookups
+ */
+router.get(
+  "/wallet/transfer/recipient",
+  authMiddleware,
+  recipientLookupLimiter,
+  findTransferRecipient,
+);
+
+/**
+ * @swagger
+ * /api/wallet/transfer:
+ *   post:
+ *     tags: [Wallet]
+ *     summary: Send money to another user's wallet
+ *     description: >
+ *       Moves money from the caller's wallet to another platform user's wallet,
+ *       e.g. a seller paying a rider for an off-platform errand. Requires the
+ *       withdrawal PIN and counts against the wallet's daily transfer limit
+ *       (limits.dailyTransfer). The recipient gets a wallet if they have none.
+ *       Send a `reference` to make retries safe: a second transfer with the
+ *       same reference is refused with 409.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - recipient
+ *               - amount
+ *               - pin
+ *             properties:
+ *               recipient:
+ *                 type: string
+ *                 description: Recipient's phone number or email
+ *               amount:
+ *                 type: number
+ *                 minimum: 0.01
+ *                 description: Amount in NGN
+ *               pin:
+ *                 type: string
+ *                 description: 4–6 digit withdrawal PIN
+ *               note:
+ *                 type: string
+ *                 maxLength: 140
+ *                 description: Shown to the recipient
+ *               reference:
+ *                 type: string
+ *                 maxLength: 64
+ *                 description: Client id for the transfer
+ *     responses:
+ *       200:
+ *         description: Transfer sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     transactionId:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *                     note:
+ *                       type: string
+ *                     recipient:
+ *                       type: object
+ *                     remainingBalance:
+ *                       type: number
+ *                     dailyTransferRemaining:
+ *                       type: number
+ *                     receiptUrl:
+ *                       type: string
+ *       400:
+ *         description: Invalid request, insufficient balance or over the daily limit
+ *       401:
+ *         description: Incorrect withdrawal PIN
+ *       404:
+ *         description: Wallet not found
+ *       409:
+ *         description: A transfer with this reference was already sent
+ *       429:
+ *         description: Too many failed PIN attempts
+ */
+router.post("/wallet/transfer", authMiddleware, sendTransfer);
+
+/**
+ * @swagger
+ * /api/wallet/transfer-receipt/{transactionId}:
+ *   get:
+ *     tags: [Wallet]
+ *     summary: Download a wallet transfer receipt PDF
+ *     description: Available to both the sender and the recipient of the transfer
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: PDF transfer receipt
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Transfer not found
+ *       500:
+ *         description: Failed to generate or download receipt
+ */
+router.get("/wallet/transfer-receipt/:transactionId", authMiddleware, getTransferReceipt);
+
 /**
  * @swagger
  * /api/wallet/withdrawals:
  *   get:
  *     tags: [Wallet]
  *     summary: Get user's withdrawal history
+ *     description: >
+ *       Manual withdrawals and automatic payouts, each marked with its
+ *       `trigger`, plus the automatic payout settings and the outcome of the
+ *       last scheduled run.
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: trigger
+ *         schema:
+ *           type: string
+ *           enum: [manual, auto]
+ *         description: Show only manual withdrawals or only automatic payouts
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -895,7 +1103,42 @@ router.post("/wallet/withdraw", authMiddleware, requestWithdrawal);
  *                     withdrawals:
  *                       type: array
  *                       items:
- *                         $ref: '#/components/schemas/Transaction'
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Transaction'
+ *                           - type: object
+ *                             properties:
+ *                               trigger:
+ *                                 type: string
+ *                                 enum: [manual, auto]
+ *                     autoPayout:
+ *                       type: object
+ *                       properties:
+ *                         enabled:
+ *                           type: boolean
+ *                         frequency:
+ *                           type: string
+ *                           enum: [daily, weekly]
+ *                         dayOfWeek:
+ *                           type: integer
+ *                         threshold:
+ *                           type: number
+ *                         lastRun:
+ *                           type: object
+ *                           nullable: true
+ *                           properties:
+ *                             at:
+ *                               type: string
+ *                               format: date-time
+ *                             status:
+ *                               type: string
+ *                               enum: [paid, skipped, failed, disabled]
+ *                             reason:
+ *                               type: string
+ *                               example: "Balance ₦3200 is below the payout threshold of ₦5000"
+ *                             amount:
+ *                               type: number
+ *                             transactionId:
+ *                               type: string
  *                     pagination:
  *                       type: object
  *                       properties:
@@ -910,6 +1153,65 @@ router.post("/wallet/withdraw", authMiddleware, requestWithdrawal);
  */
 router.get("/wallet/withdrawals", authMiddleware, getWithdrawalHistory);
 
+/**
+ * @swagger
+ * /api/wallet/auto-payout:
+ *   put:
+ *     tags: [Wallet]
+ *     summary: Turn automatic payouts on or off
+ *     description: >
+ *       Scheduled payouts of the wallet balance to the default bank account,
+ *       from 09:00 server time, daily or weekly. A payout runs once the balance
+ *       above the minimum balance reaches `threshold`, and pays out as much as
+ *       the withdrawal limits allow, less the usual withdrawal fee. Runs are
+ *       skipped while the wallet is frozen or suspended or its PIN is locked.
+ *       Turning payouts on takes the withdrawal PIN, and changing or resetting
+ *       the PIN turns them off again. Turning them off needs no PIN.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - enabled
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *               frequency:
+ *                 type: string
+ *                 enum: [daily, weekly]
+ *                 default: weekly
+ *               dayOfWeek:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 6
+ *                 default: 1
+ *                 description: Weekly payout day, 0 = Sunday
+ *               threshold:
+ *                 type: number
+ *                 minimum: 1000
+ *                 default: 5000
+ *                 description: Pay out once the balance reaches this (NGN)
+ *               pin:
+ *                 type: string
+ *                 description: Withdrawal PIN, required when enabling
+ *     responses:
+ *       200:
+ *         description: Settings saved
+ *       400:
+ *         description: Invalid settings, inactive wallet or no bank account
+ *       401:
+ *         description: Incorrect withdrawal PIN
+ *       404:
+ *         description: Wallet not found
+ *       429:
+ *         description: Too many failed PIN attempts
+ */
+router.put("/wallet/auto-payout", authMiddleware, updateAutoPayout);
+
 /**
  * @swagger
  * /api/wallet/stats:
@@ -0,0 +1,47 @@
+const express = require("express");
+const { handleTransferWebhook } = require("../controllers/webhookController");
+
+const router = express.Router();
+
+// ─── Provider callbacks: unauthenticated, verified by signature instead ───
+
+/**
+ * @swagger
+ * /api/webhooks/transfer:
+ *   post:
+ *     summary: Flutterwave transfer webhook
+ *     description: |
+ *       Callback for withdrawal transfers, verified by the `verif-hash`
+ *       signature. A `transfer.completed` event with status SUCCESSFUL marks the
+ *       withdrawal completed and emails the receipt; FAILED marks it failed and
+ *       refunds the amount and fee to the wallet. Repeated deliveries for the
+ *       same transfer reference are ignored.
+ *     tags:
+ *       - Payment
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               event:
+ *                 type: string
+ *                 example: transfer.completed
+ *               data:
+ *                 type: object
+ *                 properties:
+ *                   id: { type: integer }
+ *                   reference: { type: string, example: WD_WD_1718000000000_ABC }
+ *                   status: { type: string, enum: [SUCCESSFUL, FAILED] }
+ *                   amount: { type: number }
+ *                   complete_message: { type: string }
+ *     responses:
+ *       200:
+ *         description: Webhook received
+ *       401:
+ *         description: Invalid signature
+ */
+router.post("/transfer", handleTransferWebhook);
+
+module.exports = router;
@@ -0,0 +1,410 @@
+/**
+ * @file autoPayoutService.js
+ * @description Scheduled automatic payouts of wallet balances to the owner's
+ * default bank account, for sellers and riders who opt in with their PIN.
+ *
+ * Run hourly by the cron in services/pendingPaymentCron.js. From PAYOUT_HOUR
+ * (server time) onwards, every wallet due today — daily, or weekly on its
+ * chosen day — that has not been run yet today is paid out: as much of the
+ * balance above limits.minimumBalance as the withdrawal limits allow, less
+ * the usual withdrawal fee, provided it has reached the owner's threshold.
+ * The payout is an ordinary wallet_withdrawal tagged "auto_payout", sent to
+ * Flutterwave straight away instead of waiting for an admin; the transfer
+ * webhook settles it like any other withdrawal.
+ *
+ * RACE-CONDITION SAFETY:
+ *   Each wallet is locked atomically with findOneAndUpdate on
+ *   autoPayout.lockedAt before it is paid out, and unlocked when done. A lock
+ *   older than LOCK_TIMEOUT_MINUTES is treated as left by a crashed run.
+ *
+ * IDEMPOTENCY:
+ *   autoPayout.lastRun.at records every run, paid or not; a wallet already
+ *   run today is not picked up again.
+ */
+
+const mongoose = require("mongoose");
+const Wallet = require("../models/walletModel");
+const Transaction = require("../models/transactionModel");
+const audit = require("./auditService");
+const money = require("../utils/money");
+const {
+  feeForWithdrawal,
+  createWithdrawal,
+  initiateWithdrawalTransfer,
+  acceptedTransferFields,
+  refundWithdrawal,
+} = require("./withdrawalService");
+
+const PAYOUT_HOUR = 9;
+const MIN_THRESHOLD = 1000;
+const LOCK_TIMEOUT_MINUTES = 30;
+const PIN_RESET_WINDOW_MS = 15 * 60 * 1000;
+const BATCH_SIZE = 50;
+const MAX_BATCHES = 20; // safety cap per run
+
+const SYSTEM_ACTOR = { userId: null, role: "system", ip: "cron" };
+
+const startOfDay = (now) => {
+  const start = new Date(now);
+  start.setHours(0, 0, 0, 0);
+  return start;
+};
+
+// Wallets not yet run today and not held by a live run
+const notRunTodayFilter = (now) => {
+  const staleLock = new Date(now.getTime() - LOCK_TIMEOUT_MINUTES * 60 * 1000);
+  return [
+    {
+      $or: [
+        { "autoPayout.lastRun.at": null },
+        { "autoPayout.lastRun.at": { $lt: startOfDay(now) } },
+      ],
+    },
+    {
+      $or: [
+        { "autoPayout.lockedAt": null },
+        { "autoPayout.lockedAt": { $lt: staleLock } },
+      ],
+    },
+  ];
+};
+
+/**
+ * Check the settings a wallet owner asks for when turning auto payouts on.
+ *
+ * @param {Object} body - { frequency?, dayOfWeek?, threshold? }
+ * @returns {{ frequency: string, dayOfWeek: number, threshold: number } | { error: string }}
+ */
+function validateAutoPayoutSettings({ frequency = "weekly", dayOfWeek = 1, threshold = 5000 } = {}) {
+  if (!["daily", "weekly"].includes(frequency)) {
+    return { error: "frequency must be 'daily' or 'weekly'" };
+  }
+  if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+    return { error: "dayOfWeek must be a whole number from 0 (Sunday) to 6 (Saturday)" };
+  }
+  if (typeof threshold !== "number" || !Number.isFinite(threshold) || threshold < MIN_THRESHOLD) {
+    return { error: `threshold must be a number of at least ${MIN_THRESHOLD}` };
+  }
+  return { frequency, dayOfWeek, threshold: money.round(threshold) };
+}
+
+/**
+ * The most that can be paid out of `total` once the withdrawal fee is taken
+ * on top of it.
+ * @param {number} total - what the wallet can give up, fee included
+ * @returns {number}
+ */
+function largestPayout(total) {
+  // Up to ₦10,000 the fee is the flat ₦100 floor
+  const flat = money.subtract(total, 100);
+  if (money.lte(flat, 10000)) return money.max(flat, 0);
+
+  let amount = money.multiply(total, 100 / 101);
+  while (money.gt(money.add(amount, feeForWithdrawal(amount)), total)) {
+    amount = money.subtract(amount, 0.01);
+  }
+  return amount;
+}
+
+/**
+ * Decide what today's run does with a wallet. Pure — reads the wallet only.
+ *
+ * @param {Object} wallet - Wallet, with withdrawalPin.hash selected
+ * @param {Date} now
+ * @returns {{ amount: number, fee: number } | { skip: string, disable?: boolean }}
+ */
+function planAutoPayout(wallet, now) {
+  const { autoPayout, withdrawalPin } = wallet;
+
+  if (wallet.status === "closed") {
+    return { skip: "Wallet is closed", disable: true };
+  }
+  if (wallet.status !== "active") {
+    return { skip: `Wallet is ${wallet.status}` };
+  }
+
+  // The PIN policy: payouts run on the owner's standing authorisation, which
+  // lapses when the PIN it was given with is changed, reset or removed.
+  if (!withdrawalPin?.hash) {
+    return { skip: "Set a withdrawal PIN to use automatic payouts", disable: true };
+  }
+  if (
+    withdrawalPin.updatedAt &&
+    (!autoPayout.authorisedAt || withdrawalPin.updatedAt > autoPayout.authorisedAt)
+  ) {
+    return {
+      skip: "Your withdrawal PIN changed. Turn automatic payouts on again with your new PIN.",
+      disable: true,
+    };
+  }
+  if (withdrawalPin.attempts?.lockedUntil > now) {
+    return { skip: "Withdrawal PIN is locked after too many failed attempts" };
+  }
+  // The reset flow's code and session both expire 15 minutes after the request
+  const resetRequestedAt = withdrawalPin.reset?.requestedAt;
+  if (resetRequestedAt && now - resetRequestedAt < PIN_RESET_WINDOW_MS) {
+    return { skip: "A withdrawal PIN reset is in progress" };
+  }
+
+  const bank = wallet.defaultBankAccount;
+  if (!bank?.bankCode) {
+    return { skip: "No bank account to pay out to" };
+  }
+
+  const spendable = money.subtract(wallet.balance, wallet.limits.minimumBalance || 0);
+  if (money.lt(spendable, autoPayout.threshold)) {
+    return {
+      skip: `Balance ₦${spendable} is below the payout threshold of ₦${autoPayout.threshold}`,
+    };
+  }
+
+  const amount = largestPayout(money.min(spendable, wallet.withdrawalAllowance(now)));
+  if (!money.gt(amount, 0)) {
+    return { skip: "Withdrawal limit reached" };
+  }
+  return { amount, fee: feeForWithdrawal(amount) };
+}
+
+/**
+ * Record how a wallet's run went and release its lock.
+ */
+async function finishRun(wallet, outcome, { disable = false } = {}) {
+  await Wallet.updateOne(
+    { _id: wallet._id },
+    {
+      $set: {
+        "autoPayout.lastRun": outcome,
+        "autoPayout.lockedAt": null,
+        ...(disable && { "autoPayout.enabled": false }),
+      },
+    },
+  );
+
+  const entry = {
+    action: `wallet.auto_payout_${outcome.status}`,
+    actor: SYSTEM_ACTOR,
+    resource: { type: "wallet", id: wallet._id },
+    metadata: { user: wallet.user, ...outcome },
+  };
+  if (outcome.status === "failed") audit.error(entry);
+  else audit.log(entry);
+}
+
+/**
+ * Pay out one wallet, after locking it. A payout that fails is recorded as
+ * the wallet's run outcome rather than thrown.
+ *
+ * @param {Object} candidate - a wallet due today
+ * @param {Date} now
+ * @returns {Promise<Object|null>} the outcome, or null when another run
+ *   holds the wallet
+ */
+async function runAutoPayout(candidate, now = new Date()) {
+  // ── Atomic lock: only proceed if we won the race ──────────────────────
+  const wallet = await Wallet.findOneAndUpdate(
+    {
+      _id: candidate._id,
+      "autoPayout.enabled": true,
+      $and: notRunTodayFilter(now),
+    },
+    { $set: { "autoPayout.lockedAt": now } },
+    { new: true },
+  ).select("+withdrawalPin.hash");
+  if (!wallet) {
+    console.log(`[Cron] ⏭  Wallet ${candidate._id} already paid out or being paid out — skipping`);
+    return null;
+  }
+
+  // A run that died after booking its withdrawal left no lastRun behind
+  const booked = await Transaction.findOne({
+    type: "wallet_withdrawal",
+    "entries.userId": wallet.user,
+    "metadata.tags": "auto_payout",
+    createdAt: { $gte: startOfDay(now) },
+  }).select("transactionId totalAmount");
+  if (booked) {
+    const outcome = {
+      at: now,
+      status: "paid",
+      amount: booked.totalAmount,
+      transactionId: booked.transactionId,
+    };
+    await finishRun(wallet, outcome);
+    return outcome;
+  }
+
+  const plan = planAutoPayout(wallet, now);
+  if (plan.skip) {
+    const outcome = {
+      at: now,
+      status: plan.disable ? "disabled" : "skipped",
+      reason: plan.skip,
+    };
+    await finishRun(wallet, outcome, { disable: plan.disable });
+    return outcome;
+  }
+
+  // ── Deduct and book the withdrawal ─────────────────────────────────────
+  const { amount } = plan;
+  const bank = wallet.defaultBankAccount;
+  let transaction;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      const sessionWallet = await Wallet.findById(wallet._id).session(session);
+      ({ transaction } = await createWithdrawal(
+        sessionWallet,
+        amount,
+        {
+          notes: `Automatic ${wallet.autoPayout.frequency} payout of ${amount} NGN`,
+          tags: ["auto_payout"],
+        },
+        session,
+      ));
+    });
+  } catch (err) {
+    const outcome = { at: now, status: "failed", reason: err.message, amount };
+    await finishRun(wallet, outcome);
+    return outcome;
+  } finally {
+    await session.endSession();
+  }
+
+  // ── Send it to the bank, OUTSIDE any session ───────────────────────────
+  let response;
+  try {
+    response = await initiateWithdrawalTransfer(transaction, bank);
+  } catch (err) {
+    // The transfer may or may not have gone out: leave the withdrawal pending
+    // for an admin rather than refund money that might have left.
+    const outcome = {
+      at: now,
+      status: "failed",
+      reason: `Transfer could not be confirmed (${err.message}); left for review`,
+      amount,
+      transactionId: transaction.transactionId,
+    };
+    await finishRun(wallet, outcome);
+    return outcome;
+  }
+
+  if (response.status === "success") {
+    await Transaction.updateOne(
+      { transactionId: transaction.transactionId, status: "pending" },
+      {
+        $set: {
+          status: "processing",
+          "audit.approvedAt": new Date(),
+          ...acceptedTransferFields(response),
+          "metadata.notes": "Automatic payout; awaiting Flutterwave transfer confirmation",
+        },
+      },
+    );
+    const outcome = {
+      at: now,
+      status: "paid",
+      amount,
+      transactionId: transaction.transactionId,
+    };
+    await finishRun(wallet, outcome);
+    return outcome;
+  }
+
+  // Flutterwave refused the transfer — hand the money back
+  const reason = response.message || "Transfer initiation failed";
+  const refundSession = await mongoose.startSession();
+  try {
+    await refundSession.withTransaction(async () => {
+      const txn = await Transaction.findOneAndUpdate(
+        { transactionId: transaction.transactionId, status: "pending" },
+        { $set: { status: "failed", "metadata.notes": `Automatic payout failed: ${reason}` } },
+        { new: true, session: refundSession },
+      );
+      if (txn) {
+        await refundWithdrawal(
+          txn,
+          { note: `Refund for failed automatic payout: ${reason}` },
+          refundSession,
+        );
+      }
+    });
+  } finally {
+    await refundSession.endSession();
+  }
+  const outcome = {
+    at: now,
+    status: "failed",
+    reason,
+    amount,
+    transactionId: transaction.transactionId,
+  };
+  await finishRun(wallet, outcome);
+  return outcome;
+}
+
+/**
+ * Cron tick: pay out every wallet due today that hasn't been run yet today.
+ * @param {Date} [now]
+ */
+async function runAutoPayouts(now = new Date()) {
+  if (now.getHours() < PAYOUT_HOUR) return;
+  console.log("[Cron] 💸 Running automatic payouts...");
+
+  const dueFilter = {
+    "autoPayout.enabled": true,
+    $and: [
+      {
+        $or: [
+          { "autoPayout.frequency": "daily" },
+          { "autoPayout.frequency": "weekly", "autoPayout.dayOfWeek": now.getDay() },
+        ],
+      },
+      ...notRunTodayFilter(now),
+    ],
+  };
+
+  const counts = { paid: 0, skipped: 0, failed: 0, disabled: 0 };
+  // Every run stamps lastRun.at, so each batch brings up fresh wallets
+  for (let batch = 0; batch < MAX_BATCHES; batch++) {
+    const due = await Wallet.find(dueFilter).select("_id").limit(BATCH_SIZE);
+    for (const wallet of due) {
+      try {
+        const outcome = await runAutoPayout(wallet, now);
+        if (outcome) counts[outcome.status]++;
+      } catch (err) {
+        console.error(`[Cron] Auto payout failed for wallet ${wallet._id}:`, err.message);
+        audit.error({
+          action: "wallet.auto_payout_failed",
+          actor: SYSTEM_ACTOR,
+          resource: { type: "wallet", id: wallet._id },
+          metadata: { error: err.message },
+        });
+        // Don't pick it up again this run
+        await Wallet.updateOne(
+          { _id: wallet._id },
+          {
+            $set: {
+              "autoPayout.lastRun": { at: now, status: "failed", reason: err.message },
+              "autoPayout.lockedAt": null,
+            },
+          },
+        ).catch(() => {});
+      }
+    }
+    if (due.length < BATCH_SIZE) break;
+  }
+
+  console.log(
+    `[Cron] ✅ Automatic payouts: ${counts.paid} paid, ${counts.skipped} skipped, ${counts.failed} failed, ${counts.disabled} disabled`,
+  );
+}
+
+module.exports = {
+  PAYOUT_HOUR,
+  MIN_THRESHOLD,
+  validateAutoPayoutSettings,
+  largestPayout,
+  planAutoPayout,
+  runAutoPayout,
+  runAutoPayouts,
+};
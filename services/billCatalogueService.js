@@ -0,0 +1,301 @@
+/**
+ * @file billCatalogueService.js
+ * @description The bill plans users can buy (data bundles, bouquets, JAMB and
+ * WAEC PINs), cached in Mongo (models/billCatalogueModel) so the app and every
+ * purchase price them the same way without asking a provider each time.
+ *
+ * SYNC:
+ *   The "bill_catalogue_sync" task-queue job fetches every product's plans
+ *   from its bill type's providers (services/billProviders) every
+ *   SYNC_EVERY_HOURS and diffs them against the cache: plans added, dropped
+ *   and repriced. A product asked for with no catalogue yet, or one not
+ *   synced for MAX_AGE_HOURS, is synced there and then.
+ *
+ * PRICES:
+ *   A user pays the provider's price with the bill type's markup or discount
+ *   (services/billPricingService), plus the plan's markup, which admins set
+ *   along with which plans are hidden. The provider is paid its own price.
+ *
+ * PURCHASES:
+ *   A plan is bought from the first provider on its bill type's route that is
+ *   not being skipped for errors and lists it (findPlan), as airtime is
+ *   routed, not from whichever provider last synced the catalogue. A provider
+ *   other than the catalogue's is asked for its price there and then.
+ *
+ * Each catalogue's version goes up whenever what users see changes, and is its
+ * ETag: the app revalidates with If-None-Match and gets a 304 until then.
+ */
+
+const BillCatalogue = require("../models/billCatalogueModel");
+const billProviders = require("./billProviders");
+const { pricingFor, userPrice } = require("./billPricingService");
+const audit = require("./auditService");
+const logger = require("./logger");
+
+// Bill types sold as plans; airtime and electricity take any amount
+const CATALOGUED = ["data", "cable_tv", "jamb", "waec"];
+
+const SYNC_EVERY_HOURS = 6;
+const MAX_AGE_HOURS = 24;
+
+const SYSTEM_ACTOR = { userId: null, role: "system", ip: "bill_catalogue_sync" };
+
+/**
+ * Bring a catalogue's plans in line with what its provider lists now.
+ * Admins' markups and hidden flags are kept; a plan the provider stops
+ * listing is marked unavailable rather than removed.
+ *
+ * @param {Object} catalogue - BillCatalogue document, changed in place
+ * @param {Array} variations - the provider's [{ variation_code, name, variation_amount, fixedPrice }]
+ * @returns {{ changed: boolean, added: string[], removed: string[],
+ *   repriced: Array<{ variationCode, name, from, to }> }}
+ */
+function applyPlans(catalogue, variations, now = new Date()) {
+  const listed = new Map();
+  for (const v of variations) {
+    const price = parseFloat(v.variation_amount);
+    if (!v.variation_code || !Number.isFinite(price)) continue;
+    listed.set(v.variation_code, { ...v, price });
+  }
+
+  const diff = { changed: false, added: [], removed: [], repriced: [] };
+
+  for (const plan of catalogue.plans) {
+    const v = listed.get(plan.variationCode);
+    if (!v) {
+      if (plan.available) {
+        plan.available = false;
+        diff.removed.push(plan.variationCode);
+      }
+      continue;
+    }
+    listed.delete(plan.variationCode);
+
+    if (!plan.available) {
+      plan.available = true;
+      diff.added.push(plan.variationCode);
+    }
+    if (v.price !== plan.providerPrice) {
+      diff.repriced.push({
+        variationCode: plan.variationCode,
+        name: v.name,
+        from: plan.providerPrice,
+        to: v.price,
+      });
+      plan.previousPrice = plan.providerPrice;
+      plan.providerPrice = v.price;
+      plan.priceChangedAt = now;
+    }
+    if (v.name && v.name !== plan.name) {
+      plan.name = v.name;
+      diff.changed = true;
+    }
+    plan.fixedPrice = v.fixedPrice !== "No";
+  }
+
+  for (const v of listed.values()) {
+    catalogue.plans.push({
+      variationCode: v.variation_code,
+      name: v.name || v.variation_code,
+      fixedPrice: v.fixedPrice !== "No",
+      providerPrice: v.price,
+    });
+    diff.added.push(v.variation_code);
+  }
+
+  diff.changed =
+    diff.changed || diff.added.length > 0 || diff.removed.length > 0 || diff.repriced.length > 0;
+  return diff;
+}
+
+/**
+ * Fetch one product's plans and update its catalogue.
+ *
+ * @returns {Promise<{ catalogue, changed, added, removed, repriced }>}
+ * @throws {BillProviderError} if none of its providers answered
+ */
+async function syncProduct(serviceType, product, now = new Date()) {
+  const { provider, serviceId, result } = await billProviders.getCatalogue(
+    serviceType,
+    product,
+  );
+
+  const catalogue =
+    (await BillCatalogue.findOne({ serviceType, product })) ||
+    new BillCatalogue({ serviceType, product, provider, serviceId });
+
+  // An empty answer is a provider glitch far more often than a product
+  // withdrawn; dropping every plan on it would stop all sales
+  if (!result.variations.length && catalogue.plans.some((p) => p.available)) {
+    throw new billProviders.BillProviderError(
+      `${provider} listed no ${serviceType}/${product} plans; keeping the catalogue`,
+    );
+  }
+
+  const diff = applyPlans(catalogue, result.variations, now);
+  if (catalogue.provider !== provider || catalogue.serviceId !== serviceId) {
+    catalogue.provider = provider;
+    catalogue.serviceId = serviceId;
+    diff.changed = true;
+  }
+  if (result.serviceName) catalogue.serviceName = result.serviceName;
+  if (diff.changed && !catalogue.isNew) catalogue.version += 1;
+  catalogue.syncedAt = now;
+  await catalogue.save();
+
+  return { catalogue, ...diff };
+}
+
+/**
+ * Sync every catalogued product. Run by the "bill_catalogue_sync" task-queue
+ * job, and by admins from the catalogue screen.
+ *
+ * @param {Object} [actor] - audit actor when an admin asked for it
+ * @returns {Promise<{ synced: number, failed: string[], changes: Array }>}
+ *   changes listing each product whose plans changed
+ */
+async function syncCatalogue({ actor = SYSTEM_ACTOR, now = new Date() } = {}) {
+  let synced = 0;
+  const failed = [];
+  const changes = [];
+
+  for (const serviceType of CATALOGUED) {
+    for (const product of billProviders.PRODUCTS[serviceType]) {
+      try {
+        const { catalogue, changed, added, removed, repriced } = await syncProduct(
+          serviceType,
+          product,
+          now,
+        );
+        synced++;
+        if (changed) {
+          changes.push({ serviceType, product, version: catalogue.version, added, removed, repriced });
+        }
+      } catch (err) {
+        logger.warn(`[BillCatalogue] ${serviceType}/${product} not synced: ${err.message}`);
+        failed.push(`${serviceType}/${product}`);
+      }
+    }
+  }
+
+  if (changes.length || failed.length) {
+    audit.log({
+      action: "bill.catalogue_synced",
+      actor,
+      resource: { type: "system", displayName: "Bill catalogue" },
+      changes: { after: changes },
+      metadata: { synced, failed },
+    });
+  }
+  logger.info(
+    `[BillCatalogue] ${synced} product(s) synced, ${changes.length} changed, ${failed.length} failed`,
+  );
+  return { synced, failed, changes };
+}
+
+/**
+ * A product's catalogue, synced first if there is none yet or it's stale. A
+ * stale catalogue is still served when no provider answers.
+ *
+ * @throws {BillProviderError} if there's no catalogue and no provider answered
+ */
+async function getCatalogue(serviceType, product, now = new Date()) {
+  const catalogue = await BillCatalogue.findOne({ serviceType, product });
+  const stale =
+    !catalogue?.syncedAt || now - catalogue.syncedAt > MAX_AGE_HOURS * 3600 * 1000;
+  if (!stale) return catalogue;
+
+  try {
+    return (await syncProduct(serviceType, product, now)).catalogue;
+  } catch (err) {
+    if (!catalogue) throw err;
+    logger.warn(`[BillCatalogue] Serving stale ${serviceType}/${product}: ${err.message}`);
+    return catalogue;
+  }
+}
+
+/** The plans users may buy: listed by the provider and not hidden. */
+const onSale = (catalogue) => catalogue.plans.filter((p) => p.available && !p.hidden);
+
+/**
+ * A plan users may buy, and the provider to buy it from: the first on the
+ * route, not being skipped for errors, that lists it. The catalogue's own
+ * provider is priced from the cache; another is priced with what it charges
+ * now and the plan's markup.
+ *
+ * @returns {Promise<{ catalogue, plan, provider?: string, serviceId?: string }>}
+ *   plan undefined if there's no such plan on sale; its providerPrice and
+ *   price are the chosen provider's
+ * @throws {BillProviderError} 503 if no healthy provider sells the plan
+ */
+async function findPlan(serviceType, product, variationCode) {
+  const catalogue = await getCatalogue(serviceType, product);
+  const listed = onSale(catalogue).find((p) => p.variationCode === variationCode);
+  if (!listed) return { catalogue, plan: undefined };
+
+  for (const provider of billProviders.healthyRoute(serviceType, product)) {
+    if (provider === catalogue.provider) {
+      return { catalogue, plan: listed, provider, serviceId: catalogue.serviceId };
+    }
+    try {
+      const { serviceId, variation } = await billProviders.planFrom(
+        provider,
+        serviceType,
+        product,
+        variationCode,
+      );
+      const providerPrice = parseFloat(variation?.variation_amount);
+      if (!Number.isFinite(providerPrice)) continue;
+      return {
+        catalogue,
+        plan: {
+          variationCode,
+          name: listed.name,
+          fixedPrice: listed.fixedPrice,
+          providerPrice,
+          markup: listed.markup,
+          price: userPrice(serviceType, providerPrice, listed.markup),
+        },
+        provider,
+        serviceId,
+      };
+    } catch (err) {
+      logger.warn(`[BillCatalogue] ${err.message}; trying the next provider for ${variationCode}`);
+    }
+  }
+  throw new billProviders.BillProviderError(
+    `${listed.name} can't be bought right now. Please try again shortly.`,
+    503,
+  );
+}
+
+/**
+ * A catalogue's ETag: changes with its version, and with the bill type's
+ * pricing, which is configured rather than versioned.
+ */
+function etag(catalogue) {
+  const { markupPercent, fee } = pricingFor(catalogue.serviceType);
+  const pricing = markupPercent || fee ? `-p${markupPercent}_${fee}` : "";
+  return `"${catalogue.serviceType}-${catalogue.product}-v${catalogue.version}${pricing}"`;
+}
+
+/** A plan as the app sees it. */
+const planView = (plan) => ({
+  variation_code: plan.variationCode,
+  name: plan.name,
+  amount: plan.price,
+  is_fixed_price: plan.fixedPrice,
+});
+
+module.exports = {
+  CATALOGUED,
+  SYNC_EVERY_HOURS,
+  applyPlans,
+  syncProduct,
+  syncCatalogue,
+  getCatalogue,
+  onSale,
+  findPlan,
+  etag,
+  planView,
+};
@@ -1,11 +1,104 @@
 const mongoose = require("mongoose");
 const Transaction = require("../models/transactionModel");
 const Wallet = require("../models/walletModel");
+const VATConfig = require("../models/vatConfigModel");
 const audit = require("./auditService");
+const money = require("../utils/money");
+const { marginOf } = require("./billPricingService");
 const { MakeID } = require("../Helpers/Helpers");
 
+// A platform-account debit and its matching credit
+const transfer = (amount, from, to, description) => [
+  { account: from, userId: null, debit: amount, credit: 0, description },
+  { account: to, userId: null, debit: 0, credit: amount, description },
+];
+
 /**
- * Handle ledger updates for completed bill payments.
+ * Book what a completed bill earned us as its own Transaction. The purchase
+ * credited operating_expenses with everything the wallet paid; this moves our
+ * share out of it, leaving what the provider actually cost:
+ *   margin     → platform_revenue (a discount the other way, funded from
+ *                promotional_discounts)
+ *   commission → commission_revenue (the provider's, from the bill)
+ * with VAT on the two at the active rate, booked as order payments book it.
+ * Records the margin, VAT and Transaction on the bill; books nothing for a
+ * bill that earned nothing.
+ *
+ * @param {Object} billRecord - The BillPayment model instance
+ * @param {mongoose.ClientSession} session - Active MongoDB session
+ */
+async function bookBillRevenue(billRecord, session) {
+  const margin = marginOf(billRecord);
+  const commission = billRecord.providerCommission || 0;
+  const revenue = money.add(money.max(0, margin), commission);
+
+  const vatConfig = revenue > 0 ? await VATConfig.getActiveConfig() : null;
+  const vatAmount = vatConfig ? money.round(vatConfig.calculateVAT(revenue)) : 0;
+
+  const what = `${billRecord.serviceType} purchase ${billRecord.requestId}`;
+  const entries = [];
+  if (margin > 0) {
+    entries.push(
+      ...transfer(margin, "operating_expenses", "platform_revenue", `Margin on ${what}`),
+    );
+  } else if (margin < 0) {
+    entries.push(
+      ...transfer(
+        money.subtract(0, margin),
+        "promotional_discounts",
+        "operating_expenses",
+        `Discount on ${what}`,
+      ),
+    );
+  }
+  if (commission > 0) {
+    entries.push(
+      ...transfer(
+        commission,
+        "operating_expenses",
+        "commission_revenue",
+        `${billRecord.provider} commission on ${what}`,
+      ),
+    );
+  }
+  if (vatAmount > 0) {
+    entries.push(...transfer(vatAmount, "vat_payable", "vat_revenue", `VAT on ${what}`));
+  }
+
+  billRecord.margin = margin;
+  if (entries.length) {
+    const reference = `BillRevenue-${billRecord.requestId}`;
+    await Transaction.createTransaction(
+      {
+        transactionId: `BILLREV_${Date.now()}_${MakeID(16)}`,
+        reference,
+        type: "platform_commission",
+        totalAmount: money.sum(entries, (e) => e.debit),
+        entries,
+        vat: {
+          rate: vatConfig?.rates?.standard ?? 7.5,
+          amount: vatAmount,
+          responsibility: "platform",
+          collected: vatAmount > 0,
+        },
+        relatedEntity: { type: "payment", id: billRecord._id },
+        status: "completed",
+        metadata: {
+          paymentMethod: "wallet",
+          notes: `Bill payment revenue: ${billRecord.serviceType} via ${billRecord.provider}`,
+        },
+      },
+      session,
+    );
+    billRecord.vatAmount = vatAmount;
+    billRecord.revenueTransactionRef = reference;
+  }
+  await billRecord.save({ session });
+}
+
+/**
+ * Handle ledger updates for completed bill payments: complete the purchase's
+ * pending Transaction and book what the bill earned (bookBillRevenue), once.
  * @param {Object} billRecord - The BillPayment model instance
  * @param {mongoose.ClientSession} session - Active MongoDB session
  */
@@ -21,12 +114,18 @@ async function completeBillTransaction(billRecord, session) {
     originalTx.metadata.externalTransactionId =
       billRecord.vtpassResponse?.content?.transactions?.transaction_id;
     await originalTx.save({ session });
+    await bookBillRevenue(billRecord, session);
   }
 
   audit.log({
     action: "bill_payment.completed",
     resource: { type: "bill_payment", id: billRecord._id },
-    metadata: { requestId: billRecord.requestId, amount: billRecord.amount },
+    metadata: {
+      requestId: billRecord.requestId,
+      amount: billRecord.amount,
+      margin: billRecord.margin,
+      commission: billRecord.providerCommission,
+    },
   });
 }
 
@@ -96,6 +195,7 @@ async function refundBillTransaction(billRecord, session) {
 }
 
 module.exports = {
+  bookBillRevenue,
   completeBillTransaction,
   refundBillTransaction,
 };
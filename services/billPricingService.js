@@ -0,0 +1,53 @@
+/**
+ * @file billPricingService.js
+ * @description What users pay for a bill, and what we make on it.
+ *
+ * A bill's provider price is what its provider charges: an airtime or
+ * electricity amount's face value, or a plan's price in the catalogue
+ * (services/billCatalogueService). Users pay that plus the bill type's
+ * markup or discount (appConfig.bills.pricing), plus any markup an admin set
+ * on the plan. The provider is paid its price; the difference is our margin,
+ * negative when we give a discount.
+ *
+ * Providers also keep back a commission on each purchase, reported when it
+ * completes. Margin and commission are booked as separate revenue lines by
+ * services/billPaymentLedgerService.
+ */
+
+const appConfig = require("../config/appConfig");
+const money = require("../utils/money");
+
+/** A bill type's { markupPercent, fee }, zero where not configured. */
+function pricingFor(serviceType) {
+  const { markupPercent = 0, fee = 0 } = appConfig.bills.pricing?.[serviceType] || {};
+  return { markupPercent, fee };
+}
+
+/**
+ * What a user pays for a bill its provider charges providerPrice for.
+ *
+ * @param {string} serviceType - bill type, e.g. "airtime"
+ * @param {number} providerPrice
+ * @param {number} [planMarkup] - the plan's own markup, for catalogued plans
+ * @returns {number} never less than zero
+ */
+function userPrice(serviceType, providerPrice, planMarkup = 0) {
+  const { markupPercent, fee } = pricingFor(serviceType);
+  return money.max(
+    0,
+    money.add(providerPrice, money.percentage(providerPrice, markupPercent), fee, planMarkup || 0),
+  );
+}
+
+/**
+ * A bill's margin: what the user paid less what its provider is paid.
+ * @param {Object} bill - BillPayment
+ * @returns {number} negative for a discount
+ */
+const marginOf = (bill) => money.subtract(bill.amount, bill.providerAmount ?? bill.amount);
+
+module.exports = {
+  pricingFor,
+  userPrice,
+  marginOf,
+};
@@ -0,0 +1,162 @@
+/**
+ * @file fakeProvider.js
+ * @description An in-memory bill provider for tests and local development.
+ * It answers like VTpass (so stored responses look the same, PINs included)
+ * and does whatever it is told: configure({ pay: "error" }) makes every
+ * purchase throw, configure({ verify: "fail" }) makes every meter unknown.
+ *
+ * Never registered in production (see ./index.js).
+ */
+
+const name = "fake";
+
+const DEFAULT_BEHAVIOUR = {
+  catalogue: "ok", // "ok" | "error"
+  verify: "ok", // "ok" | "fail" | "error"
+  pay: "completed", // "completed" | "pending" | "failed" | "error"
+  requery: null, // as pay; null answers with how the purchase went
+};
+
+const CATALOGUE = {
+  data: [{ variation_code: "fake-1gb", name: "1GB - 30 days", variation_amount: "1000" }],
+  cable_tv: [{ variation_code: "fake-basic", name: "Basic bouquet", variation_amount: "5000" }],
+  jamb: [
+    { variation_code: "utme", name: "UTME PIN", variation_amount: "4700" },
+    { variation_code: "de", name: "Direct Entry PIN", variation_amount: "4700" },
+  ],
+  waec: [{ variation_code: "waecdirect", name: "WAEC Result Checker PIN", variation_amount: "3500" }],
+};
+
+// Kept back from every completed purchase, as VTpass does
+const COMMISSION_PERCENT = 1;
+
+let behaviour = { ...DEFAULT_BEHAVIOUR };
+const purchases = new Map(); // requestId → outcome
+const calls = []; // { operation, args } in order, for tests to inspect
+
+/** Change how the provider answers; unnamed operations keep their behaviour. */
+function configure(overrides) {
+  behaviour = { ...behaviour, ...overrides };
+}
+
+/** Back to answering yes to everything, with no purchases on record. */
+function reset() {
+  behaviour = { ...DEFAULT_BEHAVIOUR };
+  purchases.clear();
+  calls.length = 0;
+}
+
+function act(operation, args) {
+  calls.push({ operation, args });
+  const how = behaviour[operation];
+  if (how === "error") throw new Error(`fake ${operation} unavailable`);
+  return how;
+}
+
+// "fake:<bill type>:<product>", so catalogue lookups know the bill type
+const serviceId = (serviceType, product) => (product ? `fake:${serviceType}:${product}` : undefined);
+const serviceTypeOf = (id) => String(id).split(":")[1];
+
+async function getCatalogue(id) {
+  act("catalogue", { serviceId: id });
+  return {
+    serviceName: `Fake ${id}`,
+    variations: CATALOGUE[serviceTypeOf(id)] || [],
+    raw: { ServiceName: `Fake ${id}`, variations: CATALOGUE[serviceTypeOf(id)] || [] },
+  };
+}
+
+async function verify(id, billersCode, type) {
+  const verified = act("verify", { serviceId: id, billersCode, type }) === "ok";
+  const details = verified
+    ? { Customer_Name: "TEST CUSTOMER", Address: "1 Test Street", Meter_Number: billersCode }
+    : { error: "Invalid account" };
+  return {
+    verified,
+    customerName: verified ? details.Customer_Name : undefined,
+    details,
+    raw: { code: verified ? "000" : "012", content: details },
+  };
+}
+
+// What VTpass would send back for a purchase in this state
+function outcomeFor(status, { requestId, serviceId: id, amount = 0, quantity = 1 }) {
+  const serviceType = serviceTypeOf(id);
+  const transactionId = `FAKE-${requestId}`;
+  const raw = {
+    code: status === "failed" ? "016" : "000",
+    response_description: status === "failed" ? "TRANSACTION FAILED" : "TRANSACTION SUCCESSFUL",
+    requestId,
+    content: {
+      transactions: {
+        status: { completed: "delivered", pending: "pending", failed: "failed" }[status],
+        transaction_id: transactionId,
+      },
+    },
+  };
+
+  let token;
+  let units;
+  let commission = 0;
+  if (status === "completed") {
+    commission = Math.round(Number(amount) * COMMISSION_PERCENT) / 100;
+    raw.content.transactions.commission = commission;
+    if (serviceType === "electricity") {
+      token = "1234-5678-9012-3456-7890";
+      units = "25.6 kWh";
+      raw.content.transactions.token = token;
+      raw.content.transactions.units = units;
+    } else if (serviceType === "jamb") {
+      raw.Pin = "Pin : 1234567890";
+      raw.purchased_code = raw.Pin;
+    } else if (serviceType === "waec") {
+      raw.cards = Array.from({ length: quantity }, (_, i) => ({
+        Serial: `FAKE${String(i + 1).padStart(6, "0")}`,
+        Pin: String(100000000000 + i),
+      }));
+    }
+  }
+
+  return {
+    status,
+    token,
+    units,
+    commission,
+    transactionId,
+    message: raw.response_description,
+    raw,
+  };
+}
+
+async function pay(payload) {
+  const status = act("pay", payload);
+  const outcome = outcomeFor(status, payload);
+  purchases.set(payload.requestId, { payload, outcome });
+  return outcome;
+}
+
+async function requery(requestId) {
+  const status = act("requery", { requestId });
+  const purchase = purchases.get(requestId);
+  if (status) {
+    return outcomeFor(status, purchase?.payload || { requestId, serviceId: "fake:unknown:x" });
+  }
+  return purchase?.outcome || outcomeFor("pending", { requestId, serviceId: "fake:unknown:x" });
+}
+
+function parseWebhook(body) {
+  return body?.requestId ? { requestId: body.requestId } : null;
+}
+
+module.exports = {
+  name,
+  serviceId,
+  getCatalogue,
+  verify,
+  pay,
+  requery,
+  parseWebhook,
+  configure,
+  reset,
+  calls,
+};
@@ -0,0 +1,294 @@
+/**
+ * @file billProviders/index.js
+ * @description Bill payment providers behind one interface, routed per bill
+ * type by appConfig.bills.providers.routes.
+ *
+ * FAILOVER:
+ *   Only before the wallet is debited. The catalogue lookup or account
+ *   verification a purchase starts with goes to the first provider on the
+ *   bill type's route; if that provider errors (no answer, 5xx), the next is
+ *   tried, and the purchase is made with whichever answered. Once the wallet
+ *   is debited the bill stays with its provider (BillPayment.provider) for
+ *   pay, requery and webhooks: switching then could deliver it twice.
+ *
+ *   A provider that errors failureThreshold times in a row, on any call
+ *   including the background pay, is tried last for cooldownSeconds. That is
+ *   what moves purchases with nothing to check first (airtime) off a provider
+ *   that is down. This state is per process.
+ *
+ * METRICS:
+ *   Every call is counted per provider, bill type, operation and hour in
+ *   BillProviderMetric (models/billProviderMetricModel), for the admin
+ *   provider dashboard.
+ *
+ * A provider is a module with:
+ *   name                                         — as used in routes
+ *   serviceId(serviceType, product)              — its ID for one of our
+ *       products (PRODUCTS), or undefined if it doesn't sell it
+ *   getCatalogue(serviceId)                      — { serviceName, variations:
+ *       [{ variation_code, name, variation_amount }], raw }
+ *   verify(serviceId, billersCode, type)         — { verified, customerName,
+ *       details, raw }
+ *   pay({ requestId, serviceId, amount, phone, billersCode, variationCode,
+ *       quantity })                              — Outcome
+ *   requery(requestId)                           — Outcome
+ *   parseWebhook(body)                           — { requestId } or null
+ * where an Outcome is { status: "completed"|"pending"|"failed", token, units,
+ * commission, transactionId, message, raw }, commission being what the
+ * provider kept back from a completed purchase (0 if it reports none) and raw
+ * its own response, kept on the BillPayment. Providers throw when they can't
+ * answer.
+ */
+
+const appConfig = require("../../config/appConfig");
+const BillProviderMetric = require("../../models/billProviderMetricModel");
+const logger = require("../logger");
+const vtpassProvider = require("./vtpassProvider");
+
+class BillProviderError extends Error {
+  constructor(message, statusCode = 502) {
+    super(message);
+    this.name = "BillProviderError";
+    this.statusCode = statusCode;
+  }
+}
+
+const PROVIDERS = { vtpass: vtpassProvider };
+// The fake delivers nothing; a route naming it in production would take
+// users' money for bills that never arrive
+if (process.env.NODE_ENV !== "production") {
+  PROVIDERS.fake = require("./fakeProvider");
+}
+
+// Our products per bill type. They are VTpass's names, VTpass having been
+// the only provider when they were chosen.
+const PRODUCTS = Object.fromEntries(
+  Object.entries(vtpassProvider.SERVICE_IDS).map(([type, ids]) => [type, Object.keys(ids)]),
+);
+
+const config = () => appConfig.bills.providers;
+
+/** The bill type and product a product key or VTpass service ID names. */
+function findProduct(key) {
+  for (const [serviceType, ids] of Object.entries(vtpassProvider.SERVICE_IDS)) {
+    for (const [product, id] of Object.entries(ids)) {
+      if (key === product || key === id) return { serviceType, product };
+    }
+  }
+  return null;
+}
+
+function getProvider(name) {
+  const provider = PROVIDERS[name];
+  if (!provider) throw new BillProviderError(`Unknown bill provider: ${name}`, 500);
+  return provider;
+}
+
+// ── Circuit breaker ─────────────────────────────────────────────────────────
+
+const health = new Map(); // name → { consecutiveErrors, openUntil }
+
+function noteResult(name, errored, now = Date.now()) {
+  const state = health.get(name) || { consecutiveErrors: 0, openUntil: 0 };
+  if (!errored) {
+    health.set(name, { consecutiveErrors: 0, openUntil: 0 });
+    return;
+  }
+  state.consecutiveErrors++;
+  if (state.consecutiveErrors >= config().failureThreshold) {
+    state.openUntil = now + config().cooldownSeconds * 1000;
+  }
+  health.set(name, state);
+}
+
+const isOpen = (name, now = Date.now()) => (health.get(name)?.openUntil || 0) > now;
+
+/** Each routed provider's breaker, for the admin dashboard. */
+function getHealth(now = Date.now()) {
+  return Object.keys(PROVIDERS).map((name) => {
+    const state = health.get(name) || { consecutiveErrors: 0, openUntil: 0 };
+    return {
+      provider: name,
+      consecutiveErrors: state.consecutiveErrors,
+      skippedUntil: isOpen(name, now) ? new Date(state.openUntil) : null,
+    };
+  });
+}
+
+/** Forget every provider's errors (tests). */
+function resetHealth() {
+  health.clear();
+}
+
+// ── Metrics ─────────────────────────────────────────────────────────────────
+
+const startOfHour = (now) => {
+  const hour = new Date(now);
+  hour.setMinutes(0, 0, 0);
+  return hour;
+};
+
+// Best effort: a metrics write must never fail a purchase
+function record(provider, serviceType, operation, result, latencyMs) {
+  BillProviderMetric.updateOne(
+    { provider, serviceType, operation, hour: startOfHour(Date.now()) },
+    { $inc: { calls: 1, [result]: 1, totalLatencyMs: latencyMs } },
+    { upsert: true },
+  ).catch((err) => logger.warn(`[BillProviders] Metrics write failed: ${err.message}`));
+}
+
+const OUTCOME_RESULT = { completed: "ok", pending: "pending", failed: "failed" };
+const RESULT_OF = {
+  catalogue: () => "ok",
+  verify: (res) => (res.verified ? "ok" : "failed"),
+  pay: (outcome) => OUTCOME_RESULT[outcome.status],
+  requery: (outcome) => OUTCOME_RESULT[outcome.status],
+};
+
+// One call to one provider, counted and fed to its breaker
+async function call(provider, serviceType, operation, fn) {
+  const started = Date.now();
+  try {
+    const result = await fn();
+    noteResult(provider.name, false);
+    record(provider.name, serviceType, operation, RESULT_OF[operation](result), Date.now() - started);
+    return result;
+  } catch (err) {
+    noteResult(provider.name, true);
+    record(provider.name, serviceType, operation, "error", Date.now() - started);
+    throw new BillProviderError(`${provider.name} ${operation} failed: ${err.message}`);
+  }
+}
+
+// ── Routing ─────────────────────────────────────────────────────────────────
+
+/**
+ * The providers to try for one of our products, in order: the route's, less
+ * any that don't sell it, with those being skipped for errors moved to the end.
+ */
+function routeFor(serviceType, product, now = Date.now()) {
+  if (!PRODUCTS[serviceType]?.includes(product)) return [];
+  const names = (config().routes[serviceType] || []).filter(
+    (name) => PROVIDERS[name]?.serviceId(serviceType, product),
+  );
+  return [...names.filter((n) => !isOpen(n, now)), ...names.filter((n) => isOpen(n, now))];
+}
+
+/** routeFor less the providers being skipped for errors. */
+const healthyRoute = (serviceType, product, now = Date.now()) =>
+  routeFor(serviceType, product, now).filter((name) => !isOpen(name, now));
+
+/**
+ * Run a pre-debit call against the product's providers in route order until
+ * one answers.
+ *
+ * @param {string} serviceType - e.g. "data"
+ * @param {string} product - e.g. "mtn"
+ * @param {"catalogue"|"verify"} operation
+ * @param {(provider, serviceId) => Promise<*>} fn
+ * @returns {Promise<{ provider: string, serviceId: string, result: * }>}
+ * @throws {BillProviderError} 503 if none answered
+ */
+async function withFailover(serviceType, product, operation, fn) {
+  const route = routeFor(serviceType, product);
+  for (const name of route) {
+    const provider = PROVIDERS[name];
+    const serviceId = provider.serviceId(serviceType, product);
+    try {
+      const result = await call(provider, serviceType, operation, () => fn(provider, serviceId));
+      return { provider: name, serviceId, result };
+    } catch (err) {
+      logger.warn(`[BillProviders] ${err.message}; trying the next provider for ${serviceType}`);
+    }
+  }
+  throw new BillProviderError(
+    `${serviceType} purchases are unavailable right now. Please try again shortly.`,
+    503,
+  );
+}
+
+/**
+ * The provider to buy a product with when there is nothing to check first
+ * (airtime): the first on its route not being skipped for errors.
+ *
+ * @returns {{ provider: string, serviceId: string }}
+ * @throws {BillProviderError} 503 if no provider sells it
+ */
+function chooseProvider(serviceType, product) {
+  const [name] = routeFor(serviceType, product);
+  if (!name) {
+    throw new BillProviderError(`${serviceType} purchases are unavailable right now.`, 503);
+  }
+  return { provider: name, serviceId: PROVIDERS[name].serviceId(serviceType, product) };
+}
+
+/** Catalogue with failover. */
+const getCatalogue = (serviceType, product) =>
+  withFailover(serviceType, product, "catalogue", (p, id) => p.getCatalogue(id));
+
+/** Account verification (meter, decoder, JAMB profile) with failover. */
+const verify = (serviceType, product, billersCode, type) =>
+  withFailover(serviceType, product, "verify", (p, id) => p.verify(id, billersCode, type));
+
+/**
+ * The plan with this variation code, from the first provider to answer.
+ * @returns {Promise<{ provider, serviceId, plan }>} plan undefined if that
+ *   provider has no such plan
+ */
+async function findPlan(serviceType, product, variationCode) {
+  const { provider, serviceId, result } = await getCatalogue(serviceType, product);
+  return {
+    provider,
+    serviceId,
+    plan: result.variations.find((v) => v.variation_code === variationCode),
+  };
+}
+
+/**
+ * One provider's listing of a plan, asked directly rather than with failover.
+ * @returns {Promise<{ serviceId: string, variation: Object|undefined }>}
+ *   variation undefined if the provider doesn't list it
+ * @throws {BillProviderError} if the provider doesn't answer
+ */
+async function planFrom(providerName, serviceType, product, variationCode) {
+  const provider = getProvider(providerName);
+  const serviceId = provider.serviceId(serviceType, product);
+  const { variations } = await call(provider, serviceType, "catalogue", () =>
+    provider.getCatalogue(serviceId),
+  );
+  return { serviceId, variation: variations.find((v) => v.variation_code === variationCode) };
+}
+
+/** Buy a bill with the provider it was routed to. */
+const pay = (providerName, serviceType, payload) => {
+  const provider = getProvider(providerName);
+  return call(provider, serviceType, "pay", () => provider.pay(payload));
+};
+
+/** Ask a bill's provider how its purchase went. */
+const requery = (providerName, serviceType, requestId) => {
+  const provider = getProvider(providerName);
+  return call(provider, serviceType, "requery", () => provider.requery(requestId));
+};
+
+/** The request ID a provider's webhook is about, or null. */
+const parseWebhook = (providerName, body) => getProvider(providerName).parseWebhook(body);
+
+module.exports = {
+  BillProviderError,
+  PRODUCTS,
+  findProduct,
+  getProvider,
+  routeFor,
+  healthyRoute,
+  chooseProvider,
+  getCatalogue,
+  verify,
+  findPlan,
+  planFrom,
+  pay,
+  requery,
+  parseWebhook,
+  getHealth,
+  resetHealth,
+};
@@ -0,0 +1,115 @@
+/**
+ * @file vtpassProvider.js
+ * @description VTpass as a bill provider (see ./index.js for the interface),
+ * over services/vtpassService. Our product keys are VTpass's own names, so
+ * the mapping to service IDs is mostly one to one.
+ */
+
+const vtpass = require("../vtpassService");
+
+const name = "vtpass";
+
+// Our product keys → VTpass service IDs, per bill type
+const SERVICE_IDS = {
+  airtime: vtpass.NETWORKS,
+  data: vtpass.DATA_NETWORKS,
+  electricity: vtpass.ELECTRICITY_PROVIDERS,
+  cable_tv: vtpass.CABLE_TV_PROVIDERS,
+  jamb: { jamb: vtpass.EDUCATION_SERVICES.jamb },
+  waec: {
+    waec: vtpass.EDUCATION_SERVICES.waec,
+    "waec-registration": vtpass.EDUCATION_SERVICES["waec-registration"],
+  },
+};
+
+const CALLBACK_URL = `${process.env.BACKEND_URL || "https://api.wigomarket.com"}/api/bills/webhook/vtpass`;
+
+const answered = (res) => res?.code === "000" || res?.response_description === "000";
+
+/**
+ * A /pay or /requery response as a purchase outcome. Delivered is completed;
+ * 016 (failed) and 011 (invalid arguments) are failed; everything else,
+ * including codes we don't know, stays pending for requery to settle.
+ */
+function toOutcome(vtRes) {
+  const code = vtRes?.code;
+  const delivery = vtRes?.content?.transactions?.status;
+
+  let status = "pending";
+  if (code === "000" && ["delivered", "successful"].includes(delivery)) {
+    status = "completed";
+  } else if (code === "016" || code === "011" || (code === "000" && delivery === "failed")) {
+    status = "failed";
+  }
+
+  return {
+    status,
+    token: vtRes?.content?.transactions?.token || vtRes?.purchased_code || undefined,
+    units: vtRes?.content?.transactions?.units || undefined,
+    // VTpass's cut, kept back from what it charges our account
+    commission: Number(vtRes?.content?.transactions?.commission) || 0,
+    transactionId: vtRes?.content?.transactions?.transaction_id,
+    message: vtRes?.response_description,
+    raw: vtRes,
+  };
+}
+
+const serviceId = (serviceType, product) => SERVICE_IDS[serviceType]?.[product];
+
+async function getCatalogue(id) {
+  const res = await vtpass.getServiceVariations(id);
+  const content = res.content || {};
+  return {
+    serviceName: content.ServiceName,
+    variations: content.variations || (Array.isArray(content) ? content : []),
+    raw: content,
+  };
+}
+
+async function verify(id, billersCode, type) {
+  const res = await vtpass.verifyMerchant(id, billersCode, type);
+  return {
+    verified: answered(res) && !res.content?.error,
+    customerName: res.content?.Customer_Name,
+    details: res.content || {},
+    raw: res,
+  };
+}
+
+async function pay({ requestId, serviceId: id, amount, phone, billersCode, variationCode, quantity }) {
+  const res = await vtpass.pay(
+    {
+      request_id: requestId,
+      serviceID: id,
+      amount,
+      phone,
+      ...(billersCode && { billersCode }),
+      ...(variationCode && { variation_code: variationCode }),
+      ...(quantity && { quantity }),
+    },
+    CALLBACK_URL,
+  );
+  return toOutcome(res);
+}
+
+async function requery(requestId) {
+  return toOutcome(await vtpass.requeryTransaction(requestId));
+}
+
+// VTpass posts { type: "transaction-update", data: { requestId, ... } }
+function parseWebhook(body) {
+  const requestId = body?.requestId || body?.data?.requestId;
+  return requestId ? { requestId } : null;
+}
+
+module.exports = {
+  name,
+  SERVICE_IDS,
+  serviceId,
+  getCatalogue,
+  verify,
+  pay,
+  requery,
+  parseWebhook,
+  toOutcome,
+};
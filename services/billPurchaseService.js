@@ -0,0 +1,175 @@
+/**
+ * @file billPurchaseService.js
+ * @description The first half of every bill purchase, shared by the bill
+ * payment handlers (controllers/billPaymentController) and recurring bills
+ * (services/recurringBillService): debit the wallet, write the pending ledger
+ * entry and BillPayment record, then hand the call to the bill's provider
+ * (services/billProviders) to the "bill_payment_api" task. Completion,
+ * requery and refunds happen there.
+ */
+
+const mongoose = require("mongoose");
+const Wallet = require("../models/walletModel");
+const Transaction = require("../models/transactionModel");
+const BillPayment = require("../models/billPaymentModel");
+const taskQueue = require("./taskQueue");
+const { MakeID } = require("../Helpers/Helpers");
+
+function generateRequestId() {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  return [
+    now.getFullYear(),
+    pad(now.getMonth() + 1),
+    pad(now.getDate()),
+    pad(now.getHours()),
+    pad(now.getMinutes()),
+    pad(now.getSeconds()),
+    MakeID(16),
+  ].join("");
+}
+
+/**
+ * Debit wallet + write pending ledger + create BillPayment record — all in session.
+ * Returns { wallet, billRecord, txRef } for the caller to use.
+ */
+async function initiatePurchase(
+  session,
+  {
+    userId,
+    amount,
+    serviceType,
+    serviceProvider,
+    provider = "vtpass",
+    providerAmount = amount,
+    recipient,
+    serviceMetadata,
+  },
+) {
+  // Debit wallet ─────────────────────────────────────────────────────────────
+  const wallet = await Wallet.findOne({ user: userId }).session(session);
+  if (!wallet)
+    throw new Error("Wallet not found. Please create a wallet first.");
+  if (wallet.status !== "active")
+    throw new Error(`Wallet is ${wallet.status}. Cannot process payment.`);
+  if (wallet.balance < amount)
+    throw new Error(
+      `Insufficient wallet balance. Available: ₦${wallet.balance}, Required: ₦${amount}`,
+    );
+
+  await wallet.deductFunds(amount, "bill_payment", session);
+
+  // Transaction ledger — debit side (session-bound) ─────────────────────────
+  const txId = `BILL_${Date.now()}_${MakeID(16)}`;
+  const txRef = `BillPayment-${txId}`;
+
+  await Transaction.createTransaction(
+    {
+      transactionId: txId,
+      reference: txRef,
+      type: "wallet_withdrawal",
+      totalAmount: amount,
+      entries: [
+        {
+          account: "wallet_vendor",
+          userId: userId,
+          debit: amount,
+          credit: 0,
+          description: `${serviceType} purchase — ${serviceProvider} for ${recipient}`,
+        },
+        {
+          account: "operating_expenses",
+          userId: null,
+          debit: 0,
+          credit: amount,
+          description: `${provider} ${serviceType} service payment`,
+        },
+      ],
+      relatedEntity: { type: "payment" },
+      status: "pending",
+      metadata: {
+        paymentMethod: "wallet",
+        notes: `Bill payment: ${serviceType} via ${provider}`,
+      },
+    },
+    session,
+  );
+
+  const requestId = generateRequestId();
+
+  // BillPayment record ───────────────────────────────────────────────────────
+  const [billRecord] = await BillPayment.create(
+    [
+      {
+        user: userId,
+        requestId,
+        transactionRef: txRef,
+        serviceType,
+        serviceProvider,
+        provider,
+        amount,
+        providerAmount,
+        recipient,
+        serviceMetadata,
+        status: "pending",
+      },
+    ],
+    { session },
+  );
+
+  return { wallet, billRecord, txRef, txId };
+}
+
+/**
+ * Debit the wallet and queue the purchase with its provider. Throws, having
+ * debited nothing, if the wallet can't pay.
+ *
+ * @param {Object} purchase - initiatePurchase's fields (provider being the
+ *   one the purchase was routed to, providerAmount what it is paid when
+ *   that differs from amount, services/billPricingService), plus what the
+ *   provider's pay takes: serviceId, phone, and
+ *   billersCode/variationCode/quantity where the service takes them
+ * @returns {Promise<{ requestId: string, txId: string }>}
+ */
+async function purchaseBill({
+  serviceId,
+  phone,
+  billersCode,
+  variationCode,
+  quantity,
+  ...purchase
+}) {
+  let requestId, txId;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      const init = await initiatePurchase(session, purchase);
+      requestId = init.billRecord.requestId;
+      txId = init.txId;
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  await taskQueue.enqueue("bill_payment_api", {
+    requestId,
+    provider: purchase.provider || "vtpass",
+    serviceId,
+    amount: purchase.providerAmount ?? purchase.amount,
+    phone,
+    ...(billersCode && { billersCode }),
+    ...(variationCode && { variationCode }),
+    ...(quantity && { quantity }),
+    userId: purchase.userId,
+    txId,
+    serviceType: purchase.serviceType,
+  });
+
+  return { requestId, txId };
+}
+
+module.exports = {
+  generateRequestId,
+  initiatePurchase,
+  purchaseBill,
+};
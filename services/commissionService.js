@@ -5,38 +5,64 @@
  * SINGLE SOURCE OF TRUTH — do not copy this logic elsewhere.
  *
  * How it works:
- *   - Vendor price  = item.product.price  (what the store receives per unit)
- *   - Listed price  = item.product.listedPrice  (what the customer pays per unit)
+ *   - Vendor price  = item.vendorPrice  (what the store receives per unit)
+ *   - Listed price  = item.unitPrice    (what the customer pays per unit)
+ *     Both are snapshotted on the order line at checkout — for a variable
+ *     product they are the chosen variant's prices. Orders created before the
+ *     snapshot existed fall back to item.product.price / listedPrice.
  *   - Platform fee  = (listedPrice − price) × quantity  (the spread per item)
+ *   - Sale discount = item.sale.discount × quantity (store sale). Sales are
+ *     seller-funded: unitPrice is already the sale price, and the discount
+ *     comes out of the vendor's share, so
+ *       vendor   = (vendorPrice − sale.discount) × quantity
+ *       platform = (unitPrice + sale.discount − vendorPrice) × quantity
+ *     i.e. the platform keeps the same spread it would have without the sale.
  *   - Dispatch fee  = order.deliveryFee  (goes entirely to the delivery agent)
+ *   - Discount      = order.discount.amount (coupon). Coupons are
+ *     platform-funded: vendor, dispatch and platform fee are all computed on
+ *     undiscounted prices, and the discount is booked as a separate
+ *     promotional expense. Net platform take = platformAmount − discountAmount.
  *
  * platformRate is reported as platform earnings / total order value (%).
+ *
+ * Refunds (calculateRefundBreakdown) take the same split back line by line,
+ * in exact kobo via utils/money: the vendor and platform shares of each
+ * refunded unit, its share of the coupon, and the delivery fee if refunded.
  */
 
+const money = require("../utils/money");
+
 /**
  * Calculate commission breakdown for a populated order.
  *
  * @param {Object} order - Mongoose Order document.
- *   Must have populated `products.product` with `listedPrice` and `price`,
- *   plus `deliveryAgent`, `deliveryFee`, and `paymentIntent.amount`.
+ *   Lines carry `unitPrice`/`vendorPrice`; legacy lines without them need
+ *   populated `products.product` with `listedPrice` and `price`. Also reads
+ *   `deliveryAgent`, `deliveryFee`, `discount` and `paymentIntent.amount`.
+ *   Lines bought under a store sale carry `sale.discount` (per unit).
  * @returns {{
  *   platformRate: number,
  *   platformAmount: number,
  *   vendorAmount: number,
  *   dispatchAmount: number,
+ *   discountAmount: number,
+ *   saleDiscountAmount: number,
  *   totalAmount: number
  * }}
  */
 function calculateCommissionBreakdown(order) {
   let platformAmount = 0;
   let vendorAmount = 0;
+  let saleDiscountAmount = 0;
 
   for (const item of order.products) {
-    const listed = item.product?.listedPrice ?? 0;
-    const price = item.product?.price ?? 0;
+    const listed = item.unitPrice ?? item.product?.listedPrice ?? 0;
+    const price = item.vendorPrice ?? item.product?.price ?? 0;
+    const saleDiscount = item.sale?.discount ?? 0;
     const qty = item.count ?? 1;
-    vendorAmount += price * qty;
-    platformAmount += (listed - price) * qty;
+    vendorAmount += (price - saleDiscount) * qty;
+    platformAmount += (listed + saleDiscount - price) * qty;
+    saleDiscountAmount += saleDiscount * qty;
   }
 
   const dispatchAmount =
@@ -50,10 +76,128 @@ function calculateCommissionBreakdown(order) {
     platformAmount: round2(platformAmount),
     vendorAmount: round2(vendorAmount),
     dispatchAmount: round2(dispatchAmount),
+    discountAmount: round2(order.discount?.amount || 0),
+    saleDiscountAmount: round2(saleDiscountAmount),
     totalAmount: total,
   };
 }
 
+const idOf = (ref) => String(ref?._id ?? ref ?? "");
+
+/**
+ * Units and coupon share each order line has had refunded so far, from the
+ * refunds already recorded on the order.
+ */
+function refundedPerLine(order) {
+  const products = order.products || [];
+  const refunded = products.map(() => ({ count: 0, discountAmount: 0 }));
+  for (const refund of order.refunds || []) {
+    for (const item of refund.items || []) {
+      const index = products.findIndex(
+        (line) =>
+          idOf(line.product) === idOf(item.product) && idOf(line.variant) === idOf(item.variant),
+      );
+      if (index === -1) continue;
+      refunded[index].count += item.count || 0;
+      refunded[index].discountAmount = money.add(
+        refunded[index].discountAmount,
+        item.discountAmount || 0,
+      );
+    }
+  }
+  return refunded;
+}
+
+/**
+ * Split a refund of some order lines, and optionally the delivery fee, the
+ * way the payment was split.
+ *
+ * Per refunded unit the vendor gives back (vendorPrice − sale.discount) and
+ * the platform the rest of unitPrice. The buyer gets unitPrice less the line's
+ * share of the coupon (spread over lines by value, then over units), which the
+ * platform funded and so takes back out of promotional discounts. Only the
+ * part of that share earlier refunds (order.refunds) left is spread, over the
+ * units they left, so partial refunds never give back more than the line's
+ * share. The delivery fee goes back to the buyer less its coupon, and to the
+ * rider's account when the rider was paid it. VAT is vatRate% of what the
+ * buyer gets back, as it was charged on what they paid.
+ *
+ * @param {Object} order - as for calculateCommissionBreakdown, with the
+ *   refunds made so far
+ * @param {Object} refund
+ * @param {Array<{ index: number, count: number }>} [refund.lines] - order line
+ *   and units to refund
+ * @param {boolean} [refund.delivery] - refund the delivery fee too
+ * @param {number} [refund.vatRate] - percent, 0 when no VAT was collected
+ * @returns {{
+ *   lines: Array<{ index: number, count: number, amount: number,
+ *     vendorAmount: number, platformAmount: number, discountAmount: number }>,
+ *   deliveryAmount: number,
+ *   dispatchAmount: number,
+ *   vendorAmount: number,
+ *   platformAmount: number,
+ *   discountAmount: number,
+ *   vatAmount: number,
+ *   totalAmount: number
+ * }} totalAmount is what the buyer gets back
+ */
+function calculateRefundBreakdown(order, { lines = [], delivery = false, vatRate = 0 } = {}) {
+  const products = order.products || [];
+  const listedOf = (item) => item.unitPrice ?? item.product?.listedPrice ?? 0;
+  const lineTotals = products.map((item) => money.multiply(listedOf(item), item.count ?? 1));
+  const couponItems = order.discount?.items || 0;
+  const couponShares =
+    couponItems > 0 && lineTotals.some((total) => total > 0)
+      ? money.allocateByWeight(couponItems, lineTotals)
+      : lineTotals.map(() => 0);
+  const before = refundedPerLine(order);
+
+  const refunded = lines.map(({ index, count }) => {
+    const item = products[index];
+    const qty = item.count ?? 1;
+    const price = item.vendorPrice ?? item.product?.price ?? 0;
+    const saleDiscount = item.sale?.discount ?? 0;
+
+    const gross = money.multiply(listedOf(item), count);
+    const vendorAmount = money.multiply(money.subtract(price, saleDiscount), count);
+    const shareLeft = money.max(
+      0,
+      money.subtract(couponShares[index], before[index].discountAmount),
+    );
+    const unitsLeft = Math.max(count, qty - before[index].count);
+    const discountAmount =
+      shareLeft > 0 ? money.allocateByWeight(shareLeft, [count, unitsLeft - count])[0] : 0;
+    return {
+      index,
+      count,
+      amount: money.subtract(gross, discountAmount),
+      vendorAmount,
+      platformAmount: money.subtract(gross, vendorAmount),
+      discountAmount,
+    };
+  });
+
+  const deliveryFee = delivery ? order.deliveryFee || 0 : 0;
+  const deliveryDiscount = delivery ? order.discount?.delivery || 0 : 0;
+  const deliveryAmount = money.max(0, money.subtract(deliveryFee, deliveryDiscount));
+  const dispatchAmount = order.deliveryAgent ? deliveryFee : 0;
+
+  const totalAmount = money.add(money.sum(refunded, (l) => l.amount), deliveryAmount);
+  return {
+    lines: refunded,
+    deliveryAmount,
+    dispatchAmount,
+    vendorAmount: money.sum(refunded, (l) => l.vendorAmount),
+    platformAmount: money.sum(refunded, (l) => l.platformAmount),
+    discountAmount: money.add(
+      money.sum(refunded, (l) => l.discountAmount),
+      money.min(deliveryFee, deliveryDiscount),
+    ),
+    vatAmount: vatRate > 0 ? money.percentage(totalAmount, vatRate) : 0,
+    totalAmount,
+  };
+}
+
 const round2 = (n) => Math.round(n * 100) / 100;
 
-module.exports = { calculateCommissionBreakdown };
+module.exports = { calculateCommissionBreakdown, calculateRefundBreakdown };
@@ -0,0 +1,342 @@
+/**
+ * @file couponService.js
+ * @description Coupon evaluation for carts and checkouts.
+ *
+ * evaluateCoupon() is pure: given a coupon and the lines it is applied to, it
+ * decides whether the code applies and how much it takes off, down to the
+ * line. Everything that touches the database (loading the cart's products,
+ * counting a user's redemptions, consuming a use at checkout) is kept in the
+ * small async helpers below it.
+ *
+ * Discounts are split across lines with money.allocateByWeight so that the
+ * per-line and per-store shares always add back to the headline discount —
+ * a multi-store checkout books each store's share on that store's order.
+ */
+
+const mongoose = require("mongoose");
+const Coupon = require("../models/couponModel");
+const CouponRedemption = require("../models/couponRedemptionModel");
+const Product = require("../models/productModel");
+const money = require("../utils/money");
+const { cartTotal } = require("../utils/cartLines");
+
+const idString = (value) => String(value?._id ?? value ?? "");
+
+/** Does a line fall inside the coupon's store/category scope? */
+const inScope = (coupon, line) => {
+  const stores = (coupon.stores || []).map(idString);
+  const categories = (coupon.categories || []).map(idString);
+  if (stores.length && !stores.includes(idString(line.store))) return false;
+  if (categories.length && !categories.includes(idString(line.category))) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Why a coupon cannot be used right now, independent of the cart.
+ * @returns {string|null}
+ */
+function availabilityError(coupon, { userRedemptions = 0, now = new Date() } = {}) {
+  if (!coupon.isActive) return "This code is no longer active";
+  if (coupon.startsAt && now < coupon.startsAt) return "This code is not active yet";
+  if (coupon.endsAt && now > coupon.endsAt) return "This code has expired";
+  if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+    return "This code has reached its usage limit";
+  }
+  if (coupon.perUserLimit != null && userRedemptions >= coupon.perUserLimit) {
+    return "You have already used this code";
+  }
+  return null;
+}
+
+/**
+ * Work out what a coupon takes off a set of lines.
+ *
+ * @param {Object} coupon - Coupon document (or plain object of the same shape).
+ * @param {Object} ctx
+ * @param {Array<{store, category, price}>} ctx.lines - price is the line total.
+ * @param {Object<string, number>|null} [ctx.deliveryFees] - storeId → quoted
+ *   fee. Null while the fees are unknown (the cart), in which case a
+ *   free-delivery code is validated but its amount is not computed yet.
+ * @param {number} [ctx.userRedemptions] - times this user already used it.
+ * @param {Date} [ctx.now]
+ * @returns {{ error: string } | {
+ *   eligibleSubtotal: number,
+ *   itemsDiscount: number,
+ *   deliveryDiscount: number,
+ *   discount: number,
+ *   lineDiscounts: number[],
+ *   byStore: Object<string, { items: number, delivery: number }>
+ * }} lineDiscounts is index-aligned with ctx.lines.
+ */
+function evaluateCoupon(coupon, { lines, deliveryFees = null, userRedemptions = 0, now = new Date() }) {
+  const unavailable = availabilityError(coupon, { userRedemptions, now });
+  if (unavailable) return { error: unavailable };
+
+  const eligible = [];
+  lines.forEach((line, index) => {
+    if (inScope(coupon, line)) eligible.push(index);
+  });
+  if (eligible.length === 0) {
+    return { error: "This code does not apply to any item in your cart" };
+  }
+
+  const eligibleSubtotal = money.sum(eligible, (i) => lines[i].price);
+  if (money.lt(eligibleSubtotal, coupon.minOrderValue || 0)) {
+    return {
+      error: `This code needs a minimum order of ₦${coupon.minOrderValue} on eligible items`,
+    };
+  }
+
+  const cap = (amount) =>
+    coupon.maxDiscount != null ? money.min(amount, coupon.maxDiscount) : amount;
+
+  // ── Items ────────────────────────────────────────────────────────────────
+  let itemsDiscount = 0;
+  if (coupon.type === "percentage") {
+    itemsDiscount = cap(money.percentage(eligibleSubtotal, coupon.value));
+  } else if (coupon.type === "fixed") {
+    itemsDiscount = money.min(coupon.value, eligibleSubtotal);
+  }
+
+  const lineDiscounts = lines.map(() => 0);
+  if (money.gt(itemsDiscount, 0)) {
+    const shares = money.allocateByWeight(
+      itemsDiscount,
+      eligible.map((i) => lines[i].price),
+    );
+    eligible.forEach((lineIndex, k) => {
+      lineDiscounts[lineIndex] = shares[k];
+    });
+  }
+
+  const byStore = {};
+  const storeEntry = (storeId) =>
+    (byStore[storeId] = byStore[storeId] || { items: 0, delivery: 0 });
+  lines.forEach((line, i) => {
+    const entry = storeEntry(idString(line.store));
+    entry.items = money.add(entry.items, lineDiscounts[i]);
+  });
+
+  // ── Delivery ─────────────────────────────────────────────────────────────
+  let deliveryDiscount = 0;
+  if (coupon.type === "free_delivery" && deliveryFees) {
+    const stores = [...new Set(eligible.map((i) => idString(lines[i].store)))].filter(
+      (storeId) => money.gt(deliveryFees[storeId] || 0, 0),
+    );
+    const fees = stores.map((storeId) => deliveryFees[storeId]);
+    if (stores.length) {
+      deliveryDiscount = cap(money.sum(fees));
+      const shares = money.allocateByWeight(deliveryDiscount, fees);
+      stores.forEach((storeId, k) => {
+        storeEntry(storeId).delivery = shares[k];
+      });
+    }
+  }
+
+  return {
+    eligibleSubtotal,
+    itemsDiscount,
+    deliveryDiscount,
+    discount: money.add(itemsDiscount, deliveryDiscount),
+    lineDiscounts,
+    byStore,
+  };
+}
+
+/** Find a coupon by the code a buyer typed. */
+const findByCode = (code) =>
+  Coupon.findOne({ code: String(code || "").trim().toUpperCase() });
+
+/** How many times a user has redeemed a coupon. */
+const countUserRedemptions = (couponId, userId, session = null) =>
+  CouponRedemption.countDocuments({ coupon: couponId, user: userId }).session(session);
+
+/** Cart lines in the shape evaluateCoupon expects. */
+async function cartCouponLines(cart) {
+  const products = await Product.find({
+    _id: { $in: cart.products.map((item) => item.product?._id ?? item.product) },
+  }).select("store category");
+  return cart.products.map((item) => {
+    const product = products.find(
+      (p) => idString(p._id) === idString(item.product),
+    );
+    return {
+      store: product?.store ?? item.store,
+      category: product?.category,
+      price: item.price,
+    };
+  });
+}
+
+/**
+ * Recompute a cart's subtotal, discount and cartTotal for its applied coupon.
+ * A code that no longer applies (expired, used up, cart changed) is removed
+ * from the cart. Mutates `cart`; the caller saves it.
+ *
+ * @param {Object} cart - Cart document.
+ * @returns {Promise<{ coupon?: Object, result?: Object, error?: string }>}
+ */
+async function applyCartCoupon(cart) {
+  const subtotal = cartTotal(cart.products);
+  cart.subtotal = subtotal;
+
+  if (!cart.coupon?.code) {
+    cart.discount = 0;
+    cart.cartTotal = subtotal;
+    return {};
+  }
+
+  const coupon = await Coupon.findById(cart.coupon.coupon);
+  const result = coupon
+    ? evaluateCoupon(coupon, {
+        lines: await cartCouponLines(cart),
+        userRedemptions: await countUserRedemptions(coupon._id, cart.owner),
+      })
+    : { error: "This code no longer exists" };
+
+  if (result.error) {
+    cart.coupon = undefined;
+    cart.discount = 0;
+    cart.cartTotal = subtotal;
+    return { error: result.error };
+  }
+
+  cart.coupon.freeDelivery = coupon.type === "free_delivery";
+  cart.discount = result.itemsDiscount;
+  cart.cartTotal = money.subtract(subtotal, result.itemsDiscount);
+  return { coupon, result };
+}
+
+/**
+ * Consume one use of a coupon inside the checkout transaction. The usage cap
+ * is enforced by the conditional update, so two buyers racing for the last
+ * use cannot both get it.
+ *
+ * @throws {Error} when the coupon is used up or inactive.
+ */
+async function redeemCoupon({ coupon, userId, checkoutId, amount }, session) {
+  const consumed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true, session },
+  );
+  if (!consumed) {
+    throw new Error(`Coupon ${coupon.code} has reached its usage limit`);
+  }
+
+  await CouponRedemption.create(
+    [{ coupon: coupon._id, code: coupon.code, user: userId, checkout: checkoutId, amount }],
+    { session },
+  );
+  return consumed;
+}
+
+const COUPON_TYPES = ["percentage", "fixed", "free_delivery"];
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+/**
+ * Validate and normalise an admin's coupon payload.
+ *
+ * @param {Object} body - request body
+ * @param {Object} [existing] - the coupon being updated; omitted on create,
+ *   where `code` and `type` are required.
+ * @returns {{ data: Object } | { error: string }} data holds only the fields
+ *   that were supplied.
+ */
+function normalizeCouponInput(body, existing = null) {
+  const data = {};
+  const has = (key) => body[key] !== undefined;
+
+  if (has("code") || !existing) {
+    const code = String(body.code || "").trim().toUpperCase();
+    if (!CODE_PATTERN.test(code)) {
+      return { error: "code must be 3–32 letters, digits, '-' or '_'" };
+    }
+    data.code = code;
+  }
+  if (has("type") || !existing) {
+    if (!COUPON_TYPES.includes(body.type)) {
+      return { error: `type must be one of: ${COUPON_TYPES.join(", ")}` };
+    }
+    data.type = body.type;
+  }
+  if (has("description")) data.description = String(body.description);
+
+  for (const key of ["value", "minOrderValue"]) {
+    if (!has(key)) continue;
+    if (typeof body[key] !== "number" || body[key] < 0) {
+      return { error: `${key} must be a non-negative number` };
+    }
+    data[key] = money.round(body[key]);
+  }
+  // Nullable limits: null lifts the cap
+  if (has("maxDiscount")) {
+    const value = body.maxDiscount;
+    if (value !== null && (typeof value !== "number" || value < 0)) {
+      return { error: "maxDiscount must be a non-negative number or null" };
+    }
+    data.maxDiscount = value === null ? null : money.round(value);
+  }
+  for (const key of ["usageLimit", "perUserLimit"]) {
+    if (!has(key)) continue;
+    const value = body[key];
+    if (value !== null && (!Number.isInteger(value) || value < 1)) {
+      return { error: `${key} must be a positive integer or null` };
+    }
+    data[key] = value;
+  }
+
+  for (const key of ["stores", "categories"]) {
+    if (!has(key)) continue;
+    if (!Array.isArray(body[key]) || !body[key].every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return { error: `${key} must be an array of ids` };
+    }
+    data[key] = body[key];
+  }
+
+  for (const key of ["startsAt", "endsAt"]) {
+    if (!has(key)) continue;
+    if (body[key] === null) {
+      data[key] = null;
+      continue;
+    }
+    const date = new Date(body[key]);
+    if (Number.isNaN(date.getTime())) return { error: `${key} must be a date` };
+    data[key] = date;
+  }
+  if (has("isActive")) data.isActive = Boolean(body.isActive);
+
+  // Cross-field checks against the merged result
+  const merged = { ...(existing ? existing.toObject() : {}), ...data };
+  if (merged.type === "percentage" && !(merged.value > 0 && merged.value <= 100)) {
+    return { error: "A percentage coupon needs a value between 0 and 100" };
+  }
+  if (merged.type === "fixed" && !(merged.value > 0)) {
+    return { error: "A fixed coupon needs a value greater than 0" };
+  }
+  if (merged.startsAt && merged.endsAt && merged.endsAt <= merged.startsAt) {
+    return { error: "endsAt must be after startsAt" };
+  }
+  return { data };
+}
+
+module.exports = {
+  COUPON_TYPES,
+  normalizeCouponInput,
+  evaluateCoupon,
+  availabilityError,
+  findByCode,
+  countUserRedemptions,
+  cartCouponLines,
+  applyCartCoupon,
+  redeemCoupon,
+};
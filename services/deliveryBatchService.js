@@ -0,0 +1,247 @@
+/**
+ * @file deliveryBatchService.js
+ * @description Order batching: a rider may carry several deliveries in one
+ * trip. A rider's trip is simply their active orders (assigned, picked_up or
+ * in_transit). Another order can join it while
+ *   - the trip is under the vehicle's limit (appConfig.dispatch.batching.maxOrders)
+ *   - the combined weight fits the vehicle (VEHICLE_CAPACITY_KG)
+ *   - its pickup is a store already on the trip, or within pickupRadiusKm of one
+ *   - nothing on the trip is in transit yet: the rider is still collecting.
+ * A rider's first order is never refused here.
+ *
+ * Each drop is confirmed on its own through the dual confirmation in
+ * dispatchEarningsService; the rider goes back online once the last order
+ * on the trip is delivered or failed. planTrip orders the stops and routes
+ * them through Mapbox.
+ */
+
+const Order = require("../models/orderModel");
+const DispatchProfile = require("../models/dispatchProfileModel");
+const appConfig = require("../config/appConfig");
+const mapboxService = require("./mapboxService");
+const { riderPositions } = require("./dispatchMatchingService");
+const { storePoint } = require("./riderCoverageService");
+const { haversineDistance, isPosition } = require("../utils/geo");
+const { normalizeVehicleType, VEHICLE_CAPACITY_KG } = require("../utils/vehicleType");
+
+const ACTIVE_DELIVERY_STATUSES = ["assigned", "picked_up", "in_transit"];
+
+const config = () => appConfig.dispatch.batching;
+const kmBetween = (a, b) => haversineDistance(a.lat, a.lng, b.lat, b.lng) / 1000;
+
+// The store an order is picked up from; multi-store orders go by their first
+const primaryStore = (order) => {
+  const store = order.products?.[0]?.store;
+  return store && typeof store === "object" ? store : null;
+};
+const weightOf = (order) => order.deliveryMetadata?.pricing?.weightKg || 0;
+
+/** The customer's drop-off point; null when the address was not geocoded. */
+function deliveryPoint(order) {
+  const coordinates = order.deliveryLocation?.coordinates;
+  return isPosition(coordinates) ? { lat: coordinates[1], lng: coordinates[0] } : null;
+}
+
+/** The rider's active orders, oldest first, with their stores' locations. */
+function activeTrip(riderId) {
+  return Order.find({
+    deliveryAgent: riderId,
+    deliveryStatus: { $in: ACTIVE_DELIVERY_STATUSES },
+    orderStatus: { $ne: "cancelled" },
+  })
+    .populate("products.store", "name address location")
+    .sort({ createdAt: 1 });
+}
+
+/**
+ * Several riders' trips at once, for auto-dispatch ranking.
+ * @returns {Promise<Map<string, Object[]>>} rider ID → active orders, oldest
+ *   first; riders with none are absent
+ */
+async function activeTrips(riderIds) {
+  const orders = await Order.find({
+    deliveryAgent: { $in: riderIds },
+    deliveryStatus: { $in: ACTIVE_DELIVERY_STATUSES },
+    orderStatus: { $ne: "cancelled" },
+  })
+    .populate("products.store", "name address location")
+    .sort({ createdAt: 1 });
+
+  const trips = new Map();
+  for (const order of orders) {
+    const rider = String(order.deliveryAgent);
+    if (!trips.has(rider)) trips.set(rider, []);
+    trips.get(rider).push(order);
+  }
+  return trips;
+}
+
+/** How many deliveries a vehicle may carry on one trip. */
+const maxOrdersFor = (vehicleType, settings = config()) =>
+  settings.maxOrders[normalizeVehicleType(vehicleType)] ?? 1;
+
+/**
+ * Why `order` cannot join a rider's trip.
+ *
+ * @param {Object[]} trip - the rider's active orders, products.store populated
+ * @param {Object} order - the order to add, products.store populated
+ * @param {string} vehicleType - the rider's vehicle
+ * @param {Object} [settings] - appConfig.dispatch.batching
+ * @returns {string|null} a message for the rider, null when it can join
+ */
+function tripConflict(trip, order, vehicleType, settings = config()) {
+  if (!trip.length) return null;
+
+  const vehicle = normalizeVehicleType(vehicleType);
+  const maxOrders = maxOrdersFor(vehicle, settings);
+  if (trip.length >= maxOrders) {
+    return `You can carry at most ${maxOrders} deliveries at once on your ${vehicle || "vehicle"}`;
+  }
+  if (trip.some((o) => o.deliveryStatus === "in_transit")) {
+    return "Deliveries can only be added before you set out. Finish your current trip first.";
+  }
+
+  const weightKg = trip.reduce((sum, o) => sum + weightOf(o), weightOf(order));
+  if (VEHICLE_CAPACITY_KG[vehicle] !== undefined && weightKg > VEHICLE_CAPACITY_KG[vehicle]) {
+    return "This delivery is too heavy to add to your current trip";
+  }
+
+  const store = primaryStore(order);
+  const tripStores = trip.map(primaryStore).filter(Boolean);
+  if (store && tripStores.some((s) => String(s._id) === String(store._id))) return null;
+
+  const point = storePoint(store);
+  const nearby =
+    point &&
+    tripStores.some((s) => {
+      const other = storePoint(s);
+      return other && kmBetween(point, other) <= settings.pickupRadiusKm;
+    });
+  return nearby ? null : "This pickup is too far from the stores on your current trip";
+}
+
+/**
+ * Order a trip's stops: always the nearest next stop, with one pickup per
+ * store and each drop-off after its pickup. Orders already picked up only
+ * need dropping off. Stops without coordinates cannot be placed and go last.
+ *
+ * @param {Object[]} trip - active orders, products.store populated
+ * @param {{ lat: number, lng: number }} [start] - the rider's position
+ * @returns {Array<{ sequence: number, type: "pickup"|"dropoff", orders: Object[],
+ *   store?: Object, address: string|null, location: { lat, lng }|null }>}
+ */
+function planStops(trip, start) {
+  const pickups = new Map();
+  const remaining = [];
+
+  for (const order of trip) {
+    const ref = { orderId: order._id, orderNumber: order.orderNumber };
+    const dropoff = {
+      type: "dropoff",
+      orders: [ref],
+      address: order.deliveryAddress || order.deliveryLocation?.formattedAddress || null,
+      location: deliveryPoint(order),
+    };
+
+    const store = primaryStore(order);
+    if (order.deliveryStatus === "assigned") {
+      const key = store ? String(store._id) : `order:${order._id}`;
+      if (!pickups.has(key)) {
+        const pickup = {
+          type: "pickup",
+          orders: [],
+          store: store ? { id: store._id, name: store.name || null } : null,
+          address: store?.address || store?.location?.formattedAddress || null,
+          location: storePoint(store),
+        };
+        pickups.set(key, pickup);
+        remaining.push(pickup);
+      }
+      pickups.get(key).orders.push(ref);
+      dropoff.after = pickups.get(key);
+    }
+    remaining.push(dropoff);
+  }
+
+  const stops = [];
+  const visited = new Set();
+  let here = start || null;
+  while (remaining.length) {
+    const ready = remaining.filter((stop) => !stop.after || visited.has(stop.after));
+    const located = ready.filter((stop) => stop.location);
+    let next = ready[0];
+    if (located.length) {
+      next = here
+        ? located.reduce((best, stop) =>
+            kmBetween(here, stop.location) < kmBetween(here, best.location) ? stop : best,
+          )
+        : located[0];
+    }
+
+    remaining.splice(remaining.indexOf(next), 1);
+    visited.add(next);
+    if (next.location) here = next.location;
+
+    const { after, ...stop } = next;
+    stops.push({ sequence: stops.length + 1, ...stop });
+  }
+  return stops;
+}
+
+/**
+ * The rider's trip: their active orders, the stops in order, and a route
+ * through them from the rider's position. The route is null when Mapbox is
+ * not configured or fewer than two points are known.
+ *
+ * @returns {Promise<{ orders: Object[], stops: Object[], route: Object|null }>}
+ */
+async function planTrip(riderId) {
+  const orders = await activeTrip(riderId);
+  if (!orders.length) return { orders, stops: [], route: null };
+
+  const start = (await riderPositions([riderId])).get(String(riderId));
+  const stops = planStops(orders, start);
+
+  const points = stops.filter((stop) => stop.location).map((stop) => stop.location);
+  if (start) points.unshift(start);
+  let route = null;
+  if (points.length >= 2) {
+    const directions = await mapboxService.getDirections(
+      points[0],
+      points[points.length - 1],
+      points.slice(1, -1),
+    );
+    if (directions) {
+      const { distance, duration, polyline, steps } = directions;
+      route = { distance, duration, polyline, steps };
+    }
+  }
+
+  return { orders, stops, route };
+}
+
+/** Set a busy rider back online once nothing is left on their trip. */
+async function releaseRiderIfIdle(riderId) {
+  const active = await Order.exists({
+    deliveryAgent: riderId,
+    deliveryStatus: { $in: ACTIVE_DELIVERY_STATUSES },
+    orderStatus: { $ne: "cancelled" },
+  });
+  if (active) return false;
+
+  await DispatchProfile.updateOne(
+    { user: riderId, "availability.status": "busy" },
+    { "availability.status": "online", lastActiveAt: new Date() },
+  );
+  return true;
+}
+
+module.exports = {
+  activeTrip,
+  activeTrips,
+  maxOrdersFor,
+  tripConflict,
+  planStops,
+  planTrip,
+  releaseRiderIfIdle,
+};
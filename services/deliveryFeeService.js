@@ -1,10 +1,23 @@
 const mapboxService = require("../services/mapboxService");
+const geofenceService = require("../services/geofenceService");
+const DeliveryPricing = require("../models/deliveryPricingModel");
 const appConfig = require("../config/appConfig");
 const money = require("../utils/money");
+const { normalizeVehicleType } = require("../utils/vehicleType");
+const {
+  DAY_NAMES,
+  parseClock,
+  isInTimeWindow,
+} = require("../utils/notificationSchedule");
+
+const isNonNegative = (value) => typeof value === "number" && Number.isFinite(value) && value >= 0;
 
 /**
  * @class DeliveryFeeService
- * @description Calculate delivery fees based on road distance using the Mapbox Matrix API
+ * @description Calculate delivery fees based on road distance using the Mapbox Matrix API,
+ * priced with the admin-editable rules in models/deliveryPricingModel:
+ *
+ *   fee = (distance fee × vehicle multiplier + zone surcharges + weight fee) × surge
  */
 class DeliveryFeeService {
   constructor() {
@@ -16,16 +29,22 @@ class DeliveryFeeService {
    *
    * @param {string|{lat:number,lng:number}} storeLocation  - Store address string OR coords object
    * @param {string|{lat:number,lng:number}} userLocation   - User address string  OR coords object
-   * @returns {Promise<{fee:number, distance:number, estimatedTime:number, route:object}>}
+   * @param {Object} [options]
+   * @param {string} [options.vehicleType] - canonical vehicle type the delivery needs
+   * @param {number} [options.weightKg]    - total package weight
+   * @param {Date}   [options.at]          - when the delivery is booked (for surge)
+   * @returns {Promise<{fee:number, distance:number, estimatedTime:number, pricing:object}>}
    */
-  async calculateDeliveryFee(storeLocation, userLocation) {
+  async calculateDeliveryFee(storeLocation, userLocation, options = {}) {
+    const rules = await this.getPricingRules();
+    let zones = [];
     try {
       // Validate Mapbox is configured
       if (!mapboxService.isConfigured()) {
         console.warn(
           "[DeliveryFee] Mapbox not configured, using fallback base fee",
         );
-        return this.getFallbackFee();
+        return this.getFallbackFee(rules, options);
       }
 
       // Resolve to coordinate objects
@@ -36,9 +55,11 @@ class DeliveryFeeService {
         console.warn(
           "[DeliveryFee] Coordinate resolution failed, using fallback base fee",
         );
-        return this.getFallbackFee();
+        return this.getFallbackFee(rules, options);
       }
 
+      zones = await geofenceService.zoneSurcharges([storeCoords, userCoords]);
+
       // Get road distance via Distance Matrix
       const matrix = await mapboxService.getDistanceMatrix(
         storeCoords,
@@ -49,28 +70,20 @@ class DeliveryFeeService {
         console.warn(
           "[DeliveryFee] Distance Matrix failed, using fallback base fee",
         );
-        return this.getFallbackFee();
+        return this.getFallbackFee(rules, options, zones);
       }
 
       const distanceKm = matrix.distanceMeters / 1000;
-
-      // Check maximum delivery range
-      if (distanceKm > this.deliveryConfig.distanceRates.maxDistance) {
-        throw new Error(
-          `Delivery distance (${distanceKm.toFixed(2)}km) exceeds maximum allowed ` +
-            `(${this.deliveryConfig.distanceRates.maxDistance}km)`,
-        );
-      }
-
-      const fee = this.calculateFeeFromDistance(distanceKm);
+      const { fee, pricing } = this.priceDelivery(rules, { ...options, distanceKm, zones });
       const estimatedTime = Math.ceil(matrix.durationSeconds / 60); // minutes
 
       return {
-        fee: money.round(fee),
+        fee,
         distance: Math.round(distanceKm * 100) / 100,
         estimatedTime,
         distanceText: matrix.distanceText,
         durationText: matrix.durationText,
+        pricing,
       };
     } catch (error) {
       if (error.message.includes("exceeds maximum")) {
@@ -81,7 +94,7 @@ class DeliveryFeeService {
 
       if (this.deliveryConfig.fallbackToBaseFee) {
         console.warn("[DeliveryFee] Using fallback base fee due to error");
-        return this.getFallbackFee();
+        return this.getFallbackFee(rules, options, zones);
       }
 
       throw error;
@@ -113,13 +126,115 @@ class DeliveryFeeService {
     return { lat: geocoded.lat, lng: geocoded.lng };
   }
 
+  /**
+   * The pricing rules in force. A database failure falls back to the
+   * appConfig defaults rather than blocking checkout.
+   * @returns {Promise<Object>} DeliveryPricing document
+   */
+  async getPricingRules() {
+    try {
+      return await DeliveryPricing.getActive();
+    } catch (error) {
+      console.error("[DeliveryFee] Could not load pricing rules:", error.message);
+      return new DeliveryPricing();
+    }
+  }
+
+  /**
+   * Price a delivery. Pure: everything it depends on is passed in.
+   *
+   * @param {Object} rules - DeliveryPricing document (or same shape)
+   * @param {Object} quote
+   * @param {number} [quote.distanceKm]
+   * @param {string} [quote.vehicleType]
+   * @param {number} [quote.weightKg]
+   * @param {Array<{fee:number}>} [quote.zones] - from geofenceService.zoneSurcharges
+   * @param {Date}   [quote.at]
+   * @returns {{ fee: number, pricing: Object }} pricing is the breakdown stored
+   *   on order.deliveryMetadata.pricing
+   * @throws {Error} "... exceeds maximum allowed ..." for a distance or weight
+   *   beyond the rules' limits
+   */
+  priceDelivery(
+    rules,
+    { distanceKm = 0, vehicleType, weightKg = 0, zones = [], at = new Date() } = {},
+  ) {
+    const { distanceRates, weight } = rules;
+
+    // Check maximum delivery range
+    if (distanceKm > distanceRates.maxDistance) {
+      throw new Error(
+        `Delivery distance (${distanceKm.toFixed(2)}km) exceeds maximum allowed ` +
+          `(${distanceRates.maxDistance}km)`,
+      );
+    }
+    if (weightKg > weight.maxKg) {
+      throw new Error(
+        `Package weight (${weightKg}kg) exceeds maximum allowed (${weight.maxKg}kg)`,
+      );
+    }
+
+    const multipliers =
+      rules.vehicleMultipliers instanceof Map
+        ? rules.vehicleMultipliers
+        : new Map(Object.entries(rules.vehicleMultipliers || {}));
+    const vehicleMultiplier = multipliers.get(vehicleType) ?? 1;
+
+    const distanceFee = this.calculateFeeFromDistance(distanceKm, rules);
+    const zoneFee = money.sum(zones, (zone) => zone.fee);
+    // Every started kilogram beyond the allowance is charged
+    const extraKg = Math.ceil(Math.max(0, weightKg - weight.includedKg));
+    const weightFee = money.multiply(weight.perKg, extraKg);
+    const surge = this.activeSurge(rules.surgeWindows, at);
+    const surgeMultiplier = surge?.multiplier ?? 1;
+
+    const fee = money.multiply(
+      money.add(money.multiply(distanceFee, vehicleMultiplier), zoneFee, weightFee),
+      surgeMultiplier,
+    );
+
+    return {
+      fee,
+      pricing: {
+        distanceFee,
+        vehicleMultiplier,
+        zones: zones.map(({ geofence, name, fee: zoneCharge }) => ({
+          geofence,
+          name,
+          fee: zoneCharge,
+        })),
+        zoneFee,
+        weightKg,
+        weightFee,
+        surge: surge?.name,
+        surgeMultiplier,
+        pricingVersion: rules.version,
+      },
+    };
+  }
+
+  /**
+   * The surge window in force at `at`. Overlapping windows do not compound:
+   * the highest multiplier wins.
+   * @returns {{name:string, multiplier:number}|null}
+   */
+  activeSurge(surgeWindows = [], at = new Date()) {
+    let active = null;
+    for (const window of surgeWindows) {
+      if (!isInTimeWindow(window, at)) continue;
+      if (!active || window.multiplier > active.multiplier) active = window;
+    }
+    return active && { name: active.name, multiplier: active.multiplier };
+  }
+
   /**
    * Calculate fee from distance using configured pricing tiers.
    * @param {number} distanceKm
+   * @param {Object} [rules] - pricing rules; the appConfig defaults when omitted
    * @returns {number} Fee in NGN
    */
-  calculateFeeFromDistance(distanceKm) {
-    const { baseFee, distanceRates } = this.deliveryConfig;
+  calculateFeeFromDistance(distanceKm, rules = this.deliveryConfig) {
+    const { baseFee, distanceRates } = rules;
 
     if (distanceKm <= distanceRates.baseDistance) {
       return money.round(baseFee);
@@ -132,14 +247,94 @@ class DeliveryFeeService {
   }
 
   /**
-   * Fallback fee when maps API is unavailable.
+   * Validate and normalise an admin's pricing rules payload.
+   *
+   * @param {Object} body - request body; every field is optional
+   * @param {Object} existing - the DeliveryPricing document being edited
+   * @returns {{ data: Object } | { error: string }} data holds only the
+   *   supplied fields. distanceRates and weight keys are set individually,
+   *   vehicleMultipliers are merged into the existing ones and surgeWindows
+   *   replace the whole list.
+   */
+  normalizePricingInput(body, existing) {
+    const data = {};
+
+    if (body.baseFee !== undefined) {
+      if (!isNonNegative(body.baseFee)) {
+        return { error: "baseFee must be a non-negative number" };
+      }
+      data.baseFee = body.baseFee;
+    }
+
+    const groups = {
+      distanceRates: ["perKm", "baseDistance", "maxDistance"],
+      weight: ["includedKg", "perKg", "maxKg"],
+    };
+    for (const [group, keys] of Object.entries(groups)) {
+      for (const key of keys) {
+        const value = body[group]?.[key];
+        if (value === undefined) continue;
+        if (!isNonNegative(value)) {
+          return { error: `${group}.${key} must be a non-negative number` };
+        }
+        data[`${group}.${key}`] = value;
+      }
+    }
+
+    if (body.vehicleMultipliers !== undefined) {
+      const multipliers = Object.fromEntries(existing.vehicleMultipliers);
+      for (const [raw, value] of Object.entries(body.vehicleMultipliers || {})) {
+        const type = normalizeVehicleType(raw);
+        if (!type) return { error: `Unknown vehicle type: ${raw}` };
+        if (!isNonNegative(value)) {
+          return { error: `vehicleMultipliers.${type} must be a non-negative number` };
+        }
+        multipliers[type] = value;
+      }
+      data.vehicleMultipliers = multipliers;
+    }
+
+    if (body.surgeWindows !== undefined) {
+      if (!Array.isArray(body.surgeWindows)) {
+        return { error: "surgeWindows must be an array" };
+      }
+      const windows = [];
+      for (const window of body.surgeWindows) {
+        const { name, start, end, days = [], multiplier } = window || {};
+        if (typeof name !== "string" || !name.trim()) {
+          return { error: "Every surge window needs a name" };
+        }
+        if (parseClock(start) === null || parseClock(end) === null) {
+          return { error: `Surge window "${name}" needs HH:MM start and end times` };
+        }
+        const dayNames = Array.isArray(days) ? days.map((d) => String(d).toLowerCase()) : null;
+        if (!dayNames || !dayNames.every((d) => DAY_NAMES.includes(d))) {
+          return { error: `Surge window "${name}" days must be from: ${DAY_NAMES.join(", ")}` };
+        }
+        if (typeof multiplier !== "number" || multiplier < 1 || multiplier > 5) {
+          return { error: `Surge window "${name}" multiplier must be from 1 to 5` };
+        }
+        windows.push({ name: name.trim(), start, end, days: [...new Set(dayNames)], multiplier });
+      }
+      data.surgeWindows = windows;
+    }
+
+    if (!Object.keys(data).length) return { error: "No pricing fields to update" };
+    return { data };
+  }
+
+  /**
+   * Fallback fee when maps API is unavailable: the base fee, with the
+   * vehicle, zone, weight and surge rules still applied.
    */
-  getFallbackFee() {
+  getFallbackFee(rules, options = {}, zones = []) {
+    const { fee, pricing } = this.priceDelivery(rules, { ...options, distanceKm: 0, zones });
     return {
-      fee: this.deliveryConfig.baseFee,
+      fee,
       distance: 0,
       estimatedTime: 0,
       fallback: true,
+      pricing,
     };
   }
 }
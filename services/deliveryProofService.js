@@ -0,0 +1,124 @@
+/**
+ * @file deliveryProofService.js
+ * @description Proof of delivery that does not wait for the buyer to tap
+ * "I received my order". When the rider confirms a drop they may submit:
+ *   - the buyer's handover PIN, issued with every delivery-agent order and
+ *     shown to the buyer (never to the rider);
+ *   - a proof-of-delivery photo, uploaded through the Cloudinary signature
+ *     flow (uploadController);
+ *   - a GPS stamp within GPS_RADIUS_METERS of the drop-off point.
+ * Any one of them confirms the delivery on the buyer's behalf, and the rider
+ * is credited (dispatchEarningsService.confirmDeliveryWithProof). A PIN that
+ * is given must be right, and MAX_PIN_ATTEMPTS wrong ones lock the PIN.
+ */
+
+const crypto = require("crypto");
+const Order = require("../models/orderModel");
+const { Validate } = require("../Helpers/Validate");
+const { haversineDistance, isPosition } = require("../utils/geo");
+
+const PIN_LENGTH = 4;
+const MAX_PIN_ATTEMPTS = 5;
+// How close to the drop-off a GPS stamp must be, and how precise
+const GPS_RADIUS_METERS = 150;
+const GPS_MAX_ACCURACY_METERS = 100;
+
+/** A random numeric handover PIN, e.g. "0427". */
+function generateHandoverPin() {
+  return String(crypto.randomInt(0, 10 ** PIN_LENGTH)).padStart(PIN_LENGTH, "0");
+}
+
+/**
+ * The order's handover PIN, issuing one for orders created before PINs were.
+ * @returns {Promise<string|null>} null when the order does not exist
+ */
+async function handoverPinFor(orderId) {
+  const order = await Order.findById(orderId).select("+deliveryConfirmation.handoverPin");
+  if (!order) return null;
+  if (order.deliveryConfirmation?.handoverPin) return order.deliveryConfirmation.handoverPin;
+
+  // Conditional, so two requests racing to issue one agree on the same PIN
+  await Order.updateOne(
+    { _id: orderId, "deliveryConfirmation.handoverPin": { $exists: false } },
+    { $set: { "deliveryConfirmation.handoverPin": generateHandoverPin() } },
+  );
+  const issued = await Order.findById(orderId).select("+deliveryConfirmation.handoverPin");
+  return issued.deliveryConfirmation.handoverPin;
+}
+
+const pinMatches = (expected, given) => {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(given).trim());
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Judge the proof a rider submits for a drop.
+ *
+ * @param {Object} order - loaded with +deliveryConfirmation.handoverPin
+ * @param {Object} proof
+ * @param {string} [proof.pin] - handover PIN the buyer read out
+ * @param {string} [proof.photoUrl] - Cloudinary URL of the proof photo
+ * @param {{ latitude: number, longitude: number, accuracy?: number }} [proof.location]
+ * @param {Date} [now]
+ * @returns {{ method: "pin"|"gps"|"photo", record: Object } | { error: string, wrongPin?: boolean }}
+ *   record is what to store as deliveryConfirmation.proof: every piece of
+ *   evidence given, whichever one satisfied the check
+ */
+function evaluateProof(order, { pin, photoUrl, location } = {}, now = new Date()) {
+  const record = { capturedAt: now };
+
+  if (photoUrl !== undefined) {
+    if (!Validate.cloudinaryUrl(photoUrl)) {
+      return { error: "photoUrl must be a Cloudinary URL from the upload signature flow" };
+    }
+    record.photoUrl = photoUrl;
+  }
+
+  let nearDropoff = false;
+  if (location !== undefined) {
+    const { latitude, longitude, accuracy } = location || {};
+    if (!isPosition([longitude, latitude])) {
+      return { error: "location needs a numeric latitude and longitude" };
+    }
+    record.location = { type: "Point", coordinates: [longitude, latitude] };
+    if (Number.isFinite(accuracy)) record.accuracy = accuracy;
+
+    const dropoff = order.deliveryLocation?.coordinates;
+    if (isPosition(dropoff)) {
+      record.distanceFromDropoff = Math.round(
+        haversineDistance(latitude, longitude, dropoff[1], dropoff[0]),
+      );
+      nearDropoff =
+        record.distanceFromDropoff <= GPS_RADIUS_METERS &&
+        !(accuracy > GPS_MAX_ACCURACY_METERS);
+    }
+  }
+
+  if (pin !== undefined && pin !== null && pin !== "") {
+    if ((order.deliveryConfirmation?.pinAttempts || 0) >= MAX_PIN_ATTEMPTS) {
+      return {
+        error: "Too many wrong handover codes. Ask the buyer to confirm delivery in the app.",
+      };
+    }
+    const expected = order.deliveryConfirmation?.handoverPin;
+    if (!expected || !pinMatches(expected, pin)) {
+      return { error: "Wrong handover code", wrongPin: true };
+    }
+    return { method: "pin", record };
+  }
+  if (nearDropoff) return { method: "gps", record };
+  if (record.photoUrl) return { method: "photo", record };
+  if (record.location) {
+    return { error: "Your location does not match the delivery address" };
+  }
+  return { error: "Provide the buyer's handover code, a delivery photo or your location" };
+}
+
+module.exports = {
+  MAX_PIN_ATTEMPTS,
+  GPS_RADIUS_METERS,
+  generateHandoverPin,
+  handoverPinFor,
+  evaluateProof,
+};
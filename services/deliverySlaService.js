@@ -0,0 +1,242 @@
+/**
+ * @file deliverySlaService.js
+ * @description Follow-up on orders that stall, run by the "delivery_sla" job
+ * on the task queue. Each run:
+ *   1. reminds buyers to confirm a drop the rider confirmed more than
+ *      reminderAfterHours ago (once per order);
+ *   2. confirms for buyers who still have not after autoConfirmAfterHours, as
+ *      the SYSTEM role, when the rider's last location on the order was within
+ *      autoConfirmRadiusMeters of the drop-off — the rider is then paid
+ *      (dispatchEarningsService.systemConfirmDelivery);
+ *   3. alerts admins (alertService) to paid orders left untouched in a
+ *      non-terminal state past its stalledAfterHours, once per order and state.
+ *
+ * Settings live in appConfig.deliverySla. Drops that cannot be auto-confirmed
+ * stay in transit and reach admins through step 3.
+ */
+
+const Order = require("../models/orderModel");
+const LocationTracking = require("../models/locationTrackingModel");
+const appConfig = require("../config/appConfig");
+const { PaymentStatus } = require("../utils/constants");
+const { ACTIVE_STATUSES, normalizeStatus, statusLabel } = require("../utils/orderStatus");
+const { haversineDistance, isPosition } = require("../utils/geo");
+const alertService = require("./alertService");
+const firebaseService = require("./firebaseNotificationService");
+const dispatchEarnings = require("./dispatchEarningsService");
+const audit = require("./auditService");
+const logger = require("./logger");
+
+const HOUR_MS = 60 * 60_000;
+
+const config = () => appConfig.deliverySla;
+const hoursBefore = (now, hours) => new Date(now.getTime() - hours * HOUR_MS);
+
+// Rider confirmed, buyer has not, and the order is still open
+const awaitingBuyer = () => ({
+  deliveryMethod: "delivery_agent",
+  "deliveryConfirmation.agentConfirmed": true,
+  "deliveryConfirmation.customerConfirmed": { $ne: true },
+  deliveryStatus: { $ne: "delivered" },
+  orderStatus: { $ne: "cancelled" },
+  paymentStatus: PaymentStatus.PAID,
+});
+
+/** When the order entered its current state, from its status history. */
+function enteredStatusAt(order) {
+  const status = normalizeStatus(order.orderStatus);
+  const history = order.statusHistory || [];
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].status === status && history[i].at) return new Date(history[i].at);
+  }
+  // Orders without a history entry for this state: the last write is the
+  // latest it can have been entered
+  return status === "pending" ? order.createdAt : order.updatedAt || order.createdAt;
+}
+
+/**
+ * How long past its SLA an order is, in hours.
+ * @returns {number|null} null while within the SLA, or for terminal states
+ */
+function hoursOverdue(order, stalledAfterHours, now = new Date()) {
+  const limit = stalledAfterHours[normalizeStatus(order.orderStatus)];
+  const since = enteredStatusAt(order);
+  if (!limit || !since) return null;
+  const overdue = (now.getTime() - new Date(since).getTime()) / HOUR_MS - limit;
+  return overdue > 0 ? Math.round(overdue * 10) / 10 : null;
+}
+
+/**
+ * Metres between the rider's last tracked location on the order and its
+ * drop-off; null when either is unknown.
+ */
+async function riderDistanceFromDropoff(order) {
+  const dropoff = order.deliveryLocation?.coordinates;
+  if (!isPosition(dropoff)) return null;
+
+  const tracking = await LocationTracking.findOne({
+    order: order._id,
+    deliveryAgent: order.deliveryAgent,
+  })
+    .sort({ lastUpdated: -1 })
+    .select("currentLocation.coordinates");
+  const last = tracking?.currentLocation?.coordinates;
+  if (!isPosition(last)) return null;
+
+  return Math.round(haversineDistance(last[1], last[0], dropoff[1], dropoff[0]));
+}
+
+/** Step 1: nudge buyers who have not confirmed a drop. */
+async function remindBuyers(now = new Date()) {
+  const orders = await Order.find({
+    ...awaitingBuyer(),
+    "deliveryConfirmation.agentConfirmedAt": { $lte: hoursBefore(now, config().reminderAfterHours) },
+    "deliveryConfirmation.reminderSentAt": { $exists: false },
+  })
+    .select("orderNumber orderedBy")
+    .limit(config().batchSize);
+
+  let reminded = 0;
+  for (const order of orders) {
+    // Claim it first so two workers never both remind
+    const claimed = await Order.updateOne(
+      { _id: order._id, "deliveryConfirmation.reminderSentAt": { $exists: false } },
+      { $set: { "deliveryConfirmation.reminderSentAt": now } },
+      { timestamps: false },
+    );
+    if (!claimed.modifiedCount) continue;
+
+    try {
+      await firebaseService.sendTemplatedNotification(
+        String(order.orderedBy),
+        "delivery_confirm_reminder",
+        { orderNumber: order.orderNumber },
+        { orderId: order._id.toString(), orderNumber: String(order.orderNumber) },
+        "orderUpdates",
+      );
+      reminded++;
+    } catch (error) {
+      logger.error(`[DeliverySla] Reminder for order ${order._id} failed: ${error.message}`);
+    }
+  }
+  return reminded;
+}
+
+/** Step 2: confirm for buyers when the rider was at the drop-off. */
+async function autoConfirmDeliveries(now = new Date()) {
+  const { autoConfirmAfterHours, autoConfirmRadiusMeters, batchSize } = config();
+  const orders = await Order.find({
+    ...awaitingBuyer(),
+    "deliveryConfirmation.agentConfirmedAt": { $lte: hoursBefore(now, autoConfirmAfterHours) },
+  })
+    .select("deliveryAgent deliveryLocation")
+    .limit(batchSize);
+
+  let confirmed = 0;
+  for (const order of orders) {
+    const distanceMeters = await riderDistanceFromDropoff(order);
+    if (distanceMeters === null || distanceMeters > autoConfirmRadiusMeters) continue;
+
+    try {
+      const result = await dispatchEarnings.systemConfirmDelivery(order._id, {
+        reason: "buyer_unresponsive",
+        riderDistanceMeters: distanceMeters,
+        afterHours: autoConfirmAfterHours,
+      });
+      if (result.reason !== "already_credited") confirmed++;
+    } catch (error) {
+      audit.error({
+        action: "delivery.auto_confirm_failed",
+        actor: { userId: null, role: "system", ip: "delivery-sla" },
+        resource: { type: "order", id: order._id },
+        metadata: { error: error.message, riderDistanceMeters: distanceMeters },
+      });
+    }
+  }
+  return confirmed;
+}
+
+/** Step 3: tell admins about orders stuck past their SLA. */
+async function escalateStalledOrders(now = new Date()) {
+  const { stalledAfterHours, batchSize } = config();
+  const slaStatuses = ACTIVE_STATUSES.filter((status) => stalledAfterHours[status]);
+  if (!slaStatuses.length) return 0;
+
+  // Stalled means untouched for the state's SLA: nothing has moved it on since.
+  // The SLA writes below skip timestamps so they do not reset that clock.
+  const orders = await Order.find({
+    paymentStatus: PaymentStatus.PAID,
+    $or: slaStatuses.map((status) => ({
+      orderStatus: status,
+      updatedAt: { $lte: hoursBefore(now, stalledAfterHours[status]) },
+      "slaEscalation.status": { $ne: status },
+    })),
+  })
+    .select("orderNumber orderStatus deliveryMethod deliveryStatus statusHistory createdAt updatedAt")
+    .sort({ updatedAt: 1 })
+    .limit(batchSize);
+
+  const stalled = {};
+  for (const order of orders) {
+    const overdue = hoursOverdue(order, stalledAfterHours, now);
+    if (overdue === null) continue;
+
+    const claimed = await Order.updateOne(
+      { _id: order._id, orderStatus: order.orderStatus, "slaEscalation.status": { $ne: order.orderStatus } },
+      { $set: { slaEscalation: { status: order.orderStatus, flaggedAt: now } } },
+      { timestamps: false },
+    );
+    if (!claimed.modifiedCount) continue;
+
+    stalled[`#${order.orderNumber || order._id}`] =
+      `${statusLabel(order.orderStatus)} for ${Math.round(
+        stalledAfterHours[normalizeStatus(order.orderStatus)] + overdue,
+      )}h (${order.deliveryMethod}, delivery ${order.deliveryStatus || "n/a"})`;
+  }
+
+  const count = Object.keys(stalled).length;
+  if (count) {
+    audit.log({
+      action: "order.sla_breached",
+      actor: { userId: null, role: "system", ip: "delivery-sla" },
+      resource: { type: "order" },
+      metadata: { orders: Object.keys(stalled) },
+    });
+    await alertService.notifyAdmins(
+      `${count} order${count === 1 ? "" : "s"} stalled past SLA`,
+      "These paid orders have not moved on within the time allowed for their state.",
+      stalled,
+    );
+  }
+  return count;
+}
+
+/**
+ * One pass of the job. Each step runs even if an earlier one fails.
+ * @returns {Promise<{ reminded: number, autoConfirmed: number, escalated: number }>}
+ */
+async function runDeliverySla(now = new Date()) {
+  const step = async (name, fn) => {
+    try {
+      return await fn(now);
+    } catch (error) {
+      logger.error(`[DeliverySla] ${name} failed: ${error.message}`);
+      return 0;
+    }
+  };
+
+  return {
+    reminded: await step("reminders", remindBuyers),
+    autoConfirmed: await step("auto-confirm", autoConfirmDeliveries),
+    escalated: await step("escalation", escalateStalledOrders),
+  };
+}
+
+module.exports = {
+  enteredStatusAt,
+  hoursOverdue,
+  remindBuyers,
+  autoConfirmDeliveries,
+  escalateStalledOrders,
+  runDeliverySla,
+};
@@ -7,6 +7,17 @@
  *     dispatch_commission transaction for the order).
  *   - Atomicity: wallet balance + transaction ledger updated in one MongoDB session.
  *   - Validates the agent is actually assigned to the order before crediting.
+ *
+ * The agent may instead confirm with proof — the buyer's handover PIN, a photo
+ * or a GPS stamp at the drop-off — which stands in for the customer's
+ * confirmation (confirmDeliveryWithProof, deliveryProofService).
+ *
+ * Every order of a batched trip is confirmed on its own; the agent is set back
+ * online when the last one is delivered (deliveryBatchService).
+ *
+ * When the customer never confirms, the SYSTEM role confirms for them once the
+ * agent's last location was at the drop-off (systemConfirmDelivery, run by
+ * deliverySlaService).
  */
 
 const mongoose = require("mongoose");
@@ -23,7 +34,10 @@ const {
   sendConfirmDeliveryRequestEmail,
   sendEarningsCreditedEmail,
 } = require("./dispatchEmailService");
+const { STATUS, ROLE, canTransition } = require("../utils/orderStatus");
 const audit = require("./auditService");
+const { releaseRiderIfIdle } = require("./deliveryBatchService");
+const { evaluateProof } = require("./deliveryProofService");
 
 /**
  * Called when the dispatch agent taps "I delivered this order".
@@ -150,6 +164,156 @@ async function customerConfirmDelivery(orderId, customerId, actorContext = {}) {
   return { credited: false, reason: "awaiting_agent_confirmation" };
 }
 
+/**
+ * Called when the dispatch agent confirms a drop with proof instead of waiting
+ * for the customer: the buyer's handover PIN, a proof-of-delivery photo, or a
+ * GPS stamp at the drop-off (see deliveryProofService.evaluateProof). Valid
+ * proof confirms for both parties and credits earnings immediately.
+ *
+ * @param {string} orderId     - The order being delivered
+ * @param {string} agentUserId - The dispatch agent's User._id
+ * @param {{ pin?: string, photoUrl?: string, location?: Object }} proof
+ * @returns {Promise<{ credited: boolean, amount?: number, walletBalance?: number, reason?: string, message?: string }>}
+ *   reason "proof_rejected" with a message when the proof does not hold
+ */
+async function confirmDeliveryWithProof(orderId, agentUserId, proof, actorContext = {}) {
+  const alreadyCredited = await Transaction.findOne({
+    reference: `DispatchEarnings-${orderId}`,
+    type: "dispatch_commission",
+    status: "completed",
+  });
+
+  if (alreadyCredited) {
+    return { credited: false, reason: "already_credited" };
+  }
+
+  const order = await Order.findById(orderId)
+    .select("+deliveryConfirmation.handoverPin")
+    .populate("deliveryAgent", "fullName email")
+    .populate("orderedBy", "fullName email");
+
+  if (!order) throw new Error(`Order ${orderId} not found`);
+
+  if (!order.deliveryAgent) {
+    throw new Error(`Order ${orderId} has no assigned delivery agent`);
+  }
+
+  if (order.deliveryAgent._id.toString() !== agentUserId.toString()) {
+    throw new Error("You are not the assigned delivery agent for this order");
+  }
+
+  if (order.paymentStatus !== PaymentStatus.PAID) {
+    throw new Error("Order is not paid — earnings cannot be credited yet");
+  }
+
+  if (order.deliveryStatus === DeliveryStatus.DELIVERED) {
+    throw new Error("Order has already been marked as delivered");
+  }
+
+  const verdict = evaluateProof(order, proof);
+  if (verdict.error) {
+    if (verdict.wrongPin) {
+      await Order.updateOne(
+        { _id: orderId },
+        { $inc: { "deliveryConfirmation.pinAttempts": 1 } },
+      );
+    }
+    audit.log({
+      action: "delivery.proof_rejected",
+      actor: { userId: agentUserId, role: "dispatch", ...actorContext },
+      resource: { type: "order", id: order._id },
+      metadata: { reason: verdict.error },
+    });
+    return { credited: false, reason: "proof_rejected", message: verdict.error };
+  }
+
+  // ── Proof stands in for the customer's confirmation ──────────────────────
+  const now = new Date();
+  await Order.findByIdAndUpdate(orderId, {
+    "deliveryConfirmation.agentConfirmed": true,
+    "deliveryConfirmation.agentConfirmedAt": now,
+    "deliveryConfirmation.proof": { method: verdict.method, ...verdict.record },
+    "deliveryMetadata.confirmedByAgent": agentUserId,
+  });
+
+  audit.log({
+    action: "delivery.proof_confirmed",
+    actor: { userId: agentUserId, role: "dispatch", ...actorContext },
+    resource: { type: "order", id: order._id },
+    changes: { after: { agentConfirmed: true, proof: verdict.method } },
+  });
+
+  return _creditEarnings(order, agentUserId, actorContext);
+}
+
+/**
+ * Called by the delivery SLA job when the agent confirmed a drop but the
+ * customer has not, long after. Confirms on the customer's behalf as the
+ * SYSTEM role and credits earnings. The caller decides the agent's location
+ * backs the drop; this only re-checks the order is still waiting on the
+ * customer.
+ *
+ * @param {string} orderId - The order being confirmed
+ * @param {Object} [metadata] - Why the system confirmed, recorded in the audit log
+ * @returns {Promise<{ credited: boolean, amount?: number, walletBalance?: number, reason?: string }>}
+ */
+async function systemConfirmDelivery(orderId, metadata = {}) {
+  const alreadyCredited = await Transaction.findOne({
+    reference: `DispatchEarnings-${orderId}`,
+    type: "dispatch_commission",
+    status: "completed",
+  });
+
+  if (alreadyCredited) {
+    return { credited: false, reason: "already_credited" };
+  }
+
+  const order = await Order.findById(orderId)
+    .populate("deliveryAgent", "fullName email")
+    .populate("orderedBy", "fullName email");
+
+  if (!order) throw new Error(`Order ${orderId} not found`);
+
+  if (!order.deliveryAgent) {
+    throw new Error(`Order ${orderId} has no assigned delivery agent`);
+  }
+
+  if (!order.deliveryConfirmation?.agentConfirmed) {
+    throw new Error("The delivery agent has not confirmed this delivery");
+  }
+
+  if (order.deliveryConfirmation.customerConfirmed) {
+    throw new Error("The customer has already confirmed this delivery");
+  }
+
+  if (order.paymentStatus !== PaymentStatus.PAID) {
+    throw new Error("Order is not paid — earnings cannot be credited yet");
+  }
+
+  if (!canTransition(order.orderStatus, STATUS.DELIVERED, ROLE.SYSTEM, order.deliveryMethod)) {
+    throw new Error(`Order in '${order.orderStatus}' cannot be confirmed by the system`);
+  }
+
+  // ── Mark customer confirmed on their behalf ───────────────────────────────
+  const now = new Date();
+  await Order.findByIdAndUpdate(orderId, {
+    "deliveryConfirmation.customerConfirmed": true,
+    "deliveryConfirmation.customerConfirmedAt": now,
+    "deliveryConfirmation.autoConfirmedAt": now,
+  });
+
+  const actorContext = { ip: "delivery-sla" };
+  audit.log({
+    action: "delivery.auto_confirmed",
+    actor: { userId: null, role: ROLE.SYSTEM, ...actorContext },
+    resource: { type: "order", id: order._id },
+    changes: { after: { customerConfirmed: true } },
+    metadata,
+  });
+
+  return _creditEarnings(order, order.deliveryAgent._id, actorContext);
+}
+
 /**
  * Internal: atomically credit the agent wallet and mark order delivered.
  * Called once both parties have confirmed.
@@ -164,6 +328,7 @@ async function _creditEarnings(order, agentUserId, actorContext = {}) {
       orderStatus: OrderStatus.DELIVERED,
       "deliveryMetadata.deliveredAt": new Date(),
     });
+    await releaseRiderIfIdle(agentUserId);
     return { credited: false, reason: "zero_fee" };
   }
 
@@ -250,6 +415,9 @@ async function _creditEarnings(order, agentUserId, actorContext = {}) {
     },
   });
 
+  // Back online once this was the last drop of their trip
+  await releaseRiderIfIdle(agentUserId);
+
   // Email agent — non-blocking
   sendEarningsCreditedEmail(order.deliveryAgent, order, earningsAmount);
 
@@ -267,4 +435,6 @@ module.exports = {
   creditDispatchEarnings,
   agentConfirmDelivery,
   customerConfirmDelivery,
+  confirmDeliveryWithProof,
+  systemConfirmDelivery,
 };
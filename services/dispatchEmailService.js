@@ -80,7 +80,7 @@ async function sendPickedUpEmail(customer, order) {
 
 // ── Stage 5: In transit → notify customer ────────────────────────────────────
 
-async function sendInTransitEmail(customer, order) {
+async function sendInTransitEmail(customer, order, handoverPin) {
   try {
     await sendEmail(
       {
@@ -91,6 +91,13 @@ async function sendInTransitEmail(customer, order) {
         <p>Your delivery agent is now in transit with Order <strong>#${orderRef(order)}</strong>.</p>
         <p>Please make sure someone is available to receive the package at:</p>
         <p style="padding:12px;background:#f5f5f5;border-radius:4px"><strong>${order.deliveryAddress}</strong></p>
+        ${
+          handoverPin
+            ? `<p>When the agent arrives, give them this handover code to complete the delivery:</p>
+        <p style="font-size:24px;letter-spacing:6px"><strong>${handoverPin}</strong></p>
+        <p style="color:#666;font-size:14px">Only share it once you have your package.</p>`
+            : ""
+        }
       `),
       },
       true,
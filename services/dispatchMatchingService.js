@@ -0,0 +1,546 @@
+/**
+ * @file dispatchMatchingService.js
+ * @description Auto-dispatch: offers a delivery to one rider at a time
+ * instead of broadcasting it to every rider (appConfig.dispatch.mode "auto").
+ *
+ * Riders who are approved, available, working today and free — or on a trip
+ * the delivery can join (services/deliveryBatchService) — are ranked by
+ * distance to the store (their live position, or the centre of a coverage
+ * area around the store when there is none), coverage areas, vehicle
+ * suitability, rating and how full their trip is — see rankRiders. The
+ * best one gets the offer over the location WebSocket and a push, and has
+ * offerTimeoutSeconds to accept. A decline or a timeout moves the offer to
+ * the next rider; after maxDeclines of them, or when nobody is left to ask,
+ * the order is escalated to the open pool and every rider is notified as
+ * before.
+ *
+ * While an offer is out the order is hidden from the pool
+ * (autoDispatch.status "offering"). Every state change is an update
+ * conditional on the state it expects, so concurrent responses, sweeps and
+ * pool takes cannot assign an order twice.
+ */
+
+const Order = require("../models/orderModel");
+const Store = require("../models/storeModel");
+const User = require("../models/userModel");
+const DispatchProfile = require("../models/dispatchProfileModel");
+const LocationTracking = require("../models/locationTrackingModel");
+const redisClient = require("../config/redisClient");
+const appConfig = require("../config/appConfig");
+const audit = require("./auditService");
+const firebaseService = require("./firebaseNotificationService");
+const { sendAgentAssignedEmail } = require("./dispatchEmailService");
+const { normalizeVehicleType, VEHICLE_CAPACITY_KG } = require("../utils/vehicleType");
+const {
+  coveringAreas,
+  isWorkingDay,
+  pickupDistanceKm,
+  storePoint,
+} = require("./riderCoverageService");
+// services/deliveryBatchService requires this module, so it is required where used
+
+// Redis channel the location WebSocket relays to connected riders
+const OFFER_CHANNEL = "dispatch_offers";
+const DEFAULT_VEHICLE_TYPE = "motorcycle";
+// Unrated riders are ranked as if they held an average three stars
+const UNRATED_SCORE = 3;
+// An "offering" order with no offer out this long is picked up by the sweep
+const STRANDED_AFTER_MS = 60_000;
+
+const SYSTEM_ACTOR = { userId: null, role: "system", ip: "dispatch" };
+
+const config = () => appConfig.dispatch;
+const isAutoDispatch = () => config().mode === "auto";
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * How well a rider's vehicle suits a delivery: 1 for the vehicle it was
+ * quoted for, 0.5 for a bigger one, null when it cannot carry the load.
+ */
+function vehicleSuitability(riderVehicle, requestedVehicle, weightKg = 0) {
+  const vehicle = normalizeVehicleType(riderVehicle);
+  const requested = normalizeVehicleType(requestedVehicle) || DEFAULT_VEHICLE_TYPE;
+  if (!vehicle || VEHICLE_CAPACITY_KG[vehicle] < weightKg) return null;
+  if (vehicle === requested) return 1;
+  return VEHICLE_CAPACITY_KG[vehicle] >= VEHICLE_CAPACITY_KG[requested] ? 0.5 : null;
+}
+
+/**
+ * Rank riders for a delivery. Pure: positions and trips are looked up by the
+ * caller.
+ *
+ * @param {Array<{ profile: Object, position?: { lat, lng }, trip?: Object[] }>} candidates
+ *   DispatchProfile documents with the rider's fresh position and active
+ *   orders (products.store populated)
+ * @param {Object} delivery
+ * @param {{ lat: number, lng: number }} delivery.store - pickup point
+ * @param {Object} [delivery.order] - the order, products.store populated, for
+ *   riders on a trip to be checked it can join
+ * @param {string} [delivery.vehicleType] - vehicle the delivery was quoted for
+ * @param {number} [delivery.weightKg]
+ * @param {Object} [settings] - appConfig.dispatch
+ * @returns {Array<{ rider, score: number, distanceKm: number }>} best first;
+ *   riders out of range, on a trip the order can't join or on an unsuitable
+ *   vehicle are left out
+ */
+function rankRiders(
+  candidates,
+  { store, order = {}, vehicleType, weightKg = 0 },
+  settings = config(),
+) {
+  const { tripConflict, maxOrdersFor } = require("./deliveryBatchService");
+  const { searchRadiusKm, weights } = settings;
+  const ranked = [];
+
+  for (const { profile, position, trip = [] } of candidates) {
+    if (tripConflict(trip, order, profile.vehicleInfo?.type, settings.batching)) continue;
+
+    const vehicle = vehicleSuitability(profile.vehicleInfo?.type, vehicleType, weightKg);
+    if (vehicle === null) continue;
+
+    // Without a live position, the nearest covering area's centre stands in
+    const distanceKm = pickupDistanceKm(profile, position, store);
+    if (distanceKm === null || distanceKm > searchRadiusKm) continue;
+    const covering = coveringAreas(profile, store);
+
+    const rating = profile.rating?.totalReviews ? profile.rating.average : UNRATED_SCORE;
+    const score =
+      weights.distance * clamp01(1 - distanceKm / searchRadiusKm) +
+      weights.coverage * (covering.length ? 1 : 0) +
+      weights.vehicle * vehicle +
+      weights.rating * clamp01(rating / 5) +
+      weights.load *
+        clamp01(1 - trip.length / maxOrdersFor(profile.vehicleInfo?.type, settings.batching));
+
+    ranked.push({
+      rider: profile.user,
+      score: Math.round(score * 1000) / 1000,
+      distanceKm,
+    });
+  }
+
+  return ranked.sort((a, b) => b.score - a.score || a.distanceKm - b.distanceKm);
+}
+
+/**
+ * Fresh positions of riders: the rider-level Redis key the location update
+ * writes, else their latest location tracking record.
+ * @returns {Promise<Map<string, { lat: number, lng: number }>>}
+ */
+async function riderPositions(riderIds, now = new Date()) {
+  const positions = new Map();
+  const since = now.getTime() - config().locationMaxAgeMinutes * 60_000;
+
+  // Commands queue indefinitely while Redis is down, so only ask when it is up
+  if (riderIds.length && redisClient.status === "ready") {
+    const cached = await redisClient.mget(riderIds.map((id) => `location:${id}:latest`));
+    cached.forEach((raw, i) => {
+      if (!raw) return;
+      const { latitude, longitude, timestamp } = JSON.parse(raw);
+      if (new Date(timestamp).getTime() >= since) {
+        positions.set(String(riderIds[i]), { lat: latitude, lng: longitude });
+      }
+    });
+  }
+
+  const missing = riderIds.filter((id) => !positions.has(String(id)));
+  if (missing.length) {
+    const latest = await LocationTracking.aggregate([
+      { $match: { deliveryAgent: { $in: missing }, lastUpdated: { $gte: new Date(since) } } },
+      { $sort: { lastUpdated: -1 } },
+      {
+        $group: {
+          _id: "$deliveryAgent",
+          coordinates: { $first: "$currentLocation.coordinates" },
+        },
+      },
+    ]);
+    for (const { _id, coordinates } of latest) {
+      if (coordinates?.length === 2) {
+        positions.set(String(_id), { lat: coordinates[1], lng: coordinates[0] });
+      }
+    }
+  }
+
+  return positions;
+}
+
+/**
+ * Riders who could take `order` from `store`, best first.
+ * @param {Object} store - the pickup Store, with its location
+ */
+async function findRiders(order, store, excludeRiders = []) {
+  const { activeTrips } = require("./deliveryBatchService");
+  const profiles = await DispatchProfile.find({
+    status: "approved",
+    isActive: true,
+    // "busy" riders are on a trip, which the order may be able to join
+    "availability.status": { $in: ["online", "busy"] },
+    user: { $nin: excludeRiders },
+  }).select("user vehicleInfo coverageAreas availability rating");
+  const working = profiles.filter((profile) => isWorkingDay(profile));
+  if (!working.length) return [];
+
+  const riderIds = working.map((profile) => profile.user);
+  const [positions, trips] = await Promise.all([riderPositions(riderIds), activeTrips(riderIds)]);
+
+  return rankRiders(
+    working.map((profile) => ({
+      profile,
+      position: positions.get(String(profile.user)),
+      trip: trips.get(String(profile.user)) || [],
+    })),
+    {
+      store: storePoint(store),
+      // What tripConflict needs of the order: its weight and pickup store
+      order: { deliveryMetadata: order.deliveryMetadata, products: [{ store }] },
+      vehicleType: order.deliveryMetadata?.vehicleType,
+      weightKg: order.deliveryMetadata?.pricing?.weightKg || 0,
+    },
+  );
+}
+
+/** Relay a message to a rider's location WebSocket, on whichever instance holds it. */
+async function publishToRider(riderId, message) {
+  if (redisClient.status !== "ready") return;
+  try {
+    await redisClient.publish(OFFER_CHANNEL, JSON.stringify({ riderId: String(riderId), message }));
+  } catch (error) {
+    console.log("Dispatch offer publish error:", error.message);
+  }
+}
+
+async function notifyOffer(order, offer, store) {
+  const { expiresAt } = order.autoDispatch.currentOffer;
+  await publishToRider(offer.rider, {
+    type: "dispatch_offer",
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    expiresAt,
+    pickup: { name: store.name, address: store.address },
+    deliveryAddress: order.deliveryAddress,
+    deliveryFee: order.deliveryFee,
+    distanceKm: offer.distanceKm,
+  });
+  try {
+    await firebaseService.sendTemplatedNotification(
+      String(offer.rider),
+      "dispatch_offer",
+      { orderNumber: order.orderNumber, seconds: config().offerTimeoutSeconds },
+      {
+        orderId: order._id.toString(),
+        orderNumber: String(order.orderNumber),
+        expiresAt: expiresAt.toISOString(),
+      },
+      "deliveryUpdates",
+      { urgent: true },
+    );
+  } catch (error) {
+    console.error(`Failed to send dispatch offer push to ${offer.rider}:`, error.message);
+  }
+}
+
+/**
+ * Give up on offers and open the order to every rider.
+ * @param {string} reason - "max_declines" | "no_riders" | "no_store_location"
+ */
+async function escalate(order, reason) {
+  const escalated = await Order.findOneAndUpdate(
+    { _id: order._id, "autoDispatch.status": "offering" },
+    {
+      $set: { "autoDispatch.status": "escalated", "autoDispatch.escalatedAt": new Date() },
+      $unset: { "autoDispatch.currentOffer": 1 },
+    },
+    { new: true },
+  );
+  if (!escalated) return null;
+
+  audit.log({
+    action: "dispatch.offer_escalated",
+    actor: SYSTEM_ACTOR,
+    resource: { type: "order", id: escalated._id, displayName: `#${escalated.orderNumber}` },
+    metadata: { reason, offers: escalated.autoDispatch.offers.length },
+  });
+
+  try {
+    const { sendDeliveryAgentNotification } = require("../controllers/notification");
+    await sendDeliveryAgentNotification(
+      "delivery_request",
+      { orderNumber: escalated.orderNumber },
+      {
+        orderId: escalated._id.toString(),
+        orderNumber: escalated.orderNumber,
+        deliveryAddress: escalated.deliveryAddress,
+        totalAmount: escalated.paymentIntent.amount.toString(),
+      },
+    );
+  } catch (error) {
+    console.log("Notification error:", error);
+  }
+  return escalated;
+}
+
+/**
+ * Offer the order to the best rider not yet asked, or escalate it.
+ * @returns {Promise<Object|null>} the updated order, or null when another
+ *   process moved it on first
+ */
+async function offerNext(order) {
+  if (order.orderStatus === "cancelled" || order.deliveryStatus !== "pending_assignment") {
+    await Order.updateOne(
+      { _id: order._id, "autoDispatch.status": "offering" },
+      {
+        $set: { "autoDispatch.status": order.orderStatus === "cancelled" ? "cancelled" : "assigned" },
+        $unset: { "autoDispatch.currentOffer": 1 },
+      },
+    );
+    return null;
+  }
+
+  const offers = order.autoDispatch?.offers || [];
+  const refusals = offers.filter((o) => o.outcome === "declined" || o.outcome === "expired");
+  if (refusals.length >= config().maxDeclines) return escalate(order, "max_declines");
+
+  const store = await Store.findById(order.products[0]?.store).select("name address location");
+  if (!storePoint(store)) return escalate(order, "no_store_location");
+
+  const [best] = await findRiders(
+    order,
+    store,
+    offers.map((o) => o.rider),
+  );
+  if (!best) return escalate(order, "no_riders");
+
+  const now = new Date();
+  const offered = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      "autoDispatch.status": "offering",
+      "autoDispatch.currentOffer.rider": { $exists: false },
+      deliveryStatus: "pending_assignment",
+    },
+    {
+      $set: {
+        "autoDispatch.currentOffer": {
+          rider: best.rider,
+          offeredAt: now,
+          expiresAt: new Date(now.getTime() + config().offerTimeoutSeconds * 1000),
+        },
+      },
+      $push: {
+        "autoDispatch.offers": {
+          rider: best.rider,
+          offeredAt: now,
+          score: best.score,
+          distanceKm: best.distanceKm,
+        },
+      },
+    },
+    { new: true },
+  );
+  if (!offered) return null;
+
+  audit.log({
+    action: "dispatch.offer_sent",
+    actor: SYSTEM_ACTOR,
+    resource: { type: "order", id: offered._id, displayName: `#${offered.orderNumber}` },
+    metadata: { rider: best.rider, score: best.score, distanceKm: best.distanceKm },
+  });
+  await notifyOffer(offered, best, store);
+  return offered;
+}
+
+/**
+ * Start offering a new delivery order. A no-op for orders already being
+ * dispatched.
+ */
+async function startAutoDispatch(orderId) {
+  const order = await Order.findOneAndUpdate(
+    {
+      _id: orderId,
+      deliveryMethod: "delivery_agent",
+      deliveryStatus: "pending_assignment",
+      "autoDispatch.status": { $exists: false },
+    },
+    { $set: { "autoDispatch.status": "offering", "autoDispatch.offers": [] } },
+    { new: true },
+  );
+  return order ? offerNext(order) : null;
+}
+
+// Matches the rider's offer that is still open
+const openOfferFilter = (orderId, riderId, now) => ({
+  _id: orderId,
+  "autoDispatch.status": "offering",
+  "autoDispatch.currentOffer.rider": riderId,
+  "autoDispatch.currentOffer.expiresAt": { $gt: now },
+});
+
+const closeOffer = (riderId, outcome, now) => ({
+  update: {
+    $set: {
+      "autoDispatch.offers.$[offer].outcome": outcome,
+      "autoDispatch.offers.$[offer].respondedAt": now,
+    },
+    $unset: { "autoDispatch.currentOffer": 1 },
+  },
+  arrayFilters: [{ "offer.rider": riderId, "offer.outcome": { $exists: false } }],
+});
+
+/**
+ * A rider's answer to the offer they hold.
+ *
+ * @param {Object} req - Express request (or { user } from the WebSocket) for the audit actor
+ * @param {string} orderId
+ * @param {boolean} accept
+ * @returns {Promise<{ order: Object } | { error: string, status: number }>}
+ */
+async function respondToOffer(req, orderId, accept) {
+  const riderId = req.user._id;
+  const now = new Date();
+  const resource = { type: "order", id: orderId };
+
+  if (!accept) {
+    const { update, arrayFilters } = closeOffer(riderId, "declined", now);
+    const declined = await Order.findOneAndUpdate(openOfferFilter(orderId, riderId, now), update, {
+      new: true,
+      arrayFilters,
+    });
+    if (!declined) return { error: "This offer is no longer open", status: 409 };
+
+    audit.log({ action: "dispatch.offer_declined", actor: audit.actor(req), resource });
+    await offerNext(declined);
+    return { order: declined };
+  }
+
+  const profile = await DispatchProfile.findOne({ user: riderId }).select(
+    "status isActive vehicleInfo",
+  );
+  if (!profile || profile.status !== "approved" || !profile.isActive) {
+    return { error: "Your delivery agent profile is not active", status: 400 };
+  }
+
+  // A rider on a trip may take the order only if it can join the trip
+  const deliveryBatch = require("./deliveryBatchService");
+  const trip = await deliveryBatch.activeTrip(riderId);
+  if (trip.length) {
+    const order = await Order.findById(orderId).populate(
+      "products.store",
+      "name address location",
+    );
+    const conflict = order && deliveryBatch.tripConflict(trip, order, profile.vehicleInfo?.type);
+    if (conflict) return { error: conflict, status: 400 };
+  }
+
+  const { update, arrayFilters } = closeOffer(riderId, "accepted", now);
+  Object.assign(update.$set, {
+    deliveryAgent: riderId,
+    dispatch: riderId, // keep legacy dispatch ref in sync
+    deliveryStatus: "assigned",
+    estimatedDeliveryTime: new Date(now.getTime() + 2 * 60 * 60 * 1000), // 2 hours from now
+    "autoDispatch.status": "assigned",
+  });
+  const accepted = await Order.findOneAndUpdate(
+    {
+      ...openOfferFilter(orderId, riderId, now),
+      deliveryStatus: "pending_assignment",
+      deliveryAgent: { $exists: false },
+      orderStatus: { $ne: "cancelled" },
+    },
+    update,
+    { new: true, arrayFilters },
+  ).populate("orderedBy", "fullName email");
+  if (!accepted) return { error: "This offer is no longer open", status: 409 };
+
+  await DispatchProfile.findOneAndUpdate(
+    { user: riderId },
+    { "availability.status": "busy", lastActiveAt: now },
+  );
+
+  audit.log({
+    action: "dispatch.offer_accepted",
+    actor: audit.actor(req),
+    resource,
+    changes: {
+      before: { deliveryStatus: "pending_assignment" },
+      after: { deliveryStatus: "assigned", deliveryAgent: riderId },
+    },
+  });
+
+  // Notify the customer that an agent has been assigned — non-blocking.
+  const agent = await User.findById(riderId).select("fullName firstname lastname");
+  sendAgentAssignedEmail(accepted.orderedBy, agent, accepted);
+
+  return { order: accepted };
+}
+
+/** The offer a rider holds right now, if any. */
+function currentOfferFor(riderId, now = new Date()) {
+  return Order.findOne({
+    "autoDispatch.status": "offering",
+    "autoDispatch.currentOffer.rider": riderId,
+    "autoDispatch.currentOffer.expiresAt": { $gt: now },
+  }).populate("products.store", "name address location");
+}
+
+/**
+ * The "dispatch_offer_sweep" job: expire offers nobody answered in time and
+ * move them on, and restart orders left without an offer by a crash.
+ */
+async function expireOffers(now = new Date()) {
+  const due = await Order.find({
+    "autoDispatch.status": "offering",
+    "autoDispatch.currentOffer.expiresAt": { $lte: now },
+  })
+    .select("autoDispatch.currentOffer")
+    .limit(100);
+
+  for (const { _id, autoDispatch } of due) {
+    const riderId = autoDispatch.currentOffer.rider;
+    try {
+      const { update, arrayFilters } = closeOffer(riderId, "expired", now);
+      const expired = await Order.findOneAndUpdate(
+        {
+          _id,
+          "autoDispatch.status": "offering",
+          "autoDispatch.currentOffer.rider": riderId,
+          "autoDispatch.currentOffer.expiresAt": { $lte: now },
+        },
+        update,
+        { new: true, arrayFilters },
+      );
+      if (!expired) continue;
+
+      await publishToRider(riderId, { type: "dispatch_offer_expired", orderId: _id });
+      await offerNext(expired);
+    } catch (error) {
+      console.error(`[Dispatch] Expiring offer on order ${_id} failed:`, error.message);
+    }
+  }
+
+  const stranded = await Order.find({
+    "autoDispatch.status": "offering",
+    "autoDispatch.currentOffer.rider": { $exists: false },
+    updatedAt: { $lte: new Date(now.getTime() - STRANDED_AFTER_MS) },
+  }).limit(100);
+  for (const order of stranded) {
+    try {
+      await offerNext(order);
+    } catch (error) {
+      console.error(`[Dispatch] Re-offering order ${order._id} failed:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  OFFER_CHANNEL,
+  isAutoDispatch,
+  vehicleSuitability,
+  rankRiders,
+  startAutoDispatch,
+  offerNext,
+  respondToOffer,
+  currentOfferFor,
+  expireOffers,
+  riderPositions,
+};
@@ -0,0 +1,232 @@
+/**
+ * @file educationPinService.js
+ * @description JAMB and WAEC PINs bought through VTpass.
+ *
+ * VTpass hands the PINs back in its purchase/requery response. They never sit
+ * in the database in plaintext: when a bill's VTpass response is saved, the
+ * BillPayment model calls sealPins, which lifts them out into `pin`, encrypted
+ * with AES-256-GCM under appConfig.bills.pinEncryptionKey, and blanks them in
+ * the stored response. The buyer can then see them once in the app
+ * (revealPins) and gets them by email (emailPins).
+ */
+
+const crypto = require("crypto");
+const appConfig = require("../config/appConfig");
+const BillPayment = require("../models/billPaymentModel");
+const User = require("../models/userModel");
+const audit = require("./auditService");
+
+const EDUCATION_TYPES = ["jamb", "waec"];
+const ALGORITHM = "aes-256-gcm";
+const REDACTED = "[encrypted]";
+
+const isEducationBill = (bill) => EDUCATION_TYPES.includes(bill.serviceType);
+
+function encryptionKey() {
+  const secret = appConfig.bills.pinEncryptionKey;
+  if (!secret) throw new Error("BILL_PIN_ENCRYPTION_KEY is not configured");
+  return crypto.createHash("sha256").update(secret).digest();
+}
+
+/**
+ * @param {Array<{ pin: string, serial?: string }>} cards
+ * @returns {string} "iv.tag.ciphertext", base64 parts
+ */
+function encryptPins(cards) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, encryptionKey(), iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify(cards), "utf8"),
+    cipher.final(),
+  ]);
+  return [iv, cipher.getAuthTag(), ciphertext].map((b) => b.toString("base64")).join(".");
+}
+
+/**
+ * @param {string} sealed - from encryptPins
+ * @returns {Array<{ pin: string, serial?: string }>}
+ */
+function decryptPins(sealed) {
+  const [iv, tag, ciphertext] = sealed.split(".").map((p) => Buffer.from(p, "base64"));
+  const decipher = crypto.createDecipheriv(ALGORITHM, encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  const plain = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  return JSON.parse(plain.toString("utf8"));
+}
+
+// "Pin : 367574683050773" → "367574683050773"
+const stripLabel = (value) => String(value).replace(/^\s*pin\s*:\s*/i, "").trim();
+
+/**
+ * The PINs in a VTpass response: WAEC result checkers come as `cards`, WAEC
+ * registration as `tokens`, JAMB as a single `Pin` (also in purchased_code).
+ *
+ * @param {Object} vtRes
+ * @returns {Array<{ pin: string, serial?: string }>}
+ */
+function extractPins(vtRes) {
+  if (!vtRes) return [];
+  if (Array.isArray(vtRes.cards) && vtRes.cards.length) {
+    return vtRes.cards.map((card) => ({
+      pin: String(card.Pin),
+      ...(card.Serial && { serial: String(card.Serial) }),
+    }));
+  }
+  if (Array.isArray(vtRes.tokens) && vtRes.tokens.length) {
+    return vtRes.tokens.map((token) => ({ pin: stripLabel(token) }));
+  }
+  const single = vtRes.Pin || vtRes.purchased_code;
+  return single ? [{ pin: stripLabel(single) }] : [];
+}
+
+// The response as stored: everything VTpass said except the PINs themselves
+function redactResponse(vtRes) {
+  const copy = { ...vtRes };
+  if (Array.isArray(copy.cards)) {
+    copy.cards = copy.cards.map((card) => ({ ...card, Pin: REDACTED }));
+  }
+  if (Array.isArray(copy.tokens)) copy.tokens = copy.tokens.map(() => REDACTED);
+  if (copy.Pin) copy.Pin = REDACTED;
+  if (copy.purchased_code) copy.purchased_code = REDACTED;
+  if (copy.content?.transactions?.token) {
+    copy.content = {
+      ...copy.content,
+      transactions: { ...copy.content.transactions, token: REDACTED },
+    };
+  }
+  return copy;
+}
+
+/**
+ * Encrypt the PINs in a JAMB/WAEC bill's VTpass response into `pin` and scrub
+ * them from the response and deliveryToken. Called by the BillPayment model
+ * before every save that touches either; does nothing for other bills.
+ *
+ * @param {Object} bill - BillPayment document
+ */
+function sealPins(bill) {
+  if (!isEducationBill(bill)) return;
+  const pins = extractPins(bill.vtpassResponse);
+  if (pins.length && !pins.every((p) => p.pin === REDACTED)) {
+    bill.pin = encryptPins(pins);
+    bill.vtpassResponse = redactResponse(bill.vtpassResponse);
+  }
+  bill.deliveryToken = undefined;
+}
+
+/**
+ * Show a completed bill's PINs to its buyer — once. Later calls get a 410;
+ * the PINs are in the buyer's email.
+ *
+ * @param {string} requestId
+ * @param {string} userId
+ * @returns {Promise<{ bill: Object, pins: Array } | { error: string, status: number }>}
+ */
+async function revealPins(requestId, userId) {
+  const bill = await BillPayment.findOne({ requestId, user: userId });
+  if (!bill || !isEducationBill(bill)) {
+    return { status: 404, error: "Education bill payment not found" };
+  }
+  if (bill.status !== "completed") {
+    return { status: 409, error: `This purchase is ${bill.status}; there is no PIN to show` };
+  }
+
+  // Claimed atomically so two racing requests can't both see it
+  const claimed = await BillPayment.findOneAndUpdate(
+    { _id: bill._id, pinRevealedAt: null, pin: { $exists: true } },
+    { $set: { pinRevealedAt: new Date() } },
+    { new: true },
+  ).select("+pin");
+  if (!claimed) {
+    return {
+      status: 410,
+      error: "This PIN has already been shown. Check your email for it.",
+    };
+  }
+
+  audit.log({
+    action: "bill.pin_revealed",
+    actor: { userId, role: "user" },
+    resource: { type: "bill_payment", id: bill.requestId },
+  });
+  return { bill: claimed, pins: decryptPins(claimed.pin) };
+}
+
+/**
+ * Email a completed bill's PINs to its buyer, once. Safe to call from every
+ * path that completes a bill, and again from the cron for any that were
+ * missed: only the first call to claim the bill sends.
+ *
+ * @param {Object} bill - BillPayment (only _id is read)
+ * @returns {Promise<boolean>} whether this call sent the email
+ */
+async function emailPins(bill) {
+  const claimed = await BillPayment.findOneAndUpdate(
+    {
+      _id: bill._id,
+      serviceType: { $in: EDUCATION_TYPES },
+      status: "completed",
+      pin: { $exists: true },
+      pinEmailedAt: null,
+    },
+    { $set: { pinEmailedAt: new Date() } },
+    { new: true },
+  ).select("+pin");
+  if (!claimed) return false;
+
+  try {
+    const user = await User.findById(claimed.user).select("firstname fullName email");
+    if (!user?.email) return false;
+
+    const sendEmail = require("../controllers/emailController");
+    const { educationPinTemplate } = require("../templates/Emails");
+    // Sent directly, not queued, so the PINs never sit in Redis
+    await sendEmail({
+      to: user.email,
+      subject: `Your ${claimed.serviceType.toUpperCase()} PIN`,
+      htm: educationPinTemplate(user.firstname || user.fullName || "there", {
+        exam: claimed.serviceType.toUpperCase(),
+        product: claimed.serviceMetadata?.product_name,
+        candidate: claimed.serviceMetadata?.candidate_name,
+        requestId: claimed.requestId,
+        pins: decryptPins(claimed.pin),
+      }),
+    });
+    return true;
+  } catch (err) {
+    // Release the claim so the cron tries again
+    await BillPayment.updateOne({ _id: claimed._id }, { $set: { pinEmailedAt: null } });
+    console.error(`Failed to email PIN for bill ${claimed.requestId}:`, err.message);
+    return false;
+  }
+}
+
+/**
+ * Email any completed JAMB/WAEC PINs that haven't gone out yet. Run by the
+ * bill-payment cron as a safety net behind the direct emailPins calls.
+ */
+async function emailPendingPins(limit = 20) {
+  const bills = await BillPayment.find({
+    serviceType: { $in: EDUCATION_TYPES },
+    status: "completed",
+    pin: { $exists: true },
+    pinEmailedAt: null,
+  })
+    .select("_id")
+    .limit(limit);
+  for (const bill of bills) {
+    await emailPins(bill);
+  }
+}
+
+module.exports = {
+  EDUCATION_TYPES,
+  isEducationBill,
+  encryptPins,
+  decryptPins,
+  extractPins,
+  sealPins,
+  revealPins,
+  emailPins,
+  emailPendingPins,
+};
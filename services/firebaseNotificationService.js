@@ -1,7 +1,10 @@
 const admin = require("firebase-admin");
 const User = require("../models/userModel");
 const NotificationPreferences = require("../models/notificationPreferencesModel");
-const { sendEmail } = require("../controllers/emailController");
+const PendingNotification = require("../models/pendingNotificationModel");
+const sendEmail = require("../controllers/emailController");
+const { renderNotification } = require("../templates/notifications");
+const { deliveryTimeFor } = require("../utils/notificationSchedule");
 
 // Initialize Firebase Admin SDK
 let firebaseApp;
@@ -43,179 +46,215 @@ try {
   firebaseApp = null;
 }
 
+// Preference keys that always go out at once, ignoring quiet hours and
+// batched/daily/weekly frequency.
+const URGENT_TYPES = ["securityAlerts"];
+
+// Titles listed in a push digest before "and N more".
+const DIGEST_PUSH_TITLES = 3;
+
+/** A notification's copy in the recipient's language. */
+const resolveCopy = ({ title, body, template, vars }, language) =>
+  template ? renderNotification(template, language, vars || {}) : { title, body };
+
+/** A user's preferences, creating the defaults on first use. */
+const loadPreferences = async (userId) =>
+  (await NotificationPreferences.findOne({ user: userId })) ||
+  NotificationPreferences.create({ user: userId });
+
 /**
- * @function sendNotificationToUser
- * @description Send push notification to a specific user
- * @param {string} userId - User ID
- * @param {string} title - Notification title
- * @param {string} body - Notification body
- * @param {Object} data - Additional data payload
- * @param {string} type - Notification type (orderUpdates, deliveryUpdates, etc.)
- * @param {boolean} skipQueue - If true, sends immediately (used by background worker)
- * @returns {Object} - Send result
+ * Push one message to all of a user's active devices, pruning tokens FCM
+ * rejects.
  */
-const sendNotificationToUser = async (
+const sendPush = async (user, { title, body }, data, type) => {
+  if (!firebaseApp) {
+    return { sent: false, result: "Firebase not configured" };
+  }
+
+  const activeTokens = (user.fcmTokens || [])
+    .filter((token) => token.isActive)
+    .map((token) => token.token);
+  if (activeTokens.length === 0) {
+    return { sent: false, result: "No active devices" };
+  }
+
+  const message = {
+    notification: {
+      title,
+      body,
+    },
+    data: {
+      ...data,
+      type,
+      userId: String(user._id),
+      timestamp: new Date().toISOString(),
+    },
+    tokens: activeTokens,
+    webpush: {
+      notification: {
+        icon:
+          process.env.NOTIFICATION_ICON_URL ||
+          "https://via.placeholder.com/64",
+        badge:
+          process.env.NOTIFICATION_BADGE_URL ||
+          "https://via.placeholder.com/32",
+        requireInteraction: true,
+      },
+    },
+    android: {
+      notification: {
+        icon: "ic_notification",
+        color: "#4CAF50",
+        sound: "default",
+        priority: "high",
+      },
+    },
+    apns: {
+      payload: {
+        aps: {
+          sound: "default",
+          badge: 1,
+        },
+      },
+    },
+  };
+
+  const pushResult = await admin.messaging().sendEachForMulticast(message);
+
+  // Remove failed tokens
+  if (pushResult.failureCount > 0) {
+    const failedTokens = [];
+    pushResult.responses.forEach((response, index) => {
+      if (!response.success) {
+        failedTokens.push(activeTokens[index]);
+      }
+    });
+
+    if (failedTokens.length > 0) {
+      await User.findByIdAndUpdate(user._id, {
+        $pull: { fcmTokens: { token: { $in: failedTokens } } },
+      });
+    }
+  }
+
+  return {
+    sent: true,
+    result: pushResult,
+    successCount: pushResult.successCount,
+    failureCount: pushResult.failureCount,
+  };
+};
+
+/** Email a notification. `content` is HTML; defaults to the escaped body. */
+const sendEmailCopy = async (user, { title, body }, content) => {
+  if (!user.email) return { sent: false, result: "No email address" };
+
+  try {
+    await sendEmail({
+      to: user.email,
+      subject: title,
+      text: body,
+      htm: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #333;">${escapeHtml(title)}</h2>
+            ${content || `<p style="color: #666; font-size: 16px;">${escapeHtml(body)}</p>`}
+            <div style="margin-top: 20px; padding: 15px; background-color: #f5f5f5; border-radius: 5px;">
+              <p style="margin: 0; font-size: 14px; color: #888;">
+                This is an automated notification from WigoMarket.
+              </p>
+            </div>
+          </div>
+        `,
+    });
+    return { sent: true, result: "Email sent successfully" };
+  } catch (emailError) {
+    console.error("Email sending error:", emailError);
+    return { sent: false, failed: true, result: emailError.message };
+  }
+};
+
+const escapeHtml = (text) =>
+  String(text ?? "").replace(
+    /[&<>"']/g,
+    (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c],
+  );
+
+/**
+ * @function deliverNotification
+ * @description Deliver one notification now, per the recipient's preferences.
+ *   For each channel (push, email) the notification is skipped if the user
+ *   turned that type off, held in PendingNotification if quiet hours or their
+ *   batched/daily/weekly frequency say it should wait, and otherwise sent in
+ *   their language. Called by the task-queue worker; use sendNotificationToUser
+ *   or sendTemplatedNotification instead.
+ * @param {Object} notification
+ * @param {string} notification.userId
+ * @param {string} [notification.title] - literal copy...
+ * @param {string} [notification.body]
+ * @param {string} [notification.template] - ...or a templates/notifications key
+ * @param {Object} [notification.vars] - template placeholders
+ * @param {Object} [notification.data] - push data payload
+ * @param {string} [notification.type] - preference key, e.g. orderUpdates
+ * @param {boolean} [notification.urgent] - bypass quiet hours and digests
+ * @param {string[]} [notification.channels] - limit delivery to these channels
+ * @returns {Object} - Per-channel results
+ */
+const deliverNotification = async ({
   userId,
   title,
   body,
+  template,
+  vars = {},
   data = {},
   type = "systemUpdates",
-  skipQueue = false,
-) => {
-  if (!skipQueue) {
-    const taskQueue = require("./taskQueue");
-    if (taskQueue.isAvailable()) {
-      await taskQueue.enqueue("push_notification", {
-        userId,
-        title,
-        body,
-        data,
-        type,
-      });
-      return { success: true, status: "queued" };
-    }
-  }
+  urgent = false,
+  channels = ["push", "email"],
+}) => {
   try {
-    // Check if Firebase is initialized
-    if (!firebaseApp) {
-      console.warn("Firebase not initialized. Skipping push notification.");
-      return { success: false, message: "Firebase not configured" };
-    }
-
-    // Get user and their notification preferences
     const user = await User.findById(userId).select("fcmTokens fullName email");
     if (!user) {
       throw new Error("User not found");
     }
 
-    const preferences = await NotificationPreferences.findOne({ user: userId });
-    if (!preferences) {
-      // Create default preferences if none exist
-      await NotificationPreferences.create({ user: userId });
-      return { success: false, message: "No notification preferences found" };
-    }
-
-    // Check if user wants to receive this type of notification
-    const shouldReceivePush = preferences.shouldReceiveNotification(
-      type,
-      "push",
-    );
-    const shouldReceiveEmail = preferences.shouldReceiveNotification(
-      type,
-      "email",
-    );
+    const preferences = await loadPreferences(userId);
+    const isUrgent = urgent || URGENT_TYPES.includes(type);
+    const copy = resolveCopy({ title, body, template, vars }, preferences.language);
 
     const results = {
       push: { sent: false, result: null },
       email: { sent: false, result: null },
     };
 
-    // Send push notification
-    if (shouldReceivePush && user.fcmTokens && user.fcmTokens.length > 0) {
-      const activeTokens = user.fcmTokens
-        .filter((token) => token.isActive)
-        .map((token) => token.token);
-
-      if (activeTokens.length > 0) {
-        const message = {
-          notification: {
-            title,
-            body,
-          },
-          data: {
-            ...data,
-            type,
-            userId: userId,
-            timestamp: new Date().toISOString(),
-          },
-          tokens: activeTokens,
-          webpush: {
-            notification: {
-              icon:
-                process.env.NOTIFICATION_ICON_URL ||
-                "https://via.placeholder.com/64",
-              badge:
-                process.env.NOTIFICATION_BADGE_URL ||
-                "https://via.placeholder.com/32",
-              requireInteraction: true,
-            },
-          },
-          android: {
-            notification: {
-              icon: "ic_notification",
-              color: "#4CAF50",
-              sound: "default",
-              priority: "high",
-            },
-          },
-          apns: {
-            payload: {
-              aps: {
-                sound: "default",
-                badge: 1,
-              },
-            },
-          },
-        };
-
-        const pushResult = await admin
-          .messaging()
-          .sendEachForMulticast(message);
-        results.push = {
-          sent: true,
-          result: pushResult,
-          successCount: pushResult.successCount,
-          failureCount: pushResult.failureCount,
-        };
-
-        // Remove failed tokens
-        if (pushResult.failureCount > 0) {
-          const failedTokens = [];
-          pushResult.responses.forEach((response, index) => {
-            if (!response.success) {
-              failedTokens.push(activeTokens[index]);
-            }
-          });
-
-          if (failedTokens.length > 0) {
-            await User.findByIdAndUpdate(userId, {
-              $pull: { fcmTokens: { token: { $in: failedTokens } } },
-            });
-          }
-        }
+    for (const channel of channels) {
+      if (!preferences.shouldReceiveNotification(type, channel)) continue;
+
+      const hold = deliveryTimeFor(preferences, channel, { urgent: isUrgent });
+      if (hold) {
+        await PendingNotification.create({
+          user: userId,
+          channel,
+          type,
+          title,
+          body,
+          template,
+          vars,
+          data,
+          reason: hold.reason,
+          deliverAfter: hold.at,
+        });
+        results[channel] = { sent: false, deferredUntil: hold.at, reason: hold.reason };
+        continue;
       }
-    }
 
-    // Send email notification
-    if (shouldReceiveEmail && user.email) {
-      const emailData = {
-        to: user.email,
-        subject: title,
-        text: body,
-        htm: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #333;">${title}</h2>
-            <p style="color: #666; font-size: 16px;">${body}</p>
-            <div style="margin-top: 20px; padding: 15px; background-color: #f5f5f5; border-radius: 5px;">
-              <p style="margin: 0; font-size: 14px; color: #888;">
-                This is an automated notification from WigoMarket.
-              </p>
-            </div>
-          </div>
-        `,
-      };
-
-      try {
-        sendEmail(emailData);
-        results.email = { sent: true, result: "Email sent successfully" };
-      } catch (emailError) {
-        console.error("Email sending error:", emailError);
-        results.email = { sent: false, result: emailError.message };
-      }
+      results[channel] =
+        channel === "push"
+          ? await sendPush(user, copy, data, type)
+          : await sendEmailCopy(user, copy);
     }
 
     return {
       success: results.push.sent || results.email.sent,
+      deferred: Boolean(results.push.deferredUntil || results.email.deferredUntil),
       results,
     };
   } catch (error) {
@@ -224,6 +263,141 @@ const sendNotificationToUser = async (
   }
 };
 
+/**
+ * @function deliverHeldNotifications
+ * @description Send a user's held notifications on one channel. A single item
+ *   goes out as itself; several are rolled into one digest. Types the user
+ *   has since turned off are dropped. Called by the notification-digest job.
+ * @param {string} userId - User ID
+ * @param {string} channel - push | email
+ * @param {Array} items - PendingNotification documents, oldest first
+ * @returns {Object} - Send result
+ */
+const deliverHeldNotifications = async (userId, channel, items) => {
+  const user = await User.findById(userId).select("fcmTokens fullName email");
+  if (!user) return { sent: false, result: "User not found" };
+
+  const preferences = await loadPreferences(userId);
+  const wanted = items.filter((item) =>
+    preferences.shouldReceiveNotification(item.type, channel),
+  );
+  if (wanted.length === 0) return { sent: false, result: "Nothing to send" };
+
+  const copies = wanted.map((item) => resolveCopy(item, preferences.language));
+  const send = (copy, data, type, content) =>
+    channel === "push"
+      ? sendPush(user, copy, data, type)
+      : sendEmailCopy(user, copy, content);
+
+  if (wanted.length === 1) {
+    return send(copies[0], wanted[0].data || {}, wanted[0].type);
+  }
+
+  const titles = copies.slice(0, DIGEST_PUSH_TITLES).map((copy) => copy.title);
+  if (copies.length > DIGEST_PUSH_TITLES) {
+    titles.push(
+      renderNotification("digest_more", preferences.language, {
+        count: copies.length - DIGEST_PUSH_TITLES,
+      }).body,
+    );
+  }
+  const digest = renderNotification("digest", preferences.language, {
+    count: copies.length,
+    summary: titles.join("\n"),
+  });
+
+  // The email digest lists every notification in full.
+  const content = copies
+    .map(
+      (copy) => `
+            <h3 style="color: #333; margin-bottom: 4px;">${escapeHtml(copy.title)}</h3>
+            <p style="color: #666; font-size: 15px; margin-top: 0;">${escapeHtml(copy.body)}</p>`,
+    )
+    .join("");
+
+  return send(digest, { digest: "true", count: String(copies.length) }, "digest", content);
+};
+
+/**
+ * Hand a notification to the task queue, or deliver it in-process when the
+ * queue is down or `skipQueue` is set (the worker itself).
+ */
+const dispatchNotification = async (notification, skipQueue) => {
+  if (!skipQueue) {
+    const taskQueue = require("./taskQueue");
+    if (taskQueue.isAvailable()) {
+      await taskQueue.enqueue("push_notification", notification);
+      return { success: true, status: "queued" };
+    }
+  }
+  return deliverNotification(notification);
+};
+
+/**
+ * @function sendNotificationToUser
+ * @description Send a notification with literal copy to a specific user, by
+ *   push and email as their preferences allow. Quiet hours and digest
+ *   frequency may hold it back (see deliverNotification).
+ * @param {string} userId - User ID
+ * @param {string} title - Notification title
+ * @param {string} body - Notification body
+ * @param {Object} data - Additional data payload
+ * @param {string} type - Notification type (orderUpdates, deliveryUpdates, etc.)
+ * @param {boolean} skipQueue - If true, sends immediately (used by background worker)
+ * @returns {Object} - Send result
+ */
+const sendNotificationToUser = async (
+  userId,
+  title,
+  body,
+  data = {},
+  type = "systemUpdates",
+  skipQueue = false,
+) => dispatchNotification({ userId, title, body, data, type }, skipQueue);
+
+/**
+ * @function sendTemplatedNotification
+ * @description Send a notification rendered from templates/notifications in
+ *   the recipient's preferred language.
+ * @param {string} userId - User ID
+ * @param {string} template - Template name, e.g. "order_created_delivery"
+ * @param {Object} vars - Template placeholders
+ * @param {Object} data - Additional data payload
+ * @param {string} type - Notification type (orderUpdates, deliveryUpdates, etc.)
+ * @param {Object} [options]
+ * @param {boolean} [options.urgent] - Bypass quiet hours and digests
+ * @param {boolean} [options.skipQueue] - Deliver in-process
+ * @returns {Object} - Send result
+ */
+const sendTemplatedNotification = async (
+  userId,
+  template,
+  vars = {},
+  data = {},
+  type = "systemUpdates",
+  { urgent = false, skipQueue = false } = {},
+) =>
+  dispatchNotification(
+    { userId, template, vars, data, type, ...(urgent && { urgent }) },
+    skipQueue,
+  );
+
+/**
+ * @function renderForUser
+ * @description A template's copy in a user's preferred language, e.g. for the
+ *   in-app notification record saved alongside a push.
+ * @param {string} userId - User ID
+ * @param {string} template - Template name
+ * @param {Object} vars - Template placeholders
+ * @returns {{ title: string, body: string }}
+ */
+const renderForUser = async (userId, template, vars = {}) => {
+  const preferences = await NotificationPreferences.findOne({ user: userId })
+    .select("language")
+    .lean();
+  return renderNotification(template, preferences?.language, vars);
+};
+
 /**
  * @function sendNotificationToUsers
  * @description Send push notification to multiple users
@@ -423,6 +597,10 @@ const sendBulkNotification = async (
 
 module.exports = {
   sendNotificationToUser,
+  sendTemplatedNotification,
+  deliverNotification,
+  deliverHeldNotifications,
+  renderForUser,
   sendNotificationToUsers,
   sendNotificationToRole,
   registerFCMToken,
@@ -0,0 +1,312 @@
+/**
+ * @file geofenceService.js
+ * @description Applies admin-defined geofences (models/geofenceModel) to
+ * riders and orders.
+ *
+ *   - checkRiderPosition records a rider entering and leaving zones on their
+ *     location tracking record and reports the zone rules they break there:
+ *     being inside a restricted_area while it is closed, working a zone
+ *     outside its timeRestrictions, or riding a vehicle the zone does not
+ *     allow. A GPS fix cannot be refused, so violations are recorded and
+ *     reported rather than rejected; each is reported once per visit.
+ *   - hasServiceAreas/deliveryCoverage let createOrder refuse delivery
+ *     points outside every active service_area. With no service areas
+ *     defined, everywhere is covered.
+ *   - zoneSurcharges finds the rules.deliveryFee a delivery pays for the
+ *     zones its pickup and drop-off lie in (see deliveryFeeService).
+ */
+
+const Geofence = require("../models/geofenceModel");
+const { normalizeVehicleType } = require("../utils/vehicleType");
+const { parseClock } = require("../utils/notificationSchedule");
+
+const GEOFENCE_TYPES = ["delivery_zone", "pickup_zone", "restricted_area", "service_area"];
+const GEOMETRY_TYPES = ["Polygon", "Circle", "Point"];
+const GEOFENCE_STATUSES = ["active", "inactive", "maintenance"];
+const DAYS = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+const METADATA_KEYS = [
+  "city",
+  "state",
+  "country",
+  "postalCode",
+  "population",
+  "averageDeliveryTime",
+  "successRate",
+];
+
+/**
+ * Validate and normalise an admin's geofence payload. The geometry itself
+ * (ring shapes, coordinate ranges) is checked by the model on save.
+ *
+ * @param {Object} body - request body
+ * @param {Object} [existing] - the geofence being updated; omitted on create,
+ *   where name, description, type and geometry are required.
+ * @returns {{ data: Object } | { error: string }} data holds only the fields
+ *   that were supplied; `rules` and `metadata` are merged into the existing ones.
+ */
+function normalizeGeofenceInput(body, existing = null) {
+  const data = {};
+  const has = (key) => body[key] !== undefined;
+
+  for (const key of ["name", "description"]) {
+    if (!has(key) && existing) continue;
+    const value = typeof body[key] === "string" ? body[key].trim() : "";
+    if (!value) return { error: `${key} is required` };
+    data[key] = value;
+  }
+  if (has("type") || !existing) {
+    if (!GEOFENCE_TYPES.includes(body.type)) {
+      return { error: `type must be one of: ${GEOFENCE_TYPES.join(", ")}` };
+    }
+    data.type = body.type;
+  }
+  if (has("geometry") || !existing) {
+    const { type, coordinates } = body.geometry || {};
+    if (!GEOMETRY_TYPES.includes(type) || !Array.isArray(coordinates)) {
+      return {
+        error: `geometry needs a type (${GEOMETRY_TYPES.join(", ")}) and coordinates`,
+      };
+    }
+    data.geometry = { type, coordinates };
+  }
+  if (has("radius")) {
+    if (typeof body.radius !== "number" || !(body.radius > 0)) {
+      return { error: "radius must be a positive number of metres" };
+    }
+    data.radius = body.radius;
+  }
+  if (has("status")) {
+    if (!GEOFENCE_STATUSES.includes(body.status)) {
+      return { error: `status must be one of: ${GEOFENCE_STATUSES.join(", ")}` };
+    }
+    data.status = body.status;
+  }
+  if (has("priority")) {
+    if (!Number.isInteger(body.priority) || body.priority < 1 || body.priority > 10) {
+      return { error: "priority must be an integer from 1 to 10" };
+    }
+    data.priority = body.priority;
+  }
+
+  if (has("rules")) {
+    const input = body.rules || {};
+    const rules = existing?.rules ? existing.toObject().rules : {};
+
+    if (input.allowedVehicles !== undefined) {
+      if (!Array.isArray(input.allowedVehicles)) {
+        return { error: "rules.allowedVehicles must be an array" };
+      }
+      const vehicles = input.allowedVehicles.map(normalizeVehicleType);
+      if (vehicles.includes(null)) {
+        return { error: "rules.allowedVehicles contains an unknown vehicle type" };
+      }
+      rules.allowedVehicles = [...new Set(vehicles)];
+    }
+    for (const key of ["maxSpeed", "deliveryFee"]) {
+      if (input[key] === undefined) continue;
+      if (typeof input[key] !== "number" || input[key] < 0) {
+        return { error: `rules.${key} must be a non-negative number` };
+      }
+      rules[key] = input[key];
+    }
+    if (input.requiresApproval !== undefined) {
+      rules.requiresApproval = Boolean(input.requiresApproval);
+    }
+    if (input.timeRestrictions !== undefined) {
+      const { start, end, days = [] } = input.timeRestrictions || {};
+      if (Boolean(start) !== Boolean(end)) {
+        return { error: "rules.timeRestrictions needs both start and end" };
+      }
+      if (start && (parseClock(start) === null || parseClock(end) === null)) {
+        return { error: "rules.timeRestrictions start and end must be HH:MM" };
+      }
+      const dayNames = Array.isArray(days) ? days.map((d) => String(d).toLowerCase()) : null;
+      if (!dayNames || !dayNames.every((d) => DAYS.includes(d))) {
+        return { error: `rules.timeRestrictions.days must be from: ${DAYS.join(", ")}` };
+      }
+      rules.timeRestrictions = { start, end, days: [...new Set(dayNames)] };
+    }
+    data.rules = rules;
+  }
+
+  if (has("metadata")) {
+    const metadata = existing?.metadata ? existing.toObject().metadata : {};
+    for (const key of METADATA_KEYS) {
+      if (body.metadata?.[key] !== undefined) metadata[key] = body.metadata[key];
+    }
+    data.metadata = metadata;
+  }
+
+  return { data };
+}
+
+/** A mongoose ValidationError as one readable sentence. */
+function validationMessage(error) {
+  return Object.values(error.errors || {})
+    .map((e) => e.message)
+    .join("; ") || error.message;
+}
+
+/**
+ * The rules of `geofence` a rider inside it is breaking.
+ *
+ * @param {Object} geofence - Geofence document
+ * @param {Object} rider
+ * @param {string} [rider.vehicleType] - canonical DispatchProfile vehicle type
+ * @param {Date} [rider.at]
+ * @returns {Array<{ rule: string, message: string }>}
+ */
+function violationsFor(geofence, { vehicleType, at = new Date() } = {}) {
+  const violations = [];
+  const withinHours = geofence.isWithinTimeRestrictions(at);
+
+  if (geofence.type === "restricted_area") {
+    // Closed during its restricted hours, or always when it has none
+    if (withinHours !== false) {
+      violations.push({
+        rule: "restricted_area",
+        message: `${geofence.name} is a restricted area`,
+      });
+    }
+  } else if (withinHours === false) {
+    violations.push({
+      rule: "outside_hours",
+      message: `${geofence.name} is closed to deliveries at this time`,
+    });
+  }
+
+  const allowed = geofence.rules?.allowedVehicles || [];
+  if (vehicleType && allowed.length && !allowed.includes(vehicleType)) {
+    violations.push({
+      rule: "vehicle_not_allowed",
+      message: `${vehicleType} is not allowed in ${geofence.name}`,
+    });
+  }
+
+  return violations;
+}
+
+/**
+ * Update a tracking record's geofence visits for the rider's new position.
+ * Mutates `tracking`; the caller saves it.
+ *
+ * @param {Object} tracking - LocationTracking document
+ * @param {Object} position
+ * @param {number} position.longitude
+ * @param {number} position.latitude
+ * @param {string} [position.vehicleType]
+ * @param {Date} [position.at]
+ * @returns {Promise<{ inside: Object[], violations: Object[], newViolations: Object[] }>}
+ *   the geofences the rider is in, every rule currently broken, and those
+ *   broken for the first time this visit
+ */
+async function checkRiderPosition(tracking, { longitude, latitude, vehicleType, at = new Date() }) {
+  const inside = await Geofence.findContaining(longitude, latitude);
+  const openVisits = tracking.geofences.filter((visit) => !visit.exitedAt);
+  const violations = [];
+  const newViolations = [];
+
+  for (const geofence of inside) {
+    let visit = openVisits.find((v) => String(v.geofence) === String(geofence._id));
+    if (!visit) {
+      tracking.geofences.push({
+        geofence: geofence._id,
+        name: geofence.name,
+        type: geofence.type,
+        center: geofence.center,
+        radius: geofence.radius,
+        enteredAt: at,
+        violations: [],
+      });
+      visit = tracking.geofences[tracking.geofences.length - 1];
+      tracking.notifications.push({
+        type: "geofence_enter",
+        message: `Entered ${geofence.name}`,
+        timestamp: at,
+      });
+    }
+
+    for (const violation of violationsFor(geofence, { vehicleType, at })) {
+      const entry = { geofence, ...violation };
+      violations.push(entry);
+      if (visit.violations.includes(violation.rule)) continue;
+
+      visit.violations.push(violation.rule);
+      newViolations.push(entry);
+      tracking.notifications.push({
+        type: "geofence_violation",
+        message: violation.message,
+        timestamp: at,
+      });
+    }
+  }
+
+  const insideIds = new Set(inside.map((geofence) => String(geofence._id)));
+  for (const visit of openVisits) {
+    if (insideIds.has(String(visit.geofence))) continue;
+    visit.exitedAt = at;
+    tracking.notifications.push({
+      type: "geofence_exit",
+      message: `Exited ${visit.name}`,
+      timestamp: at,
+    });
+  }
+
+  return { inside, violations, newViolations };
+}
+
+/** Whether any active service_area restricts where orders can be delivered. */
+async function hasServiceAreas() {
+  return Boolean(await Geofence.exists({ type: "service_area", status: "active" }));
+}
+
+/**
+ * Whether a position lies in an active service_area. Callers check
+ * hasServiceAreas first: with none defined, everywhere is covered.
+ *
+ * @param {number} longitude
+ * @param {number} latitude
+ * @returns {Promise<{ covered: boolean, zone?: Object }>} zone is the
+ *   highest-priority service area containing the point
+ */
+async function deliveryCoverage(longitude, latitude) {
+  const [zone] = await Geofence.findContaining(longitude, latitude, { type: "service_area" });
+  return zone ? { covered: true, zone } : { covered: false };
+}
+
+/**
+ * Zone surcharges for a delivery: at each point, the rules.deliveryFee of the
+ * highest-priority zone that charges one. A zone containing both pickup and
+ * drop-off is charged once. Restricted areas never add a fee.
+ *
+ * @param {Array<{ lat: number, lng: number }>} points - pickup and drop-off
+ * @returns {Promise<Array<{ geofence: ObjectId, name: string, fee: number }>>}
+ */
+async function zoneSurcharges(points) {
+  const zones = new Map();
+  for (const { lat, lng } of points) {
+    const [zone] = await Geofence.findContaining(Number(lng), Number(lat), {
+      type: { $ne: "restricted_area" },
+      "rules.deliveryFee": { $gt: 0 },
+    });
+    if (zone && !zones.has(String(zone._id))) {
+      zones.set(String(zone._id), {
+        geofence: zone._id,
+        name: zone.name,
+        fee: zone.rules.deliveryFee,
+      });
+    }
+  }
+  return [...zones.values()];
+}
+
+module.exports = {
+  GEOFENCE_TYPES,
+  normalizeGeofenceInput,
+  validationMessage,
+  violationsFor,
+  checkRiderPosition,
+  hasServiceAreas,
+  deliveryCoverage,
+  zoneSurcharges,
+};
@@ -0,0 +1,68 @@
+/**
+ * @file notificationDigestService.js
+ * @description Flushes notifications held back by quiet hours or a user's
+ * batched/daily/weekly frequency (see firebaseNotificationService).
+ *
+ * Run every few minutes by the "notification_digest" job on the task queue.
+ * Each due group is claimed by stamping `sentAt` before anything is sent, so
+ * two workers running the job at once never send the same digest twice.
+ */
+
+const PendingNotification = require("../models/pendingNotificationModel");
+const { deliverHeldNotifications } = require("./firebaseNotificationService");
+const logger = require("./logger");
+
+// Users × channels handled per run; the rest wait for the next run.
+const DEFAULT_BATCH_SIZE = 200;
+
+/**
+ * Send every held notification whose time has come, one message (or digest)
+ * per user and channel.
+ *
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @param {number} [options.limit] - max user/channel groups per run
+ * @returns {Promise<{ groups: number, sent: number, failed: number }>}
+ */
+async function flushDueNotifications({ now = new Date(), limit = DEFAULT_BATCH_SIZE } = {}) {
+  const groups = await PendingNotification.aggregate([
+    { $match: { sentAt: null, deliverAfter: { $lte: now } } },
+    {
+      $group: {
+        _id: { user: "$user", channel: "$channel" },
+        ids: { $push: "$_id" },
+      },
+    },
+    { $limit: limit },
+  ]);
+
+  const summary = { groups: groups.length, sent: 0, failed: 0 };
+
+  for (const { _id: key, ids } of groups) {
+    const claimedAt = new Date();
+    const { modifiedCount } = await PendingNotification.updateMany(
+      { _id: { $in: ids }, sentAt: null },
+      { $set: { sentAt: claimedAt } },
+    );
+    if (modifiedCount === 0) continue; // another worker got there first
+
+    const items = await PendingNotification.find({
+      _id: { $in: ids },
+      sentAt: claimedAt,
+    }).sort({ createdAt: 1 });
+
+    try {
+      const result = await deliverHeldNotifications(key.user, key.channel, items);
+      if (result?.sent) summary.sent++;
+    } catch (err) {
+      summary.failed++;
+      logger.error(
+        `[NotificationDigest] ${key.channel} digest for user ${key.user} failed: ${err.message}`,
+      );
+    }
+  }
+
+  return summary;
+}
+
+module.exports = { flushDueNotifications };
@@ -0,0 +1,396 @@
+/**
+ * @file notificationSchedulerService.js
+ * @description Delivers notifications that carry a `scheduledFor` time, and
+ * the admin broadcast campaigns they are fanned out from.
+ *
+ * Each run of the "notification_scheduler" job on the task queue:
+ *   1. cancels pending notifications and campaigns whose `expiresAt` passed;
+ *   2. fans every due campaign out into one Notification per recipient;
+ *   3. leases each due notification and enqueues a "scheduled_notification"
+ *      job for it.
+ *
+ * The job delivers every enabled channel that has not gone out yet — in-app
+ * needs nothing beyond the record becoming visible — and records the outcome
+ * per channel. A channel that fails is retried with exponential backoff until
+ * `maxRetries`, after which the notification is marked failed; channels that
+ * already succeeded are never sent twice.
+ *
+ * Notifications created without `scheduledFor` are delivered by their callers
+ * and never touched here.
+ */
+
+const Notification = require("../models/notificationModel");
+const NotificationCampaign = require("../models/notificationCampaignModel");
+const User = require("../models/userModel");
+const { deliverNotification } = require("./firebaseNotificationService");
+const logger = require("./logger");
+
+const RETRY_BASE_MS = 60_000;
+const RETRY_MAX_MS = 60 * 60_000;
+// How long a worker holds a notification before another may pick it up.
+const LEASE_MS = 10 * 60_000;
+// A fan-out still "sending" after this long is assumed to have crashed.
+const STALE_LAUNCH_MS = 15 * 60_000;
+const FAN_OUT_BATCH = 500;
+const DEFAULT_EXPIRY_DAYS = 30;
+
+const DELIVERY_CHANNELS = ["push", "email"];
+const CAMPAIGN_ROLES = ["buyer", "seller", "dispatch", "admin"];
+const CAMPAIGN_TYPES = ["announcement", "promotion", "maintenance", "update_available"];
+const PRIORITIES = ["low", "medium", "high", "urgent"];
+
+// Notification type → preference key checked by NotificationPreferences.
+const PREFERENCE_KEYS = {
+  promotion: "promotions",
+  customer_message: "orderUpdates",
+  dispatch_assigned: "deliveryUpdates",
+  dispatch_request: "deliveryUpdates",
+  dispatch_completed: "deliveryUpdates",
+  password_changed: "securityAlerts",
+  account_suspended: "securityAlerts",
+};
+
+const preferenceKeyFor = (type) =>
+  PREFERENCE_KEYS[type] || (type.startsWith("order_") ? "orderUpdates" : "systemUpdates");
+
+/** Delay before retry number `retryCount` (1-based): 1, 2, 4 … minutes, capped at an hour. */
+const retryDelay = (retryCount) =>
+  Math.min(RETRY_BASE_MS * 2 ** Math.max(0, retryCount - 1), RETRY_MAX_MS);
+
+/**
+ * Validate an admin's campaign payload.
+ *
+ * @param {Object} body - request body
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {{ data: Object } | { error: string }}
+ */
+function normalizeCampaignInput(body, { now = new Date() } = {}) {
+  const title = String(body.title || "").trim();
+  const message = String(body.message || "").trim();
+  if (!title || !message) return { error: "title and message are required" };
+  if (title.length > 120) return { error: "title must be at most 120 characters" };
+
+  const roles = Array.isArray(body.roles) ? [...new Set(body.roles)] : [];
+  if (roles.length === 0 || !roles.every((role) => CAMPAIGN_ROLES.includes(role))) {
+    return { error: `roles must be a non-empty array of: ${CAMPAIGN_ROLES.join(", ")}` };
+  }
+
+  const type = body.type ?? "announcement";
+  if (!CAMPAIGN_TYPES.includes(type)) {
+    return { error: `type must be one of: ${CAMPAIGN_TYPES.join(", ")}` };
+  }
+  const priority = body.priority ?? "medium";
+  if (!PRIORITIES.includes(priority)) {
+    return { error: `priority must be one of: ${PRIORITIES.join(", ")}` };
+  }
+
+  const channels = { inApp: true, push: true, email: false };
+  for (const key of Object.keys(channels)) {
+    if (body.channels?.[key] !== undefined) channels[key] = Boolean(body.channels[key]);
+  }
+  if (!Object.values(channels).some(Boolean)) {
+    return { error: "At least one channel must be enabled" };
+  }
+
+  // Omitted scheduledFor means "now": the next scheduler run sends it.
+  const scheduledFor = body.scheduledFor ? new Date(body.scheduledFor) : now;
+  if (Number.isNaN(scheduledFor.getTime())) return { error: "scheduledFor must be a date" };
+
+  let expiresAt;
+  if (body.expiresAt) {
+    expiresAt = new Date(body.expiresAt);
+    if (Number.isNaN(expiresAt.getTime())) return { error: "expiresAt must be a date" };
+    if (expiresAt <= scheduledFor || expiresAt <= now) {
+      return { error: "expiresAt must be in the future and after scheduledFor" };
+    }
+  }
+
+  return {
+    data: {
+      title,
+      message,
+      type,
+      priority,
+      roles,
+      channels,
+      scheduledFor,
+      ...(expiresAt && { expiresAt }),
+    },
+  };
+}
+
+/** Cancel pending notifications and campaigns that expired before going out. */
+async function expireOverdue(now = new Date()) {
+  const [notifications, campaigns] = await Promise.all([
+    Notification.updateMany(
+      { status: "pending", scheduledFor: { $ne: null }, expiresAt: { $lte: now } },
+      { $set: { status: "cancelled", errorMessage: "Expired before delivery" } },
+    ),
+    NotificationCampaign.updateMany(
+      { status: "scheduled", expiresAt: { $lte: now } },
+      { $set: { status: "cancelled", cancelledAt: now } },
+    ),
+  ]);
+  return {
+    notifications: notifications.modifiedCount,
+    campaigns: campaigns.modifiedCount,
+  };
+}
+
+/**
+ * Create one Notification per recipient of a campaign. Safe to re-run: the
+ * unique { campaign, recipient } index turns repeats into no-ops.
+ */
+async function fanOutCampaign(campaign) {
+  const role = campaign.roles.length === 1 ? campaign.roles[0] : "all";
+  const expiresAt =
+    campaign.expiresAt ||
+    new Date(campaign.scheduledFor.getTime() + DEFAULT_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+
+  const toNotification = (user) => ({
+    recipient: user._id,
+    sender: campaign.createdBy,
+    type: campaign.type,
+    title: campaign.title,
+    message: campaign.message,
+    data: { campaignId: String(campaign._id) },
+    priority: campaign.priority,
+    channels: {
+      inApp: { enabled: campaign.channels.inApp },
+      push: { enabled: campaign.channels.push },
+      email: { enabled: campaign.channels.email },
+    },
+    role,
+    campaign: campaign._id,
+    scheduledFor: campaign.scheduledFor,
+    expiresAt,
+  });
+
+  const insert = async (users) => {
+    try {
+      await Notification.insertMany(users.map(toNotification), { ordered: false });
+    } catch (err) {
+      // Duplicate keys are recipients an earlier, interrupted run already covered
+      if (err.code !== 11000 && !err.writeErrors?.every((e) => e.code === 11000)) throw err;
+    }
+  };
+
+  const cursor = User.find({
+    role: { $in: campaign.roles },
+    isBlocked: { $ne: true },
+    status: { $ne: "blocked" },
+  })
+    .select("_id")
+    .lean()
+    .cursor();
+
+  let batch = [];
+  for await (const user of cursor) {
+    batch.push(user);
+    if (batch.length === FAN_OUT_BATCH) {
+      await insert(batch);
+      batch = [];
+    }
+  }
+  if (batch.length) await insert(batch);
+
+  return Notification.countDocuments({ campaign: campaign._id });
+}
+
+/** Fan out every campaign whose time has come. */
+async function launchDueCampaigns(now = new Date()) {
+  let launched = 0;
+  for (;;) {
+    const campaign = await NotificationCampaign.findOneAndUpdate(
+      {
+        scheduledFor: { $lte: now },
+        $or: [
+          { status: "scheduled" },
+          { status: "sending", launchedAt: { $lte: new Date(now.getTime() - STALE_LAUNCH_MS) } },
+        ],
+      },
+      { $set: { status: "sending", launchedAt: now } },
+      { new: true, sort: { scheduledFor: 1 } },
+    );
+    if (!campaign) return launched;
+
+    const recipientCount = await fanOutCampaign(campaign);
+    const { matchedCount } = await NotificationCampaign.updateOne(
+      { _id: campaign._id, status: "sending" },
+      { $set: { status: "sent", recipientCount } },
+    );
+    if (matchedCount === 0) {
+      // Cancelled mid fan-out: also cancel the notifications created since
+      await Notification.updateMany(
+        { campaign: campaign._id, status: "pending" },
+        { $set: { status: "cancelled", errorMessage: "Campaign cancelled" } },
+      );
+    }
+    launched++;
+    logger.info(`[NotificationScheduler] Campaign ${campaign._id} fanned out to ${recipientCount} users`);
+  }
+}
+
+/**
+ * Lease due notifications and enqueue a delivery job for each.
+ * @returns {Promise<number>} how many were enqueued
+ */
+async function dispatchDueNotifications(now = new Date(), { limit = 500 } = {}) {
+  const taskQueue = require("./taskQueue");
+  let dispatched = 0;
+
+  while (dispatched < limit) {
+    const notification = await Notification.findOneAndUpdate(
+      {
+        status: "pending",
+        scheduledFor: { $lte: now },
+        $and: [
+          { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+          { $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: now } }] },
+        ],
+      },
+      { $set: { nextAttemptAt: new Date(now.getTime() + LEASE_MS) } },
+      { new: true, sort: { scheduledFor: 1 } },
+    ).select("_id");
+    if (!notification) break;
+
+    await taskQueue.enqueue("scheduled_notification", {
+      notificationId: String(notification._id),
+    });
+    dispatched++;
+  }
+  return dispatched;
+}
+
+/**
+ * One scheduler pass: expire, launch campaigns, dispatch due notifications.
+ * Run by the "notification_scheduler" job.
+ */
+async function runNotificationScheduler({ now = new Date() } = {}) {
+  const expired = await expireOverdue(now);
+  const campaigns = await launchDueCampaigns(now);
+  const dispatched = await dispatchDueNotifications(now);
+  return { expired, campaigns, dispatched };
+}
+
+/**
+ * Deliver one scheduled notification on every channel still outstanding.
+ * Run by the "scheduled_notification" job.
+ *
+ * @param {string} notificationId
+ * @returns {Promise<string>} the resulting status
+ */
+async function deliverScheduledNotification(notificationId, { now = new Date() } = {}) {
+  const notification = await Notification.findById(notificationId);
+  if (!notification || notification.status !== "pending") return notification?.status;
+
+  if (notification.isExpired) {
+    notification.status = "cancelled";
+    notification.errorMessage = "Expired before delivery";
+    await notification.save();
+    return notification.status;
+  }
+
+  const errors = [];
+  for (const channel of DELIVERY_CHANNELS) {
+    const state = notification.channels[channel];
+    if (!state?.enabled || state.sent) continue;
+
+    let outcome;
+    try {
+      const { results } = await deliverNotification({
+        userId: notification.recipient,
+        title: notification.title,
+        body: notification.message,
+        data: {
+          notificationId: String(notification._id),
+          ...(notification.campaign && { campaignId: String(notification.campaign) }),
+        },
+        type: preferenceKeyFor(notification.type),
+        urgent: notification.priority === "urgent",
+        channels: [channel],
+      });
+      outcome = results[channel];
+    } catch (err) {
+      outcome = { failed: true, result: err.message };
+    }
+
+    if (outcome.failed) {
+      state.error = String(outcome.result);
+      errors.push(`${channel}: ${state.error}`);
+    } else if (outcome.sent || outcome.deferredUntil) {
+      // Held by quiet hours or a digest counts as handed over
+      state.sent = true;
+      state.sentAt = now;
+      state.error = undefined;
+    }
+    // Otherwise the user opted out or has no device/email; nothing to retry
+  }
+
+  if (errors.length === 0) {
+    notification.status = "sent";
+    notification.nextAttemptAt = undefined;
+    notification.errorMessage = undefined;
+  } else {
+    notification.retryCount += 1;
+    notification.errorMessage = errors.join("; ");
+    if (notification.retryCount >= notification.maxRetries) {
+      notification.status = "failed";
+      notification.nextAttemptAt = undefined;
+    } else {
+      notification.nextAttemptAt = new Date(now.getTime() + retryDelay(notification.retryCount));
+    }
+  }
+  await notification.save();
+  return notification.status;
+}
+
+/**
+ * Cancel a campaign. Before it launches nothing is sent; afterwards only the
+ * recipients it has not reached yet are cancelled.
+ *
+ * @returns {Promise<{ campaign: Object, cancelledNotifications: number } | null>}
+ *   null when the campaign was already cancelled.
+ */
+async function cancelCampaign(campaign, { by, now = new Date() } = {}) {
+  const updated = await NotificationCampaign.findOneAndUpdate(
+    { _id: campaign._id, status: { $ne: "cancelled" } },
+    { $set: { status: "cancelled", cancelledBy: by, cancelledAt: now } },
+    { new: true },
+  );
+  if (!updated) return null;
+
+  const { modifiedCount } = await Notification.updateMany(
+    { campaign: campaign._id, status: "pending" },
+    { $set: { status: "cancelled", errorMessage: "Campaign cancelled" } },
+  );
+  return { campaign: updated, cancelledNotifications: modifiedCount };
+}
+
+/** Delivery counts of a campaign's notifications, by status. */
+async function campaignStats(campaignId) {
+  const rows = await Notification.aggregate([
+    { $match: { campaign: campaignId } },
+    { $group: { _id: "$status", count: { $sum: 1 } } },
+  ]);
+  const stats = { pending: 0, sent: 0, delivered: 0, failed: 0, cancelled: 0 };
+  for (const { _id, count } of rows) stats[_id] = count;
+  return stats;
+}
+
+module.exports = {
+  CAMPAIGN_ROLES,
+  CAMPAIGN_TYPES,
+  normalizeCampaignInput,
+  preferenceKeyFor,
+  retryDelay,
+  expireOverdue,
+  fanOutCampaign,
+  launchDueCampaigns,
+  dispatchDueNotifications,
+  runNotificationScheduler,
+  deliverScheduledNotification,
+  cancelCampaign,
+  campaignStats,
+};
@@ -109,10 +109,10 @@ async function contactCustomer({ orderId, message, scopeFilter = {}, senderName,
 
   // Fire push + email out-of-band; never let a delivery failure fail the request.
   try {
-    await firebaseService.sendNotificationToUser(
+    await firebaseService.sendTemplatedNotification(
       String(buyer._id),
-      title,
-      trimmed,
+      "customer_message",
+      { from, order: orderNumber, message: trimmed },
       data,
       "orderUpdates",
     );
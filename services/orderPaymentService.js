@@ -0,0 +1,444 @@
+/**
+ * @file orderPaymentService.js
+ * @description Settles a confirmed buyer payment against the ledger.
+ *
+ * A payment reference (Flutterwave tx_ref) points either at a Checkout — one
+ * payment covering one child order per store — or, for orders created before
+ * checkouts existed, at a single Order. Either way the settlement is the same:
+ * every unpaid order gets its own `order_payment` Transaction (reference
+ * `Payment-<orderId>`), its store owner's wallet is credited, and the order is
+ * marked paid, all in one MongoDB session so a multi-store payment never lands
+ * half-settled.
+ *
+ * Used by:
+ *   - services/webhookPaymentProcessor.js   (source "webhook")
+ *   - controllers/payment/verifyPayment.js  (source "verify")
+ *   - services/pendingPaymentCron.js        (source "cron")
+ *   - controllers/payment/payWithWallet.js  (source "wallet")
+ *
+ * A wallet payment has no Flutterwave side: the buyer's wallet is debited in
+ * the same session, and the ledger books it against the buyer's wallet
+ * instead of the cash account.
+ *
+ * IDEMPOTENCY: an order that already has a completed `Payment-<orderId>`
+ * transaction is skipped, and each ledger row carries a unique
+ * `metadata.externalEventId` so a race between sources fails at the DB level.
+ */
+
+const mongoose = require("mongoose");
+const Order = require("../models/orderModel");
+const Checkout = require("../models/checkoutModel");
+const Store = require("../models/storeModel");
+const User = require("../models/userModel");
+const Wallet = require("../models/walletModel");
+const Transaction = require("../models/transactionModel");
+const { calculateCommissionBreakdown } = require("./commissionService");
+const { PaymentStatus, OrderStatus } = require("../utils/constants");
+const { MakeID } = require("../Helpers/Helpers");
+const money = require("../utils/money");
+
+// Per-source prefixes, kept identical to what each path wrote before checkouts.
+const SOURCES = {
+  webhook: { txPrefix: "PAY_WH", eventPrefix: "FLW_WEBHOOK", notes: "Payment processed via webhook" },
+  verify: { txPrefix: "PAY", eventPrefix: "FLW_VERIFY", notes: "Payment processed via Flutterwave" },
+  cron: { txPrefix: "PAY_CRON", eventPrefix: "FLW_CRON", notes: "Recovered by 5-min pending-payment cron" },
+  wallet: {
+    txPrefix: "PAY_WAL",
+    eventPrefix: "WALLET",
+    notes: "Paid from the buyer's wallet",
+    account: "wallet_vendor",
+    paymentMethod: "wallet",
+  },
+};
+
+/**
+ * Find what a payment reference pays for.
+ *
+ * @param {string} txRef - paymentIntent.id sent to Flutterwave as tx_ref.
+ * @returns {Promise<{checkout: Object|null, orders: Object[]}|null>}
+ */
+async function findPayableByReference(txRef) {
+  const checkout = await Checkout.findOne({ "paymentIntent.id": txRef });
+  if (checkout) {
+    const orders = await Order.find({ checkout: checkout._id });
+    return { checkout, orders };
+  }
+
+  const order = await Order.findOne({ "paymentIntent.id": txRef });
+  return order ? { checkout: null, orders: [order] } : null;
+}
+
+/**
+ * Find what the buyer is paying for, given either a checkout or one of its
+ * orders. An order that belongs to a checkout resolves to the whole checkout:
+ * the buyer pays for all stores at once.
+ *
+ * @param {{checkoutId?: string, orderId?: string}} ids
+ * @returns {Promise<{checkout: Object|null, orders: Object[]}|null>}
+ */
+async function findPayable({ checkoutId, orderId }) {
+  let checkout = null;
+  if (checkoutId) {
+    checkout = await Checkout.findById(checkoutId);
+  } else if (orderId) {
+    const order = await Order.findById(orderId);
+    if (!order) return null;
+    if (!order.checkout) return { checkout: null, orders: [order] };
+    checkout = await Checkout.findById(order.checkout);
+  }
+  if (!checkout) return null;
+
+  const orders = await Order.find({ checkout: checkout._id });
+  return { checkout, orders };
+}
+
+/** The payment reference and amount the buyer is charged for a payable. */
+function paymentIntentOf({ checkout, orders }) {
+  return checkout ? checkout.paymentIntent : orders[0].paymentIntent;
+}
+
+/**
+ * The user who owns the store an order was placed with. Every line of a
+ * checkout child order belongs to the same store; legacy lines may only have
+ * the store on the populated product.
+ */
+async function resolveVendor(order, session) {
+  const line = order.products[0];
+  const storeId = line?.store?._id ?? line?.store ?? line?.product?.store;
+  if (!storeId) return { vendor: null, vendorId: null };
+
+  const store = await Store.findById(storeId).select("owner").session(session);
+  const vendor = store?.owner
+    ? await User.findById(store.owner).session(session)
+    : null;
+  return { vendor, vendorId: vendor?._id ?? storeId };
+}
+
+/**
+ * Debit a buyer's wallet for a payment. Throws with a code the caller can
+ * answer with: WALLET_INACTIVE, INSUFFICIENT_FUNDS (the balance less the
+ * wallet's minimum doesn't cover it), or DEDUCTION_FAILED from deductFunds
+ * when the wallet changed under us.
+ */
+async function debitBuyerWallet(userId, amount, session) {
+  const wallet = await Wallet.findOne({ user: userId }).session(session);
+  if (!wallet || wallet.status !== "active") {
+    const err = new Error("You don't have an active wallet to pay from");
+    err.code = "WALLET_INACTIVE";
+    throw err;
+  }
+  const spendable = money.subtract(wallet.balance, wallet.limits?.minimumBalance || 0);
+  if (money.lt(spendable, amount)) {
+    const err = new Error("Insufficient wallet balance");
+    err.code = "INSUFFICIENT_FUNDS";
+    throw err;
+  }
+  await wallet.deductFunds(amount, "payment", session);
+}
+
+async function creditWallet(userId, amount, session) {
+  let wallet = await Wallet.findOne({ user: userId }).session(session);
+  if (!wallet) {
+    [wallet] = await Wallet.create([{ user: userId, balance: 0 }], { session });
+  }
+  await wallet.creditEarning(amount, session);
+}
+
+/**
+ * Post one order's share of a confirmed payment. Must run inside `session`.
+ * @returns {Promise<Object|null>} settlement details, or null if already settled
+ */
+async function settleOrder(orderId, payment, vatConfig, session) {
+  const source = SOURCES[payment.source];
+
+  const existing = await Transaction.findOne({
+    reference: `Payment-${orderId}`,
+    type: "order_payment",
+    status: "completed",
+  }).session(session);
+  if (existing) return null;
+
+  const order = await Order.findById(orderId)
+    .populate("orderedBy", "fullName email mobile")
+    .populate("products.product", "title listedPrice price store")
+    .populate("deliveryAgent", "fullName email mobile")
+    .session(session);
+  if (!order) throw new Error(`Order ${orderId} not found in session`);
+
+  const amount = order.paymentIntent.amount;
+  const commission = calculateCommissionBreakdown(order);
+  const vatAmount = vatConfig ? vatConfig.calculateVAT(amount) : 0;
+
+  const { vendor, vendorId } = await resolveVendor(order, session);
+  const vatResponsibility =
+    vatConfig && vendor
+      ? vatConfig.getVATResponsibility(vendor, amount)
+      : "platform";
+
+  // A checkout child shares the Flutterwave transaction with its siblings,
+  // so its event id is suffixed to stay unique per order.
+  const externalEventId = order.checkout
+    ? `${source.eventPrefix}_${payment.externalTxId}_${order._id}`
+    : `${source.eventPrefix}_${payment.externalTxId}`;
+
+  // ── Double-entry ledger ─────────────────────────────────────────────────
+  const transactionId = `${source.txPrefix}_${Date.now()}_${MakeID(16)}`;
+  const transaction = await Transaction.createTransaction(
+    {
+      transactionId,
+      reference: `Payment-${order._id}`,
+      type: "order_payment",
+      totalAmount: amount,
+      entries: [
+        {
+          account: source.account || "cash_account",
+          userId: order.orderedBy._id,
+          debit: amount,
+          credit: 0,
+          description: `Payment for order ${order._id}`,
+        },
+        {
+          account: "accounts_receivable",
+          userId: order.orderedBy._id,
+          debit: 0,
+          credit: amount,
+          description: "Receivable from customer",
+        },
+        {
+          account: "commission_revenue",
+          userId: null,
+          debit: commission.platformAmount,
+          credit: 0,
+          description: "Platform commission",
+        },
+        {
+          account: "accounts_payable",
+          userId: null,
+          debit: 0,
+          credit: commission.platformAmount,
+          description: "Platform commission payable",
+        },
+        {
+          account: "commission_payable",
+          userId: vendorId,
+          debit: commission.vendorAmount,
+          credit: 0,
+          description: "Vendor earnings",
+        },
+        {
+          account: "wallet_vendor",
+          userId: vendorId,
+          debit: 0,
+          credit: commission.vendorAmount,
+          description: "Vendor wallet credit",
+        },
+        ...(commission.dispatchAmount > 0
+          ? [
+              {
+                account: "commission_payable",
+                userId: order.deliveryAgent?._id,
+                debit: commission.dispatchAmount,
+                credit: 0,
+                description: "Dispatch earnings",
+              },
+              {
+                account: "wallet_dispatch",
+                userId: order.deliveryAgent?._id,
+                debit: 0,
+                credit: commission.dispatchAmount,
+                description: "Dispatch wallet credit",
+              },
+            ]
+          : []),
+        // Coupon discount: the platform covers the gap between what the
+        // buyer paid and what the sale was worth.
+        ...(order.discount?.amount > 0
+          ? [
+              {
+                account: "promotional_discounts",
+                userId: null,
+                debit: order.discount.amount,
+                credit: 0,
+                description: `Coupon ${order.discount.code} discount`,
+              },
+              {
+                account: "accounts_receivable",
+                userId: order.orderedBy._id,
+                debit: 0,
+                credit: order.discount.amount,
+                description: "Discount granted to customer",
+              },
+            ]
+          : []),
+        ...(vatAmount > 0
+          ? [
+              {
+                account: "vat_payable",
+                userId: vatResponsibility === "platform" ? null : vendorId,
+                debit: vatAmount,
+                credit: 0,
+                description: "VAT collected",
+              },
+              {
+                account: "vat_revenue",
+                userId: null,
+                debit: 0,
+                credit: vatAmount,
+                description: "VAT revenue",
+              },
+            ]
+          : []),
+      ],
+      vat: {
+        rate: vatConfig?.rates?.standard ?? 7.5,
+        amount: vatAmount,
+        responsibility: vatResponsibility,
+        collected: true,
+      },
+      commission: {
+        platformRate: commission.platformRate,
+        platformAmount: commission.platformAmount,
+        vendorAmount: commission.vendorAmount,
+        dispatchAmount: commission.dispatchAmount,
+      },
+      ...(order.discount?.amount > 0 && {
+        discount: {
+          coupon: order.discount.coupon,
+          code: order.discount.code,
+          amount: order.discount.amount,
+        },
+      }),
+      relatedEntity: { type: "order", id: order._id },
+      status: "completed",
+      metadata: {
+        paymentMethod: source.paymentMethod || "flutterwave",
+        externalTransactionId: payment.externalTxId,
+        externalEventId,
+        notes: order.checkout
+          ? `${source.notes} (checkout ${order.checkout})`
+          : source.notes,
+      },
+    },
+    session,
+  );
+
+  // ── Credit wallets ──────────────────────────────────────────────────────
+  if (commission.vendorAmount > 0 && vendorId) {
+    await creditWallet(vendorId, commission.vendorAmount, session);
+  }
+  if (commission.dispatchAmount > 0 && order.deliveryAgent) {
+    await creditWallet(order.deliveryAgent._id, commission.dispatchAmount, session);
+  }
+
+  // ── Mark order paid ─────────────────────────────────────────────────────
+  const updatedOrder = await Order.findByIdAndUpdate(
+    order._id,
+    {
+      paymentStatus: PaymentStatus.PAID,
+      "paymentIntent.status": "paid",
+      "paymentIntent.flw_ref": payment.externalTxId,
+      "paymentIntent.paid_at": new Date(),
+      "paymentIntent.transaction_id": transactionId,
+      ...(source.paymentMethod && {
+        paymentMethod: source.paymentMethod,
+        "paymentIntent.method": source.paymentMethod,
+      }),
+      orderStatus: OrderStatus.PENDING,
+      processingLock: false,
+    },
+    { new: true, session },
+  );
+
+  return { order: updatedOrder, transaction, commission, vatAmount, vatResponsibility };
+}
+
+/**
+ * Settle a confirmed payment for everything it covers.
+ *
+ * @param {{checkout: Object|null, orders: Object[]}} payable - from findPayable*.
+ * @param {Object} payment
+ * @param {string|number} payment.externalTxId - Flutterwave transaction id,
+ *   or the wallet payment's own id.
+ * @param {number} payment.amount - Amount Flutterwave says was paid.
+ * @param {"webhook"|"verify"|"cron"|"wallet"} payment.source
+ * @param {Object|null} vatConfig - Pre-fetched active VAT config.
+ * @returns {Promise<{orders: Object[], settlements: Object[]}>}
+ *   orders are all orders of the payable after settlement; settlements only
+ *   those posted by this call.
+ * @throws {Error} on an amount mismatch, or a wallet payment the buyer's
+ *   balance no longer covers (nothing is written).
+ */
+async function settlePayment(payable, payment, vatConfig) {
+  const expected = paymentIntentOf(payable).amount;
+  // Amount mismatch guard — prevents amount-swapping attacks
+  if (Math.abs(payment.amount - expected) > 1) {
+    const err = new Error(
+      `Amount mismatch: expected ${expected}, got ${payment.amount}`,
+    );
+    err.code = "AMOUNT_MISMATCH";
+    throw err;
+  }
+
+  const session = await mongoose.startSession();
+  let settlements = [];
+  let orders = [];
+  try {
+    await session.withTransaction(async () => {
+      // Reset on retry: withTransaction may re-run this callback.
+      settlements = [];
+      for (const order of payable.orders) {
+        const settled = await settleOrder(order._id, payment, vatConfig, session);
+        if (settled) settlements.push(settled);
+      }
+
+      // Take what was settled just now out of the buyer's wallet; orders
+      // another source settled first are not charged twice
+      if (payment.source === "wallet" && settlements.length) {
+        await debitBuyerWallet(
+          (payable.checkout || payable.orders[0]).orderedBy,
+          money.sum(settlements, (s) => s.order.paymentIntent.amount),
+          session,
+        );
+      }
+
+      if (payable.checkout) {
+        await Checkout.findByIdAndUpdate(
+          payable.checkout._id,
+          {
+            paymentStatus: PaymentStatus.PAID,
+            "paymentIntent.status": "paid",
+            "paymentIntent.flw_ref": payment.externalTxId,
+            "paymentIntent.paid_at": new Date(),
+            ...(SOURCES[payment.source].paymentMethod && {
+              paymentMethod: SOURCES[payment.source].paymentMethod,
+              "paymentIntent.method": SOURCES[payment.source].paymentMethod,
+            }),
+            processingLock: false,
+          },
+          { session },
+        );
+      }
+
+      orders = await Order.find({
+        _id: { $in: payable.orders.map((o) => o._id) },
+      }).session(session);
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return { orders, settlements };
+}
+
+/** True once every order covered by the payable is paid. */
+function isSettled({ orders }) {
+  return orders.every((o) => o.paymentStatus === PaymentStatus.PAID);
+}
+
+module.exports = {
+  findPayable,
+  findPayableByReference,
+  paymentIntentOf,
+  settlePayment,
+  isSettled,
+};
@@ -0,0 +1,596 @@
+/**
+ * @file orderRefundService.js
+ * @description The refund path for a paid order: refunds the buyer through
+ * Flutterwave, books the reversal in the ledger, takes the vendors' and
+ * rider's shares back out of their wallets, and optionally restocks lines.
+ *
+ * Instead of the card, the buyer can take the refund as store credit in
+ * their wallet: it lands at once rather than in days, and can be spent at
+ * checkout or withdrawn. An order paid from the wallet is always refunded
+ * there.
+ *
+ * Refunds are made per order line (all or some units) and, optionally, the
+ * delivery fee. commissionService.calculateRefundBreakdown splits each one the
+ * way the payment was split, so the vendor, platform, coupon and VAT
+ * reversals are exact; no share is ever reversed past what the payment
+ * booked. Each refund is recorded on order.refunds, from which its credit
+ * note is drawn (receiptService.generateCreditNote).
+ *
+ * Used by the admin refund endpoint (controllers/payment/refundPayment), buyer
+ * cancellation (controllers/order/cancelOrder) and accepted returns
+ * (orderReturnService). The order's lifecycle status is the caller's to
+ * change; this only records the refund on paymentIntent and marks the payment
+ * Refunded once nothing is left to refund.
+ *
+ * Runs inside the caller's session so the ledger, wallets, stock and order
+ * move together.
+ */
+
+const mongoose = require("mongoose");
+const Order = require("../models/orderModel");
+const Checkout = require("../models/checkoutModel");
+const Product = require("../models/productModel");
+const Store = require("../models/storeModel");
+const Wallet = require("../models/walletModel");
+const Transaction = require("../models/transactionModel");
+const { getFlutterwaveInstance } = require("../config/flutterwaveClient");
+const { MakeID } = require("../Helpers/Helpers");
+const { PaymentStatus } = require("../utils/constants");
+const { restockOp } = require("../utils/productVariants");
+const money = require("../utils/money");
+const { calculateRefundBreakdown } = require("./commissionService");
+const audit = require("./auditService");
+
+const sameId = (a, b) => String(a || "") === String(b || "");
+const productIdOf = (line) => line.product?._id || line.product;
+
+/** Load an order with everything refundOrder reads. */
+function loadRefundableOrder(orderId, session) {
+  return Order.findById(orderId)
+    .populate("orderedBy", "fullName email mobile")
+    .populate("products.product", "title listedPrice price store")
+    .populate("products.store", "name owner")
+    .populate("deliveryAgent", "fullName email mobile")
+    .session(session);
+}
+
+/** What is left to refund on a paid order. */
+function refundableAmount(order) {
+  const paid = order.paymentIntent?.amount || 0;
+  return money.max(0, money.subtract(paid, order.paymentIntent?.refund_amount || 0));
+}
+
+/** The order line a product (and variant) was bought on, or -1. */
+function findLine(order, product, variant) {
+  return (order.products || []).findIndex(
+    (line) => sameId(productIdOf(line), product) && sameId(line.variant, variant),
+  );
+}
+
+/** Units of each order line not yet refunded. */
+function unrefundedCounts(order) {
+  const remaining = (order.products || []).map((line) => line.count);
+  for (const refund of order.refunds || []) {
+    for (const item of refund.items || []) {
+      const index = findLine(order, item.product, item.variant);
+      if (index !== -1) remaining[index] -= item.count;
+    }
+  }
+  return remaining.map((count) => Math.max(0, count));
+}
+
+const REFUND_DESTINATIONS = ["card", "wallet"];
+
+/**
+ * Where a refund of the order goes: the requested destination, or by default
+ * back the way the buyer paid.
+ *
+ * @param {Object} order
+ * @param {string} [requested] - "card" or "wallet"
+ * @returns {{ to: string } | { error: string }}
+ */
+function refundDestination(order, requested) {
+  const paidFromWallet = order.paymentMethod === "wallet";
+  if (requested === undefined) return { to: paidFromWallet ? "wallet" : "card" };
+  if (!REFUND_DESTINATIONS.includes(requested)) {
+    return { error: `refundTo must be one of: ${REFUND_DESTINATIONS.join(", ")}` };
+  }
+  if (paidFromWallet && requested === "card") {
+    return { error: "This order was paid from the wallet, so it is refunded there" };
+  }
+  return { to: requested };
+}
+
+// Store credit for the buyer; a buyer who has never had a wallet gets one
+async function creditBuyerWallet(userId, amount, session) {
+  let wallet = await Wallet.findOne({ user: userId }).session(session);
+  if (!wallet) {
+    [wallet] = await Wallet.create([{ user: userId, balance: 0 }], { session });
+  }
+  await wallet.creditEarning(amount, session, false);
+}
+
+/** Whether an earlier refund already paid back the delivery fee. */
+const deliveryRefunded = (order) =>
+  (order.refunds || []).some((refund) => refund.delivery != null);
+
+/**
+ * Match the items asked for to order lines, checking there are still that
+ * many units to refund.
+ *
+ * @param {Object} order
+ * @param {Array<{ product: string, variant?: string, count?: number }>} [items]
+ *   defaults to every unit not yet refunded; a missing count to all of the
+ *   line's
+ * @returns {{ lines: Array<{ index: number, count: number }> } | { error: string }}
+ */
+function resolveRefundLines(order, items) {
+  const remaining = unrefundedCounts(order);
+  if (items === undefined) {
+    return {
+      lines: remaining
+        .map((count, index) => ({ index, count }))
+        .filter((line) => line.count > 0),
+    };
+  }
+  if (!Array.isArray(items)) return { error: "items must be a list" };
+
+  const lines = [];
+  for (const item of items) {
+    const index = findLine(order, item?.product, item?.variant);
+    if (index === -1) return { error: "Every item must be part of this order" };
+    if (lines.some((line) => line.index === index)) {
+      return { error: "List each item once" };
+    }
+    if (remaining[index] === 0) {
+      return { error: "That item has already been refunded" };
+    }
+
+    const count = item.count === undefined ? remaining[index] : Number(item.count);
+    if (!Number.isInteger(count) || count < 1 || count > remaining[index]) {
+      return { error: `count must be a whole number from 1 to ${remaining[index]}` };
+    }
+    lines.push({ index, count });
+  }
+  return { lines };
+}
+
+// What earlier refunds of the order already reversed in the ledger
+async function reversedSoFar(orderId, session) {
+  const refunds = await Transaction.find({
+    reference: `Refund-${orderId}`,
+    type: "order_refund",
+    status: "completed",
+  }).session(session);
+  return {
+    platformAmount: money.sum(refunds, (t) => t.commission?.platformAmount || 0),
+    vendorAmount: money.sum(refunds, (t) => t.commission?.vendorAmount || 0),
+    dispatchAmount: money.sum(refunds, (t) => t.commission?.dispatchAmount || 0),
+    discountAmount: money.sum(refunds, (t) => t.discount?.amount || 0),
+    vatAmount: money.sum(refunds, (t) => t.vat?.amount || 0),
+  };
+}
+
+// The vendor (store owner) credited for each line at payment, as in
+// orderPaymentService.resolveVendor
+async function vendorsOf(order, lines, session) {
+  const owners = new Map();
+  const vendors = [];
+  for (const { index } of lines) {
+    const line = order.products[index];
+    const storeId = line.store?._id ?? line.store ?? line.product?.store;
+    const key = String(storeId || "");
+    if (!owners.has(key)) {
+      let owner = line.store?.owner;
+      if (!owner && storeId) {
+        const store = await Store.findById(storeId).select("owner").session(session);
+        owner = store?.owner;
+      }
+      owners.set(key, owner ?? storeId ?? null);
+    }
+    vendors.push(owners.get(key));
+  }
+  return vendors;
+}
+
+/**
+ * Refund a paid order, in full or in part.
+ *
+ * @param {Object} order - loaded with loadRefundableOrder
+ * @param {Object} options
+ * @param {Array<{ product, variant?, count? }>} [options.items] - lines to
+ *   refund (see resolveRefundLines); defaults to everything not yet refunded
+ * @param {boolean} [options.delivery] - refund the delivery fee too; defaults
+ *   to true when items is omitted
+ * @param {string} [options.reason]
+ * @param {boolean} [options.restock=true] - put the refunded units back in stock
+ * @param {"card"|"wallet"} [options.refundTo] - see refundDestination
+ * @param {Object} [options.actor] - audit actor
+ * @param {import("mongoose").ClientSession} session
+ * @returns {Promise<{ refundId: *, amount: number, status: string,
+ *   transaction: Object|null, fullyRefunded: boolean, refund: Object }>}
+ *   refund is the entry added to order.refunds
+ * @throws {Error} when the order is not paid, the items cannot be refunded or
+ *   Flutterwave refuses the refund
+ */
+async function refundOrder(
+  order,
+  { items, delivery, reason, restock = true, refundTo, actor } = {},
+  session,
+) {
+  const orderId = order._id.toString();
+
+  if (order.paymentStatus !== PaymentStatus.PAID) {
+    throw new Error("Order is not paid, cannot process refund");
+  }
+
+  const destination = refundDestination(order, refundTo);
+  if (destination.error) throw new Error(destination.error);
+  const toWallet = destination.to === "wallet";
+
+  const resolved = resolveRefundLines(order, items);
+  if (resolved.error) throw new Error(resolved.error);
+  const { lines } = resolved;
+  if (delivery && deliveryRefunded(order)) {
+    throw new Error("The delivery fee has already been refunded");
+  }
+  const refundDelivery = (delivery ?? items === undefined) && !deliveryRefunded(order);
+
+  const originalTransaction = await Transaction.findOne({
+    reference: `Payment-${orderId}`,
+    type: "order_payment",
+  }).session(session);
+  const originalVat = originalTransaction?.vat;
+
+  const breakdown = calculateRefundBreakdown(order, {
+    lines,
+    delivery: refundDelivery,
+    vatRate: originalVat?.amount > 0 ? originalVat.rate : 0,
+  });
+
+  // Never more than is left of the payment (legacy orders priced off today's
+  // product prices can disagree with what was paid)
+  const remaining = refundableAmount(order);
+  const refundAmount = money.min(breakdown.totalAmount, remaining);
+  if (!money.gt(refundAmount, 0)) {
+    throw new Error("There is nothing left to refund on this order");
+  }
+  const refunded = money.add(order.paymentIntent?.refund_amount || 0, refundAmount);
+  const fullyRefunded = money.gte(refunded, order.paymentIntent?.amount || 0);
+
+  const refundTransactionId = `REF_${Date.now()}_${MakeID(16)}`;
+  let refundId = refundTransactionId;
+  let refundStatus = "completed";
+  if (!toWallet) {
+    // The buyer was charged against the checkout's reference, not the
+    // child order's, so that is what Flutterwave knows.
+    const checkout = order.checkout
+      ? await Checkout.findById(order.checkout).session(session)
+      : null;
+
+    // Process refund with Flutterwave
+    const refundData = {
+      tx_ref: (checkout || order).paymentIntent.id,
+      amount: refundAmount,
+      type: "refund",
+    };
+
+    const flwClient = getFlutterwaveInstance();
+    const response = await flwClient.Transaction.refund(refundData);
+
+    if (response.status !== "success") {
+      audit.error({
+        action: "payment.refund_failed",
+        actor,
+        resource: { type: "order", id: orderId },
+        metadata: { flw_error: response.message, amount: refundAmount },
+      });
+      throw new Error(response.message || "Refund processing failed");
+    }
+    refundId = response.data.id;
+    refundStatus = response.data.status;
+  }
+
+  let refundTransaction = null;
+  if (originalTransaction) {
+    // Each share comes back at most down to zero; the refund that empties
+    // the order takes back whatever rounding left behind.
+    const reversed = await reversedSoFar(orderId, session);
+    const take = (due, booked, done) => {
+      const left = money.max(0, money.subtract(booked || 0, done));
+      return fullyRefunded ? left : money.min(due, left);
+    };
+    const commission = originalTransaction.commission || {};
+    const platformRefund = take(breakdown.platformAmount, commission.platformAmount, reversed.platformAmount);
+    const vendorRefund = take(breakdown.vendorAmount, commission.vendorAmount, reversed.vendorAmount);
+    const dispatchRefund = take(breakdown.dispatchAmount, commission.dispatchAmount, reversed.dispatchAmount);
+    const discountRefund = take(
+      breakdown.discountAmount,
+      originalTransaction.discount?.amount,
+      reversed.discountAmount,
+    );
+    const vatRefund = take(breakdown.vatAmount, originalVat?.amount, reversed.vatAmount);
+
+    // Lines from several stores (legacy orders) go back to each vendor
+    const vendors = await vendorsOf(order, lines, session);
+    const vendorShares = new Map();
+    const lineVendorAmounts = breakdown.lines.map((line) => line.vendorAmount);
+    const vendorSplit = lineVendorAmounts.some((amount) => amount > 0)
+      ? money.allocateByWeight(vendorRefund, lineVendorAmounts)
+      : lineVendorAmounts.map((_, i) => (i === 0 ? vendorRefund : 0));
+    vendorSplit.forEach((amount, i) => {
+      const key = String(vendors[i]);
+      const share = vendorShares.get(key) || { userId: vendors[i], amount: 0 };
+      share.amount = money.add(share.amount, amount);
+      vendorShares.set(key, share);
+    });
+    const vendorRefunds = [...vendorShares.values()].filter((share) => share.amount > 0);
+
+    // Create refund transaction (session-bound)
+    refundTransaction = await Transaction.createTransaction(
+      {
+        transactionId: refundTransactionId,
+        reference: `Refund-${orderId}`,
+        type: "order_refund",
+        totalAmount: refundAmount,
+        entries: [
+          // Customer refund
+          {
+            account: "accounts_receivable",
+            userId: order.orderedBy._id,
+            debit: refundAmount,
+            credit: 0,
+            description: `Refund for order ${orderId}`,
+          },
+          {
+            account: toWallet ? "wallet_vendor" : "cash_account",
+            userId: order.orderedBy._id,
+            debit: 0,
+            credit: refundAmount,
+            description: toWallet
+              ? "Store credit to customer wallet"
+              : `Refund payment to customer`,
+          },
+          // Platform commission reversal
+          ...(platformRefund > 0
+            ? [
+                {
+                  account: "commission_revenue",
+                  userId: null,
+                  debit: 0,
+                  credit: platformRefund,
+                  description: `Platform commission reversal`,
+                },
+                {
+                  account: "accounts_payable",
+                  userId: null,
+                  debit: platformRefund,
+                  credit: 0,
+                  description: `Platform commission refund`,
+                },
+              ]
+            : []),
+          // Vendor refund, per vendor
+          ...vendorRefunds.flatMap(({ userId, amount }) => [
+            {
+              account: "wallet_vendor",
+              userId,
+              debit: amount,
+              credit: 0,
+              description: `Vendor refund for order ${orderId}`,
+            },
+            {
+              account: "commission_payable",
+              userId,
+              debit: 0,
+              credit: amount,
+              description: `Vendor commission reversal`,
+            },
+          ]),
+          // Dispatch refund (if applicable)
+          ...(dispatchRefund > 0
+            ? [
+                {
+                  account: "wallet_dispatch",
+                  userId: order.deliveryAgent?._id,
+                  debit: dispatchRefund,
+                  credit: 0,
+                  description: `Dispatch refund for order ${orderId}`,
+                },
+                {
+                  account: "commission_payable",
+                  userId: order.deliveryAgent?._id,
+                  debit: 0,
+                  credit: dispatchRefund,
+                  description: `Dispatch commission reversal`,
+                },
+              ]
+            : []),
+          // The coupon the platform funded on the refunded items
+          ...(discountRefund > 0
+            ? [
+                {
+                  account: "promotional_discounts",
+                  userId: null,
+                  debit: 0,
+                  credit: discountRefund,
+                  description: `Coupon ${order.discount?.code} discount reversal`,
+                },
+                {
+                  account: "accounts_receivable",
+                  userId: order.orderedBy._id,
+                  debit: discountRefund,
+                  credit: 0,
+                  description: "Discount reversed on refund",
+                },
+              ]
+            : []),
+          // VAT reversal
+          ...(vatRefund > 0
+            ? [
+                {
+                  account: "vat_payable",
+                  userId:
+                    originalVat.responsibility === "platform"
+                      ? null
+                      : vendorRefunds[0]?.userId,
+                  debit: 0,
+                  credit: vatRefund,
+                  description: `VAT reversal for refund`,
+                },
+                {
+                  account: "vat_revenue",
+                  userId: null,
+                  debit: vatRefund,
+                  credit: 0,
+                  description: `VAT revenue reversal`,
+                },
+              ]
+            : []),
+        ],
+        vat: {
+          rate: originalVat?.rate,
+          amount: vatRefund,
+          responsibility: originalVat?.responsibility,
+        },
+        commission: {
+          platformAmount: platformRefund,
+          vendorAmount: vendorRefund,
+          dispatchAmount: dispatchRefund,
+        },
+        ...(discountRefund > 0 && {
+          discount: {
+            coupon: order.discount?.coupon,
+            code: order.discount?.code,
+            amount: discountRefund,
+          },
+        }),
+        relatedEntity: {
+          type: "order",
+          id: orderId,
+        },
+        status: "completed",
+        metadata: {
+          paymentMethod: toWallet ? "wallet_refund" : "refund",
+          ...(toWallet
+            ? { externalEventId: `WALLET_REFUND_${refundTransactionId}` }
+            : {
+                externalTransactionId: refundId,
+                externalEventId: `FLW_REFUND_${refundId}`,
+              }),
+          notes: `Refund processed: ${reason || "Customer request"}`,
+          originalTransactionId: originalTransaction.transactionId,
+        },
+      },
+      session,
+    );
+
+    // Deduct from each vendor wallet atomically (session-bound)
+    for (const { userId, amount } of vendorRefunds) {
+      const vendorWallet = await Wallet.findOne({ user: userId }).session(session);
+      if (vendorWallet) {
+        await vendorWallet.deductFunds(amount, "refund", session);
+      }
+    }
+
+    // Deduct from dispatch wallet atomically (session-bound)
+    if (dispatchRefund > 0 && order.deliveryAgent) {
+      const dispatchWallet = await Wallet.findOne({
+        user: order.deliveryAgent._id,
+      }).session(session);
+      if (dispatchWallet) {
+        await dispatchWallet.deductFunds(dispatchRefund, "refund", session);
+      }
+    }
+  }
+
+  if (toWallet) {
+    await creditBuyerWallet(order.orderedBy._id, refundAmount, session);
+  }
+
+  // Restore product stock atomically — return items to inventory, on
+  // the variant they were bought in for variant lines.
+  // Guard sold >= item.count so a double-refund can never push sold below 0.
+  if (restock && lines.length > 0) {
+    await Product.bulkWrite(
+      lines.map(({ index, count }) =>
+        restockOp({
+          productId: productIdOf(order.products[index]),
+          variantId: order.products[index].variant,
+          count,
+        }),
+      ),
+      { session },
+    );
+  }
+
+  const now = new Date();
+  const entry = {
+    _id: new mongoose.Types.ObjectId(),
+    creditNoteNumber: `CN-${order.orderNumber || orderId}-${(order.refunds?.length || 0) + 1}`,
+    amount: refundAmount,
+    items: breakdown.lines.map(({ index, ...line }) => ({
+      product: productIdOf(order.products[index]),
+      variant: order.products[index].variant,
+      ...line,
+    })),
+    ...(refundDelivery && { delivery: breakdown.deliveryAmount }),
+    vat: refundTransaction?.vat?.amount || 0,
+    reason: reason || "Customer request",
+    method: destination.to,
+    refundId: refundId != null ? String(refundId) : undefined,
+    transactionId: refundTransaction?.transactionId,
+    at: now,
+  };
+
+  await Order.findByIdAndUpdate(orderId, {
+    $set: {
+      ...(fullyRefunded
+        ? { paymentStatus: PaymentStatus.REFUNDED, "paymentIntent.status": "refunded" }
+        : {}),
+      "paymentIntent.refunded_at": now,
+      "paymentIntent.refund_amount": refunded,
+      "paymentIntent.refund_reason": entry.reason,
+    },
+    $push: { refunds: entry },
+  }).session(session);
+
+  audit.log({
+    action: "payment.refunded",
+    actor,
+    resource: { type: "order", id: orderId },
+    changes: {
+      after: {
+        refundAmount,
+        paymentStatus: fullyRefunded ? PaymentStatus.REFUNDED : order.paymentStatus,
+        reason: entry.reason,
+      },
+    },
+    metadata: {
+      refund_id: refundId,
+      refundTo: destination.to,
+      transactionId: refundTransaction?.transactionId,
+      creditNoteNumber: entry.creditNoteNumber,
+      items: entry.items.map(({ product, variant, count }) => ({ product, variant, count })),
+      delivery: entry.delivery ?? null,
+    },
+  });
+
+  return {
+    refundId,
+    amount: refundAmount,
+    status: refundStatus,
+    transaction: refundTransaction,
+    fullyRefunded,
+    refund: entry,
+  };
+}
+
+module.exports = {
+  loadRefundableOrder,
+  refundableAmount,
+  refundDestination,
+  unrefundedCounts,
+  resolveRefundLines,
+  refundOrder,
+};
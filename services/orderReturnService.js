@@ -0,0 +1,351 @@
+/**
+ * @file orderReturnService.js
+ * @description Returns (RMA) for delivered orders, on top of the return states
+ * of the order state machine (utils/orderStatus):
+ *   1. the buyer asks within appConfig.returns.windowDays of delivery, with a
+ *      reason, photos and the lines (or part of them) going back;
+ *   2. the seller approves or rejects. Rejection puts the order back to
+ *      delivered;
+ *   3. the rider who delivered a delivery_agent order collects the return and
+ *      drops it at the store; otherwise the buyer brings it back;
+ *   4. the seller inspects it. Accepted returns are refunded through
+ *      orderRefundService and restocked; refused ones go back to delivered.
+ *
+ * The refund is worked out when the return is requested: what the buyer paid
+ * for the returned units, net of their share of any coupon. The delivery fee
+ * is not refunded. One return per order.
+ *
+ * Validation helpers return `{ error }`; the steps themselves go through
+ * transitionOrder and throw OrderTransitionError when the order is not in the
+ * right state.
+ */
+
+const mongoose = require("mongoose");
+const Order = require("../models/orderModel");
+const Product = require("../models/productModel");
+const Store = require("../models/storeModel");
+const appConfig = require("../config/appConfig");
+const { Validate } = require("../Helpers/Validate");
+const { PaymentStatus, DeliveryMethod } = require("../utils/constants");
+const { STATUS, ROLE, normalizeStatus } = require("../utils/orderStatus");
+const { restockOp } = require("../utils/productVariants");
+const money = require("../utils/money");
+const { transitionOrder } = require("./orderTransitionService");
+const {
+  loadRefundableOrder,
+  refundableAmount,
+  refundDestination,
+  resolveRefundLines,
+  refundOrder,
+} = require("./orderRefundService");
+const { calculateRefundBreakdown } = require("./commissionService");
+const firebaseService = require("./firebaseNotificationService");
+const audit = require("./auditService");
+
+const RETURN_REASONS = [
+  "damaged",
+  "wrong_item",
+  "not_as_described",
+  "missing_parts",
+  "no_longer_needed",
+  "other",
+];
+const MAX_DETAILS_LENGTH = 1000;
+const DAY_MS = 24 * 60 * 60_000;
+
+const config = () => appConfig.returns;
+
+/** When the order was delivered, from its status history. */
+function deliveredAt(order) {
+  const history = order.statusHistory || [];
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].status === STATUS.DELIVERED && history[i].at) return new Date(history[i].at);
+  }
+  return order.deliveryMetadata?.deliveredAt || order.actualDeliveryTime || order.updatedAt;
+}
+
+/**
+ * Price the units being returned: what the buyer paid for them, less their
+ * share of the coupon (commissionService.calculateRefundBreakdown, the same
+ * split the refund is booked with).
+ *
+ * @param {Object} order
+ * @param {Array<{ product: string, variant?: string, count?: number }>} [items]
+ *   defaults to every line in full
+ * @returns {{ items: Object[], amount: number } | { error: string }}
+ */
+function priceReturnItems(order, items) {
+  if (items !== undefined && (!Array.isArray(items) || !items.length)) {
+    return { error: "items must list at least one product to return" };
+  }
+  const resolved = resolveRefundLines(order, items);
+  if (resolved.error) return resolved;
+  if (!resolved.lines.length) return { error: "Nothing on this order is left to return" };
+
+  const breakdown = calculateRefundBreakdown(order, { lines: resolved.lines });
+  return {
+    items: breakdown.lines.map(({ index, count, amount }) => ({
+      product: order.products[index].product?._id || order.products[index].product,
+      variant: order.products[index].variant,
+      count,
+      amount,
+    })),
+    amount: money.min(breakdown.totalAmount, refundableAmount(order)),
+  };
+}
+
+/**
+ * Check a buyer's return request against the order.
+ *
+ * @param {Object} order
+ * @param {Object} body - { reason, details?, photos?, items?, refundTo? }
+ * @param {Date} [now]
+ * @returns {{ reason, details, photos, items, amount, refundTo } | { error: string }}
+ */
+function validateReturnRequest(
+  order,
+  { reason, details, photos = [], items, refundTo } = {},
+  now = new Date(),
+) {
+  if (order.returnRequest?.status) {
+    return { error: "A return has already been requested for this order" };
+  }
+  if (normalizeStatus(order.orderStatus) !== STATUS.DELIVERED) {
+    return { error: "Only delivered orders can be returned" };
+  }
+  if (order.paymentStatus !== PaymentStatus.PAID) {
+    return { error: "Only paid orders can be returned" };
+  }
+  const delivered = deliveredAt(order);
+  if (delivered && now.getTime() - new Date(delivered).getTime() > config().windowDays * DAY_MS) {
+    return { error: `Returns must be requested within ${config().windowDays} days of delivery` };
+  }
+
+  if (!RETURN_REASONS.includes(reason)) {
+    return { error: `reason must be one of: ${RETURN_REASONS.join(", ")}` };
+  }
+  if (details !== undefined && typeof details !== "string") {
+    return { error: "details must be text" };
+  }
+  const trimmed = (details || "").trim();
+  if (trimmed.length > MAX_DETAILS_LENGTH) {
+    return { error: `details must be at most ${MAX_DETAILS_LENGTH} characters` };
+  }
+  if (reason === "other" && !trimmed) {
+    return { error: "Tell the seller why you are returning the order" };
+  }
+
+  if (!Array.isArray(photos) || photos.length > config().maxPhotos) {
+    return { error: `photos must be a list of at most ${config().maxPhotos} images` };
+  }
+  if (!photos.every((url) => Validate.cloudinaryUrl(url))) {
+    return { error: "photos must be Cloudinary URLs from the upload signature flow" };
+  }
+  if (["damaged", "wrong_item", "not_as_described"].includes(reason) && !photos.length) {
+    return { error: "Add a photo showing the problem" };
+  }
+
+  const priced = priceReturnItems(order, items);
+  if (priced.error) return priced;
+
+  const destination = refundDestination(order, refundTo);
+  if (destination.error) return destination;
+
+  return { reason, details: trimmed || undefined, photos, ...priced, refundTo: destination.to };
+}
+
+async function notify(userId, template, order) {
+  if (!userId) return;
+  try {
+    await firebaseService.sendTemplatedNotification(
+      String(userId),
+      template,
+      { orderNumber: order.orderNumber },
+      { orderId: order._id.toString(), orderNumber: String(order.orderNumber) },
+      "orderUpdates",
+    );
+  } catch (error) {
+    console.error(`Failed to send ${template} push to ${userId}:`, error.message);
+  }
+}
+
+/** Step 1: the buyer opens a validated return (see validateReturnRequest). */
+async function openReturn(order, request, req) {
+  const updated = await transitionOrder({
+    orderId: order._id,
+    toStatus: STATUS.RETURN_REQUESTED,
+    role: ROLE.BUYER,
+    req,
+    reason: request.reason,
+    extraSet: {
+      returnRequest: {
+        status: "requested",
+        reason: request.reason,
+        details: request.details,
+        photos: request.photos,
+        items: request.items,
+        amount: request.amount,
+        refundTo: request.refundTo,
+        requestedAt: new Date(),
+      },
+    },
+  });
+
+  const storeId = order.products?.[0]?.store?._id || order.products?.[0]?.store;
+  const store = storeId ? await Store.findById(storeId).select("owner") : null;
+  await notify(store?.owner, "return_requested", order);
+  return updated;
+}
+
+/** Step 2: the seller approves or rejects the request. */
+async function decideReturn(order, { approve, note, userId }, req) {
+  const decision = { note, by: userId, at: new Date() };
+  if (!approve) {
+    return transitionOrder({
+      orderId: order._id,
+      toStatus: STATUS.DELIVERED,
+      role: ROLE.SELLER,
+      req,
+      reason: note || "Return rejected",
+      extraSet: { "returnRequest.status": "rejected", "returnRequest.decision": decision },
+    });
+  }
+
+  const rider =
+    order.deliveryMethod === DeliveryMethod.DELIVERY_AGENT
+      ? order.deliveryAgent?._id || order.deliveryAgent
+      : null;
+  const updated = await transitionOrder({
+    orderId: order._id,
+    toStatus: STATUS.RETURN_APPROVED,
+    role: ROLE.SELLER,
+    req,
+    reason: note,
+    extraSet: {
+      "returnRequest.status": "approved",
+      "returnRequest.decision": decision,
+      ...(rider ? { "returnRequest.rider": rider } : {}),
+    },
+  });
+  await notify(rider, "return_pickup", order);
+  return updated;
+}
+
+/**
+ * Step 3: the rider collects the return ("picked_up") and drops it at the
+ * store ("delivered").
+ */
+function recordReturnPickup(order, stage, req) {
+  const now = new Date();
+  return stage === "picked_up"
+    ? transitionOrder({
+        orderId: order._id,
+        toStatus: STATUS.RETURN_IN_TRANSIT,
+        role: ROLE.RIDER,
+        req,
+        extraSet: { "returnRequest.status": "in_transit", "returnRequest.pickedUpAt": now },
+      })
+    : transitionOrder({
+        orderId: order._id,
+        toStatus: STATUS.RETURN_RECEIVED,
+        role: ROLE.RIDER,
+        req,
+        extraSet: { "returnRequest.status": "received", "returnRequest.receivedAt": now },
+      });
+}
+
+/**
+ * Step 4: the seller inspects the returned items. Returns the buyer brought in,
+ * or the seller took from the rider before the rider marked the drop, are
+ * received first. Accepting refunds and restocks the items in one transaction.
+ *
+ * @returns {Promise<{ order: Object, refund: Object|null }>}
+ */
+async function inspectReturn(order, { accepted, note, userId }, req) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      const current = await loadRefundableOrder(order._id, session);
+      const now = new Date();
+
+      if ([STATUS.RETURN_APPROVED, STATUS.RETURN_IN_TRANSIT].includes(current.orderStatus)) {
+        await transitionOrder({
+          orderId: order._id,
+          toStatus: STATUS.RETURN_RECEIVED,
+          role: ROLE.SELLER,
+          req,
+          session,
+          extraSet: { "returnRequest.status": "received", "returnRequest.receivedAt": now },
+        });
+      }
+
+      const inspection = { accepted: Boolean(accepted), note, by: userId, at: now };
+      const updated = await transitionOrder({
+        orderId: order._id,
+        toStatus: accepted ? STATUS.RETURNED : STATUS.DELIVERED,
+        role: ROLE.SELLER,
+        req,
+        session,
+        reason: note || (accepted ? "Return accepted" : "Return refused on inspection"),
+        extraSet: {
+          "returnRequest.status": accepted ? "refunded" : "refused",
+          "returnRequest.inspection": inspection,
+        },
+      });
+
+      let refund = null;
+      const { amount, items, reason, refundTo } = current.returnRequest;
+      if (accepted && money.gt(amount || 0, 0)) {
+        refund = await refundOrder(
+          current,
+          {
+            items: items.map(({ product, variant, count }) => ({ product, variant, count })),
+            delivery: false,
+            reason: `Return: ${reason}`,
+            refundTo,
+            actor: req ? audit.actor(req) : undefined,
+          },
+          session,
+        );
+        await Order.updateOne(
+          { _id: order._id },
+          {
+            "returnRequest.refund": {
+              amount: refund.amount,
+              method: refund.refund.method,
+              refundId: refund.refund.refundId,
+              transactionId: refund.refund.transactionId,
+              creditNoteNumber: refund.refund.creditNoteNumber,
+              at: now,
+            },
+          },
+          { session },
+        );
+      } else if (accepted) {
+        // Nothing to refund (a fully discounted order), but the stock comes back
+        await Product.bulkWrite(
+          items.map((item) =>
+            restockOp({ productId: item.product, variantId: item.variant, count: item.count }),
+          ),
+          { session },
+        );
+      }
+      result = { order: updated, refund };
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+module.exports = {
+  RETURN_REASONS,
+  deliveredAt,
+  priceReturnItems,
+  validateReturnRequest,
+  openReturn,
+  decideReturn,
+  recordReturnPickup,
+  inspectReturn,
+};
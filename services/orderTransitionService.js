@@ -10,6 +10,7 @@ const {
   findTransition,
   allowedTransitions,
 } = require("../utils/orderStatus");
+const { restockOp } = require("../utils/productVariants");
 const audit = require("./auditService");
 
 /**
@@ -26,15 +27,17 @@ class OrderTransitionError extends Error {
 
 // Restore product stock + reconcile payment status when cancelling.
 const applyCancellationSideEffects = async (order, setFields, session) => {
+  // restockOp guards sold >= count so a double-cancel can never push sold
+  // negative, and puts variant lines back on the variant they came from.
   const productUpdates = (order.products || [])
     .filter((item) => item.product)
-    .map((item) => ({
-      updateOne: {
-        // Guard sold >= count so a double-cancel can never push sold negative.
-        filter: { _id: item.product._id || item.product, sold: { $gte: item.count } },
-        update: { $inc: { quantity: item.count, sold: -item.count } },
-      },
-    }));
+    .map((item) =>
+      restockOp({
+        productId: item.product._id || item.product,
+        variantId: item.variant,
+        count: item.count,
+      }),
+    );
 
   if (productUpdates.length > 0) {
     await Product.bulkWrite(productUpdates, { session });
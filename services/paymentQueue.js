@@ -1,6 +1,8 @@
 /**
  * @file paymentQueue.js
  * @description BullMQ-based payment event queue with graceful fallback.
+ *              Carries verified Flutterwave webhooks: charges
+ *              (webhookPaymentProcessor) and transfers (transferWebhookProcessor).
  *
  * DESIGN:
  *   When Redis is available, webhook events are enqueued as BullMQ jobs and
@@ -10,8 +12,10 @@
  *
  *   When Redis is unavailable (or PAYMENT_QUEUE_ENABLED=false), jobs are
  *   executed in-process via setImmediate. The webhook still responds instantly;
- *   processing happens in the next event-loop turn. This mode has no retry on
- *   failure — rely on the 5-minute pending-payment cron as a safety net.
+ *   processing happens in the next event-loop turn. A failed job is retried
+ *   on a timer with the same attempts and backoff as BullMQ, but the retries
+ *   live in memory and are lost on restart — the 5-minute pending-payment
+ *   cron remains the safety net for charges.
  *
  * USAGE (app.js):
  *   const paymentQueue = require('./services/paymentQueue');
@@ -30,6 +34,14 @@ let worker = null;
 let isAvailable = false;
 
 const QUEUE_NAME = "payment-events";
+const ATTEMPTS = 3;
+const BACKOFF_DELAY_MS = 5_000;
+
+// Job name → processor, loaded lazily so the queue has no model dependencies
+const PROCESSORS = {
+  "webhook.payment": () => require("./webhookPaymentProcessor").processWebhookPayload,
+  "webhook.transfer": () => require("./transferWebhookProcessor").processTransferWebhook,
+};
 
 /** Parse REDIS_URL into a BullMQ-compatible ioredis connection object. */
 function getConnectionConfig() {
@@ -87,8 +99,8 @@ async function init() {
     queue = new Queue(QUEUE_NAME, {
       connection,
       defaultJobOptions: {
-        attempts: 3,
-        backoff: { type: "exponential", delay: 5_000 },
+        attempts: ATTEMPTS,
+        backoff: { type: "exponential", delay: BACKOFF_DELAY_MS },
         removeOnComplete: { count: 1_000 },
         removeOnFail: { count: 5_000 },
       },
@@ -98,11 +110,9 @@ async function init() {
     worker = new Worker(
       QUEUE_NAME,
       async (job) => {
-        if (job.name === "webhook.payment") {
-          const {
-            processWebhookPayload,
-          } = require("./webhookPaymentProcessor");
-          await processWebhookPayload(job.data.payload, job.data.sourceIp);
+        const processor = PROCESSORS[job.name];
+        if (processor) {
+          await processor()(job.data.payload, job.data.sourceIp);
         }
       },
       { connection: getConnectionConfig() },
@@ -144,18 +154,42 @@ async function init() {
 }
 
 /**
- * Enqueue a verified Flutterwave webhook payload for background processing.
- * Falls back to in-process setImmediate execution if the queue is unavailable.
- *
- * @param {Object} payload   - Verified Flutterwave webhook body.
- * @param {string} sourceIp  - Originating IP (for audit logs).
+ * Run a job in-process, retrying a failure after BullMQ's exponential backoff
+ * (5 s, then 10 s) until ATTEMPTS runs have failed.
  */
-async function enqueueWebhookPayment(payload, sourceIp) {
+async function runInProcess(name, payload, sourceIp, attempt = 1) {
+  try {
+    await PROCESSORS[name]()(payload, sourceIp);
+  } catch (err) {
+    if (attempt < ATTEMPTS) {
+      const delay = BACKOFF_DELAY_MS * 2 ** (attempt - 1);
+      console.warn(
+        `[PaymentQueue] In-process ${name} failed (attempt ${attempt}/${ATTEMPTS}), retrying in ${delay / 1000}s: ${err.message}`,
+      );
+      setTimeout(() => runInProcess(name, payload, sourceIp, attempt + 1), delay);
+      return;
+    }
+
+    console.error("[PaymentQueue] In-process fallback failed:", err.message);
+    try {
+      const audit = require("./auditService");
+      audit.error({
+        action: "webhook.processing_failed",
+        actor: { userId: null, role: "system", ip: sourceIp },
+        metadata: { job: name, error: err.message, attempts: attempt },
+      });
+    } catch {}
+  }
+}
+
+/**
+ * Enqueue a verified webhook payload under `name`, falling back to in-process
+ * setImmediate execution if the queue is unavailable.
+ */
+async function enqueueWebhook(name, jobId, payload, sourceIp) {
   if (isAvailable && queue) {
     try {
-      // jobId deduplication: Flutterwave may retry the same event
-      const jobId = `webhook_${payload.data?.id ?? Date.now()}`;
-      await queue.add("webhook.payment", { payload, sourceIp }, { jobId });
+      await queue.add(name, { payload, sourceIp }, { jobId });
       return;
     } catch (err) {
       console.error(
@@ -167,22 +201,33 @@ async function enqueueWebhookPayment(payload, sourceIp) {
 
   // Fallback: schedule in the next event-loop tick so the HTTP response
   // is sent before we start doing database work
-  setImmediate(async () => {
-    try {
-      const { processWebhookPayload } = require("./webhookPaymentProcessor");
-      await processWebhookPayload(payload, sourceIp);
-    } catch (err) {
-      console.error("[PaymentQueue] In-process fallback failed:", err.message);
-      try {
-        const audit = require("./auditService");
-        audit.error({
-          action: "webhook.processing_failed",
-          actor: { userId: null, role: "system", ip: sourceIp },
-          metadata: { error: err.message },
-        });
-      } catch {}
-    }
-  });
+  setImmediate(() => runInProcess(name, payload, sourceIp));
+}
+
+/**
+ * Enqueue a verified Flutterwave charge webhook for background processing.
+ *
+ * @param {Object} payload   - Verified Flutterwave webhook body.
+ * @param {string} sourceIp  - Originating IP (for audit logs).
+ */
+async function enqueueWebhookPayment(payload, sourceIp) {
+  // jobId deduplication: Flutterwave may retry the same event
+  const jobId = `webhook_${payload.data?.id ?? Date.now()}`;
+  return enqueueWebhook("webhook.payment", jobId, payload, sourceIp);
+}
+
+/**
+ * Enqueue a verified Flutterwave transfer webhook for background processing.
+ * Deduplicated per transfer and status, so a retried delivery is dropped but
+ * a later SUCCESSFUL/FAILED after an interim status is not.
+ *
+ * @param {Object} payload   - Verified Flutterwave webhook body.
+ * @param {string} sourceIp  - Originating IP (for audit logs).
+ */
+async function enqueueTransferWebhook(payload, sourceIp) {
+  const { id, reference, status } = payload.data || {};
+  const jobId = `transfer_${id ?? reference ?? Date.now()}_${status}`;
+  return enqueueWebhook("webhook.transfer", jobId, payload, sourceIp);
 }
 
 /**
@@ -206,4 +251,10 @@ function isQueueAvailable() {
   return isAvailable;
 }
 
-module.exports = { init, enqueueWebhookPayment, close, isQueueAvailable };
+module.exports = {
+  init,
+  enqueueWebhookPayment,
+  enqueueTransferWebhook,
+  close,
+  isQueueAvailable,
+};
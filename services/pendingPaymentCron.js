@@ -4,8 +4,8 @@
  * transactions that were never confirmed (e.g. user's browser crashed after payment).
  *
  * RACE-CONDITION SAFETY:
- *   Each order is locked atomically with findOneAndUpdate({ processingLock: false })
- *   before being processed, then unlocked when done. This is safe even with multiple
+ *   Each checkout (or legacy single order) is locked atomically with
+ *   findOneAndUpdate({ processingLock: false }) before being processed, then unlocked when done. This is safe even with multiple
  *   server instances running simultaneously (e.g. PM2 cluster).
  *
  * IDEMPOTENCY:
@@ -17,18 +17,19 @@ const cron = require("node-cron");
 const mongoose = require("mongoose");
 const Flutterwave = require("flutterwave-node-v3");
 const Order = require("../models/orderModel");
+const Checkout = require("../models/checkoutModel");
 const Wallet = require("../models/walletModel");
 const Transaction = require("../models/transactionModel");
 const VATConfig = require("../models/vatConfigModel");
-const User = require("../models/userModel");
 const BillPayment = require("../models/billPaymentModel");
 const ledgerService = require("./billPaymentLedgerService");
 const appConfig = require("../config/appConfig");
-const { PaymentStatus, OrderStatus } = require("../utils/constants");
-const { MakeID } = require("../Helpers/Helpers");
+const { PaymentStatus } = require("../utils/constants");
 const audit = require("./auditService");
-const { calculateCommissionBreakdown } = require("./commissionService");
-const vtpass = require("./vtpassService");
+const orderPaymentService = require("./orderPaymentService");
+const billProviders = require("./billProviders");
+const { runAutoPayouts } = require("./autoPayoutService");
+const { emailPins, emailPendingPins } = require("./educationPinService");
 
 // Lazy FLW instance
 let flw = null;
@@ -41,335 +42,188 @@ const getFlw = () => {
   return flw;
 };
 
-// Commission calculation is provided by services/commissionService.js
+// Audit target of a payment: the checkout, or the legacy order paid alone.
+const auditResource = ({ checkout, orders }) =>
+  checkout
+    ? { type: "checkout", id: checkout._id }
+    : { type: "order", id: orders[0]._id };
 
 /**
- * Process a single confirmed-paid order: credit wallets + write ledger.
- * Wrapped in a MongoDB transaction for atomicity.
+ * Settle a confirmed-paid order or checkout: credit wallets + write ledger for
+ * every order it covers, atomically (see services/orderPaymentService.js).
  * @param {object} vatConfig - Pre-fetched VAT config (avoid per-order DB query)
  */
-async function processConfirmedPayment(order, externalTxId, vatConfig) {
-  // Idempotency guard: bail out if a completed transaction already exists
-  const existing = await Transaction.findOne({
-    reference: `Payment-${order._id}`,
-    type: "order_payment",
-    status: "completed",
-  });
-  if (existing) {
-    console.log(`[Cron] ⚡ Already processed: order ${order._id} — skipping`);
+async function processConfirmedPayment(payable, externalTxId, amount, vatConfig) {
+  // Idempotency guard: bail out if every order is already settled
+  if (orderPaymentService.isSettled(payable)) {
+    const { type, id } = auditResource(payable);
+    console.log(`[Cron] ⚡ Already processed: ${type} ${id} — skipping`);
     return;
   }
 
-  const session = await mongoose.startSession();
-  try {
-    await session.withTransaction(async () => {
-      const fullOrder = await Order.findById(order._id)
-        .populate("orderedBy", "fullName email mobile")
-        .populate("products.product", "title listedPrice price store")
-        .populate("products.store", "name")
-        .populate("deliveryAgent", "fullName email mobile")
-        .session(session);
-
-      if (!fullOrder)
-        throw new Error(`Order ${order._id} not found in session`);
-
-      const commission = calculateCommissionBreakdown(fullOrder);
-
-      const vatAmount = vatConfig
-        ? vatConfig.calculateVAT(fullOrder.paymentIntent.amount)
-        : 0;
-
-      const vendor = await User.findById(
-        fullOrder.products[0]?.product?.store,
-      ).session(session);
-
-      let vatResponsibility = "platform";
-      if (vatConfig && vendor) {
-        vatResponsibility = vatConfig.getVATResponsibility(
-          vendor,
-          fullOrder.paymentIntent.amount,
-        );
-      }
+  const { settlements } = await orderPaymentService.settlePayment(
+    payable,
+    { externalTxId, amount, source: "cron" },
+    vatConfig,
+  );
 
-      // ── Double-entry ledger ───────────────────────────────────────────────
-      const txId = `PAY_CRON_${Date.now()}_${MakeID(16)}`;
-      await Transaction.createTransaction(
-        {
-          transactionId: txId,
-          reference: `Payment-${fullOrder._id}`,
-          type: "order_payment",
-          totalAmount: fullOrder.paymentIntent.amount,
-          entries: [
-            {
-              account: "cash_account",
-              userId: fullOrder.orderedBy._id,
-              debit: fullOrder.paymentIntent.amount,
-              credit: 0,
-              description: `Cron-recovered payment for order ${fullOrder._id}`,
-            },
-            {
-              account: "accounts_receivable",
-              userId: fullOrder.orderedBy._id,
-              debit: 0,
-              credit: fullOrder.paymentIntent.amount,
-              description: "Receivable from customer",
-            },
-            {
-              account: "commission_revenue",
-              userId: null,
-              debit: commission.platformAmount,
-              credit: 0,
-              description: "Platform commission",
-            },
-            {
-              account: "accounts_payable",
-              userId: null,
-              debit: 0,
-              credit: commission.platformAmount,
-              description: "Platform commission payable",
-            },
-            {
-              account: "commission_payable",
-              userId: vendor?._id,
-              debit: commission.vendorAmount,
-              credit: 0,
-              description: "Vendor earnings",
-            },
-            {
-              account: "wallet_vendor",
-              userId: vendor?._id,
-              debit: 0,
-              credit: commission.vendorAmount,
-              description: "Vendor wallet credit",
-            },
-            ...(commission.dispatchAmount > 0
-              ? [
-                  {
-                    account: "commission_payable",
-                    userId: fullOrder.deliveryAgent?._id,
-                    debit: commission.dispatchAmount,
-                    credit: 0,
-                    description: "Dispatch earnings",
-                  },
-                  {
-                    account: "wallet_dispatch",
-                    userId: fullOrder.deliveryAgent?._id,
-                    debit: 0,
-                    credit: commission.dispatchAmount,
-                    description: "Dispatch wallet credit",
-                  },
-                ]
-              : []),
-            ...(vatAmount > 0
-              ? [
-                  {
-                    account: "vat_payable",
-                    userId:
-                      vatResponsibility === "platform" ? null : vendor?._id,
-                    debit: vatAmount,
-                    credit: 0,
-                    description: "VAT collected",
-                  },
-                  {
-                    account: "vat_revenue",
-                    userId: null,
-                    debit: 0,
-                    credit: vatAmount,
-                    description: "VAT revenue",
-                  },
-                ]
-              : []),
-          ],
-          vat: {
-            rate: vatConfig?.rates?.standard || 7.5,
-            amount: vatAmount,
-            responsibility: vatResponsibility,
-            collected: true,
-          },
-          commission,
-          relatedEntity: { type: "order", id: fullOrder._id },
-          status: "completed",
-          metadata: {
-            paymentMethod: "flutterwave",
-            externalTransactionId: externalTxId,
-            externalEventId: `FLW_CRON_${externalTxId}`, // Database-level idempotency guard
-            notes: "Recovered by 5-min pending-payment cron",
-          },
-        },
-        session,
-      );
+  for (const { order } of settlements) {
+    console.log(`[Cron] ✅ Recovered payment for order ${order._id}`);
+  }
 
-      // ── Credit wallets ────────────────────────────────────────────────────
-      if (commission.vendorAmount > 0 && vendor) {
-        let vWallet = await Wallet.findOne({ user: vendor._id }).session(
-          session,
-        );
-        if (!vWallet) {
-          [vWallet] = await Wallet.create([{ user: vendor._id, balance: 0 }], {
-            session,
-          });
-        }
-        await vWallet.creditEarning(commission.vendorAmount, session);
-      }
+  audit.log({
+    action: "payment.verified",
+    actor: { userId: null, role: "system", ip: "cron" },
+    resource: auditResource(payable),
+    changes: {
+      after: { paymentStatus: "Paid", recoveredBy: "pending-payment-cron" },
+    },
+    metadata: { externalTransactionId: externalTxId },
+  });
+}
 
-      if (commission.dispatchAmount > 0 && fullOrder.deliveryAgent) {
-        let dWallet = await Wallet.findOne({
-          user: fullOrder.deliveryAgent._id,
-        }).session(session);
-        if (!dWallet) {
-          [dWallet] = await Wallet.create(
-            [{ user: fullOrder.deliveryAgent._id, balance: 0 }],
-            { session },
-          );
-        }
-        await dWallet.creditEarning(commission.dispatchAmount, session);
-      }
+/**
+ * Lock one pending payment (a checkout, or a legacy order paid on its own),
+ * verify it with FLW and settle it if paid. The lock lives on the document
+ * the payment reference belongs to.
+ */
+async function recoverPayment(Model, doc, vatConfig) {
+  // ── Atomic lock: only proceed if we won the race ──────────────────────
+  const locked = await Model.findOneAndUpdate(
+    { _id: doc._id, processingLock: { $ne: true } }, // condition
+    { $set: { processingLock: true } }, // lock
+    { new: true },
+  );
+  const unlock = () =>
+    Model.updateOne({ _id: doc._id }, { $set: { processingLock: false } });
 
-      // ── Mark order paid ───────────────────────────────────────────────────
-      await Order.findByIdAndUpdate(
-        fullOrder._id,
-        {
-          paymentStatus: PaymentStatus.PAID,
-          "paymentIntent.status": "paid",
-          "paymentIntent.flw_ref": externalTxId,
-          "paymentIntent.paid_at": new Date(),
-          "paymentIntent.transaction_id": txId,
-          orderStatus: OrderStatus.PENDING,
-          processingLock: false,
-        },
-        { session },
-      );
+  const resource = {
+    type: Model === Checkout ? "checkout" : "order",
+    id: doc._id,
+  };
+
+  if (!locked) {
+    // Another instance/process already grabbed this payment
+    console.log(
+      `[Cron] ⏭  ${resource.type} ${doc._id} already being processed — skipping`,
+    );
+    return;
+  }
 
-      console.log(`[Cron] ✅ Recovered payment for order ${fullOrder._id}`);
+  const payable =
+    Model === Checkout
+      ? { checkout: locked, orders: await Order.find({ checkout: doc._id }) }
+      : { checkout: null, orders: [locked] };
+
+  // Log the start of an attempt
+  audit.log({
+    action: "payment.recovery_attempt",
+    actor: { userId: null, role: "system", ip: "cron" },
+    resource,
+    metadata: { flw_ref: doc.paymentIntent.flw_ref },
+  });
+
+  try {
+    const flwClient = getFlw();
+    const response = await flwClient.Transaction.verify({
+      id: doc.paymentIntent.flw_ref, // the transaction_id Flutterwave gave us
     });
 
-    audit.log({
-      action: "payment.verified",
+    if (
+      response.status === "success" &&
+      response.data.status === "successful" &&
+      response.data.tx_ref === doc.paymentIntent.id
+    ) {
+      // Verify the amount matches — safety against amount-swapping attacks
+      const expectedAmount = doc.paymentIntent.amount;
+      const paidAmount = response.data.amount;
+      if (Math.abs(paidAmount - expectedAmount) > 1) {
+        console.warn(
+          `[Cron] ⚠️  Amount mismatch for ${resource.type} ${doc._id}: expected ${expectedAmount}, got ${paidAmount}`,
+        );
+        await unlock();
+        return;
+      }
+
+      await processConfirmedPayment(payable, response.data.id, paidAmount, vatConfig);
+      await unlock();
+    } else {
+      // Not yet paid — unlock so next run can try again
+      audit.log({
+        action: "payment.recovery_skipped",
+        actor: { userId: null, role: "system", ip: "cron" },
+        resource,
+        metadata: {
+          flw_status: response.data.status,
+          response: response.status,
+        },
+        status: "success", // The check succeeded even if the payment is still pending
+      });
+      await unlock();
+    }
+  } catch (err) {
+    console.error(`[Cron] Error processing ${resource.type} ${doc._id}:`, err.message);
+    audit.error({
+      action: "payment.recovery_failed",
       actor: { userId: null, role: "system", ip: "cron" },
-      resource: { type: "order", id: order._id },
-      changes: {
-        after: { paymentStatus: "Paid", recoveredBy: "pending-payment-cron" },
-      },
-      metadata: { externalTransactionId: externalTxId },
+      resource,
+      metadata: { error: err.message },
     });
-  } finally {
-    await session.endSession();
+    // Release lock so it retries next run
+    await unlock();
   }
 }
 
 /**
- * Main cron tick: find pending orders, lock them one by one, verify with FLW.
+ * Main cron tick: find pending payments, lock them one by one, verify with FLW.
+ * Checkouts are recovered as a whole; orders that belong to a checkout are
+ * skipped here because their payment reference is the checkout's.
  */
 async function runPendingPaymentCheck() {
   console.log("[Cron] 🕐 Checking pending payments...");
 
+  const pendingFilter = {
+    paymentStatus: { $in: [PaymentStatus.UNPAID, PaymentStatus.PENDING] },
+    "paymentIntent.flw_ref": { $exists: true, $ne: null }, // Only if FLW was at least initialised
+    processingLock: { $ne: true }, // Skip already-locked ones
+  };
+
   let pendingOrders;
+  let pendingCheckouts;
   try {
     pendingOrders = await Order.find({
-      paymentStatus: { $in: [PaymentStatus.UNPAID, PaymentStatus.PENDING] },
-      "paymentIntent.flw_ref": { $exists: true, $ne: null }, // Only if FLW was at least initialised
-      processingLock: { $ne: true }, // Skip already-locked ones
+      ...pendingFilter,
+      checkout: { $exists: false },
     })
       .select(
         "_id paymentIntent processingLock deliveryAgent deliveryFee products",
       )
       .limit(50); // safety cap per run
+    pendingCheckouts = await Checkout.find(pendingFilter)
+      .select("_id paymentIntent processingLock orders")
+      .limit(50);
   } catch (err) {
     console.error("[Cron] Failed to fetch pending orders:", err.message);
     return;
   }
 
-  if (!pendingOrders.length) {
+  if (!pendingOrders.length && !pendingCheckouts.length) {
     console.log("[Cron] ✅ No pending orders found.");
     return;
   }
 
-  console.log(`[Cron] Found ${pendingOrders.length} pending order(s) to check`);
+  console.log(
+    `[Cron] Found ${pendingOrders.length} pending order(s) and ${pendingCheckouts.length} checkout(s) to check`,
+  );
 
-  // Fetch VAT config once — shared across all orders this run
+  // Fetch VAT config once — shared across all payments this run
   const vatConfig = await VATConfig.getActiveConfig();
 
+  for (const checkout of pendingCheckouts) {
+    await recoverPayment(Checkout, checkout, vatConfig);
+  }
   for (const order of pendingOrders) {
-    // ── Atomic lock: only proceed if we won the race ──────────────────────
-    const locked = await Order.findOneAndUpdate(
-      { _id: order._id, processingLock: { $ne: true } }, // condition
-      { $set: { processingLock: true } }, // lock
-      { new: true },
-    );
-
-    if (!locked) {
-      // Another instance/process already grabbed this order
-      console.log(
-        `[Cron] ⏭  Order ${order._id} already being processed — skipping`,
-      );
-      continue;
-    }
-
-    // Log the start of an attempt
-    audit.log({
-      action: "payment.recovery_attempt",
-      actor: { userId: null, role: "system", ip: "cron" },
-      resource: { type: "order", id: order._id },
-      metadata: { flw_ref: order.paymentIntent.flw_ref },
-    });
-
-    try {
-      const flwClient = getFlw();
-      const response = await flwClient.Transaction.verify({
-        id: order.paymentIntent.flw_ref, // the transaction_id Flutterwave gave us
-      });
-
-      if (
-        response.status === "success" &&
-        response.data.status === "successful" &&
-        response.data.tx_ref === order.paymentIntent.id
-      ) {
-        // Verify the amount matches — safety against amount-swapping attacks
-        const expectedAmount = order.paymentIntent.amount;
-        const paidAmount = response.data.amount;
-        if (Math.abs(paidAmount - expectedAmount) > 1) {
-          console.warn(
-            `[Cron] ⚠️  Amount mismatch for order ${order._id}: expected ${expectedAmount}, got ${paidAmount}`,
-          );
-          await Order.updateOne(
-            { _id: order._id },
-            { $set: { processingLock: false } },
-          );
-          continue;
-        }
-
-        await processConfirmedPayment(order, response.data.id, vatConfig);
-      } else {
-        // Not yet paid — unlock so next run can try again
-        audit.log({
-          action: "payment.recovery_skipped",
-          actor: { userId: null, role: "system", ip: "cron" },
-          resource: { type: "order", id: order._id },
-          metadata: {
-            flw_status: response.data.status,
-            response: response.status,
-          },
-          status: "success", // The check succeeded even if the payment is still pending
-        });
-        await Order.updateOne(
-          { _id: order._id },
-          { $set: { processingLock: false } },
-        );
-      }
-    } catch (err) {
-      console.error(`[Cron] Error processing order ${order._id}:`, err.message);
-      audit.error({
-        action: "payment.recovery_failed",
-        actor: { userId: null, role: "system", ip: "cron" },
-        resource: { type: "order", id: order._id },
-        metadata: { error: err.message },
-      });
-      // Release lock so it retries next run
-      await Order.updateOne(
-        { _id: order._id },
-        { $set: { processingLock: false } },
-      );
-    }
+    await recoverPayment(Order, order, vatConfig);
   }
 
   console.log("[Cron] ✅ Pending payment check complete.");
@@ -385,8 +239,14 @@ async function runPendingPaymentCheck() {
 async function cleanupStuckTransactions() {
   const cutoff = new Date(Date.now() - 10 * 60 * 1000); // 10 minutes ago
   try {
+    // Approved withdrawals legitimately sit in processing until their
+    // transfer webhook arrives, so they are left alone.
     const result = await Transaction.updateMany(
-      { status: "processing", updatedAt: { $lt: cutoff } },
+      {
+        status: "processing",
+        type: { $ne: "wallet_withdrawal" },
+        updatedAt: { $lt: cutoff },
+      },
       { $set: { status: "abandoned" } },
     );
     if (result.modifiedCount > 0) {
@@ -405,11 +265,15 @@ async function cleanupStuckTransactions() {
 }
 
 /**
- * Bill Payment Requery Tick: finds pending VTpass purchases and verifies status.
+ * Bill Payment Requery Tick: finds pending VTpass purchases and verifies status,
+ * and emails any JAMB/WAEC PINs still owed to their buyers.
  */
 async function runBillPaymentCheck() {
   console.log("[Cron] 🧾 Checking pending bill payments...");
   try {
+    // JAMB/WAEC PINs whose email didn't go out when the bill completed
+    await emailPendingPins();
+
     const pendingBills = await BillPayment.findPendingForRequery(10);
     if (!pendingBills.length) {
       console.log("[Cron] ✅ No pending bill payments found.");
@@ -422,40 +286,39 @@ async function runBillPaymentCheck() {
       const session = await mongoose.startSession();
       try {
         await session.withTransaction(async () => {
-          const res = await vtpass.requeryTransaction(bill.requestId);
-          const code = res?.code;
-          const deliveredStatus = res?.content?.transactions?.status;
-          let finalStatus = "pending";
-
-          if (code === "000") {
-            if (
-              deliveredStatus === "delivered" ||
-              deliveredStatus === "successful"
-            ) {
-              finalStatus = "completed";
-              bill.vtpassResponse = res;
-              if (res.content?.transactions?.token || res.purchased_code) {
-                bill.deliveryToken =
-                  res.content?.transactions?.token || res.purchased_code;
-              }
-            } else if (deliveredStatus === "failed") {
-              finalStatus = "failed";
-            }
-          } else if (code === "016" || code === "011") {
-            finalStatus = "failed";
+          const outcome = await billProviders.requery(
+            bill.provider || "vtpass",
+            bill.serviceType,
+            bill.requestId,
+          );
+          const finalStatus = outcome.status;
+          if (finalStatus === "completed") {
+            bill.vtpassResponse = outcome.raw;
+            if (outcome.token) bill.deliveryToken = outcome.token;
+            if (outcome.units) bill.units = outcome.units;
+            if (outcome.commission) bill.providerCommission = outcome.commission;
           }
 
           if (finalStatus === "completed") {
+            bill.status = "completed";
+            bill.completedAt = new Date();
+            await bill.save({ session });
             await ledgerService.completeBillTransaction(bill, session);
           } else if (finalStatus === "failed") {
+            bill.status = "failed";
+            bill.failedAt = new Date();
+            await bill.save({ session });
             await ledgerService.refundBillTransaction(bill, session);
           }
         });
+        await emailPins(bill);
       } catch (err) {
         console.error(
           `[Cron] Requery failed for bill ${bill.requestId}:`,
           err.message,
         );
+      } finally {
+        await session.endSession();
       }
     }
   } catch (err) {
@@ -511,6 +374,7 @@ async function runWalletReconciliation() {
  *
  *   Every  5 min  — recover pending payments
  *   Every 15 min  — clean up stuck 'processing' transactions
+ *   Hourly        — automatic payouts due today (services/autoPayoutService.js)
  *   Daily  02:00  — wallet health reconciliation
  */
 function startCron() {
@@ -539,13 +403,17 @@ function startCron() {
     "*/15 * * * *",
     wrap("stuck-transaction-cleanup", cleanupStuckTransactions),
   );
+  cron.schedule(
+    "0 * * * *",
+    wrap("auto-payouts", runAutoPayouts),
+  );
   cron.schedule(
     "0 2 * * *",
     wrap("wallet-reconciliation", runWalletReconciliation),
   );
 
   console.log(
-    "⏰ Crons scheduled: payment-check (5m), bill-check (10m), stuck-cleanup (15m), reconciliation (02:00)",
+    "⏰ Crons scheduled: payment-check (5m), bill-check (10m), stuck-cleanup (15m), auto-payouts (1h), reconciliation (02:00)",
   );
 }
 
@@ -3,6 +3,8 @@ const handlebars = require("handlebars");
 const fs = require("fs");
 const path = require("path");
 const { MakeID } = require("../Helpers/Helpers");
+const money = require("../utils/money");
+const { variantLabel } = require("../utils/productVariants");
 
 /**
  * Receipt Generation Service
@@ -48,21 +50,32 @@ class ReceiptService {
           address: order.deliveryAddress || "N/A",
         },
 
-        // Order items
-        items: order.products.map((item) => ({
-          name: item.product.title,
-          store: item.store.name,
-          quantity: item.count,
-          unitPrice: item.product.listedPrice,
-          totalPrice: item.product.listedPrice * item.count,
-        })),
+        // Order items — unit price is the checkout snapshot when the line has
+        // one; variant lines name the version bought.
+        items: order.products.map((item) => {
+          const unitPrice = item.unitPrice ?? item.product.listedPrice;
+          return {
+            name: item.product.title,
+            variant: variantLabel(item.options) || null,
+            sku: item.sku || null,
+            store: item.store.name,
+            quantity: item.count,
+            unitPrice,
+            totalPrice: money.multiply(unitPrice, item.count),
+          };
+        }),
 
-        // Financial breakdown
-        subtotal:
-          order.paymentIntent.amount -
-          vatData.amount -
-          (order.deliveryFee || 0),
+        // Financial breakdown — the total is net of any coupon, so the
+        // discount is added back to recover the subtotal.
+        subtotal: money.subtract(
+          money.add(order.paymentIntent.amount, order.discount?.amount || 0),
+          vatData.amount,
+          order.deliveryFee || 0,
+        ),
         deliveryFee: order.deliveryFee || 0,
+        discount: order.discount?.amount
+          ? { code: order.discount.code, amount: order.discount.amount }
+          : null,
         vat: {
           rate: vatData.rate,
           amount: vatData.amount,
@@ -108,6 +121,73 @@ class ReceiptService {
     }
   }
 
+  /**
+   * Generate the credit note for one refund of an order
+   * @param {Object} order - Order with populated orderedBy and products.product
+   * @param {Object} refund - The entry in order.refunds
+   * @returns {Promise<string>} - Path to generated PDF
+   */
+  async generateCreditNote(order, refund) {
+    try {
+      const lineOf = (item) =>
+        order.products.find(
+          (line) =>
+            String(line.product?._id || line.product) === String(item.product) &&
+            String(line.variant || "") === String(item.variant || ""),
+        );
+
+      const creditNoteData = {
+        creditNoteNumber: refund.creditNoteNumber,
+        orderNumber: order.orderNumber || order.paymentIntent.id,
+        receiptNumber: order.paymentIntent.transaction_id || null,
+        date: new Date(refund.at).toLocaleDateString("en-NG"),
+        reason: refund.reason,
+        refundedTo: refund.method === "wallet" ? "WigoMarket wallet" : "Original payment method",
+
+        customer: {
+          name: order.orderedBy.fullName || "Customer",
+          email: order.orderedBy.email,
+          phone: order.orderedBy.mobile || "N/A",
+        },
+
+        // Refunded units, at what the buyer paid for them
+        items: refund.items.map((item) => {
+          const line = lineOf(item);
+          return {
+            name: line?.product?.title || "Unknown product",
+            variant: variantLabel(line?.options) || null,
+            quantity: item.count,
+            unitPrice: line?.unitPrice ?? line?.product?.listedPrice ?? 0,
+            discount: item.discountAmount || 0,
+            amount: item.amount,
+          };
+        }),
+        delivery: refund.delivery ?? null,
+        // VAT is included in the total, as it was on the receipt
+        vat: refund.vat || 0,
+        total: refund.amount,
+
+        company: {
+          name: "WigoMarket",
+          address: "Lagos, Nigeria",
+          phone: "+234 XXX XXX XXXX",
+          email: "support@wigomarket.com",
+          website: "www.wigomarket.com",
+        },
+      };
+
+      const html = await this.renderCreditNoteTemplate(creditNoteData);
+      const pdfPath = await this.generatePDF(
+        html,
+        `credit_note_${refund.creditNoteNumber}.pdf`,
+      );
+
+      return pdfPath;
+    } catch (error) {
+      throw new Error(`Failed to generate credit note: ${error.message}`);
+    }
+  }
+
   /**
    * Generate transaction statement PDF
    * @param {Object} user - User object
@@ -220,6 +300,25 @@ class ReceiptService {
     }
   }
 
+  /**
+   * Generate wallet-to-wallet transfer receipt PDF
+   * @param {Object} receiptData - Transfer receipt data
+   * @returns {Promise<string>} - Path to generated PDF
+   */
+  async generateTransferReceipt(receiptData) {
+    try {
+      const html = await this.renderTransferReceiptTemplate(receiptData);
+      const pdfPath = await this.generatePDF(
+        html,
+        `transfer_receipt_${receiptData.receiptNumber}.pdf`,
+      );
+
+      return pdfPath;
+    } catch (error) {
+      throw new Error(`Failed to generate transfer receipt: ${error.message}`);
+    }
+  }
+
   /**
    * Generate VAT report PDF (Admin only)
    * @param {Object} vatSummary - VAT summary data
@@ -283,6 +382,24 @@ class ReceiptService {
     return compiledTemplate(data);
   }
 
+  /**
+   * Render credit note template with data
+   * @param {Object} data - Credit note data
+   * @returns {Promise<string>} - Rendered HTML
+   */
+  async renderCreditNoteTemplate(data) {
+    const templatePath = path.join(this.templatesDir, "credit-note.hbs");
+
+    if (!fs.existsSync(templatePath)) {
+      // Create default credit note template if it doesn't exist
+      await this.createDefaultCreditNoteTemplate();
+    }
+
+    const template = fs.readFileSync(templatePath, "utf8");
+    const compiledTemplate = handlebars.compile(template);
+    return compiledTemplate(data);
+  }
+
   /**
    * Render statement template with data
    * @param {Object} data - Statement data
@@ -319,6 +436,23 @@ class ReceiptService {
     return compiledTemplate(data);
   }
 
+  /**
+   * Render transfer receipt template with data
+   * @param {Object} data - Transfer receipt data
+   * @returns {Promise<string>} - Rendered HTML
+   */
+  async renderTransferReceiptTemplate(data) {
+    const templatePath = path.join(this.templatesDir, "transfer-receipt.hbs");
+
+    if (!fs.existsSync(templatePath)) {
+      await this.createDefaultTransferReceiptTemplate();
+    }
+
+    const template = fs.readFileSync(templatePath, "utf8");
+    const compiledTemplate = handlebars.compile(template);
+    return compiledTemplate(data);
+  }
+
   /**
    * Render VAT report template with data
    * @param {Object} data - VAT report data
@@ -441,7 +575,7 @@ class ReceiptService {
         <tbody>
             {{#each items}}
             <tr>
-                <td>{{name}}</td>
+                <td>{{name}}{{#if variant}}<br><small>{{variant}}{{#if sku}} · SKU {{sku}}{{/if}}</small>{{/if}}</td>
                 <td>{{store}}</td>
                 <td>{{quantity}}</td>
                 <td>₦{{unitPrice}}</td>
@@ -456,6 +590,9 @@ class ReceiptService {
         {{#if deliveryFee}}
         <div class="total-line">Delivery Fee: ₦{{deliveryFee}}</div>
         {{/if}}
+        {{#if discount}}
+        <div class="total-line">Discount ({{discount.code}}): −₦{{discount.amount}}</div>
+        {{/if}}
         <div class="total-line">VAT ({{vat.rate}}%): ₦{{vat.amount}}</div>
         <div class="total-line grand-total">Total: ₦{{total}}</div>
     </div>
@@ -470,6 +607,106 @@ class ReceiptService {
     fs.writeFileSync(templatePath, template);
   }
 
+  /**
+   * Create default credit note template
+   */
+  async createDefaultCreditNoteTemplate() {
+    const templatePath = path.join(this.templatesDir, "credit-note.hbs");
+
+    if (!fs.existsSync(this.templatesDir)) {
+      fs.mkdirSync(this.templatesDir, { recursive: true });
+    }
+
+    const template = `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Credit Note</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 0; padding: 20px; }
+        .header { text-align: center; margin-bottom: 30px; }
+        .company-name { font-size: 24px; font-weight: bold; color: #333; }
+        .receipt-title { font-size: 18px; margin: 10px 0; }
+        .receipt-info { display: flex; justify-content: space-between; margin-bottom: 20px; }
+        .customer-info, .credit-info { width: 48%; }
+        .section-title { font-weight: bold; margin-bottom: 10px; color: #555; }
+        .items-table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+        .items-table th, .items-table td { border: 1px solid #ddd; padding: 8px; text-align: left; }
+        .items-table th { background-color: #f2f2f2; }
+        .totals { margin-top: 20px; text-align: right; }
+        .total-line { margin: 5px 0; }
+        .grand-total { font-weight: bold; font-size: 16px; border-top: 2px solid #333; padding-top: 10px; }
+        .footer { margin-top: 40px; text-align: center; font-size: 12px; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <div class="company-name">{{company.name}}</div>
+        <div class="receipt-title">CREDIT NOTE</div>
+    </div>
+    
+    <div class="receipt-info">
+        <div class="customer-info">
+            <div class="section-title">Customer Information</div>
+            <div><strong>Name:</strong> {{customer.name}}</div>
+            <div><strong>Email:</strong> {{customer.email}}</div>
+            <div><strong>Phone:</strong> {{customer.phone}}</div>
+        </div>
+        <div class="credit-info">
+            <div class="section-title">Credit Note Details</div>
+            <div><strong>Credit Note #:</strong> {{creditNoteNumber}}</div>
+            <div><strong>Order #:</strong> {{orderNumber}}</div>
+            {{#if receiptNumber}}
+            <div><strong>Original Receipt #:</strong> {{receiptNumber}}</div>
+            {{/if}}
+            <div><strong>Date:</strong> {{date}}</div>
+            <div><strong>Reason:</strong> {{reason}}</div>
+            <div><strong>Refunded to:</strong> {{refundedTo}}</div>
+        </div>
+    </div>
+    
+    <table class="items-table">
+        <thead>
+            <tr>
+                <th>Item</th>
+                <th>Qty</th>
+                <th>Unit Price</th>
+                <th>Discount</th>
+                <th>Refunded</th>
+            </tr>
+        </thead>
+        <tbody>
+            {{#each items}}
+            <tr>
+                <td>{{name}}{{#if variant}}<br><small>{{variant}}</small>{{/if}}</td>
+                <td>{{quantity}}</td>
+                <td>₦{{unitPrice}}</td>
+                <td>{{#if discount}}−₦{{discount}}{{/if}}</td>
+                <td>₦{{amount}}</td>
+            </tr>
+            {{/each}}
+        </tbody>
+    </table>
+    
+    <div class="totals">
+        {{#if delivery}}
+        <div class="total-line">Delivery Fee: ₦{{delivery}}</div>
+        {{/if}}
+        <div class="total-line">VAT included: ₦{{vat}}</div>
+        <div class="total-line grand-total">Total Refunded: ₦{{total}}</div>
+    </div>
+    
+    <div class="footer">
+        <p>This credit note reverses part or all of the payment on the order above.</p>
+        <p>{{company.name}} | {{company.address}} | {{company.phone}} | {{company.email}}</p>
+    </div>
+</body>
+</html>`;
+
+    fs.writeFileSync(templatePath, template);
+  }
+
   /**
    * Create default statement template
    */
@@ -667,6 +904,94 @@ class ReceiptService {
     fs.writeFileSync(templatePath, template);
   }
 
+  /**
+   * Create default transfer receipt template
+   */
+  async createDefaultTransferReceiptTemplate() {
+    const templatePath = path.join(this.templatesDir, "transfer-receipt.hbs");
+
+    if (!fs.existsSync(this.templatesDir)) {
+      fs.mkdirSync(this.templatesDir, { recursive: true });
+    }
+
+    const template = `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>Transfer Receipt</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 0; padding: 20px; }
+        .header { text-align: center; margin-bottom: 30px; }
+        .company-name { font-size: 24px; font-weight: bold; color: #333; }
+        .receipt-title { font-size: 18px; margin: 10px 0; }
+        .receipt-info { display: flex; justify-content: space-between; margin-bottom: 20px; }
+        .party-info { width: 48%; }
+        .section-title { font-weight: bold; margin-bottom: 10px; color: #555; }
+        .transfer-details { background-color: #f9f9f9; padding: 15px; margin: 20px 0; border-radius: 5px; }
+        .detail-row { display: flex; justify-content: space-between; margin: 8px 0; }
+        .detail-label { font-weight: bold; }
+        .detail-value { color: #333; }
+        .footer { margin-top: 40px; text-align: center; font-size: 12px; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <div class="company-name">{{company.name}}</div>
+        <div class="receipt-title">WALLET TRANSFER RECEIPT ({{direction}})</div>
+    </div>
+
+    <div class="receipt-info">
+        <div class="party-info">
+            <div class="section-title">From</div>
+            <div><strong>Name:</strong> {{sender.name}}</div>
+            <div><strong>Email:</strong> {{sender.email}}</div>
+            <div><strong>Phone:</strong> {{sender.phone}}</div>
+        </div>
+        <div class="party-info">
+            <div class="section-title">To</div>
+            <div><strong>Name:</strong> {{recipient.name}}</div>
+            <div><strong>Email:</strong> {{recipient.email}}</div>
+            <div><strong>Phone:</strong> {{recipient.phone}}</div>
+        </div>
+    </div>
+
+    <div class="transfer-details">
+        <div class="section-title">Transfer Details</div>
+        <div class="detail-row">
+            <span class="detail-label">Receipt #:</span>
+            <span class="detail-value">{{receiptNumber}}</span>
+        </div>
+        <div class="detail-row">
+            <span class="detail-label">Date:</span>
+            <span class="detail-value">{{date}} {{time}}</span>
+        </div>
+        <div class="detail-row">
+            <span class="detail-label">Amount:</span>
+            <span class="detail-value">₦{{transfer.amount}}</span>
+        </div>
+        {{#if transfer.note}}
+        <div class="detail-row">
+            <span class="detail-label">Note:</span>
+            <span class="detail-value">{{transfer.note}}</span>
+        </div>
+        {{/if}}
+        <div class="detail-row">
+            <span class="detail-label">Status:</span>
+            <span class="detail-value">{{transfer.status}}</span>
+        </div>
+    </div>
+
+    <div class="footer">
+        <p>Thank you for using WigoMarket!</p>
+        <p>{{company.name}} | {{company.address}} | {{company.phone}} | {{company.email}}</p>
+    </div>
+</body>
+</html>`;
+
+    fs.writeFileSync(templatePath, template);
+  }
+
   /**
    * Create default VAT report template
    */
@@ -714,6 +1039,17 @@ class ReceiptService {
         <div><strong>Vendor Responsibility:</strong> ₦{{summary.vendorVAT}}</div>
     </div>
     
+    {{#if summary.bills}}
+    <div class="summary">
+        <div class="section-title">Bill Payments</div>
+        <div><strong>Bills Completed:</strong> {{summary.bills.totalBills}}</div>
+        <div><strong>Paid by Users:</strong> ₦{{summary.bills.totalAmount}}</div>
+        <div><strong>Platform Margin:</strong> ₦{{summary.bills.margin}}</div>
+        <div><strong>Provider Commission:</strong> ₦{{summary.bills.commission}}</div>
+        <div><strong>VAT on Bill Revenue:</strong> ₦{{summary.bills.vatAmount}}</div>
+    </div>
+    {{/if}}
+    
     <div class="footer">
         <p>This is a computer-generated VAT report.</p>
         <p>{{company.name}} | {{company.address}} | {{company.phone}} | {{company.email}}</p>
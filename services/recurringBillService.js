@@ -0,0 +1,369 @@
+/**
+ * @file recurringBillService.js
+ * @description Bills paid from the wallet on a schedule (models/recurringBillModel),
+ * run by the "recurring_bills" job on the task queue.
+ *
+ * Each due schedule is claimed, and its next run date moved on, in one atomic
+ * update before anything is paid. A run that dies half way is therefore never
+ * retried: a missed bill is recoverable, a double charge is not. The run then
+ * checks the plan price and the wallet balance, and buys the bill through the
+ * same pipeline as a purchase from the app (services/billPurchaseService),
+ * which completes, requeries and refunds it.
+ *
+ * A run that can't pay tells the user why. After MAX_FAILURES in a row the
+ * schedule pauses itself until the user resumes it.
+ */
+
+const RecurringBill = require("../models/recurringBillModel");
+const SavedBiller = require("../models/savedBillerModel");
+const Wallet = require("../models/walletModel");
+const billProviders = require("./billProviders");
+const billCatalogue = require("./billCatalogueService");
+const { purchaseBill } = require("./billPurchaseService");
+const { userPrice } = require("./billPricingService");
+const { verifyBiller, billerView } = require("./savedBillerService");
+const firebaseService = require("./firebaseNotificationService");
+const audit = require("./auditService");
+const logger = require("./logger");
+
+const RUN_HOUR = 8; // local time schedules fall due
+const MAX_FAILURES = 3;
+const MAX_SCHEDULES = 20; // per user
+const LOCK_TIMEOUT_MINUTES = 30;
+const BATCH_SIZE = 50;
+
+const MIN_AMOUNT = { airtime: 50, electricity: 100 };
+// Bills whose amount is a plan's price rather than chosen by the user
+const PLAN_BILLS = ["data", "cable_tv"];
+
+const SYSTEM_ACTOR = { userId: null, role: "system", ip: "recurring_bills" };
+
+/**
+ * Check a schedule's timing and, for bills of the user's choosing (airtime,
+ * electricity), amount. Plan-priced bills need a variation_code instead,
+ * priced by the caller.
+ *
+ * @param {Object} body - { frequency, day_of_week, day_of_month, amount, variation_code, phone }
+ * @param {Object} biller - The SavedBiller it pays
+ * @returns {{ error: string } | { frequency, dayOfWeek?, dayOfMonth?, amount?, variationCode?, phone }}
+ */
+function validateSchedule(body, biller) {
+  const { frequency, day_of_week, day_of_month, amount, variation_code, phone } = body;
+
+  if (!["daily", "weekly", "monthly"].includes(frequency)) {
+    return { error: "frequency must be 'daily', 'weekly' or 'monthly'" };
+  }
+  const schedule = { frequency };
+
+  if (frequency === "weekly") {
+    const day = Number(day_of_week);
+    if (!Number.isInteger(day) || day < 0 || day > 6) {
+      return {
+        error: "day_of_week must be a whole number from 0 (Sunday) to 6 (Saturday)",
+      };
+    }
+    schedule.dayOfWeek = day;
+  }
+  if (frequency === "monthly") {
+    const day = Number(day_of_month);
+    if (!Number.isInteger(day) || day < 1 || day > 28) {
+      return { error: "day_of_month must be a whole number from 1 to 28" };
+    }
+    schedule.dayOfMonth = day;
+  }
+
+  if (PLAN_BILLS.includes(biller.serviceType)) {
+    if (!variation_code) return { error: "variation_code is required" };
+    schedule.variationCode = variation_code;
+  } else {
+    const amt = Number(amount);
+    const min = MIN_AMOUNT[biller.serviceType];
+    if (!Number.isFinite(amt) || amt < min) {
+      return { error: `amount must be at least ₦${min}` };
+    }
+    schedule.amount = amt;
+  }
+
+  if (["airtime", "data"].includes(biller.serviceType)) {
+    schedule.phone = biller.billersCode;
+  } else if (!phone || !/^0[789][01]\d{8}$/.test(phone)) {
+    return { error: "Invalid Nigerian phone number" };
+  } else {
+    schedule.phone = phone;
+  }
+
+  return schedule;
+}
+
+/**
+ * The first time after `from` a schedule falls due, at RUN_HOUR local time.
+ *
+ * @param {Object} schedule - { frequency, dayOfWeek, dayOfMonth }
+ * @param {Date} from
+ * @returns {Date}
+ */
+function nextRunAfter(schedule, from) {
+  const next = new Date(from);
+  next.setHours(RUN_HOUR, 0, 0, 0);
+
+  if (schedule.frequency === "daily") {
+    if (next <= from) next.setDate(next.getDate() + 1);
+  } else if (schedule.frequency === "weekly") {
+    next.setDate(next.getDate() + ((schedule.dayOfWeek - next.getDay() + 7) % 7));
+    if (next <= from) next.setDate(next.getDate() + 7);
+  } else {
+    next.setDate(schedule.dayOfMonth);
+    if (next <= from) next.setMonth(next.getMonth() + 1);
+  }
+  return next;
+}
+
+/**
+ * What one run should pay: the schedule's amount with the bill type's markup
+ * or discount (services/billPricingService), or its plan's price today so
+ * long as that hasn't gone up. Plans are priced from the catalogue
+ * (services/billCatalogueService), as in the app, for the provider they are
+ * bought from.
+ *
+ * @returns {Promise<{ amount: number, planName?: string, provider?: string,
+ *   serviceId?: string, providerAmount?: number } | { error: string }>}
+ */
+async function priceRun(schedule, biller) {
+  if (!PLAN_BILLS.includes(biller.serviceType)) {
+    return {
+      amount: userPrice(biller.serviceType, schedule.amount),
+      providerAmount: schedule.amount,
+    };
+  }
+
+  const { plan, provider, serviceId } = await billCatalogue.findPlan(
+    biller.serviceType,
+    biller.provider,
+    schedule.variationCode,
+  );
+  if (!plan) return { error: "The plan is no longer available" };
+
+  const price = plan.price;
+  if (price > schedule.amount) {
+    return {
+      error: `The plan's price went up from ₦${schedule.amount.toLocaleString()} to ₦${price.toLocaleString()}. Update the schedule to keep paying it.`,
+    };
+  }
+  return {
+    amount: price,
+    planName: plan.name,
+    provider,
+    serviceId,
+    providerAmount: plan.providerPrice,
+  };
+}
+
+/**
+ * Pay one due schedule, unless another run has it.
+ *
+ * @param {Object} candidate - A due RecurringBill
+ * @param {Date} [now]
+ * @returns {Promise<Object|null>} the run's lastRun, or null if not claimed
+ */
+async function runRecurringBill(candidate, now = new Date()) {
+  const staleLock = new Date(now.getTime() - LOCK_TIMEOUT_MINUTES * 60_000);
+  const schedule = await RecurringBill.findOneAndUpdate(
+    {
+      _id: candidate._id,
+      status: "active",
+      nextRunAt: { $lte: now },
+      $or: [{ lockedAt: null }, { lockedAt: { $lt: staleLock } }],
+    },
+    { $set: { lockedAt: now, nextRunAt: nextRunAfter(candidate, now) } },
+    { new: true },
+  );
+  if (!schedule) return null;
+
+  let biller;
+  let outcome;
+  try {
+    biller = await SavedBiller.findOne({ _id: schedule.biller, user: schedule.user });
+    outcome = biller
+      ? await payRun(schedule, biller, now)
+      : { status: "failed", reason: "The saved biller was deleted" };
+  } catch (err) {
+    logger.error(`[RecurringBills] Run of ${schedule._id} failed: ${err.message}`);
+    outcome = { status: "failed", reason: err.message };
+  }
+  return finishRun(schedule, biller, outcome, now);
+}
+
+async function payRun(schedule, biller, now) {
+  const price = await priceRun(schedule, biller);
+  if (price.error) return { status: "failed", reason: price.error };
+
+  const wallet = await Wallet.findOne({ user: schedule.user });
+  if (!wallet || wallet.status !== "active") {
+    return { status: "failed", reason: `Wallet is ${wallet?.status || "missing"}` };
+  }
+  if (wallet.balance < price.amount) {
+    return {
+      status: "failed",
+      reason: `Insufficient wallet balance: ₦${wallet.balance.toLocaleString()} available, ₦${price.amount.toLocaleString()} needed`,
+      amount: price.amount,
+    };
+  }
+
+  // Meters and decoders are checked before each payment, as in the app
+  const verified = await verifyBiller(biller);
+  if (verified.error) return { status: "failed", reason: verified.error };
+  if (verified.customerName) {
+    await SavedBiller.updateOne(
+      { _id: biller._id },
+      { $set: { customerName: verified.customerName, lastVerifiedAt: now } },
+    );
+  }
+
+  // Bought from the provider that priced the plan or verified the account;
+  // with neither (airtime), from the first on the route
+  const { provider, serviceId } = price.provider
+    ? price
+    : verified.provider
+      ? verified
+      : billProviders.chooseProvider(biller.serviceType, biller.provider);
+
+  const { requestId } = await purchaseBill({
+    userId: schedule.user,
+    amount: price.amount,
+    serviceType: biller.serviceType,
+    serviceProvider: biller.provider,
+    provider,
+    ...(price.providerAmount !== undefined && { providerAmount: price.providerAmount }),
+    recipient: biller.billersCode,
+    serviceMetadata: {
+      recurringBillId: schedule._id,
+      ...(biller.meterType && { meter_type: biller.meterType }),
+      ...(schedule.variationCode && { variation_code: schedule.variationCode }),
+      ...(price.planName && { plan_name: price.planName }),
+      ...(verified.customerName && { customer_name: verified.customerName }),
+      phone: schedule.phone,
+    },
+    serviceId,
+    phone: schedule.phone,
+    billersCode: biller.serviceType === "airtime" ? undefined : biller.billersCode,
+    variationCode:
+      biller.serviceType === "electricity" ? biller.meterType : schedule.variationCode,
+  });
+
+  return { status: "submitted", amount: price.amount, requestId };
+}
+
+async function finishRun(schedule, biller, outcome, now) {
+  const lastRun = { at: now, ...outcome };
+  const update = { lockedAt: null, lastRun };
+  const failures = outcome.status === "failed" ? schedule.consecutiveFailures + 1 : 0;
+  update.consecutiveFailures = failures;
+
+  const pause = failures >= MAX_FAILURES;
+  if (pause) {
+    update.status = "paused";
+    update.pausedAt = now;
+    update.pausedReason = `Paused after ${failures} failed payments in a row: ${outcome.reason}`;
+  }
+
+  await RecurringBill.updateOne({ _id: schedule._id }, { $set: update });
+
+  const entry = {
+    action: `bill.recurring_${outcome.status}`,
+    actor: SYSTEM_ACTOR,
+    resource: { type: "recurring_bill", id: schedule._id },
+    metadata: { userId: schedule.user, ...outcome, ...(pause && { paused: true }) },
+  };
+  if (outcome.status === "failed") audit.error(entry);
+  else audit.log(entry);
+
+  if (outcome.status === "failed") {
+    try {
+      await firebaseService.sendTemplatedNotification(
+        String(schedule.user),
+        pause ? "bill_recurring_paused" : "bill_recurring_failed",
+        {
+          nickname: biller?.nickname || "your saved biller",
+          reason: outcome.reason,
+          failures,
+        },
+        { recurringBillId: String(schedule._id), type: "recurring_bill" },
+        "systemUpdates",
+      );
+    } catch (err) {
+      logger.error(
+        `[RecurringBills] Failed to notify ${schedule.user} of ${schedule._id}: ${err.message}`,
+      );
+    }
+  }
+
+  return lastRun;
+}
+
+/**
+ * Pay every active schedule that has fallen due. Run by the "recurring_bills"
+ * task-queue job.
+ */
+async function runDueRecurringBills(now = new Date()) {
+  const staleLock = new Date(now.getTime() - LOCK_TIMEOUT_MINUTES * 60_000);
+  let paid = 0;
+  let failed = 0;
+
+  // Claimed schedules move their nextRunAt on, so each batch is fresh
+  for (;;) {
+    const due = await RecurringBill.find({
+      status: "active",
+      nextRunAt: { $lte: now },
+      $or: [{ lockedAt: null }, { lockedAt: { $lt: staleLock } }],
+    })
+      .sort({ nextRunAt: 1 })
+      .limit(BATCH_SIZE);
+    if (!due.length) break;
+
+    let claimed = 0;
+    for (const schedule of due) {
+      const run = await runRecurringBill(schedule, now);
+      if (!run) continue;
+      claimed++;
+      if (run.status === "submitted") paid++;
+      else failed++;
+    }
+    if (!claimed) break;
+  }
+
+  if (paid || failed) {
+    logger.info(`[RecurringBills] ${paid} bill(s) submitted, ${failed} failed`);
+  }
+  return { paid, failed };
+}
+
+/**
+ * Public view of a schedule, with its biller if populated.
+ */
+const scheduleView = (schedule) => ({
+  id: schedule._id,
+  biller: schedule.biller?.nickname ? billerView(schedule.biller) : schedule.biller,
+  amount: schedule.amount,
+  variation_code: schedule.variationCode,
+  phone: schedule.phone,
+  frequency: schedule.frequency,
+  day_of_week: schedule.dayOfWeek,
+  day_of_month: schedule.dayOfMonth,
+  status: schedule.status,
+  paused_reason: schedule.pausedReason || null,
+  next_run_at: schedule.status === "active" ? schedule.nextRunAt : null,
+  consecutive_failures: schedule.consecutiveFailures,
+  last_run: schedule.lastRun?.at ? schedule.lastRun : null,
+});
+
+module.exports = {
+  MAX_FAILURES,
+  MAX_SCHEDULES,
+  PLAN_BILLS,
+  validateSchedule,
+  nextRunAfter,
+  priceRun,
+  runRecurringBill,
+  runDueRecurringBills,
+  scheduleView,
+};
@@ -0,0 +1,151 @@
+/**
+ * @file riderCoverageService.js
+ * @description Where and when a rider works, from their DispatchProfile:
+ * coverageAreas (a centre and a radius in km) and availability.workingDays.
+ *
+ * The rider order feed shows a rider only the pool orders picked up inside
+ * one of their coverage areas, nearest pickup first, and none at all on a
+ * day they do not work (days are read in Africa/Lagos). A rider without
+ * coverage areas sees the whole pool; one without working days works every
+ * day.
+ */
+
+const Store = require("../models/storeModel");
+const { DAY_NAMES, localClock } = require("../utils/notificationSchedule");
+const { haversineDistance, isPosition } = require("../utils/geo");
+
+// $centerSphere takes its radius in radians
+const EARTH_RADIUS_KM = 6378.1;
+
+const areaCentre = (area) => ({
+  lat: area.coordinates.latitude,
+  lng: area.coordinates.longitude,
+});
+const kmBetween = (a, b) => haversineDistance(a.lat, a.lng, b.lat, b.lng) / 1000;
+const round2 = (km) => Math.round(km * 100) / 100;
+
+/** The weekday name ("monday"…) of `at` in Lagos. */
+function dayName(at = new Date()) {
+  return DAY_NAMES[localClock(at).weekday];
+}
+
+/** Does the rider work on the day of `at`? */
+function isWorkingDay(profile, at = new Date()) {
+  const days = profile?.availability?.workingDays || [];
+  return !days.length || days.includes(dayName(at));
+}
+
+/** A store's pickup point from its GeoJSON location; null when not geocoded. */
+function storePoint(store) {
+  const coordinates = store?.location?.coordinates;
+  return isPosition(coordinates) ? { lat: coordinates[1], lng: coordinates[0] } : null;
+}
+
+/** The rider's coverage areas containing `point`. */
+function coveringAreas(profile, point) {
+  if (!point) return [];
+  return (profile?.coverageAreas || []).filter(
+    (area) => kmBetween(areaCentre(area), point) <= area.radius,
+  );
+}
+
+/**
+ * How far the rider is from a pickup point, in km: from their live position,
+ * else from the centre of the nearest coverage area containing it.
+ *
+ * @param {Object} profile - DispatchProfile
+ * @param {{ lat: number, lng: number }} [position] - rider's fresh position
+ * @param {{ lat: number, lng: number }} point - see storePoint
+ * @returns {number|null} null when neither is known
+ */
+function pickupDistanceKm(profile, position, point) {
+  if (!point) return null;
+  if (position) return round2(kmBetween(position, point));
+  const covering = coveringAreas(profile, point);
+  if (!covering.length) return null;
+  return round2(Math.min(...covering.map((area) => kmBetween(areaCentre(area), point))));
+}
+
+/**
+ * Stores picked up from inside the rider's coverage areas, nearest first.
+ * @returns {Promise<Array<{ store: ObjectId, distanceKm: number }>|null>}
+ *   null when the rider has no coverage areas
+ */
+async function coveredStores(profile, position) {
+  const areas = profile?.coverageAreas || [];
+  if (!areas.length) return null;
+
+  const stores = await Store.find({
+    $or: areas.map((area) => ({
+      location: {
+        $geoWithin: {
+          $centerSphere: [
+            [area.coordinates.longitude, area.coordinates.latitude],
+            area.radius / EARTH_RADIUS_KM,
+          ],
+        },
+      },
+    })),
+  }).select("_id location");
+
+  return stores
+    .map((store) => ({
+      store: store._id,
+      distanceKm: pickupDistanceKm(profile, position, storePoint(store)),
+    }))
+    .sort((a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity));
+}
+
+/**
+ * The part of the available pool a rider is shown.
+ *
+ * @param {Object} profile - DispatchProfile
+ * @param {Object} [options]
+ * @param {{ lat: number, lng: number }} [options.position]
+ * @param {Date} [options.at]
+ * @returns {Promise<{ workingToday: boolean, filter: Object|null, nearestStores: ObjectId[]|null }>}
+ *   filter narrows the pool query, and is null on the rider's days off when
+ *   they are shown none of it; nearestStores orders covered pickups nearest
+ *   first, null when the pool is not narrowed by coverage
+ */
+async function poolScope(profile, { position, at = new Date() } = {}) {
+  if (!isWorkingDay(profile, at)) {
+    return { workingToday: false, filter: null, nearestStores: null };
+  }
+  const stores = await coveredStores(profile, position);
+  if (!stores) return { workingToday: true, filter: {}, nearestStores: null };
+
+  const ids = stores.map(({ store }) => store);
+  return {
+    workingToday: true,
+    filter: { "products.store": { $in: ids } },
+    nearestStores: ids,
+  };
+}
+
+/**
+ * Distance from the rider to each pickup store of some orders, keyed by store
+ * id, for serializeDeliveryOrder. Needs products.store populated with location.
+ * @returns {Map<string, number|null>}
+ */
+function pickupDistances(profile, position, orders) {
+  const distances = new Map();
+  for (const order of orders) {
+    for (const { store } of order.products || []) {
+      if (!store?._id || distances.has(String(store._id))) continue;
+      distances.set(String(store._id), pickupDistanceKm(profile, position, storePoint(store)));
+    }
+  }
+  return distances;
+}
+
+module.exports = {
+  dayName,
+  isWorkingDay,
+  storePoint,
+  coveringAreas,
+  pickupDistanceKm,
+  coveredStores,
+  poolScope,
+  pickupDistances,
+};
@@ -0,0 +1,130 @@
+/**
+ * @file savedBillerService.js
+ * @description Saved bill recipients (models/savedBillerModel): checking what
+ * a user wants to save, verifying meters and decoders with the bill type's
+ * providers (services/billProviders), and resolving a saved biller into the
+ * fields a purchase needs.
+ */
+
+const billProviders = require("./billProviders");
+
+const MAX_BILLERS = 50; // per user
+
+const PHONE = /^0[789][01]\d{8}$/;
+const METER_NUMBER = /^\d{10,13}$/;
+
+// Bill types a biller can be saved for
+const BILL_TYPES = ["airtime", "data", "electricity", "cable_tv"];
+
+/**
+ * Check a biller a user wants to save.
+ *
+ * @param {Object} body - { nickname, service_type, provider, billers_code, meter_type }
+ * @returns {{ error: string } | { nickname, serviceType, provider, billersCode, meterType }}
+ */
+function validateBiller({ nickname, service_type, provider, billers_code, meter_type }) {
+  const name = typeof nickname === "string" ? nickname.trim() : "";
+  if (!name || name.length > 50) {
+    return { error: "nickname is required (at most 50 characters)" };
+  }
+  if (!BILL_TYPES.includes(service_type)) {
+    return {
+      error: `service_type must be one of: ${BILL_TYPES.join(", ")}`,
+    };
+  }
+
+  const providerKey = (provider || "").replace(/_/g, "-").toLowerCase();
+  const products = billProviders.PRODUCTS[service_type];
+  if (!products.includes(providerKey)) {
+    return {
+      error: `Unsupported provider. Supported: ${products.join(", ")}`,
+    };
+  }
+
+  const billersCode = typeof billers_code === "string" ? billers_code.trim() : "";
+  if (["airtime", "data"].includes(service_type) && !PHONE.test(billersCode)) {
+    return { error: "billers_code must be a Nigerian phone number" };
+  }
+  if (service_type === "electricity" && !METER_NUMBER.test(billersCode)) {
+    return { error: "Invalid meter number (10–13 digits)" };
+  }
+  if (service_type === "cable_tv" && !billersCode) {
+    return { error: "billers_code (smartcard number) is required" };
+  }
+
+  let meterType;
+  if (service_type === "electricity") {
+    meterType = meter_type || "prepaid";
+    if (!["prepaid", "postpaid"].includes(meterType)) {
+      return { error: "meter_type must be 'prepaid' or 'postpaid'" };
+    }
+  }
+
+  return {
+    nickname: name,
+    serviceType: service_type,
+    provider: providerKey,
+    billersCode,
+    ...(meterType && { meterType }),
+  };
+}
+
+/**
+ * Look a meter or decoder up with its bill type's providers. Phone numbers
+ * need no verifying.
+ *
+ * @param {Object} biller - { serviceType, provider, billersCode, meterType }
+ * @returns {Promise<{ customerName?: string, provider?: string, serviceId?: string }
+ *   | { error: string, status: number }>} provider and serviceId being the
+ *   bill provider that verified it, to pay with
+ */
+async function verifyBiller(biller) {
+  if (!["electricity", "cable_tv"].includes(biller.serviceType)) return {};
+
+  let verification;
+  try {
+    verification = await billProviders.verify(
+      biller.serviceType,
+      biller.provider,
+      biller.billersCode,
+      biller.serviceType === "electricity" ? biller.meterType : biller.provider,
+    );
+  } catch (err) {
+    if (!(err instanceof billProviders.BillProviderError)) throw err;
+    return { error: err.message, status: err.statusCode };
+  }
+
+  const { provider, serviceId, result } = verification;
+  if (!result.verified) {
+    return {
+      error:
+        biller.serviceType === "electricity"
+          ? "Meter verification failed"
+          : "Decoder verification failed",
+      status: 400,
+    };
+  }
+  return { customerName: result.customerName || undefined, provider, serviceId };
+}
+
+/**
+ * Public view of a saved biller.
+ */
+const billerView = (biller) => ({
+  id: biller._id,
+  nickname: biller.nickname,
+  service_type: biller.serviceType,
+  provider: biller.provider,
+  billers_code: biller.billersCode,
+  meter_type: biller.meterType,
+  customer_name: biller.customerName || null,
+  last_verified_at: biller.lastVerifiedAt || null,
+});
+
+module.exports = {
+  MAX_BILLERS,
+  BILL_TYPES,
+  validateBiller,
+  verifyBiller,
+  billerView,
+};
@@ -0,0 +1,208 @@
+/**
+ * @file sessionService.js
+ * @description Per-device sign-in sessions backed by rotating refresh tokens.
+ *
+ * Every login creates a Session for the device it came from, so signing in on
+ * a second phone no longer signs the first one out. Each refresh swaps the
+ * session's refresh token for a new one; the session stores only the hash of
+ * the current token. A token that verifies but no longer matches that hash
+ * has already been rotated away, meaning someone else holds a copy, so the
+ * whole session is revoked and the device must sign in again.
+ *
+ * Access tokens carry the session ID (`sid`) and authMiddleware refuses them
+ * once their session is revoked.
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/sessionModel");
+const { generateToken } = require("../config/jwt");
+const { generateRefreshToken } = require("../config/refreshToken");
+const audit = require("./auditService");
+
+// Must stay in sync with the expiresIn values in config/jwt.js and config/refreshToken.js
+const ACCESS_TOKEN_TTL_MS = 24 * 60 * 60 * 1000; // 1 day
+const REFRESH_TOKEN_TTL_MS = 3 * 24 * 60 * 60 * 1000; // 3 days
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Whether a verified token is a refresh token. Access and refresh tokens are
+ * signed with the same secret and carry the same sid: an access token posted
+ * to /refresh would look like a reused refresh token and revoke its session,
+ * and a refresh token sent as a bearer token would pass as an access token.
+ */
+const isRefreshToken = (decoded) => decoded.typ === "refresh";
+
+/** Device details for a new or refreshed session. */
+function deviceInfo(req) {
+  const deviceId = req.body?.deviceId || req.headers?.["x-device-id"];
+  return {
+    deviceId: typeof deviceId === "string" && deviceId.trim() ? deviceId.trim() : undefined,
+    deviceName: typeof req.body?.deviceName === "string" ? req.body.deviceName : undefined,
+    userAgent: req.headers?.["user-agent"],
+    ip: req.headers?.["x-forwarded-for"]?.split(",")[0] || req.ip,
+  };
+}
+
+function issueTokens(userId, sessionId) {
+  return {
+    accessToken: generateToken(userId, sessionId),
+    refreshToken: generateRefreshToken(userId, sessionId),
+    tokenExpiresAt: new Date(Date.now() + ACCESS_TOKEN_TTL_MS).toISOString(),
+  };
+}
+
+/**
+ * Sign a user in on the requesting device. A session already open for the
+ * same device ID is replaced.
+ *
+ * @param {string|ObjectId} userId
+ * @param {Object} req - Express request (device ID, user agent and IP are read from it)
+ * @returns {Promise<{ session, accessToken, refreshToken, tokenExpiresAt }>}
+ */
+async function createSession(userId, req) {
+  const { deviceId = crypto.randomUUID(), ...device } = deviceInfo(req);
+
+  await Session.updateMany(
+    { user: userId, deviceId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: "replaced" },
+  );
+
+  const session = new Session({ user: userId, deviceId, ...device });
+  const tokens = issueTokens(userId, session._id);
+  session.tokenHash = hashToken(tokens.refreshToken);
+  session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+  await session.save();
+
+  return { session, ...tokens };
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ *
+ * @param {string} refreshToken
+ * @param {Object} req - Express request
+ * @returns {Promise<{ error: "invalid" | "reused" } | { session, accessToken, refreshToken, tokenExpiresAt }>}
+ */
+async function rotateSession(refreshToken, req) {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
+  } catch {
+    return { error: "invalid" };
+  }
+  // Tokens issued before sessions existed carry no sid and cannot be rotated;
+  // an access token is no refresh token, and mustn't be taken for a reused one
+  if (!decoded.sid || !isRefreshToken(decoded)) return { error: "invalid" };
+
+  const session = await Session.findOne({
+    _id: decoded.sid,
+    user: decoded.id,
+    ...Session.activeFilter(),
+  });
+  if (!session) return { error: "invalid" };
+
+  const presentedHash = hashToken(refreshToken);
+  const tokens = issueTokens(session.user, session._id);
+  const { userAgent, ip } = deviceInfo(req);
+
+  // Conditional on the presented token still being current: of two requests
+  // racing with the same token only one can rotate it.
+  const rotated =
+    session.tokenHash === presentedHash &&
+    (await Session.findOneAndUpdate(
+      { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+      {
+        tokenHash: hashToken(tokens.refreshToken),
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+        ...(userAgent && { userAgent }),
+        ...(ip && { ip }),
+      },
+      { new: true },
+    ));
+
+  if (!rotated) {
+    await Session.updateOne(
+      { _id: session._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: "token_reuse" },
+    );
+    audit.error({
+      action: "user.session_token_reuse",
+      actor: { userId: session.user, ip, userAgent },
+      resource: { type: "user", id: session.user },
+      metadata: { sessionId: session._id, deviceId: session.deviceId },
+    });
+    return { error: "reused" };
+  }
+
+  return { session: rotated, ...tokens };
+}
+
+/**
+ * Revoke the session a refresh token belongs to. An expired token still
+ * identifies its session, so a device can always sign itself out.
+ *
+ * @returns {Promise<Object|null>} the revoked session, or null when there was none
+ */
+async function endSession(refreshToken) {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.JWT_SECRET, { ignoreExpiration: true });
+  } catch {
+    return null;
+  }
+  if (!decoded.sid || !isRefreshToken(decoded)) return null;
+
+  return revokeSession(decoded.id, decoded.sid, "logout");
+}
+
+/**
+ * Revoke one of a user's sessions.
+ *
+ * @returns {Promise<Object|null>} the revoked session, or null if it was not
+ * found, not the user's, or already revoked
+ */
+function revokeSession(userId, sessionId, reason = "revoked") {
+  return Session.findOneAndUpdate(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true },
+  );
+}
+
+/**
+ * Revoke every open session of a user.
+ *
+ * @param {string|ObjectId} userId
+ * @param {Object} [options]
+ * @param {string} [options.except] - session to keep, usually the caller's own
+ * @param {string} [options.reason]
+ * @returns {Promise<number>} how many sessions were revoked
+ */
+async function revokeAllSessions(userId, { except, reason = "revoked_all" } = {}) {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null, ...(except && { _id: { $ne: except } }) },
+    { revokedAt: new Date(), revokedReason: reason },
+  );
+  return result.modifiedCount;
+}
+
+/** Whether the session an access token was issued for is still open. */
+async function isSessionActive(sessionId) {
+  return Boolean(await Session.exists({ _id: sessionId, revokedAt: null }));
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_MS,
+  REFRESH_TOKEN_TTL_MS,
+  hashToken,
+  isRefreshToken,
+  createSession,
+  rotateSession,
+  endSession,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive,
+};
@@ -0,0 +1,291 @@
+/**
+ * @file storeSaleService.js
+ * @description Resolves seller-run sales (models/storeSaleModel) to the price
+ * a buyer actually pays.
+ *
+ * Every reader that shows or charges a price goes through here — product
+ * listings, product detail, search, the cart and checkout — so a sale starts
+ * and ends everywhere at the same moment without anyone editing `price`.
+ *
+ * Pricing: the sale takes discountPercent off the listed (customer) price.
+ * The vendor price is left as it is and the per-unit discount is recorded
+ * next to it on the cart/order line (`sale.discount`); commissionService then
+ * takes that discount out of the vendor's share, so the platform's spread is
+ * the same as without the sale.
+ */
+
+const mongoose = require("mongoose");
+const StoreSale = require("../models/storeSaleModel");
+const money = require("../utils/money");
+
+const idString = (value) => String(value?._id ?? value ?? "");
+
+/** Query filter for sales running at `now`. */
+const liveFilter = (now = new Date()) => ({
+  isActive: true,
+  startsAt: { $lte: now },
+  endsAt: { $gt: now },
+});
+
+/** Units still available at the sale price; Infinity when uncapped. */
+const remainingUnits = (sale) =>
+  sale.stockCap == null ? Infinity : Math.max(0, sale.stockCap - sale.soldCount);
+
+/** Does the sale cover this product? */
+const covers = (sale, product) => {
+  const storeId = idString(product.store ?? product.storeDetails);
+  if (idString(sale.store) !== storeId) return false;
+  if (sale.products?.length) {
+    return sale.products.some((id) => idString(id) === idString(product._id));
+  }
+  const categoryId = idString(product.category ?? product.categoryDetails);
+  return Boolean(sale.category) && idString(sale.category) === categoryId;
+};
+
+/**
+ * Live sales for the stores of the given products, in one query.
+ *
+ * @param {Array<Object>} products - documents or plain objects; `store` may
+ *   be populated. Search results carry it as `storeDetails`.
+ * @param {Object} [opts]
+ * @param {Date} [opts.now]
+ * @param {ClientSession} [opts.session]
+ * @returns {Promise<Array<Object>>} lean sales
+ */
+async function liveSalesFor(products, { now = new Date(), session = null } = {}) {
+  const storeIds = [
+    ...new Set(
+      products.map((p) => idString(p.store ?? p.storeDetails)).filter(Boolean),
+    ),
+  ];
+  if (storeIds.length === 0) return [];
+  return StoreSale.find({ store: { $in: storeIds }, ...liveFilter(now) })
+    .session(session)
+    .lean();
+}
+
+/**
+ * The sale that applies to a product: the deepest discount among the live
+ * sales covering it that still have `count` units left.
+ *
+ * @returns {Object|null}
+ */
+function saleFor(product, sales, { count = 1 } = {}) {
+  let best = null;
+  for (const sale of sales) {
+    if (!covers(sale, product) || remainingUnits(sale) < count) continue;
+    if (!best || sale.discountPercent > best.discountPercent) best = sale;
+  }
+  return best;
+}
+
+/**
+ * Apply a sale to a line's regular prices.
+ *
+ * @param {{ unitPrice: number, vendorPrice: number }} prices - from
+ *   productVariants.linePrices.
+ * @param {Object|null} sale
+ * @returns {{ unitPrice: number, vendorPrice: number,
+ *   sale?: { sale, name: string, percent: number, discount: number } }}
+ *   unitPrice is the sale price; sale.discount is per unit.
+ */
+function applySale(prices, sale) {
+  if (!sale) return { ...prices };
+  // The vendor bears the discount, so it can never exceed what they are paid.
+  const discount = money.min(
+    money.percentage(prices.unitPrice, sale.discountPercent),
+    prices.vendorPrice,
+  );
+  return {
+    unitPrice: money.subtract(prices.unitPrice, discount),
+    vendorPrice: prices.vendorPrice,
+    sale: {
+      sale: sale._id,
+      name: sale.name,
+      percent: sale.discountPercent,
+      discount,
+    },
+  };
+}
+
+/** Sale summary shown on product cards and detail. */
+const saleSummary = (sale) => ({
+  _id: sale._id,
+  name: sale.name,
+  discountPercent: sale.discountPercent,
+  endsAt: sale.endsAt,
+  remaining: sale.stockCap == null ? null : remainingUnits(sale),
+});
+
+/**
+ * Add `effectivePrice` (what the buyer pays now) and `sale` to a product and
+ * to each of its variants. `listedPrice` is left as the regular price, for
+ * the struck-through figure.
+ *
+ * @param {Object} product - document or plain object
+ * @param {Array<Object>} sales - from liveSalesFor
+ * @returns {Object} plain object
+ */
+function withEffectivePrice(product, sales) {
+  const plain = typeof product.toObject === "function" ? product.toObject() : { ...product };
+  const sale = saleFor(plain, sales);
+  const effective = (source) =>
+    source.listedPrice == null
+      ? source.listedPrice
+      : applySale(
+          { unitPrice: source.listedPrice, vendorPrice: source.price ?? source.listedPrice },
+          sale,
+        ).unitPrice;
+
+  plain.effectivePrice = effective(plain);
+  plain.sale = sale ? saleSummary(sale) : null;
+  if (Array.isArray(plain.variants)) {
+    plain.variants = plain.variants.map((variant) => ({
+      ...variant,
+      effectivePrice: effective(variant),
+    }));
+  }
+  return plain;
+}
+
+/**
+ * withEffectivePrice for a list, loading the live sales once.
+ *
+ * @param {Array<Object>} products
+ * @returns {Promise<Array<Object>>}
+ */
+async function priceProducts(products, { now = new Date() } = {}) {
+  const sales = await liveSalesFor(products, { now });
+  return products.map((product) => withEffectivePrice(product, sales));
+}
+
+/**
+ * Consume sale units for checkout lines, inside the checkout transaction.
+ * The cap is enforced by the conditional update, so two buyers racing for
+ * the last units cannot both get the sale price.
+ *
+ * @param {Array<{ count: number, sale?: { sale } }>} lines
+ * @throws {Error} when a sale ended or sold out since the cart was priced.
+ */
+async function reserveSaleUnits(lines, session, { now = new Date() } = {}) {
+  const units = new Map();
+  for (const line of lines) {
+    if (!line.sale?.sale) continue;
+    const key = idString(line.sale.sale);
+    units.set(key, (units.get(key) || 0) + line.count);
+  }
+
+  for (const [saleId, count] of units) {
+    const reserved = await StoreSale.findOneAndUpdate(
+      {
+        _id: saleId,
+        ...liveFilter(now),
+        $or: [
+          { stockCap: null },
+          { $expr: { $lte: [{ $add: ["$soldCount", count] }, "$stockCap"] } },
+        ],
+      },
+      { $inc: { soldCount: count } },
+      { new: true, session },
+    );
+    if (!reserved) {
+      const line = lines.find((l) => idString(l.sale?.sale) === saleId);
+      throw new Error(
+        `The "${line.sale.name}" sale has ended or sold out. Please review your cart.`,
+      );
+    }
+  }
+}
+
+const MAX_DISCOUNT_PERCENT = 90;
+
+/**
+ * Validate and normalise a seller's sale payload.
+ *
+ * @param {Object} body - request body
+ * @param {Object} [existing] - the sale being edited; omitted on create,
+ *   where name, scope, discountPercent, startsAt and endsAt are required.
+ *   Once a sale has started only its name, end time and stock cap may change.
+ * @returns {{ data: Object } | { error: string }}
+ */
+function normalizeSaleInput(body, existing = null, { now = new Date() } = {}) {
+  const data = {};
+  const has = (key) => body[key] !== undefined;
+  const started = existing && existing.startsAt <= now;
+
+  if (started) {
+    const locked = ["products", "category", "discountPercent", "startsAt"].filter(has);
+    if (locked.length) {
+      return { error: `A sale that has started cannot change ${locked.join(", ")}` };
+    }
+  }
+
+  if (has("name") || !existing) {
+    if (typeof body.name !== "string" || !body.name.trim()) {
+      return { error: "name is required" };
+    }
+    data.name = body.name.trim();
+  }
+
+  if (has("products") || has("category") || !existing) {
+    const products = body.products || [];
+    const category = body.category || null;
+    if (!Array.isArray(products)) return { error: "products must be an array of ids" };
+    // Exactly one scope: neither would cover nothing, both is ambiguous
+    if ((products.length > 0) === Boolean(category)) {
+      return { error: "Give either a list of products or a category, not both" };
+    }
+    const ids = category ? [category] : products;
+    if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return { error: category ? "category must be an id" : "products must be an array of ids" };
+    }
+    data.products = [...new Set(products.map(String))];
+    data.category = category;
+  }
+
+  if (has("discountPercent") || !existing) {
+    const value = body.discountPercent;
+    if (typeof value !== "number" || value < 1 || value > MAX_DISCOUNT_PERCENT) {
+      return { error: `discountPercent must be between 1 and ${MAX_DISCOUNT_PERCENT}` };
+    }
+    data.discountPercent = value;
+  }
+
+  for (const key of ["startsAt", "endsAt"]) {
+    if (!has(key) && existing) continue;
+    const date = new Date(body[key]);
+    if (!body[key] || Number.isNaN(date.getTime())) return { error: `${key} must be a date` };
+    data[key] = date;
+  }
+
+  if (has("stockCap")) {
+    const value = body.stockCap;
+    if (value !== null && (!Number.isInteger(value) || value < 1)) {
+      return { error: "stockCap must be a positive integer or null" };
+    }
+    if (value !== null && existing && value < existing.soldCount) {
+      return { error: `stockCap cannot be below the ${existing.soldCount} units already sold` };
+    }
+    data.stockCap = value;
+  }
+
+  const startsAt = data.startsAt ?? existing?.startsAt;
+  const endsAt = data.endsAt ?? existing?.endsAt;
+  if (endsAt <= startsAt) return { error: "endsAt must be after startsAt" };
+  if (data.endsAt && data.endsAt <= now) return { error: "endsAt must be in the future" };
+
+  return { data };
+}
+
+module.exports = {
+  MAX_DISCOUNT_PERCENT,
+  normalizeSaleInput,
+  liveFilter,
+  liveSalesFor,
+  remainingUnits,
+  saleFor,
+  applySale,
+  withEffectivePrice,
+  priceProducts,
+  reserveSaleUnits,
+};
@@ -1,7 +1,13 @@
 /**
  * @file taskQueue.js
  * @description Centralized background task queue (BullMQ + Redis).
- *              Handles Email, Push Notifications, and Bill Payment API calls.
+ *              Handles Email, Push Notifications, and Bill Payment API calls,
+ *              plus repeating jobs: the notification digest (notifications
+ *              held back by quiet hours or digest frequency) and the
+ *              notification scheduler (scheduled notifications and campaigns),
+ *              the dispatch offer sweep (rider offers nobody answered), the
+ *              delivery SLA check (stalled deliveries), recurring bill
+ *              payments and the bill catalogue sync.
  */
 
 const { Queue, Worker } = require("bullmq");
@@ -13,6 +19,56 @@ let isAvailable = false;
 
 const QUEUE_NAME = "task-queue";
 
+// Jobs registered as BullMQ job schedulers, or run on a timer in-process when
+// Redis is unavailable.
+//   notification_digest    — held notifications go out at most 5 min late
+//   notification_scheduler — scheduled notifications at most 1 min late
+//   dispatch_offer_sweep   — unanswered rider offers move on within 15 s
+//   delivery_sla           — stalled deliveries checked every 10 min
+//   recurring_bills        — scheduled bill payments at most 15 min late
+//   bill_catalogue_sync    — bill plans and prices re-fetched every 6 h
+const REPEATING_JOBS = [
+  {
+    id: "notification-digest",
+    name: "notification_digest",
+    every: 5 * 60_000,
+    run: () => require("./notificationDigestService").flushDueNotifications(),
+  },
+  {
+    id: "notification-scheduler",
+    name: "notification_scheduler",
+    every: 60_000,
+    run: () => require("./notificationSchedulerService").runNotificationScheduler(),
+  },
+  {
+    id: "dispatch-offer-sweep",
+    name: "dispatch_offer_sweep",
+    every: 15_000,
+    run: () => require("./dispatchMatchingService").expireOffers(),
+  },
+  {
+    id: "delivery-sla",
+    name: "delivery_sla",
+    every: 10 * 60_000,
+    run: () => require("./deliverySlaService").runDeliverySla(),
+  },
+  {
+    id: "recurring-bills",
+    name: "recurring_bills",
+    every: 15 * 60_000,
+    run: () => require("./recurringBillService").runDueRecurringBills(),
+  },
+  {
+    id: "bill-catalogue-sync",
+    name: "bill_catalogue_sync",
+    every: 6 * 3600_000, // billCatalogueService.SYNC_EVERY_HOURS
+    run: () => require("./billCatalogueService").syncCatalogue(),
+  },
+];
+let fallbackTimers = [];
+
+const repeatingJob = (name) => REPEATING_JOBS.find((job) => job.name === name);
+
 /** Connection config with TLS support for Render. */
 function getConnectionConfig() {
   const url = process.env.REDIS_URL || "redis://localhost:6379";
@@ -45,6 +101,7 @@ function getConnectionConfig() {
 async function init() {
   if (process.env.TASK_QUEUE_ENABLED === "false") {
     logger.info("[TaskQueue] Disabled via TASK_QUEUE_ENABLED=false");
+    startRepeatingFallback();
     return;
   }
 
@@ -73,52 +130,61 @@ async function init() {
           }
           case "push_notification": {
             const {
-              sendNotificationToUser,
+              deliverNotification,
             } = require("./firebaseNotificationService");
-            // Pass skipQueue: true to avoid infinite recursion
-            await sendNotificationToUser(
-              data.userId,
-              data.title,
-              data.body,
-              data.data,
-              data.type,
-              true,
-            );
+            // Delivers in-process, so the job is never re-queued
+            await deliverNotification(data);
+            break;
+          }
+          case "notification_digest":
+          case "notification_scheduler":
+          case "dispatch_offer_sweep":
+          case "delivery_sla":
+          case "recurring_bills":
+          case "bill_catalogue_sync": {
+            await repeatingJob(name).run();
+            break;
+          }
+          case "scheduled_notification": {
+            const {
+              deliverScheduledNotification,
+            } = require("./notificationSchedulerService");
+            await deliverScheduledNotification(data.notificationId);
             break;
           }
           case "bill_payment_api": {
             // This handles the Step 2 & 3 of bill payment
-            const vtpass = require("./vtpassService");
+            const billProviders = require("./billProviders");
             const BillPayment = require("../models/billPaymentModel");
             const ledgerService = require("./billPaymentLedgerService");
             const mongoose = require("mongoose");
 
-            // Logic moved from controller to allow background retry
+            // Logic moved from controller to allow background retry. Jobs
+            // queued before providers were pluggable name VTpass's fields.
             const {
               requestId,
-              serviceID,
+              provider = "vtpass",
               amount,
               phone,
               billersCode,
-              variation_code,
-              userId,
-              txId,
+              quantity,
+              serviceType,
             } = data;
+            const serviceId = data.serviceId || data.serviceID;
+            const variationCode = data.variationCode || data.variation_code;
 
-            // 1. Call VTpass
-            let vtRes;
+            // 1. Call the bill's provider
+            let outcome;
             try {
-              vtRes = await vtpass.pay(
-                {
-                  request_id: requestId,
-                  serviceID,
-                  amount,
-                  phone,
-                  billersCode,
-                  variation_code,
-                },
-                `${process.env.BACKEND_URL || "https://api.wigomarket.com"}/api/bills/webhook/vtpass`,
-              );
+              outcome = await billProviders.pay(provider, serviceType, {
+                requestId,
+                serviceId,
+                amount,
+                phone,
+                billersCode,
+                variationCode,
+                quantity,
+              });
             } catch (err) {
               logger.error(
                 `[TaskQueue] Bill API failed for req ${requestId}: ${err.message}`,
@@ -128,44 +194,28 @@ async function init() {
 
             // 2. Resolve final state (wallet refund if failed)
             // Note: In worker, we can't easily access 'req' but we have all needed IDs
+            let billId;
             const session = await mongoose.startSession();
             try {
               await session.withTransaction(async () => {
                 const billRecord = await BillPayment.findOne({
                   requestId,
                 }).session(session);
-                const wallet = await Wallet.findOne({ user: userId }).session(
-                  session,
-                );
-
-                const code = vtRes?.code;
-                const deliveredStatus = vtRes?.content?.transactions?.status;
-                let finalStatus = "pending";
-                if (code === "000" && deliveredStatus === "delivered")
-                  finalStatus = "completed";
-                else if (code === "000") finalStatus = "pending";
-                else if (code === "011" || code === "016")
-                  finalStatus = "failed";
 
+                const finalStatus = outcome.status;
                 billRecord.status = finalStatus;
-                billRecord.vtpassResponse = vtRes;
+                billRecord.vtpassResponse = outcome.raw;
                 if (finalStatus === "completed")
                   billRecord.completedAt = new Date();
                 if (finalStatus === "failed") billRecord.failedAt = new Date();
 
                 // Extract extras
-                if (
-                  vtRes.content?.transactions?.token ||
-                  vtRes.purchased_code
-                ) {
-                  billRecord.deliveryToken =
-                    vtRes.content?.transactions?.token || vtRes.purchased_code;
-                }
-                if (vtRes.content?.transactions?.units) {
-                  billRecord.units = vtRes.content?.transactions?.units;
-                }
+                if (outcome.token) billRecord.deliveryToken = outcome.token;
+                if (outcome.units) billRecord.units = outcome.units;
+                if (outcome.commission) billRecord.providerCommission = outcome.commission;
 
                 await billRecord.save({ session });
+                billId = billRecord._id;
 
                 if (finalStatus === "completed") {
                   await ledgerService.completeBillTransaction(
@@ -182,30 +232,36 @@ async function init() {
             } finally {
               await session.endSession();
             }
+            await require("./educationPinService").emailPins({ _id: billId });
             break;
           }
           case "bill_payment_webhook": {
             const BillPayment = require("../models/billPaymentModel");
             const ledgerService = require("./billPaymentLedgerService");
-            const vtpass = require("./vtpassService");
+            const billProviders = require("./billProviders");
             const mongoose = require("mongoose");
 
-            const { requestId } = data;
+            const { requestId, provider = "vtpass" } = data;
             const bill = await BillPayment.findOne({ requestId });
 
             // 1. Initial sanity check
             if (
               !bill ||
+              bill.provider !== provider ||
               bill.status === "completed" ||
               bill.status === "refunded" ||
               bill.status === "failed"
             )
               return;
 
-            // 2. ZERO TRUST: Requery VTpass to verify the webhook payload
-            let vtRes;
+            // 2. ZERO TRUST: Requery the provider to verify the webhook payload
+            let outcome;
             try {
-              vtRes = await vtpass.requeryTransaction(requestId);
+              outcome = await billProviders.requery(
+                bill.provider,
+                bill.serviceType,
+                requestId,
+              );
             } catch (err) {
               logger.error(
                 `[TaskQueue] Webhook requery failed for ${requestId}: ${err.message}`,
@@ -213,38 +269,30 @@ async function init() {
               throw err; // retry
             }
 
-            const code = vtRes?.code;
-            const status = vtRes?.content?.transactions?.status;
-
             // 3. Process the verified status
             const session = await mongoose.startSession();
             try {
               await session.withTransaction(async () => {
-                let finalStatus = "pending";
-                if (
-                  code === "000" &&
-                  (status === "delivered" || status === "successful")
-                ) {
-                  finalStatus = "completed";
-                } else if (code === "016" || code === "011") {
-                  finalStatus = "failed";
-                }
-
-                if (finalStatus === "completed") {
+                if (outcome.status === "completed") {
                   bill.status = "completed";
                   bill.completedAt = new Date();
-                  bill.vtpassResponse = vtRes;
-                  bill.deliveryToken =
-                    vtRes.content?.transactions?.token || vtRes.purchased_code;
+                  bill.vtpassResponse = outcome.raw;
+                  if (outcome.token) bill.deliveryToken = outcome.token;
+                  if (outcome.units) bill.units = outcome.units;
+                  if (outcome.commission) bill.providerCommission = outcome.commission;
                   await bill.save({ session });
                   await ledgerService.completeBillTransaction(bill, session);
-                } else if (finalStatus === "failed") {
+                } else if (outcome.status === "failed") {
+                  bill.status = "failed";
+                  bill.failedAt = new Date();
+                  await bill.save({ session });
                   await ledgerService.refundBillTransaction(bill, session);
                 }
               });
             } finally {
               await session.endSession();
             }
+            await require("./educationPinService").emailPins(bill);
             break;
           }
           default:
@@ -261,19 +309,45 @@ async function init() {
     });
 
     await taskQueue.waitUntilReady();
+    // Upserted, so every instance can register them without duplicates
+    for (const job of REPEATING_JOBS) {
+      await taskQueue.upsertJobScheduler(
+        job.id,
+        { every: job.every },
+        { name: job.name },
+      );
+    }
     isAvailable = true;
     logger.info("[TaskQueue] Ready (BullMQ + Redis)");
   } catch (err) {
     logger.warn(`[TaskQueue] Init failed, using fallback: ${err.message}`);
     isAvailable = false;
+    startRepeatingFallback();
   }
 }
 
-/** Enqueue a job with automatic fallback to setImmediate. */
-async function enqueue(name, data) {
+/** Without Redis, run the repeating jobs from this process instead. */
+function startRepeatingFallback() {
+  if (fallbackTimers.length) return;
+  fallbackTimers = REPEATING_JOBS.map((job) => {
+    const timer = setInterval(() => {
+      job.run().catch((err) =>
+        logger.error(`[TaskQueue] ${job.name} failed: ${err.message}`),
+      );
+    }, job.every);
+    timer.unref();
+    return timer;
+  });
+}
+
+/**
+ * Enqueue a job with automatic fallback to setImmediate.
+ * @param {Object} [opts] - BullMQ job options (e.g. delay); ignored by the fallback.
+ */
+async function enqueue(name, data, opts) {
   if (isAvailable && taskQueue) {
     try {
-      await taskQueue.add(name, data);
+      await taskQueue.add(name, data, opts);
       return true;
     } catch (err) {
       logger.error(`[TaskQueue] Enqueue failed: ${err.message}`);
@@ -289,13 +363,10 @@ async function enqueue(name, data) {
       if (name === "email") {
         require("../controllers/emailController")(data);
       } else if (name === "push_notification") {
-        require("./firebaseNotificationService").sendNotificationToUser(
-          data.userId,
-          data.title,
-          data.body,
-          data.data,
-          data.type,
-          true,
+        await require("./firebaseNotificationService").deliverNotification(data);
+      } else if (name === "scheduled_notification") {
+        await require("./notificationSchedulerService").deliverScheduledNotification(
+          data.notificationId,
         );
       }
       // Bill payment is harder to fallback in-process during a crash,
@@ -308,6 +379,8 @@ async function enqueue(name, data) {
 }
 
 async function close() {
+  fallbackTimers.forEach(clearInterval);
+  fallbackTimers = [];
   if (taskWorker) await taskWorker.close();
   if (taskQueue) await taskQueue.close();
   isAvailable = false;
@@ -0,0 +1,164 @@
+/**
+ * @file transferWebhookProcessor.js
+ * @description Processes a verified Flutterwave transfer webhook: the outcome
+ * of the bank transfer started when an admin approved a withdrawal.
+ *
+ * Called by:
+ *   - The BullMQ worker in paymentQueue.js  (when Redis is available)
+ *   - A setImmediate fallback in paymentQueue.js  (when Redis is unavailable),
+ *     which retries on a timer the way BullMQ would
+ *
+ * SUCCESSFUL marks the wallet_withdrawal transaction completed; FAILED marks
+ * it failed, refunds the amount and fee to the wallet and reverses its
+ * withdrawal stats (see services/withdrawalService.js). Either way the user
+ * is emailed.
+ *
+ * IDEMPOTENCY: the transaction is settled by an update conditional on it
+ * still being `processing`, so repeated deliveries for the same transfer
+ * reference are no-ops.
+ */
+
+const mongoose = require("mongoose");
+const Transaction = require("../models/transactionModel");
+const audit = require("./auditService");
+const money = require("../utils/money");
+const {
+  refundWithdrawal,
+  emailWithdrawalOutcome,
+  withdrawalOwner,
+} = require("./withdrawalService");
+
+const FINAL_STATUSES = ["SUCCESSFUL", "FAILED"];
+
+/**
+ * Process a Flutterwave transfer webhook payload.
+ *
+ * @param {Object} payload   - Raw Flutterwave webhook body (already signature-verified).
+ * @param {string} sourceIp  - IP address from the original request (for audit logs).
+ * @returns {Promise<void>}
+ */
+async function processTransferWebhook(payload, sourceIp = "webhook") {
+  if (payload.event !== "transfer.completed") return;
+
+  const data = payload.data || {};
+  const status = String(data.status || "").toUpperCase();
+  if (!data.reference || !FINAL_STATUSES.includes(status)) return;
+
+  const reference = data.reference;
+  const withdrawalFilter = {
+    type: "wallet_withdrawal",
+    $or: [
+      { "metadata.transfer.reference": reference },
+      // The reference is derived from the transaction ID, so a webhook that
+      // beats the approval's commit can still be matched.
+      { transactionId: reference.replace(/^WD_/, "") },
+    ],
+  };
+
+  const txn = await Transaction.findOne(withdrawalFilter);
+  if (!txn) {
+    console.error(`[TransferWebhook] No withdrawal for reference: ${reference}`);
+    return;
+  }
+  const resource = { type: "transaction", id: txn._id, displayName: txn.transactionId };
+
+  if (txn.status === "pending") {
+    // Approval is still committing; throw so the queue retries shortly
+    throw new Error(`Withdrawal ${txn.transactionId} is not awaiting a transfer yet`);
+  }
+  if (txn.status !== "processing") {
+    console.log(
+      `[TransferWebhook] Withdrawal ${txn.transactionId} already ${txn.status} — skipping`,
+    );
+    return;
+  }
+
+  if (status === "SUCCESSFUL" && !money.equals(data.amount, txn.totalAmount)) {
+    // Left in processing for an admin to reconcile
+    audit.error({
+      action: "wallet.withdrawal_transfer_amount_mismatch",
+      actor: { userId: null, role: "system", ip: sourceIp },
+      resource,
+      metadata: { expected: txn.totalAmount, got: data.amount, reference },
+    });
+    return;
+  }
+
+  const session = await mongoose.startSession();
+  let settled = null;
+  try {
+    await session.withTransaction(async () => {
+      settled = null;
+      const failed = status === "FAILED";
+      const reason = data.complete_message || "no reason given";
+
+      // Conditional on `processing`: a concurrent delivery finds nothing to do
+      const current = await Transaction.findOneAndUpdate(
+        { ...withdrawalFilter, status: "processing" },
+        {
+          $set: {
+            status: failed ? "failed" : "completed",
+            "metadata.transfer.reference": reference,
+            "metadata.transfer.id": String(data.id),
+            "metadata.transfer.status": status,
+            "metadata.transfer.message": data.complete_message,
+            "metadata.transfer.completedAt": new Date(),
+            "metadata.notes": failed
+              ? `Transfer failed: ${reason}`
+              : "Withdrawal paid out via Flutterwave",
+          },
+        },
+        { new: true, session },
+      );
+      if (!current) return;
+
+      const refund = failed
+        ? await refundWithdrawal(current, { note: `Refund for failed transfer: ${reason}` }, session)
+        : {};
+      settled = { txn: current, ...refund };
+    });
+  } catch (err) {
+    console.error("[TransferWebhook] Failed:", err.message);
+    audit.error({
+      action: "wallet.withdrawal_webhook_failed",
+      actor: { userId: null, role: "system", ip: sourceIp },
+      resource,
+      metadata: { error: err.message, reference, status },
+    });
+    throw err; // Re-throw so BullMQ can schedule a retry
+  } finally {
+    await session.endSession();
+  }
+  if (!settled) return;
+
+  audit.log({
+    action:
+      status === "SUCCESSFUL" ? "wallet.withdrawal_completed" : "wallet.withdrawal_failed",
+    actor: { userId: null, role: "system", ip: sourceIp },
+    resource,
+    changes: {
+      before: { status: "processing" },
+      after: {
+        status: settled.txn.status,
+        ...(settled.refundAmount && {
+          refundAmount: settled.refundAmount,
+          reversalTransactionId: settled.reversalTransactionId,
+        }),
+      },
+    },
+    metadata: {
+      reference,
+      flutterwaveTransferId: data.id,
+      userId: withdrawalOwner(settled.txn),
+      message: data.complete_message,
+    },
+  });
+
+  try {
+    await emailWithdrawalOutcome(settled.txn, settled);
+  } catch (err) {
+    console.error("[TransferWebhook] Withdrawal email failed:", err.message);
+  }
+}
+
+module.exports = { processTransferWebhook };
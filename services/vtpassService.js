@@ -63,9 +63,9 @@ async function getServiceVariations(serviceID) {
 }
 
 /**
- * Verify a meter number (electricity) or smart card (cable TV).
+ * Verify a meter number (electricity), smart card (cable TV) or JAMB profile ID.
  * @param {string} serviceID
- * @param {string} billersCode  - meter number or smartcard number
+ * @param {string} billersCode  - meter number, smartcard number or profile ID
  * @param {string} type         - "prepaid" | "postpaid" | variation_code
  */
 async function verifyMerchant(serviceID, billersCode, type) {
@@ -138,6 +138,14 @@ const CABLE_TV_PROVIDERS = {
   showmax: "showmax",
 };
 
+// JAMB registration (profile ID verified first) and WAEC result checker /
+// registration PINs
+const EDUCATION_SERVICES = {
+  jamb: "jamb",
+  waec: "waec",
+  "waec-registration": "waec-registration",
+};
+
 module.exports = {
   makeVTpassRequest,
   getServiceVariations,
@@ -148,5 +156,6 @@ module.exports = {
   DATA_NETWORKS,
   ELECTRICITY_PROVIDERS,
   CABLE_TV_PROVIDERS,
+  EDUCATION_SERVICES,
   BASE_URL,
 };
@@ -0,0 +1,80 @@
+/**
+ * @file walletPinService.js
+ * @description Checks a wallet's withdrawal PIN before money leaves it, for
+ * withdrawals and wallet-to-wallet transfers alike. Five wrong PINs lock the
+ * wallet's PIN for 30 minutes.
+ */
+
+const bcrypt = require("bcrypt");
+const Wallet = require("../models/walletModel");
+const audit = require("./auditService");
+
+const MAX_PIN_ATTEMPTS = 5;
+const LOCKOUT_MINUTES = 30;
+
+/**
+ * Verify the user's withdrawal PIN, counting failed attempts. Runs outside
+ * any session: a failed attempt must be recorded even though the request is
+ * refused.
+ *
+ * @param {string} userId
+ * @param {string} pin
+ * @param {Object} options
+ * @param {Object} [options.actor] - audit actor
+ * @param {string} options.action - audit action for a wrong PIN
+ * @param {Object} [options.metadata] - logged with a wrong PIN
+ * @returns {Promise<{ wallet: Object } | { status: number, message: string }>}
+ */
+async function verifyWalletPin(userId, pin, { actor, action, metadata } = {}) {
+  if (!pin) {
+    return { status: 400, message: "Withdrawal PIN is required" };
+  }
+
+  const wallet = await Wallet.findOne({ user: userId }).select("+withdrawalPin.hash");
+  if (!wallet) {
+    return { status: 404, message: "Wallet not found" };
+  }
+  if (!wallet.withdrawalPin?.hash) {
+    return {
+      status: 400,
+      message: "Withdrawal PIN not set. Please create a PIN first.",
+    };
+  }
+
+  const lockoutExpiry = wallet.withdrawalPin.attempts?.lockedUntil;
+  if (lockoutExpiry && lockoutExpiry > new Date()) {
+    const minutesLeft = Math.ceil((lockoutExpiry - new Date()) / (1000 * 60));
+    return {
+      status: 429,
+      message: `Too many failed PIN attempts. Try again in ${minutesLeft} minute(s).`,
+    };
+  }
+
+  const pinValid = await bcrypt.compare(String(pin), wallet.withdrawalPin.hash);
+  if (!pinValid) {
+    wallet.withdrawalPin.attempts.count = (wallet.withdrawalPin.attempts.count || 0) + 1;
+    if (wallet.withdrawalPin.attempts.count >= MAX_PIN_ATTEMPTS) {
+      wallet.withdrawalPin.attempts.lockedUntil = new Date(
+        Date.now() + LOCKOUT_MINUTES * 60 * 1000,
+      );
+      wallet.withdrawalPin.attempts.count = 0;
+    }
+    await wallet.save();
+
+    audit.error({
+      action,
+      actor,
+      resource: { type: "wallet", id: wallet._id },
+      metadata,
+    });
+    return { status: 401, message: "Incorrect withdrawal PIN" };
+  }
+
+  // Reset failed attempts on success
+  wallet.withdrawalPin.attempts = { count: 0, lockedUntil: null };
+  await wallet.save();
+
+  return { wallet };
+}
+
+module.exports = { verifyWalletPin };
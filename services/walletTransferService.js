@@ -0,0 +1,248 @@
+/**
+ * @file walletTransferService.js
+ * @description Wallet-to-wallet transfers between platform users, e.g. a
+ * seller paying a rider for an off-platform errand.
+ *
+ * The sender finds the recipient by phone number or email, and confirms with
+ * their withdrawal PIN (walletPinService). The money moves in one MongoDB
+ * session: the sender's wallet is debited against its daily transfer limit
+ * (walletModel limits.dailyTransfer), the recipient's credited, and a
+ * `wallet_transfer` Transaction posted with one entry per wallet. A recipient
+ * without a wallet gets one.
+ */
+
+const mongoose = require("mongoose");
+const User = require("../models/userModel");
+const Wallet = require("../models/walletModel");
+const Transaction = require("../models/transactionModel");
+const { Validate } = require("../Helpers/Validate");
+const { MakeID } = require("../Helpers/Helpers");
+const money = require("../utils/money");
+
+const MAX_NOTE_LENGTH = 140;
+const MAX_REFERENCE_LENGTH = 64;
+
+class WalletTransferError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "WalletTransferError";
+    this.statusCode = statusCode;
+  }
+}
+
+const RECIPIENT_FIELDS = "fullName firstname lastname email mobile image status isBlocked";
+
+const displayName = (user) =>
+  user.fullName ||
+  [user.firstname, user.lastname].filter(Boolean).join(" ") ||
+  "WigoMarket user";
+
+// Enough of a phone number or email for the sender to recognise, not to harvest
+const maskPhone = (mobile) =>
+  mobile
+    ? `${mobile.slice(0, 4)}${"*".repeat(Math.max(0, mobile.length - 6))}${mobile.slice(-2)}`
+    : null;
+const maskEmail = (email) => {
+  if (!email) return null;
+  const [name, domain] = email.split("@");
+  return `${name.slice(0, 2)}${"*".repeat(Math.max(1, name.length - 2))}@${domain}`;
+};
+
+/** The recipient as shown to the sender before they confirm. */
+const describeRecipient = (user) => ({
+  _id: user._id,
+  name: displayName(user),
+  mobile: maskPhone(user.mobile),
+  email: maskEmail(user.email),
+  image: user.image || null,
+});
+
+/**
+ * Find who a transfer is for by their phone number or email.
+ *
+ * @param {string} identifier - email, or phone number in any local format
+ * @returns {Promise<{ user: Object } | { error: string, notFound?: boolean }>}
+ */
+async function findRecipient(identifier) {
+  if (!Validate.string(identifier)) {
+    return { error: "Enter the recipient's phone number or email" };
+  }
+  const value = identifier.trim();
+
+  let user;
+  if (value.includes("@")) {
+    if (!Validate.email(value)) return { error: "That email address is not valid" };
+    user = await User.findOne({ email: value })
+      .collation({ locale: "en", strength: 2 })
+      .select(RECIPIENT_FIELDS);
+  } else {
+    const mobile = Validate.formatPhone(value);
+    if (!Validate.phone(mobile)) return { error: "That phone number is not valid" };
+    user = await User.findOne({ mobile }).select(RECIPIENT_FIELDS);
+  }
+
+  if (!user) {
+    return { error: "No WigoMarket user has that phone number or email", notFound: true };
+  }
+  if (user.isBlocked || user.status === "blocked") {
+    return { error: "This user can't receive transfers" };
+  }
+  return { user };
+}
+
+/**
+ * Check a transfer request's amount, note and client reference.
+ *
+ * @param {Object} body - { amount, note?, reference? }
+ * @returns {{ amount: number, note?: string, reference?: string } | { error: string }}
+ */
+function validateTransfer({ amount, note, reference } = {}) {
+  if (typeof amount !== "number" || !Number.isFinite(amount) || amount <= 0) {
+    return { error: "amount must be a positive number" };
+  }
+  if (money.round(amount) !== amount) {
+    return { error: "amount can't have more than 2 decimal places" };
+  }
+  if (note !== undefined && typeof note !== "string") {
+    return { error: "note must be text" };
+  }
+  const trimmed = (note || "").trim();
+  if (trimmed.length > MAX_NOTE_LENGTH) {
+    return { error: `note must be at most ${MAX_NOTE_LENGTH} characters` };
+  }
+  if (
+    reference !== undefined &&
+    (!Validate.string(reference) || reference.length > MAX_REFERENCE_LENGTH)
+  ) {
+    return { error: `reference must be text of at most ${MAX_REFERENCE_LENGTH} characters` };
+  }
+  return { amount, note: trimmed || undefined, reference };
+}
+
+/**
+ * Move money from the sender's wallet to the recipient's.
+ *
+ * @param {Object} options
+ * @param {Object} options.sender - User (_id and name fields)
+ * @param {Object} options.recipient - User, from findRecipient
+ * @param {number} options.amount - from validateTransfer
+ * @param {string} [options.note]
+ * @param {string} [options.reference] - the client's id for the transfer; a
+ *   repeat is refused instead of sending twice
+ * @returns {Promise<{ transaction: Object, balance: number, allowanceLeft: number }>}
+ * @throws {WalletTransferError} when the sender can't send it
+ */
+async function transfer({ sender, recipient, amount, note, reference }) {
+  if (String(sender._id) === String(recipient._id)) {
+    throw new WalletTransferError("You can't send money to yourself");
+  }
+
+  const session = await mongoose.startSession();
+  let result;
+  try {
+    await session.withTransaction(async () => {
+      const senderWallet = await Wallet.findOne({ user: sender._id }).session(session);
+      if (!senderWallet) {
+        throw new WalletTransferError("Wallet not found", 404);
+      }
+      if (senderWallet.status !== "active") {
+        throw new WalletTransferError("Your wallet is not active");
+      }
+      const spendable = money.subtract(
+        senderWallet.balance,
+        senderWallet.limits.minimumBalance || 0,
+      );
+      if (money.lt(spendable, amount)) {
+        throw new WalletTransferError(
+          `Insufficient wallet balance. Available: ₦${senderWallet.balance}, Required: ₦${amount}`,
+        );
+      }
+      const allowance = senderWallet.transferAllowance();
+      if (money.lt(allowance, amount)) {
+        throw new WalletTransferError(
+          `That is over your daily transfer limit. You can send ₦${allowance} more today.`,
+        );
+      }
+
+      let recipientWallet = await Wallet.findOne({ user: recipient._id }).session(session);
+      if (!recipientWallet) {
+        [recipientWallet] = await Wallet.create([{ user: recipient._id, balance: 0 }], {
+          session,
+        });
+      }
+      if (recipientWallet.status !== "active") {
+        throw new WalletTransferError("This user can't receive transfers right now");
+      }
+
+      await senderWallet.deductFunds(amount, "transfer", session);
+      await recipientWallet.creditEarning(amount, session, false);
+
+      const transactionId = `P2P_${Date.now()}_${MakeID(16)}`;
+      const transaction = await Transaction.createTransaction(
+        {
+          transactionId,
+          reference: `Transfer-${transactionId}`,
+          type: "wallet_transfer",
+          totalAmount: amount,
+          entries: [
+            {
+              account: "wallet_vendor",
+              userId: sender._id,
+              debit: amount,
+              credit: 0,
+              description: `Transfer to ${displayName(recipient)}`,
+            },
+            {
+              account: "wallet_vendor",
+              userId: recipient._id,
+              debit: 0,
+              credit: amount,
+              description: `Transfer from ${displayName(sender)}`,
+            },
+          ],
+          relatedEntity: { type: "transfer", id: recipientWallet._id },
+          status: "completed",
+          audit: { createdBy: sender._id },
+          metadata: {
+            paymentMethod: "wallet",
+            notes: note,
+            // A retried request with the same reference hits the unique index
+            ...(reference && { externalEventId: `P2P_${sender._id}_${reference}` }),
+          },
+        },
+        session,
+      );
+
+      result = {
+        transaction,
+        senderWalletId: senderWallet._id,
+        recipientWalletId: recipientWallet._id,
+        balance: senderWallet.balance,
+        allowanceLeft: money.subtract(allowance, amount),
+      };
+    });
+  } catch (error) {
+    if (error.code === 11000 && reference) {
+      throw new WalletTransferError("This transfer has already been sent", 409);
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+  return result;
+}
+
+/** The sender and recipient of a wallet_transfer Transaction. */
+const transferParties = (txn) => ({
+  sender: txn.entries.find((e) => e.debit > 0)?.userId,
+  recipient: txn.entries.find((e) => e.credit > 0)?.userId,
+});
+
+module.exports = {
+  WalletTransferError,
+  describeRecipient,
+  findRecipient,
+  validateTransfer,
+  transfer,
+  transferParties,
+};
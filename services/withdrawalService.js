@@ -0,0 +1,241 @@
+/**
+ * @file withdrawalService.js
+ * @description Settling wallet withdrawals once their outcome is known.
+ *
+ * A withdrawal is deducted from the wallet when it is requested (pending),
+ * sent to the bank by a Flutterwave transfer when an admin approves it
+ * (processing), and settled by the transfer webhook (completed or failed).
+ * An admin rejection or a failed transfer both hand the money back through
+ * refundWithdrawal. Automatic payouts (services/autoPayoutService.js) take the
+ * same path, initiating the transfer themselves instead of waiting for an admin.
+ */
+
+const Transaction = require("../models/transactionModel");
+const Wallet = require("../models/walletModel");
+const User = require("../models/userModel");
+const { MakeID } = require("../Helpers/Helpers");
+const { getFlutterwaveInstance } = require("../config/flutterwaveClient");
+const money = require("../utils/money");
+
+/** Flutterwave transfer reference for a withdrawal transaction. */
+const transferReference = (transactionId) => `WD_${transactionId}`;
+
+/** The user whose wallet a withdrawal transaction debits. */
+const withdrawalOwner = (txn) =>
+  txn.entries.find((e) => e.account === "wallet_vendor")?.userId;
+
+/** The fee charged on top of a withdrawal. */
+const withdrawalFee = (txn) =>
+  txn.entries.find((e) => e.account === "bank_transfer_fees")?.debit || 0;
+
+/** The fee on a withdrawal of `amount`: 1%, floored at ₦100. */
+const feeForWithdrawal = (amount) => money.max(money.percentage(amount, 1), 100);
+
+/**
+ * Deduct a withdrawal and its fee from the wallet and book it as a pending
+ * wallet_withdrawal to the default bank account. Runs inside the caller's
+ * session; the balance and the withdrawal limits are enforced atomically by
+ * wallet.deductFunds.
+ *
+ * @param {Object} wallet - session-bound Wallet with a default bank account
+ * @param {number} amount - what reaches the bank, fee excluded
+ * @param {Object} [options]
+ * @param {string} [options.notes]
+ * @param {string[]} [options.tags] - e.g. ["auto_payout"]
+ * @param {mongoose.ClientSession} session
+ * @returns {Promise<{ transaction: Object, fee: number, totalDeduction: number }>}
+ */
+async function createWithdrawal(wallet, amount, { notes, tags } = {}, session) {
+  const bank = wallet.defaultBankAccount;
+  const fee = feeForWithdrawal(amount);
+  const totalDeduction = money.add(amount, fee);
+
+  await wallet.deductFunds(totalDeduction, "withdrawal", session);
+
+  const transactionId = `WD_${Date.now()}_${MakeID(16)}`;
+  const transaction = await Transaction.createTransaction(
+    {
+      transactionId,
+      reference: `Withdrawal-${transactionId}`,
+      type: "wallet_withdrawal",
+      totalAmount: amount,
+      entries: [
+        {
+          account: "accounts_payable",
+          userId: wallet.user,
+          debit: amount,
+          credit: 0,
+          description: `Withdrawal to ${bank.bankName}`,
+        },
+        {
+          account: "wallet_vendor",
+          userId: wallet.user,
+          debit: 0,
+          credit: amount,
+          description: "Wallet withdrawal",
+        },
+        {
+          account: "bank_transfer_fees",
+          userId: wallet.user,
+          debit: fee,
+          credit: 0,
+          description: "Withdrawal processing fee",
+        },
+        {
+          account: "wallet_vendor",
+          userId: wallet.user,
+          debit: 0,
+          credit: fee,
+          description: "Fee deduction",
+        },
+      ],
+      relatedEntity: { type: "withdrawal", id: wallet._id },
+      status: "pending",
+      metadata: {
+        paymentMethod: "bank_transfer",
+        bankReference: `****${bank.accountNumber.slice(-4)}`,
+        notes: notes || `Withdrawal request for ${amount} NGN`,
+        ...(tags && { tags }),
+      },
+    },
+    session,
+  );
+
+  return { transaction, fee, totalDeduction };
+}
+
+/**
+ * Send a pending withdrawal to the bank by Flutterwave transfer. Call it
+ * outside any MongoDB session; the transfer webhook settles the withdrawal.
+ *
+ * @param {Object} txn - the pending wallet_withdrawal Transaction
+ * @param {Object} bank - the wallet's default bank account
+ * @returns {Promise<Object>} Flutterwave's response; `status` is "success"
+ *   when the transfer was accepted
+ */
+function initiateWithdrawalTransfer(txn, bank) {
+  return getFlutterwaveInstance().Transfer.initiate({
+    account_bank: bank.bankCode,
+    account_number: bank.accountNumber,
+    amount: txn.totalAmount,
+    narration: `Withdrawal from WigoMarket wallet - ${txn.transactionId}`,
+    currency: "NGN",
+    reference: transferReference(txn.transactionId),
+    callback_url: `${process.env.API_URL}/api/webhooks/transfer`,
+    debit_currency: "NGN",
+  });
+}
+
+/** The withdrawal fields to $set once Flutterwave has accepted its transfer. */
+const acceptedTransferFields = (response) => ({
+  "metadata.externalTransactionId": String(response.data.id),
+  "metadata.transfer.reference": response.data.reference,
+  "metadata.transfer.id": String(response.data.id),
+  "metadata.transfer.status": response.data.status,
+});
+
+/**
+ * Return a withdrawal's amount and fee to the wallet, reverse its withdrawal
+ * stats, and book the refund in the ledger. Runs inside the caller's session,
+ * after the caller has moved `txn` to its final status.
+ *
+ * @param {Object} txn - the wallet_withdrawal Transaction (session-bound)
+ * @param {Object} options
+ * @param {string} options.note - why the money is being returned
+ * @param {mongoose.ClientSession} session
+ * @returns {Promise<{ refundAmount: number, reversalTransactionId: string }>}
+ */
+async function refundWithdrawal(txn, { note }, session) {
+  const userId = withdrawalOwner(txn);
+  const wallet = await Wallet.findOne({ user: userId }).session(session);
+  if (!wallet) throw new Error("User wallet not found");
+
+  const refundAmount = money.add(txn.totalAmount, withdrawalFee(txn));
+  await wallet.refundWithdrawal(refundAmount, txn.createdAt, session);
+
+  const reversalTransactionId = `REV_${Date.now()}_${MakeID(16)}`;
+  await Transaction.createTransaction(
+    {
+      transactionId: reversalTransactionId,
+      reference: `Reversal-${txn.transactionId}`,
+      type: "wallet_deposit",
+      totalAmount: refundAmount,
+      entries: [
+        {
+          account: "wallet_vendor",
+          userId,
+          debit: 0,
+          credit: refundAmount,
+          description: `Refund for withdrawal ${txn.transactionId}`,
+        },
+        {
+          account: "cash_account",
+          userId,
+          debit: refundAmount,
+          credit: 0,
+          description: "Refund payment",
+        },
+      ],
+      relatedEntity: { type: "withdrawal", id: txn._id },
+      status: "completed",
+      metadata: {
+        paymentMethod: "refund",
+        notes: note,
+        originalTransactionId: txn.transactionId,
+      },
+    },
+    session,
+  );
+
+  return { refundAmount, reversalTransactionId };
+}
+
+/**
+ * Email the owner of a settled withdrawal: a receipt when the transfer went
+ * through, or a notice that it failed and was refunded.
+ */
+async function emailWithdrawalOutcome(txn, { refundAmount } = {}) {
+  const sendEmail = require("../controllers/emailController");
+  const { withdrawalReceiptTemplate, withdrawalFailedTemplate } = require("../templates/Emails");
+
+  const user = await User.findById(withdrawalOwner(txn)).select("firstname fullName email");
+  if (!user?.email) return;
+
+  const details = {
+    transactionId: txn.transactionId,
+    amount: txn.totalAmount,
+    fee: withdrawalFee(txn),
+    bankReference: txn.metadata?.bankReference,
+    transferReference: txn.metadata?.transfer?.reference,
+    date: txn.metadata?.transfer?.completedAt || new Date(),
+  };
+  const name = user.firstname || user.fullName || "there";
+
+  const completed = txn.status === "completed";
+  await sendEmail(
+    {
+      to: user.email,
+      subject: completed ? "Your withdrawal receipt" : "Your withdrawal failed",
+      htm: completed
+        ? withdrawalReceiptTemplate(name, details)
+        : withdrawalFailedTemplate(name, {
+            ...details,
+            refundAmount,
+            reason: txn.metadata?.transfer?.message,
+          }),
+    },
+    true,
+  );
+}
+
+module.exports = {
+  transferReference,
+  withdrawalOwner,
+  withdrawalFee,
+  feeForWithdrawal,
+  createWithdrawal,
+  initiateWithdrawalTransfer,
+  acceptedTransferFields,
+  refundWithdrawal,
+  emailWithdrawalOutcome,
+};
@@ -100,4 +100,55 @@ Welcome to WigoMarket! We are thrilled to have you as part of our vibrant commun
     `;
 };
 
-module.exports = { welcome, storeAccountUpdateSuccessTemplate, storeCreationSuccessTemplate, forgotPasswordTemplate, verificationCodeTemplate, withdrawalPinResetTemplate }
\ No newline at end of file
+// Withdrawal Receipt Template
+ const withdrawalReceiptTemplate = (firstname, details) => {
+    return `
+        <div>
+            <h1>Hello ${firstname},</h1>
+            <p>Your withdrawal has been paid into your bank account.</p>
+            <ul>
+                <li><strong>Amount:</strong> ₦${details.amount.toLocaleString()}</li>
+                <li><strong>Fee:</strong> ₦${details.fee.toLocaleString()}</li>
+                <li><strong>Bank account:</strong> ${details.bankReference || "Default account"}</li>
+                <li><strong>Transaction ID:</strong> ${details.transactionId}</li>
+                <li><strong>Transfer reference:</strong> ${details.transferReference}</li>
+                <li><strong>Date:</strong> ${new Date(details.date).toUTCString()}</li>
+            </ul>
+            <p>Keep this email as your receipt.</p>
+            <p>Thank you for using WigoMarket!</p>
+        </div>
+    `;
+};
+
+
+// Withdrawal Failed Template
+ const withdrawalFailedTemplate = (firstname, details) => {
+    return `
+        <div>
+            <h1>Hello ${firstname},</h1>
+            <p>Your withdrawal of <strong>₦${details.amount.toLocaleString()}</strong> could not be paid into your bank account${details.reason ? `: ${details.reason}` : "."}</p>
+            <p>₦${details.refundAmount.toLocaleString()}, including the fee, has been returned to your wallet and no longer counts towards your withdrawal limits.</p>
+            <p>Please check your bank details and try again. Transaction ID: ${details.transactionId}.</p>
+            <p>Thank you for using WigoMarket!</p>
+        </div>
+    `;
+};
+
+// JAMB/WAEC PIN Template
+ const educationPinTemplate = (firstname, details) => {
+    const pins = details.pins
+        .map((card) => `<li><strong>PIN:</strong> ${card.pin}${card.serial ? ` &nbsp; <strong>Serial:</strong> ${card.serial}` : ""}</li>`)
+        .join("");
+    return `
+        <div>
+            <h1>Hello ${firstname},</h1>
+            <p>Your ${details.exam} ${details.product || "PIN"} purchase was successful${details.candidate ? ` for <strong>${details.candidate}</strong>` : ""}.</p>
+            <ul>${pins}</ul>
+            <p>Request ID: ${details.requestId}.</p>
+            <p>Keep this PIN private. Anyone who has it can use it, and WigoMarket staff will never ask you for it.</p>
+            <p>Thank you for using WigoMarket!</p>
+        </div>
+    `;
+};
+
+module.exports = { welcome, storeAccountUpdateSuccessTemplate, storeCreationSuccessTemplate, forgotPasswordTemplate, verificationCodeTemplate, withdrawalPinResetTemplate, withdrawalReceiptTemplate, withdrawalFailedTemplate, educationPinTemplate }
\ No newline at end of file
@@ -0,0 +1,428 @@
+/**
+ * @file notifications.js
+ * @description Push/email notification copy in every language a user can pick
+ *   in their notification preferences (en, fr, es, pt, ar, sw).
+ *
+ * Each template has a title and body per language, with {{placeholders}}
+ * filled from the vars passed at send time. A language missing from a
+ * template falls back to English, so adding a template only requires `en`.
+ */
+
+const DEFAULT_LANGUAGE = "en";
+
+const TEMPLATES = {
+  order_created_delivery: {
+    en: {
+      title: "Order Created Successfully",
+      body: "Your order #{{orderNumber}} has been created. Waiting for delivery agent assignment.",
+    },
+    fr: {
+      title: "Commande créée avec succès",
+      body: "Votre commande n°{{orderNumber}} a été créée. En attente d'un livreur.",
+    },
+    es: {
+      title: "Pedido creado con éxito",
+      body: "Tu pedido #{{orderNumber}} ha sido creado. Esperando la asignación de un repartidor.",
+    },
+    pt: {
+      title: "Pedido criado com sucesso",
+      body: "O seu pedido #{{orderNumber}} foi criado. A aguardar a atribuição de um estafeta.",
+    },
+    ar: {
+      title: "تم إنشاء الطلب بنجاح",
+      body: "تم إنشاء طلبك رقم {{orderNumber}}. في انتظار تعيين مندوب توصيل.",
+    },
+    sw: {
+      title: "Oda imeundwa",
+      body: "Oda yako #{{orderNumber}} imeundwa. Inasubiri kupangiwa msafirishaji.",
+    },
+  },
+
+  order_created_pickup: {
+    en: {
+      title: "Order Created Successfully",
+      body: "Your order #{{orderNumber}} has been created. Ready for pickup.",
+    },
+    fr: {
+      title: "Commande créée avec succès",
+      body: "Votre commande n°{{orderNumber}} a été créée. Prête à être retirée.",
+    },
+    es: {
+      title: "Pedido creado con éxito",
+      body: "Tu pedido #{{orderNumber}} ha sido creado. Listo para recoger.",
+    },
+    pt: {
+      title: "Pedido criado com sucesso",
+      body: "O seu pedido #{{orderNumber}} foi criado. Pronto para levantamento.",
+    },
+    ar: {
+      title: "تم إنشاء الطلب بنجاح",
+      body: "تم إنشاء طلبك رقم {{orderNumber}}. جاهز للاستلام.",
+    },
+    sw: {
+      title: "Oda imeundwa",
+      body: "Oda yako #{{orderNumber}} imeundwa. Iko tayari kuchukuliwa.",
+    },
+  },
+
+  delivery_request: {
+    en: {
+      title: "New Delivery Request",
+      body: "New delivery order available: Order #{{orderNumber}}",
+    },
+    fr: {
+      title: "Nouvelle demande de livraison",
+      body: "Nouvelle livraison disponible : commande n°{{orderNumber}}",
+    },
+    es: {
+      title: "Nueva solicitud de entrega",
+      body: "Nuevo pedido disponible para entregar: pedido #{{orderNumber}}",
+    },
+    pt: {
+      title: "Novo pedido de entrega",
+      body: "Nova entrega disponível: pedido #{{orderNumber}}",
+    },
+    ar: {
+      title: "طلب توصيل جديد",
+      body: "طلب توصيل جديد متاح: الطلب رقم {{orderNumber}}",
+    },
+    sw: {
+      title: "Ombi jipya la usafirishaji",
+      body: "Oda mpya ya kusafirisha inapatikana: Oda #{{orderNumber}}",
+    },
+  },
+
+  // Auto-dispatch offer to one rider (services/dispatchMatchingService).
+  dispatch_offer: {
+    en: {
+      title: "Delivery offer",
+      body: "Order #{{orderNumber}} is yours if you accept within {{seconds}} seconds.",
+    },
+    fr: {
+      title: "Offre de livraison",
+      body: "La commande n°{{orderNumber}} est à vous si vous acceptez dans les {{seconds}} secondes.",
+    },
+    es: {
+      title: "Oferta de entrega",
+      body: "El pedido #{{orderNumber}} es tuyo si aceptas en {{seconds}} segundos.",
+    },
+    pt: {
+      title: "Oferta de entrega",
+      body: "O pedido #{{orderNumber}} é seu se aceitar dentro de {{seconds}} segundos.",
+    },
+    ar: {
+      title: "عرض توصيل",
+      body: "الطلب رقم {{orderNumber}} لك إذا قبلته خلال {{seconds}} ثانية.",
+    },
+    sw: {
+      title: "Ofa ya usafirishaji",
+      body: "Oda #{{orderNumber}} ni yako ukikubali ndani ya sekunde {{seconds}}.",
+    },
+  },
+
+  // Buyer has not confirmed a drop the rider confirmed (services/deliverySlaService).
+  delivery_confirm_reminder: {
+    en: {
+      title: "Did your order arrive?",
+      body: "Your rider marked order #{{orderNumber}} as delivered. Tap to confirm you received it.",
+    },
+    fr: {
+      title: "Avez-vous reçu votre commande ?",
+      body: "Votre livreur a indiqué que la commande n°{{orderNumber}} est livrée. Touchez pour confirmer sa réception.",
+    },
+    es: {
+      title: "¿Llegó tu pedido?",
+      body: "Tu repartidor marcó el pedido #{{orderNumber}} como entregado. Toca para confirmar que lo recibiste.",
+    },
+    pt: {
+      title: "O seu pedido chegou?",
+      body: "O seu estafeta marcou o pedido #{{orderNumber}} como entregue. Toque para confirmar que o recebeu.",
+    },
+    ar: {
+      title: "هل وصل طلبك؟",
+      body: "أشار المندوب إلى أن الطلب رقم {{orderNumber}} تم توصيله. اضغط لتأكيد استلامه.",
+    },
+    sw: {
+      title: "Je, oda yako imefika?",
+      body: "Msafirishaji ameweka oda #{{orderNumber}} kuwa imewasilishwa. Gusa kuthibitisha kuwa umeipokea.",
+    },
+  },
+
+  // The body is the seller's own message, passed through untranslated.
+  // Buyer asked to return an order (services/orderReturnService); to the seller.
+  return_requested: {
+    en: {
+      title: "Return requested",
+      body: "The buyer of order #{{orderNumber}} wants to return it. Review the request.",
+    },
+    fr: {
+      title: "Demande de retour",
+      body: "L'acheteur de la commande n°{{orderNumber}} souhaite la retourner. Examinez la demande.",
+    },
+    es: {
+      title: "Solicitud de devolución",
+      body: "El comprador del pedido #{{orderNumber}} quiere devolverlo. Revisa la solicitud.",
+    },
+    pt: {
+      title: "Pedido de devolução",
+      body: "O comprador do pedido #{{orderNumber}} quer devolvê-lo. Analise o pedido.",
+    },
+    ar: {
+      title: "طلب إرجاع",
+      body: "يرغب مشتري الطلب رقم {{orderNumber}} في إرجاعه. راجع الطلب.",
+    },
+    sw: {
+      title: "Ombi la kurudisha",
+      body: "Mnunuzi wa oda #{{orderNumber}} anataka kuirudisha. Kagua ombi.",
+    },
+  },
+
+  // Seller approved a return the rider delivered; the rider collects it.
+  return_pickup: {
+    en: {
+      title: "Return to collect",
+      body: "Collect the return for order #{{orderNumber}} from the buyer and take it back to the store.",
+    },
+    fr: {
+      title: "Retour à récupérer",
+      body: "Récupérez le retour de la commande n°{{orderNumber}} chez l'acheteur et rapportez-le au magasin.",
+    },
+    es: {
+      title: "Devolución por recoger",
+      body: "Recoge la devolución del pedido #{{orderNumber}} del comprador y llévala a la tienda.",
+    },
+    pt: {
+      title: "Devolução para recolher",
+      body: "Recolha a devolução do pedido #{{orderNumber}} junto do comprador e leve-a de volta à loja.",
+    },
+    ar: {
+      title: "مرتجع للاستلام",
+      body: "استلم مرتجع الطلب رقم {{orderNumber}} من المشتري وأعده إلى المتجر.",
+    },
+    sw: {
+      title: "Bidhaa ya kurudisha",
+      body: "Chukua bidhaa zinazorudishwa za oda #{{orderNumber}} kwa mnunuzi na uzipeleke dukani.",
+    },
+  },
+
+  // Another user sent money to this user's wallet
+  wallet_transfer_received: {
+    en: {
+      title: "Money received",
+      body: "{{sender}} sent you ₦{{amount}}. It is in your wallet now.",
+    },
+    fr: {
+      title: "Argent reçu",
+      body: "{{sender}} vous a envoyé {{amount}} ₦. Le montant est dans votre portefeuille.",
+    },
+    es: {
+      title: "Dinero recibido",
+      body: "{{sender}} te envió ₦{{amount}}. Ya está en tu billetera.",
+    },
+    pt: {
+      title: "Dinheiro recebido",
+      body: "{{sender}} enviou-lhe ₦{{amount}}. Já está na sua carteira.",
+    },
+    ar: {
+      title: "تم استلام أموال",
+      body: "أرسل لك {{sender}} مبلغ {{amount}} ₦. المبلغ في محفظتك الآن.",
+    },
+    sw: {
+      title: "Umepokea pesa",
+      body: "{{sender}} amekutumia ₦{{amount}}. Zipo kwenye pochi yako sasa.",
+    },
+  },
+
+  // A recurring bill payment couldn't be made this time
+  bill_recurring_failed: {
+    en: {
+      title: "Recurring bill not paid",
+      body: "We couldn't pay {{nickname}}: {{reason}}",
+    },
+    fr: {
+      title: "Facture récurrente non payée",
+      body: "Nous n'avons pas pu payer {{nickname}} : {{reason}}",
+    },
+    es: {
+      title: "Pago recurrente no realizado",
+      body: "No pudimos pagar {{nickname}}: {{reason}}",
+    },
+    pt: {
+      title: "Conta recorrente não paga",
+      body: "Não conseguimos pagar {{nickname}}: {{reason}}",
+    },
+    ar: {
+      title: "لم يتم دفع الفاتورة المتكررة",
+      body: "تعذر علينا دفع {{nickname}}: {{reason}}",
+    },
+    sw: {
+      title: "Bili ya kujirudia haijalipwa",
+      body: "Hatukuweza kulipa {{nickname}}: {{reason}}",
+    },
+  },
+
+  // A recurring bill failed too many times in a row and stopped itself
+  bill_recurring_paused: {
+    en: {
+      title: "Recurring bill paused",
+      body: "Payments to {{nickname}} failed {{failures}} times in a row and are paused. Last error: {{reason}}. Resume them in the app.",
+    },
+    fr: {
+      title: "Facture récurrente suspendue",
+      body: "Les paiements à {{nickname}} ont échoué {{failures}} fois de suite et sont suspendus. Dernière erreur : {{reason}}. Reprenez-les dans l'application.",
+    },
+    es: {
+      title: "Pago recurrente pausado",
+      body: "Los pagos a {{nickname}} fallaron {{failures}} veces seguidas y están en pausa. Último error: {{reason}}. Reanúdalos en la app.",
+    },
+    pt: {
+      title: "Conta recorrente em pausa",
+      body: "Os pagamentos para {{nickname}} falharam {{failures}} vezes seguidas e estão em pausa. Último erro: {{reason}}. Retome-os na aplicação.",
+    },
+    ar: {
+      title: "تم إيقاف الفاتورة المتكررة مؤقتًا",
+      body: "فشلت المدفوعات إلى {{nickname}} {{failures}} مرات متتالية وتم إيقافها مؤقتًا. آخر خطأ: {{reason}}. استأنفها من التطبيق.",
+    },
+    sw: {
+      title: "Bili ya kujirudia imesitishwa",
+      body: "Malipo kwa {{nickname}} yameshindwa mara {{failures}} mfululizo na yamesitishwa. Hitilafu ya mwisho: {{reason}}. Yaendeleze kwenye programu.",
+    },
+  },
+
+  customer_message: {
+    en: { title: "Message from {{from}} about {{order}}", body: "{{message}}" },
+    fr: { title: "Message de {{from}} concernant {{order}}", body: "{{message}}" },
+    es: { title: "Mensaje de {{from}} sobre {{order}}", body: "{{message}}" },
+    pt: { title: "Mensagem de {{from}} sobre {{order}}", body: "{{message}}" },
+    ar: { title: "رسالة من {{from}} بخصوص {{order}}", body: "{{message}}" },
+    sw: { title: "Ujumbe kutoka {{from}} kuhusu {{order}}", body: "{{message}}" },
+  },
+
+  // Warnings to a rider inside a geofence (services/geofenceService).
+  geofence_restricted_area: {
+    en: {
+      title: "Restricted area",
+      body: "{{zone}} is closed to riders right now. Please leave the area.",
+    },
+    fr: {
+      title: "Zone interdite",
+      body: "{{zone}} est fermée aux livreurs en ce moment. Veuillez quitter la zone.",
+    },
+    es: {
+      title: "Zona restringida",
+      body: "{{zone}} está cerrada a los repartidores ahora. Por favor, sal de la zona.",
+    },
+    pt: {
+      title: "Área restrita",
+      body: "{{zone}} está fechada a estafetas neste momento. Por favor, saia da área.",
+    },
+    ar: {
+      title: "منطقة محظورة",
+      body: "{{zone}} مغلقة أمام المندوبين الآن. يرجى مغادرة المنطقة.",
+    },
+    sw: {
+      title: "Eneo lililozuiliwa",
+      body: "{{zone}} imefungwa kwa wasafirishaji sasa hivi. Tafadhali ondoka eneo hili.",
+    },
+  },
+
+  geofence_outside_hours: {
+    en: {
+      title: "Zone closed",
+      body: "Deliveries in {{zone}} are not allowed at this time.",
+    },
+    fr: {
+      title: "Zone fermée",
+      body: "Les livraisons dans {{zone}} ne sont pas autorisées à cette heure.",
+    },
+    es: {
+      title: "Zona cerrada",
+      body: "Las entregas en {{zone}} no están permitidas a esta hora.",
+    },
+    pt: {
+      title: "Zona fechada",
+      body: "As entregas em {{zone}} não são permitidas a esta hora.",
+    },
+    ar: {
+      title: "المنطقة مغلقة",
+      body: "التوصيل في {{zone}} غير مسموح به في هذا الوقت.",
+    },
+    sw: {
+      title: "Eneo limefungwa",
+      body: "Usafirishaji ndani ya {{zone}} hauruhusiwi wakati huu.",
+    },
+  },
+
+  geofence_vehicle_not_allowed: {
+    en: {
+      title: "Vehicle not allowed",
+      body: "Your vehicle ({{vehicle}}) is not allowed in {{zone}}.",
+    },
+    fr: {
+      title: "Véhicule non autorisé",
+      body: "Votre véhicule ({{vehicle}}) n'est pas autorisé dans {{zone}}.",
+    },
+    es: {
+      title: "Vehículo no permitido",
+      body: "Tu vehículo ({{vehicle}}) no está permitido en {{zone}}.",
+    },
+    pt: {
+      title: "Veículo não permitido",
+      body: "O seu veículo ({{vehicle}}) não é permitido em {{zone}}.",
+    },
+    ar: {
+      title: "المركبة غير مسموح بها",
+      body: "مركبتك ({{vehicle}}) غير مسموح بها في {{zone}}.",
+    },
+    sw: {
+      title: "Chombo hakiruhusiwi",
+      body: "Chombo chako ({{vehicle}}) hakiruhusiwi ndani ya {{zone}}.",
+    },
+  },
+
+  // Batched/daily/weekly digests. {{summary}} is the list of titles.
+  digest: {
+    en: { title: "You have {{count}} new notifications", body: "{{summary}}" },
+    fr: { title: "Vous avez {{count}} nouvelles notifications", body: "{{summary}}" },
+    es: { title: "Tienes {{count}} notificaciones nuevas", body: "{{summary}}" },
+    pt: { title: "Tem {{count}} novas notificações", body: "{{summary}}" },
+    ar: { title: "لديك {{count}} إشعارات جديدة", body: "{{summary}}" },
+    sw: { title: "Una arifa mpya {{count}}", body: "{{summary}}" },
+  },
+
+  digest_more: {
+    en: { title: "", body: "and {{count}} more" },
+    fr: { title: "", body: "et {{count}} de plus" },
+    es: { title: "", body: "y {{count}} más" },
+    pt: { title: "", body: "e mais {{count}}" },
+    ar: { title: "", body: "و{{count}} أخرى" },
+    sw: { title: "", body: "na nyingine {{count}}" },
+  },
+};
+
+const fill = (text, vars) =>
+  text.replace(/\{\{(\w+)\}\}/g, (_, key) =>
+    vars[key] === undefined || vars[key] === null ? "" : String(vars[key]),
+  );
+
+/**
+ * Render a notification template.
+ *
+ * @param {string} name - key in TEMPLATES
+ * @param {string} [language] - user's preferred language
+ * @param {Object} [vars] - placeholder values
+ * @returns {{ title: string, body: string }}
+ * @throws {Error} for an unknown template name
+ */
+function renderNotification(name, language = DEFAULT_LANGUAGE, vars = {}) {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown notification template: ${name}`);
+  const copy = template[language] || template[DEFAULT_LANGUAGE];
+  return { title: fill(copy.title, vars), body: fill(copy.body, vars) };
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  TEMPLATES,
+  renderNotification,
+};
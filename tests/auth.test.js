@@ -201,3 +201,124 @@ describe("Auth - Get Current User (GET /api/user/me)", () => {
     });
   });
 });
+
+describe("Auth - Device sessions", () => {
+  const login = (email, password, deviceId) =>
+    request(app).post("/api/user/login").send({ email, password, deviceId });
+
+  const refresh = (refreshToken) =>
+    request(app).post("/api/user/refresh").send({ refreshToken });
+
+  it("keeps earlier devices signed in when logging in on another", async () => {
+    const { rawPassword } = await createTestUser({ email: "twophones@test.com" });
+
+    const phone1 = await login("twophones@test.com", rawPassword, "phone-1");
+    const phone2 = await login("twophones@test.com", rawPassword, "phone-2");
+
+    expect((await refresh(phone1.body.refreshToken)).status).toBe(200);
+    expect((await refresh(phone2.body.refreshToken)).status).toBe(200);
+
+    const res = await request(app)
+      .get("/api/user/sessions")
+      .set("Authorization", `Bearer ${phone2.body.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((s) => s.deviceId).sort()).toEqual(["phone-1", "phone-2"]);
+    expect(res.body.data.find((s) => s.current).deviceId).toBe("phone-2");
+  });
+
+  it("rotates the refresh token and signs the device out when an old one is reused", async () => {
+    const { rawPassword } = await createTestUser({ email: "rotate@test.com" });
+    const first = await login("rotate@test.com", rawPassword, "phone-1");
+
+    const rotated = await refresh(first.body.refreshToken);
+    expect(rotated.status).toBe(200);
+    expect(rotated.body.refreshToken).not.toBe(first.body.refreshToken);
+
+    const replay = await refresh(first.body.refreshToken);
+    expect(replay.status).toBe(403);
+
+    // The whole session is gone, including the token issued by the rotation
+    expect((await refresh(rotated.body.refreshToken)).status).toBe(403);
+    const me = await request(app)
+      .get("/api/user/me")
+      .set("Authorization", `Bearer ${rotated.body.token}`);
+    expect(me.status).toBe(401);
+  });
+
+  it("refuses an access token at /refresh without signing the device out", async () => {
+    const { rawPassword } = await createTestUser({ email: "wrongtoken@test.com" });
+    const phone = await login("wrongtoken@test.com", rawPassword, "phone-1");
+
+    expect((await refresh(phone.body.token)).status).toBe(403);
+    const logout = await request(app)
+      .post("/api/user/logout")
+      .send({ refreshToken: phone.body.token });
+    expect(logout.status).toBe(204);
+
+    expect((await refresh(phone.body.refreshToken)).status).toBe(200);
+  });
+
+  it("refuses a refresh token as a bearer token", async () => {
+    const { rawPassword } = await createTestUser({ email: "bearer@test.com" });
+    const phone = await login("bearer@test.com", rawPassword, "phone-1");
+
+    const me = await request(app)
+      .get("/api/user/me")
+      .set("Authorization", `Bearer ${phone.body.refreshToken}`);
+    expect(me.status).toBe(401);
+
+    expect((await refresh(phone.body.refreshToken)).status).toBe(200);
+  });
+
+  it("logs out only the current device", async () => {
+    const { rawPassword } = await createTestUser({ email: "logout@test.com" });
+    const phone1 = await login("logout@test.com", rawPassword, "phone-1");
+    const phone2 = await login("logout@test.com", rawPassword, "phone-2");
+
+    const res = await request(app)
+      .post("/api/user/logout")
+      .send({ refreshToken: phone1.body.refreshToken });
+    expect(res.status).toBe(204);
+
+    expect((await refresh(phone1.body.refreshToken)).status).toBe(403);
+    expect((await refresh(phone2.body.refreshToken)).status).toBe(200);
+  });
+
+  it("revokes one session, or all other sessions", async () => {
+    const { rawPassword } = await createTestUser({ email: "revoke@test.com" });
+    const phones = [];
+    for (const deviceId of ["phone-1", "phone-2", "phone-3"]) {
+      phones.push(await login("revoke@test.com", rawPassword, deviceId));
+    }
+    const auth = { Authorization: `Bearer ${phones[0].body.token}` };
+
+    const one = await request(app)
+      .delete(`/api/user/sessions/${phones[1].body.sessionId}`)
+      .set(auth);
+    expect(one.status).toBe(200);
+    const lost = await request(app)
+      .get("/api/user/me")
+      .set("Authorization", `Bearer ${phones[1].body.token}`);
+    expect(lost.status).toBe(401);
+
+    const all = await request(app).delete("/api/user/sessions").set(auth);
+    expect(all.status).toBe(200);
+    expect(all.body.revoked).toBe(1);
+    expect((await refresh(phones[2].body.refreshToken)).status).toBe(403);
+    expect((await refresh(phones[0].body.refreshToken)).status).toBe(200);
+  });
+
+  it("does not let a user revoke someone else's session", async () => {
+    const { rawPassword } = await createTestUser({ email: "victim@test.com" });
+    const victim = await login("victim@test.com", rawPassword, "phone-1");
+    const { token } = await createTestUser();
+
+    const res = await request(app)
+      .delete(`/api/user/sessions/${victim.body.sessionId}`)
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.status).toBe(404);
+    expect((await refresh(victim.body.refreshToken)).status).toBe(200);
+  });
+});
@@ -0,0 +1,273 @@
+jest.mock("../config/redisClient", () => ({ status: "end" }));
+jest.mock("../config/flutterwaveClient", () => {
+  const initiate = jest.fn();
+  return { getFlutterwaveInstance: () => ({ Transfer: { initiate } }), initiate };
+});
+
+const mongoose = require("mongoose");
+const Wallet = require("../models/walletModel");
+const Transaction = require("../models/transactionModel");
+const flutterwave = require("../config/flutterwaveClient");
+const { feeForWithdrawal } = require("../services/withdrawalService");
+const {
+  validateAutoPayoutSettings,
+  largestPayout,
+  planAutoPayout,
+  runAutoPayout,
+} = require("../services/autoPayoutService");
+const { createTestUser } = require("./helpers");
+
+const now = new Date("2026-10-19T10:00:00");
+const authorisedAt = new Date("2026-10-01T12:00:00");
+
+// An opted-in seller wallet, ₦50,000 in it and a PIN set before opting in
+const optedIn = (user, overrides = {}) => ({
+  user,
+  balance: 50000,
+  bankAccounts: [
+    {
+      accountName: "Ada Seller",
+      accountNumber: "0123456789",
+      bankName: "GTBank",
+      bankCode: "058",
+      phoneNumber: "2348031234567",
+      isDefault: true,
+    },
+  ],
+  withdrawalPin: { hash: "hashed-pin", updatedAt: new Date("2026-09-01T12:00:00") },
+  autoPayout: { enabled: true, frequency: "daily", threshold: 5000, authorisedAt },
+  ...overrides,
+});
+
+const sellerWallet = (overrides = {}) =>
+  new Wallet(optedIn(new mongoose.Types.ObjectId(), overrides));
+
+describe("autoPayoutService.validateAutoPayoutSettings", () => {
+  it("defaults to weekly on Monday from ₦5,000", () => {
+    expect(validateAutoPayoutSettings({})).toEqual({
+      frequency: "weekly",
+      dayOfWeek: 1,
+      threshold: 5000,
+    });
+  });
+
+  it.each([
+    [{ frequency: "monthly" }, "frequency must be 'daily' or 'weekly'"],
+    [{ dayOfWeek: 7 }, "dayOfWeek must be a whole number from 0 (Sunday) to 6 (Saturday)"],
+    [{ threshold: 999.99 }, "threshold must be a number of at least 1000"],
+  ])("refuses %j", (body, error) => {
+    expect(validateAutoPayoutSettings(body)).toEqual({ error });
+  });
+});
+
+describe("autoPayoutService.largestPayout", () => {
+  it.each([
+    [50, 0],
+    [5000, 4900],
+    [10100, 10000],
+    [50500, 50000],
+    [10100.5, 10000.49],
+  ])("pays out of ₦%d no more than its fee leaves", (total, amount) => {
+    expect(largestPayout(total)).toBe(amount);
+    if (amount > 0) {
+      expect(amount + feeForWithdrawal(amount)).toBeLessThanOrEqual(total);
+    }
+  });
+});
+
+describe("autoPayoutService.planAutoPayout", () => {
+  it("pays out everything above the minimum balance, less the fee", () => {
+    const wallet = sellerWallet();
+    wallet.limits.minimumBalance = 500;
+
+    expect(planAutoPayout(wallet, now)).toEqual({ amount: 49009.9, fee: 490.1 });
+  });
+
+  it("stays within what the withdrawal limits have left", () => {
+    const wallet = sellerWallet();
+    wallet.limits.dailyWithdrawal = 30000;
+    wallet.withdrawalStats.dailyWithdrawn = { amount: 20000, date: now };
+
+    expect(planAutoPayout(wallet, now)).toEqual({ amount: 9900, fee: 100 });
+  });
+
+  it.each([
+    ["below the threshold", { balance: 4999 }, /below the payout threshold/],
+    ["frozen", { status: "frozen" }, "Wallet is frozen"],
+    ["without a bank account", { bankAccounts: [] }, "No bank account to pay out to"],
+  ])("skips a wallet %s", (_, overrides, reason) => {
+    const plan = planAutoPayout(sellerWallet(overrides), now);
+    expect(plan.skip).toMatch(reason);
+    expect(plan.disable).toBeUndefined();
+  });
+
+  it("skips while the PIN is locked or being reset", () => {
+    const locked = sellerWallet();
+    locked.withdrawalPin.attempts.lockedUntil = new Date(now.getTime() + 60000);
+    expect(planAutoPayout(locked, now).skip).toMatch(/PIN is locked/);
+
+    const resetting = sellerWallet();
+    resetting.withdrawalPin.reset.requestedAt = new Date(now.getTime() - 60000);
+    expect(planAutoPayout(resetting, now).skip).toMatch(/reset is in progress/);
+  });
+
+  it("turns payouts off once the PIN has changed since they were authorised", () => {
+    const wallet = sellerWallet();
+    wallet.withdrawalPin.updatedAt = new Date("2026-10-10T12:00:00");
+
+    expect(planAutoPayout(wallet, now)).toMatchObject({ disable: true });
+  });
+
+  it("turns payouts off for a closed wallet", () => {
+    expect(planAutoPayout(sellerWallet({ status: "closed" }), now)).toMatchObject({
+      skip: "Wallet is closed",
+      disable: true,
+    });
+  });
+
+  it("reports a spent limit", () => {
+    const wallet = sellerWallet();
+    wallet.withdrawalStats.monthlyWithdrawn = {
+      amount: wallet.limits.monthlyWithdrawal,
+      month: "2026-10",
+    };
+
+    expect(planAutoPayout(wallet, now)).toEqual({ skip: "Withdrawal limit reached" });
+  });
+});
+
+describe("autoPayoutService.runAutoPayout", () => {
+  let seller;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    ({ user: seller } = await createTestUser({ role: ["seller"], activeRole: "seller" }));
+  });
+
+  // Today's run, on a wallet saved as the cron finds it
+  const run = async (overrides) => {
+    const wallet = await Wallet.create(optedIn(seller._id, overrides));
+    return { wallet, outcome: await runAutoPayout(wallet, new Date()) };
+  };
+  const reload = (wallet) => Wallet.findById(wallet._id);
+  const withdrawals = () => Transaction.find({ type: "wallet_withdrawal" });
+
+  it("books a tagged withdrawal and sends it to the bank", async () => {
+    flutterwave.initiate.mockImplementation(async ({ reference }) => ({
+      status: "success",
+      data: { id: 77, reference, status: "NEW" },
+    }));
+
+    const { wallet, outcome } = await run();
+
+    const [withdrawal] = await withdrawals();
+    expect(outcome).toMatchObject({
+      status: "paid",
+      amount: 49504.95,
+      transactionId: withdrawal.transactionId,
+    });
+    expect(flutterwave.initiate).toHaveBeenCalledWith(
+      expect.objectContaining({
+        account_bank: "058",
+        account_number: "0123456789",
+        amount: 49504.95,
+        reference: `WD_${withdrawal.transactionId}`,
+      }),
+    );
+    expect(withdrawal).toMatchObject({
+      status: "processing",
+      totalAmount: 49504.95,
+      metadata: { tags: ["auto_payout"], transfer: { reference: `WD_${withdrawal.transactionId}` } },
+    });
+
+    const paidOut = await reload(wallet);
+    expect(paidOut.balance).toBe(0);
+    expect(paidOut.autoPayout.lockedAt).toBeNull();
+    expect(paidOut.autoPayout.lastRun).toMatchObject({ status: "paid", amount: 49504.95 });
+  });
+
+  it("refunds a transfer Flutterwave refuses", async () => {
+    flutterwave.initiate.mockResolvedValue({ status: "error", message: "Insufficient balance" });
+
+    const { wallet } = await run();
+
+    const [withdrawal] = await withdrawals();
+    expect(withdrawal.status).toBe("failed");
+    const reversal = await Transaction.findOne({
+      reference: `Reversal-${withdrawal.transactionId}`,
+    });
+    expect(reversal.totalAmount).toBe(50000);
+
+    const refunded = await reload(wallet);
+    expect(refunded.balance).toBe(50000);
+    expect(refunded.autoPayout.lastRun).toMatchObject({
+      status: "failed",
+      reason: "Insufficient balance",
+    });
+  });
+
+  it("leaves a transfer of unknown outcome for review instead of refunding", async () => {
+    flutterwave.initiate.mockRejectedValue(new Error("socket hang up"));
+
+    const { wallet } = await run();
+
+    const [withdrawal] = await withdrawals();
+    expect(withdrawal.status).toBe("pending");
+    expect(await Transaction.countDocuments({ type: "wallet_deposit" })).toBe(0);
+
+    const held = await reload(wallet);
+    expect(held.balance).toBe(0);
+    expect(held.autoPayout.lastRun).toMatchObject({
+      status: "failed",
+      reason: expect.stringMatching(/left for review/),
+    });
+  });
+
+  it("records a skipped run and turns payouts off when the plan says so", async () => {
+    const { wallet, outcome } = await run({ status: "closed" });
+
+    expect(outcome).toMatchObject({ status: "disabled", reason: "Wallet is closed" });
+    const closed = await reload(wallet);
+    expect(closed.autoPayout.enabled).toBe(false);
+    expect(closed.autoPayout.lastRun.status).toBe("disabled");
+    expect(await withdrawals()).toHaveLength(0);
+    expect(flutterwave.initiate).not.toHaveBeenCalled();
+  });
+
+  it("doesn't pay twice after a run died having booked its payout", async () => {
+    await Transaction.create({
+      transactionId: "WD_0",
+      reference: "Withdrawal-WD_0",
+      type: "wallet_withdrawal",
+      totalAmount: 20000,
+      entries: [
+        { account: "accounts_payable", userId: seller._id, debit: 20000, credit: 0 },
+        { account: "wallet_vendor", userId: seller._id, debit: 0, credit: 20000 },
+      ],
+      status: "pending",
+      metadata: { tags: ["auto_payout"] },
+    });
+
+    const { wallet, outcome } = await run();
+
+    expect(outcome).toMatchObject({ status: "paid", transactionId: "WD_0", amount: 20000 });
+    expect(flutterwave.initiate).not.toHaveBeenCalled();
+    expect((await reload(wallet)).balance).toBe(50000);
+  });
+
+  it("leaves a wallet another run holds", async () => {
+    const { wallet, outcome } = await run({
+      autoPayout: {
+        enabled: true,
+        frequency: "daily",
+        threshold: 5000,
+        authorisedAt,
+        lockedAt: new Date(),
+      },
+    });
+
+    expect(outcome).toBeNull();
+    expect(flutterwave.initiate).not.toHaveBeenCalled();
+    expect((await reload(wallet)).balance).toBe(50000);
+  });
+});
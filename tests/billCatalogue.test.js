@@ -0,0 +1,297 @@
+jest.mock("../config/redisClient", () => ({ status: "end" }));
+jest.mock("../services/auditService", () => ({ log: jest.fn(), error: jest.fn() }));
+
+const express = require("express");
+const request = require("supertest");
+const mongoose = require("mongoose");
+const appConfig = require("../config/appConfig");
+const BillCatalogue = require("../models/billCatalogueModel");
+const BillProviderMetric = require("../models/billProviderMetricModel");
+const audit = require("../services/auditService");
+const fake = require("../services/billProviders/fakeProvider");
+const billProviders = require("../services/billProviders");
+const {
+  applyPlans,
+  syncProduct,
+  syncCatalogue,
+  getCatalogue,
+  findPlan,
+  etag,
+} = require("../services/billCatalogueService");
+const { getDataPlans } = require("../controllers/billPaymentController");
+
+const now = new Date("2026-10-19T12:00:00Z");
+const originalProviders = appConfig.bills.providers;
+
+const catalogue = (plans = [], overrides = {}) =>
+  new BillCatalogue({
+    serviceType: "data",
+    product: "mtn",
+    provider: "fake",
+    serviceId: "fake:data:mtn",
+    plans,
+    syncedAt: now,
+    ...overrides,
+  });
+
+const plan = (variationCode, providerPrice, overrides = {}) => ({
+  variationCode,
+  name: variationCode,
+  providerPrice,
+  ...overrides,
+});
+
+const variation = (variation_code, variation_amount, name = variation_code) => ({
+  variation_code,
+  name,
+  variation_amount,
+  fixedPrice: "Yes",
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  fake.reset();
+  billProviders.resetHealth();
+  appConfig.bills.providers = {
+    ...originalProviders,
+    routes: {
+      data: ["fake"],
+      cable_tv: ["fake"],
+      jamb: ["fake"],
+      waec: ["fake"],
+      electricity: ["fake"],
+    },
+  };
+  jest.spyOn(BillProviderMetric, "updateOne").mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  appConfig.bills.providers = originalProviders;
+});
+
+describe("billCatalogueService.applyPlans", () => {
+  it("diffs the provider's plans against the cache", () => {
+    const cached = catalogue([
+      plan("mtn-1gb", 1000, { markup: 50 }),
+      plan("mtn-2gb", 2000, { hidden: true }),
+      plan("mtn-500mb", 500),
+    ]);
+
+    const diff = applyPlans(
+      cached,
+      [variation("mtn-1gb", "1200"), variation("mtn-2gb", "2000"), variation("mtn-5gb", "5000")],
+      now,
+    );
+
+    expect(diff).toEqual({
+      changed: true,
+      added: ["mtn-5gb"],
+      removed: ["mtn-500mb"],
+      repriced: [{ variationCode: "mtn-1gb", name: "mtn-1gb", from: 1000, to: 1200 }],
+    });
+    const [oneGb, twoGb, halfGb, fiveGb] = cached.plans;
+    expect(oneGb).toMatchObject({ providerPrice: 1200, previousPrice: 1000, priceChangedAt: now, markup: 50 });
+    expect(oneGb.price).toBe(1250);
+    expect(twoGb.hidden).toBe(true);
+    expect(halfGb.available).toBe(false);
+    expect(fiveGb).toMatchObject({ providerPrice: 5000, available: true, markup: 0 });
+  });
+
+  it("reports nothing changed when nothing did", () => {
+    const cached = catalogue([plan("mtn-1gb", 1000)]);
+
+    expect(applyPlans(cached, [variation("mtn-1gb", "1000.00")], now).changed).toBe(false);
+  });
+
+  it("puts a plan the provider lists again back on sale", () => {
+    const cached = catalogue([plan("mtn-1gb", 1000, { available: false })]);
+
+    expect(applyPlans(cached, [variation("mtn-1gb", "1000")], now)).toMatchObject({
+      changed: true,
+      added: ["mtn-1gb"],
+    });
+    expect(cached.plans[0].available).toBe(true);
+  });
+
+  it("skips plans without a usable price", () => {
+    const cached = catalogue();
+
+    applyPlans(cached, [variation("mtn-1gb", "N/A"), variation("mtn-2gb", "2000")], now);
+
+    expect(cached.plans.map((p) => p.variationCode)).toEqual(["mtn-2gb"]);
+  });
+});
+
+describe("billCatalogueService.syncProduct", () => {
+  beforeEach(() => {
+    jest.spyOn(BillCatalogue.prototype, "save").mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+  });
+
+  it("creates a product's catalogue from its provider", async () => {
+    jest.spyOn(BillCatalogue, "findOne").mockResolvedValue(null);
+
+    const { catalogue: created, added } = await syncProduct("data", "mtn", now);
+
+    expect(created).toMatchObject({
+      provider: "fake",
+      serviceId: "fake:data:mtn",
+      version: 1,
+      syncedAt: now,
+    });
+    expect(added).toEqual(["fake-1gb"]);
+    expect(created.plans[0]).toMatchObject({ variationCode: "fake-1gb", providerPrice: 1000 });
+  });
+
+  it("bumps the version when a price changes", async () => {
+    const cached = catalogue([plan("fake-1gb", 900)], { version: 4 });
+    cached.isNew = false; // as loaded
+    jest.spyOn(BillCatalogue, "findOne").mockResolvedValue(cached);
+
+    const { catalogue: synced, repriced } = await syncProduct("data", "mtn", now);
+
+    expect(repriced).toEqual([expect.objectContaining({ from: 900, to: 1000 })]);
+    expect(synced.version).toBe(5);
+  });
+
+  it("keeps the catalogue when the provider lists nothing", async () => {
+    jest.spyOn(BillCatalogue, "findOne").mockResolvedValue(catalogue([plan("mtn-1gb", 1000)]));
+
+    await expect(syncProduct("electricity", "ikeja-electric", now)).rejects.toThrow(
+      /listed no electricity\/ikeja-electric plans/,
+    );
+    expect(BillCatalogue.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it("syncs every product and audits what changed", async () => {
+    jest.spyOn(BillCatalogue, "findOne").mockResolvedValue(null);
+
+    const result = await syncCatalogue({ now });
+
+    expect(result.failed).toEqual([]);
+    expect(result.synced).toBe(
+      ["data", "cable_tv", "jamb", "waec"].reduce((n, t) => n + billProviders.PRODUCTS[t].length, 0),
+    );
+    expect(audit.log).toHaveBeenCalledWith(
+      expect.objectContaining({ action: "bill.catalogue_synced" }),
+    );
+  });
+});
+
+describe("billCatalogueService.getCatalogue and findPlan", () => {
+  it("serves a fresh catalogue without asking the provider", async () => {
+    jest.spyOn(BillCatalogue, "findOne").mockResolvedValue(catalogue([plan("mtn-1gb", 1000)]));
+
+    await getCatalogue("data", "mtn", new Date(now.getTime() + 3600_000));
+
+    expect(fake.calls).toHaveLength(0);
+  });
+
+  it("serves a stale catalogue when no provider answers", async () => {
+    const stale = catalogue([plan("mtn-1gb", 1000)], { syncedAt: new Date("2026-10-01") });
+    jest.spyOn(BillCatalogue, "findOne").mockResolvedValue(stale);
+    fake.configure({ catalogue: "error" });
+
+    await expect(getCatalogue("data", "mtn", now)).resolves.toBe(stale);
+  });
+
+  it("only sells plans that are listed and not hidden", async () => {
+    jest.spyOn(BillCatalogue, "findOne").mockResolvedValue(
+      catalogue(
+        [
+          plan("mtn-1gb", 1000, { markup: 25 }),
+          plan("mtn-2gb", 2000, { hidden: true }),
+          plan("mtn-3gb", 3000, { available: false }),
+        ],
+        { syncedAt: new Date() },
+      ),
+    );
+
+    expect((await findPlan("data", "mtn", "mtn-1gb")).plan.price).toBe(1025);
+    expect((await findPlan("data", "mtn", "mtn-2gb")).plan).toBeUndefined();
+    expect((await findPlan("data", "mtn", "mtn-3gb")).plan).toBeUndefined();
+  });
+
+  it("prices the plan for the provider it will be bought from", async () => {
+    appConfig.bills.providers.routes.data = ["fake", "vtpass"];
+    jest.spyOn(BillCatalogue, "findOne").mockResolvedValue(
+      catalogue([plan("fake-1gb", 900, { markup: 25 })], {
+        provider: "vtpass",
+        serviceId: "mtn-data",
+        syncedAt: new Date(),
+      }),
+    );
+
+    const found = await findPlan("data", "mtn", "fake-1gb");
+
+    expect(found).toMatchObject({ provider: "fake", serviceId: "fake:data:mtn" });
+    expect(found.plan).toMatchObject({ providerPrice: 1000, price: 1025 });
+  });
+
+  it("refuses a plan no healthy provider sells", async () => {
+    appConfig.bills.providers.failureThreshold = 1;
+    jest.spyOn(BillCatalogue, "findOne").mockResolvedValue(
+      catalogue([plan("fake-1gb", 1000)], { syncedAt: new Date() }),
+    );
+    // The catalogue's provider is being skipped for errors
+    fake.configure({ catalogue: "error" });
+    await expect(billProviders.planFrom("fake", "data", "mtn", "fake-1gb")).rejects.toThrow();
+    fake.reset();
+
+    await expect(findPlan("data", "mtn", "fake-1gb")).rejects.toMatchObject({
+      statusCode: 503,
+    });
+    expect(fake.calls).toHaveLength(0);
+  });
+
+  it("refuses a plan the routed provider doesn't list", async () => {
+    jest.spyOn(BillCatalogue, "findOne").mockResolvedValue(
+      catalogue([plan("mtn-1gb", 1000)], {
+        provider: "vtpass",
+        serviceId: "mtn-data",
+        syncedAt: new Date(),
+      }),
+    );
+
+    await expect(findPlan("data", "mtn", "mtn-1gb")).rejects.toMatchObject({ statusCode: 503 });
+  });
+});
+
+describe("GET /api/bills/plans/data", () => {
+  const app = express();
+  app.get("/plans/data", (req, res, next) => {
+    req.user = { _id: new mongoose.Types.ObjectId() };
+    next();
+  }, getDataPlans);
+
+  it("answers with an ETag, then 304 until the catalogue changes", async () => {
+    const cached = catalogue([plan("mtn-1gb", 1000, { markup: 20 })], {
+      syncedAt: new Date(),
+      version: 3,
+    });
+    jest.spyOn(BillCatalogue, "findOne").mockResolvedValue(cached);
+
+    const first = await request(app).get("/plans/data?network=mtn");
+    expect(first.status).toBe(200);
+    expect(first.headers.etag).toBe(etag(cached));
+    expect(first.body.data.plans).toEqual([
+      { variation_code: "mtn-1gb", name: "mtn-1gb", amount: 1020, is_fixed_price: true },
+    ]);
+
+    const again = await request(app)
+      .get("/plans/data?network=mtn")
+      .set("If-None-Match", first.headers.etag);
+    expect(again.status).toBe(304);
+
+    cached.version = 4;
+    const changed = await request(app)
+      .get("/plans/data?network=mtn")
+      .set("If-None-Match", first.headers.etag);
+    expect(changed.status).toBe(200);
+  });
+});
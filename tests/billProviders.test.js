@@ -0,0 +1,209 @@
+jest.mock("../config/redisClient", () => ({ status: "end" }));
+jest.mock("../services/vtpassService", () => ({
+  ...jest.requireActual("../services/vtpassService"),
+  getServiceVariations: jest.fn(),
+  verifyMerchant: jest.fn(),
+  pay: jest.fn(),
+  requeryTransaction: jest.fn(),
+}));
+
+const appConfig = require("../config/appConfig");
+const BillProviderMetric = require("../models/billProviderMetricModel");
+const vtpass = require("../services/vtpassService");
+const billProviders = require("../services/billProviders");
+const fake = require("../services/billProviders/fakeProvider");
+const { toOutcome } = require("../services/billProviders/vtpassProvider");
+
+const { BillProviderError } = billProviders;
+const originalProviders = appConfig.bills.providers;
+
+let metrics;
+const recorded = () => metrics.mock.calls.map(([filter, update]) => ({
+  provider: filter.provider,
+  operation: filter.operation,
+  result: Object.keys(update.$inc).find((k) => !["calls", "totalLatencyMs"].includes(k)),
+}));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  fake.reset();
+  billProviders.resetHealth();
+  appConfig.bills.providers = {
+    routes: {
+      airtime: ["vtpass", "fake"],
+      electricity: ["vtpass", "fake"],
+      waec: ["fake"],
+    },
+    failureThreshold: 3,
+    cooldownSeconds: 120,
+  };
+  metrics = jest.spyOn(BillProviderMetric, "updateOne").mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  appConfig.bills.providers = originalProviders;
+});
+
+describe("billProviders failover", () => {
+  it("verifies with the next provider when the first errors", async () => {
+    vtpass.verifyMerchant.mockRejectedValue(new Error("socket hang up"));
+
+    const { provider, serviceId, result } = await billProviders.verify(
+      "electricity",
+      "ikeja-electric",
+      "45012345678",
+      "prepaid",
+    );
+
+    expect(provider).toBe("fake");
+    expect(serviceId).toBe("fake:electricity:ikeja-electric");
+    expect(result).toMatchObject({ verified: true, customerName: "TEST CUSTOMER" });
+    expect(recorded()).toEqual([
+      { provider: "vtpass", operation: "verify", result: "error" },
+      { provider: "fake", operation: "verify", result: "ok" },
+    ]);
+  });
+
+  it("keeps the first provider's no rather than asking the next", async () => {
+    vtpass.verifyMerchant.mockResolvedValue({ code: "000", content: { error: "Invalid meter" } });
+
+    const { provider, result } = await billProviders.verify(
+      "electricity",
+      "ikeja-electric",
+      "45012345678",
+      "prepaid",
+    );
+
+    expect(provider).toBe("vtpass");
+    expect(result.verified).toBe(false);
+    expect(fake.calls).toHaveLength(0);
+    expect(recorded()).toEqual([{ provider: "vtpass", operation: "verify", result: "failed" }]);
+  });
+
+  it("is a 503 when every provider errors", async () => {
+    vtpass.verifyMerchant.mockRejectedValue(new Error("ETIMEDOUT"));
+    fake.configure({ verify: "error" });
+
+    const attempt = billProviders.verify("electricity", "ikeja-electric", "45012345678", "prepaid");
+
+    await expect(attempt).rejects.toBeInstanceOf(BillProviderError);
+    await expect(attempt).rejects.toMatchObject({ statusCode: 503 });
+  });
+
+  it("prices a plan with the provider that answered", async () => {
+    appConfig.bills.providers.routes.waec = ["vtpass", "fake"];
+    vtpass.getServiceVariations.mockRejectedValue(new Error("502 Bad Gateway"));
+
+    const { provider, plan } = await billProviders.findPlan("waec", "waec", "waecdirect");
+
+    expect(provider).toBe("fake");
+    expect(plan).toMatchObject({ variation_amount: "3500" });
+  });
+});
+
+describe("billProviders routing", () => {
+  it("tries a provider that keeps erroring last, until its cooldown ends", async () => {
+    expect(billProviders.chooseProvider("airtime", "mtn")).toEqual({
+      provider: "vtpass",
+      serviceId: "mtn",
+    });
+    vtpass.requeryTransaction.mockRejectedValue(new Error("503 Service Unavailable"));
+
+    for (let i = 0; i < 3; i++) {
+      await billProviders.requery("vtpass", "airtime", "X").catch(() => {});
+    }
+
+    expect(billProviders.chooseProvider("airtime", "mtn").provider).toBe("fake");
+    expect(billProviders.getHealth().find((h) => h.provider === "vtpass")).toMatchObject({
+      consecutiveErrors: 3,
+      skippedUntil: expect.any(Date),
+    });
+    expect(billProviders.routeFor("airtime", "mtn", Date.now() + 121_000)).toEqual([
+      "vtpass",
+      "fake",
+    ]);
+  });
+
+  it("only routes to providers that sell the product", () => {
+    expect(() => billProviders.chooseProvider("airtime", "vodafone")).toThrow(
+      expect.objectContaining({ statusCode: 503 }),
+    );
+    expect(billProviders.routeFor("data", "mtn")).toEqual([]);
+  });
+
+  it("finds a product by its key or VTpass service ID", () => {
+    expect(billProviders.findProduct("dstv")).toEqual({ serviceType: "cable_tv", product: "dstv" });
+    expect(billProviders.findProduct("mtn-data")).toEqual({ serviceType: "data", product: "mtn" });
+    expect(billProviders.findProduct("nope")).toBeNull();
+  });
+});
+
+describe("billProviders pay and requery", () => {
+  it("pays with the bill's provider and records the outcome", async () => {
+    const outcome = await billProviders.pay("fake", "waec", {
+      requestId: "202610191200ABC",
+      serviceId: "fake:waec:waec",
+      amount: 7000,
+      phone: "08031234567",
+      variationCode: "waecdirect",
+      quantity: 2,
+    });
+
+    expect(outcome.status).toBe("completed");
+    expect(outcome.raw.cards).toHaveLength(2);
+    expect(recorded()).toEqual([{ provider: "fake", operation: "pay", result: "ok" }]);
+
+    await expect(billProviders.requery("fake", "waec", "202610191200ABC")).resolves.toMatchObject({
+      status: "completed",
+    });
+  });
+
+  it("does not fail a purchase over to another provider", async () => {
+    fake.configure({ pay: "error" });
+
+    await expect(
+      billProviders.pay("fake", "airtime", { requestId: "R1", serviceId: "fake:airtime:mtn" }),
+    ).rejects.toMatchObject({ statusCode: 502 });
+    expect(vtpass.pay).not.toHaveBeenCalled();
+    expect(recorded()).toEqual([{ provider: "fake", operation: "pay", result: "error" }]);
+  });
+
+  it("refuses a provider it doesn't know", () => {
+    expect(() => billProviders.parseWebhook("acme", {})).toThrow(BillProviderError);
+  });
+
+  it("reads the request ID from a VTpass webhook", () => {
+    expect(
+      billProviders.parseWebhook("vtpass", { type: "transaction-update", data: { requestId: "R2" } }),
+    ).toEqual({ requestId: "R2" });
+    expect(billProviders.parseWebhook("vtpass", {})).toBeNull();
+  });
+});
+
+describe("vtpassProvider.toOutcome", () => {
+  it.each([
+    [{ code: "000", content: { transactions: { status: "delivered" } } }, "completed"],
+    [{ code: "000", content: { transactions: { status: "successful" } } }, "completed"],
+    [{ code: "000", content: { transactions: { status: "pending" } } }, "pending"],
+    [{ code: "000", content: { transactions: { status: "failed" } } }, "failed"],
+    [{ code: "016" }, "failed"],
+    [{ code: "011" }, "failed"],
+    [{ code: "099" }, "pending"],
+    [undefined, "pending"],
+  ])("maps %j to %s", (res, status) => {
+    expect(toOutcome(res).status).toBe(status);
+  });
+
+  it("takes the electricity token and units", () => {
+    expect(
+      toOutcome({
+        code: "000",
+        content: { transactions: { status: "delivered", token: "1111-2222", units: "30 kWh" } },
+      }),
+    ).toMatchObject({ token: "1111-2222", units: "30 kWh" });
+  });
+});
@@ -0,0 +1,203 @@
+jest.mock("../config/redisClient", () => ({ status: "end" }));
+jest.mock("../services/auditService", () => ({ log: jest.fn(), error: jest.fn() }));
+
+const appConfig = require("../config/appConfig");
+const Transaction = require("../models/transactionModel");
+const BillPayment = require("../models/billPaymentModel");
+const BillCatalogue = require("../models/billCatalogueModel");
+const VATConfig = require("../models/vatConfigModel");
+const audit = require("../services/auditService");
+const { userPrice, marginOf } = require("../services/billPricingService");
+const { etag } = require("../services/billCatalogueService");
+const { completeBillTransaction } = require("../services/billPaymentLedgerService");
+const { toOutcome } = require("../services/billProviders/vtpassProvider");
+
+const originalPricing = appConfig.bills.pricing;
+const session = { id: "session" };
+
+const bill = (overrides = {}) =>
+  new BillPayment({
+    user: "64b000000000000000000001",
+    requestId: "202610191200001234",
+    transactionRef: "BillPayment-BILL_1",
+    serviceType: "airtime",
+    serviceProvider: "mtn",
+    provider: "vtpass",
+    amount: 1000,
+    providerAmount: 1000,
+    recipient: "08012345678",
+    ...overrides,
+  });
+
+// What a balanced Transaction's entries did to each account: debits less credits
+function movements(tx) {
+  const debits = tx.entries.reduce((n, e) => n + e.debit, 0);
+  const credits = tx.entries.reduce((n, e) => n + e.credit, 0);
+  expect(debits).toBeCloseTo(tx.totalAmount, 2);
+  expect(credits).toBeCloseTo(tx.totalAmount, 2);
+
+  return tx.entries.reduce((acc, e) => {
+    acc[e.account] = (acc[e.account] || 0) + e.debit - e.credit;
+    return acc;
+  }, {});
+}
+
+let pendingTx;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  appConfig.bills.pricing = {
+    ...originalPricing,
+    airtime: { markupPercent: -2, fee: 0 },
+    electricity: { markupPercent: 0, fee: 100 },
+    data: { markupPercent: 5, fee: 0 },
+  };
+  pendingTx = { status: "pending", metadata: {}, save: jest.fn().mockResolvedValue() };
+  jest.spyOn(Transaction, "findOne").mockReturnValue({
+    session: jest.fn().mockResolvedValue(pendingTx),
+  });
+  jest.spyOn(Transaction, "createTransaction").mockImplementation(async (data) => {
+    // Account names and amounts checked against the schema
+    await new Transaction(data).validate();
+    return data;
+  });
+  jest.spyOn(VATConfig, "getActiveConfig").mockResolvedValue({
+    rates: { standard: 7.5 },
+    calculateVAT: (amount) => (amount * 7.5) / 100,
+  });
+  jest.spyOn(BillPayment.prototype, "save").mockImplementation(function () {
+    return Promise.resolve(this);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  appConfig.bills.pricing = originalPricing;
+});
+
+describe("billPricingService", () => {
+  it("applies the bill type's markup, discount and fee", () => {
+    expect(userPrice("airtime", 1000)).toBe(980);
+    expect(userPrice("electricity", 5000)).toBe(5100);
+    expect(userPrice("data", 1000, 20)).toBe(1070);
+    expect(userPrice("cable_tv", 5000)).toBe(5000);
+  });
+
+  it("never charges less than nothing", () => {
+    appConfig.bills.pricing.airtime = { markupPercent: -150, fee: 0 };
+
+    expect(userPrice("airtime", 100)).toBe(0);
+  });
+
+  it("prices catalogued plans with their bill type's markup", () => {
+    const catalogue = new BillCatalogue({
+      serviceType: "data",
+      product: "mtn",
+      provider: "vtpass",
+      serviceId: "mtn-data",
+      plans: [{ variationCode: "mtn-1gb", name: "1GB", providerPrice: 1000, markup: 20 }],
+    });
+
+    expect(catalogue.plans[0].price).toBe(1070);
+    expect(etag(catalogue)).toBe('"data-mtn-v1-p5_0"');
+  });
+
+  it("works out a bill's margin", () => {
+    expect(marginOf(bill({ amount: 1050, providerAmount: 1000 }))).toBe(50);
+    expect(marginOf(bill({ amount: 980, providerAmount: 1000 }))).toBe(-20);
+    expect(marginOf(bill({ providerAmount: undefined }))).toBe(0);
+  });
+});
+
+describe("billPaymentLedgerService.completeBillTransaction", () => {
+  it("books our margin and the provider's commission as separate revenue lines", async () => {
+    const record = bill({
+      serviceType: "electricity",
+      amount: 5100,
+      providerAmount: 5000,
+      providerCommission: 50,
+    });
+
+    await completeBillTransaction(record, session);
+
+    expect(pendingTx.status).toBe("completed");
+    expect(Transaction.createTransaction).toHaveBeenCalledTimes(1);
+    const [revenueTx, usedSession] = Transaction.createTransaction.mock.calls[0];
+    expect(usedSession).toBe(session);
+    expect(revenueTx).toMatchObject({
+      reference: "BillRevenue-202610191200001234",
+      type: "platform_commission",
+      totalAmount: 161.25,
+      vat: { rate: 7.5, amount: 11.25, responsibility: "platform", collected: true },
+      relatedEntity: { type: "payment", id: record._id },
+    });
+    expect(movements(revenueTx)).toEqual({
+      operating_expenses: 150, // leaves 5100 − 150 = what the provider charged us
+      platform_revenue: -100,
+      commission_revenue: -50,
+      vat_payable: 11.25,
+      vat_revenue: -11.25,
+    });
+    expect(record).toMatchObject({
+      margin: 100,
+      vatAmount: 11.25,
+      revenueTransactionRef: "BillRevenue-202610191200001234",
+    });
+    expect(audit.log).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: "bill_payment.completed",
+        metadata: expect.objectContaining({ margin: 100, commission: 50 }),
+      }),
+    );
+  });
+
+  it("books a discount as a promotional cost", async () => {
+    const record = bill({ amount: 980, providerAmount: 1000, providerCommission: 30 });
+
+    await completeBillTransaction(record, session);
+
+    const [revenueTx] = Transaction.createTransaction.mock.calls[0];
+    expect(movements(revenueTx)).toEqual({
+      promotional_discounts: 20,
+      operating_expenses: 10,
+      commission_revenue: -30,
+      vat_payable: 2.25,
+      vat_revenue: -2.25,
+    });
+    expect(record.margin).toBe(-20);
+  });
+
+  it("books nothing more for a bill that earned nothing", async () => {
+    const record = bill();
+
+    await completeBillTransaction(record, session);
+
+    expect(Transaction.createTransaction).not.toHaveBeenCalled();
+    expect(VATConfig.getActiveConfig).not.toHaveBeenCalled();
+    expect(record.margin).toBe(0);
+    expect(record.revenueTransactionRef).toBeUndefined();
+  });
+
+  it("books revenue once, with the purchase's pending transaction", async () => {
+    Transaction.findOne.mockReturnValue({ session: jest.fn().mockResolvedValue(null) });
+
+    await completeBillTransaction(bill({ amount: 1050, providerCommission: 10 }), session);
+
+    expect(Transaction.createTransaction).not.toHaveBeenCalled();
+  });
+});
+
+describe("vtpassProvider.toOutcome commission", () => {
+  it("reads the commission VTpass kept back", () => {
+    const res = {
+      code: "000",
+      content: { transactions: { status: "delivered", commission: "35.5" } },
+    };
+
+    expect(toOutcome(res).commission).toBe(35.5);
+    expect(toOutcome({ code: "000", content: {} }).commission).toBe(0);
+  });
+});
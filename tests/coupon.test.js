@@ -0,0 +1,127 @@
+const {
+  evaluateCoupon,
+  normalizeCouponInput,
+} = require("../services/couponService");
+
+const storeA = "64b000000000000000000001";
+const storeB = "64b000000000000000000002";
+const shoes = "64c000000000000000000001";
+
+const coupon = (overrides = {}) => ({
+  code: "TEST",
+  type: "percentage",
+  value: 10,
+  maxDiscount: null,
+  minOrderValue: 0,
+  usageLimit: null,
+  perUserLimit: 1,
+  usedCount: 0,
+  stores: [],
+  categories: [],
+  isActive: true,
+  ...overrides,
+});
+
+const lines = [
+  { store: storeA, category: shoes, price: 1000 },
+  { store: storeA, price: 500 },
+  { store: storeB, price: 333.33 },
+];
+
+describe("evaluateCoupon — amounts", () => {
+  it("takes a percentage off every line and splits it exactly", () => {
+    const result = evaluateCoupon(coupon(), { lines });
+    expect(result.itemsDiscount).toBe(183.33);
+    expect(result.lineDiscounts.reduce((a, b) => a + b, 0)).toBeCloseTo(183.33, 2);
+    expect(result.byStore[storeA].items).toBe(150);
+    expect(result.byStore[storeB].items).toBe(33.33);
+  });
+
+  it("caps a percentage at maxDiscount", () => {
+    const result = evaluateCoupon(coupon({ maxDiscount: 50 }), { lines });
+    expect(result.discount).toBe(50);
+  });
+
+  it("never takes a fixed amount past the eligible subtotal", () => {
+    const result = evaluateCoupon(coupon({ type: "fixed", value: 5000, stores: [storeB] }), { lines });
+    expect(result.itemsDiscount).toBe(333.33);
+    expect(result.lineDiscounts).toEqual([0, 0, 333.33]);
+  });
+
+  it("waives delivery per store once fees are known", () => {
+    const freeDelivery = coupon({ type: "free_delivery", maxDiscount: 1000 });
+    expect(evaluateCoupon(freeDelivery, { lines }).discount).toBe(0);
+
+    const result = evaluateCoupon(freeDelivery, {
+      lines,
+      deliveryFees: { [storeA]: 900, [storeB]: 600 },
+    });
+    expect(result.deliveryDiscount).toBe(1000);
+    expect(result.byStore[storeA].delivery + result.byStore[storeB].delivery).toBe(1000);
+    expect(result.byStore[storeA].delivery).toBe(600);
+  });
+});
+
+describe("evaluateCoupon — eligibility", () => {
+  it("applies only to lines in the category scope", () => {
+    const result = evaluateCoupon(coupon({ categories: [shoes] }), { lines });
+    expect(result.eligibleSubtotal).toBe(1000);
+    expect(result.lineDiscounts).toEqual([100, 0, 0]);
+  });
+
+  it("rejects a cart with nothing in scope", () => {
+    const result = evaluateCoupon(coupon({ stores: ["64b0000000000000000000ff"] }), { lines });
+    expect(result.error).toMatch(/does not apply/);
+  });
+
+  it("enforces the minimum order on eligible items", () => {
+    const result = evaluateCoupon(coupon({ minOrderValue: 2000 }), { lines });
+    expect(result.error).toMatch(/minimum order/);
+  });
+
+  it("enforces the validity window", () => {
+    const now = new Date("2026-06-01");
+    expect(
+      evaluateCoupon(coupon({ startsAt: new Date("2026-07-01") }), { lines, now }).error,
+    ).toMatch(/not active yet/);
+    expect(
+      evaluateCoupon(coupon({ endsAt: new Date("2026-05-01") }), { lines, now }).error,
+    ).toMatch(/expired/);
+  });
+
+  it("enforces total and per-user limits", () => {
+    expect(
+      evaluateCoupon(coupon({ usageLimit: 5, usedCount: 5 }), { lines }).error,
+    ).toMatch(/usage limit/);
+    expect(evaluateCoupon(coupon(), { lines, userRedemptions: 1 }).error).toMatch(
+      /already used/,
+    );
+    expect(
+      evaluateCoupon(coupon({ perUserLimit: null }), { lines, userRedemptions: 9 }).error,
+    ).toBeUndefined();
+  });
+});
+
+describe("normalizeCouponInput", () => {
+  it("uppercases the code and requires a type on create", () => {
+    expect(normalizeCouponInput({ code: "welcome10" }).error).toMatch(/type/);
+    const { data } = normalizeCouponInput({ code: " welcome10 ", type: "percentage", value: 10 });
+    expect(data.code).toBe("WELCOME10");
+  });
+
+  it("rejects out-of-range values", () => {
+    expect(normalizeCouponInput({ code: "BIG", type: "percentage", value: 150 }).error).toBeDefined();
+    expect(normalizeCouponInput({ code: "ZERO", type: "fixed", value: 0 }).error).toBeDefined();
+    expect(
+      normalizeCouponInput({ code: "LIM", type: "free_delivery", usageLimit: 0 }).error,
+    ).toMatch(/usageLimit/);
+    expect(
+      normalizeCouponInput({
+        code: "WIN",
+        type: "free_delivery",
+        startsAt: "2026-07-01",
+        endsAt: "2026-06-01",
+      }).error,
+    ).toMatch(/endsAt/);
+  });
+});
@@ -0,0 +1,110 @@
+jest.mock("../config/redisClient", () => ({ status: "end" }));
+
+const mongoose = require("mongoose");
+const { tripConflict, planStops } = require("../services/deliveryBatchService");
+
+const settings = {
+  maxOrders: { bicycle: 2, motorcycle: 3, car: 4 },
+  pickupRadiusKm: 2,
+};
+
+// Lekki Phase 1 and a store ~1.1 km north of it; Yaba is ~12 km away
+const lekki = {
+  _id: new mongoose.Types.ObjectId(),
+  name: "Lekki Store",
+  address: "Admiralty Way",
+  location: { coordinates: [3.47, 6.44] },
+};
+const lekkiNorth = {
+  _id: new mongoose.Types.ObjectId(),
+  name: "Lekki North",
+  location: { coordinates: [3.47, 6.45] },
+};
+const yaba = {
+  _id: new mongoose.Types.ObjectId(),
+  name: "Yaba Store",
+  location: { coordinates: [3.38, 6.51] },
+};
+
+let seq = 0;
+const order = (store, { deliveryStatus = "assigned", weightKg = 1, dropoff } = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  orderNumber: `WM${1200 + ++seq}`,
+  deliveryStatus,
+  products: [{ store }],
+  deliveryAddress: "Somewhere in Lagos",
+  deliveryLocation: dropoff ? { coordinates: [dropoff.lng, dropoff.lat] } : undefined,
+  deliveryMetadata: { pricing: { weightKg } },
+});
+
+describe("deliveryBatchService.tripConflict", () => {
+  it("always lets a rider take their first order", () => {
+    expect(tripConflict([], order(yaba, { weightKg: 40 }), "bicycle", settings)).toBeNull();
+  });
+
+  it("adds orders from the same store or a nearby one", () => {
+    const trip = [order(lekki)];
+
+    expect(tripConflict(trip, order(lekki), "motorcycle", settings)).toBeNull();
+    expect(tripConflict(trip, order(lekkiNorth), "motorcycle", settings)).toBeNull();
+    expect(tripConflict(trip, order(yaba), "motorcycle", settings)).toMatch(/too far/);
+  });
+
+  it("enforces the vehicle's order limit and capacity", () => {
+    expect(
+      tripConflict([order(lekki), order(lekki)], order(lekki), "bicycle", settings),
+    ).toMatch(/at most 2 deliveries/);
+    expect(
+      tripConflict([order(lekki, { weightKg: 25 })], order(lekki, { weightKg: 8 }), "motor bike", settings),
+    ).toMatch(/too heavy/);
+    expect(
+      tripConflict([order(lekki, { weightKg: 25 })], order(lekki, { weightKg: 8 }), "car", settings),
+    ).toBeNull();
+  });
+
+  it("stops a trip growing once the rider has set out", () => {
+    expect(
+      tripConflict([order(lekki, { deliveryStatus: "in_transit" })], order(lekki), "car", settings),
+    ).toMatch(/before you set out/);
+  });
+});
+
+describe("deliveryBatchService.planStops", () => {
+  it("collects from each store once, then drops off nearest first", () => {
+    const far = order(lekki, { dropoff: { lat: 6.43, lng: 3.52 } });
+    const near = order(lekki, { dropoff: { lat: 6.44, lng: 3.48 } });
+    const northern = order(lekkiNorth, { dropoff: { lat: 6.46, lng: 3.47 } });
+
+    const stops = planStops([far, near, northern], { lat: 6.435, lng: 3.47 });
+
+    expect(stops.map((s) => [s.type, s.orders.map((o) => o.orderNumber)])).toEqual([
+      ["pickup", [far.orderNumber, near.orderNumber]],
+      ["dropoff", [near.orderNumber]],
+      ["pickup", [northern.orderNumber]],
+      ["dropoff", [northern.orderNumber]],
+      ["dropoff", [far.orderNumber]],
+    ]);
+    expect(stops[0]).toMatchObject({
+      sequence: 1,
+      store: { id: lekki._id, name: "Lekki Store" },
+      address: "Admiralty Way",
+      location: { lat: 6.44, lng: 3.47 },
+    });
+  });
+
+  it("only drops off orders already picked up, and puts unknown places last", () => {
+    const collected = order(lekki, {
+      deliveryStatus: "picked_up",
+      dropoff: { lat: 6.45, lng: 3.5 },
+    });
+    const unmapped = order(lekki, { deliveryStatus: "picked_up" });
+
+    const stops = planStops([unmapped, collected]);
+
+    expect(stops.map((s) => [s.type, s.orders[0].orderNumber])).toEqual([
+      ["dropoff", collected.orderNumber],
+      ["dropoff", unmapped.orderNumber],
+    ]);
+    expect(stops[1].location).toBeNull();
+  });
+});
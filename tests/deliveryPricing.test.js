@@ -0,0 +1,166 @@
+const DeliveryPricing = require("../models/deliveryPricingModel");
+const deliveryFeeService = require("../services/deliveryFeeService");
+const geofenceService = require("../services/geofenceService");
+const mapboxService = require("../services/mapboxService");
+
+// 2026-05-04 is a Monday; Lagos is UTC+1
+const mondayAt = (clock) => new Date(`2026-05-04T${clock}:00+01:00`);
+
+const rules = (overrides = {}) => new DeliveryPricing(overrides);
+
+describe("deliveryFeeService.priceDelivery", () => {
+  it("charges the base fee within the base distance", () => {
+    const { fee, pricing } = deliveryFeeService.priceDelivery(rules(), {
+      distanceKm: 3,
+      vehicleType: "motorcycle",
+      at: mondayAt("12:00"),
+    });
+
+    expect(fee).toBe(1200);
+    expect(pricing).toMatchObject({
+      distanceFee: 1200,
+      vehicleMultiplier: 1,
+      zoneFee: 0,
+      weightFee: 0,
+      surgeMultiplier: 1,
+      pricingVersion: 1,
+    });
+  });
+
+  it("combines vehicle, zone, weight and surge", () => {
+    const { fee, pricing } = deliveryFeeService.priceDelivery(
+      rules({
+        surgeWindows: [
+          { name: "Evening rush", start: "17:00", end: "20:00", multiplier: 1.5 },
+          { name: "Weekday", start: "00:00", end: "23:59", days: ["monday"], multiplier: 1.2 },
+        ],
+      }),
+      {
+        distanceKm: 10, // 1200 + 5 × 100
+        vehicleType: "car", // × 1.5
+        weightKg: 7.2, // 3 started kg over 5 × 50
+        zones: [{ geofence: "64a000000000000000000009", name: "Lekki", fee: 300 }],
+        at: mondayAt("18:30"),
+      },
+    );
+
+    // (1700 × 1.5 + 300 + 150) × 1.5
+    expect(fee).toBe(4500);
+    expect(pricing).toMatchObject({
+      distanceFee: 1700,
+      vehicleMultiplier: 1.5,
+      zoneFee: 300,
+      weightKg: 7.2,
+      weightFee: 150,
+      surge: "Evening rush",
+      surgeMultiplier: 1.5,
+    });
+    expect(pricing.zones).toEqual([
+      { geofence: "64a000000000000000000009", name: "Lekki", fee: 300 },
+    ]);
+  });
+
+  it("applies surge windows only on their days and hours, across midnight", () => {
+    const config = rules({
+      surgeWindows: [
+        { name: "Late night", start: "22:00", end: "02:00", days: ["friday"], multiplier: 2 },
+      ],
+    });
+
+    expect(deliveryFeeService.activeSurge(config.surgeWindows, mondayAt("23:00"))).toBeNull();
+    expect(
+      deliveryFeeService.activeSurge(config.surgeWindows, new Date("2026-05-08T23:00:00+01:00")),
+    ).toEqual({ name: "Late night", multiplier: 2 });
+  });
+
+  it("rejects overweight packages and out-of-range distances", () => {
+    expect(() => deliveryFeeService.priceDelivery(rules(), { weightKg: 51 })).toThrow(
+      /exceeds maximum/,
+    );
+    expect(() => deliveryFeeService.priceDelivery(rules(), { distanceKm: 150 })).toThrow(
+      /exceeds maximum/,
+    );
+  });
+});
+
+describe("deliveryFeeService.calculateDeliveryFee", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("prices the route with the saved rules and the zones at both ends", async () => {
+    jest
+      .spyOn(DeliveryPricing, "getActive")
+      .mockResolvedValue(rules({ baseFee: 1000, version: 4 }));
+    jest.spyOn(mapboxService, "isConfigured").mockReturnValue(true);
+    jest.spyOn(mapboxService, "getDistanceMatrix").mockResolvedValue({
+      distanceMeters: 4000,
+      durationSeconds: 900,
+    });
+    const zoneSpy = jest
+      .spyOn(geofenceService, "zoneSurcharges")
+      .mockResolvedValue([{ geofence: "64a000000000000000000009", name: "Ikoyi", fee: 500 }]);
+
+    const quote = await deliveryFeeService.calculateDeliveryFee(
+      { lat: 6.45, lng: 3.43 },
+      { lat: 6.44, lng: 3.47 },
+      { vehicleType: "motorcycle", weightKg: 2, at: mondayAt("12:00") },
+    );
+
+    expect(zoneSpy).toHaveBeenCalledWith([
+      { lat: 6.45, lng: 3.43 },
+      { lat: 6.44, lng: 3.47 },
+    ]);
+    expect(quote).toMatchObject({ fee: 1500, distance: 4, estimatedTime: 15 });
+    expect(quote.pricing).toMatchObject({ zoneFee: 500, pricingVersion: 4 });
+  });
+
+  it("prices the fallback quote with the same rules", async () => {
+    jest.spyOn(DeliveryPricing, "getActive").mockResolvedValue(rules());
+    jest.spyOn(mapboxService, "isConfigured").mockReturnValue(false);
+
+    const quote = await deliveryFeeService.calculateDeliveryFee("Lekki", "Yaba", {
+      vehicleType: "van",
+      at: mondayAt("12:00"),
+    });
+
+    expect(quote).toMatchObject({ fee: 2400, distance: 0, fallback: true });
+    expect(quote.pricing.vehicleMultiplier).toBe(2);
+  });
+});
+
+describe("deliveryFeeService.normalizePricingInput", () => {
+  it("validates and merges an admin update", () => {
+    const existing = rules();
+    const { data } = deliveryFeeService.normalizePricingInput(
+      {
+        distanceRates: { perKm: 150 },
+        vehicleMultipliers: { "motor bike": 1.1 },
+        surgeWindows: [
+          { name: " Rush ", start: "07:00", end: "09:00", days: ["Monday"], multiplier: 1.3 },
+        ],
+      },
+      existing,
+    );
+
+    expect(data["distanceRates.perKm"]).toBe(150);
+    expect(data.vehicleMultipliers).toMatchObject({ motorcycle: 1.1, car: 1.5 });
+    expect(data.surgeWindows).toEqual([
+      { name: "Rush", start: "07:00", end: "09:00", days: ["monday"], multiplier: 1.3 },
+    ]);
+  });
+
+  it("rejects bad values", () => {
+    const existing = rules();
+    const check = (body) => deliveryFeeService.normalizePricingInput(body, existing).error;
+
+    expect(check({})).toMatch(/No pricing fields/);
+    expect(check({ baseFee: -1 })).toMatch(/baseFee/);
+    expect(check({ weight: { maxKg: "heavy" } })).toMatch(/weight.maxKg/);
+    expect(check({ vehicleMultipliers: { rocket: 3 } })).toMatch(/Unknown vehicle type/);
+    expect(
+      check({ surgeWindows: [{ name: "Rush", start: "7am", end: "09:00", multiplier: 1.5 }] }),
+    ).toMatch(/HH:MM/);
+    expect(
+      check({ surgeWindows: [{ name: "Rush", start: "07:00", end: "09:00", multiplier: 9 }] }),
+    ).toMatch(/multiplier/);
+  });
+});
@@ -0,0 +1,139 @@
+jest.mock("../config/redisClient", () => ({ status: "end" }));
+jest.mock("../services/auditService", () => ({
+  log: jest.fn(),
+  error: jest.fn(),
+  actor: jest.fn(() => ({})),
+}));
+
+const mongoose = require("mongoose");
+const Order = require("../models/orderModel");
+const Transaction = require("../models/transactionModel");
+const audit = require("../services/auditService");
+const {
+  MAX_PIN_ATTEMPTS,
+  generateHandoverPin,
+  evaluateProof,
+} = require("../services/deliveryProofService");
+const { confirmDeliveryWithProof } = require("../services/dispatchEarningsService");
+
+const now = new Date("2026-05-04T12:00:00Z");
+const photoUrl = "https://res.cloudinary.com/wigo/image/upload/v1/pod/drop.jpg";
+// The drop-off, and a point ~110 m north of it
+const dropoff = { latitude: 6.4478, longitude: 3.4723 };
+const atDoor = { latitude: 6.4488, longitude: 3.4723, accuracy: 20 };
+
+const order = (confirmation = {}) => ({
+  deliveryLocation: { coordinates: [dropoff.longitude, dropoff.latitude] },
+  deliveryConfirmation: { handoverPin: "0427", pinAttempts: 0, ...confirmation },
+});
+
+describe("deliveryProofService.generateHandoverPin", () => {
+  it("issues four digits, keeping leading zeros", () => {
+    for (let i = 0; i < 20; i++) expect(generateHandoverPin()).toMatch(/^\d{4}$/);
+  });
+});
+
+describe("deliveryProofService.evaluateProof", () => {
+  const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+  beforeAll(() => {
+    process.env.CLOUDINARY_CLOUD_NAME = "wigo";
+  });
+  afterAll(() => {
+    if (cloudName === undefined) delete process.env.CLOUDINARY_CLOUD_NAME;
+    else process.env.CLOUDINARY_CLOUD_NAME = cloudName;
+  });
+
+  it("accepts the buyer's PIN and keeps the other evidence", () => {
+    expect(evaluateProof(order(), { pin: "0427", photoUrl }, now)).toEqual({
+      method: "pin",
+      record: { capturedAt: now, photoUrl },
+    });
+  });
+
+  it("accepts a GPS stamp at the drop-off", () => {
+    const verdict = evaluateProof(order(), { location: atDoor }, now);
+
+    expect(verdict.method).toBe("gps");
+    expect(verdict.record).toMatchObject({
+      location: { type: "Point", coordinates: [3.4723, 6.4488] },
+      accuracy: 20,
+    });
+    expect(verdict.record.distanceFromDropoff).toBeCloseTo(111, -1);
+  });
+
+  it("accepts a photo when the GPS stamp is too far or too vague", () => {
+    const away = { latitude: 6.46, longitude: 3.4723 };
+
+    expect(evaluateProof(order(), { location: away, photoUrl }, now).method).toBe("photo");
+    expect(evaluateProof(order(), { location: { ...atDoor, accuracy: 500 } }, now)).toEqual({
+      error: "Your location does not match the delivery address",
+    });
+  });
+
+  it("refuses a wrong PIN even alongside other proof, and a locked one", () => {
+    expect(evaluateProof(order(), { pin: "1111", photoUrl }, now)).toEqual({
+      error: "Wrong handover code",
+      wrongPin: true,
+    });
+    expect(
+      evaluateProof(order({ pinAttempts: MAX_PIN_ATTEMPTS }), { pin: "0427" }, now).error,
+    ).toMatch(/Too many wrong handover codes/);
+  });
+
+  it("refuses photos from elsewhere and missing proof", () => {
+    expect(
+      evaluateProof(order(), { photoUrl: "https://example.com/drop.jpg" }, now).error,
+    ).toMatch(/Cloudinary/);
+    expect(
+      evaluateProof(order(), { photoUrl: "https://res.cloudinary.com/other/image/upload/x.jpg" }, now)
+        .error,
+    ).toMatch(/Cloudinary/);
+    expect(evaluateProof(order(), {}, now).error).toMatch(/handover code/);
+  });
+});
+
+describe("dispatchEarningsService.confirmDeliveryWithProof", () => {
+  const orderId = new mongoose.Types.ObjectId();
+  const riderId = new mongoose.Types.ObjectId();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it("counts a wrong PIN and does not credit the rider", async () => {
+    jest.spyOn(Transaction, "findOne").mockResolvedValue(null);
+    const loaded = {
+      _id: orderId,
+      ...order(),
+      deliveryAgent: { _id: riderId },
+      orderedBy: { _id: new mongoose.Types.ObjectId() },
+      paymentStatus: "Paid",
+      deliveryStatus: "in_transit",
+    };
+    const query = {
+      select: () => query,
+      populate: () => query,
+      then: (resolve, reject) => Promise.resolve(loaded).then(resolve, reject),
+    };
+    jest.spyOn(Order, "findById").mockReturnValue(query);
+    const inc = jest.spyOn(Order, "updateOne").mockResolvedValue({});
+    const confirm = jest.spyOn(Order, "findByIdAndUpdate");
+
+    const result = await confirmDeliveryWithProof(orderId, riderId, { pin: "9999" });
+
+    expect(result).toEqual({
+      credited: false,
+      reason: "proof_rejected",
+      message: "Wrong handover code",
+    });
+    expect(inc).toHaveBeenCalledWith(
+      { _id: orderId },
+      { $inc: { "deliveryConfirmation.pinAttempts": 1 } },
+    );
+    expect(confirm).not.toHaveBeenCalled();
+    expect(audit.log).toHaveBeenCalledWith(
+      expect.objectContaining({ action: "delivery.proof_rejected" }),
+    );
+  });
+});
@@ -0,0 +1,195 @@
+jest.mock("../config/redisClient", () => ({ status: "end" }));
+jest.mock("../controllers/emailController", () => jest.fn().mockResolvedValue({}));
+jest.mock("../services/alertService", () => ({ notifyAdmins: jest.fn() }));
+jest.mock("../services/firebaseNotificationService", () => ({
+  sendTemplatedNotification: jest.fn(),
+}));
+
+const Order = require("../models/orderModel");
+const Wallet = require("../models/walletModel");
+const Transaction = require("../models/transactionModel");
+const LocationTracking = require("../models/locationTrackingModel");
+const alertService = require("../services/alertService");
+const firebaseService = require("../services/firebaseNotificationService");
+const dispatchEarnings = require("../services/dispatchEarningsService");
+const sla = require("../services/deliverySlaService");
+const { createTestUser } = require("./helpers");
+
+const HOUR_MS = 3_600_000;
+const stalledAfterHours = { pending: 24, preparing: 12, inTransit: 36 };
+
+// The drop-off, and points ~110 m and ~1.1 km north of it
+const dropoff = [3.4723, 6.4478];
+const atDoor = [3.4723, 6.4488];
+const upTheRoad = [3.4723, 6.4578];
+
+let now;
+const hoursAgo = (hours) => new Date(now.getTime() - hours * HOUR_MS);
+
+let buyer;
+let rider;
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  now = new Date();
+  ({ user: buyer } = await createTestUser());
+  ({ user: rider } = await createTestUser({ role: ["dispatch"], activeRole: "dispatch" }));
+});
+
+// A paid order out for delivery, the rider's drop confirmed `confirmedHoursAgo`
+const droppedOrder = (confirmedHoursAgo, overrides = {}) =>
+  Order.create({
+    orderedBy: buyer._id,
+    deliveryAgent: rider._id,
+    deliveryMethod: "delivery_agent",
+    deliveryAddress: "12 Admiralty Way, Lekki",
+    deliveryLocation: { type: "Point", coordinates: dropoff },
+    deliveryFee: 1500,
+    paymentStatus: "Paid",
+    orderStatus: "inTransit",
+    deliveryStatus: "in_transit",
+    deliveryConfirmation: { agentConfirmed: true, agentConfirmedAt: hoursAgo(confirmedHoursAgo) },
+    ...overrides,
+  });
+
+// The rider's last tracked position on the order
+const trackRider = (order, coordinates) =>
+  LocationTracking.create({
+    deliveryAgent: rider._id,
+    order: order._id,
+    currentLocation: { type: "Point", coordinates, address: "Admiralty Way" },
+  });
+
+// Order timestamps as if nothing had touched it since `at`
+const untouchedSince = (order, at) =>
+  Order.collection.updateOne({ _id: order._id }, { $set: { updatedAt: at } });
+
+describe("deliverySlaService.hoursOverdue", () => {
+  it("times the state from the last time the order entered it", () => {
+    now = new Date("2026-05-04T12:00:00Z");
+    const order = {
+      orderStatus: "preparing",
+      statusHistory: [
+        { status: "confirmed", at: hoursAgo(30) },
+        { status: "preparing", at: hoursAgo(20) },
+      ],
+      updatedAt: hoursAgo(1),
+    };
+
+    expect(sla.hoursOverdue(order, stalledAfterHours, now)).toBe(8);
+    expect(sla.hoursOverdue({ ...order, orderStatus: "delivered" }, stalledAfterHours, now)).toBeNull();
+  });
+
+  it("falls back to the last write, or creation while pending", () => {
+    now = new Date("2026-05-04T12:00:00Z");
+    expect(
+      sla.hoursOverdue({ orderStatus: "inTransit", updatedAt: hoursAgo(10) }, stalledAfterHours, now),
+    ).toBeNull();
+    expect(
+      sla.hoursOverdue(
+        { orderStatus: "Pending", createdAt: hoursAgo(30), updatedAt: hoursAgo(1) },
+        stalledAfterHours,
+        now,
+      ),
+    ).toBe(6);
+  });
+});
+
+describe("deliverySlaService.remindBuyers", () => {
+  it("reminds each buyer once, after the wait", async () => {
+    const waiting = await droppedOrder(3, { orderNumber: "WM1201" });
+    await droppedOrder(1, { orderNumber: "WM1202" });
+
+    expect(await sla.remindBuyers(now)).toBe(1);
+    expect(await sla.remindBuyers(now)).toBe(0);
+
+    expect(firebaseService.sendTemplatedNotification).toHaveBeenCalledTimes(1);
+    expect(firebaseService.sendTemplatedNotification).toHaveBeenCalledWith(
+      String(buyer._id),
+      "delivery_confirm_reminder",
+      { orderNumber: "WM1201" },
+      expect.objectContaining({ orderId: waiting._id.toString() }),
+      "orderUpdates",
+    );
+    const reminded = await Order.findById(waiting._id);
+    expect(reminded.deliveryConfirmation.reminderSentAt).toEqual(now);
+  });
+});
+
+describe("deliverySlaService.autoConfirmDeliveries", () => {
+  it("confirms only drops where the rider was last seen at the door, and pays the rider", async () => {
+    const near = await droppedOrder(25);
+    const far = await droppedOrder(25);
+    const untracked = await droppedOrder(25);
+    await trackRider(near, atDoor);
+    await trackRider(far, upTheRoad);
+
+    expect(await sla.autoConfirmDeliveries(now)).toBe(1);
+
+    const delivered = await Order.findById(near._id);
+    expect(delivered).toMatchObject({ orderStatus: "delivered", deliveryStatus: "delivered" });
+    expect(delivered.deliveryConfirmation.customerConfirmed).toBe(true);
+    expect(delivered.deliveryConfirmation.autoConfirmedAt).toBeInstanceOf(Date);
+
+    const earnings = await Transaction.find({ type: "dispatch_commission" });
+    expect(earnings.map((t) => t.reference)).toEqual([`DispatchEarnings-${near._id}`]);
+    expect((await Wallet.findOne({ user: rider._id })).balance).toBe(1500);
+
+    for (const waiting of [far, untracked]) {
+      const order = await Order.findById(waiting._id);
+      expect(order.orderStatus).toBe("inTransit");
+      expect(order.deliveryConfirmation.customerConfirmed).toBe(false);
+    }
+  });
+});
+
+describe("deliverySlaService.escalateStalledOrders", () => {
+  it("alerts admins once per stalled order and state", async () => {
+    const stuck = await droppedOrder(40, {
+      orderNumber: "WM1207",
+      statusHistory: [{ status: "inTransit", at: hoursAgo(40) }],
+    });
+    await untouchedSince(stuck, hoursAgo(37));
+    const moving = await droppedOrder(2, { orderNumber: "WM1208" });
+    await untouchedSince(moving, hoursAgo(2));
+
+    expect(await sla.escalateStalledOrders(now)).toBe(1);
+    expect(await sla.escalateStalledOrders(now)).toBe(0);
+
+    expect(alertService.notifyAdmins).toHaveBeenCalledTimes(1);
+    expect(alertService.notifyAdmins).toHaveBeenCalledWith(
+      "1 order stalled past SLA",
+      expect.any(String),
+      { "#WM1207": "In Transit for 40h (delivery_agent, delivery in_transit)" },
+    );
+    // Flagging it does not reset the clock it stalled on
+    const flagged = await Order.findById(stuck._id);
+    expect(flagged.toObject().slaEscalation).toEqual({ status: "inTransit", flaggedAt: now });
+    expect(flagged.updatedAt).toEqual(hoursAgo(37));
+  });
+
+  it("stays quiet when nothing is stalled", async () => {
+    await droppedOrder(2);
+
+    expect(await sla.escalateStalledOrders(now)).toBe(0);
+    expect(alertService.notifyAdmins).not.toHaveBeenCalled();
+  });
+});
+
+describe("dispatchEarningsService.systemConfirmDelivery", () => {
+  it("refuses orders the state machine does not let the system deliver", async () => {
+    const order = await droppedOrder(25, {
+      orderStatus: "pickUpReady",
+      deliveryStatus: "picked_up",
+    });
+
+    await expect(dispatchEarnings.systemConfirmDelivery(order._id)).rejects.toThrow(
+      /cannot be confirmed by the system/,
+    );
+
+    const unchanged = await Order.findById(order._id);
+    expect(unchanged.orderStatus).toBe("pickUpReady");
+    expect(unchanged.deliveryConfirmation.customerConfirmed).toBe(false);
+    expect(await Wallet.findOne({ user: rider._id })).toBeNull();
+  });
+});
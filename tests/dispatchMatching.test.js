@@ -0,0 +1,269 @@
+jest.mock("../services/auditService", () => ({
+  log: jest.fn(),
+  error: jest.fn(),
+  actor: jest.fn(() => ({})),
+}));
+jest.mock("../services/firebaseNotificationService", () => ({
+  sendTemplatedNotification: jest.fn().mockResolvedValue({ success: true }),
+}));
+jest.mock("../controllers/notification", () => ({
+  sendDeliveryAgentNotification: jest.fn().mockResolvedValue([]),
+}));
+jest.mock("../config/redisClient", () => ({ status: "end" }));
+
+const mongoose = require("mongoose");
+const Order = require("../models/orderModel");
+const Store = require("../models/storeModel");
+const DispatchProfile = require("../models/dispatchProfileModel");
+const LocationTracking = require("../models/locationTrackingModel");
+const firebaseService = require("../services/firebaseNotificationService");
+const { sendDeliveryAgentNotification } = require("../controllers/notification");
+const {
+  rankRiders,
+  vehicleSuitability,
+  offerNext,
+  respondToOffer,
+} = require("../services/dispatchMatchingService");
+
+const settings = {
+  searchRadiusKm: 10,
+  weights: { distance: 0.4, coverage: 0.15, vehicle: 0.15, rating: 0.2, load: 0.1 },
+  batching: { maxOrders: { motorcycle: 3, car: 4 }, pickupRadiusKm: 2 },
+};
+// Lekki Phase 1 store; 0.01° of latitude is about 1.1 km
+const store = { lat: 6.44, lng: 3.47 };
+const lekkiStore = { _id: "lekki", name: "Lekki Store", location: { coordinates: [3.47, 6.44] } };
+const joining = { products: [{ store: lekkiStore }] };
+// A rider's active order, collected from the Lekki store
+const tripOrder = (deliveryStatus = "picked_up") => ({
+  deliveryStatus,
+  products: [{ store: lekkiStore }],
+});
+
+const rider = (id, overrides = {}) => ({
+  user: id,
+  vehicleInfo: { type: "motorcycle" },
+  coverageAreas: [],
+  rating: { average: 0, totalReviews: 0 },
+  ...overrides,
+});
+
+describe("vehicleSuitability", () => {
+  it("prefers the quoted vehicle, allows bigger ones and refuses smaller ones", () => {
+    expect(vehicleSuitability("motor bike", "motorcycle")).toBe(1);
+    expect(vehicleSuitability("car", "motorcycle")).toBe(0.5);
+    expect(vehicleSuitability("bicycle", "motorcycle")).toBeNull();
+    expect(vehicleSuitability("motorcycle", undefined, 45)).toBeNull();
+  });
+});
+
+describe("rankRiders", () => {
+  it("ranks closer, better-rated riders first", () => {
+    const ranked = rankRiders(
+      [
+        { profile: rider("far"), position: { lat: 6.5, lng: 3.47 } },
+        { profile: rider("near"), position: { lat: 6.45, lng: 3.47 } },
+        {
+          profile: rider("near-rated", { rating: { average: 5, totalReviews: 12 } }),
+          position: { lat: 6.45, lng: 3.47 },
+        },
+      ],
+      { store, vehicleType: "motorcycle" },
+      settings,
+    );
+
+    expect(ranked.map((r) => r.rider)).toEqual(["near-rated", "near", "far"]);
+    expect(ranked[1].distanceKm).toBeCloseTo(1.11, 1);
+  });
+
+  it("uses a covering area when the rider has no live position", () => {
+    const ranked = rankRiders(
+      [
+        {
+          profile: rider("covers", {
+            coverageAreas: [
+              { name: "Lekki", coordinates: { latitude: 6.45, longitude: 3.48 }, radius: 5 },
+            ],
+          }),
+        },
+        { profile: rider("unknown") },
+      ],
+      { store },
+      settings,
+    );
+
+    expect(ranked).toHaveLength(1);
+    expect(ranked[0].rider).toBe("covers");
+  });
+
+  it("leaves out riders out of range, on a trip the order can't join or on the wrong vehicle", () => {
+    const near = { lat: 6.445, lng: 3.47 };
+    const ranked = rankRiders(
+      [
+        { profile: rider("out-of-range"), position: { lat: 6.6, lng: 3.47 } },
+        {
+          profile: rider("full", { vehicleInfo: { type: "car" } }),
+          position: near,
+          trip: [tripOrder(), tripOrder(), tripOrder(), tripOrder()],
+        },
+        {
+          profile: rider("en-route", { vehicleInfo: { type: "car" } }),
+          position: near,
+          trip: [tripOrder("in_transit")],
+        },
+        { profile: rider("cyclist", { vehicleInfo: { type: "bicycle" } }), position: near },
+        { profile: rider("van", { vehicleInfo: { type: "van" } }), position: near },
+      ],
+      { store, order: joining, vehicleType: "car" },
+      settings,
+    );
+
+    expect(ranked.map((r) => r.rider)).toEqual(["van"]);
+  });
+
+  it("ranks riders on a trip the order can join, behind free riders", () => {
+    const near = { lat: 6.445, lng: 3.47 };
+    const ranked = rankRiders(
+      [
+        { profile: rider("batching"), position: near, trip: [tripOrder()] },
+        { profile: rider("free"), position: near },
+      ],
+      { store, order: joining, vehicleType: "motorcycle" },
+      settings,
+    );
+
+    expect(ranked.map((r) => r.rider)).toEqual(["free", "batching"]);
+  });
+});
+
+describe("offers", () => {
+  const orderId = new mongoose.Types.ObjectId();
+  const riderId = new mongoose.Types.ObjectId();
+  const storeId = new mongoose.Types.ObjectId();
+
+  const pendingOrder = (offers = []) => ({
+    _id: orderId,
+    orderNumber: "WM1201",
+    orderStatus: "pending",
+    deliveryStatus: "pending_assignment",
+    deliveryAddress: "12 Admiralty Way",
+    deliveryFee: 1500,
+    paymentIntent: { amount: 9000 },
+    products: [{ store: storeId }],
+    deliveryMetadata: { vehicleType: "motorcycle" },
+    autoDispatch: { status: "offering", offers },
+  });
+
+  const chain = (value) => ({
+    select: () => chain(value),
+    populate: () => chain(value),
+    sort: () => chain(value),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it("offers the order to the best rider", async () => {
+    jest.spyOn(Store, "findById").mockReturnValue(
+      chain({ name: "Lekki Store", address: "Lekki", location: { coordinates: [3.47, 6.44] } }),
+    );
+    jest
+      .spyOn(DispatchProfile, "find")
+      .mockReturnValue(chain([rider(riderId)]));
+    jest.spyOn(LocationTracking, "aggregate").mockResolvedValue([
+      { _id: riderId, coordinates: [3.47, 6.45] },
+    ]);
+    jest.spyOn(Order, "find").mockReturnValue(chain([]));
+    const update = jest.spyOn(Order, "findOneAndUpdate").mockImplementation((filter, change) =>
+      Promise.resolve({
+        ...pendingOrder(),
+        autoDispatch: { status: "offering", currentOffer: change.$set["autoDispatch.currentOffer"] },
+      }),
+    );
+
+    const offered = await offerNext(pendingOrder());
+
+    expect(update.mock.calls[0][0]).toMatchObject({
+      "autoDispatch.status": "offering",
+      "autoDispatch.currentOffer.rider": { $exists: false },
+    });
+    expect(offered.autoDispatch.currentOffer.rider).toBe(riderId);
+    expect(firebaseService.sendTemplatedNotification).toHaveBeenCalledWith(
+      String(riderId),
+      "dispatch_offer",
+      expect.objectContaining({ orderNumber: "WM1201" }),
+      expect.any(Object),
+      "deliveryUpdates",
+      { urgent: true },
+    );
+    expect(sendDeliveryAgentNotification).not.toHaveBeenCalled();
+  });
+
+  it("escalates to the pool after too many declines", async () => {
+    const refusals = ["declined", "expired", "declined"].map((outcome) => ({
+      rider: new mongoose.Types.ObjectId(),
+      outcome,
+    }));
+    const update = jest
+      .spyOn(Order, "findOneAndUpdate")
+      .mockResolvedValue({ ...pendingOrder(refusals), autoDispatch: { status: "escalated", offers: refusals } });
+
+    await offerNext(pendingOrder(refusals));
+
+    expect(update.mock.calls[0][1].$set["autoDispatch.status"]).toBe("escalated");
+    expect(sendDeliveryAgentNotification).toHaveBeenCalledWith(
+      "delivery_request",
+      { orderNumber: "WM1201" },
+      expect.objectContaining({ orderId: String(orderId) }),
+    );
+  });
+
+  const approved = { status: "approved", isActive: true, vehicleInfo: { type: "motorcycle" } };
+
+  it("only lets the rider holding an open offer accept it", async () => {
+    jest.spyOn(DispatchProfile, "findOne").mockReturnValue(chain(approved));
+    jest.spyOn(Order, "find").mockReturnValue(chain([]));
+    const update = jest.spyOn(Order, "findOneAndUpdate").mockReturnValue(chain(null));
+
+    const result = await respondToOffer({ user: { _id: riderId } }, orderId, true);
+
+    expect(result).toEqual({ error: "This offer is no longer open", status: 409 });
+    expect(update.mock.calls[0][0]).toMatchObject({
+      "autoDispatch.currentOffer.rider": riderId,
+      "autoDispatch.currentOffer.expiresAt": { $gt: expect.any(Date) },
+      deliveryStatus: "pending_assignment",
+    });
+  });
+
+  it("lets a rider on a trip accept an order that can join it", async () => {
+    jest.spyOn(DispatchProfile, "findOne").mockReturnValue(chain(approved));
+    jest.spyOn(Order, "find").mockReturnValue(chain([tripOrder()]));
+    jest.spyOn(Order, "findById").mockReturnValue(chain(joining));
+    const update = jest.spyOn(Order, "findOneAndUpdate").mockReturnValue(chain(null));
+
+    const result = await respondToOffer({ user: { _id: riderId } }, orderId, true);
+
+    expect(update).toHaveBeenCalled();
+    expect(result.status).toBe(409);
+  });
+
+  it("refuses a rider whose trip the order can't join", async () => {
+    jest.spyOn(DispatchProfile, "findOne").mockReturnValue(chain(approved));
+    jest
+      .spyOn(Order, "find")
+      .mockReturnValue(chain([tripOrder(), tripOrder(), tripOrder()]));
+    jest.spyOn(Order, "findById").mockReturnValue(chain(joining));
+    const update = jest.spyOn(Order, "findOneAndUpdate");
+
+    const result = await respondToOffer({ user: { _id: riderId } }, orderId, true);
+
+    expect(result).toEqual({
+      error: "You can carry at most 3 deliveries at once on your motorcycle",
+      status: 400,
+    });
+    expect(update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,225 @@
+jest.mock("../controllers/emailController", () => jest.fn().mockResolvedValue({}));
+jest.mock("resend", () => ({
+  Resend: jest.fn().mockImplementation(() => ({
+    emails: { send: jest.fn().mockResolvedValue({ data: {}, error: null }) },
+  })),
+}));
+
+const mongoose = require("mongoose");
+const request = require("supertest");
+const app = require("../app");
+const appConfig = require("../config/appConfig");
+const BillPayment = require("../models/billPaymentModel");
+const {
+  encryptPins,
+  decryptPins,
+  extractPins,
+  sealPins,
+} = require("../services/educationPinService");
+const { createTestUser } = require("./helpers");
+
+// VTpass /pay responses, as documented
+const waecResponse = {
+  code: "000",
+  content: { transactions: { status: "delivered", transaction_id: "17" } },
+  cards: [
+    { Serial: "WRN182134367", Pin: "367574683050773" },
+    { Serial: "WRN182134368", Pin: "367574683050774" },
+  ],
+  purchased_code: "Serial No:WRN182134367, pin: 367574683050773",
+};
+const jambResponse = {
+  code: "000",
+  content: { transactions: { status: "delivered", transaction_id: "18" } },
+  Pin: "Pin : 367574683050773",
+  purchased_code: "Pin : 367574683050773",
+};
+
+const educationBill = (overrides = {}) =>
+  new BillPayment({
+    user: new mongoose.Types.ObjectId(),
+    requestId: "202610191000ABC",
+    transactionRef: "BillPayment-BILL_1",
+    serviceType: "waec",
+    serviceProvider: "waec",
+    amount: 7000,
+    recipient: "08031234567",
+    status: "completed",
+    ...overrides,
+  });
+
+let savedKey;
+beforeAll(() => {
+  savedKey = appConfig.bills.pinEncryptionKey;
+  appConfig.bills.pinEncryptionKey = "test-pin-key";
+});
+
+afterAll(() => {
+  appConfig.bills.pinEncryptionKey = savedKey;
+});
+
+describe("educationPinService encryption", () => {
+  it("round-trips PINs without storing them readably", () => {
+    const pins = [{ pin: "367574683050773", serial: "WRN182134367" }];
+    const sealed = encryptPins(pins);
+
+    expect(sealed).not.toContain("367574683050773");
+    expect(decryptPins(sealed)).toEqual(pins);
+  });
+
+  it("refuses a tampered ciphertext", () => {
+    const [iv, tag, data] = encryptPins([{ pin: "1234" }]).split(".");
+    const flipped = Buffer.from(data, "base64");
+    flipped[0] ^= 1;
+
+    expect(() => decryptPins([iv, tag, flipped.toString("base64")].join("."))).toThrow();
+  });
+
+  it("won't encrypt without a key", () => {
+    appConfig.bills.pinEncryptionKey = undefined;
+    try {
+      expect(() => encryptPins([{ pin: "1234" }])).toThrow(/BILL_PIN_ENCRYPTION_KEY/);
+    } finally {
+      appConfig.bills.pinEncryptionKey = "test-pin-key";
+    }
+  });
+});
+
+describe("educationPinService.extractPins", () => {
+  it("reads WAEC result checker cards with their serials", () => {
+    expect(extractPins(waecResponse)).toEqual([
+      { pin: "367574683050773", serial: "WRN182134367" },
+      { pin: "367574683050774", serial: "WRN182134368" },
+    ]);
+  });
+
+  it("reads WAEC registration tokens", () => {
+    expect(extractPins({ tokens: ["Pin : 111", "Pin : 222"] })).toEqual([
+      { pin: "111" },
+      { pin: "222" },
+    ]);
+  });
+
+  it("reads a JAMB PIN without its label", () => {
+    expect(extractPins(jambResponse)).toEqual([{ pin: "367574683050773" }]);
+  });
+
+  it("finds nothing in a response without PINs", () => {
+    expect(extractPins({ code: "000", content: {} })).toEqual([]);
+    expect(extractPins(undefined)).toEqual([]);
+  });
+});
+
+describe("educationPinService.sealPins", () => {
+  it("encrypts the PINs out of a WAEC response", () => {
+    const bill = educationBill();
+    bill.vtpassResponse = waecResponse;
+    bill.deliveryToken = waecResponse.purchased_code;
+
+    sealPins(bill);
+
+    expect(decryptPins(bill.pin)).toHaveLength(2);
+    expect(bill.deliveryToken).toBeUndefined();
+    expect(JSON.stringify(bill.vtpassResponse)).not.toMatch(/36757468305077/);
+    expect(bill.vtpassResponse.cards[0].Serial).toBe("WRN182134367");
+    expect(bill.vtpassResponse.content.transactions.transaction_id).toBe("17");
+  });
+
+  it("encrypts a JAMB PIN out of the response", () => {
+    const bill = educationBill({ serviceType: "jamb", serviceProvider: "jamb" });
+    bill.vtpassResponse = jambResponse;
+
+    sealPins(bill);
+
+    expect(decryptPins(bill.pin)).toEqual([{ pin: "367574683050773" }]);
+    expect(JSON.stringify(bill.vtpassResponse)).not.toMatch(/367574683050773/);
+  });
+
+  it("keeps the PIN it has when an already-sealed response is saved again", () => {
+    const bill = educationBill();
+    bill.vtpassResponse = waecResponse;
+    sealPins(bill);
+    const sealed = bill.pin;
+
+    sealPins(bill);
+
+    expect(bill.pin).toBe(sealed);
+  });
+
+  it("leaves other bills alone", () => {
+    const bill = educationBill({ serviceType: "electricity" });
+    bill.vtpassResponse = { purchased_code: "Token : 1234-5678" };
+    bill.deliveryToken = "1234-5678";
+
+    sealPins(bill);
+
+    expect(bill.pin).toBeUndefined();
+    expect(bill.deliveryToken).toBe("1234-5678");
+  });
+
+  it("runs as the bill is saved, and never serialises the PIN", async () => {
+    const bill = educationBill();
+    bill.vtpassResponse = waecResponse;
+
+    await bill.save();
+
+    const stored = await BillPayment.collection.findOne({ _id: bill._id });
+    expect(decryptPins(stored.pin)).toHaveLength(2);
+    expect(JSON.stringify(stored.vtpassResponse)).not.toMatch(/36757468305077/);
+    const loaded = await BillPayment.findById(bill._id);
+    expect(loaded.pin).toBeUndefined();
+    expect(bill.toJSON().pin).toBeUndefined();
+  });
+});
+
+describe("Education PINs - GET /api/bills/education/:requestId/pin", () => {
+  let buyer;
+
+  beforeEach(async () => {
+    buyer = await createTestUser();
+  });
+
+  const purchase = (overrides = {}) =>
+    educationBill({
+      user: buyer.user._id,
+      pin: encryptPins([{ pin: "1234", serial: "S1" }]),
+      ...overrides,
+    }).save();
+
+  const reveal = (requestId = "202610191000ABC", token = buyer.token) =>
+    request(app)
+      .get(`/api/bills/education/${requestId}/pin`)
+      .set("Authorization", `Bearer ${token}`);
+
+  it("shows a completed purchase's PINs once", async () => {
+    const bill = await purchase();
+
+    const first = await reveal();
+    expect(first.status).toBe(200);
+    expect(first.headers["cache-control"]).toBe("no-store");
+    expect(first.body.data.pins).toEqual([{ pin: "1234", serial: "S1" }]);
+    expect((await BillPayment.findById(bill._id)).pinRevealedAt).toBeInstanceOf(Date);
+
+    const again = await reveal();
+    expect(again.status).toBe(410);
+    expect(again.body.data).toBeUndefined();
+  });
+
+  it("has nothing to show before the purchase completes", async () => {
+    await purchase({ status: "pending", pin: undefined });
+
+    const res = await reveal();
+
+    expect(res.status).toBe(409);
+    expect(res.body.success).toBe(false);
+  });
+
+  it("doesn't find other kinds of bill, or another buyer's", async () => {
+    await purchase({ serviceType: "airtime", serviceProvider: "mtn", pin: undefined });
+    await purchase({ requestId: "202610191000XYZ" });
+    const stranger = await createTestUser();
+
+    expect((await reveal()).status).toBe(404);
+    expect((await reveal("202610191000XYZ", stranger.token)).status).toBe(404);
+  });
+});
@@ -0,0 +1,178 @@
+const Geofence = require("../models/geofenceModel");
+const { pointInPolygon } = require("../utils/geo");
+const {
+  normalizeGeofenceInput,
+  violationsFor,
+  checkRiderPosition,
+} = require("../services/geofenceService");
+
+// Roughly Lekki Phase 1, with a hole cut out of its south-west corner
+const square = [
+  [3.46, 6.44],
+  [3.49, 6.44],
+  [3.49, 6.46],
+  [3.46, 6.46],
+];
+const hole = [
+  [3.46, 6.44],
+  [3.47, 6.44],
+  [3.47, 6.45],
+  [3.46, 6.45],
+];
+
+const geofence = (overrides = {}) =>
+  new Geofence({
+    name: "Lekki",
+    description: "Lekki Phase 1",
+    type: "delivery_zone",
+    geometry: { type: "Polygon", coordinates: [square] },
+    createdBy: "64a000000000000000000001",
+    ...overrides,
+  });
+
+// 2026-05-04 is a Monday; Lagos is UTC+1
+const mondayAt = (clock) => new Date(`2026-05-04T${clock}:00+01:00`);
+
+describe("point in polygon", () => {
+  it("tests the outer ring and excludes holes", () => {
+    expect(pointInPolygon(3.48, 6.45, [square])).toBe(true);
+    expect(pointInPolygon(3.5, 6.45, [square])).toBe(false);
+    expect(pointInPolygon(3.465, 6.445, [square, hole])).toBe(false);
+    expect(pointInPolygon(3.48, 6.455, [square, hole])).toBe(true);
+  });
+});
+
+describe("Geofence model", () => {
+  it("closes polygon rings and derives bounds and centre", async () => {
+    const zone = geofence();
+    await zone.validate();
+
+    expect(zone.geometry.coordinates[0]).toHaveLength(5);
+    expect(zone.bounds.toObject()).toEqual({ north: 6.46, south: 6.44, east: 3.49, west: 3.46 });
+    expect(zone.center.coordinates).toEqual([3.475, 6.45]);
+    expect(zone.isPointInside(3.48, 6.45)).toBe(true);
+    expect(zone.isPointInside(3.5, 6.45)).toBe(false);
+  });
+
+  it("tests circles by distance from the centre", async () => {
+    const zone = geofence({ geometry: { type: "Circle", coordinates: [3.4, 6.5] }, radius: 1000 });
+    await zone.validate();
+
+    expect(zone.isPointInside(3.405, 6.5)).toBe(true); // ~550 m east
+    expect(zone.isPointInside(3.41, 6.5)).toBe(false); // ~1.1 km east
+    expect(zone.bounds.north).toBeGreaterThan(6.5089);
+  });
+
+  it("rejects malformed geometry", async () => {
+    await expect(
+      geofence({ geometry: { type: "Polygon", coordinates: [[[3.46, 6.44], [3.49]]] } }).validate(),
+    ).rejects.toThrow(/Polygon coordinates/);
+    await expect(
+      geofence({ geometry: { type: "Circle", coordinates: [3.4, 6.5] } }).validate(),
+    ).rejects.toThrow(/radius/);
+  });
+
+  it("applies time restrictions by Lagos time, across midnight and by day", () => {
+    const night = geofence({ rules: { timeRestrictions: { start: "22:00", end: "06:00" } } });
+    expect(night.isWithinTimeRestrictions(mondayAt("23:30"))).toBe(true);
+    expect(night.isWithinTimeRestrictions(mondayAt("05:59"))).toBe(true);
+    expect(night.isWithinTimeRestrictions(mondayAt("12:00"))).toBe(false);
+
+    const weekends = geofence({ rules: { timeRestrictions: { days: ["saturday", "sunday"] } } });
+    expect(weekends.isWithinTimeRestrictions(mondayAt("12:00"))).toBe(false);
+    expect(geofence().isWithinTimeRestrictions(mondayAt("12:00"))).toBeNull();
+  });
+});
+
+describe("zone rules", () => {
+  it("flags restricted areas only while they are closed", () => {
+    const always = geofence({ type: "restricted_area" });
+    const daytime = geofence({
+      type: "restricted_area",
+      rules: { timeRestrictions: { start: "09:00", end: "17:00" } },
+    });
+
+    expect(violationsFor(always, { at: mondayAt("03:00") }).map((v) => v.rule)).toEqual([
+      "restricted_area",
+    ]);
+    expect(violationsFor(daytime, { at: mondayAt("10:00") })).toHaveLength(1);
+    expect(violationsFor(daytime, { at: mondayAt("20:00") })).toHaveLength(0);
+  });
+
+  it("flags working hours and vehicle types", () => {
+    const zone = geofence({
+      rules: {
+        timeRestrictions: { start: "08:00", end: "20:00" },
+        allowedVehicles: ["motor bike", "bicycle"],
+      },
+    });
+    expect(zone.rules.allowedVehicles).toEqual(["motorcycle", "bicycle"]);
+
+    expect(violationsFor(zone, { vehicleType: "motorcycle", at: mondayAt("12:00") })).toEqual([]);
+    expect(
+      violationsFor(zone, { vehicleType: "truck", at: mondayAt("21:00") }).map((v) => v.rule),
+    ).toEqual(["outside_hours", "vehicle_not_allowed"]);
+  });
+});
+
+describe("checkRiderPosition", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("records entering and leaving, reporting each violation once per visit", async () => {
+    const zone = geofence({ type: "restricted_area" });
+    const tracking = { geofences: [], notifications: [] };
+    const at = mondayAt("12:00");
+
+    jest.spyOn(Geofence, "findContaining").mockResolvedValue([zone]);
+    const first = await checkRiderPosition(tracking, { longitude: 3.48, latitude: 6.45, at });
+    const second = await checkRiderPosition(tracking, { longitude: 3.48, latitude: 6.45, at });
+
+    expect(first.newViolations.map((v) => v.rule)).toEqual(["restricted_area"]);
+    expect(second.violations).toHaveLength(1);
+    expect(second.newViolations).toHaveLength(0);
+    expect(tracking.geofences).toHaveLength(1);
+
+    Geofence.findContaining.mockResolvedValue([]);
+    await checkRiderPosition(tracking, { longitude: 3.5, latitude: 6.45, at });
+
+    expect(tracking.geofences[0].exitedAt).toEqual(at);
+    expect(tracking.notifications.map((n) => n.type)).toEqual([
+      "geofence_enter",
+      "geofence_violation",
+      "geofence_exit",
+    ]);
+  });
+});
+
+describe("geofence input", () => {
+  it("requires the core fields on create", () => {
+    expect(normalizeGeofenceInput({}).error).toMatch(/name/);
+    expect(
+      normalizeGeofenceInput({ name: "A", description: "B", type: "zone" }).error,
+    ).toMatch(/type/);
+    expect(
+      normalizeGeofenceInput({ name: "A", description: "B", type: "service_area" }).error,
+    ).toMatch(/geometry/);
+  });
+
+  it("normalises rules and merges them into the existing ones on update", () => {
+    const existing = geofence({ rules: { maxSpeed: 30 } });
+    const { data } = normalizeGeofenceInput(
+      {
+        rules: {
+          allowedVehicles: ["Motor Bike"],
+          timeRestrictions: { start: "07:00", end: "19:00", days: ["Monday"] },
+        },
+      },
+      existing,
+    );
+
+    expect(data.rules).toMatchObject({
+      maxSpeed: 30,
+      allowedVehicles: ["motorcycle"],
+      timeRestrictions: { start: "07:00", end: "19:00", days: ["monday"] },
+    });
+    const badClock = { rules: { timeRestrictions: { start: "25:00", end: "19:00" } } };
+    expect(normalizeGeofenceInput(badClock, existing).error).toMatch(/HH:MM/);
+  });
+});
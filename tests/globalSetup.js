@@ -1,9 +1,12 @@
-const { MongoMemoryServer } = require("mongodb-memory-server");
+const { MongoMemoryReplSet } = require("mongodb-memory-server");
 const fs = require("fs");
 const path = require("path");
 
 module.exports = async () => {
-  const mongod = await MongoMemoryServer.create();
+  // A one-member replica set rather than a standalone server: payments,
+  // refunds, transfers and payouts run in multi-document transactions, which
+  // MongoDB refuses outside a replica set.
+  const mongod = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
   const uri = mongod.getUri();
   // Write URI to a temp file — workers can't inherit process.env from globalSetup
   fs.writeFileSync(path.join(__dirname, ".mongouri"), uri);
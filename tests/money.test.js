@@ -113,3 +113,28 @@ describe("money — allocate", () => {
     expect(() => money.allocate(100, 2.5)).toThrow(TypeError);
   });
 });
+
+describe("money — allocateByWeight", () => {
+  it("splits in proportion and sums back exactly", () => {
+    const parts = money.allocateByWeight(100, [1, 1, 1]);
+    expect(parts).toEqual([33.34, 33.33, 33.33]);
+    expect(money.allocateByWeight(1000, [3000, 1000])).toEqual([750, 250]);
+  });
+
+  it("gives leftover kobo to the largest remainders", () => {
+    const parts = money.allocateByWeight(0.1, [2, 1]);
+    expect(parts).toEqual([0.07, 0.03]);
+    expect(money.sum(parts)).toBe(0.1);
+  });
+
+  it("stays exact for large amounts", () => {
+    const parts = money.allocateByWeight(12345678.91, [9999999.99, 7777777.77, 0]);
+    expect(money.sum(parts)).toBe(12345678.91);
+    expect(parts[2]).toBe(0);
+  });
+
+  it("rejects negative amounts and empty weights", () => {
+    expect(() => money.allocateByWeight(-1, [1])).toThrow(RangeError);
+    expect(() => money.allocateByWeight(1, [0, 0])).toThrow(TypeError);
+  });
+});
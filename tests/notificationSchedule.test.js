@@ -0,0 +1,98 @@
+const {
+  parseClock,
+  nextClockTime,
+  isQuietAt,
+  deliveryTimeFor,
+} = require("../utils/notificationSchedule");
+const { renderNotification } = require("../templates/notifications");
+
+const quietHours = {
+  enabled: true,
+  startTime: "22:00",
+  endTime: "08:00",
+  timezone: "Africa/Lagos", // UTC+1, no DST
+};
+
+const prefs = (frequency = {}, overrides = {}) => ({
+  quietHours,
+  frequency: { push: "immediate", email: "immediate", ...frequency },
+  ...overrides,
+});
+
+describe("notification schedule", () => {
+  it("parses wall-clock times and rejects malformed ones", () => {
+    expect(parseClock("22:00")).toBe(1320);
+    expect(parseClock("8:05")).toBe(485);
+    expect(parseClock("24:00")).toBeNull();
+    expect(parseClock("noon")).toBeNull();
+  });
+
+  it("treats a window that crosses midnight as quiet on both sides", () => {
+    expect(isQuietAt(quietHours, new Date("2026-03-02T01:30:00Z"))).toBe(true); // 02:30 Lagos
+    expect(isQuietAt(quietHours, new Date("2026-03-02T21:30:00Z"))).toBe(true); // 22:30
+    expect(isQuietAt(quietHours, new Date("2026-03-02T12:00:00Z"))).toBe(false); // 13:00
+    expect(isQuietAt({ ...quietHours, enabled: false }, new Date("2026-03-02T01:30:00Z"))).toBe(false);
+  });
+
+  it("finds the next local clock time across a DST change", () => {
+    // Sat 7 Mar 2026 23:00 in New York (EST); clocks go forward overnight
+    const at = nextClockTime(new Date("2026-03-08T04:00:00Z"), "08:00", "America/New_York");
+    expect(at.toISOString()).toBe("2026-03-08T12:00:00.000Z"); // 08:00 EDT
+  });
+
+  it("sends immediate pushes outside quiet hours right away", () => {
+    const now = new Date("2026-03-02T12:00:00Z");
+    expect(deliveryTimeFor(prefs(), "push", { now })).toBeNull();
+  });
+
+  it("holds a push sent during quiet hours until they end", () => {
+    const now = new Date("2026-03-02T01:30:00Z");
+    expect(deliveryTimeFor(prefs(), "push", { now })).toEqual({
+      at: new Date("2026-03-02T07:00:00Z"),
+      reason: "quiet_hours",
+    });
+    // Email is never held by quiet hours, and urgent pushes bypass them
+    expect(deliveryTimeFor(prefs(), "email", { now })).toBeNull();
+    expect(deliveryTimeFor(prefs(), "push", { now, urgent: true })).toBeNull();
+  });
+
+  it("batches to the next hour, daily and weekly to the digest time", () => {
+    const now = new Date("2026-03-04T12:20:00Z"); // Wednesday 13:20 Lagos
+    expect(deliveryTimeFor(prefs({ push: "batched" }), "push", { now })).toEqual({
+      at: new Date("2026-03-04T13:00:00Z"),
+      reason: "batched",
+    });
+    expect(deliveryTimeFor(prefs({ email: "daily" }), "email", { now })).toEqual({
+      at: new Date("2026-03-05T07:00:00Z"),
+      reason: "daily",
+    });
+    expect(deliveryTimeFor(prefs({ email: "weekly" }), "email", { now })).toEqual({
+      at: new Date("2026-03-09T07:00:00Z"), // Monday 08:00
+      reason: "weekly",
+    });
+  });
+
+  it("moves a batch that would land in quiet hours to their end", () => {
+    const now = new Date("2026-03-04T20:30:00Z"); // 21:30, batch due 22:00
+    expect(deliveryTimeFor(prefs({ push: "batched" }), "push", { now })).toEqual({
+      at: new Date("2026-03-05T07:00:00Z"),
+      reason: "batched",
+    });
+  });
+});
+
+describe("notification templates", () => {
+  it("renders in the user's language and falls back to English", () => {
+    expect(renderNotification("order_created_pickup", "fr", { orderNumber: "WM1201" })).toEqual({
+      title: "Commande créée avec succès",
+      body: "Votre commande n°WM1201 a été créée. Prête à être retirée.",
+    });
+    expect(renderNotification("order_created_pickup", "xx", { orderNumber: "WM1201" }).body).toBe(
+      "Your order #WM1201 has been created. Ready for pickup.",
+    );
+  });
+
+  it("rejects unknown templates", () => {
+    expect(() => renderNotification("nope", "en")).toThrow(/Unknown notification template/);
+  });
+});
@@ -0,0 +1,130 @@
+jest.mock("../services/firebaseNotificationService", () => ({
+  deliverNotification: jest.fn(),
+}));
+
+const Notification = require("../models/notificationModel");
+const { deliverNotification } = require("../services/firebaseNotificationService");
+const {
+  normalizeCampaignInput,
+  retryDelay,
+  preferenceKeyFor,
+  deliverScheduledNotification,
+} = require("../services/notificationSchedulerService");
+
+const now = new Date("2026-05-01T09:00:00Z");
+
+describe("campaign input", () => {
+  it("fills defaults and sends immediately when no time is given", () => {
+    const { data } = normalizeCampaignInput(
+      { title: " Maintenance ", message: "Down at 2am", roles: ["buyer", "seller", "buyer"] },
+      { now },
+    );
+    expect(data).toEqual({
+      title: "Maintenance",
+      message: "Down at 2am",
+      type: "announcement",
+      priority: "medium",
+      roles: ["buyer", "seller"],
+      channels: { inApp: true, push: true, email: false },
+      scheduledFor: now,
+    });
+  });
+
+  it("rejects unknown roles, no channels and expiry before the send time", () => {
+    const base = { title: "Hi", message: "There", roles: ["buyer"] };
+    expect(normalizeCampaignInput({ ...base, roles: ["root"] }, { now }).error).toMatch(/roles/);
+    expect(
+      normalizeCampaignInput(
+        { ...base, channels: { inApp: false, push: false, email: false } },
+        { now },
+      ).error,
+    ).toMatch(/channel/);
+    expect(
+      normalizeCampaignInput(
+        { ...base, scheduledFor: "2026-05-02T00:00:00Z", expiresAt: "2026-05-01T12:00:00Z" },
+        { now },
+      ).error,
+    ).toMatch(/expiresAt/);
+  });
+});
+
+describe("scheduler helpers", () => {
+  it("backs off exponentially up to an hour", () => {
+    expect([1, 2, 3, 10].map(retryDelay)).toEqual([60_000, 120_000, 240_000, 3_600_000]);
+  });
+
+  it("maps notification types to preference keys", () => {
+    expect(preferenceKeyFor("promotion")).toBe("promotions");
+    expect(preferenceKeyFor("order_delivered")).toBe("orderUpdates");
+    expect(preferenceKeyFor("maintenance")).toBe("systemUpdates");
+  });
+});
+
+describe("deliverScheduledNotification", () => {
+  const scheduled = (overrides = {}) =>
+    new Notification({
+      recipient: "64a000000000000000000001",
+      type: "announcement",
+      title: "Hello",
+      message: "World",
+      role: "buyer",
+      channels: { inApp: { enabled: true }, push: { enabled: true }, email: { enabled: true } },
+      scheduledFor: now,
+      expiresAt: new Date("2099-01-01"),
+      ...overrides,
+    });
+
+  let notification;
+  beforeEach(() => {
+    deliverNotification.mockReset();
+    jest.spyOn(Notification, "findById").mockImplementation(async () => notification);
+    jest.spyOn(Notification.prototype, "save").mockImplementation(async function () {
+      return this;
+    });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  const outcomes = (byChannel) =>
+    deliverNotification.mockImplementation(async ({ channels: [channel] }) => ({
+      results: { [channel]: byChannel[channel] },
+    }));
+
+  it("marks the notification sent when every channel goes out", async () => {
+    notification = scheduled();
+    outcomes({ push: { sent: true }, email: { sent: false, deferredUntil: now } });
+
+    await expect(deliverScheduledNotification(notification._id, { now })).resolves.toBe("sent");
+    expect(notification.channels.push.sent).toBe(true);
+    expect(notification.channels.email.sent).toBe(true);
+    expect(deliverNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ type: "systemUpdates", urgent: false, channels: ["push"] }),
+    );
+  });
+
+  it("retries only the failed channel with backoff, then gives up", async () => {
+    notification = scheduled({ maxRetries: 2 });
+    outcomes({ push: { sent: true }, email: { sent: false, failed: true, result: "SMTP down" } });
+
+    await expect(deliverScheduledNotification(notification._id, { now })).resolves.toBe("pending");
+    expect(notification.retryCount).toBe(1);
+    expect(notification.nextAttemptAt).toEqual(new Date(now.getTime() + 60_000));
+    expect(notification.channels.email.error).toBe("SMTP down");
+
+    await expect(deliverScheduledNotification(notification._id, { now })).resolves.toBe("failed");
+    // push went out on the first attempt and is not resent
+    expect(deliverNotification.mock.calls.map(([arg]) => arg.channels[0])).toEqual([
+      "push",
+      "email",
+      "email",
+    ]);
+  });
+
+  it("cancels a notification that expired before delivery", async () => {
+    notification = scheduled({ expiresAt: new Date("2000-01-01") });
+
+    await expect(deliverScheduledNotification(notification._id, { now })).resolves.toBe(
+      "cancelled",
+    );
+    expect(deliverNotification).not.toHaveBeenCalled();
+  });
+});
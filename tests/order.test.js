@@ -108,3 +108,42 @@ describe("Orders - POST /api/order/create", () => {
     expect(res.status).toBeGreaterThanOrEqual(400);
   });
 });
+
+describe("Orders - multi-store checkout", () => {
+  it("splits a cart into one order per store under a single checkout", async () => {
+    const { user, token } = await createTestUser();
+    const { store: storeA } = await createTestSeller();
+    const { store: storeB } = await createTestSeller();
+    const productA = await createTestProduct(storeA._id, { slug: `a-${Date.now()}` });
+    const productB = await createTestProduct(storeB._id, { slug: `b-${Date.now()}` });
+    await setupCart(user._id, productA._id, storeA._id);
+    await setupCart(user._id, productB._id, storeB._id);
+
+    const res = await request(app)
+      .post("/api/order/create")
+      .set("Authorization", `Bearer ${token}`)
+      .send({
+        paymentMethod: "card",
+        deliveryMethod: "self_delivery",
+        deliveryAddress: "123 Test Street, Lagos",
+      });
+
+    expect(res.status).toBe(200);
+    const { checkout, orders, order, totalAmount } = res.body.data;
+    expect(orders).toHaveLength(2);
+    expect(order._id).toBe(orders[0]._id);
+
+    // Every order holds a single store's lines and its own payment share
+    const storesPerOrder = orders.map(
+      (o) => new Set(o.products.map((p) => p.store._id)).size,
+    );
+    expect(storesPerOrder).toEqual([1, 1]);
+    expect(orders.every((o) => o.checkout === checkout._id)).toBe(true);
+
+    // The buyer pays the checkout once, for the sum of the orders
+    const sum = orders.reduce((acc, o) => acc + o.paymentIntent.amount, 0);
+    expect(checkout.paymentIntent.amount).toBe(sum);
+    expect(totalAmount).toBe(sum);
+    expect(checkout.orders).toHaveLength(2);
+  });
+});
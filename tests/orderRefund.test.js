@@ -0,0 +1,349 @@
+jest.mock("../controllers/emailController", () => jest.fn().mockResolvedValue({}));
+jest.mock("resend", () => ({
+  Resend: jest.fn().mockImplementation(() => ({
+    emails: { send: jest.fn().mockResolvedValue({ data: {}, error: null }) },
+  })),
+}));
+jest.mock("../config/flutterwaveClient", () => {
+  const refund = jest.fn();
+  return { getFlutterwaveInstance: () => ({ Transaction: { refund } }), refund };
+});
+
+const mongoose = require("mongoose");
+const request = require("supertest");
+const app = require("../app");
+const Order = require("../models/orderModel");
+const Product = require("../models/productModel");
+const Store = require("../models/storeModel");
+const Wallet = require("../models/walletModel");
+const Transaction = require("../models/transactionModel");
+const flutterwave = require("../config/flutterwaveClient");
+const {
+  calculateCommissionBreakdown,
+  calculateRefundBreakdown,
+} = require("../services/commissionService");
+const { refundDestination, resolveRefundLines } = require("../services/orderRefundService");
+const { createTestUser, createTestProduct } = require("./helpers");
+
+const phone = new mongoose.Types.ObjectId();
+const cases = new mongoose.Types.ObjectId();
+const owner = new mongoose.Types.ObjectId();
+const store = { _id: new mongoose.Types.ObjectId(), name: "Wigo Store", owner };
+
+// ₦6,000 phone + 2 × ₦2,000 cases bought in a ₦200-off store sale,
+// ₦1,000 coupon on the items, ₦1,500 delivery. Paid ₦10,500.
+const orderLines = (phoneId, casesId, storeRef) => [
+  { product: phoneId, count: 1, unitPrice: 6000, vendorPrice: 5000, store: storeRef },
+  {
+    product: casesId,
+    count: 2,
+    unitPrice: 2000,
+    vendorPrice: 1500,
+    sale: { discount: 200 },
+    store: storeRef,
+  },
+];
+
+const paidOrder = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  orderNumber: "WM1201",
+  paymentStatus: "Paid",
+  orderedBy: { _id: new mongoose.Types.ObjectId() },
+  deliveryAgent: { _id: new mongoose.Types.ObjectId() },
+  products: orderLines({ _id: phone }, { _id: cases }, store),
+  deliveryFee: 1500,
+  discount: { code: "WIGO10", items: 1000, delivery: 0, amount: 1000 },
+  paymentIntent: { id: "tx-1", amount: 10500 },
+  refunds: [],
+  ...overrides,
+});
+
+describe("commissionService.calculateRefundBreakdown", () => {
+  it("splits one unit into the vendor's, platform's and coupon's shares", () => {
+    const refund = calculateRefundBreakdown(paidOrder(), {
+      lines: [{ index: 1, count: 1 }],
+      vatRate: 7.5,
+    });
+
+    expect(refund.lines).toEqual([
+      {
+        index: 1,
+        count: 1,
+        amount: 1800,
+        vendorAmount: 1300,
+        platformAmount: 700,
+        discountAmount: 200,
+      },
+    ]);
+    expect(refund).toMatchObject({
+      deliveryAmount: 0,
+      dispatchAmount: 0,
+      discountAmount: 200,
+      vatAmount: 135,
+      totalAmount: 1800,
+    });
+  });
+
+  it("adds back up to the payment when everything is refunded", () => {
+    const order = paidOrder();
+    const refund = calculateRefundBreakdown(order, {
+      lines: [
+        { index: 0, count: 1 },
+        { index: 1, count: 2 },
+      ],
+      delivery: true,
+    });
+    const paid = calculateCommissionBreakdown(order);
+
+    expect(refund.totalAmount).toBe(order.paymentIntent.amount);
+    expect(refund.vendorAmount).toBe(paid.vendorAmount);
+    expect(refund.platformAmount).toBe(paid.platformAmount);
+    expect(refund.dispatchAmount).toBe(paid.dispatchAmount);
+    expect(refund.discountAmount).toBe(order.discount.amount);
+  });
+
+  it("spreads an odd coupon share over units to the kobo", () => {
+    // The cases' share of the coupon is ₦400.01
+    const order = paidOrder({ discount: { items: 1000.03, delivery: 0, amount: 1000.03 } });
+    const [one] = calculateRefundBreakdown(order, { lines: [{ index: 1, count: 1 }] }).lines;
+    const [both] = calculateRefundBreakdown(order, { lines: [{ index: 1, count: 2 }] }).lines;
+
+    expect(one).toMatchObject({ discountAmount: 200.01, amount: 1799.99 });
+    expect(both).toMatchObject({ discountAmount: 400.01, amount: 3599.99 });
+  });
+
+  it("gives back no more of the coupon over several partial refunds", () => {
+    const order = paidOrder({ discount: { items: 1000.03, delivery: 0, amount: 1000.03 } });
+    const [first] = calculateRefundBreakdown(order, { lines: [{ index: 1, count: 1 }] }).lines;
+    order.refunds.push({ items: [{ product: cases, count: 1, discountAmount: first.discountAmount }] });
+    const [second] = calculateRefundBreakdown(order, { lines: [{ index: 1, count: 1 }] }).lines;
+
+    expect(first.discountAmount).toBe(200.01);
+    expect(second.discountAmount).toBe(200);
+  });
+});
+
+describe("orderRefundService.resolveRefundLines", () => {
+  it("leaves out units an earlier refund paid back", () => {
+    const order = paidOrder({
+      refunds: [{ items: [{ product: cases, count: 1 }], delivery: 1500 }],
+    });
+
+    expect(resolveRefundLines(order)).toEqual({
+      lines: [
+        { index: 0, count: 1 },
+        { index: 1, count: 1 },
+      ],
+    });
+    expect(resolveRefundLines(order, [{ product: String(cases), count: 2 }]).error).toMatch(
+      /1 to 1/,
+    );
+    expect(
+      resolveRefundLines(
+        paidOrder({ refunds: [{ items: [{ product: phone, count: 1 }] }] }),
+        [{ product: String(phone) }],
+      ).error,
+    ).toMatch(/already been refunded/);
+  });
+});
+
+describe("orderRefundService.refundDestination", () => {
+  it("refunds the way the buyer paid unless they choose the wallet", () => {
+    expect(refundDestination(paidOrder({ paymentMethod: "card" }))).toEqual({ to: "card" });
+    expect(refundDestination(paidOrder({ paymentMethod: "card" }), "wallet")).toEqual({
+      to: "wallet",
+    });
+    expect(refundDestination(paidOrder({ paymentMethod: "wallet" }))).toEqual({ to: "wallet" });
+    expect(refundDestination(paidOrder({ paymentMethod: "wallet" }), "card").error).toMatch(
+      /paid from the wallet/,
+    );
+    expect(refundDestination(paidOrder(), "bank").error).toMatch(/refundTo must be one of/);
+  });
+});
+
+describe("Refunds - POST /api/payment/refund", () => {
+  let admin;
+  let buyer;
+  let seller;
+  let products;
+  let order;
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    flutterwave.refund.mockResolvedValue({
+      status: "success",
+      data: { id: 991, status: "completed" },
+    });
+
+    admin = await createTestUser({ role: ["admin"], activeRole: "admin" });
+    ({ user: buyer } = await createTestUser());
+    ({ user: seller } = await createTestUser({ role: ["seller"], activeRole: "seller" }));
+    const shop = await Store.create({
+      name: "Wigo Store",
+      mobile: "2347000001201",
+      owner: seller._id,
+      address: "1 Test Street",
+      ownerNIN: "12345678901",
+      state: "Lagos",
+      city: "Ikeja",
+      businessType: "retail",
+    });
+    products = {
+      phone: await createTestProduct(shop._id, {
+        title: "Phone",
+        slug: "phone",
+        price: 6000,
+        quantity: 4,
+        sold: 1,
+      }),
+      cases: await createTestProduct(shop._id, {
+        title: "Case",
+        slug: "case",
+        price: 2000,
+        quantity: 8,
+        sold: 2,
+      }),
+    };
+
+    order = await Order.create({
+      orderNumber: "WM1201",
+      orderedBy: buyer._id,
+      products: orderLines(products.phone._id, products.cases._id, shop._id),
+      deliveryMethod: "delivery_agent",
+      deliveryAddress: "12 Admiralty Way, Lekki",
+      deliveryFee: 1500,
+      discount: { code: "WIGO10", items: 1000, delivery: 0, amount: 1000 },
+      paymentStatus: "Paid",
+      paymentMethod: "card",
+      paymentIntent: { id: "tx-1", amount: 10500 },
+      orderStatus: "confirmed",
+    });
+    // What the payment booked, and the seller's earnings it credited
+    await Transaction.create({
+      transactionId: "PAY_1",
+      reference: `Payment-${order._id}`,
+      type: "order_payment",
+      totalAmount: 10500,
+      entries: [
+        { account: "cash_account", userId: buyer._id, debit: 10500, credit: 0 },
+        { account: "accounts_receivable", userId: buyer._id, debit: 0, credit: 10500 },
+      ],
+      commission: { platformAmount: 2400, vendorAmount: 7600, dispatchAmount: 0 },
+      vat: { rate: 7.5, amount: 787.5, responsibility: "platform" },
+      discount: { amount: 1000 },
+      status: "completed",
+    });
+    await Wallet.createWallet(seller._id, 7600);
+  });
+
+  const refund = (body) =>
+    request(app)
+      .post("/api/payment/refund")
+      .set("Authorization", `Bearer ${admin.token}`)
+      .send({ orderId: String(order._id), ...body });
+
+  const refundLedger = () => Transaction.find({ type: "order_refund" }).sort({ createdAt: 1 });
+  const balanceOf = async (user) => (await Wallet.findOne({ user: user._id }))?.balance;
+
+  it("refunds one unit and reverses exactly its shares", async () => {
+    const res = await refund({
+      items: [{ product: String(products.cases._id), count: 1 }],
+      reason: "Damaged",
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      amount: 1800,
+      refundTo: "card",
+      fullyRefunded: false,
+      vat: 135,
+      delivery: null,
+      creditNote: { number: "CN-WM1201-1" },
+    });
+    expect(flutterwave.refund).toHaveBeenCalledWith({ tx_ref: "tx-1", amount: 1800, type: "refund" });
+
+    const [ledger] = await refundLedger();
+    expect(ledger).toMatchObject({
+      reference: `Refund-${order._id}`,
+      totalAmount: 1800,
+      commission: { platformAmount: 700, vendorAmount: 1300, dispatchAmount: 0 },
+      vat: { amount: 135 },
+      discount: { amount: 200 },
+    });
+    // The seller was credited at payment, so their wallet pays it back
+    expect(await balanceOf(seller)).toBe(6300);
+
+    const cases = await Product.findById(products.cases._id);
+    expect(cases).toMatchObject({ quantity: 9, sold: 1 });
+
+    const refunded = await Order.findById(order._id);
+    expect(refunded.paymentStatus).toBe("Paid");
+    expect(refunded.paymentIntent.refund_amount).toBe(1800);
+    expect(refunded.refunds).toHaveLength(1);
+    const [entry] = refunded.refunds;
+    expect(entry).toMatchObject({ creditNoteNumber: "CN-WM1201-1", amount: 1800, vat: 135 });
+    expect(entry.delivery).toBeUndefined();
+    expect(
+      entry.items.map(({ product, count, amount, discountAmount }) => ({
+        product: String(product),
+        count,
+        amount,
+        discountAmount,
+      })),
+    ).toEqual([
+      { product: String(products.cases._id), count: 1, amount: 1800, discountAmount: 200 },
+    ]);
+  });
+
+  it("takes back what is left of each share on the last refund", async () => {
+    await refund({ items: [{ product: String(products.cases._id), count: 1 }] });
+    const res = await refund({ reason: "Store closed" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      amount: 8700,
+      fullyRefunded: true,
+      delivery: 1500,
+      creditNote: { number: "CN-WM1201-2" },
+    });
+
+    const [, last] = await refundLedger();
+    expect(last).toMatchObject({
+      totalAmount: 8700,
+      commission: { platformAmount: 1700, vendorAmount: 6300, dispatchAmount: 0 },
+      vat: { amount: 652.5 },
+      discount: { amount: 800 },
+    });
+    expect(await balanceOf(seller)).toBe(0);
+
+    const closed = await Order.findById(order._id);
+    expect(closed).toMatchObject({ paymentStatus: "Refunded", orderStatus: "cancelled" });
+    expect(closed.paymentIntent.refund_amount).toBe(10500);
+    expect(await Product.findById(products.phone._id)).toMatchObject({ quantity: 5, sold: 0 });
+    expect(await Product.findById(products.cases._id)).toMatchObject({ quantity: 10, sold: 0 });
+  });
+
+  it("credits the buyer's wallet at once instead of refunding the card", async () => {
+    const res = await refund({
+      items: [{ product: String(products.cases._id), count: 1 }],
+      refundTo: "wallet",
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ refundTo: "wallet", status: "completed" });
+    expect(flutterwave.refund).not.toHaveBeenCalled();
+
+    const [ledger] = await refundLedger();
+    expect(ledger.entries[1]).toMatchObject({ account: "wallet_vendor", credit: 1800 });
+    expect(String(ledger.entries[1].userId)).toBe(String(buyer._id));
+    expect(ledger.metadata.paymentMethod).toBe("wallet_refund");
+    expect(res.body.data.refund_id).toBe(ledger.transactionId);
+
+    // The seller pays it back and the buyer gets it, as store credit
+    expect(await balanceOf(seller)).toBe(6300);
+    expect(await balanceOf(buyer)).toBe(1800);
+
+    const [entry] = (await Order.findById(order._id)).refunds;
+    expect(entry).toMatchObject({ method: "wallet", refundId: ledger.transactionId });
+  });
+});
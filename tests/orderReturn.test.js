@@ -0,0 +1,185 @@
+jest.mock("../config/redisClient", () => ({ status: "end" }));
+jest.mock("../services/auditService", () => ({
+  log: jest.fn(),
+  error: jest.fn(),
+  actor: jest.fn(() => ({})),
+}));
+jest.mock("../services/firebaseNotificationService", () => ({
+  sendTemplatedNotification: jest.fn(),
+}));
+
+const mongoose = require("mongoose");
+const { STATUS, ROLE, canTransition } = require("../utils/orderStatus");
+const { serializeOrderDetail } = require("../utils/orderSerializer");
+const { refundOrder } = require("../services/orderRefundService");
+const {
+  priceReturnItems,
+  validateReturnRequest,
+} = require("../services/orderReturnService");
+
+const now = new Date("2026-05-04T12:00:00Z");
+const daysAgo = (days) => new Date(now.getTime() - days * 86_400_000);
+const photoUrl = "https://res.cloudinary.com/wigo/image/upload/v1/returns/crack.jpg";
+
+const phone = new mongoose.Types.ObjectId();
+const cases = new mongoose.Types.ObjectId();
+
+// ₦6,000 phone + 2 × ₦2,000 cases, ₦1,000 coupon, ₦1,500 delivery
+const deliveredOrder = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  orderStatus: STATUS.DELIVERED,
+  paymentStatus: "Paid",
+  deliveryMethod: "delivery_agent",
+  products: [
+    { product: phone, count: 1, unitPrice: 6000 },
+    { product: cases, count: 2, unitPrice: 2000 },
+  ],
+  discount: { items: 1000, delivery: 0, amount: 1000 },
+  deliveryFee: 1500,
+  paymentIntent: { amount: 10500 },
+  statusHistory: [{ status: STATUS.DELIVERED, at: daysAgo(2) }],
+  ...overrides,
+});
+
+describe("order state machine: cancellation and returns", () => {
+  it("lets the buyer cancel until the order is ready for pickup", () => {
+    for (const from of [STATUS.PENDING, STATUS.CONFIRMED, STATUS.PREPARING]) {
+      expect(canTransition(from, STATUS.CANCELLED, ROLE.BUYER)).toBe(true);
+    }
+    expect(canTransition(STATUS.PICKUP_READY, STATUS.CANCELLED, ROLE.BUYER)).toBe(false);
+    expect(canTransition(STATUS.IN_TRANSIT, STATUS.CANCELLED, ROLE.BUYER)).toBe(false);
+  });
+
+  it("gives each return step to the right party", () => {
+    expect(canTransition(STATUS.DELIVERED, STATUS.RETURN_REQUESTED, ROLE.BUYER)).toBe(true);
+    expect(canTransition(STATUS.DELIVERED, STATUS.RETURN_REQUESTED, ROLE.SELLER)).toBe(false);
+    expect(canTransition(STATUS.RETURN_REQUESTED, STATUS.RETURN_APPROVED, ROLE.BUYER)).toBe(false);
+    expect(canTransition(STATUS.RETURN_REQUESTED, STATUS.RETURN_APPROVED, ROLE.SELLER)).toBe(true);
+    expect(
+      canTransition(STATUS.RETURN_APPROVED, STATUS.RETURN_IN_TRANSIT, ROLE.RIDER, "delivery_agent"),
+    ).toBe(true);
+    expect(
+      canTransition(STATUS.RETURN_APPROVED, STATUS.RETURN_IN_TRANSIT, ROLE.RIDER, "self_delivery"),
+    ).toBe(false);
+    expect(canTransition(STATUS.RETURN_RECEIVED, STATUS.RETURNED, ROLE.RIDER)).toBe(false);
+    expect(canTransition(STATUS.RETURN_RECEIVED, STATUS.RETURNED, ROLE.SELLER)).toBe(true);
+    expect(canTransition(STATUS.RETURNED, STATUS.DELIVERED, ROLE.SELLER)).toBe(false);
+  });
+});
+
+describe("orderReturnService.priceReturnItems", () => {
+  it("refunds what was paid for the items, net of their share of the coupon", () => {
+    const whole = priceReturnItems(deliveredOrder());
+    expect(whole.amount).toBe(9000);
+    expect(whole.items.map((i) => i.amount)).toEqual([5400, 3600]);
+
+    const oneCase = priceReturnItems(deliveredOrder(), [{ product: String(cases), count: 1 }]);
+    expect(oneCase).toEqual({
+      items: [{ product: cases, variant: undefined, count: 1, amount: 1800 }],
+      amount: 1800,
+    });
+  });
+
+  it("never refunds more than is left on the payment", () => {
+    const order = deliveredOrder({ paymentIntent: { amount: 10500, refund_amount: 3000 } });
+    expect(priceReturnItems(order).amount).toBe(7500);
+  });
+
+  it("rejects items that are not on the order or counts above what was bought", () => {
+    const order = deliveredOrder();
+    expect(priceReturnItems(order, [{ product: String(new mongoose.Types.ObjectId()) }]).error).toMatch(
+      /part of this order/,
+    );
+    expect(priceReturnItems(order, [{ product: String(cases), count: 3 }]).error).toMatch(/1 to 2/);
+    expect(
+      priceReturnItems(order, [{ product: String(cases) }, { product: String(cases) }]).error,
+    ).toMatch(/once/);
+  });
+});
+
+describe("orderReturnService.validateReturnRequest", () => {
+  it("accepts a damaged item with a photo inside the window", () => {
+    const request = validateReturnRequest(
+      deliveredOrder(),
+      { reason: "damaged", details: " Cracked screen ", photos: [photoUrl] },
+      now,
+    );
+    expect(request).toMatchObject({
+      reason: "damaged",
+      details: "Cracked screen",
+      photos: [photoUrl],
+      amount: 9000,
+    });
+  });
+
+  it("refuses returns past the window, unpaid orders and repeat requests", () => {
+    const late = deliveredOrder({ statusHistory: [{ status: STATUS.DELIVERED, at: daysAgo(8) }] });
+    expect(validateReturnRequest(late, { reason: "no_longer_needed" }, now).error).toMatch(
+      /within 7 days/,
+    );
+    expect(
+      validateReturnRequest(deliveredOrder({ paymentStatus: "Unpaid" }), { reason: "other" }, now)
+        .error,
+    ).toMatch(/paid/);
+    expect(
+      validateReturnRequest(
+        deliveredOrder({ returnRequest: { status: "rejected" } }),
+        { reason: "no_longer_needed" },
+        now,
+      ).error,
+    ).toMatch(/already/);
+  });
+
+  it("needs evidence for damage and an explanation for other reasons", () => {
+    const order = deliveredOrder();
+    expect(validateReturnRequest(order, { reason: "damaged" }, now).error).toMatch(/photo/);
+    expect(
+      validateReturnRequest(order, { reason: "damaged", photos: ["https://example.com/a.jpg"] }, now)
+        .error,
+    ).toMatch(/Cloudinary/);
+    expect(validateReturnRequest(order, { reason: "other" }, now).error).toMatch(/why/);
+    expect(validateReturnRequest(order, { reason: "changed_mind" }, now).error).toMatch(
+      /reason must be one of/,
+    );
+  });
+});
+
+describe("orderRefundService.refundOrder", () => {
+  it("refuses unpaid orders and more units than are left", async () => {
+    await expect(refundOrder(deliveredOrder({ paymentStatus: "Unpaid" }), {})).rejects.toThrow(
+      /not paid/,
+    );
+    await expect(
+      refundOrder(
+        deliveredOrder({ refunds: [{ items: [{ product: cases, count: 1, amount: 1800 }] }] }),
+        { items: [{ product: String(cases), count: 2 }] },
+      ),
+    ).rejects.toThrow(/1 to 1/);
+  });
+});
+
+describe("orderSerializer with a return open", () => {
+  it("offers no status buttons and shows the return", () => {
+    const order = deliveredOrder({
+      orderStatus: STATUS.RETURN_REQUESTED,
+      statusHistory: [
+        { status: STATUS.DELIVERED, at: daysAgo(2) },
+        { status: STATUS.RETURN_REQUESTED, at: daysAgo(1) },
+      ],
+      returnRequest: {
+        status: "requested",
+        reason: "damaged",
+        photos: [photoUrl],
+        items: [{ product: cases, count: 1, amount: 1800 }],
+        amount: 1800,
+        requestedAt: daysAgo(1),
+      },
+    });
+
+    const detail = serializeOrderDetail(order, { role: ROLE.SELLER });
+
+    expect(detail.allowedActions).toEqual([]);
+    expect(detail.return).toMatchObject({ status: "requested", amount: 1800, refund: null });
+    expect(detail.timeline.map((step) => step.status)).toContain(STATUS.RETURN_REQUESTED);
+  });
+});
@@ -0,0 +1,178 @@
+const mongoose = require("mongoose");
+const {
+  resolveVariant,
+  variantLabel,
+  linePrices,
+  availableStock,
+  variantSnapshot,
+  reserveStockOp,
+  restockOp,
+} = require("../utils/productVariants");
+const { findCartLine, cartTotal } = require("../utils/cartLines");
+const { calculateCommissionBreakdown } = require("../services/commissionService");
+
+const id = () => new mongoose.Types.ObjectId();
+
+const black41 = {
+  _id: id(),
+  sku: "SNK-41-BLK",
+  price: 20000,
+  listedPrice: 20400,
+  quantity: 3,
+  sold: 0,
+  options: [
+    { name: "Size", value: "41" },
+    { name: "Color", value: "Black" },
+  ],
+};
+const white42 = {
+  _id: id(),
+  price: 22000,
+  listedPrice: 22440,
+  quantity: 0,
+  sold: 5,
+  options: [
+    { name: "Size", value: "42" },
+    { name: "Color", value: "White" },
+  ],
+};
+
+const sneaker = {
+  _id: id(),
+  title: "Sneaker",
+  productType: "variable",
+  price: 20000,
+  listedPrice: 20400,
+  quantity: 3,
+  variants: [black41, white42],
+};
+
+const kettle = {
+  _id: id(),
+  title: "Kettle",
+  productType: "single",
+  price: 5000,
+  listedPrice: 5100,
+  quantity: 7,
+  variants: [],
+};
+
+describe("resolveVariant", () => {
+  it("finds a variant by id, sku or option combination", () => {
+    expect(resolveVariant(sneaker, { variantId: black41._id.toString() }).variant).toBe(black41);
+    expect(resolveVariant(sneaker, { sku: "snk-41-blk" }).variant).toBe(black41);
+    expect(
+      resolveVariant(sneaker, {
+        // Option order and case must not matter
+        options: [
+          { name: "color", value: "white" },
+          { name: "Size", value: "42" },
+        ],
+      }).variant,
+    ).toBe(white42);
+  });
+
+  it("requires a selector for a variable product", () => {
+    const { variant, error } = resolveVariant(sneaker, {});
+    expect(variant).toBeNull();
+    expect(error).toMatch(/several versions/);
+  });
+
+  it("rejects a version the product does not sell", () => {
+    const { error } = resolveVariant(sneaker, {
+      options: [
+        { name: "Size", value: "41" },
+        { name: "Color", value: "White" },
+      ],
+    });
+    expect(error).toMatch(/not available/);
+  });
+
+  it("resolves a single product to no variant, and rejects a selector on one", () => {
+    expect(resolveVariant(kettle)).toEqual({ variant: null });
+    expect(resolveVariant(kettle, { sku: "X" }).error).toMatch(/single version/);
+  });
+});
+
+describe("line pricing and stock", () => {
+  it("prices and stocks a variant line from the variant", () => {
+    expect(linePrices(sneaker, white42)).toEqual({ unitPrice: 22440, vendorPrice: 22000 });
+    expect(availableStock(sneaker, white42)).toBe(0);
+  });
+
+  it("prices and stocks a single product from the product", () => {
+    expect(linePrices(kettle, null)).toEqual({ unitPrice: 5100, vendorPrice: 5000 });
+    expect(availableStock(kettle, null)).toBe(7);
+  });
+
+  it("snapshots the variant onto the line", () => {
+    expect(variantSnapshot(black41)).toEqual({
+      variant: black41._id,
+      sku: "SNK-41-BLK",
+      options: black41.options,
+    });
+    expect(variantSnapshot(null)).toEqual({});
+    expect(variantLabel(black41.options)).toBe("Size 41, Color Black");
+  });
+
+  it("guards and moves stock on the variant itself", () => {
+    const op = reserveStockOp({ productId: sneaker._id, variantId: black41._id, count: 2 });
+    expect(op.updateOne.filter.variants).toEqual({
+      $elemMatch: { _id: black41._id, quantity: { $gte: 2 } },
+    });
+    expect(op.updateOne.update.$inc).toEqual({
+      quantity: -2,
+      sold: 2,
+      "variants.$.quantity": -2,
+      "variants.$.sold": 2,
+    });
+
+    const back = restockOp({ productId: sneaker._id, variantId: black41._id, count: 2 });
+    expect(back.updateOne.update.$inc["variants.$.quantity"]).toBe(2);
+    expect(back.updateOne.filter.sold).toEqual({ $gte: 2 });
+  });
+
+  it("keeps the plain product op for single lines", () => {
+    expect(reserveStockOp({ productId: kettle._id, count: 1 }).updateOne).toEqual({
+      filter: { _id: kettle._id, quantity: { $gte: 1 } },
+      update: { $inc: { quantity: -1, sold: 1 } },
+    });
+  });
+});
+
+describe("cart lines", () => {
+  const lines = [
+    { product: sneaker._id, variant: black41._id, count: 1, price: 20400 },
+    { product: sneaker._id, variant: white42._id, count: 1, price: 22440 },
+    { product: kettle._id, count: 2, price: 10200 },
+  ];
+
+  it("tells versions of the same product apart", () => {
+    expect(findCartLine(lines, sneaker._id.toString(), white42._id.toString()).index).toBe(1);
+    expect(findCartLine(lines, kettle._id.toString()).index).toBe(2);
+  });
+
+  it("asks for a variantId when a product is in the cart twice", () => {
+    expect(findCartLine(lines, sneaker._id.toString()).error).toMatch(/more than one version/);
+  });
+
+  it("totals exactly", () => {
+    expect(cartTotal(lines)).toBe(53040);
+  });
+});
+
+describe("commission on variant lines", () => {
+  it("uses the prices snapshotted on the order line", () => {
+    const breakdown = calculateCommissionBreakdown({
+      products: [
+        // Product-level prices are the cheapest variant; the line was the 42.
+        { product: sneaker, count: 1, unitPrice: 22440, vendorPrice: 22000 },
+        // Legacy line without a snapshot
+        { product: kettle, count: 2 },
+      ],
+      paymentIntent: { amount: 32640 },
+    });
+    expect(breakdown.vendorAmount).toBe(32000);
+    expect(breakdown.platformAmount).toBe(640);
+  });
+});
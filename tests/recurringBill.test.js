@@ -0,0 +1,285 @@
+jest.mock("../config/redisClient", () => ({ status: "end" }));
+jest.mock("../services/auditService", () => ({ log: jest.fn(), error: jest.fn() }));
+jest.mock("../services/firebaseNotificationService", () => ({
+  sendTemplatedNotification: jest.fn(),
+}));
+jest.mock("../services/billPurchaseService", () => ({
+  purchaseBill: jest.fn(),
+}));
+jest.mock("../services/billProviders", () => ({
+  ...jest.requireActual("../services/billProviders"),
+  verify: jest.fn(),
+}));
+jest.mock("../services/billCatalogueService", () => ({
+  ...jest.requireActual("../services/billCatalogueService"),
+  findPlan: jest.fn(),
+}));
+
+const mongoose = require("mongoose");
+const RecurringBill = require("../models/recurringBillModel");
+const SavedBiller = require("../models/savedBillerModel");
+const Wallet = require("../models/walletModel");
+const billProviders = require("../services/billProviders");
+const billCatalogue = require("../services/billCatalogueService");
+const { sendTemplatedNotification } = require("../services/firebaseNotificationService");
+const { purchaseBill } = require("../services/billPurchaseService");
+const { validateBiller } = require("../services/savedBillerService");
+const {
+  validateSchedule,
+  nextRunAfter,
+  runRecurringBill,
+} = require("../services/recurringBillService");
+
+const now = new Date("2026-10-19T08:05:00"); // a Monday
+const userId = new mongoose.Types.ObjectId();
+
+const savedBiller = (overrides = {}) =>
+  new SavedBiller({
+    user: userId,
+    nickname: "Living room DStv",
+    serviceType: "cable_tv",
+    provider: "dstv",
+    billersCode: "7023456789",
+    ...overrides,
+  });
+
+const recurringBill = (biller, overrides = {}) =>
+  new RecurringBill({
+    user: userId,
+    biller: biller._id,
+    amount: 12500,
+    variationCode: "dstv-compact",
+    phone: "08031234567",
+    frequency: "monthly",
+    dayOfMonth: 19,
+    nextRunAt: new Date("2026-10-19T08:00:00"),
+    ...overrides,
+  });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("savedBillerService.validateBiller", () => {
+  it("normalises a meter", () => {
+    expect(
+      validateBiller({
+        nickname: " Home ",
+        service_type: "electricity",
+        provider: "ikeja_electric",
+        billers_code: "45012345678",
+      }),
+    ).toEqual({
+      nickname: "Home",
+      serviceType: "electricity",
+      provider: "ikeja-electric",
+      billersCode: "45012345678",
+      meterType: "prepaid",
+    });
+  });
+
+  it.each([
+    [{ service_type: "water" }, /service_type must be one of/],
+    [{ service_type: "airtime", provider: "vodafone" }, /Unsupported provider/],
+    [{ service_type: "airtime", provider: "mtn", billers_code: "123" }, /phone number/],
+    [{ service_type: "electricity", provider: "eko-electric", billers_code: "12ab" }, /meter number/],
+  ])("refuses %j", (body, error) => {
+    expect(validateBiller({ nickname: "Mine", ...body }).error).toMatch(error);
+  });
+});
+
+describe("recurringBillService.validateSchedule", () => {
+  it("takes a plan, not an amount, for cable TV", () => {
+    expect(
+      validateSchedule(
+        { frequency: "monthly", day_of_month: 1, variation_code: "dstv-compact", phone: "08031234567" },
+        savedBiller(),
+      ),
+    ).toEqual({
+      frequency: "monthly",
+      dayOfMonth: 1,
+      variationCode: "dstv-compact",
+      phone: "08031234567",
+    });
+  });
+
+  it("tops airtime up to the biller's own number", () => {
+    const biller = savedBiller({ serviceType: "airtime", provider: "mtn", billersCode: "08059876543" });
+
+    expect(
+      validateSchedule({ frequency: "weekly", day_of_week: 1, amount: 500 }, biller),
+    ).toEqual({ frequency: "weekly", dayOfWeek: 1, amount: 500, phone: "08059876543" });
+  });
+
+  it.each([
+    [{ frequency: "yearly" }, /frequency must be/],
+    [{ frequency: "monthly", day_of_month: 31 }, /day_of_month/],
+    [{ frequency: "weekly", day_of_week: 7 }, /day_of_week/],
+    [{ frequency: "daily", phone: "08031234567" }, /variation_code is required/],
+  ])("refuses %j", (body, error) => {
+    expect(validateSchedule(body, savedBiller()).error).toMatch(error);
+  });
+});
+
+describe("recurringBillService.nextRunAfter", () => {
+  it.each([
+    [{ frequency: "daily" }, new Date("2026-10-19T07:00:00"), new Date("2026-10-19T08:00:00")],
+    [{ frequency: "daily" }, now, new Date("2026-10-20T08:00:00")],
+    [{ frequency: "weekly", dayOfWeek: 1 }, now, new Date("2026-10-26T08:00:00")],
+    [{ frequency: "weekly", dayOfWeek: 5 }, now, new Date("2026-10-23T08:00:00")],
+    [{ frequency: "monthly", dayOfMonth: 1 }, now, new Date("2026-11-01T08:00:00")],
+    [{ frequency: "monthly", dayOfMonth: 28 }, now, new Date("2026-10-28T08:00:00")],
+    [{ frequency: "monthly", dayOfMonth: 5 }, new Date("2026-12-20T10:00:00"), new Date("2027-01-05T08:00:00")],
+  ])("schedules %j after %s for %s", (schedule, from, next) => {
+    expect(nextRunAfter(schedule, from)).toEqual(next);
+  });
+});
+
+describe("recurringBillService.runRecurringBill", () => {
+  const stubRun = ({ biller = savedBiller(), schedule = recurringBill(biller), balance = 50000 } = {}) => {
+    const claim = jest.spyOn(RecurringBill, "findOneAndUpdate").mockResolvedValue(schedule);
+    const finish = jest.spyOn(RecurringBill, "updateOne").mockResolvedValue({});
+    jest.spyOn(SavedBiller, "findOne").mockResolvedValue(biller);
+    jest.spyOn(SavedBiller, "updateOne").mockResolvedValue({});
+    jest
+      .spyOn(Wallet, "findOne")
+      .mockResolvedValue(new Wallet({ user: userId, balance }));
+    billCatalogue.findPlan.mockResolvedValue({
+      provider: "vtpass",
+      serviceId: "dstv",
+      plan: { name: "DStv Compact", price: 12500, providerPrice: 12500 },
+    });
+    billProviders.verify.mockResolvedValue({
+      provider: "vtpass",
+      serviceId: "dstv",
+      result: { verified: true, customerName: "ADA OBI", details: {} },
+    });
+    purchaseBill.mockResolvedValue({ requestId: "202610190805XYZ" });
+    return { schedule, claim, finish };
+  };
+  const finished = (finish) => finish.mock.calls.at(-1)[1].$set;
+
+  it("claims the run, moves it on and pays the plan", async () => {
+    const { schedule, claim, finish } = stubRun();
+
+    const run = await runRecurringBill(schedule, now);
+
+    expect(run).toMatchObject({ status: "submitted", amount: 12500, requestId: "202610190805XYZ" });
+    expect(claim.mock.calls[0][1].$set.nextRunAt).toEqual(new Date("2026-11-19T08:00:00"));
+    expect(purchaseBill).toHaveBeenCalledWith(
+      expect.objectContaining({
+        amount: 12500,
+        serviceType: "cable_tv",
+        provider: "vtpass",
+        serviceId: "dstv",
+        billersCode: "7023456789",
+        variationCode: "dstv-compact",
+      }),
+    );
+    expect(finished(finish)).toMatchObject({ lockedAt: null, consecutiveFailures: 0 });
+    expect(sendTemplatedNotification).not.toHaveBeenCalled();
+  });
+
+  it("tells the user when the wallet can't cover it", async () => {
+    const { schedule, finish } = stubRun({ balance: 3000 });
+
+    const run = await runRecurringBill(schedule, now);
+
+    expect(run).toMatchObject({ status: "failed", reason: expect.stringMatching(/Insufficient wallet balance/) });
+    expect(purchaseBill).not.toHaveBeenCalled();
+    expect(finished(finish)).toMatchObject({ consecutiveFailures: 1 });
+    expect(sendTemplatedNotification).toHaveBeenCalledWith(
+      String(userId),
+      "bill_recurring_failed",
+      expect.objectContaining({ nickname: "Living room DStv" }),
+      expect.anything(),
+      "systemUpdates",
+    );
+  });
+
+  it("won't pay a plan that has gone up", async () => {
+    const { schedule } = stubRun();
+    billCatalogue.findPlan.mockResolvedValue({
+      provider: "vtpass",
+      serviceId: "dstv",
+      plan: { name: "DStv Compact", price: 15700, providerPrice: 15700 },
+    });
+
+    const run = await runRecurringBill(schedule, now);
+
+    expect(run.reason).toMatch(/went up from ₦12,500 to ₦15,700/);
+    expect(purchaseBill).not.toHaveBeenCalled();
+  });
+
+  it("pauses itself after the third failure in a row", async () => {
+    const biller = savedBiller();
+    const { schedule, finish } = stubRun({
+      biller,
+      schedule: recurringBill(biller, { consecutiveFailures: 2 }),
+      balance: 0,
+    });
+
+    await runRecurringBill(schedule, now);
+
+    expect(finished(finish)).toMatchObject({
+      status: "paused",
+      consecutiveFailures: 3,
+      pausedReason: expect.stringMatching(/Insufficient wallet balance/),
+    });
+    expect(sendTemplatedNotification.mock.calls[0][1]).toBe("bill_recurring_paused");
+  });
+
+  it("pays the provider its own price for a marked-up plan", async () => {
+    const { schedule } = stubRun();
+    billCatalogue.findPlan.mockResolvedValue({
+      provider: "vtpass",
+      serviceId: "dstv",
+      plan: { name: "DStv Compact", price: 12500, providerPrice: 12300 },
+    });
+
+    await runRecurringBill(schedule, now);
+
+    expect(purchaseBill).toHaveBeenCalledWith(
+      expect.objectContaining({ amount: 12500, providerAmount: 12300 }),
+    );
+  });
+
+  it("records a purchase that throws as a failed run", async () => {
+    const { schedule, finish } = stubRun();
+    purchaseBill.mockRejectedValue(new Error("Wallet is frozen. Cannot process payment."));
+
+    await runRecurringBill(schedule, now);
+
+    expect(finished(finish)).toMatchObject({
+      lockedAt: null,
+      lastRun: expect.objectContaining({ status: "failed", reason: expect.stringMatching(/frozen/) }),
+    });
+  });
+
+  it("records every provider being down as a failed run", async () => {
+    const { schedule, finish } = stubRun();
+    billCatalogue.findPlan.mockRejectedValue(
+      new billProviders.BillProviderError("cable_tv purchases are unavailable right now.", 503),
+    );
+
+    await runRecurringBill(schedule, now);
+
+    expect(purchaseBill).not.toHaveBeenCalled();
+    expect(finished(finish)).toMatchObject({
+      consecutiveFailures: 1,
+      lastRun: expect.objectContaining({ status: "failed", reason: expect.stringMatching(/unavailable/) }),
+    });
+  });
+
+  it("leaves a run another worker holds", async () => {
+    const { schedule, claim } = stubRun();
+    claim.mockResolvedValue(null);
+
+    await expect(runRecurringBill(schedule, now)).resolves.toBeNull();
+    expect(purchaseBill).not.toHaveBeenCalled();
+  });
+});
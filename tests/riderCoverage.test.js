@@ -0,0 +1,114 @@
+const mongoose = require("mongoose");
+const Store = require("../models/storeModel");
+const riderCoverage = require("../services/riderCoverageService");
+const { serializeDeliveryOrder } = require("../utils/orderSerializer");
+
+// 2026-05-04 is a Monday; Lagos is UTC+1
+const monday = new Date("2026-05-04T12:00:00+01:00");
+const saturday = new Date("2026-05-09T12:00:00+01:00");
+// 23:30 UTC on Sunday is already Monday in Lagos
+const lateSunday = new Date("2026-05-03T23:30:00Z");
+
+const lekki = { name: "Lekki", coordinates: { latitude: 6.44, longitude: 3.47 }, radius: 5 };
+const yaba = { name: "Yaba", coordinates: { latitude: 6.51, longitude: 3.38 }, radius: 3 };
+
+const profile = (overrides = {}) => ({
+  coverageAreas: [lekki, yaba],
+  availability: { workingDays: ["monday", "tuesday", "wednesday", "thursday", "friday"] },
+  ...overrides,
+});
+
+describe("riderCoverageService.isWorkingDay", () => {
+  it("reads the day in Lagos", () => {
+    expect(riderCoverage.isWorkingDay(profile(), monday)).toBe(true);
+    expect(riderCoverage.isWorkingDay(profile(), saturday)).toBe(false);
+    expect(riderCoverage.isWorkingDay(profile(), lateSunday)).toBe(true);
+  });
+
+  it("treats a rider without working days as always working", () => {
+    expect(riderCoverage.isWorkingDay(profile({ availability: {} }), saturday)).toBe(true);
+  });
+});
+
+describe("riderCoverageService.pickupDistanceKm", () => {
+  const store = { lat: 6.45, lng: 3.47 };
+
+  it("measures from the live position when there is one", () => {
+    expect(riderCoverage.pickupDistanceKm(profile(), { lat: 6.47, lng: 3.47 }, store)).toBeCloseTo(
+      2.22,
+      1,
+    );
+  });
+
+  it("falls back to the nearest coverage area around the store", () => {
+    expect(riderCoverage.pickupDistanceKm(profile(), undefined, store)).toBeCloseTo(1.11, 1);
+    expect(
+      riderCoverage.pickupDistanceKm(profile(), undefined, { lat: 6.7, lng: 3.47 }),
+    ).toBeNull();
+  });
+});
+
+describe("riderCoverageService.poolScope", () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("narrows the pool to covered stores, nearest first", async () => {
+    const near = { _id: new mongoose.Types.ObjectId(), location: { coordinates: [3.47, 6.45] } };
+    const far = { _id: new mongoose.Types.ObjectId(), location: { coordinates: [3.38, 6.52] } };
+    const find = jest
+      .spyOn(Store, "find")
+      .mockReturnValue({ select: jest.fn().mockResolvedValue([far, near]) });
+
+    const scope = await riderCoverage.poolScope(profile(), {
+      position: { lat: 6.44, lng: 3.47 },
+      at: monday,
+    });
+
+    expect(find.mock.calls[0][0].$or).toHaveLength(2);
+    expect(find.mock.calls[0][0].$or[0].location.$geoWithin.$centerSphere).toEqual([
+      [3.47, 6.44],
+      5 / 6378.1,
+    ]);
+    expect(scope).toEqual({
+      workingToday: true,
+      filter: { "products.store": { $in: [near._id, far._id] } },
+      nearestStores: [near._id, far._id],
+    });
+  });
+
+  it("leaves the pool whole without coverage areas, and hides it on days off", async () => {
+    const find = jest.spyOn(Store, "find");
+
+    expect(
+      await riderCoverage.poolScope(profile({ coverageAreas: [] }), { at: monday }),
+    ).toEqual({ workingToday: true, filter: {}, nearestStores: null });
+    expect(await riderCoverage.poolScope(profile(), { at: saturday })).toEqual({
+      workingToday: false,
+      filter: null,
+      nearestStores: null,
+    });
+    expect(find).not.toHaveBeenCalled();
+  });
+});
+
+describe("serializeDeliveryOrder pickup distance", () => {
+  it("adds the rider's distance to each pickup", () => {
+    const store = {
+      _id: new mongoose.Types.ObjectId(),
+      name: "Lekki Store",
+      address: "Admiralty Way",
+      location: { coordinates: [3.47, 6.45] },
+    };
+    const order = {
+      _id: new mongoose.Types.ObjectId(),
+      orderNumber: "WM1201",
+      products: [{ product: { title: "Rice" }, store, count: 1, unitPrice: 5000 }],
+    };
+
+    const distances = riderCoverage.pickupDistances(profile(), undefined, [order]);
+    const serialized = serializeDeliveryOrder(order, { pickupDistances: distances });
+
+    expect(serialized.pickupDistanceKm).toBeCloseTo(1.11, 1);
+    expect(serialized.pickups[0].distanceKm).toBe(serialized.pickupDistanceKm);
+    expect(serializeDeliveryOrder(order).pickupDistanceKm).toBeNull();
+  });
+});
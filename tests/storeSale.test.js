@@ -0,0 +1,131 @@
+const {
+  saleFor,
+  applySale,
+  withEffectivePrice,
+  normalizeSaleInput,
+} = require("../services/storeSaleService");
+const { calculateCommissionBreakdown } = require("../services/commissionService");
+
+const store = "64b000000000000000000001";
+const otherStore = "64b000000000000000000002";
+const phones = "64c000000000000000000001";
+
+const product = {
+  _id: "64d000000000000000000001",
+  store,
+  category: phones,
+  price: 10000,
+  listedPrice: 10200,
+};
+
+const sale = (overrides = {}) => ({
+  _id: "64e000000000000000000001",
+  store,
+  name: "Flash",
+  products: [],
+  category: phones,
+  discountPercent: 10,
+  stockCap: null,
+  soldCount: 0,
+  endsAt: new Date("2026-12-01"),
+  ...overrides,
+});
+
+describe("storeSaleService — resolution", () => {
+  it("matches by category or product list, within the sale's own store", () => {
+    expect(saleFor(product, [sale()])).not.toBeNull();
+    expect(saleFor(product, [sale({ category: null, products: [product._id] })])).not.toBeNull();
+    expect(saleFor(product, [sale({ store: otherStore })])).toBeNull();
+    expect(saleFor(product, [sale({ category: null, products: [otherStore] })])).toBeNull();
+  });
+
+  it("picks the deepest discount that still has enough units", () => {
+    const deep = sale({ _id: "deep", discountPercent: 30, stockCap: 5, soldCount: 4 });
+    const shallow = sale({ _id: "shallow", discountPercent: 10 });
+    expect(saleFor(product, [shallow, deep])._id).toBe("deep");
+    expect(saleFor(product, [shallow, deep], { count: 2 })._id).toBe("shallow");
+  });
+
+  it("takes the discount off the listed price and records it per unit", () => {
+    const prices = applySale({ unitPrice: 10200, vendorPrice: 10000 }, sale());
+    expect(prices.unitPrice).toBe(9180);
+    expect(prices.vendorPrice).toBe(10000);
+    expect(prices.sale.discount).toBe(1020);
+    expect(applySale({ unitPrice: 10200, vendorPrice: 10000 }, null).sale).toBeUndefined();
+  });
+
+  it("decorates products and their variants with effectivePrice", () => {
+    const variable = {
+      ...product,
+      variants: [{ price: 5000, listedPrice: 5100 }],
+    };
+    const priced = withEffectivePrice(variable, [sale({ stockCap: 10, soldCount: 3 })]);
+    expect(priced.effectivePrice).toBe(9180);
+    expect(priced.listedPrice).toBe(10200);
+    expect(priced.variants[0].effectivePrice).toBe(4590);
+    expect(priced.sale).toMatchObject({ discountPercent: 10, remaining: 7 });
+
+    expect(withEffectivePrice(product, [])).toMatchObject({ effectivePrice: 10200, sale: null });
+  });
+});
+
+describe("commissionService — store sales", () => {
+  it("charges the sale discount to the vendor, not the platform spread", () => {
+    const order = {
+      products: [
+        {
+          count: 2,
+          unitPrice: 9180,
+          vendorPrice: 10000,
+          sale: { discount: 1020 },
+        },
+      ],
+      deliveryFee: 0,
+      paymentIntent: { amount: 18360 },
+    };
+    const breakdown = calculateCommissionBreakdown(order);
+    expect(breakdown.vendorAmount).toBe(17960);
+    expect(breakdown.platformAmount).toBe(400);
+    expect(breakdown.saleDiscountAmount).toBe(2040);
+    expect(breakdown.vendorAmount + breakdown.platformAmount).toBe(18360);
+  });
+});
+
+describe("normalizeSaleInput", () => {
+  const now = new Date("2026-06-01T00:00:00Z");
+  const valid = {
+    name: "Flash",
+    category: phones,
+    discountPercent: 20,
+    startsAt: "2026-06-02T00:00:00Z",
+    endsAt: "2026-06-03T00:00:00Z",
+  };
+
+  it("accepts a category sale and requires exactly one scope", () => {
+    expect(normalizeSaleInput(valid, null, { now }).data.category).toBe(phones);
+    expect(
+      normalizeSaleInput({ ...valid, products: [product._id] }, null, { now }).error,
+    ).toMatch(/not both/);
+    expect(
+      normalizeSaleInput({ ...valid, category: undefined }, null, { now }).error,
+    ).toMatch(/not both/);
+  });
+
+  it("bounds the discount and the window", () => {
+    expect(normalizeSaleInput({ ...valid, discountPercent: 95 }, null, { now }).error).toMatch(
+      /discountPercent/,
+    );
+    expect(
+      normalizeSaleInput({ ...valid, endsAt: valid.startsAt }, null, { now }).error,
+    ).toMatch(/after startsAt/);
+  });
+
+  it("locks the terms of a sale once it has started", () => {
+    const live = { startsAt: new Date("2026-05-30"), endsAt: new Date("2026-06-05"), soldCount: 8 };
+    expect(normalizeSaleInput({ discountPercent: 50 }, live, { now }).error).toMatch(
+      /cannot change discountPercent/,
+    );
+    expect(normalizeSaleInput({ stockCap: 5 }, live, { now }).error).toMatch(/already sold/);
+    expect(normalizeSaleInput({ stockCap: 20 }, live, { now }).data).toEqual({ stockCap: 20 });
+  });
+});
@@ -0,0 +1,159 @@
+jest.mock("../services/auditService", () => ({ log: jest.fn(), error: jest.fn() }));
+jest.mock("../services/withdrawalService", () => ({
+  ...jest.requireActual("../services/withdrawalService"),
+  refundWithdrawal: jest.fn(),
+  emailWithdrawalOutcome: jest.fn(),
+}));
+
+const mongoose = require("mongoose");
+const Transaction = require("../models/transactionModel");
+const audit = require("../services/auditService");
+const {
+  transferReference,
+  withdrawalFee,
+  refundWithdrawal,
+  emailWithdrawalOutcome,
+} = require("../services/withdrawalService");
+const { processTransferWebhook } = require("../services/transferWebhookProcessor");
+const paymentQueue = require("../services/paymentQueue");
+
+const withdrawal = (overrides = {}) => ({
+  _id: "64a0000000000000000000aa",
+  transactionId: "TXN123",
+  type: "wallet_withdrawal",
+  status: "processing",
+  totalAmount: 5000,
+  entries: [
+    { account: "wallet_vendor", userId: "64a000000000000000000001", debit: 5050, credit: 0 },
+    { account: "bank_transfer_fees", debit: 50, credit: 0 },
+  ],
+  metadata: {},
+  ...overrides,
+});
+
+const event = (status, data = {}) => ({
+  event: "transfer.completed",
+  data: {
+    id: 991,
+    reference: transferReference("TXN123"),
+    status,
+    amount: 5000,
+    complete_message: status === "FAILED" ? "Account resolve failed" : "Successful",
+    ...data,
+  },
+});
+
+describe("withdrawal helpers", () => {
+  it("derives the transfer reference and fee from the transaction", () => {
+    expect(transferReference("TXN123")).toBe("WD_TXN123");
+    expect(withdrawalFee(withdrawal())).toBe(50);
+  });
+});
+
+describe("processTransferWebhook", () => {
+  let txn;
+  let findOneAndUpdate;
+  beforeEach(() => {
+    jest.clearAllMocks();
+    txn = withdrawal();
+    jest.spyOn(Transaction, "findOne").mockImplementation(async () => txn);
+    findOneAndUpdate = jest
+      .spyOn(Transaction, "findOneAndUpdate")
+      .mockImplementation(async (filter, update) => ({ ...txn, status: update.$set.status }));
+    jest.spyOn(mongoose, "startSession").mockResolvedValue({
+      withTransaction: (fn) => fn(),
+      endSession: jest.fn(),
+    });
+    refundWithdrawal.mockResolvedValue({ refundAmount: 5050, reversalTransactionId: "REV_1" });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  it("ignores events that are not a final transfer outcome", async () => {
+    await processTransferWebhook(event("PENDING"));
+    await processTransferWebhook({ ...event("SUCCESSFUL"), event: "charge.completed" });
+    expect(Transaction.findOne).not.toHaveBeenCalled();
+  });
+
+  it("completes a processing withdrawal and emails a receipt", async () => {
+    await processTransferWebhook(event("SUCCESSFUL"));
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter.status).toBe("processing");
+    expect(update.$set).toMatchObject({
+      status: "completed",
+      "metadata.transfer.reference": "WD_TXN123",
+      "metadata.transfer.id": "991",
+    });
+    expect(refundWithdrawal).not.toHaveBeenCalled();
+    expect(audit.log).toHaveBeenCalledWith(
+      expect.objectContaining({ action: "wallet.withdrawal_completed" }),
+    );
+    expect(emailWithdrawalOutcome).toHaveBeenCalledWith(
+      expect.objectContaining({ status: "completed" }),
+      expect.anything(),
+    );
+  });
+
+  it("fails the withdrawal and refunds the wallet", async () => {
+    await processTransferWebhook(event("FAILED"));
+
+    expect(findOneAndUpdate.mock.calls[0][1].$set.status).toBe("failed");
+    expect(refundWithdrawal).toHaveBeenCalledWith(
+      expect.objectContaining({ status: "failed" }),
+      { note: "Refund for failed transfer: Account resolve failed" },
+      expect.anything(),
+    );
+    expect(emailWithdrawalOutcome).toHaveBeenCalledWith(
+      expect.objectContaining({ status: "failed" }),
+      expect.objectContaining({ refundAmount: 5050 }),
+    );
+  });
+
+  it("does nothing for a redelivered event once settled", async () => {
+    txn = withdrawal({ status: "completed" });
+    await processTransferWebhook(event("FAILED"));
+
+    // A concurrent delivery loses the conditional update instead
+    txn = withdrawal();
+    findOneAndUpdate.mockResolvedValueOnce(null);
+    await processTransferWebhook(event("FAILED"));
+
+    expect(findOneAndUpdate).toHaveBeenCalledTimes(1);
+    expect(refundWithdrawal).not.toHaveBeenCalled();
+    expect(emailWithdrawalOutcome).not.toHaveBeenCalled();
+  });
+
+  it("retries while the approval has not committed yet", async () => {
+    txn = withdrawal({ status: "pending" });
+    await expect(processTransferWebhook(event("SUCCESSFUL"))).rejects.toThrow(
+      /not awaiting a transfer/,
+    );
+  });
+
+  it("retries in-process when the queue is unavailable", async () => {
+    jest.useFakeTimers();
+    try {
+      // The webhook beats the approval's commit, which lands before the retry
+      txn = withdrawal({ status: "pending" });
+      await paymentQueue.enqueueTransferWebhook(event("SUCCESSFUL"), "1.2.3.4");
+      await jest.advanceTimersByTimeAsync(0);
+      expect(findOneAndUpdate).not.toHaveBeenCalled();
+
+      txn = withdrawal();
+      await jest.advanceTimersByTimeAsync(5_000);
+
+      expect(findOneAndUpdate.mock.calls[0][1].$set.status).toBe("completed");
+      expect(audit.error).not.toHaveBeenCalled();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it("leaves a success with the wrong amount for an admin", async () => {
+    await processTransferWebhook(event("SUCCESSFUL", { amount: 4000 }));
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+    expect(audit.error).toHaveBeenCalledWith(
+      expect.objectContaining({ action: "wallet.withdrawal_transfer_amount_mismatch" }),
+    );
+  });
+});
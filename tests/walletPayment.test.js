@@ -0,0 +1,196 @@
+jest.mock("../controllers/emailController", () => jest.fn().mockResolvedValue({}));
+jest.mock("resend", () => ({
+  Resend: jest.fn().mockImplementation(() => ({
+    emails: { send: jest.fn().mockResolvedValue({ data: {}, error: null }) },
+  })),
+}));
+
+const request = require("supertest");
+const app = require("../app");
+const Order = require("../models/orderModel");
+const Checkout = require("../models/checkoutModel");
+const Store = require("../models/storeModel");
+const Wallet = require("../models/walletModel");
+const Transaction = require("../models/transactionModel");
+const VATConfig = require("../models/vatConfigModel");
+const { createTestUser, createTestProduct } = require("./helpers");
+
+describe("Wallet payments - POST /api/payment/wallet", () => {
+  let buyer;
+  let seller;
+  let checkout;
+  let orders;
+
+  beforeEach(async () => {
+    buyer = await createTestUser();
+    ({ user: seller } = await createTestUser({ role: ["seller"], activeRole: "seller" }));
+    const store = await Store.create({
+      name: "Wallet Pay Store",
+      mobile: "2347000001801",
+      owner: seller._id,
+      address: "1 Test Street",
+      ownerNIN: "12345678901",
+      state: "Lagos",
+      city: "Ikeja",
+      businessType: "retail",
+    });
+    await VATConfig.create({});
+
+    // A checkout's two store orders, ₦5,000 and ₦3,000
+    checkout = await Checkout.create({
+      orderedBy: buyer.user._id,
+      paymentIntent: { id: "tx-1", amount: 8000 },
+    });
+    orders = [];
+    for (const amount of [5000, 3000]) {
+      const product = await createTestProduct(store._id, {
+        title: `Item ${amount}`,
+        slug: `item-${amount}`,
+        price: amount - 500,
+      });
+      orders.push(
+        await Order.create({
+          checkout: checkout._id,
+          orderedBy: buyer.user._id,
+          products: [
+            {
+              product: product._id,
+              count: 1,
+              unitPrice: amount,
+              vendorPrice: amount - 500,
+              store: store._id,
+            },
+          ],
+          deliveryMethod: "self_delivery",
+          deliveryAddress: "12 Admiralty Way, Lekki",
+          paymentIntent: { id: "tx-1", amount },
+        }),
+      );
+    }
+    checkout.orders = orders.map((o) => o._id);
+    await checkout.save();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const fundWallet = (balance, overrides = {}) =>
+    Wallet.create({ user: buyer.user._id, balance, ...overrides });
+
+  const pay = () =>
+    request(app)
+      .post("/api/payment/wallet")
+      .set("Authorization", `Bearer ${buyer.token}`)
+      .send({ checkoutId: String(checkout._id) });
+
+  const balanceOf = async (userId) => (await Wallet.findOne({ user: userId }))?.balance;
+
+  const expectNothingPaid = async () => {
+    expect(await Transaction.countDocuments({ type: "order_payment" })).toBe(0);
+    const unpaid = await Order.find({ checkout: checkout._id });
+    expect(unpaid.map((o) => o.paymentStatus)).toEqual(["Unpaid", "Unpaid"]);
+    expect(await balanceOf(seller._id)).toBeUndefined();
+  };
+
+  it("books each order against the buyer's wallet and debits it once", async () => {
+    await fundWallet(10000);
+
+    const res = await pay();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.walletBalance).toBe(2000);
+    expect(res.body.data.settlements).toHaveLength(2);
+
+    const ledgers = await Transaction.find({ type: "order_payment" });
+    expect(ledgers.map((t) => t.reference).sort()).toEqual(
+      orders.map((o) => `Payment-${o._id}`).sort(),
+    );
+    for (const ledger of ledgers) {
+      expect(ledger.entries[0].account).toBe("wallet_vendor");
+      expect(String(ledger.entries[0].userId)).toBe(String(buyer.user._id));
+      expect(ledger.metadata.paymentMethod).toBe("wallet");
+    }
+
+    const paid = await Order.find({ checkout: checkout._id });
+    for (const order of paid) {
+      expect(order).toMatchObject({ paymentStatus: "Paid", paymentMethod: "wallet" });
+    }
+    expect((await Checkout.findById(checkout._id)).paymentStatus).toBe("Paid");
+    expect(await balanceOf(buyer.user._id)).toBe(2000);
+    // The seller earns their price on both orders
+    expect(await balanceOf(seller._id)).toBe(7000);
+  });
+
+  it("charges only for orders not settled already", async () => {
+    await fundWallet(10000);
+    // The ₦5,000 order was settled by an earlier card payment
+    const [settled] = orders;
+    await Transaction.create({
+      transactionId: "FLW_1",
+      reference: `Payment-${settled._id}`,
+      type: "order_payment",
+      totalAmount: 5000,
+      entries: [
+        { account: "cash_account", userId: buyer.user._id, debit: 5000, credit: 0 },
+        { account: "accounts_receivable", userId: buyer.user._id, debit: 0, credit: 5000 },
+      ],
+      status: "completed",
+    });
+    await Order.updateOne({ _id: settled._id }, { paymentStatus: "Paid" });
+
+    const res = await pay();
+
+    expect(res.status).toBe(200);
+    expect(await balanceOf(buyer.user._id)).toBe(7000);
+    expect(await Transaction.countDocuments({ type: "order_payment" })).toBe(2);
+  });
+
+  it("refuses a wallet that no longer covers the checkout", async () => {
+    await fundWallet(7999.99);
+
+    const res = await pay();
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/Available: ₦7999.99, Required: ₦8000/);
+    await expectNothingPaid();
+  });
+
+  it("won't spend the wallet's minimum balance", async () => {
+    await fundWallet(8400, { limits: { minimumBalance: 500 } });
+
+    const res = await pay();
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/Available: ₦7900, Required: ₦8000/);
+    expect(await balanceOf(buyer.user._id)).toBe(8400);
+    await expectNothingPaid();
+  });
+
+  it("refuses a frozen wallet", async () => {
+    await fundWallet(10000, { status: "frozen" });
+
+    const res = await pay();
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("You don't have an active wallet to pay from");
+    await expectNothingPaid();
+  });
+
+  it("answers 400 when the wallet is spent between the check and the debit", async () => {
+    await fundWallet(10000);
+    const deductFunds = Wallet.prototype.deductFunds;
+    jest.spyOn(Wallet.prototype, "deductFunds").mockImplementationOnce(async function (...args) {
+      // Another payment empties the wallet first
+      await Wallet.collection.updateOne({ _id: this._id }, { $set: { balance: 0 } });
+      return deductFunds.apply(this, args);
+    });
+
+    const res = await pay();
+
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+    expect(res.body.message).toMatch(/insufficient/i);
+    await expectNothingPaid();
+  });
+});
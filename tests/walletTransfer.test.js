@@ -0,0 +1,271 @@
+jest.mock("../controllers/emailController", () => jest.fn().mockResolvedValue({}));
+jest.mock("resend", () => ({
+  Resend: jest.fn().mockImplementation(() => ({
+    emails: { send: jest.fn().mockResolvedValue({ data: {}, error: null }) },
+  })),
+}));
+jest.mock("../services/firebaseNotificationService", () => ({
+  sendTemplatedNotification: jest.fn(),
+}));
+
+const bcrypt = require("bcrypt");
+const mongoose = require("mongoose");
+const request = require("supertest");
+const app = require("../app");
+const Wallet = require("../models/walletModel");
+const Transaction = require("../models/transactionModel");
+const firebaseService = require("../services/firebaseNotificationService");
+const { describeRecipient, validateTransfer } = require("../services/walletTransferService");
+const { createTestUser } = require("./helpers");
+
+const PIN = "2580";
+
+describe("walletTransferService.validateTransfer", () => {
+  it("accepts an amount with a trimmed note and reference", () => {
+    expect(validateTransfer({ amount: 2500.5, note: " errand ", reference: "r-1" })).toEqual({
+      amount: 2500.5,
+      note: "errand",
+      reference: "r-1",
+    });
+  });
+
+  it.each([
+    [{ amount: 0 }, "amount must be a positive number"],
+    [{ amount: "500" }, "amount must be a positive number"],
+    [{ amount: 10.005 }, "amount can't have more than 2 decimal places"],
+    [{ amount: 10, note: "x".repeat(141) }, "note must be at most 140 characters"],
+    [{ amount: 10, reference: "" }, "reference must be text of at most 64 characters"],
+  ])("refuses %j", (body, error) => {
+    expect(validateTransfer(body)).toEqual({ error });
+  });
+});
+
+describe("walletTransferService.describeRecipient", () => {
+  it("masks the recipient's contact details", () => {
+    expect(
+      describeRecipient({
+        _id: new mongoose.Types.ObjectId(),
+        fullName: "Tunde Rider",
+        mobile: "2348031234567",
+        email: "tunde@example.com",
+      }),
+    ).toMatchObject({
+      name: "Tunde Rider",
+      mobile: "2348*******67",
+      email: "tu***@example.com",
+    });
+  });
+});
+
+describe("walletModel.transferAllowance", () => {
+  it("starts each day afresh", () => {
+    const wallet = new Wallet({
+      user: new mongoose.Types.ObjectId(),
+      transferStats: {
+        dailyTransferred: { amount: 150000, date: new Date("2026-10-18T10:00:00Z") },
+      },
+    });
+
+    expect(wallet.transferAllowance(new Date("2026-10-18T20:00:00Z"))).toBe(50000);
+    expect(wallet.transferAllowance(new Date("2026-10-19T08:00:00Z"))).toBe(200000);
+  });
+});
+
+describe("Wallet transfers", () => {
+  let seller;
+  let rider;
+
+  beforeAll(async () => {
+    // A repeated reference is refused by the ledger's unique index
+    await Transaction.init();
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    seller = await createTestUser({
+      fullName: "Ada Seller",
+      role: ["seller"],
+      activeRole: "seller",
+    });
+    rider = await createTestUser({
+      fullName: "Tunde Rider",
+      mobile: "2348031234567",
+      email: "tunde@example.com",
+      role: ["dispatch"],
+      activeRole: "dispatch",
+    });
+  });
+
+  // A wallet the owner can send from with PIN
+  const openWallet = async (user, overrides = {}) =>
+    Wallet.create({
+      user: user._id,
+      balance: 10000,
+      withdrawalPin: { hash: await bcrypt.hash(PIN, 10), createdAt: new Date() },
+      ...overrides,
+    });
+
+  const balanceOf = async (user) => (await Wallet.findOne({ user: user._id }))?.balance;
+
+  describe("GET /api/wallet/transfer/recipient", () => {
+    const lookUp = (identifier) =>
+      request(app)
+        .get("/api/wallet/transfer/recipient")
+        .query({ identifier })
+        .set("Authorization", `Bearer ${seller.token}`);
+
+    it("looks a phone number up in its stored form, and masks the recipient", async () => {
+      const res = await lookUp("08031234567");
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({
+        _id: String(rider.user._id),
+        name: "Tunde Rider",
+        mobile: "2348*******67",
+        email: "tu***@example.com",
+      });
+    });
+
+    it("reports an unknown user as not found", async () => {
+      const res = await lookUp("nobody@example.com");
+
+      expect(res.status).toBe(404);
+      expect(res.body.success).toBe(false);
+    });
+
+    it("refuses blocked users", async () => {
+      rider.user.isBlocked = true;
+      await rider.user.save();
+
+      const res = await lookUp("tunde@example.com");
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("This user can't receive transfers");
+    });
+
+    it("refuses the sender themself", async () => {
+      const res = await lookUp(seller.user.email);
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("You can't send money to yourself");
+    });
+  });
+
+  describe("POST /api/wallet/transfer", () => {
+    const send = (body) =>
+      request(app)
+        .post("/api/wallet/transfer")
+        .set("Authorization", `Bearer ${seller.token}`)
+        .send({ recipient: "08031234567", pin: PIN, ...body });
+
+    it("debits the sender, credits the recipient and posts both sides", async () => {
+      await openWallet(seller.user);
+      await Wallet.create({ user: rider.user._id, balance: 500 });
+
+      const res = await send({ amount: 3000, note: " Errand ", reference: "r-1" });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({
+        amount: 3000,
+        note: "Errand",
+        remainingBalance: 7000,
+        dailyTransferRemaining: 197000,
+      });
+      expect(await balanceOf(seller.user)).toBe(7000);
+      expect(await balanceOf(rider.user)).toBe(3500);
+
+      const ledger = await Transaction.findOne({ type: "wallet_transfer" });
+      expect(ledger).toMatchObject({
+        transactionId: res.body.data.transactionId,
+        totalAmount: 3000,
+        status: "completed",
+        metadata: { notes: "Errand", externalEventId: `P2P_${seller.user._id}_r-1` },
+      });
+      expect(
+        ledger.entries.map(({ account, userId, debit, credit }) => ({
+          account,
+          userId: String(userId),
+          debit,
+          credit,
+        })),
+      ).toEqual([
+        { account: "wallet_vendor", userId: String(seller.user._id), debit: 3000, credit: 0 },
+        { account: "wallet_vendor", userId: String(rider.user._id), debit: 0, credit: 3000 },
+      ]);
+      expect(firebaseService.sendTemplatedNotification).toHaveBeenCalledWith(
+        String(rider.user._id),
+        "wallet_transfer_received",
+        { sender: "Ada Seller", amount: 3000 },
+        expect.objectContaining({ type: "wallet_transfer" }),
+        "systemUpdates",
+      );
+    });
+
+    it("opens a wallet for a recipient without one", async () => {
+      await openWallet(seller.user);
+
+      const res = await send({ amount: 100 });
+
+      expect(res.status).toBe(200);
+      expect(await balanceOf(rider.user)).toBe(100);
+    });
+
+    it("refuses to send to oneself", async () => {
+      await openWallet(seller.user);
+
+      const res = await send({ recipient: seller.user.email, amount: 100 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("You can't send money to yourself");
+      expect(await balanceOf(seller.user)).toBe(10000);
+    });
+
+    it("refuses a wrong PIN", async () => {
+      await openWallet(seller.user);
+
+      const res = await send({ amount: 100, pin: "0000" });
+
+      expect(res.status).toBe(401);
+      expect(await balanceOf(seller.user)).toBe(10000);
+      expect(await Transaction.countDocuments({ type: "wallet_transfer" })).toBe(0);
+    });
+
+    it("refuses more than the balance", async () => {
+      await openWallet(seller.user, { balance: 99.99 });
+
+      const res = await send({ amount: 100 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toMatch(/Insufficient/);
+      expect(await balanceOf(seller.user)).toBe(99.99);
+    });
+
+    it("refuses more than is left of the daily limit", async () => {
+      await openWallet(seller.user, {
+        balance: 500000,
+        transferStats: { dailyTransferred: { amount: 199000, date: new Date() } },
+      });
+
+      const res = await send({ amount: 1000.01 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.message).toMatch(/You can send ₦1000 more today\.$/);
+      expect(await Transaction.countDocuments({ type: "wallet_transfer" })).toBe(0);
+      expect(await balanceOf(rider.user)).toBeUndefined();
+    });
+
+    it("sends a repeated reference only once", async () => {
+      await openWallet(seller.user);
+
+      const first = await send({ amount: 100, reference: "r-1" });
+      const retry = await send({ amount: 100, reference: "r-1" });
+
+      expect(first.status).toBe(200);
+      expect(retry.status).toBe(409);
+      expect(retry.body.message).toBe("This transfer has already been sent");
+      expect(await balanceOf(seller.user)).toBe(9900);
+      expect(await balanceOf(rider.user)).toBe(100);
+      expect(await Transaction.countDocuments({ type: "wallet_transfer" })).toBe(1);
+    });
+  });
+});
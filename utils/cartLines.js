@@ -0,0 +1,52 @@
+/**
+ * @file cartLines.js
+ * @description Locating and totalling lines in a Cart.
+ *
+ * A cart line is one product in one version: two sizes of the same shoe are
+ * two lines, each with its own count and price. Lines of a single product have
+ * no `variant`.
+ */
+
+const money = require("./money");
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+const sameId = (a, b) => String(idOf(a) ?? "") === String(idOf(b) ?? "");
+
+/** Does this line hold the given product in the given version? */
+const isLine = (item, productId, variantId) =>
+  sameId(item.product, productId) && sameId(item.variant, variantId);
+
+/**
+ * Index of the cart line a request refers to. `variantId` may be omitted when
+ * the product is in the cart in only one version, which keeps older clients
+ * that only send a productId working.
+ *
+ * @param {Array}  products  cart.products
+ * @param {string} productId
+ * @param {string} [variantId]
+ * @returns {{ index: number, error?: string }} index is -1 when not found
+ */
+const findCartLine = (products, productId, variantId) => {
+  if (variantId) {
+    return { index: products.findIndex((item) => isLine(item, productId, variantId)) };
+  }
+
+  const matches = [];
+  products.forEach((item, index) => {
+    if (sameId(item.product, productId)) matches.push(index);
+  });
+
+  if (matches.length > 1) {
+    return {
+      index: -1,
+      error: "This product is in your cart in more than one version — pass variantId to choose which",
+    };
+  }
+  return { index: matches.length ? matches[0] : -1 };
+};
+
+/** Cart total: the exact sum of every line's price. */
+const cartTotal = (products) => money.sum(products, (item) => item.price);
+
+module.exports = { isLine, findCartLine, cartTotal };
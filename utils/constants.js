@@ -17,6 +17,11 @@ const OrderStatus = {
   IN_TRANSIT: "inTransit",
   DELIVERED: "delivered",
   CANCELLED: "cancelled",
+  RETURN_REQUESTED: "returnRequested",
+  RETURN_APPROVED: "returnApproved",
+  RETURN_IN_TRANSIT: "returnInTransit",
+  RETURN_RECEIVED: "returnReceived",
+  RETURNED: "returned",
 };
 
 const DeliveryStatus = {
@@ -33,6 +38,7 @@ const PaymentMethod = {
   CARD: "card",
   BANK: "bank",
   FLUTTERWAVE: "flutterwave",
+  WALLET: "wallet",
 };
 
 const DeliveryMethod = {
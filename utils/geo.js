@@ -0,0 +1,97 @@
+/**
+ * @file geo.js
+ * @description Plane geometry on [longitude, latitude] positions, as stored
+ *   in GeoJSON. Zones in this app span a few kilometres at most, so treating
+ *   degrees as planar for point-in-polygon is accurate enough; distances use
+ *   the haversine formula.
+ */
+
+const EARTH_RADIUS_METERS = 6371e3;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/** Great-circle distance in metres between two lat/lng pairs. */
+function haversineDistance(lat1, lon1, lat2, lon2) {
+  const φ1 = toRadians(lat1);
+  const φ2 = toRadians(lat2);
+  const Δφ = toRadians(lat2 - lat1);
+  const Δλ = toRadians(lon2 - lon1);
+
+  const a =
+    Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+    Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+  return EARTH_RADIUS_METERS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/** Is [lng, lat] a position on the globe? */
+function isPosition(position) {
+  return (
+    Array.isArray(position) &&
+    position.length >= 2 &&
+    Number.isFinite(position[0]) &&
+    Number.isFinite(position[1]) &&
+    Math.abs(position[0]) <= 180 &&
+    Math.abs(position[1]) <= 90
+  );
+}
+
+/**
+ * Ray casting: does a horizontal ray from the point cross the ring's edges
+ * an odd number of times? Points exactly on an edge may land either way.
+ */
+function pointInRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > lat !== yj > lat && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * GeoJSON Polygon containment: inside the outer ring and outside every hole.
+ * @param {number} lng
+ * @param {number} lat
+ * @param {number[][][]} rings - [outerRing, ...holes]
+ */
+function pointInPolygon(lng, lat, rings) {
+  const [outer, ...holes] = rings;
+  if (!outer || !pointInRing(lng, lat, outer)) return false;
+  return !holes.some((hole) => pointInRing(lng, lat, hole));
+}
+
+/** Bounding box of a polygon's outer ring. */
+function polygonBounds(rings) {
+  const lngs = rings[0].map((p) => p[0]);
+  const lats = rings[0].map((p) => p[1]);
+  return {
+    north: Math.max(...lats),
+    south: Math.min(...lats),
+    east: Math.max(...lngs),
+    west: Math.min(...lngs),
+  };
+}
+
+/** Bounding box of a circle, padded slightly so the box never clips it. */
+function circleBounds(lng, lat, radiusMeters) {
+  const Δlat = (radiusMeters / EARTH_RADIUS_METERS) * (180 / Math.PI) * 1.01;
+  const Δlng = Δlat / Math.max(Math.cos(toRadians(lat)), 0.01);
+  return {
+    north: Math.min(lat + Δlat, 90),
+    south: Math.max(lat - Δlat, -90),
+    east: Math.min(lng + Δlng, 180),
+    west: Math.max(lng - Δlng, -180),
+  };
+}
+
+module.exports = {
+  haversineDistance,
+  isPosition,
+  pointInRing,
+  pointInPolygon,
+  polygonBounds,
+  circleBounds,
+};
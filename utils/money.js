@@ -211,6 +211,45 @@ function allocate(amount, parts) {
   });
 }
 
+/**
+ * Split an amount in proportion to the given weights, so that the parts sum
+ * back to exactly the original. Each part is floored to whole kobo and the
+ * leftover kobo go to the parts with the largest fractional remainders
+ * (Hamilton's method), ties to the earlier part.
+ *
+ * Use this to spread a discount or refund across lines by value.
+ *
+ * @param {number} amount - non-negative
+ * @param {number[]} weights - non-negative; at least one must be positive
+ * @returns {number[]}
+ */
+function allocateByWeight(amount, weights) {
+  const total = toKobo(amount);
+  if (total < 0) {
+    throw new RangeError(`amount must not be negative: ${amount}`);
+  }
+  const w = weights.map((x) => toKobo(x));
+  const weightSum = w.reduce((acc, x) => acc + x, 0);
+  if (w.some((x) => x < 0) || weightSum <= 0) {
+    throw new TypeError("weights must be non-negative with a positive sum");
+  }
+
+  // total × weight can pass 2^53 for large amounts, so the products are BigInt.
+  const T = BigInt(total);
+  const S = BigInt(weightSum);
+  const shares = w.map((x) => Number((T * BigInt(x)) / S));
+  let remainder = total - shares.reduce((acc, x) => acc + x, 0);
+  const byFraction = w
+    .map((x, i) => ({ i, frac: (T * BigInt(x)) % S }))
+    .sort((a, b) => (a.frac === b.frac ? a.i - b.i : a.frac > b.frac ? -1 : 1));
+  for (const { i } of byFraction) {
+    if (remainder === 0) break;
+    shares[i] += 1;
+    remainder -= 1;
+  }
+  return shares.map(fromKobo);
+}
+
 module.exports = {
   KOBO_PER_NAIRA,
   toKobo,
@@ -230,4 +269,5 @@ module.exports = {
   gt,
   lt,
   allocate,
+  allocateByWeight,
 };
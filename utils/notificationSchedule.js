@@ -0,0 +1,188 @@
+/**
+ * @file notificationSchedule.js
+ * @description When a notification may be delivered, given the recipient's
+ *   preferences (models/notificationPreferencesModel).
+ *
+ * Two preferences can hold a notification back:
+ *   - frequency.<channel>: "batched" collects notifications for up to an hour,
+ *     "daily"/"weekly" into a digest sent at the user's digest time (the end
+ *     of their quiet hours, 08:00 by default) — weekly ones on Mondays.
+ *   - quietHours (push only): nothing non-urgent buzzes a phone between
+ *     startTime and endTime in the user's timezone; it waits until endTime.
+ *
+ * Urgent notifications (security alerts, or explicitly flagged) ignore both.
+ * Everything here is pure and timezone-aware via Intl, so it can be tested
+ * without a clock or database.
+ */
+
+const DEFAULT_TIMEZONE = "Africa/Lagos";
+const DEFAULT_DIGEST_TIME = "08:00";
+const BATCH_WINDOW_MINUTES = 60;
+const MINUTES_PER_DAY = 24 * 60;
+const MONDAY = 1;
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+// Indexed by localClock's weekday
+const DAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+/** "22:00" → 1320 minutes past midnight; null when malformed. */
+function parseClock(value) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(value || "");
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/** Is `timeZone` an IANA zone Intl understands? */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock reading of an instant in a timezone.
+ * @returns {{ minutes: number, weekday: number, offsetMinutes: number }}
+ *   minutes past local midnight, weekday 0 = Sunday, and the zone's offset
+ *   from UTC at that instant.
+ */
+function localClock(date, timeZone = DEFAULT_TIMEZONE) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      weekday: "short",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, part.value]),
+  );
+  const hour = Number(parts.hour);
+  const minute = Number(parts.minute);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, hour, minute);
+  const wholeMinute = Math.floor(date.getTime() / 60000) * 60000;
+  return {
+    minutes: hour * 60 + minute,
+    weekday: WEEKDAYS[parts.weekday],
+    offsetMinutes: Math.round((asUtc - wholeMinute) / 60000),
+  };
+}
+
+/**
+ * The next instant strictly after `date` at which the local clock in
+ * `timeZone` reads `clock` — on `weekday` if given.
+ *
+ * @param {Date} date
+ * @param {string} clock - "HH:MM"
+ * @param {string} timeZone
+ * @param {{ weekday?: number }} [opts]
+ * @returns {Date}
+ */
+function nextClockTime(date, clock, timeZone = DEFAULT_TIMEZONE, { weekday } = {}) {
+  const target = parseClock(clock) ?? parseClock(DEFAULT_DIGEST_TIME);
+  const now = localClock(date, timeZone);
+
+  let days = 0;
+  if (weekday !== undefined) days = (weekday - now.weekday + 7) % 7;
+  if (days === 0 && target <= now.minutes) days = weekday !== undefined ? 7 : 1;
+
+  const minutesAhead = days * MINUTES_PER_DAY + target - now.minutes;
+  const startOfMinute = Math.floor(date.getTime() / 60000) * 60000;
+  const candidate = new Date(startOfMinute + minutesAhead * 60000);
+
+  // Correct for a DST change between now and the candidate
+  const drift = localClock(candidate, timeZone).offsetMinutes - now.offsetMinutes;
+  return drift ? new Date(candidate.getTime() - drift * 60000) : candidate;
+}
+
+/** Is `date` inside the quiet-hours window? Windows may cross midnight. */
+function isQuietAt(quietHours, date) {
+  if (!quietHours?.enabled) return false;
+  const start = parseClock(quietHours.startTime);
+  const end = parseClock(quietHours.endTime);
+  if (start === null || end === null || start === end) return false;
+
+  const { minutes } = localClock(date, quietHours.timezone || DEFAULT_TIMEZONE);
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+/**
+ * Is `date` inside a weekly window: between start and end ("HH:MM", may
+ * cross midnight) on one of `days` (lower-case names; every day when empty)?
+ * A window with days but no times covers those whole days.
+ *
+ * @param {{ start?: string, end?: string, days?: string[] }} window
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {boolean}
+ */
+function isInTimeWindow({ start, end, days = [] }, date, timeZone = DEFAULT_TIMEZONE) {
+  const { minutes, weekday } = localClock(date, timeZone);
+  if (days.length && !days.includes(DAY_NAMES[weekday])) return false;
+  if (!start || !end) return true;
+
+  const from = parseClock(start);
+  const to = parseClock(end);
+  if (from === null || to === null) return false;
+  return from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+}
+
+/**
+ * When a notification on `channel` should go out.
+ *
+ * @param {Object} preferences - NotificationPreferences document (or same shape)
+ * @param {"push"|"email"} channel
+ * @param {{ urgent?: boolean, now?: Date }} [opts]
+ * @returns {{ at: Date, reason: string } | null} null to send now; otherwise
+ *   the delivery time and why ("batched", "daily", "weekly", "quiet_hours").
+ */
+function deliveryTimeFor(preferences, channel, { urgent = false, now = new Date() } = {}) {
+  if (urgent) return null;
+
+  const quietHours = preferences.quietHours || {};
+  const timeZone = quietHours.timezone || DEFAULT_TIMEZONE;
+  const digestTime = quietHours.endTime || DEFAULT_DIGEST_TIME;
+  const frequency = preferences.frequency?.[channel] || "immediate";
+
+  let at = null;
+  let reason = null;
+  if (frequency === "batched") {
+    const windowMs = BATCH_WINDOW_MINUTES * 60000;
+    at = new Date(Math.floor(now.getTime() / windowMs) * windowMs + windowMs);
+    reason = "batched";
+  } else if (frequency === "daily") {
+    at = nextClockTime(now, digestTime, timeZone);
+    reason = "daily";
+  } else if (frequency === "weekly") {
+    at = nextClockTime(now, digestTime, timeZone, { weekday: MONDAY });
+    reason = "weekly";
+  }
+
+  if (channel === "push" && isQuietAt(quietHours, at || now)) {
+    at = nextClockTime(at || now, quietHours.endTime, timeZone);
+    reason = reason || "quiet_hours";
+  }
+
+  return at ? { at, reason } : null;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DEFAULT_DIGEST_TIME,
+  BATCH_WINDOW_MINUTES,
+  DAY_NAMES,
+  parseClock,
+  isValidTimeZone,
+  localClock,
+  nextClockTime,
+  isQuietAt,
+  isInTimeWindow,
+  deliveryTimeFor,
+};
@@ -1,11 +1,14 @@
 const { DeliveryMethod } = require("./constants");
 const {
   STATUS,
+  RETURN_STATUSES,
   normalizeStatus,
   statusLabel,
   allowedTransitions,
 } = require("./orderStatus");
 const { ORDER_NUMBER_PREFIX } = require("./generateOrderNumber");
+const { variantLabel } = require("./productVariants");
+const money = require("./money");
 
 /**
  * Display order number with a leading "#", e.g. "#WM1201".
@@ -68,22 +71,39 @@ const firstImage = (images) => {
   return typeof img === "string" ? img : img.url || img.secure_url || null;
 };
 
-// Unit price isn't persisted on the order line, so fall back to the product's
-// current listedPrice (then price). Subtotal is unit × quantity.
-const unitPrice = (product) =>
-  product?.listedPrice ?? product?.price ?? 0;
+// The unit price snapshotted on the line at checkout. Legacy orders predate the
+// snapshot, so fall back to the product's current listedPrice (then price).
+// Subtotal is unit × quantity.
+const unitPrice = (line, product) =>
+  line.unitPrice ?? product?.listedPrice ?? product?.price ?? 0;
+
+// Which version of a variable product the line is for; null for single products.
+const serializeVariant = (line) => {
+  if (!line.variant && !(line.options || []).length) return null;
+  return {
+    id: line.variant || null,
+    sku: line.sku || null,
+    options: (line.options || []).map((o) => ({ name: o.name, value: o.value })),
+    label: variantLabel(line.options),
+  };
+};
 
 const serializeLineItem = (line) => {
   const product = line.product && typeof line.product === "object" ? line.product : null;
-  const unit = unitPrice(product);
+  const unit = unitPrice(line, product);
   const quantity = line.count || 0;
   return {
     productId: product?._id || line.product || null,
     title: product?.title || "Unknown product",
     image: firstImage(product?.images),
+    variant: serializeVariant(line),
     quantity,
     unitPrice: unit,
-    subtotal: unit * quantity,
+    subtotal: money.multiply(unit, quantity),
+    // Store sale the line was bought under; unitPrice is already the sale price
+    sale: line.sale?.sale
+      ? { name: line.sale.name, percent: line.sale.percent, discount: line.sale.discount }
+      : null,
   };
 };
 
@@ -124,7 +144,9 @@ const buildTimeline = (order) => {
   };
 
   const current = normalizeStatus(order.orderStatus);
-  const currentIdx = PROGRESS_ORDER.indexOf(current);
+  // A return follows delivery, so everything up to delivered is done
+  const returning = RETURN_STATUSES.includes(current) || current === STATUS.RETURNED;
+  const currentIdx = PROGRESS_ORDER.indexOf(returning ? STATUS.DELIVERED : current);
   const cancelled = current === STATUS.CANCELLED;
 
   const steps = TIMELINE_STEPS.filter(
@@ -145,17 +167,56 @@ const buildTimeline = (order) => {
     });
   }
 
+  if (returning) {
+    for (const status of [...RETURN_STATUSES, STATUS.RETURNED]) {
+      const at = timeAt(status);
+      if (at || status === current) {
+        steps.push({ status, label: statusLabel(status), completed: true, at });
+      }
+    }
+  }
+
   return steps;
 };
 
-// Seller payout for the order. Derived: released only once delivered & paid.
+// Seller payout for the order. Derived: released only once delivered & paid,
+// and taken back when a return is accepted.
 const derivePayoutStatus = (order) => {
+  const status = normalizeStatus(order.orderStatus);
+  if (status === STATUS.RETURNED) return "Reversed";
   if (order.paymentStatus !== "Paid") return "Unpaid";
-  return normalizeStatus(order.orderStatus) === STATUS.DELIVERED
-    ? "Released"
-    : "Awaiting";
+  return status === STATUS.DELIVERED ? "Released" : "Awaiting";
 };
 
+// The buyer's return, if they asked for one
+const serializeReturn = (returnRequest) =>
+  returnRequest?.status
+    ? {
+        status: returnRequest.status,
+        reason: returnRequest.reason,
+        details: returnRequest.details || null,
+        photos: returnRequest.photos || [],
+        items: (returnRequest.items || []).map((item) => ({
+          product: item.product,
+          variant: item.variant || null,
+          count: item.count,
+          amount: item.amount,
+        })),
+        amount: returnRequest.amount,
+        refundTo: returnRequest.refundTo || "card",
+        requestedAt: returnRequest.requestedAt,
+        decisionNote: returnRequest.decision?.note || null,
+        inspectionNote: returnRequest.inspection?.note || null,
+        refund: returnRequest.refund?.amount
+          ? {
+              amount: returnRequest.refund.amount,
+              method: returnRequest.refund.method || "card",
+              at: returnRequest.refund.at,
+            }
+          : null,
+      }
+    : null;
+
 /**
  * Full order detail for the order-details screen. Requires populated
  * products.product, orderedBy and deliveryAgent.
@@ -169,7 +230,7 @@ const derivePayoutStatus = (order) => {
  */
 const serializeOrderDetail = (order, { role } = {}) => {
   const items = (order.products || []).map(serializeLineItem);
-  const itemsTotal = items.reduce((sum, i) => sum + i.subtotal, 0);
+  const itemsTotal = money.sum(items, (i) => i.subtotal);
   const deliveryFee = order.deliveryFee || 0;
   const rider =
     order.deliveryAgent && typeof order.deliveryAgent === "object"
@@ -181,7 +242,9 @@ const serializeOrderDetail = (order, { role } = {}) => {
       : null;
 
   // Next statuses this viewer can move the order to (empty when no role given).
-  const allowedActions = role
+  // Returns move on through their own endpoints (orderReturnService).
+  const inReturn = RETURN_STATUSES.includes(normalizeStatus(order.orderStatus));
+  const allowedActions = role && !inReturn
     ? allowedTransitions(order.orderStatus, role, order.deliveryMethod).map(
         (status) => ({ status, label: statusLabel(status) }),
       )
@@ -216,7 +279,12 @@ const serializeOrderDetail = (order, { role } = {}) => {
     summary: {
       itemsTotal,
       deliveryFee,
-      total: order.paymentIntent?.amount ?? itemsTotal + deliveryFee,
+      // Coupon share on this order; total is already net of it
+      discount: order.discount?.amount || 0,
+      couponCode: order.discount?.code || null,
+      total:
+        order.paymentIntent?.amount ??
+        money.subtract(money.add(itemsTotal, deliveryFee), order.discount?.amount || 0),
       currency: order.paymentIntent?.currency || "NGN",
     },
 
@@ -224,11 +292,14 @@ const serializeOrderDetail = (order, { role } = {}) => {
       method: order.paymentMethod || order.paymentIntent?.method || null,
       status: order.paymentStatus,
       transactionId: order.paymentIntent?.id || null,
+      // The multi-store checkout this order was paid through, if any
+      checkoutId: order.checkout?._id || order.checkout || null,
       payoutStatus: derivePayoutStatus(order),
     },
 
     timeline: buildTimeline(order),
     buyerNote: order.deliveryNotes || null,
+    return: serializeReturn(order.returnRequest),
   };
 };
 
@@ -239,8 +310,9 @@ const customerPhone = (orderedBy) =>
  * Build the list of pickup locations for an order. A rider order is usually a
  * single store, but multi-store orders are supported: stores are de-duplicated
  * by id. Requires products.store to be populated (name, address, mobile).
+ * `distances` maps store id → the rider's distance to it in km.
  */
-const buildPickups = (order) => {
+const buildPickups = (order, distances) => {
   const seen = new Map();
   for (const line of order.products || []) {
     const store = line.store && typeof line.store === "object" ? line.store : null;
@@ -252,6 +324,7 @@ const buildPickups = (order) => {
       store: store.name || null,
       address: store.address || store.location?.formattedAddress || null,
       mobile: store.mobile || null,
+      distanceKm: distances?.get(id) ?? null,
     });
   }
   return Array.from(seen.values());
@@ -263,14 +336,21 @@ const buildPickups = (order) => {
  * products.product (title, listedPrice, images, brand), products.store
  * (name, address, mobile) and orderedBy (firstname, lastname, fullName,
  * email, mobile).
+ *
+ * @param {Object} order
+ * @param {Object} [options]
+ * @param {Map<string, number|null>} [options.pickupDistances] The rider's
+ *   distance in km to each pickup store, keyed by store id (see
+ *   riderCoverageService.pickupDistances). Without it distances are null.
  */
-const serializeDeliveryOrder = (order) => {
+const serializeDeliveryOrder = (order, { pickupDistances } = {}) => {
   const products = (order.products || []).map((line) => {
     const item = serializeLineItem(line);
     const store = line.store && typeof line.store === "object" ? line.store : null;
     return {
       productId: item.productId,
       name: item.title,
+      variant: item.variant?.label || null,
       quantity: item.quantity,
       price: item.unitPrice,
       subtotal: item.subtotal,
@@ -278,8 +358,8 @@ const serializeDeliveryOrder = (order) => {
       store: store?.name || null,
     };
   });
-  const itemsTotal = products.reduce((sum, p) => sum + p.subtotal, 0);
-  const pickups = buildPickups(order);
+  const itemsTotal = money.sum(products, (p) => p.subtotal);
+  const pickups = buildPickups(order, pickupDistances);
   const deliveryFee = order.deliveryFee || 0;
 
   return {
@@ -298,6 +378,8 @@ const serializeDeliveryOrder = (order) => {
     // distinct stores for multi-store orders.
     pickup: pickups[0] || null,
     pickups,
+    // How far the rider is from the primary pickup, in km; null when unknown
+    pickupDistanceKm: pickups[0]?.distanceKm ?? null,
     dropoff: order.deliveryAddress || order.deliveryLocation?.formattedAddress || null,
     products,
     // itemsCount = number of items in the order (sum of quantities) — the
@@ -318,8 +400,8 @@ const serializeDeliveryOrder = (order) => {
   };
 };
 
-const serializeDeliveryOrderList = (orders) =>
-  (orders || []).map(serializeDeliveryOrder);
+const serializeDeliveryOrderList = (orders, options) =>
+  (orders || []).map((order) => serializeDeliveryOrder(order, options));
 
 module.exports = {
   serializeOrderSummary,
@@ -16,10 +16,18 @@
  *      │           │            │             │
  *      └───────────┴────────────┴─────────────┴────────────────► cancelled
  *
+ *   Returns (services/orderReturnService):
+ *   delivered ─► returnRequested ─► returnApproved ─► returnInTransit ─► returnReceived ─► returned
+ *       ▲               │                  └────────────────────────────────►│
+ *       └───────────────┴─────────────── rejected, or refused on inspection ◄┘
+ *
  *   Ownership:
  *     seller : pending → confirmed → preparing → pickUpReady
  *              (+ pickUpReady → delivered for self_delivery / pickup orders)
+ *              approves or rejects a return, receives and inspects it
  *     rider  : pickUpReady → inTransit → delivered (delivery_agent orders)
+ *              returnApproved → returnInTransit → returnReceived (return pickup)
+ *     buyer  : cancels before pickUpReady; delivered → returnRequested
  *     admin  : may perform any transition (override)
  *     system : automated transitions (e.g. dual-confirm delivery credit)
  */
@@ -32,6 +40,11 @@ const STATUS = {
   IN_TRANSIT: "inTransit",
   DELIVERED: "delivered",
   CANCELLED: "cancelled",
+  RETURN_REQUESTED: "returnRequested",
+  RETURN_APPROVED: "returnApproved",
+  RETURN_IN_TRANSIT: "returnInTransit",
+  RETURN_RECEIVED: "returnReceived",
+  RETURNED: "returned",
 };
 
 const STATUS_LABELS = {
@@ -42,17 +55,32 @@ const STATUS_LABELS = {
   [STATUS.IN_TRANSIT]: "In Transit",
   [STATUS.DELIVERED]: "Delivered",
   [STATUS.CANCELLED]: "Cancelled",
+  [STATUS.RETURN_REQUESTED]: "Return Requested",
+  [STATUS.RETURN_APPROVED]: "Return Approved",
+  [STATUS.RETURN_IN_TRANSIT]: "Return in Transit",
+  [STATUS.RETURN_RECEIVED]: "Return Received",
+  [STATUS.RETURNED]: "Returned",
 };
 
 const ROLE = {
   SELLER: "seller",
   RIDER: "rider",
+  BUYER: "buyer",
   ADMIN: "admin",
   SYSTEM: "system",
 };
 
 const ALL_STATUSES = Object.values(STATUS);
-const TERMINAL_STATUSES = [STATUS.DELIVERED, STATUS.CANCELLED];
+// Delivered stays terminal even though a return can reopen it: until the
+// buyer asks, there is nothing left to do.
+const TERMINAL_STATUSES = [STATUS.DELIVERED, STATUS.CANCELLED, STATUS.RETURNED];
+// A return in progress
+const RETURN_STATUSES = [
+  STATUS.RETURN_REQUESTED,
+  STATUS.RETURN_APPROVED,
+  STATUS.RETURN_IN_TRANSIT,
+  STATUS.RETURN_RECEIVED,
+];
 // Non-terminal states — an order in any of these is still "in progress".
 const ACTIVE_STATUSES = ALL_STATUSES.filter((s) => !TERMINAL_STATUSES.includes(s));
 
@@ -84,6 +112,25 @@ const TRANSITIONS = [
   { from: STATUS.CONFIRMED, to: STATUS.CANCELLED, roles: [ROLE.SELLER] },
   { from: STATUS.PREPARING, to: STATUS.CANCELLED, roles: [ROLE.SELLER] },
   { from: STATUS.PICKUP_READY, to: STATUS.CANCELLED, roles: [ROLE.SELLER] },
+
+  // The buyer may cancel until the seller has the order ready for pickup.
+  { from: STATUS.PENDING, to: STATUS.CANCELLED, roles: [ROLE.BUYER] },
+  { from: STATUS.CONFIRMED, to: STATUS.CANCELLED, roles: [ROLE.BUYER] },
+  { from: STATUS.PREPARING, to: STATUS.CANCELLED, roles: [ROLE.BUYER] },
+
+  // Returns. A rejected request, or a return refused on inspection, puts the
+  // order back to delivered: the sale stands.
+  { from: STATUS.DELIVERED, to: STATUS.RETURN_REQUESTED, roles: [ROLE.BUYER] },
+  { from: STATUS.RETURN_REQUESTED, to: STATUS.RETURN_APPROVED, roles: [ROLE.SELLER] },
+  { from: STATUS.RETURN_REQUESTED, to: STATUS.DELIVERED, roles: [ROLE.SELLER] },
+  // A rider collects returns of delivery_agent orders; otherwise the buyer
+  // brings the item back and the seller receives it.
+  { from: STATUS.RETURN_APPROVED, to: STATUS.RETURN_IN_TRANSIT, roles: [ROLE.RIDER], deliveryMethod: "delivery_agent" },
+  { from: STATUS.RETURN_APPROVED, to: STATUS.RETURN_RECEIVED, roles: [ROLE.SELLER] },
+  { from: STATUS.RETURN_IN_TRANSIT, to: STATUS.RETURN_RECEIVED, roles: [ROLE.RIDER, ROLE.SELLER] },
+  // Inspection: accepted returns are refunded and restocked
+  { from: STATUS.RETURN_RECEIVED, to: STATUS.RETURNED, roles: [ROLE.SELLER] },
+  { from: STATUS.RETURN_RECEIVED, to: STATUS.DELIVERED, roles: [ROLE.SELLER] },
 ];
 
 // Map legacy / pre-state-machine values onto canonical states so old orders and
@@ -185,6 +232,7 @@ module.exports = {
   ALL_STATUSES,
   TERMINAL_STATUSES,
   ACTIVE_STATUSES,
+  RETURN_STATUSES,
   normalizeStatus,
   statusMatchValues,
   statusLabel,
@@ -21,10 +21,14 @@
  *
  * Derived top-level fields. `price`, `listedPrice` and `quantity` stay populated
  * on a variable product — price/listedPrice from the cheapest variant ("from
- * ₦X"), quantity as the total across variants. Every existing reader (search,
- * sort, cart, stock checks, the order pipeline) keys off those fields, so
- * deriving them keeps variable products working everywhere without touching
- * those code paths.
+ * ₦X"), quantity as the total across variants. Listing readers (search, sort,
+ * storefront cards) key off those fields, so deriving them keeps variable
+ * products working there without touching those code paths.
+ *
+ * Cart and order lines are the exception: a buyer buys one particular version,
+ * so those lines carry the variant (id, SKU, options, unit price snapshot) and
+ * stock is checked and moved on the variant itself — see resolveVariant and
+ * reserveStockOp below.
  */
 
 const money = require("./money");
@@ -281,9 +285,177 @@ const deriveTopLevel = (variants) => {
   };
 };
 
+// ── Cart & order lines ─────────────────────────────────────────────────────
+
+/**
+ * Find the variant a cart/order line refers to.
+ *
+ * A buyer may identify the version by its variant id, its SKU, or the full
+ * option combination ([{ name: "Size", value: "41" }, ...]) — the app usually
+ * has the combination from the size/colour pickers, integrations the SKU.
+ * Single products take no selector and resolve to `variant: null`.
+ *
+ * @param {Object} product  Product document with `productType` and `variants`
+ * @param {Object} [selector]
+ * @param {string} [selector.variantId]
+ * @param {string} [selector.sku]
+ * @param {Array}  [selector.options]
+ * @returns {{ variant: (Object|null), error?: string }}
+ */
+const resolveVariant = (product, { variantId, sku, options } = {}) => {
+  const hasSelector =
+    Boolean(variantId) ||
+    isNonEmptyString(sku) ||
+    (Array.isArray(options) && options.length > 0);
+
+  if (product.productType !== "variable") {
+    return hasSelector
+      ? { variant: null, error: "This product has a single version — omit variantId, sku and options" }
+      : { variant: null };
+  }
+
+  if (!hasSelector) {
+    return {
+      variant: null,
+      error: "This product comes in several versions — choose one by variantId, sku or options",
+    };
+  }
+
+  const variants = product.variants || [];
+  let variant;
+
+  if (variantId) {
+    variant = variants.find((v) => v._id && v._id.toString() === String(variantId));
+  } else if (isNonEmptyString(sku)) {
+    const wanted = sku.trim().toLowerCase();
+    variant = variants.find((v) => v.sku && v.sku.toLowerCase() === wanted);
+  } else {
+    const valid = options.every(
+      (o) => isNonEmptyString(o?.name) && isNonEmptyString(o?.value),
+    );
+    if (!valid) {
+      return { variant: null, error: "Each option needs a name and a value" };
+    }
+    const wanted = combinationKey(
+      options.map((o) => ({ name: o.name.trim(), value: o.value.trim() })),
+    );
+    variant = variants.find((v) => combinationKey(v.options || []) === wanted);
+  }
+
+  if (!variant) {
+    return { variant: null, error: "The selected version of this product is not available" };
+  }
+  return { variant };
+};
+
+/** Human label for a variant's options, e.g. "Size 41, Color Black". */
+const variantLabel = (options) =>
+  (options || []).map((o) => `${o.name} ${o.value}`).join(", ");
+
+/**
+ * Per-unit prices for a line: the variant's when there is one, else the
+ * product's. `unitPrice` is what the customer pays, `vendorPrice` what the
+ * store receives.
+ */
+const linePrices = (product, variant) => {
+  const source = variant || product;
+  const vendorPrice = source.price;
+  return {
+    unitPrice: source.listedPrice ?? listedPriceFor(vendorPrice),
+    vendorPrice,
+  };
+};
+
+/** Units still available for a line — the variant's stock, or the product's. */
+const availableStock = (product, variant) =>
+  (variant ? variant.quantity : product.quantity) ?? 0;
+
+/**
+ * Variant fields copied onto a cart or order line. Snapshotting sku/options
+ * keeps the line readable even if the seller later edits or removes the
+ * variant.
+ */
+const variantSnapshot = (variant) =>
+  variant
+    ? {
+        variant: variant._id,
+        ...(variant.sku ? { sku: variant.sku } : {}),
+        options: (variant.options || []).map((o) => ({ name: o.name, value: o.value })),
+      }
+    : {};
+
+/**
+ * bulkWrite op that takes `count` units of a line out of stock and onto sold.
+ * The filter guards stock on the variant itself when the line names one, so a
+ * sold-out size cannot be oversold on the strength of the parent's total.
+ * The parent's quantity/sold move too, keeping the derived total in step.
+ */
+const reserveStockOp = ({ productId, variantId, count }) =>
+  variantId
+    ? {
+        updateOne: {
+          filter: {
+            _id: productId,
+            variants: { $elemMatch: { _id: variantId, quantity: { $gte: count } } },
+          },
+          update: {
+            $inc: {
+              quantity: -count,
+              sold: count,
+              "variants.$.quantity": -count,
+              "variants.$.sold": count,
+            },
+          },
+        },
+      }
+    : {
+        updateOne: {
+          filter: { _id: productId, quantity: { $gte: count } },
+          update: { $inc: { quantity: -count, sold: count } },
+        },
+      };
+
+/**
+ * Inverse of reserveStockOp, for cancellations. Guarded on sold >= count so a
+ * double restock can never push sold negative. A variant the seller has since
+ * deleted simply matches nothing.
+ */
+const restockOp = ({ productId, variantId, count }) =>
+  variantId
+    ? {
+        updateOne: {
+          filter: {
+            _id: productId,
+            sold: { $gte: count },
+            variants: { $elemMatch: { _id: variantId, sold: { $gte: count } } },
+          },
+          update: {
+            $inc: {
+              quantity: count,
+              sold: -count,
+              "variants.$.quantity": count,
+              "variants.$.sold": -count,
+            },
+          },
+        },
+      }
+    : {
+        updateOne: {
+          filter: { _id: productId, sold: { $gte: count } },
+          update: { $inc: { quantity: count, sold: -count } },
+        },
+      };
+
 module.exports = {
   validateVariants,
   deriveTopLevel,
+  resolveVariant,
+  variantLabel,
+  linePrices,
+  availableStock,
+  variantSnapshot,
+  reserveStockOp,
+  restockOp,
   listedPriceFor,
   combinationKey,
   MAX_OPTION_TYPES,
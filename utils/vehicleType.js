@@ -8,6 +8,20 @@
 // Vehicle types offered in the UI (what clients should send).
 const UI_VEHICLE_TYPES = ["feet", "bicycle", "car", "motor bike", "bus"];
 
+// Canonical values, as stored in the DispatchProfile schema enum.
+const VEHICLE_TYPES = ["feet", "bicycle", "motorcycle", "car", "bus", "van", "truck"];
+
+// Heaviest load, in kg, each vehicle type carries
+const VEHICLE_CAPACITY_KG = {
+  feet: 5,
+  bicycle: 10,
+  motorcycle: 30,
+  car: 150,
+  bus: 500,
+  van: 800,
+  truck: 3000,
+};
+
 // Types with no make/model/plate/colour — only the type itself is stored.
 const NON_MOTORISED_TYPES = new Set(["feet", "bicycle"]);
 
@@ -50,6 +64,8 @@ function isMotorisedType(canonicalType) {
 
 module.exports = {
   UI_VEHICLE_TYPES,
+  VEHICLE_TYPES,
+  VEHICLE_CAPACITY_KG,
   NON_MOTORISED_TYPES,
   normalizeVehicleType,
   isMotorisedType,
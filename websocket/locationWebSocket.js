@@ -1,7 +1,9 @@
 const WebSocket = require('ws');
 const jwt = require('jsonwebtoken');
 const User = require('../models/userModel');
+const { isRefreshToken, isSessionActive } = require('../services/sessionService');
 const { createRedisConnection } = require('../config/redisClient');
+const dispatchMatchingService = require('../services/dispatchMatchingService');
 
 class LocationWebSocketServer {
   constructor(server) {
@@ -26,6 +28,14 @@ class LocationWebSocketServer {
         }
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (isRefreshToken(decoded)) {
+          ws.close(1008, 'Access token required');
+          return;
+        }
+        if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+          ws.close(1008, 'Session signed out');
+          return;
+        }
         const user = await User.findById(decoded.id).select('_id role fullName');
         
         if (!user) {
@@ -106,6 +116,13 @@ class LocationWebSocketServer {
       }
     });
 
+    // Auto-dispatch offers for riders, whichever instance made them
+    this.redis.subscribe(dispatchMatchingService.OFFER_CHANNEL, (err) => {
+      if (err) {
+        console.log('Redis subscription error:', err.message);
+      }
+    });
+
     // Handle incoming location updates
     this.redis.on('message', (channel, message) => {
       if (channel === 'location_updates') {
@@ -115,6 +132,13 @@ class LocationWebSocketServer {
         } catch (error) {
           console.log('Error parsing location update:', error.message);
         }
+      } else if (channel === dispatchMatchingService.OFFER_CHANNEL) {
+        try {
+          const { riderId, message: offer } = JSON.parse(message);
+          this.sendToUser(riderId, offer);
+        } catch (error) {
+          console.log('Error parsing dispatch offer:', error.message);
+        }
       }
     });
   }
@@ -152,6 +176,12 @@ class LocationWebSocketServer {
         this.unsubscribeFromOrder(ws, data.orderId);
         break;
       
+      case 'accept_offer':
+      case 'decline_offer':
+        // Answer an auto-dispatch offer (same as POST /orders/offer/accept|decline)
+        this.answerOffer(ws, data.orderId, data.type === 'accept_offer');
+        break;
+
       case 'ping':
         // Respond to ping with pong
         ws.send(JSON.stringify({
@@ -198,6 +228,30 @@ class LocationWebSocketServer {
     }));
   }
 
+  async answerOffer(ws, orderId, accept) {
+    const clientInfo = this.clients.get(ws);
+    if (!clientInfo) return;
+
+    let reply;
+    try {
+      const result = await dispatchMatchingService.respondToOffer(
+        { user: { _id: clientInfo.userId } },
+        orderId,
+        accept
+      );
+      reply = result.error
+        ? { type: 'offer_response', orderId, success: false, message: result.error }
+        : { type: 'offer_response', orderId, success: true, accepted: accept };
+    } catch (error) {
+      console.log('Offer response error:', error.message);
+      reply = { type: 'offer_response', orderId, success: false, message: 'Could not answer the offer' };
+    }
+
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(reply));
+    }
+  }
+
   broadcastLocationUpdate(locationData) {
     const { deliveryAgentId, orderId, location, timestamp } = locationData;
 